@@ -18,6 +18,8 @@ async function initializeDatabase() {
         account_name VARCHAR(100) NOT NULL,
         account_type VARCHAR(50) NOT NULL CHECK(account_type IN ('Asset', 'Liability', 'Capital', 'Revenue', 'Expense')),
         account_subtype VARCHAR(50),
+        cash_flow_category VARCHAR(20) CHECK(cash_flow_category IN ('cash', 'operating', 'investing', 'financing')),
+        control_type VARCHAR(20) CHECK(control_type IN ('receivable', 'payable')),
         normal_balance VARCHAR(10) NOT NULL CHECK(normal_balance IN ('Debit', 'Credit')),
         balance DECIMAL(15,2) DEFAULT 0.00,
         is_active BOOLEAN DEFAULT true,
@@ -35,13 +37,58 @@ async function initializeDatabase() {
         transaction_date DATE NOT NULL,
         description TEXT NOT NULL,
         reference VARCHAR(50),
+        status VARCHAR(10) NOT NULL DEFAULT 'posted' CHECK(status IN ('posted', 'reversed', 'voided')),
+        reversal_of INTEGER UNIQUE REFERENCES transactions (id),
+        reversal_reason TEXT,
+        reversed_at TIMESTAMP WITH TIME ZONE,
+        source VARCHAR(30) NOT NULL DEFAULT 'manual',
+        is_adjusting BOOLEAN NOT NULL DEFAULT false,
+        series_code VARCHAR(10),
+        voucher_number VARCHAR(40) UNIQUE,
         created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
         updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
       )
     `);
     console.log('✅ Transactions table ready');
 
-    // 3. Journal Entries Table
+    // 3. Customers Table (accounts receivable sub-ledger parties)
+    await query(`
+      CREATE TABLE IF NOT EXISTS customers (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL UNIQUE,
+        contact_person VARCHAR(100),
+        email VARCHAR(100),
+        phone VARCHAR(30),
+        address TEXT,
+        tax_number VARCHAR(30),
+        credit_limit DECIMAL(15,2) NOT NULL DEFAULT 0.00 CHECK(credit_limit >= 0),
+        payment_terms_days INTEGER NOT NULL DEFAULT 30 CHECK(payment_terms_days BETWEEN 0 AND 365),
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+    console.log('✅ Customers table ready');
+
+    // 4. Vendors Table (accounts payable sub-ledger parties)
+    await query(`
+      CREATE TABLE IF NOT EXISTS vendors (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL UNIQUE,
+        contact_person VARCHAR(100),
+        email VARCHAR(100),
+        phone VARCHAR(30),
+        address TEXT,
+        tax_number VARCHAR(30),
+        payment_terms_days INTEGER NOT NULL DEFAULT 30 CHECK(payment_terms_days BETWEEN 0 AND 365),
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+    console.log('✅ Vendors table ready');
+
+    // 5. Journal Entries Table
     await query(`
       CREATE TABLE IF NOT EXISTS journal_entries (
         id SERIAL PRIMARY KEY,
@@ -49,6 +96,9 @@ async function initializeDatabase() {
         account_id INTEGER NOT NULL,
         amount DECIMAL(15,2) NOT NULL CHECK(amount > 0),
         entry_type VARCHAR(10) NOT NULL CHECK(entry_type IN ('Debit', 'Credit')),
+        customer_id INTEGER REFERENCES customers (id),
+        vendor_id INTEGER REFERENCES vendors (id),
+        due_date DATE,
         created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
         FOREIGN KEY (transaction_id) REFERENCES transactions (id) ON DELETE CASCADE,
         FOREIGN KEY (account_id) REFERENCES accounts (id)
@@ -56,7 +106,7 @@ async function initializeDatabase() {
     `);
     console.log('✅ Journal entries table ready');
 
-    // 4. Users Table (For Authentication)
+    // 6. Users Table (For Authentication)
     await query(`
       CREATE TABLE IF NOT EXISTS users (
         id SERIAL PRIMARY KEY,
@@ -70,6 +120,389 @@ async function initializeDatabase() {
     `);
     console.log('✅ Users table ready');
 
+    // 7. Accounting Periods Table (monthly periods grouped by fiscal year)
+    await query(`
+      CREATE TABLE IF NOT EXISTS accounting_periods (
+        id SERIAL PRIMARY KEY,
+        fiscal_year INTEGER NOT NULL,
+        period_number INTEGER NOT NULL CHECK(period_number BETWEEN 1 AND 12),
+        period_name VARCHAR(20) NOT NULL,
+        start_date DATE NOT NULL UNIQUE,
+        end_date DATE NOT NULL,
+        status VARCHAR(10) NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'closed', 'locked')),
+        notes TEXT,
+        status_changed_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        status_changed_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE (fiscal_year, period_number),
+        CHECK (end_date >= start_date)
+      )
+    `);
+    console.log('✅ Accounting periods table ready');
+
+    // 8. Number Series Tables (voucher numbering per journal, e.g. JV-2024-00001)
+    await query(`
+      CREATE TABLE IF NOT EXISTS number_series (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(10) NOT NULL UNIQUE,
+        name VARCHAR(100) NOT NULL,
+        prefix VARCHAR(20) NOT NULL DEFAULT '',
+        padding INTEGER NOT NULL DEFAULT 5 CHECK(padding BETWEEN 1 AND 12),
+        reset_yearly BOOLEAN NOT NULL DEFAULT true,
+        include_year BOOLEAN NOT NULL DEFAULT true,
+        is_default BOOLEAN NOT NULL DEFAULT false,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    // Last number issued per series and fiscal year (fiscal_year 0 for series that never reset)
+    await query(`
+      CREATE TABLE IF NOT EXISTS number_series_counters (
+        series_id INTEGER NOT NULL REFERENCES number_series (id) ON DELETE CASCADE,
+        fiscal_year INTEGER NOT NULL,
+        last_number INTEGER NOT NULL DEFAULT 0 CHECK(last_number >= 0),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (series_id, fiscal_year)
+      )
+    `);
+    console.log('✅ Number series tables ready');
+
+    // 9. Sales Invoices Tables (invoice documents; approval posts the journal entry)
+    await query(`
+      CREATE TABLE IF NOT EXISTS sales_invoices (
+        id SERIAL PRIMARY KEY,
+        invoice_number VARCHAR(40) UNIQUE,
+        customer_id INTEGER NOT NULL REFERENCES customers (id),
+        invoice_date DATE NOT NULL,
+        due_date DATE NOT NULL,
+        reference VARCHAR(50),
+        notes TEXT,
+        status VARCHAR(10) NOT NULL DEFAULT 'draft' CHECK(status IN ('draft', 'approved', 'voided')),
+        receivable_account_id INTEGER REFERENCES accounts (id),
+        subtotal DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+        tax_total DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+        total DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+        transaction_id INTEGER UNIQUE REFERENCES transactions (id),
+        approved_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS sales_invoice_lines (
+        id SERIAL PRIMARY KEY,
+        invoice_id INTEGER NOT NULL REFERENCES sales_invoices (id) ON DELETE CASCADE,
+        line_number INTEGER NOT NULL,
+        description VARCHAR(200) NOT NULL,
+        account_id INTEGER NOT NULL REFERENCES accounts (id),
+        quantity DECIMAL(15,3) NOT NULL CHECK(quantity > 0),
+        unit_price DECIMAL(15,2) NOT NULL CHECK(unit_price >= 0),
+        tax_rate DECIMAL(5,2) NOT NULL DEFAULT 0.00 CHECK(tax_rate >= 0 AND tax_rate <= 100),
+        amount DECIMAL(15,2) NOT NULL,
+        tax_amount DECIMAL(15,2) NOT NULL DEFAULT 0.00
+      )
+    `);
+    console.log('✅ Sales invoice tables ready');
+
+    // 10. Purchase Bills Tables (vendor bills; approval posts the journal entry)
+    await query(`
+      CREATE TABLE IF NOT EXISTS purchase_bills (
+        id SERIAL PRIMARY KEY,
+        bill_number VARCHAR(40) UNIQUE,
+        vendor_id INTEGER NOT NULL REFERENCES vendors (id),
+        vendor_invoice_number VARCHAR(50),
+        bill_date DATE NOT NULL,
+        due_date DATE NOT NULL,
+        notes TEXT,
+        status VARCHAR(10) NOT NULL DEFAULT 'draft' CHECK(status IN ('draft', 'approved', 'voided')),
+        payable_account_id INTEGER REFERENCES accounts (id),
+        subtotal DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+        tax_total DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+        total DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+        transaction_id INTEGER UNIQUE REFERENCES transactions (id),
+        approved_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS purchase_bill_lines (
+        id SERIAL PRIMARY KEY,
+        bill_id INTEGER NOT NULL REFERENCES purchase_bills (id) ON DELETE CASCADE,
+        line_number INTEGER NOT NULL,
+        description VARCHAR(200) NOT NULL,
+        account_id INTEGER NOT NULL REFERENCES accounts (id),
+        quantity DECIMAL(15,3) NOT NULL CHECK(quantity > 0),
+        unit_price DECIMAL(15,2) NOT NULL CHECK(unit_price >= 0),
+        tax_rate DECIMAL(5,2) NOT NULL DEFAULT 0.00 CHECK(tax_rate >= 0 AND tax_rate <= 100),
+        amount DECIMAL(15,2) NOT NULL,
+        tax_amount DECIMAL(15,2) NOT NULL DEFAULT 0.00
+      )
+    `);
+    console.log('✅ Purchase bill tables ready');
+
+    // 11. Vendor Payments Tables (a payment settles one or many bills; any excess stays unapplied)
+    await query(`
+      CREATE TABLE IF NOT EXISTS vendor_payments (
+        id SERIAL PRIMARY KEY,
+        payment_number VARCHAR(40) UNIQUE,
+        vendor_id INTEGER NOT NULL REFERENCES vendors (id),
+        payment_date DATE NOT NULL,
+        payment_account_id INTEGER NOT NULL REFERENCES accounts (id),
+        payable_account_id INTEGER NOT NULL REFERENCES accounts (id),
+        amount DECIMAL(15,2) NOT NULL CHECK(amount > 0),
+        reference VARCHAR(50),
+        notes TEXT,
+        status VARCHAR(10) NOT NULL DEFAULT 'posted' CHECK(status IN ('posted', 'voided')),
+        transaction_id INTEGER UNIQUE REFERENCES transactions (id),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS vendor_payment_allocations (
+        id SERIAL PRIMARY KEY,
+        payment_id INTEGER NOT NULL REFERENCES vendor_payments (id) ON DELETE CASCADE,
+        bill_id INTEGER NOT NULL REFERENCES purchase_bills (id),
+        amount DECIMAL(15,2) NOT NULL CHECK(amount > 0),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(payment_id, bill_id)
+      )
+    `);
+    console.log('✅ Vendor payment tables ready');
+
+    // 12. Customer Receipts Tables (allocations point at the charged transaction, whose
+    // journal entries are replaced when it is edited)
+    await query(`
+      CREATE TABLE IF NOT EXISTS customer_receipts (
+        id SERIAL PRIMARY KEY,
+        receipt_number VARCHAR(40) UNIQUE,
+        customer_id INTEGER NOT NULL REFERENCES customers (id),
+        receipt_date DATE NOT NULL,
+        deposit_account_id INTEGER NOT NULL REFERENCES accounts (id),
+        receivable_account_id INTEGER NOT NULL REFERENCES accounts (id),
+        amount DECIMAL(15,2) NOT NULL CHECK(amount > 0),
+        reference VARCHAR(50),
+        notes TEXT,
+        status VARCHAR(10) NOT NULL DEFAULT 'posted' CHECK(status IN ('posted', 'voided')),
+        transaction_id INTEGER UNIQUE REFERENCES transactions (id),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS customer_receipt_allocations (
+        id SERIAL PRIMARY KEY,
+        receipt_id INTEGER NOT NULL REFERENCES customer_receipts (id) ON DELETE CASCADE,
+        transaction_id INTEGER NOT NULL REFERENCES transactions (id),
+        amount DECIMAL(15,2) NOT NULL CHECK(amount > 0),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(receipt_id, transaction_id)
+      )
+    `);
+    console.log('✅ Customer receipt tables ready');
+
+    // 13. Bank Reconciliation Tables (one statement per reconciliation; cleared journal
+    // entries carry the reconciliation id, see checkAndFixSchema)
+    await query(`
+      CREATE TABLE IF NOT EXISTS bank_reconciliations (
+        id SERIAL PRIMARY KEY,
+        account_id INTEGER NOT NULL REFERENCES accounts (id),
+        statement_date DATE NOT NULL,
+        opening_balance DECIMAL(15,2) NOT NULL DEFAULT 0,
+        statement_balance DECIMAL(15,2) NOT NULL,
+        status VARCHAR(15) NOT NULL DEFAULT 'in_progress' CHECK(status IN ('in_progress', 'completed')),
+        completed_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    // Statement lines are signed from the bank's side of the account: positive money in
+    await query(`
+      CREATE TABLE IF NOT EXISTS bank_statement_lines (
+        id SERIAL PRIMARY KEY,
+        account_id INTEGER NOT NULL REFERENCES accounts (id),
+        reconciliation_id INTEGER REFERENCES bank_reconciliations (id) ON DELETE CASCADE,
+        line_date DATE NOT NULL,
+        description VARCHAR(200) NOT NULL,
+        reference VARCHAR(50),
+        amount DECIMAL(15,2) NOT NULL CHECK(amount <> 0),
+        journal_entry_id INTEGER UNIQUE REFERENCES journal_entries (id),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+    console.log('✅ Bank reconciliation tables ready');
+
+    // 14. Bank Statement Imports (the imported lines are staged in bank_statement_lines,
+    // see checkAndFixSchema)
+    await query(`
+      CREATE TABLE IF NOT EXISTS bank_statement_imports (
+        id SERIAL PRIMARY KEY,
+        account_id INTEGER NOT NULL REFERENCES accounts (id),
+        format VARCHAR(10) NOT NULL CHECK(format IN ('csv', 'ofx', 'camt053', 'mt940')),
+        file_name VARCHAR(255),
+        statement_date DATE,
+        opening_balance DECIMAL(15,2),
+        closing_balance DECIMAL(15,2),
+        line_count INTEGER NOT NULL DEFAULT 0,
+        duplicate_count INTEGER NOT NULL DEFAULT 0,
+        csv_mapping JSONB,
+        created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+    console.log('✅ Bank statement import table ready');
+
+    // 15. Bank Rules (categorize imported statement lines; amounts are compared without sign,
+    // direction says whether the rule takes money in, money out or both)
+    await query(`
+      CREATE TABLE IF NOT EXISTS bank_rules (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        priority INTEGER NOT NULL DEFAULT 100,
+        bank_account_id INTEGER REFERENCES accounts (id),
+        direction VARCHAR(3) NOT NULL DEFAULT 'any' CHECK(direction IN ('any', 'in', 'out')),
+        description_match VARCHAR(10) CHECK(description_match IN ('contains', 'regex')),
+        description_pattern VARCHAR(200),
+        counterparty_pattern VARCHAR(100),
+        min_amount DECIMAL(15,2) CHECK(min_amount >= 0),
+        max_amount DECIMAL(15,2) CHECK(max_amount >= 0),
+        contra_account_id INTEGER NOT NULL REFERENCES accounts (id),
+        customer_id INTEGER REFERENCES customers (id),
+        vendor_id INTEGER REFERENCES vendors (id),
+        transaction_description VARCHAR(200),
+        auto_post BOOLEAN NOT NULL DEFAULT false,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+    console.log('✅ Bank rules table ready');
+
+    // 16. Exchange Rates (base currency units for one unit of the foreign currency, per day;
+    // a posting uses the latest rate on or before its date)
+    await query(`
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+        id SERIAL PRIMARY KEY,
+        currency_code VARCHAR(3) NOT NULL,
+        rate_date DATE NOT NULL,
+        rate DECIMAL(18,8) NOT NULL CHECK(rate > 0),
+        source VARCHAR(10) NOT NULL DEFAULT 'manual' CHECK(source IN ('manual', 'import')),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(currency_code, rate_date)
+      )
+    `);
+    console.log('✅ Exchange rates table ready');
+
+    // 17. Dimensions (cost centers, departments and projects journal lines are analysed by)
+    await query(`
+      CREATE TABLE IF NOT EXISTS dimensions (
+        id SERIAL PRIMARY KEY,
+        dimension_type VARCHAR(20) NOT NULL CHECK(dimension_type IN ('cost_center', 'department', 'project')),
+        code VARCHAR(20) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(dimension_type, code)
+      )
+    `);
+    console.log('✅ Dimensions table ready');
+
+    // 18. Budgets (one line per fiscal year, income statement account and optional dimension,
+    // with an amount for each of its twelve periods)
+    await query(`
+      CREATE TABLE IF NOT EXISTS budgets (
+        id SERIAL PRIMARY KEY,
+        fiscal_year INTEGER NOT NULL,
+        account_id INTEGER NOT NULL REFERENCES accounts (id),
+        dimension_id INTEGER REFERENCES dimensions (id),
+        notes TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS budget_amounts (
+        budget_id INTEGER NOT NULL REFERENCES budgets (id) ON DELETE CASCADE,
+        period_number INTEGER NOT NULL CHECK(period_number BETWEEN 1 AND 12),
+        amount DECIMAL(15,2) NOT NULL DEFAULT 0 CHECK(amount >= 0),
+        PRIMARY KEY (budget_id, period_number)
+      )
+    `);
+    console.log('✅ Budgets tables ready');
+
+    // 19. Recurring Schedules (journal entries posted automatically on a schedule; occurrence
+    // n falls on start_date plus n intervals, with day_of_month -1 meaning the last day)
+    await query(`
+      CREATE TABLE IF NOT EXISTS recurring_schedules (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        description TEXT NOT NULL,
+        reference VARCHAR(100),
+        series_code VARCHAR(10),
+        entries JSONB NOT NULL,
+        frequency VARCHAR(10) NOT NULL CHECK(frequency IN ('daily', 'weekly', 'monthly', 'quarterly', 'yearly')),
+        interval_count INTEGER NOT NULL DEFAULT 1 CHECK(interval_count BETWEEN 1 AND 365),
+        day_of_month INTEGER CHECK(day_of_month = -1 OR day_of_month BETWEEN 1 AND 31),
+        start_date DATE NOT NULL,
+        end_date DATE,
+        max_occurrences INTEGER CHECK(max_occurrences > 0),
+        catch_up_mode VARCHAR(10) NOT NULL DEFAULT 'all' CHECK(catch_up_mode IN ('all', 'latest')),
+        status VARCHAR(10) NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'paused', 'completed')),
+        next_occurrence_number INTEGER NOT NULL DEFAULT 0,
+        next_run_date DATE,
+        last_run_at TIMESTAMP WITH TIME ZONE,
+        last_error TEXT,
+        created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        CHECK (end_date IS NULL OR end_date >= start_date)
+      )
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS recurring_occurrences (
+        id SERIAL PRIMARY KEY,
+        schedule_id INTEGER NOT NULL REFERENCES recurring_schedules (id) ON DELETE CASCADE,
+        occurrence_number INTEGER NOT NULL,
+        scheduled_date DATE NOT NULL,
+        status VARCHAR(10) NOT NULL CHECK(status IN ('posted', 'skipped', 'failed')),
+        transaction_id INTEGER REFERENCES transactions (id) ON DELETE SET NULL,
+        message TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE (schedule_id, occurrence_number)
+      )
+    `);
+    console.log('✅ Recurring schedules tables ready');
+
+    // 20. Transaction Templates (saved journal entry shapes that prefill the transaction form;
+    // each line's amount is fixed, a percentage of the amount entered when applied, or left open)
+    await query(`
+      CREATE TABLE IF NOT EXISTS transaction_templates (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        description_pattern TEXT,
+        reference VARCHAR(100),
+        lines JSONB NOT NULL,
+        is_shared BOOLEAN NOT NULL DEFAULT false,
+        created_by INTEGER REFERENCES users (id) ON DELETE CASCADE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+    console.log('✅ Transaction templates table ready');
+
     // Check and fix schema
     await checkAndFixSchema();
     
@@ -114,6 +547,141 @@ async function checkAndFixSchema() {
       console.log('✅ transaction_number column already exists');
     }
 
+    // Reversal/void tracking (posted transactions are never deleted)
+    await query(`ALTER TABLE transactions ADD COLUMN IF NOT EXISTS status VARCHAR(10) NOT NULL DEFAULT 'posted' CHECK(status IN ('posted', 'reversed', 'voided'))`);
+    await query(`ALTER TABLE transactions ADD COLUMN IF NOT EXISTS reversal_of INTEGER UNIQUE REFERENCES transactions (id)`);
+    await query(`ALTER TABLE transactions ADD COLUMN IF NOT EXISTS reversal_reason TEXT`);
+    await query(`ALTER TABLE transactions ADD COLUMN IF NOT EXISTS reversed_at TIMESTAMP WITH TIME ZONE`);
+    console.log('✅ Reversal tracking columns ready');
+
+    // Origin of a transaction: 'manual' for user entries, otherwise the system process that posted it
+    await query(`ALTER TABLE transactions ADD COLUMN IF NOT EXISTS source VARCHAR(30) NOT NULL DEFAULT 'manual'`);
+    console.log('✅ Transaction source column ready');
+
+    // Period-end adjusting entries (accruals, depreciation, ...) are flagged so the unadjusted trial balance can leave them out
+    await query(`ALTER TABLE transactions ADD COLUMN IF NOT EXISTS is_adjusting BOOLEAN NOT NULL DEFAULT false`);
+    console.log('✅ Adjusting entry flag column ready');
+
+    // Cash flow classification; NULL falls back to a default derived from account type and subtype
+    await query(`ALTER TABLE accounts ADD COLUMN IF NOT EXISTS cash_flow_category VARCHAR(20) CHECK(cash_flow_category IN ('cash', 'operating', 'investing', 'financing'))`);
+    await query(`
+      UPDATE accounts SET cash_flow_category = CASE account_code WHEN '2002' THEN 'financing' ELSE 'cash' END
+      WHERE account_code IN ('1001', '1002', '2002')
+      AND cash_flow_category IS NULL
+      AND NOT EXISTS (SELECT 1 FROM accounts WHERE cash_flow_category = 'cash')
+    `);
+    console.log('✅ Cash flow category column ready');
+
+    // Voucher numbering; transactions posted before number series existed keep only their TID
+    await query(`ALTER TABLE transactions ADD COLUMN IF NOT EXISTS series_code VARCHAR(10)`);
+    await query(`ALTER TABLE transactions ADD COLUMN IF NOT EXISTS voucher_number VARCHAR(40) UNIQUE`);
+    await query(`
+      INSERT INTO number_series (code, name, prefix, is_default)
+      SELECT code, name, prefix, is_default FROM (VALUES
+        ('JV', 'Journal Voucher', 'JV-', true),
+        ('CR', 'Cash Receipt', 'CR-', false),
+        ('CP', 'Cash Payment', 'CP-', false),
+        ('SI', 'Sales Invoice', 'SI-', false),
+        ('PB', 'Purchase Bill', 'PB-', false)
+      ) AS defaults (code, name, prefix, is_default)
+      WHERE NOT EXISTS (SELECT 1 FROM number_series)
+    `);
+    // Databases seeded before purchase bills existed get their series on top of the user's own
+    await query(`
+      INSERT INTO number_series (code, name, prefix, is_default)
+      SELECT 'PB', 'Purchase Bill', 'PB-', false
+      WHERE NOT EXISTS (SELECT 1 FROM number_series WHERE code = 'PB' OR prefix = 'PB-')
+    `);
+    console.log('✅ Voucher number series ready');
+
+    // Sub-ledgers: entries on a receivable (payable) control account name the customer (vendor) they belong to
+    await query(`ALTER TABLE accounts ADD COLUMN IF NOT EXISTS control_type VARCHAR(20)`);
+    await query(`ALTER TABLE accounts DROP CONSTRAINT IF EXISTS accounts_control_type_check`);
+    await query(`ALTER TABLE accounts ADD CONSTRAINT accounts_control_type_check CHECK(control_type IN ('receivable', 'payable'))`);
+    await query(`ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers (id)`);
+    await query(`ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS vendor_id INTEGER REFERENCES vendors (id)`);
+    // Aging: when a customer or vendor entry falls due
+    await query(`ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS due_date DATE`);
+    await query(`
+      UPDATE accounts SET control_type = CASE account_code WHEN '1003' THEN 'receivable' ELSE 'payable' END
+      WHERE account_code IN ('1003', '2001')
+      AND control_type IS NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM accounts a
+        WHERE a.control_type = CASE accounts.account_code WHEN '1003' THEN 'receivable' ELSE 'payable' END
+      )
+    `);
+    console.log('✅ Receivables and payables sub-ledger columns ready');
+
+    // Output tax on sales invoices; fresh databases get it with the default chart of accounts
+    await query(`
+      INSERT INTO accounts (account_code, account_name, account_type, account_subtype, normal_balance)
+      SELECT '2003', 'Sales Tax Payable', 'Liability', 'Current', 'Credit'
+      WHERE EXISTS (SELECT 1 FROM accounts)
+      AND NOT EXISTS (SELECT 1 FROM accounts WHERE account_code = '2003')
+    `);
+    console.log('✅ Sales tax account ready');
+
+    // Input tax on purchase bills, recoverable against output tax
+    await query(`
+      INSERT INTO accounts (account_code, account_name, account_type, account_subtype, normal_balance)
+      SELECT '1005', 'Sales Tax Receivable', 'Asset', 'Current', 'Debit'
+      WHERE EXISTS (SELECT 1 FROM accounts)
+      AND NOT EXISTS (SELECT 1 FROM accounts WHERE account_code = '1005')
+    `);
+    console.log('✅ Purchase tax account ready');
+
+    // Bank reconciliation: an entry is cleared once it is ticked off in a reconciliation
+    await query(`ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS reconciliation_id INTEGER REFERENCES bank_reconciliations (id)`);
+    // Only one reconciliation per account may be open at a time
+    await query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_bank_reconciliations_one_in_progress
+      ON bank_reconciliations(account_id) WHERE status = 'in_progress'
+    `);
+    console.log('✅ Bank reconciliation columns ready');
+
+    // Bank statement import: imported lines wait in bank_statement_lines, outside any
+    // reconciliation, until one is started for their account and date
+    await query(`ALTER TABLE bank_statement_lines ADD COLUMN IF NOT EXISTS import_id INTEGER REFERENCES bank_statement_imports (id) ON DELETE CASCADE`);
+    await query(`ALTER TABLE bank_statement_lines ADD COLUMN IF NOT EXISTS bank_reference VARCHAR(100)`);
+    await query(`ALTER TABLE bank_statement_lines ADD COLUMN IF NOT EXISTS fingerprint VARCHAR(64)`);
+    await query(`ALTER TABLE bank_statement_lines ADD COLUMN IF NOT EXISTS ignored BOOLEAN NOT NULL DEFAULT false`);
+    // The same bank line is never staged twice for an account
+    await query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_bank_statement_lines_fingerprint
+      ON bank_statement_lines(account_id, fingerprint) WHERE fingerprint IS NOT NULL
+    `);
+    console.log('✅ Bank statement import columns ready');
+
+    // Bank rules: the other party named on an imported line, and the rule that posted it
+    await query(`ALTER TABLE bank_statement_lines ADD COLUMN IF NOT EXISTS counterparty VARCHAR(100)`);
+    await query(`ALTER TABLE bank_statement_lines ADD COLUMN IF NOT EXISTS rule_id INTEGER REFERENCES bank_rules (id) ON DELETE SET NULL`);
+    console.log('✅ Bank rule columns ready');
+
+    // Multi-currency: an account with a currency_code is kept in that foreign currency (NULL is
+    // the base currency). Its entries carry the foreign amount and the rate used, while amount
+    // stays in the base currency, so balances and reports are unchanged.
+    await query(`ALTER TABLE accounts ADD COLUMN IF NOT EXISTS currency_code VARCHAR(3)`);
+    await query(`ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS currency_code VARCHAR(3)`);
+    await query(`ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS foreign_amount DECIMAL(15,3) CHECK(foreign_amount > 0)`);
+    await query(`ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(18,8) CHECK(exchange_rate > 0)`);
+    console.log('✅ Currency columns ready');
+
+    // Unrealized gains and losses of exchange revaluation runs
+    await query(`
+      INSERT INTO accounts (account_code, account_name, account_type, account_subtype, normal_balance)
+      SELECT '4004', 'Exchange Gain/Loss', 'Revenue', 'Non-Operating', 'Credit'
+      WHERE EXISTS (SELECT 1 FROM accounts)
+      AND NOT EXISTS (SELECT 1 FROM accounts WHERE account_code = '4004')
+    `);
+    console.log('✅ Exchange gain/loss account ready');
+
+    // Tracking dimensions: each journal line may carry one cost center, department and project
+    await query(`ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS cost_center_id INTEGER REFERENCES dimensions (id)`);
+    await query(`ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS department_id INTEGER REFERENCES dimensions (id)`);
+    await query(`ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS project_id INTEGER REFERENCES dimensions (id)`);
+    console.log('✅ Dimension columns ready');
+
     if (hasTransactionNumber) {
       await checkTransactionNumbers();
     } else {
@@ -133,17 +701,80 @@ async function createIndexes() {
     // Journal entries indexes
     `CREATE INDEX IF NOT EXISTS idx_journal_entries_transaction_id ON journal_entries(transaction_id)`,
     `CREATE INDEX IF NOT EXISTS idx_journal_entries_account_id ON journal_entries(account_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_journal_entries_customer_id ON journal_entries(customer_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_journal_entries_vendor_id ON journal_entries(vendor_id)`,
     
     // Transactions indexes
     `CREATE INDEX IF NOT EXISTS idx_transactions_date ON transactions(transaction_date)`,
     `CREATE INDEX IF NOT EXISTS idx_transactions_number ON transactions(transaction_number)`,
     `CREATE INDEX IF NOT EXISTS idx_transactions_created ON transactions(created_at)`,
     `CREATE INDEX IF NOT EXISTS idx_transactions_updated ON transactions(updated_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_transactions_status ON transactions(status)`,
+    `CREATE INDEX IF NOT EXISTS idx_transactions_source ON transactions(source)`,
+    `CREATE INDEX IF NOT EXISTS idx_transactions_series ON transactions(series_code)`,
     
     // Accounts indexes
     `CREATE INDEX IF NOT EXISTS idx_accounts_type ON accounts(account_type)`,
     `CREATE INDEX IF NOT EXISTS idx_accounts_active ON accounts(is_active)`,
     `CREATE INDEX IF NOT EXISTS idx_accounts_code ON accounts(account_code)`,
+
+    // Customers indexes
+    `CREATE INDEX IF NOT EXISTS idx_customers_active ON customers(is_active)`,
+
+    // Vendors indexes
+    `CREATE INDEX IF NOT EXISTS idx_vendors_active ON vendors(is_active)`,
+
+    // Sales invoices indexes
+    `CREATE INDEX IF NOT EXISTS idx_sales_invoices_customer_id ON sales_invoices(customer_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_sales_invoices_status ON sales_invoices(status)`,
+    `CREATE INDEX IF NOT EXISTS idx_sales_invoice_lines_invoice_id ON sales_invoice_lines(invoice_id)`,
+
+    // Purchase bills and vendor payments indexes
+    `CREATE INDEX IF NOT EXISTS idx_purchase_bills_vendor_id ON purchase_bills(vendor_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_purchase_bills_status ON purchase_bills(status)`,
+    `CREATE INDEX IF NOT EXISTS idx_purchase_bill_lines_bill_id ON purchase_bill_lines(bill_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_vendor_payments_vendor_id ON vendor_payments(vendor_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_vendor_payment_allocations_bill_id ON vendor_payment_allocations(bill_id)`,
+
+    // Customer receipts indexes
+    `CREATE INDEX IF NOT EXISTS idx_customer_receipts_customer_id ON customer_receipts(customer_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_customer_receipt_allocations_transaction_id ON customer_receipt_allocations(transaction_id)`,
+
+    // Bank reconciliation indexes
+    `CREATE INDEX IF NOT EXISTS idx_journal_entries_reconciliation_id ON journal_entries(reconciliation_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_bank_reconciliations_account_id ON bank_reconciliations(account_id, statement_date)`,
+    `CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_account_id ON bank_statement_lines(account_id, line_date)`,
+    `CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_reconciliation_id ON bank_statement_lines(reconciliation_id)`,
+
+    // Bank statement import indexes
+    `CREATE INDEX IF NOT EXISTS idx_bank_statement_imports_account_id ON bank_statement_imports(account_id, created_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_import_id ON bank_statement_lines(import_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_bank_rules_priority ON bank_rules(priority, id) WHERE is_active = true`,
+
+    // Exchange rate indexes (the UNIQUE constraint covers lookups by currency and date)
+    `CREATE INDEX IF NOT EXISTS idx_exchange_rates_date ON exchange_rates(rate_date)`,
+
+    // Dimension indexes
+    `CREATE INDEX IF NOT EXISTS idx_journal_entries_cost_center_id ON journal_entries(cost_center_id) WHERE cost_center_id IS NOT NULL`,
+    `CREATE INDEX IF NOT EXISTS idx_journal_entries_department_id ON journal_entries(department_id) WHERE department_id IS NOT NULL`,
+    `CREATE INDEX IF NOT EXISTS idx_journal_entries_project_id ON journal_entries(project_id) WHERE project_id IS NOT NULL`,
+
+    // Budget indexes (at most one line per fiscal year, account and dimension)
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_budgets_line ON budgets(fiscal_year, account_id, COALESCE(dimension_id, 0))`,
+
+    // Recurring schedule indexes
+    `CREATE INDEX IF NOT EXISTS idx_recurring_schedules_due ON recurring_schedules(next_run_date) WHERE status = 'active'`,
+    `CREATE INDEX IF NOT EXISTS idx_recurring_occurrences_transaction_id ON recurring_occurrences(transaction_id)`,
+
+    // Transaction template indexes
+    `CREATE INDEX IF NOT EXISTS idx_transaction_templates_created_by ON transaction_templates(created_by)`,
+
+    // Accounting periods indexes
+    `CREATE INDEX IF NOT EXISTS idx_accounting_periods_dates ON accounting_periods(start_date, end_date)`,
+    `CREATE INDEX IF NOT EXISTS idx_accounting_periods_fiscal_year ON accounting_periods(fiscal_year)`,
+
+    // Number series indexes (at most one default series)
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_number_series_default ON number_series(is_default) WHERE is_default`,
     
     // Users indexes
     `CREATE INDEX IF NOT EXISTS idx_users_username ON users(username)`,
@@ -244,16 +875,18 @@ async function initializeDefaultAccounts() {
 
     const defaultAccounts = [
       // Assets (1xxx series)
-      { code: '1001', name: 'Cash', type: 'Asset', subtype: 'Current', normal_balance: 'Debit' },
-      { code: '1002', name: 'Bank Account', type: 'Asset', subtype: 'Current', normal_balance: 'Debit' },
-      { code: '1003', name: 'Accounts Receivable', type: 'Asset', subtype: 'Current', normal_balance: 'Debit' },
+      { code: '1001', name: 'Cash', type: 'Asset', subtype: 'Current', normal_balance: 'Debit', cash_flow_category: 'cash' },
+      { code: '1002', name: 'Bank Account', type: 'Asset', subtype: 'Current', normal_balance: 'Debit', cash_flow_category: 'cash' },
+      { code: '1003', name: 'Accounts Receivable', type: 'Asset', subtype: 'Current', normal_balance: 'Debit', control_type: 'receivable' },
       { code: '1004', name: 'Inventory', type: 'Asset', subtype: 'Current', normal_balance: 'Debit' },
+      { code: '1005', name: 'Sales Tax Receivable', type: 'Asset', subtype: 'Current', normal_balance: 'Debit' },
       { code: '1101', name: 'Office Equipment', type: 'Asset', subtype: 'Non-Current', normal_balance: 'Debit' },
       { code: '1102', name: 'Furniture & Fixtures', type: 'Asset', subtype: 'Non-Current', normal_balance: 'Debit' },
       
       // Liabilities (2xxx series)
-      { code: '2001', name: 'Accounts Payable', type: 'Liability', subtype: 'Current', normal_balance: 'Credit' },
-      { code: '2002', name: 'Loans Payable', type: 'Liability', subtype: 'Current', normal_balance: 'Credit' },
+      { code: '2001', name: 'Accounts Payable', type: 'Liability', subtype: 'Current', normal_balance: 'Credit', control_type: 'payable' },
+      { code: '2002', name: 'Loans Payable', type: 'Liability', subtype: 'Current', normal_balance: 'Credit', cash_flow_category: 'financing' },
+      { code: '2003', name: 'Sales Tax Payable', type: 'Liability', subtype: 'Current', normal_balance: 'Credit' },
       { code: '2101', name: 'Long-term Loan', type: 'Liability', subtype: 'Non-Current', normal_balance: 'Credit' },
       
       // Capital/Equity (3xxx series)
@@ -265,6 +898,7 @@ async function initializeDefaultAccounts() {
       { code: '4001', name: 'Sales Revenue', type: 'Revenue', subtype: 'Operating', normal_balance: 'Credit' },
       { code: '4002', name: 'Service Revenue', type: 'Revenue', subtype: 'Operating', normal_balance: 'Credit' },
       { code: '4003', name: 'Interest Income', type: 'Revenue', subtype: 'Non-Operating', normal_balance: 'Credit' },
+      { code: '4004', name: 'Exchange Gain/Loss', type: 'Revenue', subtype: 'Non-Operating', normal_balance: 'Credit' },
       
       // Expenses (5xxx series)
       { code: '5001', name: 'Cost of Goods Sold', type: 'Expense', subtype: 'Operating', normal_balance: 'Debit' },
@@ -279,9 +913,9 @@ async function initializeDefaultAccounts() {
     for (const account of defaultAccounts) {
       try {
         await query(
-          `INSERT INTO accounts (account_code, account_name, account_type, account_subtype, normal_balance) 
-           VALUES ($1, $2, $3, $4, $5)`,
-          [account.code, account.name, account.type, account.subtype, account.normal_balance]
+          `INSERT INTO accounts (account_code, account_name, account_type, account_subtype, normal_balance, cash_flow_category, control_type) 
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [account.code, account.name, account.type, account.subtype, account.normal_balance, account.cash_flow_category || null, account.control_type || null]
         );
         console.log(`   ✓ Added: ${account.code} - ${account.name}`);
       } catch (error) {
@@ -360,6 +994,20 @@ async function createTriggers() {
     await query(`DROP TRIGGER IF EXISTS update_transaction_timestamp_trigger ON transactions`);
     await query(`DROP TRIGGER IF EXISTS update_account_timestamp_trigger ON accounts`);
     await query(`DROP TRIGGER IF EXISTS update_user_timestamp_trigger ON users`);
+    await query(`DROP TRIGGER IF EXISTS update_period_timestamp_trigger ON accounting_periods`);
+    await query(`DROP TRIGGER IF EXISTS update_number_series_timestamp_trigger ON number_series`);
+    await query(`DROP TRIGGER IF EXISTS update_customer_timestamp_trigger ON customers`);
+    await query(`DROP TRIGGER IF EXISTS update_vendor_timestamp_trigger ON vendors`);
+    await query(`DROP TRIGGER IF EXISTS update_sales_invoice_timestamp_trigger ON sales_invoices`);
+    await query(`DROP TRIGGER IF EXISTS update_purchase_bill_timestamp_trigger ON purchase_bills`);
+    await query(`DROP TRIGGER IF EXISTS update_vendor_payment_timestamp_trigger ON vendor_payments`);
+    await query(`DROP TRIGGER IF EXISTS update_customer_receipt_timestamp_trigger ON customer_receipts`);
+    await query(`DROP TRIGGER IF EXISTS update_bank_reconciliation_timestamp_trigger ON bank_reconciliations`);
+    await query(`DROP TRIGGER IF EXISTS update_bank_rule_timestamp_trigger ON bank_rules`);
+    await query(`DROP TRIGGER IF EXISTS update_exchange_rate_timestamp_trigger ON exchange_rates`);
+    await query(`DROP TRIGGER IF EXISTS update_budget_timestamp_trigger ON budgets`);
+    await query(`DROP TRIGGER IF EXISTS update_recurring_schedule_timestamp_trigger ON recurring_schedules`);
+    await query(`DROP TRIGGER IF EXISTS update_transaction_template_timestamp_trigger ON transaction_templates`);
 
     // 1. Transaction Number Trigger Function
     await query(`
@@ -419,6 +1067,104 @@ async function createTriggers() {
       EXECUTE FUNCTION update_timestamp_func();
     `);
 
+    await query(`
+      CREATE TRIGGER update_period_timestamp_trigger
+      BEFORE UPDATE ON accounting_periods
+      FOR EACH ROW
+      EXECUTE FUNCTION update_timestamp_func();
+    `);
+
+    await query(`
+      CREATE TRIGGER update_number_series_timestamp_trigger
+      BEFORE UPDATE ON number_series
+      FOR EACH ROW
+      EXECUTE FUNCTION update_timestamp_func();
+    `);
+
+    await query(`
+      CREATE TRIGGER update_customer_timestamp_trigger
+      BEFORE UPDATE ON customers
+      FOR EACH ROW
+      EXECUTE FUNCTION update_timestamp_func();
+    `);
+
+    await query(`
+      CREATE TRIGGER update_vendor_timestamp_trigger
+      BEFORE UPDATE ON vendors
+      FOR EACH ROW
+      EXECUTE FUNCTION update_timestamp_func();
+    `);
+
+    await query(`
+      CREATE TRIGGER update_sales_invoice_timestamp_trigger
+      BEFORE UPDATE ON sales_invoices
+      FOR EACH ROW
+      EXECUTE FUNCTION update_timestamp_func();
+    `);
+
+    await query(`
+      CREATE TRIGGER update_purchase_bill_timestamp_trigger
+      BEFORE UPDATE ON purchase_bills
+      FOR EACH ROW
+      EXECUTE FUNCTION update_timestamp_func();
+    `);
+
+    await query(`
+      CREATE TRIGGER update_vendor_payment_timestamp_trigger
+      BEFORE UPDATE ON vendor_payments
+      FOR EACH ROW
+      EXECUTE FUNCTION update_timestamp_func();
+    `);
+
+    await query(`
+      CREATE TRIGGER update_customer_receipt_timestamp_trigger
+      BEFORE UPDATE ON customer_receipts
+      FOR EACH ROW
+      EXECUTE FUNCTION update_timestamp_func();
+    `);
+
+    await query(`
+      CREATE TRIGGER update_bank_reconciliation_timestamp_trigger
+      BEFORE UPDATE ON bank_reconciliations
+      FOR EACH ROW
+      EXECUTE FUNCTION update_timestamp_func();
+    `);
+
+    await query(`
+      CREATE TRIGGER update_bank_rule_timestamp_trigger
+      BEFORE UPDATE ON bank_rules
+      FOR EACH ROW
+      EXECUTE FUNCTION update_timestamp_func();
+    `);
+
+    await query(`
+      CREATE TRIGGER update_exchange_rate_timestamp_trigger
+      BEFORE UPDATE ON exchange_rates
+      FOR EACH ROW
+      EXECUTE FUNCTION update_timestamp_func();
+    `);
+
+    await query(`
+      CREATE TRIGGER update_budget_timestamp_trigger
+      BEFORE UPDATE ON budgets
+      FOR EACH ROW
+      EXECUTE FUNCTION update_timestamp_func();
+    `);
+
+    await query(`
+      CREATE TRIGGER update_recurring_schedule_timestamp_trigger
+      BEFORE UPDATE ON recurring_schedules
+      FOR EACH ROW
+      EXECUTE FUNCTION update_timestamp_func();
+    `);
+
+    await query(`
+      CREATE TRIGGER update_transaction_template_timestamp_trigger
+      BEFORE UPDATE ON transaction_templates
+      FOR EACH ROW
+      EXECUTE FUNCTION update_timestamp_func();
+    `);
+
     console.log('✅ Timestamp update triggers created');
     await finalizeDatabase();
   } catch (error) {
@@ -6,6 +6,9 @@ class PostgresFullYearSeeder {
     // Account mapping
     this.accountIds = {};
     
+    // Vendor mapping (supplier name -> vendor id)
+    this.vendorIds = {};
+    
     // Business parameters for TechMart Electronics
     this.businessName = "TechMart Electronics";
     this.location = "Karachi, Pakistan";
@@ -192,6 +195,32 @@ class PostgresFullYearSeeder {
     }
   }
 
+  // ===== VENDOR MAPPING =====
+  // Suppliers become vendors so payable entries can be tagged for the AP sub-ledger
+  async mapVendors() {
+    console.log('🔍 Loading vendors...');
+    
+    try {
+      for (const supplier of this.suppliers) {
+        await query(
+          'INSERT INTO vendors (name, payment_terms_days) VALUES ($1, 30) ON CONFLICT (name) DO NOTHING',
+          [supplier]
+        );
+      }
+      
+      const vendors = await query('SELECT id, name FROM vendors WHERE name = ANY($1)', [this.suppliers]);
+      vendors.rows.forEach(vendor => {
+        this.vendorIds[vendor.name] = vendor.id;
+      });
+      
+      console.log(`✅ Found ${vendors.rows.length} vendors`);
+      return true;
+    } catch (error) {
+      console.error('Error loading vendors:', error);
+      throw error;
+    }
+  }
+
   // ===== BUSINESS TRANSACTION GENERATORS =====
   generateCapitalInvestment(year, month) {
     return {
@@ -254,7 +283,7 @@ class PostgresFullYearSeeder {
       reference: `PUR-${year}${(month + 1).toString().padStart(2, '0')}-${Math.floor(Math.random() * 1000)}`,
       entries: [
         { account_id: this.accountIds.inventory, amount: amount, entry_type: 'Debit' },
-        { account_id: this.accountIds.accountspayable, amount: amount, entry_type: 'Credit' }
+        { account_id: this.accountIds.accountspayable, amount: amount, entry_type: 'Credit', vendor_id: this.vendorIds[supplier] }
       ]
     };
   }
@@ -268,7 +297,7 @@ class PostgresFullYearSeeder {
       description: `Payment to ${supplier} for inventory purchases`,
       reference: `PAY-${year}${(month + 1).toString().padStart(2, '0')}-${Math.floor(Math.random() * 1000)}`,
       entries: [
-        { account_id: this.accountIds.accountspayable, amount: amount, entry_type: 'Debit' },
+        { account_id: this.accountIds.accountspayable, amount: amount, entry_type: 'Debit', vendor_id: this.vendorIds[supplier] },
         { account_id: this.accountIds.cash, amount: amount, entry_type: 'Credit' }
       ]
     };
@@ -547,9 +576,9 @@ class PostgresFullYearSeeder {
       for (const entry of entries) {
         await query(`
           INSERT INTO journal_entries 
-          (transaction_id, account_id, amount, entry_type, created_at)
-          VALUES ($1, $2, $3, $4, NOW())
-        `, [transactionId, entry.account_id, entry.amount, entry.entry_type]);
+          (transaction_id, account_id, amount, entry_type, vendor_id, created_at)
+          VALUES ($1, $2, $3, $4, $5, NOW())
+        `, [transactionId, entry.account_id, entry.amount, entry.entry_type, entry.vendor_id || null]);
         
         // Update account balance
         await this.updateAccountBalance(entry.account_id, entry.amount, entry.entry_type);
@@ -887,6 +916,7 @@ class PostgresFullYearSeeder {
       
       // Map accounts
       await this.mapAccounts();
+      await this.mapVendors();
       
       // Generate all transactions
       const results = await this.generateAllTransactions();
@@ -1,5 +1,25 @@
 // backend/models/accountingModel.js - PostgreSQL Production Ready
 const { query } = require('../database/db');
+const money = require('../utils/money');
+
+const TRIAL_BALANCE_VARIANTS = ['adjusted', 'unadjusted', 'post_closing'];
+const CASH_FLOW_CATEGORIES = ['cash', 'operating', 'investing', 'financing'];
+const CASH_FLOW_METHODS = ['indirect', 'direct'];
+// Advisory lock key serializing TID allocation between concurrent postings
+const TRANSACTION_NUMBER_LOCK_KEY = 730001;
+// Control accounts keep a sub-ledger: every journal entry on them names the party it belongs to
+const SUBLEDGERS = {
+  receivable: { column: 'customer_id', table: 'customers', label: 'Customer', accountType: 'Asset' },
+  payable: { column: 'vendor_id', table: 'vendors', label: 'Vendor', accountType: 'Liability' }
+};
+// Aging buckets by days past due; an open item lands in the first bucket whose maxDays it does not exceed
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0 },
+  { key: 'days_1_30', label: '1-30 Days', maxDays: 30 },
+  { key: 'days_31_60', label: '31-60 Days', maxDays: 60 },
+  { key: 'days_61_90', label: '61-90 Days', maxDays: 90 },
+  { key: 'over_90', label: '90+ Days', maxDays: Infinity }
+];
 
 class AccountingModel {
   // ===== PAKISTAN TIME HELPER METHODS =====
@@ -153,18 +173,152 @@ class AccountingModel {
       }
     }
     
+    if (accountData.cash_flow_category) {
+      this.validateCashFlowCategory(accountData.cash_flow_category, account_type);
+    }
+    
+    // Only money held or owed can be in a foreign currency
+    const CurrencyModel = require('./currencyModel');
+    if (CurrencyModel.normalizeCurrency(accountData.currency_code) && account_type !== 'Asset' && account_type !== 'Liability') {
+      throw new Error('Only Asset and Liability accounts can be kept in a foreign currency');
+    }
+    
+    return true;
+  }
+
+  static validateCashFlowCategory(category, accountType) {
+    if (!CASH_FLOW_CATEGORIES.includes(category)) {
+      throw new Error(`Cash flow category must be one of: ${CASH_FLOW_CATEGORIES.join(', ')}`);
+    }
+    
+    if (category === 'cash' && accountType !== 'Asset') {
+      throw new Error('Only Asset accounts can be classified as cash');
+    }
+    
+    return true;
+  }
+
+  static validateControlType(controlType, accountType) {
+    const subledger = SUBLEDGERS[controlType];
+    if (!subledger) {
+      throw new Error(`Control type must be one of: ${Object.keys(SUBLEDGERS).join(', ')}`);
+    }
+    
+    if (accountType !== subledger.accountType) {
+      throw new Error(`Only ${subledger.accountType} accounts can be ${controlType} control accounts`);
+    }
+    
     return true;
   }
 
-  static async getAllAccounts() {
+  // Marks an account as the control account of a sub-ledger (null clears it). Entries
+  // posted before the change have no party and show as unassigned in the sub-ledger.
+  static async updateControlType(accountId, controlType) {
+    try {
+      const accountResult = await query(
+        `SELECT account_type FROM accounts WHERE id = $1 AND is_active = true`,
+        [accountId]
+      );
+      
+      if (accountResult.rows.length === 0) {
+        throw new Error('Account not found or already deleted');
+      }
+      
+      if (controlType) {
+        this.validateControlType(controlType, accountResult.rows[0].account_type);
+      }
+      
+      const pakistanTime = this.getPakistanTime();
+      
+      await query(
+        `UPDATE accounts SET control_type = $1, updated_at = $2 WHERE id = $3`,
+        [controlType || null, pakistanTime.timestamp, accountId]
+      );
+      
+      return {
+        message: 'Control type updated successfully',
+        control_type: controlType || null,
+        updated_at: pakistanTime.fullDateTime
+      };
+    } catch (error) {
+      console.error('Update control type error:', error);
+      throw error;
+    }
+  }
+
+  // Cash flow category of an account: the stored classification, or a default
+  // from its type and subtype (non-current assets are investing, non-current
+  // liabilities and capital are financing, everything else is operating).
+  static getCashFlowCategory(account) {
+    if (account.cash_flow_category) {
+      return account.cash_flow_category;
+    }
+    
+    const isNonCurrent = account.account_subtype === 'Non-Current' || account.account_subtype === 'NonCurrent';
+    
+    switch (account.account_type) {
+      case 'Asset':
+        return isNonCurrent ? 'investing' : 'operating';
+      case 'Liability':
+        return isNonCurrent ? 'financing' : 'operating';
+      case 'Capital':
+        return 'financing';
+      default:
+        return 'operating';
+    }
+  }
+
+  // Validates an optional asOf date (dd/mm/yyyy) and returns it as yyyy-mm-dd, or null when absent.
+  static parseAsOfDate(asOf) {
+    if (!asOf) return null;
+    
+    const dbAsOf = this.convertToYYYYMMDD(asOf);
+    if (!dbAsOf) {
+      throw new Error('Invalid date format. Use dd/mm/yyyy');
+    }
+    return dbAsOf;
+  }
+
+  // Source of account rows for reports. Without a date this is the accounts table and its
+  // running balance; with one (bound as $1) balance is rebuilt from the journal entries of
+  // transactions dated on or before it, so historical reports come out the same every time.
+  static accountsAsOf(dbAsOf) {
+    if (!dbAsOf) return 'accounts';
+    
+    return `(
+          SELECT 
+            a.id,
+            a.account_code,
+            a.account_name,
+            a.account_type,
+            a.account_subtype,
+            a.cash_flow_category,
+            a.control_type,
+            a.currency_code,
+            a.normal_balance,
+            a.is_active,
+            a.created_at,
+            a.updated_at,
+            COALESCE(SUM(CASE WHEN je.entry_type = a.normal_balance THEN je.amount ELSE -je.amount END), 0) as balance
+          FROM accounts a
+          LEFT JOIN (journal_entries je
+            JOIN transactions t ON je.transaction_id = t.id AND t.transaction_date <= $1)
+            ON je.account_id = a.id
+          GROUP BY a.id
+        ) accounts`;
+  }
+
+  static async getAllAccounts(asOf = null) {
     try {
+      const dbAsOf = this.parseAsOfDate(asOf);
       const result = await query(
-        `SELECT * FROM accounts WHERE is_active = true ORDER BY account_code`
+        `SELECT * FROM ${this.accountsAsOf(dbAsOf)} WHERE is_active = true ORDER BY account_code`,
+        dbAsOf ? [dbAsOf] : []
       );
       
       const formattedRows = result.rows.map(account => ({
         ...account,
-        balance: parseFloat(account.balance) || 0,
+        balance: money.round(account.balance),
         created_at_formatted: this.formatDateToPakistan(account.created_at),
         updated_at_formatted: this.formatDateToPakistan(account.updated_at),
         date_created_formatted: this.formatDateOnly(account.created_at)
@@ -186,6 +340,8 @@ class AccountingModel {
           account_name,
           account_type,
           account_subtype,
+          cash_flow_category,
+          currency_code,
           normal_balance,
           balance,
           created_at,
@@ -207,7 +363,8 @@ class AccountingModel {
       
       const formattedRows = result.rows.map(account => ({
         ...account,
-        balance: parseFloat(account.balance) || 0,
+        balance: money.round(account.balance),
+        cash_flow_category_effective: this.getCashFlowCategory(account),
         created_at_formatted: this.formatDateToPakistan(account.created_at),
         updated_at_formatted: this.formatDateToPakistan(account.updated_at),
         date_created_formatted: this.formatDateOnly(account.created_at)
@@ -270,7 +427,7 @@ class AccountingModel {
       const row = result.rows[0];
       const formattedRow = {
         ...row,
-        balance: parseFloat(row.balance) || 0,
+        balance: money.round(row.balance),
         created_at_formatted: this.formatDateToPakistan(row.created_at),
         updated_at_formatted: this.formatDateToPakistan(row.updated_at),
         date_created_formatted: this.formatDateOnly(row.created_at)
@@ -302,7 +459,9 @@ class AccountingModel {
       throw validationError;
     }
 
-    const { account_name, account_type, account_subtype, normal_balance } = accountData;
+    const { account_name, account_type, account_subtype, normal_balance, cash_flow_category } = accountData;
+    const CurrencyModel = require('./currencyModel');
+    const currencyCode = CurrencyModel.normalizeCurrency(accountData.currency_code);
     const baseCode = this.generateAccountCode(account_type);
     
     try {
@@ -324,10 +483,10 @@ class AccountingModel {
       
       const insertResult = await query(
         `INSERT INTO accounts 
-         (account_code, account_name, account_type, account_subtype, normal_balance, balance, created_at, updated_at) 
-         VALUES ($1, $2, $3, $4, $5, 0, $6, $7) 
+         (account_code, account_name, account_type, account_subtype, normal_balance, cash_flow_category, currency_code, balance, created_at, updated_at) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, 0, $8, $9) 
          RETURNING id, account_code, account_name, created_at`,
-        [account_code, account_name, account_type, account_subtype || null, normal_balance, pakistanTime.timestamp, pakistanTime.timestamp]
+        [account_code, account_name, account_type, account_subtype || null, normal_balance, cash_flow_category || null, currencyCode, pakistanTime.timestamp, pakistanTime.timestamp]
       );
       
       return {
@@ -351,7 +510,9 @@ class AccountingModel {
       throw validationError;
     }
 
-    const { account_name, account_type, account_subtype, normal_balance } = updateData;
+    const { account_name, account_type, account_subtype, normal_balance, cash_flow_category } = updateData;
+    const CurrencyModel = require('./currencyModel');
+    const currencyCode = CurrencyModel.normalizeCurrency(updateData.currency_code);
     
     try {
       const transactionCheck = await query(
@@ -367,10 +528,10 @@ class AccountingModel {
       
       const updateResult = await query(
         `UPDATE accounts 
-         SET account_name = $1, account_type = $2, account_subtype = $3, normal_balance = $4, updated_at = $5
-         WHERE id = $6 AND is_active = true
+         SET account_name = $1, account_type = $2, account_subtype = $3, normal_balance = $4, cash_flow_category = $5, currency_code = $6, updated_at = $7
+         WHERE id = $8 AND is_active = true
          RETURNING id`,
-        [account_name, account_type, account_subtype || null, normal_balance, pakistanTime.timestamp, accountId]
+        [account_name, account_type, account_subtype || null, normal_balance, cash_flow_category || null, currencyCode, pakistanTime.timestamp, accountId]
       );
       
       if (updateResult.rowCount === 0) {
@@ -388,6 +549,41 @@ class AccountingModel {
     }
   }
 
+  // Cash flow classification only affects reporting, so unlike updateAccount it
+  // is allowed on accounts that already have transactions. null restores the default.
+  static async updateCashFlowCategory(accountId, category) {
+    try {
+      const accountResult = await query(
+        `SELECT account_type FROM accounts WHERE id = $1 AND is_active = true`,
+        [accountId]
+      );
+      
+      if (accountResult.rows.length === 0) {
+        throw new Error('Account not found or already deleted');
+      }
+      
+      if (category) {
+        this.validateCashFlowCategory(category, accountResult.rows[0].account_type);
+      }
+      
+      const pakistanTime = this.getPakistanTime();
+      
+      await query(
+        `UPDATE accounts SET cash_flow_category = $1, updated_at = $2 WHERE id = $3`,
+        [category || null, pakistanTime.timestamp, accountId]
+      );
+      
+      return {
+        message: 'Cash flow category updated successfully',
+        cash_flow_category: category || null,
+        updated_at: pakistanTime.fullDateTime
+      };
+    } catch (error) {
+      console.error('Update cash flow category error:', error);
+      throw error;
+    }
+  }
+
   static async deleteAccount(accountId) {
     try {
       const transactionCheck = await query(
@@ -446,7 +642,7 @@ class AccountingModel {
       
       const formattedRows = result.rows.map(account => ({
         ...account,
-        balance: parseFloat(account.balance) || 0,
+        balance: money.round(account.balance),
         created_at_formatted: this.formatDateToPakistan(account.created_at),
         updated_at_formatted: this.formatDateToPakistan(account.updated_at),
         date_created_formatted: this.formatDateOnly(account.created_at)
@@ -468,6 +664,7 @@ class AccountingModel {
           account_name,
           account_type,
           account_subtype,
+          control_type,
           normal_balance,
           balance,
           is_active
@@ -478,7 +675,7 @@ class AccountingModel {
       
       return result.rows.map(account => ({
         ...account,
-        balance: parseFloat(account.balance) || 0
+        balance: money.round(account.balance)
       }));
     } catch (error) {
       console.error('Get chart of accounts error:', error);
@@ -512,6 +709,7 @@ class AccountingModel {
       throw new Error('Transaction must have at least two journal entries (double-entry)');
     }
     
+    // Totals are kept in integer minor units so the balance check is exact
     let totalDebits = 0;
     let totalCredits = 0;
     const accountIds = new Set();
@@ -525,11 +723,24 @@ class AccountingModel {
         throw new Error(`Entry ${index + 1}: Amount is required`);
       }
       
-      const amount = parseFloat(entry.amount);
+      if (entry.due_date && !/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(String(entry.due_date))) {
+        throw new Error(`Entry ${index + 1}: Invalid due date format. Use dd/mm/yyyy`);
+      }
+      
+      let amount = NaN;
+      try {
+        amount = money.toMinor(entry.amount);
+      } catch (error) {
+        // Reported below as an invalid amount
+      }
       if (isNaN(amount) || amount <= 0) {
         throw new Error(`Entry ${index + 1}: Amount must be a positive number`);
       }
       
+      if (!money.isExact(entry.amount)) {
+        throw new Error(`Entry ${index + 1}: Amount cannot have more than ${money.getCurrencyConfig().decimals} decimal places`);
+      }
+      
       if (!entry.entry_type || !['Debit', 'Credit'].includes(entry.entry_type)) {
         throw new Error(`Entry ${index + 1}: Entry type must be Debit or Credit`);
       }
@@ -543,9 +754,8 @@ class AccountingModel {
       accountIds.add(entry.account_id);
     });
     
-    const difference = Math.abs(totalDebits - totalCredits);
-    if (difference > 0.01) {
-      throw new Error(`Debits (${totalDebits.toFixed(2)}) do not equal Credits (${totalCredits.toFixed(2)})`);
+    if (totalDebits !== totalCredits) {
+      throw new Error(`Debits (${money.toFixed(money.fromMinor(totalDebits))}) do not equal Credits (${money.toFixed(money.fromMinor(totalCredits))})`);
     }
     
     if (accountIds.size < 2) {
@@ -554,12 +764,24 @@ class AccountingModel {
     
     return {
       dbDate: dbDate,
-      totalDebits: totalDebits,
-      totalCredits: totalCredits
+      totalDebits: money.fromMinor(totalDebits),
+      totalCredits: money.fromMinor(totalCredits)
     };
   }
 
-  static async createTransaction(transactionData) {
+  // options.source tags postings generated from another document (e.g. 'sales_invoice'),
+  // which can then only be voided, not edited; options.client posts inside the caller's
+  // DB transaction instead of a new one.
+  static async createTransaction(transactionData, options = {}) {
+    // Entries given in a foreign currency get their base currency amount first
+    const CurrencyModel = require('./currencyModel');
+    transactionData = {
+      ...transactionData,
+      entries: await CurrencyModel.convertEntries(options.client, transactionData.entries, this.convertToYYYYMMDD(transactionData.date), {
+        allowRevaluation: options.source === 'fx_revaluation'
+      })
+    };
+    
     let validationResult;
     try {
       validationResult = this.validateTransaction(transactionData);
@@ -567,51 +789,32 @@ class AccountingModel {
       throw validationError;
     }
 
-    const { date, description, reference, entries } = transactionData;
+    const { description, reference, entries, is_adjusting, series_code } = transactionData;
     const { dbDate } = validationResult;
     
     try {
       const { transaction } = require('../database/db');
+      const run = options.client ? (work) => work(options.client) : transaction;
       
-      const result = await transaction(async (client) => {
+      const result = await run(async (client) => {
         const pakistanTime = this.getPakistanTime();
         
-        const tidResult = await client.query(
-          `SELECT COALESCE(MAX(transaction_number), 0) + 1 as nextTID FROM transactions`
-        );
-        
-        const nextTransactionNumber = parseInt(tidResult.rows[0].nexttid);
-        
-        const transactionResult = await client.query(
-          `INSERT INTO transactions 
-           (transaction_date, description, reference, transaction_number, created_at, updated_at) 
-           VALUES ($1, $2, $3, $4, $5, $6) 
-           RETURNING id, transaction_number`,
-          [dbDate, description, reference || '', nextTransactionNumber, pakistanTime.timestamp, pakistanTime.timestamp]
-        );
-        
-        const transactionId = transactionResult.rows[0].id;
-        
-        if (!entries || entries.length === 0) {
-          throw new Error('No journal entries provided');
-        }
-        
-        for (let i = 0; i < entries.length; i++) {
-          const entry = entries[i];
-          
-          await client.query(
-            `INSERT INTO journal_entries (transaction_id, account_id, amount, entry_type, created_at) 
-             VALUES ($1, $2, $3, $4, $5)`,
-            [transactionId, entry.account_id, entry.amount, entry.entry_type, pakistanTime.timestamp]
-          );
-          
-          await this._updateAccountBalanceInternal(client, entry.account_id, entry.amount, entry.entry_type, pakistanTime.timestamp);
-        }
+        const posted = await this._postTransactionInternal(client, {
+          dbDate,
+          description,
+          reference,
+          entries,
+          source: options.source,
+          isAdjusting: is_adjusting === true,
+          seriesCode: series_code || null
+        }, pakistanTime);
         
         return {
-          transactionId: transactionId,
-          transactionNumber: nextTransactionNumber,
-          message: `Transaction TID-${nextTransactionNumber} recorded successfully`,
+          transactionId: posted.transactionId,
+          transactionNumber: posted.transactionNumber,
+          voucherNumber: posted.voucherNumber,
+          seriesCode: posted.seriesCode,
+          message: `Transaction TID-${posted.transactionNumber} (${posted.voucherNumber}) recorded successfully`,
           totalDebits: validationResult.totalDebits,
           totalCredits: validationResult.totalCredits,
           created_at: pakistanTime.fullDateTime,
@@ -626,6 +829,205 @@ class AccountingModel {
     }
   }
 
+  // Inserts a transaction header and its journal entries and applies them to
+  // account balances. Callers own validation and the surrounding DB transaction.
+  // The voucher number comes from seriesCode, or the default series when omitted.
+  static async _postTransactionInternal(client, postingData, pakistanTime) {
+    const { dbDate, description, reference, entries, reversalOf, allowClosedPeriod, source, isAdjusting, seriesCode } = postingData;
+    
+    const PeriodModel = require('./periodModel');
+    const NumberSeriesModel = require('./numberSeriesModel');
+    const CurrencyModel = require('./currencyModel');
+    const DimensionModel = require('./dimensionModel');
+    await PeriodModel.assertDateOpen(client, dbDate, { allowClosed: allowClosedPeriod });
+    
+    if (!entries || entries.length === 0) {
+      throw new Error('No journal entries provided');
+    }
+    
+    await this._assertSubledgerEntries(client, entries, { isReversal: Boolean(reversalOf) });
+    await CurrencyModel.assertEntryCurrencies(client, entries);
+    await DimensionModel.assertEntryDimensions(client, entries, { isReversal: Boolean(reversalOf) });
+    const dueDates = await this._resolveDueDates(client, entries, dbDate);
+    
+    const voucher = await NumberSeriesModel.allocateNumber(client, seriesCode, dbDate);
+    
+    // Held until commit, so two postings can never read the same MAX(transaction_number)
+    await client.query('SELECT pg_advisory_xact_lock($1)', [TRANSACTION_NUMBER_LOCK_KEY]);
+    
+    const tidResult = await client.query(
+      `SELECT COALESCE(MAX(transaction_number), 0) + 1 as nextTID FROM transactions`
+    );
+    
+    const nextTransactionNumber = parseInt(tidResult.rows[0].nexttid);
+    
+    const transactionResult = await client.query(
+      `INSERT INTO transactions 
+       (transaction_date, description, reference, transaction_number, reversal_of, source, is_adjusting, series_code, voucher_number, created_at, updated_at) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) 
+       RETURNING id, transaction_number`,
+      [dbDate, description, reference || '', nextTransactionNumber, reversalOf || null, source || 'manual', isAdjusting === true, voucher.series_code, voucher.voucher_number, pakistanTime.timestamp, pakistanTime.timestamp]
+    );
+    
+    const transactionId = transactionResult.rows[0].id;
+    
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      
+      await client.query(
+        `INSERT INTO journal_entries (transaction_id, account_id, amount, entry_type, customer_id, vendor_id, due_date, currency_code, foreign_amount, exchange_rate, cost_center_id, department_id, project_id, created_at) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+        [transactionId, entry.account_id, money.toFixed(entry.amount), entry.entry_type, entry.customer_id || null, entry.vendor_id || null, dueDates[i], ...this._entryCurrencyValues(entry), ...DimensionModel.entryDimensionValues(entry), pakistanTime.timestamp]
+      );
+      
+      await this._updateAccountBalanceInternal(client, entry.account_id, entry.amount, entry.entry_type, pakistanTime.timestamp);
+    }
+    
+    return {
+      transactionId: transactionId,
+      transactionNumber: nextTransactionNumber,
+      voucherNumber: voucher.voucher_number,
+      seriesCode: voucher.series_code
+    };
+  }
+
+  // currency_code, foreign_amount and exchange_rate column values of an entry (nulls in the base currency).
+  // Revaluation entries have a currency but no foreign amount.
+  static _entryCurrencyValues(entry) {
+    if (!entry.currency_code) {
+      return [null, null, null];
+    }
+    
+    const hasForeignAmount = entry.foreign_amount !== undefined && entry.foreign_amount !== null;
+    return [entry.currency_code, hasForeignAmount ? money.toFixed(entry.foreign_amount, entry.currency_code) : null, entry.exchange_rate];
+  }
+
+  // Original currency of a journal entry row for API responses; all null in the base currency
+  static _formatEntryCurrency(row) {
+    if (!row.currency_code) {
+      return { currency_code: null, foreign_amount: null, exchange_rate: null };
+    }
+    
+    return {
+      currency_code: row.currency_code,
+      foreign_amount: row.foreign_amount === null ? null : money.round(row.foreign_amount, row.currency_code),
+      exchange_rate: String(row.exchange_rate).replace(/0+$/, '').replace(/\.$/, '')
+    };
+  }
+
+  // Dimensions of a journal entry row joined with their codes and names (cc, dep, prj)
+  static _formatEntryDimensions(row) {
+    return {
+      cost_center_id: row.cost_center_id,
+      cost_center_code: row.cost_center_code,
+      cost_center_name: row.cost_center_name,
+      department_id: row.department_id,
+      department_code: row.department_code,
+      department_name: row.department_name,
+      project_id: row.project_id,
+      project_code: row.project_code,
+      project_name: row.project_name
+    };
+  }
+
+  // Entries on a control account must name an active party of its sub-ledger (a customer
+  // on Accounts Receivable, a vendor on Accounts Payable), and no other entry may carry one. Reversals copy
+  // the original entries, so they skip the required and active checks.
+  static async _assertSubledgerEntries(client, entries, { isReversal = false } = {}) {
+    const accountIds = [...new Set(entries.map(entry => parseInt(entry.account_id)))];
+    const accountsResult = await client.query(
+      `SELECT id, account_code, control_type FROM accounts WHERE id = ANY($1::integer[])`,
+      [accountIds]
+    );
+    const accountsById = new Map(accountsResult.rows.map(account => [account.id, account]));
+    
+    for (const [controlType, subledger] of Object.entries(SUBLEDGERS)) {
+      const partyIds = new Set();
+      
+      entries.forEach((entry, index) => {
+        const account = accountsById.get(parseInt(entry.account_id));
+        const partyId = entry[subledger.column];
+        
+        if (!account) {
+          return;
+        }
+        
+        if (account.control_type === controlType) {
+          if (!partyId && !isReversal) {
+            throw new Error(`Entry ${index + 1}: ${subledger.label} is required for ${controlType} account ${account.account_code}`);
+          }
+        } else if (partyId) {
+          throw new Error(`Entry ${index + 1}: ${subledger.label} can only be set on ${controlType} control accounts`);
+        }
+        
+        if (partyId) {
+          partyIds.add(parseInt(partyId));
+        }
+      });
+      
+      if (partyIds.size === 0) {
+        continue;
+      }
+      
+      const partiesResult = await client.query(
+        `SELECT id FROM ${subledger.table} WHERE id = ANY($1::integer[]) ${isReversal ? '' : 'AND is_active = true'}`,
+        [[...partyIds]]
+      );
+      
+      if (partiesResult.rows.length !== partyIds.size) {
+        throw new Error(`${subledger.label} not found or inactive`);
+      }
+    }
+  }
+
+  // Due date (yyyy-mm-dd) of each entry, for aging. An explicit due_date is kept; otherwise an
+  // entry that raises a customer's or vendor's balance falls due after the party's payment
+  // terms, counted from the transaction date. Everything else has no due date.
+  static async _resolveDueDates(client, entries, dbDate) {
+    const accountIds = [...new Set(entries.map(entry => parseInt(entry.account_id)))];
+    const accountsResult = await client.query(
+      `SELECT id, normal_balance, control_type FROM accounts WHERE id = ANY($1::integer[])`,
+      [accountIds]
+    );
+    const accountsById = new Map(accountsResult.rows.map(account => [account.id, account]));
+    const dueDates = [];
+    
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const account = accountsById.get(parseInt(entry.account_id));
+      const subledger = account && SUBLEDGERS[account.control_type];
+      const partyId = subledger ? entry[subledger.column] : null;
+      
+      if (entry.due_date) {
+        if (!partyId) {
+          throw new Error(`Entry ${i + 1}: Due date can only be set on customer or vendor entries`);
+        }
+        
+        const dbDueDate = this.convertToYYYYMMDD(String(entry.due_date));
+        if (dbDueDate < dbDate) {
+          throw new Error(`Entry ${i + 1}: Due date cannot be before the transaction date`);
+        }
+        
+        dueDates.push(dbDueDate);
+        continue;
+      }
+      
+      if (!partyId || entry.entry_type !== account.normal_balance) {
+        dueDates.push(null);
+        continue;
+      }
+      
+      const termsResult = await client.query(
+        `SELECT TO_CHAR($1::date + payment_terms_days, 'YYYY-MM-DD') as due_date FROM ${subledger.table} WHERE id = $2`,
+        [dbDate, partyId]
+      );
+      
+      dueDates.push(termsResult.rows.length > 0 ? termsResult.rows[0].due_date : null);
+    }
+    
+    return dueDates;
+  }
+
   static async _updateAccountBalanceInternal(client, accountId, amount, entryType, timestamp) {
     const accountResult = await client.query(
       `SELECT normal_balance FROM accounts WHERE id = $1`,
@@ -637,14 +1039,8 @@ class AccountingModel {
     }
     
     const account = accountResult.rows[0];
-    const numericAmount = parseFloat(amount);
-    let balanceChange = 0;
-    
-    if (account.normal_balance === 'Debit') {
-      balanceChange = entryType === 'Debit' ? numericAmount : -numericAmount;
-    } else {
-      balanceChange = entryType === 'Credit' ? numericAmount : -numericAmount;
-    }
+    const increases = entryType === account.normal_balance;
+    const balanceChange = money.toFixed(increases ? amount : money.negate(amount));
     
     await client.query(
       `UPDATE accounts SET balance = balance + $1, updated_at = $2 WHERE id = $3`,
@@ -661,6 +1057,17 @@ class AccountingModel {
           TO_CHAR(t.transaction_date, 'YYYY-MM-DD') as transaction_date,
           t.description,
           t.reference,
+          t.status,
+          t.reversal_of,
+          t.reversal_reason,
+          t.reversed_at,
+          t.source,
+          t.is_adjusting,
+          t.series_code,
+          t.voucher_number,
+          orig.transaction_number as reversal_of_number,
+          rev.id as reversed_by,
+          rev.transaction_number as reversed_by_number,
           t.created_at,
           t.updated_at,
           je.id as journal_entry_id,
@@ -668,12 +1075,36 @@ class AccountingModel {
           je.amount,
           je.entry_type,
           je.created_at as journal_created_at,
+          je.customer_id,
+          c.name as customer_name,
+          je.vendor_id,
+          v.name as vendor_name,
+          TO_CHAR(je.due_date, 'YYYY-MM-DD') as due_date,
+          je.currency_code,
+          je.foreign_amount,
+          je.exchange_rate,
+          je.cost_center_id,
+          cc.code as cost_center_code,
+          cc.name as cost_center_name,
+          je.department_id,
+          dep.code as department_code,
+          dep.name as department_name,
+          je.project_id,
+          prj.code as project_code,
+          prj.name as project_name,
           a.account_name,
           a.account_code,
           a.normal_balance
         FROM transactions t
         JOIN journal_entries je ON t.id = je.transaction_id
         JOIN accounts a ON je.account_id = a.id
+        LEFT JOIN customers c ON je.customer_id = c.id
+        LEFT JOIN vendors v ON je.vendor_id = v.id
+        LEFT JOIN dimensions cc ON je.cost_center_id = cc.id
+        LEFT JOIN dimensions dep ON je.department_id = dep.id
+        LEFT JOIN dimensions prj ON je.project_id = prj.id
+        LEFT JOIN transactions orig ON t.reversal_of = orig.id
+        LEFT JOIN transactions rev ON rev.reversal_of = t.id
         ORDER BY t.transaction_date DESC, t.id DESC, je.entry_type DESC
       `);
       
@@ -683,6 +1114,17 @@ class AccountingModel {
         transaction_date: row.transaction_date, // Now string 'YYYY-MM-DD'
         description: row.description,
         reference: row.reference,
+        status: row.status,
+        source: row.source,
+        is_adjusting: row.is_adjusting,
+        series_code: row.series_code,
+        voucher_number: row.voucher_number,
+        reversal_of: row.reversal_of,
+        reversal_of_number: row.reversal_of_number,
+        reversed_by: row.reversed_by,
+        reversed_by_number: row.reversed_by_number,
+        reversal_reason: row.reversal_reason,
+        reversed_at_formatted: row.reversed_at ? this.formatDateToPakistan(row.reversed_at) : null,
         created_at: row.created_at,
         updated_at: row.updated_at,
         created_at_formatted: this.formatDateToPakistan(row.created_at),
@@ -691,9 +1133,16 @@ class AccountingModel {
         account_id: row.account_id,
         account_name: row.account_name,
         account_code: row.account_code,
-        amount: parseFloat(row.amount),
+        amount: money.round(row.amount),
         entry_type: row.entry_type,
         journal_created_at: row.journal_created_at,
+        customer_id: row.customer_id,
+        customer_name: row.customer_name,
+        vendor_id: row.vendor_id,
+        vendor_name: row.vendor_name,
+        due_date: row.due_date ? this.convertToDDMMYYYY(row.due_date) : null,
+        ...this._formatEntryCurrency(row),
+        ...this._formatEntryDimensions(row),
         normal_balance: row.normal_balance
       }));
       
@@ -713,18 +1162,53 @@ class AccountingModel {
           TO_CHAR(t.transaction_date, 'YYYY-MM-DD') as transaction_date,
           t.description,
           t.reference,
+          t.status,
+          t.reversal_of,
+          t.reversal_reason,
+          t.reversed_at,
+          t.source,
+          t.is_adjusting,
+          t.series_code,
+          t.voucher_number,
+          orig.transaction_number as reversal_of_number,
+          rev.id as reversed_by,
+          rev.transaction_number as reversed_by_number,
           t.created_at,
           t.updated_at,
           je.id as entry_id,
           je.account_id,
           je.amount,
           je.entry_type,
+          je.customer_id,
+          c.name as customer_name,
+          je.vendor_id,
+          v.name as vendor_name,
+          TO_CHAR(je.due_date, 'YYYY-MM-DD') as due_date,
+          je.currency_code,
+          je.foreign_amount,
+          je.exchange_rate,
+          je.cost_center_id,
+          cc.code as cost_center_code,
+          cc.name as cost_center_name,
+          je.department_id,
+          dep.code as department_code,
+          dep.name as department_name,
+          je.project_id,
+          prj.code as project_code,
+          prj.name as project_name,
           a.account_name,
           a.account_code,
           a.normal_balance
         FROM transactions t
         JOIN journal_entries je ON t.id = je.transaction_id
         JOIN accounts a ON je.account_id = a.id
+        LEFT JOIN customers c ON je.customer_id = c.id
+        LEFT JOIN vendors v ON je.vendor_id = v.id
+        LEFT JOIN dimensions cc ON je.cost_center_id = cc.id
+        LEFT JOIN dimensions dep ON je.department_id = dep.id
+        LEFT JOIN dimensions prj ON je.project_id = prj.id
+        LEFT JOIN transactions orig ON t.reversal_of = orig.id
+        LEFT JOIN transactions rev ON rev.reversal_of = t.id
         WHERE t.id = $1
         ORDER BY je.entry_type DESC, je.amount DESC
       `, [transactionId]);
@@ -740,6 +1224,17 @@ class AccountingModel {
         transaction_date_formatted: this.convertToDDMMYYYY(result.rows[0].transaction_date),
         description: result.rows[0].description,
         reference: result.rows[0].reference,
+        status: result.rows[0].status,
+        source: result.rows[0].source,
+        is_adjusting: result.rows[0].is_adjusting,
+        series_code: result.rows[0].series_code,
+        voucher_number: result.rows[0].voucher_number,
+        reversal_of: result.rows[0].reversal_of,
+        reversal_of_number: result.rows[0].reversal_of_number,
+        reversed_by: result.rows[0].reversed_by,
+        reversed_by_number: result.rows[0].reversed_by_number,
+        reversal_reason: result.rows[0].reversal_reason,
+        reversed_at_formatted: result.rows[0].reversed_at ? this.formatDateToPakistan(result.rows[0].reversed_at) : null,
         created_at: result.rows[0].created_at,
         created_at_formatted: this.formatDateToPakistan(result.rows[0].created_at),
         updated_at: result.rows[0].updated_at,
@@ -756,21 +1251,28 @@ class AccountingModel {
           account_id: row.account_id,
           account_name: row.account_name,
           account_code: row.account_code,
-          amount: parseFloat(row.amount),
+          amount: money.round(row.amount),
           entry_type: row.entry_type,
+          customer_id: row.customer_id,
+          customer_name: row.customer_name,
+          vendor_id: row.vendor_id,
+          vendor_name: row.vendor_name,
+          due_date: row.due_date ? this.convertToDDMMYYYY(row.due_date) : null,
+          ...this._formatEntryCurrency(row),
+          ...this._formatEntryDimensions(row),
           normal_balance: row.normal_balance
         });
         
         if (row.entry_type === 'Debit') {
-          totalDebits += parseFloat(row.amount);
+          totalDebits = money.add(totalDebits, row.amount);
         } else {
-          totalCredits += parseFloat(row.amount);
+          totalCredits = money.add(totalCredits, row.amount);
         }
       });
       
       transaction.totalDebits = totalDebits;
       transaction.totalCredits = totalCredits;
-      transaction.isBalanced = Math.abs(totalDebits - totalCredits) < 0.01;
+      transaction.isBalanced = money.equals(totalDebits, totalCredits);
       
       return transaction;
     } catch (error) {
@@ -799,6 +1301,11 @@ class AccountingModel {
       const pakistanTime = this.getPakistanTime();
       
       try {
+        const existing = await this._assertTransactionEditable({ query }, transactionId, sqlDate);
+        if (sqlDate !== existing.transaction_date) {
+          await this._assertEntriesUnlinked({ query }, existing, transactionId, 'its date');
+        }
+        
         const result = await query(
           `UPDATE transactions SET transaction_date = $1, description = $2, reference = $3, updated_at = $4 WHERE id = $5 RETURNING id`,
           [sqlDate, description, reference, pakistanTime.timestamp, transactionId]
@@ -821,9 +1328,9 @@ class AccountingModel {
   }
 
   static async _updateFullTransaction(transactionId, updateData) {
-    const { date, description, reference, entries } = updateData;
+    const { date, description, reference } = updateData;
     
-    if (!date || !description || !entries || !Array.isArray(entries)) {
+    if (!date || !description || !updateData.entries || !Array.isArray(updateData.entries)) {
       throw new Error('Date, description, and journal entries are required for full update');
     }
     
@@ -832,12 +1339,25 @@ class AccountingModel {
       throw new Error('Invalid date format. Use dd/mm/yyyy');
     }
     
+    const CurrencyModel = require('./currencyModel');
+    const DimensionModel = require('./dimensionModel');
+    const entries = await CurrencyModel.convertEntries(null, updateData.entries, sqlDate);
+    
     this.validateTransaction({ date, description, entries });
     
     try {
       const { transaction } = require('../database/db');
       
       const result = await transaction(async (client) => {
+        const existing = await this._assertTransactionEditable(client, transactionId, sqlDate);
+        
+        await this._assertEntriesUnlinked(client, existing, transactionId, 'its entries');
+        
+        await this._assertSubledgerEntries(client, entries);
+        await CurrencyModel.assertEntryCurrencies(client, entries);
+        await DimensionModel.assertEntryDimensions(client, entries);
+        const dueDates = await this._resolveDueDates(client, entries, sqlDate);
+        
         const oldEntriesResult = await client.query(
           'SELECT * FROM journal_entries WHERE transaction_id = $1',
           [transactionId]
@@ -868,23 +1388,21 @@ class AccountingModel {
           throw new Error('Transaction not found');
         }
         
-        for (const entry of entries) {
+        for (let i = 0; i < entries.length; i++) {
+          const entry = entries[i];
+          
           await client.query(
-            `INSERT INTO journal_entries (transaction_id, account_id, amount, entry_type, created_at) 
-             VALUES ($1, $2, $3, $4, $5)`,
-            [transactionId, entry.account_id, entry.amount, entry.entry_type, pakistanTime.timestamp]
+            `INSERT INTO journal_entries (transaction_id, account_id, amount, entry_type, customer_id, vendor_id, due_date, currency_code, foreign_amount, exchange_rate, cost_center_id, department_id, project_id, created_at) 
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+            [transactionId, entry.account_id, money.toFixed(entry.amount), entry.entry_type, entry.customer_id || null, entry.vendor_id || null, dueDates[i], ...this._entryCurrencyValues(entry), ...DimensionModel.entryDimensionValues(entry), pakistanTime.timestamp]
           );
           
           await this._updateAccountBalanceInternal(client, entry.account_id, entry.amount, entry.entry_type, pakistanTime.timestamp);
         }
         
-        const totalDebits = entries
-          .filter(e => e.entry_type === 'Debit')
-          .reduce((sum, e) => sum + parseFloat(e.amount), 0);
+        const totalDebits = money.sumBy(entries.filter(e => e.entry_type === 'Debit'), 'amount');
         
-        const totalCredits = entries
-          .filter(e => e.entry_type === 'Credit')
-          .reduce((sum, e) => sum + parseFloat(e.amount), 0);
+        const totalCredits = money.sumBy(entries.filter(e => e.entry_type === 'Credit'), 'amount');
         
         return {
           message: 'Transaction fully updated successfully',
@@ -905,52 +1423,234 @@ class AccountingModel {
     }
   }
 
-  static async deleteTransaction(transactionId) {
+  // Entries other records point at (receipt allocations, bank reconciliations and matched
+  // statement lines) must stay as they are; change names what the edit would alter in errors
+  static async _assertEntriesUnlinked(client, existing, transactionId, change) {
+    // Receipts settle what this transaction charged; changing its entries or date would strand them
+    const allocationResult = await client.query(
+      `SELECT 1 FROM customer_receipt_allocations ra
+       JOIN customer_receipts cr ON ra.receipt_id = cr.id
+       WHERE ra.transaction_id = $1 AND cr.status = 'posted'
+       LIMIT 1`,
+      [transactionId]
+    );
+    
+    if (allocationResult.rows.length > 0) {
+      throw new Error(`Transaction TID-${existing.transaction_number} has customer receipts allocated to it. Remove the allocations before changing ${change}`);
+    }
+    
+    // Entries ticked off against a bank statement must stay as the bank saw them
+    const reconciledResult = await client.query(
+      `SELECT br.status
+       FROM journal_entries je
+       JOIN bank_reconciliations br ON je.reconciliation_id = br.id
+       WHERE je.transaction_id = $1
+       ORDER BY br.status
+       LIMIT 1`,
+      [transactionId]
+    );
+    
+    if (reconciledResult.rows.length > 0) {
+      throw new Error(reconciledResult.rows[0].status === 'completed'
+        ? `Transaction TID-${existing.transaction_number} has entries reconciled to a bank statement and cannot be edited. Void it instead`
+        : `Transaction TID-${existing.transaction_number} has entries cleared in a bank reconciliation in progress. Unclear them before changing ${change}`);
+    }
+    
+    // Imported statement lines matched ahead of a reconciliation hold on to their entries too
+    const matchedLineResult = await client.query(
+      `SELECT 1 FROM bank_statement_lines sl
+       JOIN journal_entries je ON sl.journal_entry_id = je.id
+       WHERE je.transaction_id = $1
+       LIMIT 1`,
+      [transactionId]
+    );
+    
+    if (matchedLineResult.rows.length > 0) {
+      throw new Error(`Transaction TID-${existing.transaction_number} has entries matched to imported bank statement lines. Unmatch them before changing ${change}`);
+    }
+  }
+
+  // Only live, original postings may be changed. Reversed/voided transactions and
+  // the reversal entries themselves are part of the audit trail. Both the current
+  // and the new transaction date must fall in open periods.
+  static async _assertTransactionEditable(client, transactionId, newDbDate = null) {
+    const result = await client.query(
+      `SELECT transaction_number, TO_CHAR(transaction_date, 'YYYY-MM-DD') as transaction_date, status, reversal_of, source 
+       FROM transactions WHERE id = $1`,
+      [transactionId]
+    );
+    
+    if (result.rows.length === 0) {
+      throw new Error('Transaction not found');
+    }
+    
+    const existing = result.rows[0];
+    
+    if (existing.status !== 'posted') {
+      throw new Error(`Transaction TID-${existing.transaction_number} is ${existing.status} and cannot be edited`);
+    }
+    
+    if (existing.reversal_of) {
+      throw new Error(`Transaction TID-${existing.transaction_number} is a reversal entry and cannot be edited`);
+    }
+    
+    if (existing.source !== 'manual') {
+      throw new Error(`Transaction TID-${existing.transaction_number} was generated by the system (${existing.source}) and cannot be edited. Void it instead`);
+    }
+    
+    const PeriodModel = require('./periodModel');
+    await PeriodModel.assertDateOpen(client, existing.transaction_date);
+    
+    if (newDbDate && newDbDate !== existing.transaction_date) {
+      await PeriodModel.assertDateOpen(client, newDbDate);
+    }
+    
+    return existing;
+  }
+
+  // Posted transactions are never deleted. Reversing posts a mirror-image
+  // transaction (debits and credits swapped) linked to the original, dated on
+  // the reversal date; voiding does the same but dates the mirror on the
+  // original transaction date so the original period nets to zero.
+  // options.client runs the reversal inside the caller's DB transaction.
+  static async reverseTransaction(transactionId, reversalData = {}, options = {}) {
+    const { reason, date, mode = 'reverse' } = reversalData;
+    
+    if (!['reverse', 'void'].includes(mode)) {
+      throw new Error('Reversal mode must be reverse or void');
+    }
+    
+    if (!reason || reason.trim() === '') {
+      throw new Error('A reason is required to reverse or void a transaction');
+    }
+    
+    if (reason.length > 200) {
+      throw new Error('Reason must be less than 200 characters');
+    }
+    
+    let reversalDbDate = null;
+    if (mode === 'reverse' && date) {
+      reversalDbDate = this.convertToYYYYMMDD(date);
+      if (!reversalDbDate) {
+        throw new Error('Invalid date format. Use dd/mm/yyyy');
+      }
+    }
+    
     try {
       const { transaction } = require('../database/db');
+      const run = options.client ? (work) => work(options.client) : transaction;
       
-      const result = await transaction(async (client) => {
+      const result = await run(async (client) => {
+        const originalResult = await client.query(
+          `SELECT id, transaction_number, TO_CHAR(transaction_date, 'YYYY-MM-DD') as transaction_date,
+                  description, reference, status, reversal_of, source, is_adjusting
+           FROM transactions WHERE id = $1 FOR UPDATE`,
+          [transactionId]
+        );
+        
+        if (originalResult.rows.length === 0) {
+          throw new Error('Transaction not found');
+        }
+        
+        const original = originalResult.rows[0];
+        
+        if (original.status !== 'posted') {
+          throw new Error(`Transaction TID-${original.transaction_number} is already ${original.status}`);
+        }
+        
+        if (original.reversal_of) {
+          throw new Error(`Transaction TID-${original.transaction_number} is itself a reversal entry and cannot be reversed`);
+        }
+        
         const entriesResult = await client.query(
-          'SELECT * FROM journal_entries WHERE transaction_id = $1',
+          `SELECT account_id, amount, entry_type, customer_id, vendor_id, currency_code, foreign_amount, exchange_rate,
+                  cost_center_id, department_id, project_id
+           FROM journal_entries WHERE transaction_id = $1 ORDER BY id`,
           [transactionId]
         );
         
         if (entriesResult.rows.length === 0) {
-          throw new Error('Transaction not found');
+          throw new Error('Transaction has no journal entries to reverse');
         }
         
         const pakistanTime = this.getPakistanTime();
+        const dbDate = mode === 'void' ? original.transaction_date : (reversalDbDate || pakistanTime.date);
+        const label = mode === 'void' ? 'Void' : 'Reversal';
         
-        for (const entry of entriesResult.rows) {
-          const reverseEntryType = entry.entry_type === 'Debit' ? 'Credit' : 'Debit';
-          await this._updateAccountBalanceInternal(client, entry.account_id, entry.amount, reverseEntryType, pakistanTime.timestamp);
-        }
+        const mirrorEntries = entriesResult.rows.map(entry => ({
+          account_id: entry.account_id,
+          amount: entry.amount,
+          entry_type: entry.entry_type === 'Debit' ? 'Credit' : 'Debit',
+          customer_id: entry.customer_id,
+          vendor_id: entry.vendor_id,
+          currency_code: entry.currency_code,
+          foreign_amount: entry.foreign_amount,
+          exchange_rate: entry.exchange_rate,
+          cost_center_id: entry.cost_center_id,
+          department_id: entry.department_id,
+          project_id: entry.project_id
+        }));
         
-        await client.query('DELETE FROM journal_entries WHERE transaction_id = $1', [transactionId]);
+        const posted = await this._postTransactionInternal(client, {
+          dbDate,
+          description: `${label} of TID-${original.transaction_number}: ${original.description}`.substring(0, 200),
+          reference: original.reference,
+          entries: mirrorEntries,
+          reversalOf: original.id,
+          // The mirror of a system posting keeps its source so reports treat the pair alike
+          source: original.source,
+          isAdjusting: original.is_adjusting,
+          allowClosedPeriod: original.source === 'year_end_close'
+        }, pakistanTime);
         
-        await client.query('DELETE FROM transactions WHERE id = $1', [transactionId]);
+        await client.query(
+          `UPDATE transactions 
+           SET status = $1, reversal_reason = $2, reversed_at = $3, updated_at = $3 
+           WHERE id = $4`,
+          [mode === 'void' ? 'voided' : 'reversed', reason.trim(), pakistanTime.timestamp, original.id]
+        );
         
         return {
-          message: 'Transaction deleted successfully',
-          entries_reversed: entriesResult.rows.length,
-          deleted_at: pakistanTime.fullDateTime
+          message: `Transaction TID-${original.transaction_number} ${mode === 'void' ? 'voided' : 'reversed'} by TID-${posted.transactionNumber}`,
+          originalTransactionId: original.id,
+          originalTransactionNumber: original.transaction_number,
+          reversalTransactionId: posted.transactionId,
+          reversalTransactionNumber: posted.transactionNumber,
+          status: mode === 'void' ? 'voided' : 'reversed',
+          reversal_date: this.convertToDDMMYYYY(dbDate),
+          entries_reversed: mirrorEntries.length,
+          reversed_at: pakistanTime.fullDateTime
         };
       });
       
       return result;
     } catch (error) {
-      console.error('Delete transaction error:', error);
+      console.error('Reverse transaction error:', error);
       throw error;
     }
   }
 
-  static async getNextTransactionNumber() {
+  // Next TID and the next voucher number of a series (default series when omitted).
+  // Both are previews; the numbers are only allocated when the transaction is posted.
+  static async getNextTransactionNumber(seriesCode = null, date = null) {
     try {
+      const dbDate = date ? this.convertToYYYYMMDD(date) : null;
+      if (date && !dbDate) {
+        throw new Error('Invalid date format. Use dd/mm/yyyy');
+      }
+      
+      const NumberSeriesModel = require('./numberSeriesModel');
       const result = await query(
         'SELECT COALESCE(MAX(transaction_number), 0) + 1 as nextTID FROM transactions'
       );
+      const voucher = await NumberSeriesModel.previewNextNumber(seriesCode, dbDate);
       
-      return { nextTID: parseInt(result.rows[0].nexttid) };
+      return {
+        nextTID: parseInt(result.rows[0].nexttid),
+        seriesCode: voucher.series_code,
+        seriesName: voucher.series_name,
+        nextNumber: voucher.next_number
+      };
     } catch (error) {
       console.error('Get next transaction number error:', error);
       throw error;
@@ -970,6 +1670,7 @@ class AccountingModel {
         SELECT 
           t.id,
           t.transaction_number,
+          t.voucher_number,
           TO_CHAR(t.transaction_date, 'YYYY-MM-DD') as transaction_date,
           t.description,
           t.reference,
@@ -987,13 +1688,14 @@ class AccountingModel {
         JOIN journal_entries je ON t.id = je.transaction_id
         JOIN accounts a ON je.account_id = a.id
         WHERE t.transaction_date BETWEEN $1 AND $2
-        GROUP BY t.id, t.transaction_number, t.transaction_date, t.description, t.reference, t.created_at, t.updated_at
+        GROUP BY t.id, t.transaction_number, t.voucher_number, t.transaction_date, t.description, t.reference, t.created_at, t.updated_at
         ORDER BY t.transaction_date DESC, t.id DESC
       `, [dbStartDate, dbEndDate]);
       
       const formattedRows = result.rows.map(row => ({
         id: row.id,
         transaction_number: row.transaction_number,
+        voucher_number: row.voucher_number,
         transaction_date: row.transaction_date,
         transaction_date_formatted: this.convertToDDMMYYYY(row.transaction_date),
         description: row.description,
@@ -1022,6 +1724,7 @@ class AccountingModel {
         SELECT 
           t.id,
           t.transaction_number,
+          t.voucher_number,
           TO_CHAR(t.transaction_date, 'YYYY-MM-DD') as transaction_date,
           t.description,
           t.reference,
@@ -1039,13 +1742,14 @@ class AccountingModel {
         JOIN journal_entries je ON t.id = je.transaction_id
         JOIN accounts a ON je.account_id = a.id
         WHERE t.transaction_date = $1
-        GROUP BY t.id, t.transaction_number, t.transaction_date, t.description, t.reference, t.created_at, t.updated_at
+        GROUP BY t.id, t.transaction_number, t.voucher_number, t.transaction_date, t.description, t.reference, t.created_at, t.updated_at
         ORDER BY t.id DESC
       `, [dbDate]);
       
       const formattedRows = result.rows.map(row => ({
         id: row.id,
         transaction_number: row.transaction_number,
+        voucher_number: row.voucher_number,
         transaction_date: row.transaction_date,
         transaction_date_formatted: this.convertToDDMMYYYY(row.transaction_date),
         description: row.description,
@@ -1068,6 +1772,7 @@ class AccountingModel {
         SELECT DISTINCT 
           t.id,
           t.transaction_number,
+          t.voucher_number,
           TO_CHAR(t.transaction_date, 'YYYY-MM-DD') as transaction_date,
           t.description,
           t.reference,
@@ -1089,15 +1794,17 @@ class AccountingModel {
            OR a.account_name LIKE $3
            OR t.transaction_number::TEXT LIKE $4
            OR t.id::TEXT LIKE $5
-        GROUP BY t.id, t.transaction_number, t.transaction_date, t.description, t.reference, t.created_at, t.updated_at
+           OR t.voucher_number LIKE $6
+        GROUP BY t.id, t.transaction_number, t.voucher_number, t.transaction_date, t.description, t.reference, t.created_at, t.updated_at
         ORDER BY t.transaction_date DESC
         LIMIT 50
       `, 
-      [`%${searchTerm}%`, `%${searchTerm}%`, `%${searchTerm}%`, `%${searchTerm}%`, `%${searchTerm}%`]);
+      [`%${searchTerm}%`, `%${searchTerm}%`, `%${searchTerm}%`, `%${searchTerm}%`, `%${searchTerm}%`, `%${searchTerm}%`]);
       
       const formattedRows = result.rows.map(row => ({
         id: row.id,
         transaction_number: row.transaction_number,
+        voucher_number: row.voucher_number,
         transaction_date: row.transaction_date,
         transaction_date_formatted: this.convertToDDMMYYYY(row.transaction_date),
         description: row.description,
@@ -1116,8 +1823,9 @@ class AccountingModel {
 
   // ===== FINANCIAL REPORTS =====
 
-  static async getBalanceSheet() {
+  static async getBalanceSheet(asOf = null) {
     try {
+      const dbAsOf = this.parseAsOfDate(asOf);
       const result = await query(`
         SELECT 
           account_type,
@@ -1128,15 +1836,15 @@ class AccountingModel {
           normal_balance,
           created_at,
           updated_at
-        FROM accounts 
+        FROM ${this.accountsAsOf(dbAsOf)} 
         WHERE account_type IN ('Asset', 'Liability', 'Capital') 
         AND is_active = true
         ORDER BY account_type, account_code
-      `);
+      `, dbAsOf ? [dbAsOf] : []);
       
       const formattedRows = result.rows.map(account => ({
         ...account,
-        balance: parseFloat(account.balance) || 0,
+        balance: money.round(account.balance),
         created_at_formatted: this.formatDateToPakistan(account.created_at),
         updated_at_formatted: this.formatDateToPakistan(account.updated_at),
         date_created_formatted: this.formatDateOnly(account.created_at)
@@ -1146,15 +1854,16 @@ class AccountingModel {
       const liabilities = formattedRows.filter(item => item.account_type === 'Liability');
       const capital = formattedRows.filter(item => item.account_type === 'Capital');
       
-      const totalAssets = assets.reduce((sum, item) => sum + (item.balance || 0), 0);
-      const totalLiabilities = liabilities.reduce((sum, item) => sum + (item.balance || 0), 0);
-      const totalCapital = capital.reduce((sum, item) => {
-        const balance = item.balance || 0;
-        if (item.normal_balance === 'Debit') {
-          return sum - balance;
-        }
-        return sum + balance;
-      }, 0);
+      const totalAssets = money.sumBy(assets, 'balance');
+      const totalLiabilities = money.sumBy(liabilities, 'balance');
+      const totalCapital = money.sumBy(capital, item => (
+        item.normal_balance === 'Debit' ? money.negate(item.balance) : item.balance
+      ));
+      
+      const subledgers = {};
+      for (const controlType of Object.keys(SUBLEDGERS)) {
+        subledgers[controlType] = await this.getSubledgerReconciliation(controlType, dbAsOf);
+      }
       
       return {
         assets: assets,
@@ -1162,7 +1871,9 @@ class AccountingModel {
         capital: capital,
         totalAssets: totalAssets,
         totalLiabilities: totalLiabilities,
-        totalCapital: totalCapital
+        totalCapital: totalCapital,
+        subledgers: subledgers,
+        asOf: asOf || null
       };
     } catch (error) {
       console.error('Get balance sheet error:', error);
@@ -1202,13 +1913,14 @@ class AccountingModel {
         WHERE a.account_type IN ('Asset', 'Liability', 'Capital')
         AND a.is_active = true
         AND (t.transaction_date IS NULL OR t.transaction_date BETWEEN $1 AND $2)
+        AND (t.source IS NULL OR t.source <> 'year_end_close')
         GROUP BY a.id, a.account_type, a.account_name, a.account_code, a.created_at, a.updated_at
         ORDER BY a.account_type, a.account_code
       `, [dbStartDate, dbEndDate]);
       
       const formattedRows = result.rows.map(row => ({
         ...row,
-        period_balance: parseFloat(row.period_balance) || 0,
+        period_balance: money.round(row.period_balance),
         created_at_formatted: this.formatDateToPakistan(row.created_at),
         updated_at_formatted: this.formatDateToPakistan(row.updated_at),
         date_created_formatted: this.formatDateOnly(row.created_at)
@@ -1218,15 +1930,11 @@ class AccountingModel {
       const liabilities = formattedRows.filter(item => item.account_type === 'Liability');
       const capital = formattedRows.filter(item => item.account_type === 'Capital');
       
-      const totalAssets = assets.reduce((sum, item) => sum + (item.period_balance || 0), 0);
-      const totalLiabilities = liabilities.reduce((sum, item) => sum + (item.period_balance || 0), 0);
-      const totalCapital = capital.reduce((sum, item) => {
-        const balance = item.period_balance || 0;
-        if (item.normal_balance === 'Debit') {
-          return sum - balance;
-        }
-        return sum + balance;
-      }, 0);
+      const totalAssets = money.sumBy(assets, 'period_balance');
+      const totalLiabilities = money.sumBy(liabilities, 'period_balance');
+      const totalCapital = money.sumBy(capital, item => (
+        item.normal_balance === 'Debit' ? money.negate(item.period_balance) : item.period_balance
+      ));
       
       return {
         assets: assets,
@@ -1246,8 +1954,9 @@ class AccountingModel {
     }
   }
 
-  static async getIncomeStatement() {
+  static async getIncomeStatement(asOf = null) {
     try {
+      const dbAsOf = this.parseAsOfDate(asOf);
       const result = await query(`
         SELECT 
           account_type,
@@ -1256,15 +1965,15 @@ class AccountingModel {
           balance,
           created_at,
           updated_at
-        FROM accounts 
+        FROM ${this.accountsAsOf(dbAsOf)} 
         WHERE account_type IN ('Revenue', 'Expense') 
         AND is_active = true
         ORDER BY account_type, account_code
-      `);
+      `, dbAsOf ? [dbAsOf] : []);
       
       const formattedRows = result.rows.map(account => ({
         ...account,
-        balance: parseFloat(account.balance) || 0,
+        balance: money.round(account.balance),
         created_at_formatted: this.formatDateToPakistan(account.created_at),
         updated_at_formatted: this.formatDateToPakistan(account.updated_at),
         date_created_formatted: this.formatDateOnly(account.created_at)
@@ -1273,9 +1982,9 @@ class AccountingModel {
       const revenue = formattedRows.filter(item => item.account_type === 'Revenue');
       const expenses = formattedRows.filter(item => item.account_type === 'Expense');
       
-      const totalRevenue = revenue.reduce((sum, item) => sum + (item.balance || 0), 0);
-      const totalExpenses = expenses.reduce((sum, item) => sum + (item.balance || 0), 0);
-      const netIncome = totalRevenue - totalExpenses;
+      const totalRevenue = money.sumBy(revenue, 'balance');
+      const totalExpenses = money.sumBy(expenses, 'balance');
+      const netIncome = money.subtract(totalRevenue, totalExpenses);
       
       const profitMargin = totalRevenue > 0 ? ((netIncome / totalRevenue) * 100) : 0;
       const expenseRatio = totalRevenue > 0 ? ((totalExpenses / totalRevenue) * 100) : 0;
@@ -1289,7 +1998,8 @@ class AccountingModel {
         ratios: {
           profitMargin: profitMargin.toFixed(2),
           expenseRatio: expenseRatio.toFixed(2)
-        }
+        },
+        asOf: asOf || null
       };
     } catch (error) {
       console.error('Get income statement error:', error);
@@ -1297,7 +2007,10 @@ class AccountingModel {
     }
   }
 
-  static async getIncomeStatementForPeriod(startDate, endDate) {
+  // dimensionOptions (from DimensionModel.parseReportOptions) restricts the statement to journal
+  // lines of the given cost center, department and/or project, and groupBy adds a column of
+  // figures per value of one dimension.
+  static async getIncomeStatementForPeriod(startDate, endDate, dimensionOptions = {}) {
     const dbStartDate = this.convertToYYYYMMDD(startDate);
     const dbEndDate = this.convertToYYYYMMDD(endDate);
     
@@ -1305,6 +2018,10 @@ class AccountingModel {
       throw new Error('Invalid date format. Use dd/mm/yyyy');
     }
     
+    const DimensionModel = require('./dimensionModel');
+    const { filters = {}, groupBy = null } = dimensionOptions;
+    const dimensionFilter = DimensionModel.entryFilterClause(filters, 3);
+    
     try {
       const result = await query(`
         SELECT 
@@ -1323,18 +2040,19 @@ class AccountingModel {
             END
           ), 0) as period_balance
         FROM accounts a
-        LEFT JOIN journal_entries je ON a.id = je.account_id
+        LEFT JOIN journal_entries je ON a.id = je.account_id ${dimensionFilter.sql}
         LEFT JOIN transactions t ON je.transaction_id = t.id
         WHERE a.account_type IN ('Revenue', 'Expense')
         AND a.is_active = true
         AND (t.transaction_date IS NULL OR t.transaction_date BETWEEN $1 AND $2)
+        AND (t.source IS NULL OR t.source <> 'year_end_close')
         GROUP BY a.id, a.account_type, a.account_name, a.account_code, a.created_at, a.updated_at
         ORDER BY a.account_type, a.account_code
-      `, [dbStartDate, dbEndDate]);
+      `, [dbStartDate, dbEndDate, ...dimensionFilter.params]);
       
       const formattedRows = result.rows.map(row => ({
         ...row,
-        period_balance: parseFloat(row.period_balance) || 0,
+        period_balance: money.round(row.period_balance),
         created_at_formatted: this.formatDateToPakistan(row.created_at),
         updated_at_formatted: this.formatDateToPakistan(row.updated_at),
         date_created_formatted: this.formatDateOnly(row.created_at)
@@ -1343,9 +2061,9 @@ class AccountingModel {
       const revenue = formattedRows.filter(item => item.account_type === 'Revenue');
       const expenses = formattedRows.filter(item => item.account_type === 'Expense');
       
-      const totalRevenue = revenue.reduce((sum, item) => sum + (item.period_balance || 0), 0);
-      const totalExpenses = expenses.reduce((sum, item) => sum + (item.period_balance || 0), 0);
-      const netIncome = totalRevenue - totalExpenses;
+      const totalRevenue = money.sumBy(revenue, 'period_balance');
+      const totalExpenses = money.sumBy(expenses, 'period_balance');
+      const netIncome = money.subtract(totalRevenue, totalExpenses);
       
       const profitMargin = totalRevenue > 0 ? ((netIncome / totalRevenue) * 100) : 0;
       const expenseRatio = totalRevenue > 0 ? ((totalExpenses / totalRevenue) * 100) : 0;
@@ -1363,7 +2081,11 @@ class AccountingModel {
         period: {
           startDate: startDate,
           endDate: endDate
-        }
+        },
+        dimensionFilters: await DimensionModel.describeFilters(filters),
+        dimensionBreakdown: groupBy
+          ? await this._getIncomeByDimension(dbStartDate, dbEndDate, groupBy, dimensionFilter)
+          : null
       };
     } catch (error) {
       console.error('Get income statement for period error:', error);
@@ -1371,9 +2093,465 @@ class AccountingModel {
     }
   }
 
+  // Period balance of every income statement account per value of one dimension; lines without
+  // a value of it are grouped under dimension_id null ("Unassigned")
+  static async _getIncomeByDimension(dbStartDate, dbEndDate, groupBy, dimensionFilter) {
+    const DimensionModel = require('./dimensionModel');
+    const column = DimensionModel.columnOf(groupBy);
+    
+    const result = await query(`
+      SELECT 
+        je.${column} as dimension_id,
+        d.code as dimension_code,
+        d.name as dimension_name,
+        a.id as account_id,
+        a.account_type,
+        a.account_code,
+        a.account_name,
+        SUM(CASE WHEN je.entry_type = a.normal_balance THEN je.amount ELSE -je.amount END) as period_balance
+      FROM journal_entries je
+      JOIN transactions t ON je.transaction_id = t.id
+      JOIN accounts a ON je.account_id = a.id
+      LEFT JOIN dimensions d ON je.${column} = d.id
+      WHERE a.account_type IN ('Revenue', 'Expense')
+      AND a.is_active = true
+      AND t.transaction_date BETWEEN $1 AND $2
+      AND t.source <> 'year_end_close'
+      ${dimensionFilter.sql}
+      GROUP BY je.${column}, d.code, d.name, a.id, a.account_type, a.account_code, a.account_name
+      ORDER BY d.code NULLS LAST, a.account_type, a.account_code
+    `, [dbStartDate, dbEndDate, ...dimensionFilter.params]);
+    
+    const groups = [];
+    result.rows.forEach(row => {
+      let group = groups.find(candidate => candidate.dimension_id === row.dimension_id);
+      if (!group) {
+        group = {
+          dimension_id: row.dimension_id,
+          code: row.dimension_code,
+          name: row.dimension_id ? row.dimension_name : 'Unassigned',
+          accounts: []
+        };
+        groups.push(group);
+      }
+      
+      group.accounts.push({
+        account_id: row.account_id,
+        account_type: row.account_type,
+        account_code: row.account_code,
+        account_name: row.account_name,
+        period_balance: money.round(row.period_balance)
+      });
+    });
+    
+    return {
+      dimension_type: groupBy,
+      label: DimensionModel.labelOf(groupBy),
+      groups: groups.map(group => {
+        const totalRevenue = money.sumBy(group.accounts.filter(account => account.account_type === 'Revenue'), 'period_balance');
+        const totalExpenses = money.sumBy(group.accounts.filter(account => account.account_type === 'Expense'), 'period_balance');
+        
+        return {
+          ...group,
+          totalRevenue: totalRevenue,
+          totalExpenses: totalExpenses,
+          netIncome: money.subtract(totalRevenue, totalExpenses)
+        };
+      })
+    };
+  }
+
+  // Trial balance from journal entries as of a date (dd/mm/yyyy, defaults to today).
+  // variant: 'adjusted' (default), 'unadjusted' (leaves out this fiscal year's adjusting
+  // entries) or 'post_closing' (includes year-end closing entries dated on asOf).
+  static async getTrialBalance(asOf, variant = 'adjusted') {
+    if (!TRIAL_BALANCE_VARIANTS.includes(variant)) {
+      throw new Error(`Invalid trial balance variant. Use one of: ${TRIAL_BALANCE_VARIANTS.join(', ')}`);
+    }
+    
+    const pakistanTime = this.getPakistanTime();
+    const dbAsOf = asOf ? this.convertToYYYYMMDD(asOf) : pakistanTime.date;
+    
+    if (!dbAsOf) {
+      throw new Error('Invalid date format. Use dd/mm/yyyy');
+    }
+    
+    try {
+      const PeriodModel = require('./periodModel');
+      const fiscalYear = PeriodModel.getFiscalYearForDate(dbAsOf);
+      const fiscalYearStart = PeriodModel.getFiscalYearBounds(fiscalYear).start_date;
+      
+      // Closing entries are dated on the last day of the fiscal year, so they are only
+      // left out when they fall on asOf itself; earlier ones carry revenue and expense
+      // accounts back to zero for the following year.
+      const result = await query(`
+        SELECT 
+          a.id,
+          a.account_code,
+          a.account_name,
+          a.account_type,
+          a.account_subtype,
+          a.normal_balance,
+          a.is_active,
+          COALESCE(SUM(CASE WHEN je.entry_type = 'Debit' THEN je.amount ELSE 0 END), 0) as total_debits,
+          COALESCE(SUM(CASE WHEN je.entry_type = 'Credit' THEN je.amount ELSE 0 END), 0) as total_credits,
+          COUNT(je.id) as entry_count
+        FROM accounts a
+        LEFT JOIN (
+          journal_entries je
+          JOIN transactions t ON je.transaction_id = t.id
+            AND t.transaction_date <= $1
+            AND ($2::boolean OR t.source <> 'year_end_close' OR t.transaction_date < $1)
+            AND ($3::date IS NULL OR t.is_adjusting = false OR t.transaction_date < $3)
+        ) ON je.account_id = a.id
+        GROUP BY a.id, a.account_code, a.account_name, a.account_type, a.account_subtype, a.normal_balance, a.is_active
+        HAVING a.is_active = true OR COUNT(je.id) > 0
+        ORDER BY a.account_code
+      `, [
+        dbAsOf,
+        variant === 'post_closing',
+        variant === 'unadjusted' ? fiscalYearStart : null
+      ]);
+      
+      const accounts = result.rows.map(row => {
+        const totalDebits = money.round(row.total_debits);
+        const totalCredits = money.round(row.total_credits);
+        const net = money.subtract(totalDebits, totalCredits);
+        
+        return {
+          account_id: row.id,
+          account_code: row.account_code,
+          account_name: row.account_name,
+          account_type: row.account_type,
+          account_subtype: row.account_subtype,
+          normal_balance: row.normal_balance,
+          is_active: row.is_active,
+          entry_count: parseInt(row.entry_count) || 0,
+          total_debits: totalDebits,
+          total_credits: totalCredits,
+          debit_balance: net > 0 ? net : 0,
+          credit_balance: net < 0 ? money.negate(net) : 0,
+          // Closing balance signed by the account's normal side (matches accounts.balance)
+          balance: row.normal_balance === 'Debit' ? net : money.negate(net)
+        };
+      });
+      
+      const totals = {
+        total_debits: money.sumBy(accounts, 'total_debits'),
+        total_credits: money.sumBy(accounts, 'total_credits'),
+        debit_balance: money.sumBy(accounts, 'debit_balance'),
+        credit_balance: money.sumBy(accounts, 'credit_balance')
+      };
+      
+      const difference = money.abs(money.subtract(totals.debit_balance, totals.credit_balance));
+      
+      return {
+        asOf: this.convertToDDMMYYYY(dbAsOf),
+        asOf_db: dbAsOf,
+        variant: variant,
+        fiscalYear: PeriodModel.getFiscalYearLabel(fiscalYear),
+        accounts: accounts,
+        totals: totals,
+        difference: difference,
+        isBalanced: money.isZero(difference),
+        generated_at: pakistanTime.fullDateTime
+      };
+    } catch (error) {
+      console.error('Get trial balance error:', error);
+      throw error;
+    }
+  }
+
+  // Statement of cash flows for a period (dd/mm/yyyy). Accounts are grouped by
+  // getCashFlowCategory; year-end closing entries are left out like the other
+  // period reports. Investing and financing activities only count transactions
+  // that touch a cash account, so both methods report them identically.
+  // - indirect: net income adjusted by the movement of non-cash balance sheet accounts
+  // - direct: the counter-entries of every transaction that touches a cash account
+  static async getCashFlowStatement(startDate, endDate, method = 'indirect') {
+    if (!CASH_FLOW_METHODS.includes(method)) {
+      throw new Error(`Invalid cash flow method. Use one of: ${CASH_FLOW_METHODS.join(', ')}`);
+    }
+    
+    const dbStartDate = this.convertToYYYYMMDD(startDate);
+    const dbEndDate = this.convertToYYYYMMDD(endDate);
+    
+    if (!dbStartDate || !dbEndDate) {
+      throw new Error('Invalid date format. Use dd/mm/yyyy');
+    }
+    
+    if (dbStartDate > dbEndDate) {
+      throw new Error('Start date must be on or before end date');
+    }
+    
+    try {
+      const accountsResult = await query(`
+        SELECT id, account_code, account_name, account_type, account_subtype, cash_flow_category, normal_balance
+        FROM accounts
+        ORDER BY account_code
+      `);
+      
+      const accountsById = {};
+      accountsResult.rows.forEach(account => {
+        accountsById[account.id] = { ...account, category: this.getCashFlowCategory(account) };
+      });
+      
+      const cashAccounts = Object.values(accountsById).filter(account => account.category === 'cash');
+      const cashAccountIds = cashAccounts.map(account => account.id);
+      
+      if (cashAccountIds.length === 0) {
+        throw new Error('No cash accounts found. Set the cash flow category of your cash and bank accounts to "cash"');
+      }
+      
+      const cashResult = await query(`
+        SELECT 
+          COALESCE(SUM(CASE WHEN t.transaction_date < $2 
+            THEN (CASE WHEN je.entry_type = 'Debit' THEN je.amount ELSE -je.amount END) ELSE 0 END), 0) as opening_cash,
+          COALESCE(SUM(CASE WHEN t.transaction_date BETWEEN $2 AND $3 
+            THEN (CASE WHEN je.entry_type = 'Debit' THEN je.amount ELSE -je.amount END) ELSE 0 END), 0) as cash_change
+        FROM journal_entries je
+        JOIN transactions t ON je.transaction_id = t.id
+        WHERE je.account_id = ANY($1)
+        AND t.transaction_date <= $3
+      `, [cashAccountIds, dbStartDate, dbEndDate]);
+      
+      const openingCash = money.round(cashResult.rows[0].opening_cash);
+      const actualCashChange = money.round(cashResult.rows[0].cash_change);
+      
+      // Net debit movement per non-cash account, in total and for the part posted
+      // by transactions that also touch a cash account
+      const movementResult = await query(`
+        SELECT 
+          je.account_id,
+          SUM(CASE WHEN je.entry_type = 'Debit' THEN je.amount ELSE -je.amount END) as net_debit,
+          SUM(CASE WHEN ct.transaction_id IS NULL THEN 0
+                   WHEN je.entry_type = 'Debit' THEN je.amount ELSE -je.amount END) as cash_net_debit
+        FROM journal_entries je
+        JOIN transactions t ON je.transaction_id = t.id
+        LEFT JOIN (
+          SELECT DISTINCT transaction_id FROM journal_entries WHERE account_id = ANY($3)
+        ) ct ON ct.transaction_id = t.id
+        WHERE t.transaction_date BETWEEN $1 AND $2
+        AND t.source <> 'year_end_close'
+        AND je.account_id <> ALL($3)
+        GROUP BY je.account_id
+      `, [dbStartDate, dbEndDate, cashAccountIds]);
+      
+      const sections = {
+        operating: { items: [], total: 0 },
+        investing: { items: [], total: 0 },
+        financing: { items: [], total: 0 }
+      };
+      
+      const addItem = (category, account, amount, label) => {
+        if (money.isZero(amount)) return;
+        sections[category].items.push({
+          account_id: account.id,
+          account_code: account.account_code,
+          account_name: account.account_name,
+          account_type: account.account_type,
+          label: label,
+          amount: amount
+        });
+        sections[category].total = money.add(sections[category].total, amount);
+      };
+      
+      let netIncome = 0;
+      
+      movementResult.rows.forEach(row => {
+        const account = accountsById[row.account_id];
+        const netDebit = money.round(row.net_debit);
+        const cashNetDebit = money.round(row.cash_net_debit);
+        const isIncomeStatementAccount = account.account_type === 'Revenue' || account.account_type === 'Expense';
+        
+        if (method === 'direct') {
+          const label = cashNetDebit <= 0
+            ? `Cash received - ${account.account_name}`
+            : `Cash paid - ${account.account_name}`;
+          addItem(account.category, account, money.negate(cashNetDebit), label);
+          return;
+        }
+        
+        if (isIncomeStatementAccount) {
+          netIncome = money.subtract(netIncome, netDebit);
+          
+          // Gains and losses classified outside operating activities: the cash part
+          // is taken out of net income and reported with the activity it belongs to
+          if (account.category !== 'operating') {
+            addItem('operating', account, cashNetDebit, `Less: ${account.account_name}`);
+            addItem(account.category, account, money.negate(cashNetDebit), account.account_name);
+          }
+          return;
+        }
+        
+        if (account.category === 'operating') {
+          const increased = (netDebit > 0) === (account.normal_balance === 'Debit');
+          addItem('operating', account, money.negate(netDebit), `${increased ? 'Increase' : 'Decrease'} in ${account.account_name}`);
+          return;
+        }
+        
+        // Investing/financing accounts: cash movements belong to their activity,
+        // non-cash movements (e.g. depreciation) are adjustments to net income
+        addItem(account.category, account, money.negate(cashNetDebit), account.account_name);
+        addItem('operating', account, money.subtract(cashNetDebit, netDebit), `Non-cash movement in ${account.account_name}`);
+      });
+      
+      if (method === 'indirect') {
+        sections.operating.netIncome = netIncome;
+        sections.operating.total = money.add(sections.operating.total, netIncome);
+      }
+      
+      Object.values(sections).forEach(section => {
+        section.items.sort((a, b) => a.account_code.localeCompare(b.account_code));
+      });
+      
+      const netChange = money.sum([sections.operating.total, sections.investing.total, sections.financing.total]);
+      const difference = money.abs(money.subtract(netChange, actualCashChange));
+      
+      return {
+        method: method,
+        operating: sections.operating,
+        investing: sections.investing,
+        financing: sections.financing,
+        netChange: netChange,
+        openingCash: openingCash,
+        closingCash: money.add(openingCash, actualCashChange),
+        actualCashChange: actualCashChange,
+        difference: difference,
+        isReconciled: money.isZero(difference),
+        cashAccounts: cashAccounts.map(account => ({
+          account_id: account.id,
+          account_code: account.account_code,
+          account_name: account.account_name
+        })),
+        period: {
+          startDate: startDate,
+          endDate: endDate
+        }
+      };
+    } catch (error) {
+      console.error('Get cash flow statement error:', error);
+      throw error;
+    }
+  }
+
+  // Statement of changes in equity for a period (dd/mm/yyyy). Each capital account
+  // is rolled forward from its opening balance through contributions, drawings
+  // (debit-normal capital accounts) and year-end closing transfers; income not yet
+  // closed into retained earnings is carried as "current earnings".
+  static async getEquityStatement(startDate, endDate) {
+    const dbStartDate = this.convertToYYYYMMDD(startDate);
+    const dbEndDate = this.convertToYYYYMMDD(endDate);
+    
+    if (!dbStartDate || !dbEndDate) {
+      throw new Error('Invalid date format. Use dd/mm/yyyy');
+    }
+    
+    if (dbStartDate > dbEndDate) {
+      throw new Error('Start date must be on or before end date');
+    }
+    
+    try {
+      // Amounts are signed as credits (the normal side of equity)
+      const result = await query(`
+        SELECT 
+          a.id,
+          a.account_code,
+          a.account_name,
+          a.account_type,
+          a.normal_balance,
+          a.is_active,
+          COALESCE(SUM(CASE WHEN t.transaction_date < $1 
+            THEN (CASE WHEN je.entry_type = 'Credit' THEN je.amount ELSE -je.amount END) ELSE 0 END), 0) as opening,
+          COALESCE(SUM(CASE WHEN t.transaction_date >= $1 AND t.source <> 'year_end_close' 
+            THEN (CASE WHEN je.entry_type = 'Credit' THEN je.amount ELSE -je.amount END) ELSE 0 END), 0) as movement,
+          COALESCE(SUM(CASE WHEN t.transaction_date >= $1 AND t.source = 'year_end_close' 
+            THEN (CASE WHEN je.entry_type = 'Credit' THEN je.amount ELSE -je.amount END) ELSE 0 END), 0) as closing_transfers,
+          COUNT(je.id) as entry_count
+        FROM accounts a
+        LEFT JOIN (
+          journal_entries je
+          JOIN transactions t ON je.transaction_id = t.id AND t.transaction_date <= $2
+        ) ON je.account_id = a.id
+        WHERE a.account_type IN ('Capital', 'Revenue', 'Expense')
+        GROUP BY a.id, a.account_code, a.account_name, a.account_type, a.normal_balance, a.is_active
+        ORDER BY a.account_code
+      `, [dbStartDate, dbEndDate]);
+      
+      const capitalAccounts = result.rows
+        .filter(row => row.account_type === 'Capital' && (row.is_active || parseInt(row.entry_count) > 0))
+        .map(row => {
+          const opening = money.round(row.opening);
+          const movement = money.round(row.movement);
+          const closingTransfers = money.round(row.closing_transfers);
+          const isDrawings = row.normal_balance === 'Debit';
+          
+          return {
+            account_id: row.id,
+            account_code: row.account_code,
+            account_name: row.account_name,
+            normal_balance: row.normal_balance,
+            is_drawings: isDrawings,
+            opening: opening,
+            contributions: isDrawings ? 0 : movement,
+            drawings: isDrawings ? movement : 0,
+            closing_transfers: closingTransfers,
+            closing: money.sum([opening, movement, closingTransfers])
+          };
+        });
+      
+      // Revenue and expense balances not yet closed into a capital account. Net income is
+      // the period movement of the same rows, so inactive accounts count on every line.
+      const incomeRows = result.rows.filter(row => row.account_type !== 'Capital');
+      const sumIncome = (field) => money.sumBy(incomeRows, field);
+      const totalRevenue = money.sumBy(incomeRows.filter(row => row.account_type === 'Revenue'), 'movement');
+      const totalExpenses = money.negate(money.sumBy(incomeRows.filter(row => row.account_type === 'Expense'), 'movement'));
+      const netIncome = money.subtract(totalRevenue, totalExpenses);
+      const currentEarningsOpening = sumIncome('opening');
+      const currentEarningsTransfers = sumIncome('closing_transfers');
+      
+      const currentEarnings = {
+        opening: currentEarningsOpening,
+        net_income: netIncome,
+        closing_transfers: currentEarningsTransfers,
+        closing: money.sum([currentEarningsOpening, netIncome, currentEarningsTransfers])
+      };
+      
+      const sumCapital = (field) => money.sumBy(capitalAccounts, field);
+      
+      const totals = {
+        opening: money.add(sumCapital('opening'), currentEarnings.opening),
+        contributions: sumCapital('contributions'),
+        drawings: sumCapital('drawings'),
+        net_income: netIncome,
+        closing: money.add(sumCapital('closing'), currentEarnings.closing)
+      };
+      
+      return {
+        accounts: capitalAccounts,
+        currentEarnings: currentEarnings,
+        totals: totals,
+        incomeStatement: {
+          totalRevenue: totalRevenue,
+          totalExpenses: totalExpenses,
+          netIncome: netIncome
+        },
+        period: {
+          startDate: startDate,
+          endDate: endDate
+        }
+      };
+    } catch (error) {
+      console.error('Get equity statement error:', error);
+      throw error;
+    }
+  }
+
   // ===== LEDGER METHODS (FIXED) =====
 
-  static async getAccountLedger(accountId, startDate, endDate) {
+  // dimensionOptions (from DimensionModel.parseReportOptions) restricts the ledger, opening
+  // balance included, to entries of the given dimensions; groupBy adds period totals per value.
+  static async getAccountLedger(accountId, startDate, endDate, dimensionOptions = {}) {
     const dbStartDate = this.convertToYYYYMMDD(startDate);
     const dbEndDate = this.convertToYYYYMMDD(endDate);
     
@@ -1381,6 +2559,11 @@ class AccountingModel {
       throw new Error('Invalid date format. Use dd/mm/yyyy');
     }
     
+    const DimensionModel = require('./dimensionModel');
+    const { filters = {}, groupBy = null } = dimensionOptions;
+    const openingFilter = DimensionModel.entryFilterClause(filters, 4);
+    const periodFilter = DimensionModel.entryFilterClause(filters, 5);
+    
     try {
       const accountResult = await query(
         `SELECT * FROM accounts WHERE id = $1 AND is_active = true`,
@@ -1394,7 +2577,7 @@ class AccountingModel {
       const account = accountResult.rows[0];
       const formattedAccount = {
         ...account,
-        balance: parseFloat(account.balance) || 0,
+        balance: money.round(account.balance),
         created_at_formatted: this.formatDateToPakistan(account.created_at),
         updated_at_formatted: this.formatDateToPakistan(account.updated_at),
         date_created_formatted: this.formatDateOnly(account.created_at)
@@ -1413,11 +2596,30 @@ class AccountingModel {
         FROM journal_entries je
         JOIN transactions t ON je.transaction_id = t.id
         WHERE je.account_id = $2
-        AND t.transaction_date < $3`,
-        [account.normal_balance, accountId, dbStartDate]
+        AND t.transaction_date < $3
+        ${openingFilter.sql}`,
+        [account.normal_balance, accountId, dbStartDate, ...openingFilter.params]
       );
       
-      const openingBalance = parseFloat(openingBalanceResult.rows[0]?.opening_balance || 0);
+      const openingBalance = money.round(openingBalanceResult.rows[0]?.opening_balance);
+      
+      // An account kept in a foreign currency also has its balance in that currency
+      const foreignCurrency = account.currency_code || null;
+      let foreignOpeningBalance = null;
+      if (foreignCurrency) {
+        const foreignOpeningResult = await query(
+          `SELECT COALESCE(SUM(
+            CASE WHEN je.entry_type = $1 THEN je.foreign_amount ELSE -je.foreign_amount END
+          ), 0) as opening_balance
+          FROM journal_entries je
+          JOIN transactions t ON je.transaction_id = t.id
+          WHERE je.account_id = $2
+          AND t.transaction_date < $3
+          ${openingFilter.sql}`,
+          [account.normal_balance, accountId, dbStartDate, ...openingFilter.params]
+        );
+        foreignOpeningBalance = money.round(foreignOpeningResult.rows[0]?.opening_balance, foreignCurrency);
+      }
       
       const transactionsResult = await query(
         `SELECT 
@@ -1428,6 +2630,18 @@ class AccountingModel {
           t.reference,
           je.amount,
           je.entry_type,
+          je.currency_code,
+          je.foreign_amount,
+          je.exchange_rate,
+          je.cost_center_id,
+          cc.code as cost_center_code,
+          cc.name as cost_center_name,
+          je.department_id,
+          dep.code as department_code,
+          dep.name as department_name,
+          je.project_id,
+          prj.code as project_code,
+          prj.name as project_name,
           je.created_at,
           (
             SELECT STRING_AGG(DISTINCT oa.account_name || ' (' || oje.entry_type || ')', ', ')
@@ -1438,27 +2652,34 @@ class AccountingModel {
           ) as other_accounts
         FROM transactions t
         JOIN journal_entries je ON t.id = je.transaction_id
+        LEFT JOIN dimensions cc ON je.cost_center_id = cc.id
+        LEFT JOIN dimensions dep ON je.department_id = dep.id
+        LEFT JOIN dimensions prj ON je.project_id = prj.id
         WHERE je.account_id = $2
         AND t.transaction_date BETWEEN $3 AND $4
+        ${periodFilter.sql}
         ORDER BY t.transaction_date, t.id`,
-        [accountId, accountId, dbStartDate, dbEndDate]
+        [accountId, accountId, dbStartDate, dbEndDate, ...periodFilter.params]
       );
       
       let runningBalance = openingBalance;
+      let foreignRunningBalance = foreignOpeningBalance;
       const ledgerEntries = [];
       
       transactionsResult.rows.forEach(transaction => {
-        const amount = parseFloat(transaction.amount);
-        let balanceEffect = 0;
+        const amount = money.round(transaction.amount);
+        const balanceEffect = transaction.entry_type === account.normal_balance ? amount : money.negate(amount);
+        const entryCurrency = this._formatEntryCurrency(transaction);
         
-        if (account.normal_balance === 'Debit') {
-          balanceEffect = transaction.entry_type === 'Debit' ? amount : -amount;
-        } else {
-          balanceEffect = transaction.entry_type === 'Credit' ? amount : -amount;
+        runningBalance = money.add(runningBalance, balanceEffect);
+        // Revaluation entries change only the base currency balance
+        if (foreignCurrency && entryCurrency.foreign_amount !== null) {
+          const foreignEffect = transaction.entry_type === account.normal_balance
+            ? entryCurrency.foreign_amount
+            : money.negate(entryCurrency.foreign_amount, foreignCurrency);
+          foreignRunningBalance = money.add(foreignRunningBalance, foreignEffect, foreignCurrency);
         }
         
-        runningBalance += balanceEffect;
-        
         ledgerEntries.push({
           transaction_id: transaction.transaction_id,
           transaction_number: transaction.transaction_number,
@@ -1470,6 +2691,9 @@ class AccountingModel {
           amount: amount,
           balance_effect: balanceEffect,
           running_balance: runningBalance,
+          ...entryCurrency,
+          foreign_running_balance: foreignRunningBalance,
+          ...this._formatEntryDimensions(transaction),
           other_accounts: transaction.other_accounts || 'Various',
           created_at: this.formatDateToPakistan(transaction.created_at)
         });
@@ -1477,6 +2701,41 @@ class AccountingModel {
       
       const closingBalance = runningBalance;
       
+      // Period movement per value of the grouped dimension, unassigned entries last
+      let dimensionTotals = null;
+      if (groupBy) {
+        const column = DimensionModel.columnOf(groupBy);
+        const prefix = column.replace(/_id$/, '');
+        dimensionTotals = [];
+        
+        ledgerEntries.forEach(entry => {
+          const dimensionId = entry[column] || null;
+          let total = dimensionTotals.find(candidate => candidate.dimension_id === dimensionId);
+          if (!total) {
+            total = {
+              dimension_id: dimensionId,
+              code: dimensionId ? entry[`${prefix}_code`] : null,
+              name: dimensionId ? entry[`${prefix}_name`] : 'Unassigned',
+              total_debits: 0,
+              total_credits: 0,
+              net_change: 0,
+              transaction_count: 0
+            };
+            dimensionTotals.push(total);
+          }
+          
+          if (entry.entry_type === 'Debit') {
+            total.total_debits = money.add(total.total_debits, entry.amount);
+          } else {
+            total.total_credits = money.add(total.total_credits, entry.amount);
+          }
+          total.net_change = money.add(total.net_change, entry.balance_effect);
+          total.transaction_count += 1;
+        });
+        
+        dimensionTotals.sort((a, b) => (a.code === null) - (b.code === null) || String(a.code).localeCompare(String(b.code)));
+      }
+      
       return {
         account: formattedAccount,
         period: {
@@ -1487,7 +2746,13 @@ class AccountingModel {
         },
         openingBalance: openingBalance,
         closingBalance: closingBalance,
+        currency_code: foreignCurrency,
+        foreignOpeningBalance: foreignOpeningBalance,
+        foreignClosingBalance: foreignRunningBalance,
         transactions: ledgerEntries,
+        dimensionFilters: await DimensionModel.describeFilters(filters),
+        dimensionGroupBy: groupBy,
+        dimensionTotals: dimensionTotals,
         summary: {
           total_debits: ledgerEntries.filter(e => e.entry_type === 'Debit').reduce((sum, e) => sum + e.amount, 0),
           total_credits: ledgerEntries.filter(e => e.entry_type === 'Credit').reduce((sum, e) => sum + e.amount, 0),
@@ -1500,6 +2765,223 @@ class AccountingModel {
     }
   }
 
+  // ===== SUB-LEDGERS =====
+
+  // Balance of every party on the control accounts of a sub-ledger, from journal entries
+  // dated on or before dbAsOf (all entries when null). Entries without a party are
+  // returned under party_id null.
+  static async getSubledgerBalances(controlType, dbAsOf = null) {
+    const subledger = SUBLEDGERS[controlType];
+    if (!subledger) {
+      throw new Error(`Control type must be one of: ${Object.keys(SUBLEDGERS).join(', ')}`);
+    }
+    
+    const result = await query(`
+      SELECT 
+        je.${subledger.column} as party_id,
+        SUM(CASE WHEN je.entry_type = a.normal_balance THEN je.amount ELSE -je.amount END) as balance,
+        COUNT(*) as entry_count
+      FROM journal_entries je
+      JOIN accounts a ON je.account_id = a.id
+      JOIN transactions t ON je.transaction_id = t.id
+      WHERE a.control_type = $1
+      AND ($2::date IS NULL OR t.transaction_date <= $2::date)
+      GROUP BY je.${subledger.column}
+    `, [controlType, dbAsOf]);
+    
+    return result.rows.map(row => ({
+      party_id: row.party_id,
+      balance: money.round(row.balance),
+      entry_count: parseInt(row.entry_count)
+    }));
+  }
+
+  // Ties a sub-ledger out to its control accounts: the party balances plus the
+  // unassigned remainder must equal the control account balances. Without a date the
+  // control side is the running accounts.balance, so drift there shows up as a difference.
+  static async getSubledgerReconciliation(controlType, dbAsOf = null) {
+    const balances = await this.getSubledgerBalances(controlType, dbAsOf);
+    
+    const controlResult = await query(
+      `SELECT account_code, account_name, balance FROM ${this.accountsAsOf(dbAsOf)} 
+       WHERE control_type = ${dbAsOf ? '$2' : '$1'} ORDER BY account_code`,
+      dbAsOf ? [dbAsOf, controlType] : [controlType]
+    );
+    
+    const controlAccounts = controlResult.rows.map(account => ({
+      account_code: account.account_code,
+      account_name: account.account_name,
+      balance: money.round(account.balance)
+    }));
+    
+    const controlBalance = money.sumBy(controlAccounts, 'balance');
+    const partyBalance = money.sumBy(balances.filter(row => row.party_id !== null), 'balance');
+    const unassignedBalance = money.sumBy(balances.filter(row => row.party_id === null), 'balance');
+    const difference = money.subtract(controlBalance, money.add(partyBalance, unassignedBalance));
+    
+    return {
+      control_type: controlType,
+      controlAccounts: controlAccounts,
+      controlBalance: controlBalance,
+      subledgerBalance: partyBalance,
+      unassignedBalance: unassignedBalance,
+      difference: difference,
+      isReconciled: money.isZero(difference)
+    };
+  }
+
+  // Aging of a sub-ledger as of a date (today when omitted). Each party's payments and
+  // credits settle its oldest charges first; what is left open is bucketed by days past
+  // its due date. Entries without a due date fall due after the party's payment terms.
+  // A reversal and the transaction it reverses cancel out when both are dated by asOf.
+  static async getAgingReport(controlType, asOf = null) {
+    const subledger = SUBLEDGERS[controlType];
+    if (!subledger) {
+      throw new Error(`Control type must be one of: ${Object.keys(SUBLEDGERS).join(', ')}`);
+    }
+    
+    try {
+      const dbAsOf = this.parseAsOfDate(asOf) || this.getPakistanTime().date;
+      
+      const result = await query(`
+        SELECT 
+          je.${subledger.column} as party_id,
+          p.name as party_name,
+          t.id as transaction_id,
+          t.transaction_number,
+          t.voucher_number,
+          TO_CHAR(t.transaction_date, 'YYYY-MM-DD') as transaction_date,
+          TO_CHAR(COALESCE(je.due_date, t.transaction_date + COALESCE(p.payment_terms_days, 0)), 'YYYY-MM-DD') as due_date,
+          t.description,
+          t.reference,
+          a.account_code,
+          CASE WHEN je.entry_type = a.normal_balance THEN je.amount ELSE -je.amount END as amount
+        FROM journal_entries je
+        JOIN accounts a ON je.account_id = a.id
+        JOIN transactions t ON je.transaction_id = t.id
+        LEFT JOIN ${subledger.table} p ON je.${subledger.column} = p.id
+        WHERE a.control_type = $1
+        AND t.transaction_date <= $2::date
+        AND NOT EXISTS (
+          SELECT 1 FROM transactions r WHERE r.reversal_of = t.id AND r.transaction_date <= $2::date
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM transactions o WHERE o.id = t.reversal_of AND o.transaction_date <= $2::date
+        )
+        ORDER BY p.name NULLS LAST, due_date, t.transaction_date, t.id, je.id
+      `, [controlType, dbAsOf]);
+      
+      const asOfTime = new Date(`${dbAsOf}T00:00:00Z`).getTime();
+      const daysPastDue = (dbDueDate) => Math.round((asOfTime - new Date(`${dbDueDate}T00:00:00Z`).getTime()) / 86400000);
+      const bucketFor = (days) => AGING_BUCKETS.find(bucket => days <= bucket.maxDays).key;
+      const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+      
+      const partiesByKey = new Map();
+      result.rows.forEach(row => {
+        const key = row.party_id === null ? 'unassigned' : row.party_id;
+        if (!partiesByKey.has(key)) {
+          partiesByKey.set(key, {
+            party_id: row.party_id,
+            party_name: row.party_id === null ? `No ${subledger.label.toLowerCase()}` : row.party_name,
+            charges: [],
+            credits: 0
+          });
+        }
+        
+        const party = partiesByKey.get(key);
+        const amount = money.round(row.amount);
+        
+        if (amount > 0) {
+          party.charges.push({ row, amount });
+        } else {
+          party.credits = money.add(party.credits, money.negate(amount));
+        }
+      });
+      
+      const totals = emptyBuckets();
+      const parties = [];
+      
+      for (const party of partiesByKey.values()) {
+        let unapplied = party.credits;
+        const items = [];
+        
+        for (const { row, amount } of party.charges) {
+          const applied = money.compare(unapplied, amount) >= 0 ? amount : unapplied;
+          unapplied = money.subtract(unapplied, applied);
+          const openAmount = money.subtract(amount, applied);
+          
+          if (money.isZero(openAmount)) {
+            continue;
+          }
+          
+          const days = daysPastDue(row.due_date);
+          items.push({
+            transaction_id: row.transaction_id,
+            transaction_number: row.transaction_number,
+            voucher_number: row.voucher_number,
+            date: row.transaction_date,
+            date_formatted: this.convertToDDMMYYYY(row.transaction_date),
+            due_date: row.due_date,
+            due_date_formatted: this.convertToDDMMYYYY(row.due_date),
+            description: row.description,
+            reference: row.reference || '',
+            account_code: row.account_code,
+            original_amount: amount,
+            open_amount: openAmount,
+            days_past_due: Math.max(days, 0),
+            bucket: bucketFor(days)
+          });
+        }
+        
+        // Payments beyond everything charged are an unapplied credit, shown as current
+        if (!money.isZero(unapplied)) {
+          items.push({
+            transaction_id: null,
+            description: 'Unapplied credit',
+            original_amount: money.negate(unapplied),
+            open_amount: money.negate(unapplied),
+            days_past_due: 0,
+            bucket: 'current'
+          });
+        }
+        
+        if (items.length === 0) {
+          continue;
+        }
+        
+        const buckets = emptyBuckets();
+        items.forEach(item => {
+          buckets[item.bucket] = money.add(buckets[item.bucket], item.open_amount);
+          totals[item.bucket] = money.add(totals[item.bucket], item.open_amount);
+        });
+        
+        parties.push({
+          party_id: party.party_id,
+          party_name: party.party_name,
+          buckets: buckets,
+          total: money.sumBy(items, 'open_amount'),
+          items: items
+        });
+      }
+      
+      const total = money.sum(Object.values(totals));
+      const reconciliation = await this.getSubledgerReconciliation(controlType, dbAsOf);
+      
+      return {
+        control_type: controlType,
+        asOf: this.convertToDDMMYYYY(dbAsOf),
+        buckets: AGING_BUCKETS.map(bucket => ({ key: bucket.key, label: bucket.label })),
+        parties: parties,
+        totals: { ...totals, total: total },
+        controlBalance: reconciliation.controlBalance,
+        isReconciled: money.equals(total, reconciliation.controlBalance)
+      };
+    } catch (error) {
+      console.error('Get aging report error:', error);
+      throw error;
+    }
+  }
+
   // ===== SYSTEM HEALTH & VALIDATION =====
 
   static async validateAccountingEquation() {
@@ -1518,23 +3000,26 @@ class AccountingModel {
         WHERE is_active = true
       `);
       
-      const totalAssets = parseFloat(result.rows[0].total_assets || 0);
-      const totalLiabilities = parseFloat(result.rows[0].total_liabilities || 0);
-      const totalCapital = parseFloat(result.rows[0].total_capital || 0);
-      const difference = Math.abs(totalAssets - (totalLiabilities + totalCapital));
-      const equationHolds = difference < 0.01;
+      const totalAssets = money.round(result.rows[0].total_assets);
+      const totalLiabilities = money.round(result.rows[0].total_liabilities);
+      const totalCapital = money.round(result.rows[0].total_capital);
+      const totalEquity = money.add(totalLiabilities, totalCapital);
+      const difference = money.abs(money.subtract(totalAssets, totalEquity));
+      const equationHolds = money.isZero(difference);
       
+      const reconciliation = await this.reconcileBalances();
       const pakistanTime = this.getPakistanTime();
       
       return {
         equationHolds: equationHolds,
-        totalAssets: totalAssets.toFixed(2),
-        totalLiabilities: totalLiabilities.toFixed(2),
-        totalCapital: totalCapital.toFixed(2),
-        totalEquity: (totalLiabilities + totalCapital).toFixed(2),
-        difference: difference.toFixed(2),
+        totalAssets: money.toFixed(totalAssets),
+        totalLiabilities: money.toFixed(totalLiabilities),
+        totalCapital: money.toFixed(totalCapital),
+        totalEquity: money.toFixed(totalEquity),
+        difference: money.toFixed(difference),
         validated_at: pakistanTime.fullDateTime,
-        total_accounts: result.rows[0].total_accounts || 0
+        total_accounts: result.rows[0].total_accounts || 0,
+        reconciliation: reconciliation
       };
     } catch (error) {
       console.error('Validate accounting equation error:', error);
@@ -1542,8 +3027,142 @@ class AccountingModel {
     }
   }
 
-  static async getFinancialRatios() {
+  // Recomputes every account balance from journal_entries and compares it with the
+  // incrementally maintained accounts.balance. Also lists transactions whose debits and
+  // credits do not agree. Pass a transaction client to run inside an open DB transaction.
+  static async reconcileBalances(client = null) {
+    const run = client ? (text, params) => client.query(text, params) : query;
+    
+    try {
+      const accountsResult = await run(`
+        SELECT 
+          a.id as account_id,
+          a.account_code,
+          a.account_name,
+          a.account_type,
+          a.normal_balance,
+          a.is_active,
+          COALESCE(a.balance, 0) as stored_balance,
+          COALESCE(SUM(CASE WHEN je.entry_type = a.normal_balance THEN je.amount ELSE -je.amount END), 0) as journal_balance,
+          COUNT(je.id) as entry_count
+        FROM accounts a
+        LEFT JOIN journal_entries je ON je.account_id = a.id
+        GROUP BY a.id
+        ORDER BY a.account_code
+      `);
+      
+      const discrepancies = accountsResult.rows
+        .map(row => {
+          const storedBalance = money.round(row.stored_balance);
+          const journalBalance = money.round(row.journal_balance);
+          return {
+            account_id: row.account_id,
+            account_code: row.account_code,
+            account_name: row.account_name,
+            account_type: row.account_type,
+            normal_balance: row.normal_balance,
+            is_active: row.is_active,
+            entry_count: parseInt(row.entry_count),
+            stored_balance: storedBalance,
+            journal_balance: journalBalance,
+            difference: money.subtract(storedBalance, journalBalance)
+          };
+        })
+        .filter(account => !money.isZero(account.difference));
+      
+      const unbalancedResult = await run(`
+        SELECT 
+          t.id as transaction_id,
+          t.transaction_number,
+          TO_CHAR(t.transaction_date, 'YYYY-MM-DD') as transaction_date,
+          t.description,
+          t.source,
+          COUNT(je.id) as entry_count,
+          COALESCE(SUM(CASE WHEN je.entry_type = 'Debit' THEN je.amount ELSE 0 END), 0) as total_debits,
+          COALESCE(SUM(CASE WHEN je.entry_type = 'Credit' THEN je.amount ELSE 0 END), 0) as total_credits
+        FROM transactions t
+        LEFT JOIN journal_entries je ON je.transaction_id = t.id
+        GROUP BY t.id
+        HAVING COUNT(je.id) < 2
+          OR COALESCE(SUM(CASE WHEN je.entry_type = 'Debit' THEN je.amount ELSE -je.amount END), 0) <> 0
+        ORDER BY t.transaction_date, t.id
+      `);
+      
+      const unbalancedTransactions = unbalancedResult.rows.map(row => {
+        const totalDebits = money.round(row.total_debits);
+        const totalCredits = money.round(row.total_credits);
+        return {
+          transaction_id: row.transaction_id,
+          transaction_number: row.transaction_number,
+          transaction_date: this.convertToDDMMYYYY(row.transaction_date),
+          description: row.description,
+          source: row.source,
+          entry_count: parseInt(row.entry_count),
+          total_debits: totalDebits,
+          total_credits: totalCredits,
+          difference: money.subtract(totalDebits, totalCredits)
+        };
+      });
+      
+      return {
+        isReconciled: discrepancies.length === 0 && unbalancedTransactions.length === 0,
+        accountsChecked: accountsResult.rows.length,
+        discrepancies: discrepancies,
+        totalDiscrepancy: money.sumBy(discrepancies, account => money.abs(account.difference)),
+        unbalancedTransactions: unbalancedTransactions,
+        checked_at: this.getPakistanTime().fullDateTime
+      };
+    } catch (error) {
+      console.error('Reconcile balances error:', error);
+      throw error;
+    }
+  }
+
+  // Resets accounts.balance to the balance recomputed from journal_entries for every account
+  // that has drifted, in one DB transaction. Unbalanced transactions cannot be repaired here;
+  // they are returned in the report so they can be reversed or corrected by hand.
+  static async rebuildBalances() {
+    try {
+      const { transaction } = require('../database/db');
+      
+      return await transaction(async (client) => {
+        // Keep postings from moving balances while they are being rebuilt
+        await client.query('LOCK TABLE accounts IN SHARE ROW EXCLUSIVE MODE');
+        
+        const reconciliation = await this.reconcileBalances(client);
+        const pakistanTime = this.getPakistanTime();
+        
+        for (const account of reconciliation.discrepancies) {
+          await client.query(
+            `UPDATE accounts SET balance = $1, updated_at = $2 WHERE id = $3`,
+            [account.journal_balance, pakistanTime.timestamp, account.account_id]
+          );
+        }
+        
+        return {
+          accountsChecked: reconciliation.accountsChecked,
+          accountsUpdated: reconciliation.discrepancies.length,
+          changes: reconciliation.discrepancies.map(account => ({
+            account_id: account.account_id,
+            account_code: account.account_code,
+            account_name: account.account_name,
+            old_balance: account.stored_balance,
+            new_balance: account.journal_balance,
+            adjustment: money.negate(account.difference)
+          })),
+          unbalancedTransactions: reconciliation.unbalancedTransactions,
+          rebuilt_at: pakistanTime.fullDateTime
+        };
+      });
+    } catch (error) {
+      console.error('Rebuild balances error:', error);
+      throw error;
+    }
+  }
+
+  static async getFinancialRatios(asOf = null) {
     try {
+      const dbAsOf = this.parseAsOfDate(asOf);
       const result = await query(`
         SELECT 
           SUM(CASE WHEN account_type = 'Asset' THEN balance ELSE 0 END) as total_assets,
@@ -1551,16 +3170,16 @@ class AccountingModel {
           SUM(CASE WHEN account_type = 'Capital' THEN balance ELSE 0 END) as total_capital,
           SUM(CASE WHEN account_type = 'Revenue' THEN balance ELSE 0 END) as total_revenue,
           SUM(CASE WHEN account_type = 'Expense' THEN balance ELSE 0 END) as total_expenses
-        FROM accounts 
+        FROM ${this.accountsAsOf(dbAsOf)} 
         WHERE is_active = true
-      `);
+      `, dbAsOf ? [dbAsOf] : []);
       
-      const totalAssets = parseFloat(result.rows[0].total_assets || 0);
-      const totalLiabilities = parseFloat(result.rows[0].total_liabilities || 0);
-      const totalCapital = parseFloat(result.rows[0].total_capital || 0);
-      const totalRevenue = parseFloat(result.rows[0].total_revenue || 0);
-      const totalExpenses = parseFloat(result.rows[0].total_expenses || 0);
-      const netIncome = totalRevenue - totalExpenses;
+      const totalAssets = money.round(result.rows[0].total_assets);
+      const totalLiabilities = money.round(result.rows[0].total_liabilities);
+      const totalCapital = money.round(result.rows[0].total_capital);
+      const totalRevenue = money.round(result.rows[0].total_revenue);
+      const totalExpenses = money.round(result.rows[0].total_expenses);
+      const netIncome = money.subtract(totalRevenue, totalExpenses);
       
       const ratios = {
         debtRatio: totalAssets > 0 ? ((totalLiabilities / totalAssets) * 100).toFixed(2) : 0,
@@ -1575,7 +3194,8 @@ class AccountingModel {
           totalRevenue,
           totalExpenses,
           netIncome
-        }
+        },
+        asOf: asOf || null
       };
       
       return ratios;
@@ -1628,7 +3248,7 @@ class AccountingModel {
         issues: []
       };
       
-      const tables = ['accounts', 'transactions', 'journal_entries', 'users'];
+      const tables = ['accounts', 'transactions', 'journal_entries', 'customers', 'vendors', 'users'];
       
       for (const table of tables) {
         try {
@@ -1669,6 +3289,40 @@ class AccountingModel {
         debugInfo.issues.push(`Error checking normal balances: ${error.message}`);
       }
       
+      try {
+        const reconciliation = await this.reconcileBalances();
+        debugInfo.reconciliation = reconciliation;
+        
+        reconciliation.discrepancies.forEach(account => {
+          debugInfo.issues.push(
+            `Account ${account.account_code} (${account.account_name}) balance ${money.toFixed(account.stored_balance)} ` +
+            `does not match its journal entries (${money.toFixed(account.journal_balance)})`
+          );
+        });
+        reconciliation.unbalancedTransactions.forEach(txn => {
+          debugInfo.issues.push(
+            `Transaction ${txn.transaction_number || txn.transaction_id} is unbalanced ` +
+            `(debits ${money.toFixed(txn.total_debits)}, credits ${money.toFixed(txn.total_credits)}, ${txn.entry_count} entries)`
+          );
+        });
+      } catch (error) {
+        debugInfo.issues.push(`Error reconciling balances: ${error.message}`);
+      }
+      
+      try {
+        for (const controlType of Object.keys(SUBLEDGERS)) {
+          const subledger = await this.getSubledgerReconciliation(controlType);
+          if (!subledger.isReconciled) {
+            debugInfo.issues.push(
+              `The ${controlType} sub-ledger (${money.toFixed(money.add(subledger.subledgerBalance, subledger.unassignedBalance))}) ` +
+              `does not match its control accounts (${money.toFixed(subledger.controlBalance)})`
+            );
+          }
+        }
+      } catch (error) {
+        debugInfo.issues.push(`Error reconciling sub-ledgers: ${error.message}`);
+      }
+      
       return debugInfo;
     } catch (error) {
       console.error('Debug system error:', error);
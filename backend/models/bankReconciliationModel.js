@@ -0,0 +1,842 @@
+// backend/models/bankReconciliationModel.js - Bank reconciliation of cash and bank accounts
+const { query, transaction } = require('../database/db');
+const AccountingModel = require('./accountingModel');
+const money = require('../utils/money');
+
+const DATE_PATTERN = /^\d{1,2}\/\d{1,2}\/\d{4}$/;
+
+// Auto-match pairs a statement line with an entry of the same amount dated at most this many days apart
+const AUTO_MATCH_DAYS = 7;
+
+// Journal entries of an account, signed from the account's side: debits (money in) positive
+const ENTRY_SELECT = `
+  SELECT
+    je.id,
+    je.transaction_id,
+    je.reconciliation_id,
+    CASE WHEN je.entry_type = 'Debit' THEN je.amount ELSE -je.amount END as amount,
+    TO_CHAR(t.transaction_date, 'YYYY-MM-DD') as transaction_date,
+    t.transaction_number,
+    t.voucher_number,
+    t.description,
+    t.reference,
+    sl.id as statement_line_id
+  FROM journal_entries je
+  JOIN transactions t ON je.transaction_id = t.id
+  LEFT JOIN bank_statement_lines sl ON sl.journal_entry_id = je.id
+`;
+
+class BankReconciliationModel {
+  static _formatReconciliation(row) {
+    return {
+      id: row.id,
+      account_id: row.account_id,
+      account_code: row.account_code,
+      account_name: row.account_name,
+      statement_date: AccountingModel.convertToDDMMYYYY(row.statement_date),
+      opening_balance: money.round(row.opening_balance),
+      statement_balance: money.round(row.statement_balance),
+      status: row.status,
+      completed_at_formatted: row.completed_at ? AccountingModel.formatDateToPakistan(row.completed_at) : null,
+      created_at_formatted: AccountingModel.formatDateToPakistan(row.created_at),
+      updated_at_formatted: AccountingModel.formatDateToPakistan(row.updated_at)
+    };
+  }
+
+  static _formatEntry(row) {
+    return {
+      id: row.id,
+      transaction_id: row.transaction_id,
+      transaction_number: row.transaction_number,
+      voucher_number: row.voucher_number,
+      date: AccountingModel.convertToDDMMYYYY(row.transaction_date),
+      description: row.description,
+      reference: row.reference || '',
+      amount: money.round(row.amount),
+      statement_line_id: row.statement_line_id || null
+    };
+  }
+
+  static _formatStatementLine(row) {
+    return {
+      id: row.id,
+      line_date: AccountingModel.convertToDDMMYYYY(row.line_date),
+      description: row.description,
+      reference: row.reference || '',
+      amount: money.round(row.amount),
+      journal_entry_id: row.journal_entry_id,
+      transaction_number: row.transaction_number || null,
+      import_id: row.import_id || null,
+      bank_reference: row.bank_reference || null
+    };
+  }
+
+  static _reconciliationSelect(whereClause) {
+    return `
+      SELECT
+        br.*,
+        TO_CHAR(br.statement_date, 'YYYY-MM-DD') as statement_date,
+        a.account_code,
+        a.account_name
+      FROM bank_reconciliations br
+      JOIN accounts a ON br.account_id = a.id
+      ${whereClause}
+    `;
+  }
+
+  static _parseAmount(value, label, { allowZero = false } = {}) {
+    let minor = NaN;
+    try {
+      minor = money.toMinor(value, undefined, { strict: true });
+    } catch (error) {
+      // Reported below
+    }
+    if (value === '' || value === null || value === undefined || isNaN(minor) || (!allowZero && minor === 0)) {
+      throw new Error(`${label} must be ${allowZero ? 'an' : 'a non-zero'} amount with up to 2 decimal places`);
+    }
+    return money.round(value);
+  }
+
+  static _parseEntryIds(entryIds) {
+    if (!Array.isArray(entryIds) || entryIds.length === 0) {
+      throw new Error('At least one journal entry is required');
+    }
+
+    const ids = entryIds.map(id => parseInt(id));
+    if (ids.some(id => !id || isNaN(id))) {
+      throw new Error('Journal entry IDs must be numbers');
+    }
+    return [...new Set(ids)];
+  }
+
+  // Bank and cash accounts with where their reconciliation stands
+  static async getReconcilableAccounts() {
+    try {
+      const result = await query(
+        `SELECT
+           a.id, a.account_code, a.account_name, a.balance,
+           last.id as last_reconciliation_id,
+           TO_CHAR(last.statement_date, 'YYYY-MM-DD') as last_statement_date,
+           last.statement_balance as last_statement_balance,
+           open.id as in_progress_id
+         FROM accounts a
+         LEFT JOIN LATERAL (
+           SELECT id, statement_date, statement_balance FROM bank_reconciliations
+           WHERE account_id = a.id AND status = 'completed'
+           ORDER BY statement_date DESC, id DESC
+           LIMIT 1
+         ) last ON true
+         LEFT JOIN bank_reconciliations open ON open.account_id = a.id AND open.status = 'in_progress'
+         WHERE a.account_type = 'Asset' AND a.cash_flow_category = 'cash' AND a.is_active = true
+         AND a.currency_code IS NULL
+         ORDER BY a.account_code`
+      );
+
+      return result.rows.map(row => ({
+        id: row.id,
+        account_code: row.account_code,
+        account_name: row.account_name,
+        balance: money.round(row.balance),
+        last_reconciliation_id: row.last_reconciliation_id,
+        last_statement_date: row.last_statement_date ? AccountingModel.convertToDDMMYYYY(row.last_statement_date) : null,
+        last_statement_balance: row.last_statement_balance === null ? null : money.round(row.last_statement_balance),
+        in_progress_id: row.in_progress_id
+      }));
+    } catch (error) {
+      console.error('Get reconcilable accounts error:', error);
+      throw error;
+    }
+  }
+
+  static async getAllReconciliations(accountId = null) {
+    try {
+      const result = await query(
+        `${this._reconciliationSelect(accountId ? 'WHERE br.account_id = $1' : '')}
+         ORDER BY br.statement_date DESC, br.id DESC`,
+        accountId ? [accountId] : []
+      );
+
+      return result.rows.map(row => this._formatReconciliation(row));
+    } catch (error) {
+      console.error('Get bank reconciliations error:', error);
+      throw error;
+    }
+  }
+
+  // The reconciliation with its cleared entries, the entries still outstanding up to the
+  // statement date, its statement lines and the difference left to explain
+  static async getReconciliationById(reconciliationId, client = null) {
+    try {
+      const db = client || { query };
+      const result = await db.query(this._reconciliationSelect('WHERE br.id = $1'), [reconciliationId]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Bank reconciliation not found');
+      }
+
+      const row = result.rows[0];
+      const reconciliation = this._formatReconciliation(row);
+
+      const clearedResult = await db.query(
+        `${ENTRY_SELECT}
+         WHERE je.reconciliation_id = $1
+         ORDER BY t.transaction_date, t.transaction_number, je.id`,
+        [reconciliationId]
+      );
+
+      // Completed reconciliations list only what they cleared
+      const outstandingResult = row.status === 'in_progress'
+        ? await db.query(
+          `${ENTRY_SELECT}
+           WHERE je.account_id = $1 AND je.reconciliation_id IS NULL AND t.transaction_date <= $2
+           ORDER BY t.transaction_date, t.transaction_number, je.id`,
+          [row.account_id, row.statement_date]
+        )
+        : { rows: [] };
+
+      const linesResult = await db.query(
+        `SELECT sl.*, TO_CHAR(sl.line_date, 'YYYY-MM-DD') as line_date, t.transaction_number
+         FROM bank_statement_lines sl
+         LEFT JOIN journal_entries je ON sl.journal_entry_id = je.id
+         LEFT JOIN transactions t ON je.transaction_id = t.id
+         WHERE sl.reconciliation_id = $1
+         ORDER BY sl.line_date, sl.id`,
+        [reconciliationId]
+      );
+
+      const bookResult = await db.query(
+        `SELECT COALESCE(SUM(CASE WHEN je.entry_type = 'Debit' THEN je.amount ELSE -je.amount END), 0) as book_balance
+         FROM journal_entries je
+         JOIN transactions t ON je.transaction_id = t.id
+         WHERE je.account_id = $1 AND t.transaction_date <= $2`,
+        [row.account_id, row.statement_date]
+      );
+
+      const cleared = clearedResult.rows.map(entry => this._formatEntry(entry));
+      const outstanding = outstandingResult.rows.map(entry => this._formatEntry(entry));
+      const statementLines = linesResult.rows.map(line => this._formatStatementLine(line));
+
+      const clearedDeposits = money.sum(cleared.filter(entry => entry.amount > 0).map(entry => entry.amount));
+      const clearedPayments = money.abs(money.sum(cleared.filter(entry => entry.amount < 0).map(entry => entry.amount)));
+      const clearedBalance = money.subtract(money.add(reconciliation.opening_balance, clearedDeposits), clearedPayments);
+
+      return {
+        ...reconciliation,
+        summary: {
+          opening_balance: reconciliation.opening_balance,
+          cleared_deposits: clearedDeposits,
+          cleared_payments: clearedPayments,
+          cleared_balance: clearedBalance,
+          statement_balance: reconciliation.statement_balance,
+          difference: money.subtract(reconciliation.statement_balance, clearedBalance),
+          book_balance: money.round(bookResult.rows[0].book_balance),
+          outstanding_deposits: money.sum(outstanding.filter(entry => entry.amount > 0).map(entry => entry.amount)),
+          outstanding_payments: money.abs(money.sum(outstanding.filter(entry => entry.amount < 0).map(entry => entry.amount))),
+          unmatched_lines: statementLines.filter(line => !line.journal_entry_id).length
+        },
+        cleared_entries: cleared,
+        outstanding_entries: outstanding,
+        statement_lines: statementLines
+      };
+    } catch (error) {
+      console.error('Get bank reconciliation error:', error);
+      throw error;
+    }
+  }
+
+  // Locks an in-progress reconciliation for a change to it
+  static async _lockOpenReconciliation(client, reconciliationId) {
+    const result = await client.query(
+      `SELECT id, account_id, status, TO_CHAR(statement_date, 'YYYY-MM-DD') as statement_date
+       FROM bank_reconciliations WHERE id = $1 FOR UPDATE`,
+      [reconciliationId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Bank reconciliation not found');
+    }
+
+    const reconciliation = result.rows[0];
+    if (reconciliation.status !== 'in_progress') {
+      throw new Error('This reconciliation is completed. Reopen it to make changes');
+    }
+
+    return reconciliation;
+  }
+
+  // Brings imported statement lines of the account dated up to the statement date into an
+  // in-progress reconciliation. Entries they were matched to while staged are cleared with
+  // them; a line whose entry cannot be cleared on this statement loses its match. Lines whose
+  // entry is already cleared elsewhere stay staged, the bank activity is accounted for.
+  static async _attachImportedLines(client, reconciliation) {
+    await client.query(
+      `UPDATE bank_statement_lines sl SET reconciliation_id = $1
+       WHERE sl.account_id = $2
+       AND sl.import_id IS NOT NULL
+       AND sl.reconciliation_id IS NULL
+       AND sl.ignored = false
+       AND sl.line_date <= $3
+       AND NOT EXISTS (
+         SELECT 1 FROM journal_entries je
+         WHERE je.id = sl.journal_entry_id AND je.reconciliation_id IS NOT NULL
+       )`,
+      [reconciliation.id, reconciliation.account_id, reconciliation.statement_date]
+    );
+
+    await client.query(
+      `UPDATE journal_entries je SET reconciliation_id = $1
+       FROM bank_statement_lines sl, transactions t
+       WHERE sl.reconciliation_id = $1
+       AND sl.journal_entry_id = je.id
+       AND je.transaction_id = t.id
+       AND je.reconciliation_id IS NULL
+       AND t.transaction_date <= $2`,
+      [reconciliation.id, reconciliation.statement_date]
+    );
+
+    await client.query(
+      `UPDATE bank_statement_lines sl SET journal_entry_id = NULL, rule_id = NULL
+       FROM journal_entries je
+       WHERE sl.reconciliation_id = $1
+       AND sl.journal_entry_id = je.id
+       AND je.reconciliation_id IS DISTINCT FROM $1`,
+      [reconciliation.id]
+    );
+  }
+
+  // Returns imported lines of a reconciliation (those dated after afterDate, when given) to
+  // the staging area. Their matches are kept; the matched entries are no longer cleared.
+  static async _detachImportedLines(client, reconciliationId, afterDate = null) {
+    const detached = await client.query(
+      `UPDATE bank_statement_lines SET reconciliation_id = NULL
+       WHERE reconciliation_id = $1 AND import_id IS NOT NULL AND ($2::date IS NULL OR line_date > $2::date)
+       RETURNING journal_entry_id`,
+      [reconciliationId, afterDate]
+    );
+
+    const entryIds = detached.rows.map(row => row.journal_entry_id).filter(Boolean);
+    if (entryIds.length > 0) {
+      await client.query(
+        `UPDATE journal_entries SET reconciliation_id = NULL WHERE reconciliation_id = $1 AND id = ANY($2::integer[])`,
+        [reconciliationId, entryIds]
+      );
+    }
+  }
+
+  // Starts reconciling a statement. The opening balance carries over from the last
+  // completed statement; only an account's first reconciliation takes one as input.
+  static async startReconciliation(data) {
+    const { account_id, statement_date, statement_balance, opening_balance } = data;
+
+    if (!account_id || isNaN(parseInt(account_id))) {
+      throw new Error('Bank or cash account is required');
+    }
+
+    if (!statement_date || !DATE_PATTERN.test(String(statement_date))) {
+      throw new Error('Statement date is required in dd/mm/yyyy format');
+    }
+
+    const statementBalance = this._parseAmount(statement_balance, 'Statement closing balance', { allowZero: true });
+    const dbStatementDate = AccountingModel.convertToYYYYMMDD(String(statement_date));
+
+    try {
+      const reconciliationId = await transaction(async (client) => {
+        const accountResult = await client.query(
+          `SELECT id FROM accounts
+           WHERE id = $1 AND account_type = 'Asset' AND cash_flow_category = 'cash' AND is_active = true
+           AND currency_code IS NULL
+           FOR UPDATE`,
+          [account_id]
+        );
+
+        if (accountResult.rows.length === 0) {
+          throw new Error('Only active bank and cash accounts kept in the base currency can be reconciled');
+        }
+
+        const openResult = await client.query(
+          `SELECT id FROM bank_reconciliations WHERE account_id = $1 AND status = 'in_progress'`,
+          [account_id]
+        );
+
+        if (openResult.rows.length > 0) {
+          throw new Error('This account already has a reconciliation in progress. Complete or delete it first');
+        }
+
+        const lastResult = await client.query(
+          `SELECT TO_CHAR(statement_date, 'YYYY-MM-DD') as statement_date, statement_balance
+           FROM bank_reconciliations
+           WHERE account_id = $1 AND status = 'completed'
+           ORDER BY statement_date DESC, id DESC
+           LIMIT 1`,
+          [account_id]
+        );
+
+        let openingBalance = 0;
+        if (lastResult.rows.length > 0) {
+          const last = lastResult.rows[0];
+          if (dbStatementDate <= last.statement_date) {
+            throw new Error(`Statement date must be after the last reconciled statement (${AccountingModel.convertToDDMMYYYY(last.statement_date)})`);
+          }
+          openingBalance = money.round(last.statement_balance);
+        } else if (opening_balance !== undefined && opening_balance !== null && opening_balance !== '') {
+          openingBalance = this._parseAmount(opening_balance, 'Opening balance', { allowZero: true });
+        }
+
+        const result = await client.query(
+          `INSERT INTO bank_reconciliations (account_id, statement_date, opening_balance, statement_balance)
+           VALUES ($1, $2, $3, $4)
+           RETURNING id`,
+          [parseInt(account_id), dbStatementDate, money.toFixed(openingBalance), money.toFixed(statementBalance)]
+        );
+
+        await this._attachImportedLines(client, {
+          id: result.rows[0].id,
+          account_id: parseInt(account_id),
+          statement_date: dbStatementDate
+        });
+
+        return result.rows[0].id;
+      });
+
+      return await this.getReconciliationById(reconciliationId);
+    } catch (error) {
+      console.error('Start bank reconciliation error:', error);
+      throw error;
+    }
+  }
+
+  // Corrects the statement date or closing balance of an in-progress reconciliation
+  static async updateReconciliation(reconciliationId, data) {
+    const { statement_date, statement_balance } = data;
+
+    if (!statement_date || !DATE_PATTERN.test(String(statement_date))) {
+      throw new Error('Statement date is required in dd/mm/yyyy format');
+    }
+
+    const statementBalance = this._parseAmount(statement_balance, 'Statement closing balance', { allowZero: true });
+    const dbStatementDate = AccountingModel.convertToYYYYMMDD(String(statement_date));
+
+    try {
+      await transaction(async (client) => {
+        const reconciliation = await this._lockOpenReconciliation(client, reconciliationId);
+
+        const lastResult = await client.query(
+          `SELECT TO_CHAR(MAX(statement_date), 'YYYY-MM-DD') as statement_date
+           FROM bank_reconciliations WHERE account_id = $1 AND status = 'completed'`,
+          [reconciliation.account_id]
+        );
+
+        const lastDate = lastResult.rows[0].statement_date;
+        if (lastDate && dbStatementDate <= lastDate) {
+          throw new Error(`Statement date must be after the last reconciled statement (${AccountingModel.convertToDDMMYYYY(lastDate)})`);
+        }
+
+        // Imported lines after the new date go back to the import staging area
+        await this._detachImportedLines(client, reconciliationId, dbStatementDate);
+
+        const laterResult = await client.query(
+          `SELECT
+             (SELECT COUNT(*) FROM journal_entries je JOIN transactions t ON je.transaction_id = t.id
+              WHERE je.reconciliation_id = $1 AND t.transaction_date > $2) +
+             (SELECT COUNT(*) FROM bank_statement_lines WHERE reconciliation_id = $1 AND line_date > $2) as later_count`,
+          [reconciliationId, dbStatementDate]
+        );
+
+        if (parseInt(laterResult.rows[0].later_count) > 0) {
+          throw new Error('Cleared entries or statement lines fall after the new statement date. Remove them first');
+        }
+
+        await client.query(
+          `UPDATE bank_reconciliations SET statement_date = $1, statement_balance = $2 WHERE id = $3`,
+          [dbStatementDate, money.toFixed(statementBalance), reconciliationId]
+        );
+
+        await this._attachImportedLines(client, { ...reconciliation, statement_date: dbStatementDate });
+      });
+
+      return await this.getReconciliationById(reconciliationId);
+    } catch (error) {
+      console.error('Update bank reconciliation error:', error);
+      throw error;
+    }
+  }
+
+  // Ticks entries off as cleared on this statement
+  static async clearEntries(reconciliationId, entryIds) {
+    const ids = this._parseEntryIds(entryIds);
+
+    try {
+      await transaction(async (client) => {
+        const reconciliation = await this._lockOpenReconciliation(client, reconciliationId);
+
+        const result = await client.query(
+          `UPDATE journal_entries je SET reconciliation_id = $1
+           FROM transactions t
+           WHERE je.transaction_id = t.id
+           AND je.id = ANY($2::integer[])
+           AND je.account_id = $3
+           AND je.reconciliation_id IS NULL
+           AND t.transaction_date <= $4
+           RETURNING je.id`,
+          [reconciliationId, ids, reconciliation.account_id, reconciliation.statement_date]
+        );
+
+        if (result.rowCount !== ids.length) {
+          throw new Error('Some entries are not on this account, are dated after the statement or are already cleared');
+        }
+      });
+
+      return await this.getReconciliationById(reconciliationId);
+    } catch (error) {
+      console.error('Clear bank entries error:', error);
+      throw error;
+    }
+  }
+
+  // Returns cleared entries to outstanding; statement lines matched to them are unmatched
+  static async unclearEntries(reconciliationId, entryIds) {
+    const ids = this._parseEntryIds(entryIds);
+
+    try {
+      await transaction(async (client) => {
+        await this._lockOpenReconciliation(client, reconciliationId);
+
+        await client.query(
+          `UPDATE bank_statement_lines SET journal_entry_id = NULL, rule_id = NULL
+           WHERE reconciliation_id = $1 AND journal_entry_id = ANY($2::integer[])`,
+          [reconciliationId, ids]
+        );
+
+        await client.query(
+          `UPDATE journal_entries SET reconciliation_id = NULL
+           WHERE reconciliation_id = $1 AND id = ANY($2::integer[])`,
+          [reconciliationId, ids]
+        );
+      });
+
+      return await this.getReconciliationById(reconciliationId);
+    } catch (error) {
+      console.error('Unclear bank entries error:', error);
+      throw error;
+    }
+  }
+
+  // Adds a line as it appears on the bank statement; amount is positive for money in
+  static async addStatementLine(reconciliationId, lineData) {
+    const { line_date, description, reference, amount } = lineData;
+
+    if (!line_date || !DATE_PATTERN.test(String(line_date))) {
+      throw new Error('Line date is required in dd/mm/yyyy format');
+    }
+
+    if (!description || String(description).trim() === '') {
+      throw new Error('Description is required');
+    }
+
+    if (String(description).trim().length > 200) {
+      throw new Error('Description must be less than 200 characters');
+    }
+
+    if (reference && String(reference).length > 50) {
+      throw new Error('Reference must be less than 50 characters');
+    }
+
+    const lineAmount = this._parseAmount(amount, 'Amount');
+    const dbLineDate = AccountingModel.convertToYYYYMMDD(String(line_date));
+
+    try {
+      await transaction(async (client) => {
+        const reconciliation = await this._lockOpenReconciliation(client, reconciliationId);
+
+        if (dbLineDate > reconciliation.statement_date) {
+          throw new Error('Statement lines cannot be dated after the statement date');
+        }
+
+        await client.query(
+          `INSERT INTO bank_statement_lines (account_id, reconciliation_id, line_date, description, reference, amount)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [reconciliation.account_id, reconciliationId, dbLineDate, String(description).trim(),
+            reference || null, money.toFixed(lineAmount)]
+        );
+      });
+
+      return await this.getReconciliationById(reconciliationId);
+    } catch (error) {
+      console.error('Add statement line error:', error);
+      throw error;
+    }
+  }
+
+  // Removes a statement line; the entry it was matched to is no longer cleared. Imported
+  // lines are kept, marked ignored, so that importing the file again does not bring them back.
+  static async deleteStatementLine(reconciliationId, lineId) {
+    try {
+      await transaction(async (client) => {
+        await this._lockOpenReconciliation(client, reconciliationId);
+
+        const lineResult = await client.query(
+          `SELECT id, import_id, journal_entry_id FROM bank_statement_lines WHERE id = $1 AND reconciliation_id = $2 FOR UPDATE`,
+          [lineId, reconciliationId]
+        );
+
+        if (lineResult.rows.length === 0) {
+          throw new Error('Statement line not found');
+        }
+
+        const line = lineResult.rows[0];
+        if (line.import_id) {
+          await client.query(
+            `UPDATE bank_statement_lines SET reconciliation_id = NULL, journal_entry_id = NULL, rule_id = NULL, ignored = true WHERE id = $1`,
+            [lineId]
+          );
+        } else {
+          await client.query(`DELETE FROM bank_statement_lines WHERE id = $1`, [lineId]);
+        }
+
+        if (line.journal_entry_id) {
+          await client.query(
+            `UPDATE journal_entries SET reconciliation_id = NULL WHERE id = $1 AND reconciliation_id = $2`,
+            [line.journal_entry_id, reconciliationId]
+          );
+        }
+      });
+
+      return await this.getReconciliationById(reconciliationId);
+    } catch (error) {
+      console.error('Delete statement line error:', error);
+      throw error;
+    }
+  }
+
+  // Pairs a statement line with the journal entry it records and clears the entry
+  static async _matchLine(client, reconciliation, lineId, entryId) {
+    const lineResult = await client.query(
+      `SELECT id, amount, journal_entry_id FROM bank_statement_lines WHERE id = $1 AND reconciliation_id = $2 FOR UPDATE`,
+      [lineId, reconciliation.id]
+    );
+
+    if (lineResult.rows.length === 0) {
+      throw new Error('Statement line not found');
+    }
+
+    const line = lineResult.rows[0];
+    if (line.journal_entry_id) {
+      throw new Error('Statement line is already matched. Unmatch it first');
+    }
+
+    const entryResult = await client.query(
+      `${ENTRY_SELECT}
+       WHERE je.id = $1 AND je.account_id = $2 AND je.reconciliation_id IS NULL AND t.transaction_date <= $3
+       FOR UPDATE OF je`,
+      [entryId, reconciliation.account_id, reconciliation.statement_date]
+    );
+
+    if (entryResult.rows.length === 0) {
+      throw new Error('Journal entry is not an outstanding entry of this account up to the statement date');
+    }
+
+    if (entryResult.rows[0].statement_line_id) {
+      throw new Error('Journal entry is already matched to another statement line');
+    }
+
+    if (!money.equals(entryResult.rows[0].amount, line.amount)) {
+      throw new Error(`Statement line amount ${money.toFixed(line.amount)} does not match the entry amount ${money.toFixed(entryResult.rows[0].amount)}`);
+    }
+
+    await client.query(`UPDATE bank_statement_lines SET journal_entry_id = $1 WHERE id = $2`, [entryId, lineId]);
+    await client.query(`UPDATE journal_entries SET reconciliation_id = $1 WHERE id = $2`, [reconciliation.id, entryId]);
+  }
+
+  static async matchStatementLine(reconciliationId, lineId, entryId) {
+    if (!entryId || isNaN(parseInt(entryId))) {
+      throw new Error('Journal entry is required');
+    }
+
+    try {
+      await transaction(async (client) => {
+        const reconciliation = await this._lockOpenReconciliation(client, reconciliationId);
+        await this._matchLine(client, reconciliation, lineId, parseInt(entryId));
+      });
+
+      return await this.getReconciliationById(reconciliationId);
+    } catch (error) {
+      console.error('Match statement line error:', error);
+      throw error;
+    }
+  }
+
+  static async unmatchStatementLine(reconciliationId, lineId) {
+    try {
+      await transaction(async (client) => {
+        await this._lockOpenReconciliation(client, reconciliationId);
+
+        const result = await client.query(
+          `SELECT journal_entry_id FROM bank_statement_lines WHERE id = $1 AND reconciliation_id = $2 FOR UPDATE`,
+          [lineId, reconciliationId]
+        );
+
+        if (result.rows.length === 0) {
+          throw new Error('Statement line not found');
+        }
+
+        const entryId = result.rows[0].journal_entry_id;
+        if (!entryId) {
+          throw new Error('Statement line is not matched');
+        }
+
+        await client.query(`UPDATE bank_statement_lines SET journal_entry_id = NULL, rule_id = NULL WHERE id = $1`, [lineId]);
+        await client.query(
+          `UPDATE journal_entries SET reconciliation_id = NULL WHERE id = $1 AND reconciliation_id = $2`,
+          [entryId, reconciliationId]
+        );
+      });
+
+      return await this.getReconciliationById(reconciliationId);
+    } catch (error) {
+      console.error('Unmatch statement line error:', error);
+      throw error;
+    }
+  }
+
+  // Matches each unmatched statement line to the outstanding entry of the same amount
+  // closest in date (within AUTO_MATCH_DAYS). Returns how many lines were matched.
+  static async autoMatch(reconciliationId) {
+    try {
+      const matched = await transaction(async (client) => {
+        const reconciliation = await this._lockOpenReconciliation(client, reconciliationId);
+
+        const linesResult = await client.query(
+          `SELECT id, amount, line_date FROM bank_statement_lines
+           WHERE reconciliation_id = $1 AND journal_entry_id IS NULL
+           ORDER BY line_date, id`,
+          [reconciliationId]
+        );
+
+        const usedEntryIds = [];
+        let count = 0;
+        for (const line of linesResult.rows) {
+          const candidateResult = await client.query(
+            `${ENTRY_SELECT}
+             WHERE je.account_id = $1
+             AND je.reconciliation_id IS NULL
+             AND t.transaction_date <= $2
+             AND CASE WHEN je.entry_type = 'Debit' THEN je.amount ELSE -je.amount END = $3
+             AND ABS(t.transaction_date - $4::date) <= $5
+             AND sl.id IS NULL
+             AND NOT (je.id = ANY($6::integer[]))
+             ORDER BY ABS(t.transaction_date - $4::date), je.id
+             LIMIT 1`,
+            [reconciliation.account_id, reconciliation.statement_date, line.amount, line.line_date,
+              AUTO_MATCH_DAYS, usedEntryIds]
+          );
+
+          if (candidateResult.rows.length > 0) {
+            const entryId = candidateResult.rows[0].id;
+            await this._matchLine(client, reconciliation, line.id, entryId);
+            usedEntryIds.push(entryId);
+            count++;
+          }
+        }
+
+        return count;
+      });
+
+      const reconciliation = await this.getReconciliationById(reconciliationId);
+      return { reconciliation, matched };
+    } catch (error) {
+      console.error('Auto-match statement lines error:', error);
+      throw error;
+    }
+  }
+
+  // Completes the reconciliation once the cleared balance agrees with the statement
+  static async completeReconciliation(reconciliationId) {
+    try {
+      await transaction(async (client) => {
+        await this._lockOpenReconciliation(client, reconciliationId);
+        const current = await this.getReconciliationById(reconciliationId, client);
+
+        if (!money.isZero(current.summary.difference)) {
+          throw new Error(`The cleared balance differs from the statement by ${money.toFixed(current.summary.difference)}`);
+        }
+
+        if (current.summary.unmatched_lines > 0) {
+          throw new Error(`${current.summary.unmatched_lines} statement line(s) are not matched to an entry. Match or remove them first`);
+        }
+
+        await client.query(
+          `UPDATE bank_reconciliations SET status = 'completed', completed_at = NOW() WHERE id = $1`,
+          [reconciliationId]
+        );
+      });
+
+      return await this.getReconciliationById(reconciliationId);
+    } catch (error) {
+      console.error('Complete bank reconciliation error:', error);
+      throw error;
+    }
+  }
+
+  // Reopens the latest completed reconciliation of an account to correct it
+  static async reopenReconciliation(reconciliationId) {
+    try {
+      await transaction(async (client) => {
+        const result = await client.query(
+          `SELECT account_id, status, TO_CHAR(statement_date, 'YYYY-MM-DD') as statement_date
+           FROM bank_reconciliations WHERE id = $1 FOR UPDATE`,
+          [reconciliationId]
+        );
+
+        if (result.rows.length === 0) {
+          throw new Error('Bank reconciliation not found');
+        }
+
+        const reconciliation = result.rows[0];
+        if (reconciliation.status !== 'completed') {
+          throw new Error('Only completed reconciliations can be reopened');
+        }
+
+        const laterResult = await client.query(
+          `SELECT id FROM bank_reconciliations
+           WHERE account_id = $1 AND id <> $2 AND (status = 'in_progress' OR statement_date > $3)`,
+          [reconciliation.account_id, reconciliationId, reconciliation.statement_date]
+        );
+
+        if (laterResult.rows.length > 0) {
+          throw new Error('Only the latest reconciliation of an account can be reopened');
+        }
+
+        await client.query(
+          `UPDATE bank_reconciliations SET status = 'in_progress', completed_at = NULL WHERE id = $1`,
+          [reconciliationId]
+        );
+      });
+
+      return await this.getReconciliationById(reconciliationId);
+    } catch (error) {
+      console.error('Reopen bank reconciliation error:', error);
+      throw error;
+    }
+  }
+
+  // Discards an in-progress reconciliation; its entries are outstanding again and its
+  // imported lines return to the import staging area
+  static async deleteReconciliation(reconciliationId) {
+    try {
+      await transaction(async (client) => {
+        await this._lockOpenReconciliation(client, reconciliationId);
+
+        await this._detachImportedLines(client, reconciliationId);
+        await client.query(`UPDATE journal_entries SET reconciliation_id = NULL WHERE reconciliation_id = $1`, [reconciliationId]);
+        await client.query(`DELETE FROM bank_reconciliations WHERE id = $1`, [reconciliationId]);
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Delete bank reconciliation error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = BankReconciliationModel;
@@ -0,0 +1,550 @@
+// backend/models/bankRuleModel.js - Rules that categorize imported bank statement lines
+const { query, transaction } = require('../database/db');
+const AccountingModel = require('./accountingModel');
+const BankStatementModel = require('./bankStatementModel');
+const money = require('../utils/money');
+
+const DIRECTIONS = ['any', 'in', 'out'];
+const DESCRIPTION_MATCHES = ['contains', 'regex'];
+
+const RULE_SELECT = `
+  SELECT
+    r.*,
+    ba.account_code as bank_account_code,
+    ba.account_name as bank_account_name,
+    ca.account_code as contra_account_code,
+    ca.account_name as contra_account_name,
+    c.name as customer_name,
+    v.name as vendor_name
+  FROM bank_rules r
+  LEFT JOIN accounts ba ON r.bank_account_id = ba.id
+  JOIN accounts ca ON r.contra_account_id = ca.id
+  LEFT JOIN customers c ON r.customer_id = c.id
+  LEFT JOIN vendors v ON r.vendor_id = v.id
+`;
+
+class BankRuleModel {
+  static _formatRule(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      priority: row.priority,
+      bank_account_id: row.bank_account_id,
+      bank_account_code: row.bank_account_code || null,
+      bank_account_name: row.bank_account_name || null,
+      direction: row.direction,
+      description_match: row.description_match,
+      description_pattern: row.description_pattern || '',
+      counterparty_pattern: row.counterparty_pattern || '',
+      min_amount: row.min_amount === null ? null : money.round(row.min_amount),
+      max_amount: row.max_amount === null ? null : money.round(row.max_amount),
+      contra_account_id: row.contra_account_id,
+      contra_account_code: row.contra_account_code,
+      contra_account_name: row.contra_account_name,
+      customer_id: row.customer_id,
+      customer_name: row.customer_name || null,
+      vendor_id: row.vendor_id,
+      vendor_name: row.vendor_name || null,
+      transaction_description: row.transaction_description || '',
+      auto_post: row.auto_post,
+      is_active: row.is_active,
+      created_at_formatted: row.created_at ? AccountingModel.formatDateToPakistan(row.created_at) : null,
+      updated_at_formatted: row.updated_at ? AccountingModel.formatDateToPakistan(row.updated_at) : null
+    };
+  }
+
+  static _parseLimit(value, label) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    let minor = NaN;
+    try {
+      minor = money.toMinor(value, undefined, { strict: true });
+    } catch (error) {
+      // Reported below
+    }
+    if (isNaN(minor) || minor < 0) {
+      throw new Error(`${label} must be zero or a positive amount with up to 2 decimal places`);
+    }
+    return money.round(value);
+  }
+
+  // Checks the conditions and the action of a rule and returns it normalized. A rule needs
+  // at least one condition besides the bank account and direction, so that it cannot catch
+  // every line by accident.
+  static validateRuleData(ruleData) {
+    const clean = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+    const rule = {
+      name: clean(ruleData.name),
+      priority: ruleData.priority === undefined || ruleData.priority === null || ruleData.priority === '' ? 100 : Number(ruleData.priority),
+      bank_account_id: ruleData.bank_account_id ? parseInt(ruleData.bank_account_id) : null,
+      direction: ruleData.direction || 'any',
+      description_match: clean(ruleData.description_pattern) ? (ruleData.description_match || 'contains') : null,
+      description_pattern: clean(ruleData.description_pattern) || null,
+      counterparty_pattern: clean(ruleData.counterparty_pattern) || null,
+      min_amount: this._parseLimit(ruleData.min_amount, 'Minimum amount'),
+      max_amount: this._parseLimit(ruleData.max_amount, 'Maximum amount'),
+      contra_account_id: ruleData.contra_account_id ? parseInt(ruleData.contra_account_id) : null,
+      customer_id: ruleData.customer_id ? parseInt(ruleData.customer_id) : null,
+      vendor_id: ruleData.vendor_id ? parseInt(ruleData.vendor_id) : null,
+      transaction_description: clean(ruleData.transaction_description) || null,
+      auto_post: ruleData.auto_post === true || ruleData.auto_post === 'true',
+      is_active: ruleData.is_active !== false && ruleData.is_active !== 'false'
+    };
+
+    if (!rule.name) {
+      throw new Error('Rule name is required');
+    }
+
+    if (rule.name.length > 100) {
+      throw new Error('Rule name must be less than 100 characters');
+    }
+
+    if (!Number.isInteger(rule.priority) || rule.priority < 0 || rule.priority > 9999) {
+      throw new Error('Priority must be a whole number between 0 and 9999');
+    }
+
+    if (!DIRECTIONS.includes(rule.direction)) {
+      throw new Error(`Direction must be one of: ${DIRECTIONS.join(', ')}`);
+    }
+
+    if (rule.description_match && !DESCRIPTION_MATCHES.includes(rule.description_match)) {
+      throw new Error(`Description match must be one of: ${DESCRIPTION_MATCHES.join(', ')}`);
+    }
+
+    if (rule.description_pattern && rule.description_pattern.length > 200) {
+      throw new Error('Description pattern must be less than 200 characters');
+    }
+
+    if (rule.description_match === 'regex') {
+      try {
+        new RegExp(rule.description_pattern, 'i');
+      } catch (error) {
+        throw new Error(`Description pattern is not a valid regular expression: ${error.message}`);
+      }
+    }
+
+    if (rule.counterparty_pattern && rule.counterparty_pattern.length > 100) {
+      throw new Error('Counterparty pattern must be less than 100 characters');
+    }
+
+    if (rule.min_amount !== null && rule.max_amount !== null && money.compare(rule.min_amount, rule.max_amount) > 0) {
+      throw new Error('Minimum amount cannot be more than the maximum amount');
+    }
+
+    if (!rule.description_pattern && !rule.counterparty_pattern && rule.min_amount === null && rule.max_amount === null) {
+      throw new Error('A rule needs a description, counterparty or amount condition');
+    }
+
+    if (!rule.contra_account_id || isNaN(rule.contra_account_id)) {
+      throw new Error('Offsetting account is required');
+    }
+
+    if (rule.transaction_description && rule.transaction_description.length > 200) {
+      throw new Error('Transaction description must be less than 200 characters');
+    }
+
+    return rule;
+  }
+
+  // Checks the accounts and party a rule posts to
+  static async _assertRuleAccounts(rule) {
+    if (rule.bank_account_id) {
+      const bankResult = await query(
+        `SELECT id FROM accounts
+         WHERE id = $1 AND account_type = 'Asset' AND cash_flow_category = 'cash' AND is_active = true AND currency_code IS NULL`,
+        [rule.bank_account_id]
+      );
+
+      if (bankResult.rows.length === 0) {
+        throw new Error('Bank account must be an active bank or cash account kept in the base currency');
+      }
+
+      if (rule.bank_account_id === rule.contra_account_id) {
+        throw new Error('Offsetting account must differ from the bank account');
+      }
+    }
+
+    const contraResult = await query(
+      `SELECT id, control_type FROM accounts WHERE id = $1 AND is_active = true`,
+      [rule.contra_account_id]
+    );
+
+    if (contraResult.rows.length === 0) {
+      throw new Error('Offsetting account not found or inactive');
+    }
+
+    // Receivable and payable control accounts only take entries for a customer or vendor
+    const controlType = contraResult.rows[0].control_type;
+    if (controlType === 'receivable' ? !rule.customer_id : rule.customer_id) {
+      throw new Error(controlType === 'receivable'
+        ? 'A customer is required when the offsetting account is Accounts Receivable'
+        : 'A customer can only be set when the offsetting account is Accounts Receivable');
+    }
+
+    if (controlType === 'payable' ? !rule.vendor_id : rule.vendor_id) {
+      throw new Error(controlType === 'payable'
+        ? 'A vendor is required when the offsetting account is Accounts Payable'
+        : 'A vendor can only be set when the offsetting account is Accounts Payable');
+    }
+  }
+
+  static _ruleValues(rule) {
+    return [
+      rule.name, rule.priority, rule.bank_account_id, rule.direction, rule.description_match,
+      rule.description_pattern, rule.counterparty_pattern,
+      rule.min_amount === null ? null : money.toFixed(rule.min_amount),
+      rule.max_amount === null ? null : money.toFixed(rule.max_amount),
+      rule.contra_account_id, rule.customer_id, rule.vendor_id, rule.transaction_description,
+      rule.auto_post, rule.is_active
+    ];
+  }
+
+  // Whether a rule catches a statement line. Text conditions ignore case. A counterparty
+  // condition is checked against the description when the file did not name the other party.
+  static matches(rule, line) {
+    if (rule.bank_account_id && rule.bank_account_id !== line.account_id) {
+      return false;
+    }
+
+    if ((rule.direction === 'in' && line.amount < 0) || (rule.direction === 'out' && line.amount > 0)) {
+      return false;
+    }
+
+    const amount = money.abs(line.amount);
+    if (rule.min_amount !== null && money.compare(amount, rule.min_amount) < 0) {
+      return false;
+    }
+
+    if (rule.max_amount !== null && money.compare(amount, rule.max_amount) > 0) {
+      return false;
+    }
+
+    const description = line.description || '';
+    if (rule.description_pattern) {
+      const caught = rule.description_match === 'regex'
+        ? new RegExp(rule.description_pattern, 'i').test(description)
+        : description.toLowerCase().includes(rule.description_pattern.toLowerCase());
+      if (!caught) {
+        return false;
+      }
+    }
+
+    if (rule.counterparty_pattern) {
+      const counterparty = line.counterparty || description;
+      if (!counterparty.toLowerCase().includes(rule.counterparty_pattern.toLowerCase())) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  // The first rule, in priority order, that catches the line
+  static findRule(rules, line) {
+    return rules.find(rule => this.matches(rule, line)) || null;
+  }
+
+  static async _loadRules(db, activeOnly = true) {
+    const result = await db.query(
+      `${RULE_SELECT}
+       ${activeOnly ? 'WHERE r.is_active = true' : ''}
+       ORDER BY r.priority, r.id`
+    );
+    return result.rows.map(row => this._formatRule(row));
+  }
+
+  static async getAllRules() {
+    try {
+      return await this._loadRules({ query }, false);
+    } catch (error) {
+      console.error('Get bank rules error:', error);
+      throw error;
+    }
+  }
+
+  static async getRuleById(ruleId) {
+    try {
+      const result = await query(`${RULE_SELECT} WHERE r.id = $1`, [ruleId]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Bank rule not found');
+      }
+
+      return this._formatRule(result.rows[0]);
+    } catch (error) {
+      console.error('Get bank rule error:', error);
+      throw error;
+    }
+  }
+
+  static async createRule(ruleData) {
+    const rule = this.validateRuleData(ruleData);
+
+    try {
+      await this._assertRuleAccounts(rule);
+
+      const result = await query(
+        `INSERT INTO bank_rules
+         (name, priority, bank_account_id, direction, description_match, description_pattern, counterparty_pattern,
+          min_amount, max_amount, contra_account_id, customer_id, vendor_id, transaction_description, auto_post, is_active)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+         RETURNING id`,
+        this._ruleValues(rule)
+      );
+
+      return await this.getRuleById(result.rows[0].id);
+    } catch (error) {
+      console.error('Create bank rule error:', error);
+      throw error;
+    }
+  }
+
+  static async updateRule(ruleId, ruleData) {
+    const rule = this.validateRuleData(ruleData);
+
+    try {
+      await this._assertRuleAccounts(rule);
+
+      const result = await query(
+        `UPDATE bank_rules
+         SET name = $1, priority = $2, bank_account_id = $3, direction = $4, description_match = $5,
+             description_pattern = $6, counterparty_pattern = $7, min_amount = $8, max_amount = $9,
+             contra_account_id = $10, customer_id = $11, vendor_id = $12, transaction_description = $13,
+             auto_post = $14, is_active = $15
+         WHERE id = $16`,
+        [...this._ruleValues(rule), ruleId]
+      );
+
+      if (result.rowCount === 0) {
+        throw new Error('Bank rule not found');
+      }
+
+      return await this.getRuleById(ruleId);
+    } catch (error) {
+      console.error('Update bank rule error:', error);
+      throw error;
+    }
+  }
+
+  // Deleting a rule leaves what it posted alone; those lines just no longer name it
+  static async deleteRule(ruleId) {
+    try {
+      const result = await query(`DELETE FROM bank_rules WHERE id = $1`, [ruleId]);
+
+      if (result.rowCount === 0) {
+        throw new Error('Bank rule not found');
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Delete bank rule error:', error);
+      throw error;
+    }
+  }
+
+  static _suggestion(rule) {
+    return {
+      rule_id: rule.id,
+      rule_name: rule.name,
+      contra_account_id: rule.contra_account_id,
+      contra_account_code: rule.contra_account_code,
+      contra_account_name: rule.contra_account_name,
+      customer_id: rule.customer_id,
+      vendor_id: rule.vendor_id,
+      description: rule.transaction_description || null,
+      auto_post: rule.auto_post
+    };
+  }
+
+  // How the active rules would post each line, keyed by line id; lines no rule catches are left out
+  static async suggestForLines(lines, db = null) {
+    const suggestions = new Map();
+    if (lines.length === 0) {
+      return suggestions;
+    }
+
+    const rules = await this._loadRules(db || { query });
+    lines.forEach(line => {
+      const rule = this.findRule(rules, line);
+      if (rule) {
+        suggestions.set(line.id, this._suggestion(rule));
+      }
+    });
+    return suggestions;
+  }
+
+  // Posts a line the way a rule says
+  static async _postWithRule(client, line, rule) {
+    return await BankStatementModel._postLine(client, line, {
+      contra_account_id: rule.contra_account_id,
+      description: rule.transaction_description || line.description,
+      customer_id: rule.customer_id,
+      vendor_id: rule.vendor_id
+    }, rule.id);
+  }
+
+  // Posts each of the given open lines that an auto-post rule catches. A line that already
+  // has a candidate entry is left for matching instead, so nothing is booked twice.
+  // Returns how many lines were posted.
+  static async _applyAutoRules(client, lineIds) {
+    if (lineIds.length === 0) {
+      return 0;
+    }
+
+    const rules = await this._loadRules(client);
+    if (!rules.some(rule => rule.auto_post)) {
+      return 0;
+    }
+
+    const lines = await BankStatementModel._getOpenLines(client, { lineIds });
+    let posted = 0;
+
+    for (const openLine of lines) {
+      const rule = this.findRule(rules, openLine);
+      if (!rule || !rule.auto_post) {
+        continue;
+      }
+
+      const line = await BankStatementModel._lockLine(client, openLine.id);
+      if (line.journal_entry_id || line.ignored || await BankStatementModel._findCandidateEntry(client, line)) {
+        continue;
+      }
+
+      await this._postWithRule(client, line, rule);
+      posted++;
+    }
+
+    return posted;
+  }
+
+  // Runs the auto-post rules over the open lines of an account, or of every account
+  static async applyAutoRules(accountId = null) {
+    try {
+      const posted = await transaction(async (client) => {
+        const lines = await BankStatementModel._getOpenLines(client, { accountId });
+        return await this._applyAutoRules(client, lines.map(line => line.id));
+      });
+
+      return { posted };
+    } catch (error) {
+      console.error('Apply bank rules error:', error);
+      throw error;
+    }
+  }
+
+  // Posts the chosen lines with a rule, auto-post or not; each line must be caught by it
+  static async applyRuleToLines(ruleId, lineIds) {
+    if (!Array.isArray(lineIds) || lineIds.length === 0) {
+      throw new Error('At least one statement line is required');
+    }
+
+    const ids = [...new Set(lineIds.map(id => parseInt(id)))];
+    if (ids.some(id => !id || isNaN(id))) {
+      throw new Error('Statement line IDs must be numbers');
+    }
+
+    try {
+      const posted = await transaction(async (client) => {
+        const ruleResult = await client.query(`${RULE_SELECT} WHERE r.id = $1`, [ruleId]);
+        if (ruleResult.rows.length === 0) {
+          throw new Error('Bank rule not found');
+        }
+        const rule = this._formatRule(ruleResult.rows[0]);
+
+        const lines = await BankStatementModel._getOpenLines(client, { lineIds: ids });
+        if (lines.length !== ids.length) {
+          throw new Error('Some lines are already matched, ignored or reconciled');
+        }
+
+        for (const openLine of lines) {
+          if (!this.matches(rule, openLine)) {
+            throw new Error(`Rule "${rule.name}" does not catch the line of ${openLine.line_date} (${openLine.description})`);
+          }
+
+          const line = await BankStatementModel._lockLine(client, openLine.id);
+          await this._postWithRule(client, line, rule);
+        }
+
+        return lines.length;
+      });
+
+      return { posted };
+    } catch (error) {
+      console.error('Apply bank rule error:', error);
+      throw error;
+    }
+  }
+
+  // Shows, without posting anything, which open lines each active rule would catch. With
+  // ruleData, the unsaved rule (replacing the saved rule of the same id, if any) is tried in
+  // its priority among the others.
+  static async dryRun({ account_id, rule: ruleData } = {}) {
+    try {
+      const accountId = account_id ? parseInt(account_id) || null : null;
+      let rules = await this._loadRules({ query });
+      let draft = null;
+
+      if (ruleData) {
+        draft = {
+          ...this.validateRuleData(ruleData),
+          id: ruleData.id ? parseInt(ruleData.id) : null,
+          draft: true
+        };
+        rules = rules.filter(rule => rule.id !== draft.id);
+        if (draft.is_active) {
+          rules.push(draft);
+          rules.sort((a, b) => a.priority - b.priority || (a.id || Infinity) - (b.id || Infinity));
+        }
+      }
+
+      const lines = await BankStatementModel._getOpenLines({ query }, { accountId });
+      const caught = new Map(rules.map(rule => [rule, []]));
+      let uncaught = 0;
+
+      lines.forEach(line => {
+        const rule = this.findRule(rules, line);
+        if (rule) {
+          caught.get(rule).push(line);
+        } else {
+          uncaught++;
+        }
+      });
+
+      const summarizeLine = (line) => ({
+        id: line.id,
+        account_id: line.account_id,
+        line_date: line.line_date,
+        description: line.description,
+        counterparty: line.counterparty,
+        amount: line.amount
+      });
+
+      return {
+        lines_checked: lines.length,
+        uncaught,
+        rules: rules.map(rule => ({
+          rule_id: rule.id,
+          name: rule.name,
+          draft: Boolean(rule.draft),
+          auto_post: rule.auto_post,
+          lines: caught.get(rule).map(summarizeLine)
+        })),
+        // Lines the draft matches but a rule ahead of it already takes
+        draft_shadowed: draft
+          ? lines.filter(line => this.matches(draft, line) && this.findRule(rules, line) !== draft).map(line => ({
+            ...summarizeLine(line),
+            taken_by: this.findRule(rules, line).name
+          }))
+          : []
+      };
+    } catch (error) {
+      console.error('Bank rule dry run error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = BankRuleModel;
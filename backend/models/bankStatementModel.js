@@ -0,0 +1,803 @@
+// backend/models/bankStatementModel.js - Bank statement file import and the staging of imported lines
+const crypto = require('crypto');
+const { query, transaction } = require('../database/db');
+const AccountingModel = require('./accountingModel');
+const BankReconciliationModel = require('./bankReconciliationModel');
+const money = require('../utils/money');
+const { FORMATS, parseStatement } = require('../utils/statementParsers');
+
+// Transactions posted from imported lines: money in as cash receipts, money out as cash payments
+const RECEIPT_SERIES = 'CR';
+const PAYMENT_SERIES = 'CP';
+
+// Candidate entries for a line have its amount and are dated at most this many days apart
+const CANDIDATE_DAYS = 7;
+
+const LINE_STATUSES = ['all', 'unmatched', 'matched', 'ignored'];
+
+// Imported lines with their import, the matched transaction and the reconciliation they are on
+const LINE_SELECT = `
+  SELECT
+    sl.*,
+    TO_CHAR(sl.line_date, 'YYYY-MM-DD') as line_date,
+    bi.format,
+    bi.file_name,
+    je.transaction_id,
+    t.transaction_number,
+    t.voucher_number,
+    br.status as reconciliation_status,
+    r.name as rule_name
+  FROM bank_statement_lines sl
+  JOIN bank_statement_imports bi ON sl.import_id = bi.id
+  LEFT JOIN journal_entries je ON sl.journal_entry_id = je.id
+  LEFT JOIN transactions t ON je.transaction_id = t.id
+  LEFT JOIN bank_reconciliations br ON sl.reconciliation_id = br.id
+  LEFT JOIN bank_rules r ON sl.rule_id = r.id
+`;
+
+class BankStatementModel {
+  static _formatImport(row) {
+    return {
+      id: row.id,
+      account_id: row.account_id,
+      account_code: row.account_code,
+      account_name: row.account_name,
+      format: row.format,
+      file_name: row.file_name || '',
+      statement_date: row.statement_date ? AccountingModel.convertToDDMMYYYY(row.statement_date) : null,
+      opening_balance: row.opening_balance === null ? null : money.round(row.opening_balance),
+      closing_balance: row.closing_balance === null ? null : money.round(row.closing_balance),
+      line_count: row.line_count,
+      duplicate_count: row.duplicate_count,
+      matched_count: parseInt(row.matched_count || 0),
+      rule_posted_count: parseInt(row.rule_posted_count || 0),
+      ignored_count: parseInt(row.ignored_count || 0),
+      created_at_formatted: AccountingModel.formatDateToPakistan(row.created_at)
+    };
+  }
+
+  // Where a line stands: ignored, waiting for a match, matched to an entry while staged,
+  // or part of a reconciliation (in progress or completed)
+  static _lineStatus(row) {
+    if (row.ignored) return 'ignored';
+    if (row.reconciliation_status === 'completed') return 'reconciled';
+    if (row.reconciliation_status === 'in_progress') return row.journal_entry_id ? 'cleared' : 'in_reconciliation';
+    return row.journal_entry_id ? 'matched' : 'unmatched';
+  }
+
+  static _formatLine(row) {
+    return {
+      id: row.id,
+      account_id: row.account_id,
+      import_id: row.import_id,
+      format: row.format,
+      file_name: row.file_name || '',
+      line_date: AccountingModel.convertToDDMMYYYY(row.line_date),
+      description: row.description,
+      reference: row.reference || '',
+      bank_reference: row.bank_reference || '',
+      counterparty: row.counterparty || '',
+      amount: money.round(row.amount),
+      journal_entry_id: row.journal_entry_id,
+      transaction_id: row.transaction_id || null,
+      transaction_number: row.transaction_number || null,
+      voucher_number: row.voucher_number || null,
+      reconciliation_id: row.reconciliation_id,
+      rule_id: row.rule_id || null,
+      rule_name: row.rule_name || null,
+      status: this._lineStatus(row)
+    };
+  }
+
+  // Bank and cash accounts statements can be imported into
+  static async _assertImportAccount(client, accountId, lock = false) {
+    if (!accountId || isNaN(parseInt(accountId))) {
+      throw new Error('Bank or cash account is required');
+    }
+
+    const result = await client.query(
+      `SELECT id, account_code, account_name FROM accounts
+       WHERE id = $1 AND account_type = 'Asset' AND cash_flow_category = 'cash' AND is_active = true
+       AND currency_code IS NULL
+       ${lock ? 'FOR UPDATE' : ''}`,
+      [parseInt(accountId)]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Statements can only be imported into active bank and cash accounts kept in the base currency');
+    }
+
+    return result.rows[0];
+  }
+
+  // Parses the uploaded file text into a statement, or explains why it cannot be read
+  static _parseFile(data) {
+    const { content, format, file_name, csv_mapping } = data;
+
+    if (format && !FORMATS.includes(format)) {
+      throw new Error(`Statement format must be one of: ${FORMATS.join(', ')}`);
+    }
+
+    let statement;
+    try {
+      statement = parseStatement(content, format || null, { file_name, csv_mapping });
+    } catch (error) {
+      throw new Error(`Could not read the statement file: ${error.message}`);
+    }
+
+    if (statement.lines.length === 0) {
+      throw new Error('The statement file holds no transactions');
+    }
+
+    return statement;
+  }
+
+  // Identifies a bank line across imports. The bank's own reference identifies it when the
+  // format has one; otherwise its content and its position among identical lines in the
+  // file do, so two genuine identical payments on one day are both kept.
+  static _fingerprintLines(accountId, lines) {
+    const occurrences = {};
+
+    return lines.map(line => {
+      let key;
+      if (line.bank_reference) {
+        key = [accountId, 'ref', line.bank_reference, line.date, line.amount].join('|');
+      } else {
+        const content = [accountId, 'line', line.date, line.amount, line.description.toLowerCase(), line.reference.toLowerCase()].join('|');
+        occurrences[content] = (occurrences[content] || 0) + 1;
+        key = `${content}|${occurrences[content]}`;
+      }
+
+      return crypto.createHash('sha256').update(key).digest('hex');
+    });
+  }
+
+  static async _findDuplicates(db, accountId, fingerprints) {
+    const result = await db.query(
+      `SELECT fingerprint FROM bank_statement_lines WHERE account_id = $1 AND fingerprint = ANY($2::text[])`,
+      [accountId, fingerprints]
+    );
+    return new Set(result.rows.map(row => row.fingerprint));
+  }
+
+  // Reads a file without importing it; lines already imported for the account are flagged
+  static async previewImport(data) {
+    try {
+      const account = await this._assertImportAccount({ query }, data.account_id);
+      const statement = this._parseFile(data);
+      const fingerprints = this._fingerprintLines(account.id, statement.lines);
+      const duplicates = await this._findDuplicates({ query }, account.id, fingerprints);
+
+      const lines = statement.lines.map((line, index) => ({
+        line_date: AccountingModel.convertToDDMMYYYY(line.date),
+        description: line.description,
+        reference: line.reference,
+        bank_reference: line.bank_reference || '',
+        counterparty: line.counterparty || '',
+        amount: money.round(line.amount),
+        duplicate: duplicates.has(fingerprints[index])
+      }));
+
+      return {
+        format: statement.format,
+        account_number: statement.account_number,
+        currency: statement.currency,
+        statement_date: statement.statement_date ? AccountingModel.convertToDDMMYYYY(statement.statement_date) : null,
+        opening_balance: statement.opening_balance === null ? null : money.round(statement.opening_balance),
+        closing_balance: statement.closing_balance === null ? null : money.round(statement.closing_balance),
+        line_count: lines.length,
+        duplicate_count: lines.filter(line => line.duplicate).length,
+        total_in: money.sum(lines.filter(line => line.amount > 0 && !line.duplicate).map(line => line.amount)),
+        total_out: money.abs(money.sum(lines.filter(line => line.amount < 0 && !line.duplicate).map(line => line.amount))),
+        lines
+      };
+    } catch (error) {
+      console.error('Preview statement import error:', error);
+      throw error;
+    }
+  }
+
+  // Imports a file's new lines into the staging area. Lines imported before are skipped.
+  // When the account has a reconciliation in progress, lines up to its statement date join it;
+  // lines caught by an auto-post bank rule are posted and matched.
+  static async importStatement(data, userId = null) {
+    try {
+      const importId = await transaction(async (client) => {
+        const account = await this._assertImportAccount(client, data.account_id, true);
+        const statement = this._parseFile(data);
+        const fingerprints = this._fingerprintLines(account.id, statement.lines);
+
+        const importResult = await client.query(
+          `INSERT INTO bank_statement_imports
+           (account_id, format, file_name, statement_date, opening_balance, closing_balance, csv_mapping, created_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING id`,
+          [account.id, statement.format, data.file_name ? String(data.file_name).substring(0, 255) : null,
+            statement.statement_date, statement.opening_balance, statement.closing_balance,
+            statement.format === 'csv' ? JSON.stringify(data.csv_mapping) : null, userId]
+        );
+
+        const id = importResult.rows[0].id;
+        const lineIds = [];
+
+        for (let i = 0; i < statement.lines.length; i++) {
+          const line = statement.lines[i];
+          const inserted = await client.query(
+            `INSERT INTO bank_statement_lines
+             (account_id, import_id, line_date, description, reference, bank_reference, counterparty, amount, fingerprint)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             ON CONFLICT (account_id, fingerprint) WHERE fingerprint IS NOT NULL DO NOTHING
+             RETURNING id`,
+            [account.id, id, line.date, line.description || 'Bank entry', line.reference || null,
+              line.bank_reference ? String(line.bank_reference).substring(0, 100) : null,
+              line.counterparty || null, line.amount, fingerprints[i]]
+          );
+          if (inserted.rowCount > 0) {
+            lineIds.push(inserted.rows[0].id);
+          }
+        }
+        const lineCount = lineIds.length;
+
+        if (lineCount === 0) {
+          throw new Error('Every line in this file has already been imported for this account');
+        }
+
+        await client.query(
+          `UPDATE bank_statement_imports SET line_count = $1, duplicate_count = $2 WHERE id = $3`,
+          [lineCount, statement.lines.length - lineCount, id]
+        );
+
+        const openResult = await client.query(
+          `SELECT id FROM bank_reconciliations WHERE account_id = $1 AND status = 'in_progress'`,
+          [account.id]
+        );
+
+        if (openResult.rows.length > 0) {
+          const reconciliation = await BankReconciliationModel._lockOpenReconciliation(client, openResult.rows[0].id);
+          await BankReconciliationModel._attachImportedLines(client, reconciliation);
+        }
+
+        // Lines that an auto-post bank rule catches are posted straight away
+        const BankRuleModel = require('./bankRuleModel');
+        await BankRuleModel._applyAutoRules(client, lineIds);
+
+        return id;
+      });
+
+      return await this.getImportById(importId);
+    } catch (error) {
+      console.error('Import bank statement error:', error);
+      throw error;
+    }
+  }
+
+  static _importSelect(whereClause) {
+    return `
+      SELECT
+        bi.*,
+        TO_CHAR(bi.statement_date, 'YYYY-MM-DD') as statement_date,
+        a.account_code,
+        a.account_name,
+        (SELECT COUNT(*) FROM bank_statement_lines sl WHERE sl.import_id = bi.id AND sl.journal_entry_id IS NOT NULL) as matched_count,
+        (SELECT COUNT(*) FROM bank_statement_lines sl WHERE sl.import_id = bi.id AND sl.ignored) as ignored_count,
+        (SELECT COUNT(*) FROM bank_statement_lines sl WHERE sl.import_id = bi.id AND sl.rule_id IS NOT NULL) as rule_posted_count
+      FROM bank_statement_imports bi
+      JOIN accounts a ON bi.account_id = a.id
+      ${whereClause}
+    `;
+  }
+
+  static async getImports(accountId = null) {
+    try {
+      const result = await query(
+        `${this._importSelect(accountId ? 'WHERE bi.account_id = $1' : '')}
+         ORDER BY bi.created_at DESC, bi.id DESC`,
+        accountId ? [accountId] : []
+      );
+
+      return result.rows.map(row => this._formatImport(row));
+    } catch (error) {
+      console.error('Get statement imports error:', error);
+      throw error;
+    }
+  }
+
+  static async getImportById(importId) {
+    try {
+      const result = await query(this._importSelect('WHERE bi.id = $1'), [importId]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Statement import not found');
+      }
+
+      return this._formatImport(result.rows[0]);
+    } catch (error) {
+      console.error('Get statement import error:', error);
+      throw error;
+    }
+  }
+
+  // Removes an import and its lines, as long as none of them has been matched or reconciled
+  static async deleteImport(importId) {
+    try {
+      await transaction(async (client) => {
+        const importResult = await client.query(
+          `SELECT id FROM bank_statement_imports WHERE id = $1 FOR UPDATE`,
+          [importId]
+        );
+
+        if (importResult.rows.length === 0) {
+          throw new Error('Statement import not found');
+        }
+
+        const usedResult = await client.query(
+          `SELECT COUNT(*) as used_count FROM bank_statement_lines
+           WHERE import_id = $1 AND (journal_entry_id IS NOT NULL OR reconciliation_id IS NOT NULL)`,
+          [importId]
+        );
+
+        if (parseInt(usedResult.rows[0].used_count) > 0) {
+          throw new Error('Some lines of this import are matched or on a bank reconciliation. Unmatch or remove them first');
+        }
+
+        await client.query(`DELETE FROM bank_statement_imports WHERE id = $1`, [importId]);
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Delete statement import error:', error);
+      throw error;
+    }
+  }
+
+  // The mapping last used to import a CSV statement into the account, to prefill the next one
+  static async getLastCsvMapping(accountId) {
+    try {
+      const result = await query(
+        `SELECT csv_mapping FROM bank_statement_imports
+         WHERE account_id = $1 AND format = 'csv' AND csv_mapping IS NOT NULL
+         ORDER BY created_at DESC, id DESC
+         LIMIT 1`,
+        [accountId]
+      );
+
+      return result.rows.length > 0 ? result.rows[0].csv_mapping : null;
+    } catch (error) {
+      console.error('Get CSV mapping error:', error);
+      throw error;
+    }
+  }
+
+  // Imported lines, newest first, with up to three candidate entries for each unmatched one:
+  // outstanding entries of the account with the same amount, closest in date first
+  static async getLines(filters = {}) {
+    const status = filters.status || 'unmatched';
+    if (!LINE_STATUSES.includes(status)) {
+      throw new Error(`Line status must be one of: ${LINE_STATUSES.join(', ')}`);
+    }
+
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (filters.accountId) {
+        params.push(filters.accountId);
+        conditions.push(`sl.account_id = $${params.length}`);
+      }
+
+      if (filters.importId) {
+        params.push(filters.importId);
+        conditions.push(`sl.import_id = $${params.length}`);
+      }
+
+      if (status === 'unmatched') {
+        conditions.push(`sl.journal_entry_id IS NULL AND NOT sl.ignored`);
+      } else if (status === 'matched') {
+        conditions.push(`sl.journal_entry_id IS NOT NULL`);
+      } else if (status === 'ignored') {
+        conditions.push(`sl.ignored`);
+      }
+
+      const result = await query(
+        `${LINE_SELECT}
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY sl.line_date DESC, sl.id DESC`,
+        params
+      );
+
+      const lines = result.rows.map(row => this._formatLine(row));
+      const openLines = lines.filter(line => line.status === 'unmatched' || line.status === 'in_reconciliation');
+
+      const candidates = {};
+      if (openLines.length > 0) {
+        const candidateResult = await query(
+          `SELECT sl.id as line_id, c.*
+           FROM bank_statement_lines sl
+           LEFT JOIN bank_reconciliations br ON sl.reconciliation_id = br.id
+           CROSS JOIN LATERAL (
+             SELECT
+               je.id,
+               TO_CHAR(t.transaction_date, 'YYYY-MM-DD') as transaction_date,
+               t.transaction_number,
+               t.voucher_number,
+               t.description
+             FROM journal_entries je
+             JOIN transactions t ON je.transaction_id = t.id
+             WHERE je.account_id = sl.account_id
+             AND je.reconciliation_id IS NULL
+             AND CASE WHEN je.entry_type = 'Debit' THEN je.amount ELSE -je.amount END = sl.amount
+             AND ABS(t.transaction_date - sl.line_date) <= $2
+             AND (br.id IS NULL OR t.transaction_date <= br.statement_date)
+             AND NOT EXISTS (SELECT 1 FROM bank_statement_lines other WHERE other.journal_entry_id = je.id)
+             ORDER BY ABS(t.transaction_date - sl.line_date), je.id
+             LIMIT 3
+           ) c
+           WHERE sl.id = ANY($1::integer[])`,
+          [openLines.map(line => line.id), CANDIDATE_DAYS]
+        );
+
+        candidateResult.rows.forEach(row => {
+          (candidates[row.line_id] = candidates[row.line_id] || []).push({
+            id: row.id,
+            date: AccountingModel.convertToDDMMYYYY(row.transaction_date),
+            transaction_number: row.transaction_number,
+            voucher_number: row.voucher_number,
+            description: row.description
+          });
+        });
+      }
+
+      // Bank rules suggest how to post open lines no entry exists for
+      const BankRuleModel = require('./bankRuleModel');
+      const suggestions = await BankRuleModel.suggestForLines(openLines.filter(line => !candidates[line.id]));
+
+      return lines.map(line => ({
+        ...line,
+        candidates: candidates[line.id] || [],
+        suggestion: suggestions.get(line.id) || null
+      }));
+    } catch (error) {
+      console.error('Get statement lines error:', error);
+      throw error;
+    }
+  }
+
+  // Lines still waiting for an entry: unmatched, not ignored and not on a completed reconciliation
+  static async _getOpenLines(db, { accountId = null, lineIds = null } = {}) {
+    const result = await db.query(
+      `${LINE_SELECT}
+       WHERE sl.import_id IS NOT NULL
+       AND sl.journal_entry_id IS NULL
+       AND NOT sl.ignored
+       AND (br.id IS NULL OR br.status = 'in_progress')
+       AND ($1::integer IS NULL OR sl.account_id = $1)
+       AND ($2::integer[] IS NULL OR sl.id = ANY($2::integer[]))
+       ORDER BY sl.line_date, sl.id`,
+      [accountId, lineIds]
+    );
+
+    return result.rows.map(row => this._formatLine(row));
+  }
+
+  static async _lockLine(client, lineId) {
+    const result = await client.query(
+      `SELECT sl.*, TO_CHAR(sl.line_date, 'YYYY-MM-DD') as line_date, br.status as reconciliation_status
+       FROM bank_statement_lines sl
+       LEFT JOIN bank_reconciliations br ON sl.reconciliation_id = br.id
+       WHERE sl.id = $1 AND sl.import_id IS NOT NULL
+       FOR UPDATE OF sl`,
+      [lineId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Imported statement line not found');
+    }
+
+    const line = result.rows[0];
+    if (line.reconciliation_status === 'completed') {
+      throw new Error('This line is reconciled on a completed bank statement. Reopen the reconciliation to change it');
+    }
+
+    return line;
+  }
+
+  // Pairs a line with a journal entry of its account. A line already on a reconciliation in
+  // progress is matched there, which clears the entry; a staged line only keeps the pairing
+  // until a reconciliation picks it up.
+  static async _matchInClient(client, line, entryId) {
+    if (line.ignored) {
+      throw new Error('Ignored lines cannot be matched. Restore the line first');
+    }
+
+    if (line.reconciliation_id) {
+      const reconciliation = await BankReconciliationModel._lockOpenReconciliation(client, line.reconciliation_id);
+      await BankReconciliationModel._matchLine(client, reconciliation, line.id, entryId);
+      return;
+    }
+
+    if (line.journal_entry_id) {
+      throw new Error('Statement line is already matched. Unmatch it first');
+    }
+
+    const entryResult = await client.query(
+      `SELECT
+         CASE WHEN je.entry_type = 'Debit' THEN je.amount ELSE -je.amount END as amount,
+         je.reconciliation_id,
+         (SELECT id FROM bank_statement_lines WHERE journal_entry_id = je.id) as statement_line_id
+       FROM journal_entries je
+       WHERE je.id = $1 AND je.account_id = $2
+       FOR UPDATE`,
+      [entryId, line.account_id]
+    );
+
+    if (entryResult.rows.length === 0) {
+      throw new Error('Journal entry is not an entry of this account');
+    }
+
+    const entry = entryResult.rows[0];
+    if (entry.reconciliation_id) {
+      throw new Error('Journal entry is already cleared in a bank reconciliation');
+    }
+
+    if (entry.statement_line_id) {
+      throw new Error('Journal entry is already matched to another statement line');
+    }
+
+    if (!money.equals(entry.amount, line.amount)) {
+      throw new Error(`Statement line amount ${money.toFixed(line.amount)} does not match the entry amount ${money.toFixed(entry.amount)}`);
+    }
+
+    await client.query(`UPDATE bank_statement_lines SET journal_entry_id = $1 WHERE id = $2`, [entryId, line.id]);
+  }
+
+  static async _getLine(lineId) {
+    const result = await query(`${LINE_SELECT} WHERE sl.id = $1`, [lineId]);
+    return this._formatLine(result.rows[0]);
+  }
+
+  static async matchLine(lineId, entryId) {
+    if (!entryId || isNaN(parseInt(entryId))) {
+      throw new Error('Journal entry is required');
+    }
+
+    try {
+      await transaction(async (client) => {
+        const line = await this._lockLine(client, lineId);
+        await this._matchInClient(client, line, parseInt(entryId));
+      });
+
+      return await this._getLine(lineId);
+    } catch (error) {
+      console.error('Match imported line error:', error);
+      throw error;
+    }
+  }
+
+  static async unmatchLine(lineId) {
+    try {
+      await transaction(async (client) => {
+        const line = await this._lockLine(client, lineId);
+
+        if (!line.journal_entry_id) {
+          throw new Error('Statement line is not matched');
+        }
+
+        if (line.reconciliation_id) {
+          await BankReconciliationModel._lockOpenReconciliation(client, line.reconciliation_id);
+          await client.query(
+            `UPDATE journal_entries SET reconciliation_id = NULL WHERE id = $1 AND reconciliation_id = $2`,
+            [line.journal_entry_id, line.reconciliation_id]
+          );
+        }
+
+        await client.query(`UPDATE bank_statement_lines SET journal_entry_id = NULL, rule_id = NULL WHERE id = $1`, [lineId]);
+      });
+
+      return await this._getLine(lineId);
+    } catch (error) {
+      console.error('Unmatch imported line error:', error);
+      throw error;
+    }
+  }
+
+  // Sets aside a staged line that needs no entry, such as one already accounted for by hand
+  static async ignoreLine(lineId) {
+    try {
+      await transaction(async (client) => {
+        const line = await this._lockLine(client, lineId);
+
+        if (line.reconciliation_id) {
+          throw new Error('This line is on a bank reconciliation in progress. Remove it from the reconciliation instead');
+        }
+
+        if (line.journal_entry_id) {
+          throw new Error('Unmatch the line before ignoring it');
+        }
+
+        await client.query(`UPDATE bank_statement_lines SET ignored = true WHERE id = $1`, [lineId]);
+      });
+
+      return await this._getLine(lineId);
+    } catch (error) {
+      console.error('Ignore imported line error:', error);
+      throw error;
+    }
+  }
+
+  // Brings an ignored line back; it joins the account's reconciliation in progress if it falls in it
+  static async restoreLine(lineId) {
+    try {
+      await transaction(async (client) => {
+        const line = await this._lockLine(client, lineId);
+
+        if (!line.ignored) {
+          throw new Error('Statement line is not ignored');
+        }
+
+        await client.query(`UPDATE bank_statement_lines SET ignored = false WHERE id = $1`, [lineId]);
+
+        const openResult = await client.query(
+          `SELECT id FROM bank_reconciliations WHERE account_id = $1 AND status = 'in_progress'`,
+          [line.account_id]
+        );
+
+        if (openResult.rows.length > 0) {
+          const reconciliation = await BankReconciliationModel._lockOpenReconciliation(client, openResult.rows[0].id);
+          await BankReconciliationModel._attachImportedLines(client, reconciliation);
+        }
+      });
+
+      return await this._getLine(lineId);
+    } catch (error) {
+      console.error('Restore imported line error:', error);
+      throw error;
+    }
+  }
+
+  // The unmatched entry of the line's account with its amount closest to it in date, or null
+  static async _findCandidateEntry(client, line) {
+    const result = await client.query(
+      `SELECT je.id
+       FROM journal_entries je
+       JOIN transactions t ON je.transaction_id = t.id
+       LEFT JOIN bank_reconciliations br ON br.id = $5
+       WHERE je.account_id = $1
+       AND je.reconciliation_id IS NULL
+       AND CASE WHEN je.entry_type = 'Debit' THEN je.amount ELSE -je.amount END = $2
+       AND ABS(t.transaction_date - $3::date) <= $4
+       AND (br.id IS NULL OR t.transaction_date <= br.statement_date)
+       AND NOT EXISTS (SELECT 1 FROM bank_statement_lines other WHERE other.journal_entry_id = je.id)
+       ORDER BY ABS(t.transaction_date - $3::date), je.id
+       LIMIT 1`,
+      [line.account_id, line.amount, line.line_date, CANDIDATE_DAYS, line.reconciliation_id]
+    );
+
+    return result.rows.length > 0 ? result.rows[0].id : null;
+  }
+
+  // Matches each unmatched line to its closest candidate entry. Returns how many were matched.
+  static async autoMatch(filters = {}) {
+    try {
+      return await transaction(async (client) => {
+        const conditions = ['sl.import_id IS NOT NULL', 'sl.journal_entry_id IS NULL', 'NOT sl.ignored', `(br.id IS NULL OR br.status = 'in_progress')`];
+        const params = [];
+
+        if (filters.accountId) {
+          params.push(filters.accountId);
+          conditions.push(`sl.account_id = $${params.length}`);
+        }
+
+        if (filters.importId) {
+          params.push(filters.importId);
+          conditions.push(`sl.import_id = $${params.length}`);
+        }
+
+        const linesResult = await client.query(
+          `SELECT sl.id
+           FROM bank_statement_lines sl
+           LEFT JOIN bank_reconciliations br ON sl.reconciliation_id = br.id
+           WHERE ${conditions.join(' AND ')}
+           ORDER BY sl.line_date, sl.id`,
+          params
+        );
+
+        let matched = 0;
+        for (const { id } of linesResult.rows) {
+          const line = await this._lockLine(client, id);
+
+          const entryId = await this._findCandidateEntry(client, line);
+
+          if (entryId) {
+            await this._matchInClient(client, line, entryId);
+            matched++;
+          }
+        }
+
+        return { matched };
+      });
+    } catch (error) {
+      console.error('Auto-match imported lines error:', error);
+      throw error;
+    }
+  }
+
+  // Posts a transaction for a locked line no entry exists for yet, against the given contra
+  // account, and matches the line to it. Money in is a cash receipt, money out a cash payment.
+  // ruleId records the bank rule that categorized the line, if any. Returns the transaction's id.
+  static async _postLine(client, line, data, ruleId = null) {
+    const { contra_account_id, description, customer_id, vendor_id } = data;
+
+    if (line.ignored) {
+      throw new Error('Ignored lines cannot be posted. Restore the line first');
+    }
+
+    if (line.journal_entry_id) {
+      throw new Error('Statement line is already matched. Unmatch it first');
+    }
+
+    if (parseInt(contra_account_id) === line.account_id) {
+      throw new Error('Contra account must differ from the bank account');
+    }
+
+    const moneyIn = money.compare(line.amount, 0) > 0;
+    const amount = money.toFixed(money.abs(line.amount));
+    const contraEntry = {
+      account_id: parseInt(contra_account_id),
+      amount,
+      entry_type: moneyIn ? 'Credit' : 'Debit',
+      customer_id: customer_id ? parseInt(customer_id) : null,
+      vendor_id: vendor_id ? parseInt(vendor_id) : null
+    };
+
+    const posted = await AccountingModel.createTransaction({
+      date: AccountingModel.convertToDDMMYYYY(line.line_date),
+      description: String(description || line.description).trim(),
+      reference: (line.reference || line.bank_reference || '').substring(0, 50),
+      entries: [
+        { account_id: line.account_id, amount, entry_type: moneyIn ? 'Debit' : 'Credit' },
+        contraEntry
+      ],
+      series_code: moneyIn ? RECEIPT_SERIES : PAYMENT_SERIES
+    }, { client, source: 'bank_statement' });
+
+    const entryResult = await client.query(
+      `SELECT id FROM journal_entries WHERE transaction_id = $1 AND account_id = $2`,
+      [posted.transactionId, line.account_id]
+    );
+
+    await this._matchInClient(client, line, entryResult.rows[0].id);
+
+    if (ruleId) {
+      await client.query(`UPDATE bank_statement_lines SET rule_id = $1 WHERE id = $2`, [ruleId, line.id]);
+    }
+
+    return posted.transactionId;
+  }
+
+  static async createTransactionFromLine(lineId, data) {
+    const { contra_account_id, description } = data;
+
+    if (!contra_account_id || isNaN(parseInt(contra_account_id))) {
+      throw new Error('Contra account is required');
+    }
+
+    if (description && String(description).trim().length > 200) {
+      throw new Error('Description must be less than 200 characters');
+    }
+
+    try {
+      const transactionId = await transaction(async (client) => {
+        const line = await this._lockLine(client, lineId);
+        return await this._postLine(client, line, data);
+      });
+
+      const matchedLine = await this._getLine(lineId);
+      return { line: matchedLine, transaction_id: transactionId };
+    } catch (error) {
+      console.error('Create transaction from statement line error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = BankStatementModel;
@@ -0,0 +1,445 @@
+// backend/models/budgetModel.js - Monthly budgets and budget-vs-actual reporting
+const { query, transaction } = require('../database/db');
+const AccountingModel = require('./accountingModel');
+const PeriodModel = require('./periodModel');
+const DimensionModel = require('./dimensionModel');
+const money = require('../utils/money');
+const { tokenize } = require('../utils/statementParsers/csv');
+
+const AMOUNT_PATTERN = /^\d+(\.\d+)?$/;
+
+class BudgetModel {
+  // ===== VALIDATION =====
+
+  static parseFiscalYear(fiscalYear) {
+    const year = parseInt(fiscalYear);
+    if (!year || year < 1900 || year > 2100) {
+      throw new Error('Valid fiscal year is required (e.g. 2024)');
+    }
+    return year;
+  }
+
+  static getCurrentFiscalYear() {
+    return PeriodModel.getFiscalYearForDate(AccountingModel.getPakistanTime().date);
+  }
+
+  // Twelve non-negative amounts, one per period of the fiscal year
+  static _parseAmounts(amounts, rowLabel = '') {
+    if (!Array.isArray(amounts) || amounts.length !== 12) {
+      throw new Error(`${rowLabel}Budget needs an amount for each of the 12 periods`);
+    }
+
+    return amounts.map((value, index) => {
+      let minor;
+      try {
+        minor = money.toMinor(value, undefined, { strict: true });
+      } catch (error) {
+        throw new Error(`${rowLabel}Period ${index + 1}: ${error.message}`);
+      }
+
+      if (minor < 0) {
+        throw new Error(`${rowLabel}Period ${index + 1}: Budget amounts cannot be negative`);
+      }
+
+      return money.fromMinor(minor);
+    });
+  }
+
+  // Budgets are kept for active revenue and expense accounts only
+  static async _assertBudgetAccount(client, accountId, rowLabel = '') {
+    const result = await client.query(
+      `SELECT id, account_code, account_type FROM accounts WHERE id = $1 AND is_active = true`,
+      [accountId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`${rowLabel}Account not found`);
+    }
+
+    if (!['Revenue', 'Expense'].includes(result.rows[0].account_type)) {
+      throw new Error(`${rowLabel}Account ${result.rows[0].account_code} is not a revenue or expense account`);
+    }
+  }
+
+  static async _assertBudgetDimension(client, dimensionId, rowLabel = '') {
+    if (!dimensionId) {
+      return;
+    }
+
+    const result = await client.query(`SELECT id FROM dimensions WHERE id = $1`, [dimensionId]);
+    if (result.rows.length === 0) {
+      throw new Error(`${rowLabel}Dimension not found`);
+    }
+  }
+
+  // Replaces the twelve amounts of a budget line, creating the line if needed
+  static async _saveLine(client, fiscalYear, accountId, dimensionId, amounts, notes) {
+    const existing = await client.query(
+      `SELECT id FROM budgets
+       WHERE fiscal_year = $1 AND account_id = $2 AND COALESCE(dimension_id, 0) = COALESCE($3::integer, 0)`,
+      [fiscalYear, accountId, dimensionId]
+    );
+
+    let budgetId;
+    if (existing.rows.length > 0) {
+      budgetId = existing.rows[0].id;
+      await client.query(`UPDATE budgets SET notes = COALESCE($1, notes) WHERE id = $2`, [notes, budgetId]);
+    } else {
+      const inserted = await client.query(
+        `INSERT INTO budgets (fiscal_year, account_id, dimension_id, notes)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [fiscalYear, accountId, dimensionId, notes]
+      );
+      budgetId = inserted.rows[0].id;
+    }
+
+    for (let i = 0; i < 12; i++) {
+      await client.query(
+        `INSERT INTO budget_amounts (budget_id, period_number, amount)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (budget_id, period_number) DO UPDATE SET amount = EXCLUDED.amount`,
+        [budgetId, i + 1, amounts[i]]
+      );
+    }
+
+    return budgetId;
+  }
+
+  // ===== BUDGETS =====
+
+  // Budget lines of a fiscal year, each with its twelve period amounts and their total
+  static async getBudgets(fiscalYear) {
+    const year = this.parseFiscalYear(fiscalYear);
+
+    try {
+      const result = await query(
+        `SELECT
+           b.id,
+           b.fiscal_year,
+           b.account_id,
+           b.dimension_id,
+           b.notes,
+           b.updated_at,
+           a.account_code,
+           a.account_name,
+           a.account_type,
+           d.dimension_type,
+           d.code as dimension_code,
+           d.name as dimension_name,
+           COALESCE(JSON_AGG(JSON_BUILD_ARRAY(ba.period_number, ba.amount) ORDER BY ba.period_number)
+             FILTER (WHERE ba.period_number IS NOT NULL), '[]') as amounts
+         FROM budgets b
+         JOIN accounts a ON b.account_id = a.id
+         LEFT JOIN dimensions d ON b.dimension_id = d.id
+         LEFT JOIN budget_amounts ba ON ba.budget_id = b.id
+         WHERE b.fiscal_year = $1
+         GROUP BY b.id, a.id, d.id
+         ORDER BY a.account_type DESC, a.account_code, d.dimension_type NULLS FIRST, d.code`,
+        [year]
+      );
+
+      return result.rows.map(row => {
+        const amounts = new Array(12).fill(0);
+        row.amounts.forEach(([periodNumber, amount]) => {
+          amounts[periodNumber - 1] = money.round(amount);
+        });
+
+        return {
+          id: row.id,
+          fiscal_year: row.fiscal_year,
+          account_id: row.account_id,
+          account_code: row.account_code,
+          account_name: row.account_name,
+          account_type: row.account_type,
+          dimension_id: row.dimension_id,
+          dimension_type: row.dimension_type,
+          dimension_label: row.dimension_type ? DimensionModel.labelOf(row.dimension_type) : null,
+          dimension_code: row.dimension_code,
+          dimension_name: row.dimension_name,
+          notes: row.notes,
+          amounts: amounts,
+          total: money.sum(amounts),
+          updated_at_formatted: AccountingModel.formatDateToPakistan(row.updated_at)
+        };
+      });
+    } catch (error) {
+      console.error('Get budgets error:', error);
+      throw error;
+    }
+  }
+
+  // Sets the budget of an account (and optionally a dimension) for a fiscal year
+  static async setBudget(budgetData) {
+    const year = this.parseFiscalYear(budgetData.fiscal_year);
+    const accountId = parseInt(budgetData.account_id);
+    const dimensionId = budgetData.dimension_id ? parseInt(budgetData.dimension_id) : null;
+
+    if (!accountId) {
+      throw new Error('Account is required');
+    }
+
+    const amounts = this._parseAmounts(budgetData.amounts);
+    const notes = budgetData.notes ? String(budgetData.notes).trim() : null;
+
+    try {
+      const budgetId = await transaction(async (client) => {
+        await this._assertBudgetAccount(client, accountId);
+        await this._assertBudgetDimension(client, dimensionId);
+        return this._saveLine(client, year, accountId, dimensionId, amounts, notes);
+      });
+
+      const budgets = await this.getBudgets(year);
+      return budgets.find(budget => budget.id === budgetId);
+    } catch (error) {
+      console.error('Set budget error:', error);
+      throw error;
+    }
+  }
+
+  static async deleteBudget(budgetId) {
+    try {
+      const result = await query(`DELETE FROM budgets WHERE id = $1 RETURNING id`, [budgetId]);
+
+      if (result.rowCount === 0) {
+        throw new Error('Budget not found');
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Delete budget error:', error);
+      throw error;
+    }
+  }
+
+  // Imports budget lines into a fiscal year from CSV text. Columns are account code, dimension
+  // type, dimension code and the twelve period amounts; the dimension columns may be left empty.
+  // Lines already in the year are replaced, and nothing is imported when a row is wrong.
+  static async importBudgets(fiscalYear, content) {
+    const year = this.parseFiscalYear(fiscalYear);
+    const text = String(content || '').replace(/^\uFEFF/, '');
+
+    if (!text.trim()) {
+      throw new Error('The budget file is empty');
+    }
+
+    const firstLine = text.split(/\r?\n/)[0];
+    const delimiter = [';', '\t', ','].find(candidate => firstLine.includes(candidate)) || ',';
+    const rows = tokenize(text, delimiter);
+
+    // No amount in the first period column of the first row means it is a header
+    if (rows.length > 0 && !AMOUNT_PATTERN.test(String(rows[0][3] || '').trim())) {
+      rows.shift();
+    }
+
+    if (rows.length === 0) {
+      throw new Error('The budget file has no rows');
+    }
+
+    try {
+      const imported = await transaction(async (client) => {
+        const seen = new Set();
+
+        for (let index = 0; index < rows.length; index++) {
+          const rowLabel = `Row ${index + 1}: `;
+          const [accountCode, dimensionType, dimensionCode, ...amountFields] = rows[index].map(field => field.trim());
+
+          if (amountFields.length !== 12) {
+            throw new Error(`${rowLabel}Expected account code, dimension type, dimension code and 12 amounts`);
+          }
+
+          const account = await client.query(
+            `SELECT id FROM accounts WHERE account_code = $1 AND is_active = true`,
+            [accountCode]
+          );
+          if (account.rows.length === 0) {
+            throw new Error(`${rowLabel}Account ${accountCode} not found`);
+          }
+          const accountId = account.rows[0].id;
+          await this._assertBudgetAccount(client, accountId, rowLabel);
+
+          let dimensionId = null;
+          if (dimensionType || dimensionCode) {
+            if (!dimensionType || !dimensionCode) {
+              throw new Error(`${rowLabel}Give both the dimension type and code, or neither`);
+            }
+
+            const dimension = await client.query(
+              `SELECT id FROM dimensions WHERE dimension_type = $1 AND code = $2`,
+              [dimensionType.toLowerCase(), dimensionCode.toUpperCase()]
+            );
+            if (dimension.rows.length === 0) {
+              throw new Error(`${rowLabel}Dimension ${dimensionType} ${dimensionCode} not found`);
+            }
+            dimensionId = dimension.rows[0].id;
+          }
+
+          const lineKey = `${accountId}|${dimensionId || 0}`;
+          if (seen.has(lineKey)) {
+            throw new Error(`${rowLabel}Account ${accountCode} is budgeted twice for the same dimension`);
+          }
+          seen.add(lineKey);
+
+          const amounts = this._parseAmounts(amountFields, rowLabel);
+          await this._saveLine(client, year, accountId, dimensionId, amounts, null);
+        }
+
+        return seen.size;
+      });
+
+      return { imported: imported, fiscal_year: year };
+    } catch (error) {
+      console.error('Import budgets error:', error);
+      throw error;
+    }
+  }
+
+  // ===== BUDGET VS ACTUAL =====
+
+  // variance is actual minus budget; it is favorable when revenue beats its budget or
+  // expenses stay within theirs
+  static _compare(accountType, budget, actual) {
+    const variance = money.subtract(actual, budget);
+
+    return {
+      budget: budget,
+      actual: actual,
+      variance: variance,
+      variance_percent: money.isZero(budget) ? null : Number(((variance / budget) * 100).toFixed(2)),
+      favorable: accountType === 'Revenue' ? variance >= 0 : variance <= 0
+    };
+  }
+
+  // Budget against actual per budget line, for every period of a fiscal year and year-to-date
+  // through throughPeriod (by default the current period, or the whole year once it is over).
+  // Actuals come from the income statement of each period, restricted to the line's dimension.
+  static async getBudgetVsActual(fiscalYear = null, throughPeriod = null) {
+    const year = fiscalYear ? this.parseFiscalYear(fiscalYear) : this.getCurrentFiscalYear();
+    const months = PeriodModel.getFiscalYearMonths(year);
+
+    let lastPeriod;
+    if (throughPeriod !== null && throughPeriod !== undefined && throughPeriod !== '') {
+      lastPeriod = parseInt(throughPeriod);
+      if (!lastPeriod || lastPeriod < 1 || lastPeriod > 12) {
+        throw new Error('throughPeriod must be between 1 and 12');
+      }
+    } else {
+      const today = AccountingModel.getPakistanTime().date;
+      lastPeriod = months.filter(month => month.start_date <= today).length;
+    }
+
+    try {
+      const budgets = await this.getBudgets(year);
+
+      // Period balances per account code for each distinct dimension budgeted against
+      const actualsByDimension = new Map();
+      for (const budget of budgets) {
+        const dimensionKey = budget.dimension_id || 0;
+        if (actualsByDimension.has(dimensionKey)) {
+          continue;
+        }
+
+        const filters = budget.dimension_id ? { [budget.dimension_type]: budget.dimension_id } : {};
+        const periodActuals = [];
+        for (const month of months) {
+          const statement = await AccountingModel.getIncomeStatementForPeriod(
+            AccountingModel.convertToDDMMYYYY(month.start_date),
+            AccountingModel.convertToDDMMYYYY(month.end_date),
+            { filters }
+          );
+          periodActuals.push(new Map(
+            [...statement.revenue, ...statement.expenses].map(row => [row.account_code, row.period_balance])
+          ));
+        }
+        actualsByDimension.set(dimensionKey, periodActuals);
+      }
+
+      const lines = budgets.map(budget => {
+        const periodActuals = actualsByDimension.get(budget.dimension_id || 0);
+
+        const periods = months.map((month, index) => ({
+          period_number: month.period_number,
+          period_name: month.period_name,
+          ...this._compare(budget.account_type, budget.amounts[index], periodActuals[index].get(budget.account_code) || 0)
+        }));
+        const ytdPeriods = periods.slice(0, lastPeriod);
+        const ytd = this._compare(budget.account_type, money.sumBy(ytdPeriods, 'budget'), money.sumBy(ytdPeriods, 'actual'));
+
+        return {
+          budget_id: budget.id,
+          account_id: budget.account_id,
+          account_code: budget.account_code,
+          account_name: budget.account_name,
+          account_type: budget.account_type,
+          dimension_id: budget.dimension_id,
+          dimension_type: budget.dimension_type || null,
+          dimension_label: budget.dimension_label,
+          dimension_code: budget.dimension_code,
+          dimension_name: budget.dimension_name,
+          periods: periods,
+          ytd: ytd,
+          annual_budget: budget.total,
+          overspent: budget.account_type === 'Expense' && ytd.actual > ytd.budget
+        };
+      });
+
+      // Dimension lines are slices of the same actuals as the account's own line, and lines of
+      // different dimension types slice them again, so each account is counted once: by its own
+      // line, or when it is only budgeted by dimension, by the lines of its first dimension type
+      // (lines come ordered by account with the account's own line first)
+      const countedLines = lines.filter(line => {
+        const first = lines.find(candidate => candidate.account_id === line.account_id);
+        return line.dimension_type === first.dimension_type;
+      });
+
+      const totalsFor = (accountType) => {
+        const typeLines = countedLines.filter(line => line.account_type === accountType);
+        return {
+          periods: months.map((month, index) => ({
+            period_number: month.period_number,
+            ...this._compare(
+              accountType,
+              money.sum(typeLines.map(line => line.periods[index].budget)),
+              money.sum(typeLines.map(line => line.periods[index].actual))
+            )
+          })),
+          ytd: this._compare(
+            accountType,
+            money.sum(typeLines.map(line => line.ytd.budget)),
+            money.sum(typeLines.map(line => line.ytd.actual))
+          )
+        };
+      };
+
+      const bounds = PeriodModel.getFiscalYearBounds(year);
+
+      return {
+        fiscal_year: year,
+        label: bounds.label,
+        start_date: AccountingModel.convertToDDMMYYYY(bounds.start_date),
+        end_date: AccountingModel.convertToDDMMYYYY(bounds.end_date),
+        through_period: lastPeriod,
+        through_period_name: lastPeriod > 0 ? months[lastPeriod - 1].period_name : null,
+        periods: months.map(month => ({
+          period_number: month.period_number,
+          period_name: month.period_name,
+          start_date: AccountingModel.convertToDDMMYYYY(month.start_date),
+          end_date: AccountingModel.convertToDDMMYYYY(month.end_date)
+        })),
+        lines: lines,
+        totals: {
+          revenue: totalsFor('Revenue'),
+          expenses: totalsFor('Expense')
+        },
+        overspent: lines
+          .filter(line => line.overspent)
+          .sort((a, b) => b.ytd.variance - a.ytd.variance)
+      };
+    } catch (error) {
+      console.error('Get budget vs actual error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = BudgetModel;
@@ -0,0 +1,640 @@
+// backend/models/currencyModel.js - Base currency, exchange rates and foreign currency entries
+const { query, transaction } = require('../database/db');
+const AccountingModel = require('./accountingModel');
+const money = require('../utils/money');
+const { tokenize, parseDate } = require('../utils/statementParsers/csv');
+
+const DATE_PATTERN = /^\d{1,2}\/\d{1,2}\/\d{4}$/;
+const RATE_PATTERN = /^\d+(\.\d{1,8})?$/;
+
+// Rate text without the trailing zeros of the DECIMAL(18,8) column: '278.50000000' -> '278.5'
+const trimRate = (rate) => {
+  const text = String(rate);
+  return text.includes('.') ? text.replace(/0+$/, '').replace(/\.$/, '') : text;
+};
+
+class CurrencyModel {
+  // ===== CURRENCIES =====
+
+  // The currency the books are kept in: currency_code in company_details.json, PKR by default
+  static getBaseCurrency() {
+    const PeriodModel = require('./periodModel');
+    const code = String(PeriodModel._getSystemSetting('currency_code') || money.DEFAULT_CURRENCY).toUpperCase();
+    money.getCurrencyConfig(code);
+    return code;
+  }
+
+  static getCurrencies() {
+    return {
+      base_currency: this.getBaseCurrency(),
+      currencies: Object.entries(money.CURRENCIES).map(([code, config]) => ({
+        code,
+        decimals: config.decimals
+      }))
+    };
+  }
+
+  // A supported foreign currency code, or null for an empty value or the base currency
+  static normalizeCurrency(currencyCode) {
+    if (currencyCode === undefined || currencyCode === null || String(currencyCode).trim() === '') {
+      return null;
+    }
+
+    const code = String(currencyCode).trim().toUpperCase();
+    if (!money.CURRENCIES[code]) {
+      throw new Error(`Unsupported currency: ${currencyCode}. Use one of: ${Object.keys(money.CURRENCIES).join(', ')}`);
+    }
+
+    return code === this.getBaseCurrency() ? null : code;
+  }
+
+  static _parseRate(value, label = 'Exchange rate') {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+
+    if (!RATE_PATTERN.test(text) || !/[1-9]/.test(text)) {
+      throw new Error(`${label} must be a positive number with up to 8 decimal places`);
+    }
+
+    return trimRate(text);
+  }
+
+  // ===== EXCHANGE RATES =====
+
+  static _formatRate(row) {
+    return {
+      id: row.id,
+      currency_code: row.currency_code,
+      rate_date: AccountingModel.convertToDDMMYYYY(row.rate_date),
+      rate: trimRate(row.rate),
+      source: row.source,
+      updated_at_formatted: AccountingModel.formatDateToPakistan(row.updated_at)
+    };
+  }
+
+  // Rates, newest first, optionally of one currency and between two dates (dd/mm/yyyy)
+  static async getRates(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    try {
+      if (filters.currency) {
+        params.push(String(filters.currency).toUpperCase());
+        conditions.push(`currency_code = $${params.length}`);
+      }
+
+      [['startDate', '>='], ['endDate', '<=']].forEach(([key, operator]) => {
+        if (filters[key]) {
+          if (!DATE_PATTERN.test(String(filters[key]))) {
+            throw new Error('Invalid date format. Use dd/mm/yyyy');
+          }
+          params.push(AccountingModel.convertToYYYYMMDD(filters[key]));
+          conditions.push(`rate_date ${operator} $${params.length}`);
+        }
+      });
+
+      const result = await query(
+        `SELECT id, currency_code, TO_CHAR(rate_date, 'YYYY-MM-DD') as rate_date, rate, source, updated_at
+         FROM exchange_rates
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY rate_date DESC, currency_code`,
+        params
+      );
+
+      return result.rows.map(row => this._formatRate(row));
+    } catch (error) {
+      console.error('Get exchange rates error:', error);
+      throw error;
+    }
+  }
+
+  // The latest rate of a currency on or before a date (yyyy-mm-dd), or null when there is none
+  static async getRate(db, currencyCode, dbDate) {
+    const result = await (db || { query }).query(
+      `SELECT TO_CHAR(rate_date, 'YYYY-MM-DD') as rate_date, rate
+       FROM exchange_rates
+       WHERE currency_code = $1 AND rate_date <= $2
+       ORDER BY rate_date DESC
+       LIMIT 1`,
+      [currencyCode, dbDate]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return {
+      currency_code: currencyCode,
+      rate_date: AccountingModel.convertToDDMMYYYY(result.rows[0].rate_date),
+      rate: trimRate(result.rows[0].rate)
+    };
+  }
+
+  // The rate a posting dated date (dd/mm/yyyy) would use
+  static async lookupRate(currencyCode, date) {
+    const currency = this.normalizeCurrency(currencyCode);
+    if (!currency) {
+      throw new Error('A foreign currency is required');
+    }
+
+    if (!date || !DATE_PATTERN.test(String(date))) {
+      throw new Error('Invalid date format. Use dd/mm/yyyy');
+    }
+
+    try {
+      return await this.getRate(null, currency, AccountingModel.convertToYYYYMMDD(date));
+    } catch (error) {
+      console.error('Look up exchange rate error:', error);
+      throw error;
+    }
+  }
+
+  static _validateRateData(rateData, rowLabel = '') {
+    const currency = this.normalizeCurrency(rateData.currency_code);
+    if (!currency) {
+      throw new Error(`${rowLabel}A foreign currency is required; the base currency ${this.getBaseCurrency()} has no rate`);
+    }
+
+    return {
+      currency_code: currency,
+      rate: this._parseRate(rateData.rate, `${rowLabel}Rate`)
+    };
+  }
+
+  // Sets the rate of a currency for a day, replacing any rate already entered for it
+  static async setRate(rateData) {
+    const { currency_code, rate } = this._validateRateData(rateData);
+
+    if (!rateData.rate_date || !DATE_PATTERN.test(String(rateData.rate_date))) {
+      throw new Error('Rate date is required in dd/mm/yyyy format');
+    }
+
+    try {
+      const result = await query(
+        `INSERT INTO exchange_rates (currency_code, rate_date, rate, source)
+         VALUES ($1, $2, $3, 'manual')
+         ON CONFLICT (currency_code, rate_date) DO UPDATE SET rate = EXCLUDED.rate, source = 'manual'
+         RETURNING id, currency_code, TO_CHAR(rate_date, 'YYYY-MM-DD') as rate_date, rate, source, updated_at`,
+        [currency_code, AccountingModel.convertToYYYYMMDD(rateData.rate_date), rate]
+      );
+
+      return this._formatRate(result.rows[0]);
+    } catch (error) {
+      console.error('Set exchange rate error:', error);
+      throw error;
+    }
+  }
+
+  // Deleting a rate leaves the entries posted with it alone; they keep their own copy
+  static async deleteRate(rateId) {
+    try {
+      const result = await query(`DELETE FROM exchange_rates WHERE id = $1`, [rateId]);
+
+      if (result.rowCount === 0) {
+        throw new Error('Exchange rate not found');
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Delete exchange rate error:', error);
+      throw error;
+    }
+  }
+
+  // Imports rates from CSV text with the columns currency, date and rate, in that order.
+  // A header row is skipped. Dates are dd/mm/yyyy or yyyy-mm-dd. The whole file is
+  // rejected when any row is wrong; rates already entered for a day are replaced.
+  static async importRates(content) {
+    const text = String(content || '').replace(/^\uFEFF/, '');
+
+    if (!text.trim()) {
+      throw new Error('The rate file is empty');
+    }
+
+    const firstLine = text.split(/\r?\n/)[0];
+    const delimiter = [';', '\t', ','].find(candidate => firstLine.includes(candidate)) || ',';
+    const rows = tokenize(text, delimiter);
+
+    // No rate in the third column of the first row means it is a header
+    if (rows.length > 0 && !RATE_PATTERN.test(String(rows[0][2] || '').trim())) {
+      rows.shift();
+    }
+
+    if (rows.length === 0) {
+      throw new Error('The rate file has no rows');
+    }
+
+    const rates = new Map();
+    rows.forEach((fields, index) => {
+      const rowLabel = `Row ${index + 1}: `;
+      const [currencyText, dateText, rateText] = fields.map(field => field.trim());
+      const rate = this._validateRateData({ currency_code: currencyText, rate: rateText }, rowLabel);
+
+      let rateDate;
+      try {
+        rateDate = parseDate(dateText, /^\d{4}-/.test(dateText || '') ? 'YYYY-MM-DD' : 'DD/MM/YYYY');
+      } catch (error) {
+        throw new Error(`${rowLabel}${error.message}`);
+      }
+
+      rates.set(`${rate.currency_code}|${rateDate}`, { ...rate, rate_date: rateDate });
+    });
+
+    try {
+      await transaction(async (client) => {
+        for (const rate of rates.values()) {
+          await client.query(
+            `INSERT INTO exchange_rates (currency_code, rate_date, rate, source)
+             VALUES ($1, $2, $3, 'import')
+             ON CONFLICT (currency_code, rate_date) DO UPDATE SET rate = EXCLUDED.rate, source = 'import'`,
+            [rate.currency_code, rate.rate_date, rate.rate]
+          );
+        }
+      });
+
+      return {
+        imported: rates.size,
+        currencies: [...new Set([...rates.values()].map(rate => rate.currency_code))].sort()
+      };
+    } catch (error) {
+      console.error('Import exchange rates error:', error);
+      throw error;
+    }
+  }
+
+  // ===== FOREIGN CURRENCY ENTRIES =====
+
+  // Fills in the base currency amount of journal entries given in a foreign currency
+  // ({ currency_code, foreign_amount, exchange_rate }). Without a rate, the latest one on
+  // or before the posting date is used. Base currency entries pass through unchanged.
+  // With options.allowRevaluation, entries marked revaluation keep their base amount and
+  // carry no foreign amount: they restate a foreign balance without changing it.
+  static async convertEntries(db, entries, dbDate, options = {}) {
+    if (!Array.isArray(entries) || !entries.some(entry => entry.currency_code || entry.foreign_amount)) {
+      return entries;
+    }
+
+    const baseCurrency = this.getBaseCurrency();
+    const converted = [];
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const currency = this.normalizeCurrency(entry.currency_code);
+
+      if (!currency) {
+        converted.push({ ...entry, currency_code: null, foreign_amount: null, exchange_rate: null });
+        continue;
+      }
+
+      if (entry.revaluation) {
+        if (!options.allowRevaluation) {
+          throw new Error(`Entry ${i + 1}: Revaluation entries are only posted by the exchange revaluation run`);
+        }
+        converted.push({
+          ...entry,
+          currency_code: currency,
+          foreign_amount: null,
+          exchange_rate: this._parseRate(entry.exchange_rate, `Entry ${i + 1}: Exchange rate`)
+        });
+        continue;
+      }
+
+      let foreignMinor = NaN;
+      try {
+        foreignMinor = money.toMinor(entry.foreign_amount, currency, { strict: true });
+      } catch (error) {
+        // Reported below
+      }
+      if (isNaN(foreignMinor) || foreignMinor <= 0) {
+        throw new Error(`Entry ${i + 1}: ${currency} amount must be a positive number with up to ${money.getCurrencyConfig(currency).decimals} decimal places`);
+      }
+
+      let rate;
+      if (entry.exchange_rate !== undefined && entry.exchange_rate !== null && entry.exchange_rate !== '') {
+        rate = this._parseRate(entry.exchange_rate, `Entry ${i + 1}: Exchange rate`);
+      } else {
+        // An invalid date is left for validateTransaction to report
+        const found = dbDate ? await this.getRate(db, currency, dbDate) : null;
+        if (!found) {
+          throw new Error(`Entry ${i + 1}: No ${currency} exchange rate on or before ${AccountingModel.convertToDDMMYYYY(dbDate)}. Enter the rate or add one under Exchange Rates`);
+        }
+        rate = found.rate;
+      }
+
+      const amount = money.convert(entry.foreign_amount, rate, currency, baseCurrency);
+      if (money.isZero(amount)) {
+        throw new Error(`Entry ${i + 1}: ${currency} ${entry.foreign_amount} is worth nothing in ${baseCurrency} at rate ${rate}`);
+      }
+
+      converted.push({
+        ...entry,
+        currency_code: currency,
+        foreign_amount: money.fromMinor(foreignMinor, currency),
+        exchange_rate: rate,
+        amount
+      });
+    }
+
+    return this._balanceConvertedSides(converted, baseCurrency);
+  }
+
+  // Lines rounded one by one can stop an entry that balances in the foreign currency from
+  // balancing once converted (3 x 33.33 against 99.99). Each side's lines of one currency
+  // and rate are converted as a total instead, and the rounding remainder goes to its largest line.
+  static _balanceConvertedSides(entries, baseCurrency) {
+    const groups = new Map();
+    entries.forEach((entry, index) => {
+      if (!entry.currency_code || entry.foreign_amount === null || entry.foreign_amount === undefined) {
+        return;
+      }
+      const key = `${entry.entry_type}|${entry.currency_code}|${entry.exchange_rate}`;
+      groups.set(key, [...(groups.get(key) || []), index]);
+    });
+
+    const balanced = [...entries];
+    groups.forEach(indexes => {
+      if (indexes.length < 2) {
+        return;
+      }
+
+      const { currency_code: currency, exchange_rate: rate } = entries[indexes[0]];
+      const foreignTotal = money.sum(indexes.map(index => entries[index].foreign_amount), currency);
+      const total = money.convert(foreignTotal, rate, currency, baseCurrency);
+      const largest = indexes.reduce((best, index) =>
+        money.compare(entries[index].amount, entries[best].amount, baseCurrency) > 0 ? index : best);
+      const others = money.sum(indexes.filter(index => index !== largest).map(index => entries[index].amount), baseCurrency);
+
+      balanced[largest] = { ...entries[largest], amount: money.subtract(total, others, baseCurrency) };
+    });
+
+    return balanced;
+  }
+
+  // An account kept in a foreign currency only takes entries in that currency
+  static async assertEntryCurrencies(client, entries) {
+    const accountIds = [...new Set(entries.map(entry => parseInt(entry.account_id)))];
+    const accountsResult = await client.query(
+      `SELECT id, account_code, currency_code FROM accounts WHERE id = ANY($1::integer[])`,
+      [accountIds]
+    );
+    const accountsById = new Map(accountsResult.rows.map(account => [account.id, account]));
+
+    entries.forEach((entry, index) => {
+      const account = accountsById.get(parseInt(entry.account_id));
+      if (account && account.currency_code && entry.currency_code !== account.currency_code) {
+        throw new Error(`Entry ${index + 1}: Account ${account.account_code} is kept in ${account.currency_code}. Give its amount in ${account.currency_code}`);
+      }
+    });
+  }
+
+  // ===== EXCHANGE REVALUATION =====
+
+  // The account unrealized exchange differences go to: the one given, or the account
+  // coded fx_gain_loss_account_code in company_details.json
+  static async _getGainLossAccount(db, accountId) {
+    let result = { rows: [] };
+
+    if (accountId) {
+      result = await db.query(
+        'SELECT id, account_code, account_name, account_type FROM accounts WHERE id = $1 AND is_active = true',
+        [parseInt(accountId)]
+      );
+    } else {
+      const PeriodModel = require('./periodModel');
+      const accountCode = PeriodModel._getSystemSetting('fx_gain_loss_account_code');
+      if (accountCode) {
+        result = await db.query(
+          'SELECT id, account_code, account_name, account_type FROM accounts WHERE account_code = $1 AND is_active = true',
+          [accountCode]
+        );
+      }
+    }
+
+    if (result.rows.length === 0) {
+      throw new Error('Exchange gain/loss account not found. Select an active Revenue or Expense account');
+    }
+
+    if (!['Revenue', 'Expense'].includes(result.rows[0].account_type)) {
+      throw new Error('Exchange gain/loss account must be a Revenue or Expense account');
+    }
+
+    return result.rows[0];
+  }
+
+  // First day of the accounting period after dbDate, or of the next month when no period follows it
+  static async _getNextPeriodStart(db, dbDate) {
+    const result = await db.query(
+      `SELECT TO_CHAR(start_date, 'YYYY-MM-DD') as start_date
+       FROM accounting_periods WHERE start_date > $1 ORDER BY start_date LIMIT 1`,
+      [dbDate]
+    );
+
+    if (result.rows.length > 0) {
+      return result.rows[0].start_date;
+    }
+
+    const [year, month] = dbDate.split('-').map(Number);
+    return month === 12 ? `${year + 1}-01-01` : `${year}-${String(month + 1).padStart(2, '0')}-01`;
+  }
+
+  // Restates every foreign currency balance at the latest rate on or before date (dd/mm/yyyy).
+  // Balances are taken per account and, on control accounts, per customer or vendor; the
+  // difference between the restated and the booked base amount is an unrealized gain or loss.
+  // Runs on the given client so posting reuses the exact figures it previews.
+  static async _buildRevaluation(db, date, gainLossAccountId) {
+    const dbDate = date && DATE_PATTERN.test(String(date)) ? AccountingModel.convertToYYYYMMDD(date) : null;
+    if (!dbDate) {
+      throw new Error('Revaluation date is required in dd/mm/yyyy format');
+    }
+
+    const baseCurrency = this.getBaseCurrency();
+    const gainLossAccount = await this._getGainLossAccount(db, gainLossAccountId);
+
+    const balancesResult = await db.query(`
+      SELECT
+        a.id as account_id,
+        a.account_code,
+        a.account_name,
+        a.normal_balance,
+        a.currency_code,
+        je.customer_id,
+        c.name as customer_name,
+        je.vendor_id,
+        v.name as vendor_name,
+        COALESCE(SUM(CASE WHEN je.entry_type = a.normal_balance THEN je.foreign_amount ELSE -je.foreign_amount END), 0) as foreign_balance,
+        COALESCE(SUM(CASE WHEN je.entry_type = a.normal_balance THEN je.amount ELSE -je.amount END), 0) as book_balance
+      FROM accounts a
+      JOIN journal_entries je ON je.account_id = a.id
+      JOIN transactions t ON je.transaction_id = t.id
+      LEFT JOIN customers c ON je.customer_id = c.id
+      LEFT JOIN vendors v ON je.vendor_id = v.id
+      WHERE a.currency_code IS NOT NULL AND a.is_active = true
+      AND t.transaction_date <= $1
+      GROUP BY a.id, a.account_code, a.account_name, a.normal_balance, a.currency_code, je.customer_id, c.name, je.vendor_id, v.name
+      ORDER BY a.account_code, c.name, v.name
+    `, [dbDate]);
+
+    const rates = new Map();
+    const missingRates = new Set();
+    const lines = [];
+
+    for (const row of balancesResult.rows) {
+      if (!rates.has(row.currency_code)) {
+        rates.set(row.currency_code, await this.getRate(db, row.currency_code, dbDate));
+      }
+
+      const rate = rates.get(row.currency_code);
+      const foreignBalance = money.round(row.foreign_balance, row.currency_code);
+      const bookBalance = money.round(row.book_balance);
+
+      if (!rate) {
+        if (!money.isZero(foreignBalance, row.currency_code) || !money.isZero(bookBalance)) {
+          missingRates.add(row.currency_code);
+        }
+        continue;
+      }
+
+      const revaluedBalance = money.convert(foreignBalance, rate.rate, row.currency_code, baseCurrency);
+      const adjustment = money.subtract(revaluedBalance, bookBalance);
+      if (money.isZero(adjustment)) {
+        continue;
+      }
+
+      const opposite = row.normal_balance === 'Debit' ? 'Credit' : 'Debit';
+      const entryType = adjustment > 0 ? row.normal_balance : opposite;
+
+      lines.push({
+        account_id: row.account_id,
+        account_code: row.account_code,
+        account_name: row.account_name,
+        currency_code: row.currency_code,
+        customer_id: row.customer_id,
+        vendor_id: row.vendor_id,
+        party_name: row.customer_name || row.vendor_name || null,
+        foreign_balance: foreignBalance,
+        rate: rate.rate,
+        rate_date: rate.rate_date,
+        book_balance: bookBalance,
+        revalued_balance: revaluedBalance,
+        adjustment: adjustment,
+        entry_type: entryType,
+        // Debiting an asset or a liability is a gain, crediting either a loss
+        gain_loss: entryType === 'Debit' ? money.abs(adjustment) : money.negate(money.abs(adjustment))
+      });
+    }
+
+    const gains = lines.filter(line => line.gain_loss > 0).map(line => line.gain_loss);
+    const losses = lines.filter(line => line.gain_loss < 0).map(line => money.abs(line.gain_loss));
+    const netGainLoss = money.subtract(money.sum(gains), money.sum(losses));
+
+    const entries = lines.map(line => ({
+      account_id: line.account_id,
+      amount: money.abs(line.adjustment),
+      entry_type: line.entry_type,
+      customer_id: line.customer_id,
+      vendor_id: line.vendor_id,
+      currency_code: line.currency_code,
+      exchange_rate: line.rate,
+      revaluation: true
+    }));
+
+    if (!money.isZero(netGainLoss)) {
+      entries.push({
+        account_id: gainLossAccount.id,
+        amount: money.abs(netGainLoss),
+        entry_type: netGainLoss > 0 ? 'Credit' : 'Debit'
+      });
+    }
+
+    const reversalDbDate = await this._getNextPeriodStart(db, dbDate);
+
+    return {
+      revaluation_date: AccountingModel.convertToDDMMYYYY(dbDate),
+      revaluation_db_date: dbDate,
+      base_currency: baseCurrency,
+      gain_loss_account: gainLossAccount,
+      lines: lines,
+      entries: entries,
+      total_gains: money.sum(gains),
+      total_losses: money.sum(losses),
+      net_gain_loss: netGainLoss,
+      missing_rates: [...missingRates].sort(),
+      reversal_date: AccountingModel.convertToDDMMYYYY(reversalDbDate)
+    };
+  }
+
+  static async previewRevaluation(date, gainLossAccountId) {
+    try {
+      const preview = await this._buildRevaluation({ query }, date, gainLossAccountId);
+      const { revaluation_db_date, ...result } = preview;
+      return result;
+    } catch (error) {
+      console.error('Preview exchange revaluation error:', error);
+      throw error;
+    }
+  }
+
+  // Posts the revaluation as one adjusting transaction dated on the revaluation date and,
+  // with autoReverse, reverses it on the first day of the next period so the next period
+  // starts again from the booked amounts. Currencies without a rate are left out.
+  static async postRevaluation(options = {}) {
+    const { date, gainLossAccountId, autoReverse = false } = options;
+
+    try {
+      const result = await transaction(async (client) => {
+        // Serialise concurrent runs; a second run then finds the balances already restated
+        await client.query('SELECT id FROM accounts WHERE currency_code IS NOT NULL FOR UPDATE');
+
+        const revaluation = await this._buildRevaluation(client, date, gainLossAccountId);
+
+        if (revaluation.lines.length === 0) {
+          throw new Error(revaluation.missing_rates.length > 0
+            ? `No exchange rate on or before ${revaluation.revaluation_date} for ${revaluation.missing_rates.join(', ')}. Add the rates first`
+            : `Foreign currency balances are already stated at the rates of ${revaluation.revaluation_date}`);
+        }
+
+        const posted = await AccountingModel.createTransaction({
+          date: revaluation.revaluation_date,
+          description: `Unrealized exchange revaluation at ${revaluation.revaluation_date}`,
+          reference: `FXR-${revaluation.revaluation_db_date.replace(/-/g, '')}`,
+          is_adjusting: true,
+          entries: revaluation.entries
+        }, { client, source: 'fx_revaluation' });
+
+        let reversal = null;
+        if (autoReverse) {
+          reversal = await AccountingModel.reverseTransaction(posted.transactionId, {
+            reason: `Automatic reversal of the exchange revaluation at ${revaluation.revaluation_date}`,
+            date: revaluation.reversal_date
+          }, { client });
+        }
+
+        const netText = `net ${revaluation.net_gain_loss >= 0 ? 'gain' : 'loss'} of ${money.toFixed(money.abs(revaluation.net_gain_loss))} ${revaluation.base_currency}`;
+        const reversalText = reversal ? `, reversed on ${reversal.reversal_date} by TID-${reversal.reversalTransactionNumber}` : '';
+        const skippedText = revaluation.missing_rates.length > 0 ? `. ${revaluation.missing_rates.join(', ')} skipped: no rate` : '';
+
+        return {
+          message: `Exchange revaluation posted as TID-${posted.transactionNumber} (${netText})${reversalText}${skippedText}`,
+          transactionId: posted.transactionId,
+          transactionNumber: posted.transactionNumber,
+          voucherNumber: posted.voucherNumber,
+          revaluation_date: revaluation.revaluation_date,
+          balances_revalued: revaluation.lines.length,
+          net_gain_loss: revaluation.net_gain_loss,
+          missing_rates: revaluation.missing_rates,
+          reversal: reversal ? {
+            transactionId: reversal.reversalTransactionId,
+            transactionNumber: reversal.reversalTransactionNumber,
+            reversal_date: reversal.reversal_date
+          } : null
+        };
+      });
+
+      return result;
+    } catch (error) {
+      console.error('Post exchange revaluation error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CurrencyModel;
@@ -0,0 +1,62 @@
+jest.mock('../database/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const CurrencyModel = require('./currencyModel');
+const money = require('../utils/money');
+
+const side = (entries, entryType) => money.sum(entries.filter(entry => entry.entry_type === entryType).map(entry => entry.amount));
+
+describe('CurrencyModel.convertEntries', () => {
+  beforeEach(() => {
+    jest.spyOn(CurrencyModel, 'getBaseCurrency').mockReturnValue('PKR');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const usd = (entryType, foreignAmount, rate = '278.455') => ({
+    account_id: 1, entry_type: entryType, currency_code: 'USD', foreign_amount: foreignAmount, exchange_rate: rate
+  });
+
+  test('keeps an entry that balances in the foreign currency balanced once converted', async () => {
+    // One by one, each 33.33 converts to 9280.91 and the debits come to 27842.73 against 27842.72
+    const entries = await CurrencyModel.convertEntries(null, [
+      usd('Debit', '33.33'), usd('Debit', '33.33'), usd('Debit', '33.33'), usd('Credit', '99.99')
+    ], '2026-01-15');
+
+    expect(side(entries, 'Debit')).toBe(27842.72);
+    expect(side(entries, 'Credit')).toBe(27842.72);
+    expect(entries.map(entry => entry.amount)).toEqual([9280.9, 9280.91, 9280.91, 27842.72]);
+  });
+
+  test('gives the rounding remainder to the largest line of a side', async () => {
+    const entries = await CurrencyModel.convertEntries(null, [
+      usd('Debit', '0.03', '0.5'), usd('Debit', '10.01', '0.5'), usd('Credit', '10.04', '0.5')
+    ], '2026-01-15');
+
+    // 0.015 and 5.005 round up to 0.02 and 5.01, but 10.04 x 0.5 is 5.02
+    expect(entries.map(entry => entry.amount)).toEqual([0.02, 5, 5.02]);
+  });
+
+  test('converts single foreign lines and leaves base currency lines alone', async () => {
+    const entries = await CurrencyModel.convertEntries(null, [
+      usd('Debit', '100', '278.45'),
+      { account_id: 2, entry_type: 'Credit', amount: '27845.00' }
+    ], '2026-01-15');
+
+    expect(entries[0]).toMatchObject({ currency_code: 'USD', foreign_amount: 100, exchange_rate: '278.45', amount: 27845 });
+    expect(entries[1]).toMatchObject({ amount: '27845.00', currency_code: null, foreign_amount: null });
+  });
+
+  test('does not mix lines of different rates on one side', async () => {
+    const entries = await CurrencyModel.convertEntries(null, [
+      usd('Debit', '33.33'), usd('Debit', '33.33', '278.45'), usd('Credit', '66.66')
+    ], '2026-01-15');
+
+    expect(entries[0].amount).toBe(9280.91);
+    expect(entries[1].amount).toBe(9280.74);
+  });
+});
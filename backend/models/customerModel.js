@@ -0,0 +1,326 @@
+// backend/models/customerModel.js - Customers and the accounts receivable sub-ledger
+const { query } = require('../database/db');
+const AccountingModel = require('./accountingModel');
+const money = require('../utils/money');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class CustomerModel {
+  static _formatCustomer(row, balance = 0) {
+    const creditLimit = money.round(row.credit_limit);
+
+    return {
+      id: row.id,
+      name: row.name,
+      contact_person: row.contact_person,
+      email: row.email,
+      phone: row.phone,
+      address: row.address,
+      tax_number: row.tax_number,
+      credit_limit: creditLimit,
+      payment_terms_days: row.payment_terms_days,
+      is_active: row.is_active,
+      balance: balance,
+      // A credit limit of 0 means no limit
+      available_credit: money.isZero(creditLimit) ? null : money.subtract(creditLimit, balance),
+      over_credit_limit: !money.isZero(creditLimit) && money.compare(balance, creditLimit) > 0,
+      created_at_formatted: AccountingModel.formatDateToPakistan(row.created_at),
+      updated_at_formatted: AccountingModel.formatDateToPakistan(row.updated_at)
+    };
+  }
+
+  static validateCustomerData(customerData) {
+    const { name, email, credit_limit, payment_terms_days } = customerData;
+
+    if (!name || String(name).trim() === '') {
+      throw new Error('Customer name is required');
+    }
+
+    if (String(name).trim().length > 100) {
+      throw new Error('Customer name must be less than 100 characters');
+    }
+
+    if (email && !EMAIL_PATTERN.test(String(email).trim())) {
+      throw new Error('Invalid email address');
+    }
+
+    if (credit_limit !== undefined && credit_limit !== null && credit_limit !== '') {
+      let limit = NaN;
+      try {
+        limit = money.toMinor(credit_limit, undefined, { strict: true });
+      } catch (error) {
+        // Reported below
+      }
+      if (isNaN(limit) || limit < 0) {
+        throw new Error('Credit limit must be zero or a positive amount');
+      }
+    }
+
+    if (payment_terms_days !== undefined && payment_terms_days !== null && payment_terms_days !== '') {
+      const days = Number(payment_terms_days);
+      if (!Number.isInteger(days) || days < 0 || days > 365) {
+        throw new Error('Payment terms must be a whole number of days between 0 and 365');
+      }
+    }
+
+    return true;
+  }
+
+  static _customerValues(customerData) {
+    const clean = (value) => (value && String(value).trim()) || null;
+
+    return [
+      String(customerData.name).trim(),
+      clean(customerData.contact_person),
+      clean(customerData.email),
+      clean(customerData.phone),
+      clean(customerData.address),
+      clean(customerData.tax_number),
+      money.toFixed(customerData.credit_limit || 0),
+      customerData.payment_terms_days !== undefined && customerData.payment_terms_days !== null && customerData.payment_terms_days !== ''
+        ? Number(customerData.payment_terms_days)
+        : 30
+    ];
+  }
+
+  // Receivable balance of each customer, keyed by customer id
+  static async _getBalances(dbAsOf = null) {
+    const balances = await AccountingModel.getSubledgerBalances('receivable', dbAsOf);
+    return new Map(balances.map(row => [row.party_id, row.balance]));
+  }
+
+  static async getAllCustomers(includeInactive = false) {
+    try {
+      const result = await query(`
+        SELECT * FROM customers
+        ${includeInactive ? '' : 'WHERE is_active = true'}
+        ORDER BY name
+      `);
+
+      const balances = await this._getBalances();
+
+      return result.rows.map(row => this._formatCustomer(row, balances.get(row.id) || 0));
+    } catch (error) {
+      console.error('Get customers error:', error);
+      throw error;
+    }
+  }
+
+  static async getCustomerById(customerId) {
+    try {
+      const result = await query(`SELECT * FROM customers WHERE id = $1`, [customerId]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Customer not found');
+      }
+
+      const balances = await this._getBalances();
+
+      return this._formatCustomer(result.rows[0], balances.get(result.rows[0].id) || 0);
+    } catch (error) {
+      console.error('Get customer error:', error);
+      throw error;
+    }
+  }
+
+  static async createCustomer(customerData) {
+    this.validateCustomerData(customerData);
+
+    try {
+      const result = await query(
+        `INSERT INTO customers (name, contact_person, email, phone, address, tax_number, credit_limit, payment_terms_days)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        this._customerValues(customerData)
+      );
+
+      return this._formatCustomer(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(`Customer "${String(customerData.name).trim()}" already exists`);
+      }
+      console.error('Create customer error:', error);
+      throw error;
+    }
+  }
+
+  static async updateCustomer(customerId, customerData) {
+    this.validateCustomerData(customerData);
+
+    try {
+      const result = await query(
+        `UPDATE customers
+         SET name = $1, contact_person = $2, email = $3, phone = $4, address = $5, tax_number = $6,
+             credit_limit = $7, payment_terms_days = $8
+         WHERE id = $9 AND is_active = true
+         RETURNING *`,
+        [...this._customerValues(customerData), customerId]
+      );
+
+      if (result.rowCount === 0) {
+        throw new Error('Customer not found or inactive');
+      }
+
+      const balances = await this._getBalances();
+
+      return this._formatCustomer(result.rows[0], balances.get(result.rows[0].id) || 0);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(`Customer "${String(customerData.name).trim()}" already exists`);
+      }
+      console.error('Update customer error:', error);
+      throw error;
+    }
+  }
+
+  // Customers are deactivated rather than deleted, and only once they owe nothing
+  static async deactivateCustomer(customerId) {
+    try {
+      const balances = await this._getBalances();
+      const balance = balances.get(parseInt(customerId)) || 0;
+
+      if (!money.isZero(balance)) {
+        throw new Error(`Cannot deactivate a customer with an outstanding balance of ${money.toFixed(balance)}`);
+      }
+
+      const result = await query(
+        `UPDATE customers SET is_active = false WHERE id = $1 AND is_active = true RETURNING *`,
+        [customerId]
+      );
+
+      if (result.rowCount === 0) {
+        throw new Error('Customer not found or already inactive');
+      }
+
+      return this._formatCustomer(result.rows[0]);
+    } catch (error) {
+      console.error('Deactivate customer error:', error);
+      throw error;
+    }
+  }
+
+  // Statement of account: opening balance, every receivable entry of the customer in
+  // the period with a running balance, and the closing balance
+  static async getCustomerStatement(customerId, startDate, endDate) {
+    const dbStartDate = AccountingModel.convertToYYYYMMDD(startDate);
+    const dbEndDate = AccountingModel.convertToYYYYMMDD(endDate);
+
+    if (!dbStartDate || !dbEndDate) {
+      throw new Error('Invalid date format. Use dd/mm/yyyy');
+    }
+
+    if (dbStartDate > dbEndDate) {
+      throw new Error('Start date must be on or before end date');
+    }
+
+    try {
+      const customer = await this.getCustomerById(customerId);
+
+      const openingResult = await query(
+        `SELECT COALESCE(SUM(CASE WHEN je.entry_type = a.normal_balance THEN je.amount ELSE -je.amount END), 0) as opening_balance
+         FROM journal_entries je
+         JOIN accounts a ON je.account_id = a.id
+         JOIN transactions t ON je.transaction_id = t.id
+         WHERE je.customer_id = $1
+         AND a.control_type = 'receivable'
+         AND t.transaction_date < $2`,
+        [customerId, dbStartDate]
+      );
+
+      const openingBalance = money.round(openingResult.rows[0].opening_balance);
+
+      const entriesResult = await query(
+        `SELECT
+          t.id as transaction_id,
+          t.transaction_number,
+          t.voucher_number,
+          TO_CHAR(t.transaction_date, 'YYYY-MM-DD') as transaction_date,
+          t.description,
+          t.reference,
+          t.status,
+          a.account_code,
+          a.normal_balance,
+          je.amount,
+          je.entry_type
+        FROM journal_entries je
+        JOIN accounts a ON je.account_id = a.id
+        JOIN transactions t ON je.transaction_id = t.id
+        WHERE je.customer_id = $1
+        AND a.control_type = 'receivable'
+        AND t.transaction_date BETWEEN $2 AND $3
+        ORDER BY t.transaction_date, t.id, je.id`,
+        [customerId, dbStartDate, dbEndDate]
+      );
+
+      let runningBalance = openingBalance;
+
+      const lines = entriesResult.rows.map(row => {
+        const amount = money.round(row.amount);
+        const isCharge = row.entry_type === row.normal_balance;
+        runningBalance = money.add(runningBalance, isCharge ? amount : money.negate(amount));
+
+        return {
+          transaction_id: row.transaction_id,
+          transaction_number: row.transaction_number,
+          voucher_number: row.voucher_number,
+          date: row.transaction_date,
+          date_formatted: AccountingModel.convertToDDMMYYYY(row.transaction_date),
+          description: row.description,
+          reference: row.reference || '',
+          status: row.status,
+          account_code: row.account_code,
+          entry_type: row.entry_type,
+          charges: isCharge ? amount : 0,
+          payments: isCharge ? 0 : amount,
+          running_balance: runningBalance
+        };
+      });
+
+      return {
+        customer: customer,
+        period: {
+          startDate: startDate,
+          endDate: endDate
+        },
+        openingBalance: openingBalance,
+        closingBalance: runningBalance,
+        totalCharges: money.sumBy(lines, 'charges'),
+        totalPayments: money.sumBy(lines, 'payments'),
+        lines: lines
+      };
+    } catch (error) {
+      console.error('Get customer statement error:', error);
+      throw error;
+    }
+  }
+
+  // Accounts receivable sub-ledger: the balance of every customer as of a date, tied out
+  // to the receivable control accounts on the balance sheet
+  static async getReceivablesSubledger(asOf = null) {
+    try {
+      const dbAsOf = AccountingModel.parseAsOfDate(asOf);
+
+      const customersResult = await query(`SELECT * FROM customers ORDER BY name`);
+      const balances = await this._getBalances(dbAsOf);
+
+      const customers = customersResult.rows
+        .map(row => this._formatCustomer(row, balances.get(row.id) || 0))
+        .filter(customer => customer.is_active || !money.isZero(customer.balance));
+
+      const reconciliation = await AccountingModel.getSubledgerReconciliation('receivable', dbAsOf);
+
+      return {
+        customers: customers,
+        totalReceivable: money.sumBy(customers, 'balance'),
+        unassignedBalance: reconciliation.unassignedBalance,
+        reconciliation: reconciliation,
+        asOf: asOf || null
+      };
+    } catch (error) {
+      console.error('Get receivables sub-ledger error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CustomerModel;
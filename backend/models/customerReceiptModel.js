@@ -0,0 +1,542 @@
+// backend/models/customerReceiptModel.js - Customer receipts allocated against open receivable transactions
+const { query, transaction } = require('../database/db');
+const AccountingModel = require('./accountingModel');
+const money = require('../utils/money');
+
+// Receipts are numbered by the voucher number of their posting in this series
+const CUSTOMER_RECEIPT_SERIES = 'CR';
+const DATE_PATTERN = /^\d{1,2}\/\d{1,2}\/\d{4}$/;
+
+// Allocations that currently settle a charge: the receipt and the charged transaction
+// are both still posted. Voiding either side releases the allocation without deleting it.
+const ACTIVE_ALLOCATIONS = `
+  SELECT ra.receipt_id, ra.transaction_id, cr.customer_id, cr.receivable_account_id as account_id, ra.amount
+  FROM customer_receipt_allocations ra
+  JOIN customer_receipts cr ON ra.receipt_id = cr.id
+  JOIN transactions rt ON cr.transaction_id = rt.id
+  JOIN transactions ct ON ra.transaction_id = ct.id
+  WHERE cr.status = 'posted' AND rt.status = 'posted' AND ct.status = 'posted'
+`;
+
+class CustomerReceiptModel {
+  static getActiveAllocationsQuery() {
+    return ACTIVE_ALLOCATIONS;
+  }
+
+  // What each posted transaction charged a customer on a receivable control account: the
+  // net debit of its lines for that customer and account. Receipts, and reversal entries,
+  // which only ever reduce what is owed, are not charges.
+  static _chargesQuery(whereClause) {
+    return `
+      SELECT
+        je.transaction_id,
+        je.account_id,
+        je.customer_id,
+        SUM(CASE WHEN je.entry_type = 'Debit' THEN je.amount ELSE -je.amount END) as charge_amount,
+        MIN(je.due_date) as due_date
+      FROM journal_entries je
+      JOIN transactions t ON je.transaction_id = t.id
+      JOIN accounts a ON je.account_id = a.id
+      WHERE a.control_type = 'receivable'
+      AND t.status = 'posted'
+      AND t.reversal_of IS NULL
+      AND t.source <> 'customer_receipt'
+      ${whereClause}
+      GROUP BY je.transaction_id, je.account_id, je.customer_id
+      HAVING SUM(CASE WHEN je.entry_type = 'Debit' THEN je.amount ELSE -je.amount END) > 0
+    `;
+  }
+
+  static _formatReceipt(row, allocations = undefined) {
+    // A receipt whose posting was voided from Transaction History is void as well
+    const status = row.status === 'posted' && row.transaction_status && row.transaction_status !== 'posted'
+      ? 'voided'
+      : row.status;
+
+    const allocatedAmount = status === 'posted' ? money.round(row.allocated_amount) : 0;
+
+    return {
+      id: row.id,
+      receipt_number: row.receipt_number,
+      customer_id: row.customer_id,
+      customer_name: row.customer_name,
+      receipt_date: AccountingModel.convertToDDMMYYYY(row.receipt_date),
+      deposit_account_id: row.deposit_account_id,
+      deposit_account_code: row.deposit_account_code,
+      deposit_account_name: row.deposit_account_name,
+      receivable_account_id: row.receivable_account_id,
+      amount: money.round(row.amount),
+      allocated_amount: allocatedAmount,
+      // Overpayments and payments on account stay with the customer as unapplied credit
+      unapplied_amount: status === 'posted' ? money.subtract(row.amount, allocatedAmount) : 0,
+      reference: row.reference || '',
+      notes: row.notes || '',
+      status: status,
+      transaction_id: row.transaction_id,
+      transaction_number: row.transaction_number,
+      created_at_formatted: AccountingModel.formatDateToPakistan(row.created_at),
+      updated_at_formatted: AccountingModel.formatDateToPakistan(row.updated_at),
+      allocations: allocations
+    };
+  }
+
+  static _receiptSelect(whereClause) {
+    return `
+      SELECT
+        cr.*,
+        TO_CHAR(cr.receipt_date, 'YYYY-MM-DD') as receipt_date,
+        c.name as customer_name,
+        a.account_code as deposit_account_code,
+        a.account_name as deposit_account_name,
+        t.transaction_number,
+        t.status as transaction_status,
+        COALESCE(allocated.allocated_amount, 0) as allocated_amount
+      FROM customer_receipts cr
+      JOIN customers c ON cr.customer_id = c.id
+      JOIN accounts a ON cr.deposit_account_id = a.id
+      LEFT JOIN transactions t ON cr.transaction_id = t.id
+      LEFT JOIN (
+        SELECT receipt_id, SUM(amount) as allocated_amount
+        FROM (${ACTIVE_ALLOCATIONS}) active
+        GROUP BY receipt_id
+      ) allocated ON allocated.receipt_id = cr.id
+      ${whereClause}
+    `;
+  }
+
+  // Validates [{ transaction_id, amount }] and returns it with amounts in exact form
+  static _validateAllocations(allocations) {
+    if (allocations === undefined || allocations === null) {
+      return [];
+    }
+
+    if (!Array.isArray(allocations)) {
+      throw new Error('Allocations must be a list of { transaction_id, amount }');
+    }
+
+    const seen = new Set();
+    return allocations.map((allocation, index) => {
+      const label = `Allocation ${index + 1}`;
+      const transactionId = parseInt(allocation.transaction_id);
+
+      if (!allocation.transaction_id || isNaN(transactionId)) {
+        throw new Error(`${label}: Transaction is required`);
+      }
+
+      if (seen.has(transactionId)) {
+        throw new Error(`${label}: Transaction is allocated more than once`);
+      }
+      seen.add(transactionId);
+
+      let amount = NaN;
+      try {
+        amount = money.toMinor(allocation.amount, undefined, { strict: true });
+      } catch (error) {
+        // Reported below
+      }
+      if (isNaN(amount) || amount <= 0) {
+        throw new Error(`${label}: Amount must be a positive amount with up to 2 decimal places`);
+      }
+
+      return { transaction_id: transactionId, amount: money.round(allocation.amount) };
+    });
+  }
+
+  static validateReceiptData(receiptData) {
+    const { customer_id, receipt_date, deposit_account_id, amount, reference } = receiptData;
+
+    if (!customer_id || isNaN(parseInt(customer_id))) {
+      throw new Error('Customer is required');
+    }
+
+    if (!receipt_date || !DATE_PATTERN.test(String(receipt_date))) {
+      throw new Error('Receipt date is required in dd/mm/yyyy format');
+    }
+
+    if (!deposit_account_id || isNaN(parseInt(deposit_account_id))) {
+      throw new Error('Cash or bank account is required');
+    }
+
+    let amountMinor = NaN;
+    try {
+      amountMinor = money.toMinor(amount, undefined, { strict: true });
+    } catch (error) {
+      // Reported below
+    }
+    if (isNaN(amountMinor) || amountMinor <= 0) {
+      throw new Error('Receipt amount must be a positive amount with up to 2 decimal places');
+    }
+
+    if (reference && String(reference).length > 50) {
+      throw new Error('Reference must be less than 50 characters');
+    }
+
+    const allocations = this._validateAllocations(receiptData.allocations);
+    if (money.compare(money.sumBy(allocations, 'amount'), amount) > 0) {
+      throw new Error('Allocations cannot exceed the receipt amount');
+    }
+
+    return {
+      dbReceiptDate: AccountingModel.convertToYYYYMMDD(String(receipt_date)),
+      amount: money.round(amount),
+      allocations
+    };
+  }
+
+  // Open receivable transactions of a customer, oldest due first, with what is still owed
+  // on each. accountId limits them to one receivable control account.
+  static async getOpenItems(customerId, accountId = null, client = null) {
+    try {
+      const db = client || { query };
+      const params = [customerId];
+      let accountCondition = '';
+      if (accountId) {
+        params.push(accountId);
+        accountCondition = `AND je.account_id = $${params.length}`;
+      }
+
+      const result = await db.query(
+        `SELECT
+           ch.transaction_id,
+           ch.account_id,
+           ch.charge_amount,
+           COALESCE(allocated.allocated_amount, 0) as allocated_amount,
+           TO_CHAR(t.transaction_date, 'YYYY-MM-DD') as transaction_date,
+           TO_CHAR(COALESCE(ch.due_date, t.transaction_date), 'YYYY-MM-DD') as due_date,
+           t.transaction_number,
+           t.voucher_number,
+           t.description,
+           t.reference,
+           si.invoice_number
+         FROM (${this._chargesQuery(`AND je.customer_id = $1 ${accountCondition}`)}) ch
+         JOIN transactions t ON ch.transaction_id = t.id
+         LEFT JOIN sales_invoices si ON si.transaction_id = t.id
+         LEFT JOIN (
+           SELECT transaction_id, account_id, customer_id, SUM(amount) as allocated_amount
+           FROM (${ACTIVE_ALLOCATIONS}) active
+           GROUP BY transaction_id, account_id, customer_id
+         ) allocated ON allocated.transaction_id = ch.transaction_id
+           AND allocated.account_id = ch.account_id
+           AND allocated.customer_id = ch.customer_id
+         WHERE ch.charge_amount > COALESCE(allocated.allocated_amount, 0)
+         ORDER BY COALESCE(ch.due_date, t.transaction_date), t.transaction_number`,
+        params
+      );
+
+      return result.rows.map(row => ({
+        transaction_id: row.transaction_id,
+        transaction_number: row.transaction_number,
+        voucher_number: row.voucher_number,
+        invoice_number: row.invoice_number,
+        account_id: row.account_id,
+        date: AccountingModel.convertToDDMMYYYY(row.transaction_date),
+        due_date: AccountingModel.convertToDDMMYYYY(row.due_date),
+        description: row.description,
+        reference: row.reference || '',
+        charge_amount: money.round(row.charge_amount),
+        allocated_amount: money.round(row.allocated_amount),
+        open_amount: money.subtract(row.charge_amount, row.allocated_amount)
+      }));
+    } catch (error) {
+      console.error('Get open receivable items error:', error);
+      throw error;
+    }
+  }
+
+  // Applies allocations to open charges of the receipt's customer and receivable account.
+  // Charged transactions are locked so two receipts cannot settle the same amount twice.
+  static async _applyAllocations(client, receipt, allocations, unappliedAmount) {
+    if (allocations.length === 0) {
+      return;
+    }
+
+    if (money.compare(money.sumBy(allocations, 'amount'), unappliedAmount) > 0) {
+      throw new Error(`Allocations exceed the unapplied amount of ${money.toFixed(unappliedAmount)} on this receipt`);
+    }
+
+    const transactionIds = allocations.map(allocation => allocation.transaction_id);
+    await client.query(
+      `SELECT id FROM transactions WHERE id = ANY($1::integer[]) ORDER BY id FOR UPDATE`,
+      [transactionIds]
+    );
+
+    const openItems = await this.getOpenItems(receipt.customer_id, receipt.receivable_account_id, client);
+    const openByTransaction = new Map(openItems.map(item => [item.transaction_id, item]));
+
+    for (const allocation of allocations) {
+      const item = openByTransaction.get(allocation.transaction_id);
+
+      if (!item) {
+        const numberResult = await client.query(
+          `SELECT transaction_number FROM transactions WHERE id = $1`,
+          [allocation.transaction_id]
+        );
+        const label = numberResult.rows.length > 0 ? `TID-${numberResult.rows[0].transaction_number}` : `#${allocation.transaction_id}`;
+        throw new Error(`Transaction ${label} has nothing open for this customer on the receipt's receivable account`);
+      }
+
+      if (money.compare(allocation.amount, item.open_amount) > 0) {
+        throw new Error(`Allocation to TID-${item.transaction_number} exceeds its open amount of ${money.toFixed(item.open_amount)}`);
+      }
+
+      await client.query(
+        `INSERT INTO customer_receipt_allocations (receipt_id, transaction_id, amount)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (receipt_id, transaction_id) DO UPDATE SET amount = customer_receipt_allocations.amount + EXCLUDED.amount`,
+        [receipt.id, allocation.transaction_id, money.toFixed(allocation.amount)]
+      );
+    }
+  }
+
+  // filters: status, customerId, unappliedOnly (posted receipts with credit left to apply)
+  static async getAllReceipts(filters = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (filters.status) {
+        params.push(filters.status);
+        conditions.push(`cr.status = $${params.length}`);
+      }
+
+      if (filters.customerId) {
+        params.push(filters.customerId);
+        conditions.push(`cr.customer_id = $${params.length}`);
+      }
+
+      if (filters.unappliedOnly) {
+        conditions.push(`cr.status = 'posted' AND t.status = 'posted' AND cr.amount > COALESCE(allocated.allocated_amount, 0)`);
+      }
+
+      const result = await query(
+        `${this._receiptSelect(conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '')}
+         ORDER BY cr.receipt_date DESC, cr.id DESC`,
+        params
+      );
+
+      return result.rows.map(row => this._formatReceipt(row));
+    } catch (error) {
+      console.error('Get customer receipts error:', error);
+      throw error;
+    }
+  }
+
+  static async getReceiptById(receiptId) {
+    try {
+      const result = await query(this._receiptSelect('WHERE cr.id = $1'), [receiptId]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Customer receipt not found');
+      }
+
+      const allocationsResult = await query(
+        `SELECT t.id as transaction_id, t.transaction_number, t.voucher_number, t.description,
+                TO_CHAR(t.transaction_date, 'YYYY-MM-DD') as transaction_date, si.invoice_number, active.amount
+         FROM (${ACTIVE_ALLOCATIONS}) active
+         JOIN transactions t ON active.transaction_id = t.id
+         LEFT JOIN sales_invoices si ON si.transaction_id = t.id
+         WHERE active.receipt_id = $1
+         ORDER BY t.transaction_date, t.transaction_number`,
+        [receiptId]
+      );
+
+      const allocations = allocationsResult.rows.map(row => ({
+        transaction_id: row.transaction_id,
+        transaction_number: row.transaction_number,
+        voucher_number: row.voucher_number,
+        invoice_number: row.invoice_number,
+        description: row.description,
+        date: AccountingModel.convertToDDMMYYYY(row.transaction_date),
+        amount: money.round(row.amount)
+      }));
+
+      return this._formatReceipt(result.rows[0], allocations);
+    } catch (error) {
+      console.error('Get customer receipt error:', error);
+      throw error;
+    }
+  }
+
+  // Posts Dr cash or bank / Cr receivable (customer) through AccountingModel.createTransaction
+  // and applies the allocations, all in one DB transaction
+  static async createReceipt(receiptData) {
+    const validated = this.validateReceiptData(receiptData);
+
+    try {
+      const receiptId = await transaction(async (client) => {
+        const customerResult = await client.query(
+          `SELECT id, name FROM customers WHERE id = $1 AND is_active = true`,
+          [receiptData.customer_id]
+        );
+
+        if (customerResult.rows.length === 0) {
+          throw new Error('Customer not found or inactive');
+        }
+
+        const customer = customerResult.rows[0];
+
+        const accountResult = await client.query(
+          `SELECT id FROM accounts WHERE id = $1 AND account_type = 'Asset' AND cash_flow_category = 'cash' AND is_active = true`,
+          [receiptData.deposit_account_id]
+        );
+
+        if (accountResult.rows.length === 0) {
+          throw new Error('Deposit account must be an active cash or bank account');
+        }
+
+        let receivableAccountId = receiptData.receivable_account_id ? parseInt(receiptData.receivable_account_id) : null;
+        const receivableResult = await client.query(
+          receivableAccountId
+            ? `SELECT id FROM accounts WHERE id = $1 AND control_type = 'receivable' AND is_active = true`
+            : `SELECT id FROM accounts WHERE control_type = 'receivable' AND is_active = true ORDER BY account_code LIMIT 1`,
+          receivableAccountId ? [receivableAccountId] : []
+        );
+
+        if (receivableResult.rows.length === 0) {
+          throw new Error(receivableAccountId
+            ? 'Receivable account must be an active Accounts Receivable control account'
+            : 'No active Accounts Receivable control account is configured');
+        }
+        receivableAccountId = receivableResult.rows[0].id;
+
+        const posted = await AccountingModel.createTransaction({
+          date: AccountingModel.convertToDDMMYYYY(validated.dbReceiptDate),
+          description: `Receipt from ${customer.name}`.substring(0, 200),
+          reference: receiptData.reference || '',
+          entries: [
+            { account_id: parseInt(receiptData.deposit_account_id), amount: money.toFixed(validated.amount), entry_type: 'Debit' },
+            { account_id: receivableAccountId, amount: money.toFixed(validated.amount), entry_type: 'Credit', customer_id: customer.id }
+          ],
+          series_code: CUSTOMER_RECEIPT_SERIES
+        }, { client, source: 'customer_receipt' });
+
+        const result = await client.query(
+          `INSERT INTO customer_receipts
+           (receipt_number, customer_id, receipt_date, deposit_account_id, receivable_account_id, amount, reference, notes, transaction_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING id, customer_id, receivable_account_id`,
+          [posted.voucherNumber, customer.id, validated.dbReceiptDate, parseInt(receiptData.deposit_account_id),
+            receivableAccountId, money.toFixed(validated.amount), receiptData.reference || null,
+            receiptData.notes || null, posted.transactionId]
+        );
+
+        await this._applyAllocations(client, result.rows[0], validated.allocations, validated.amount);
+        return result.rows[0].id;
+      });
+
+      return await this.getReceiptById(receiptId);
+    } catch (error) {
+      console.error('Create customer receipt error:', error);
+      throw error;
+    }
+  }
+
+  // Applies unapplied credit on a posted receipt to further open transactions
+  static async allocateReceipt(receiptId, allocationsData) {
+    const allocations = this._validateAllocations(allocationsData);
+
+    if (allocations.length === 0) {
+      throw new Error('At least one allocation is required');
+    }
+
+    try {
+      await transaction(async (client) => {
+        const result = await client.query(
+          `SELECT cr.id, cr.customer_id, cr.receivable_account_id, cr.amount, cr.status, t.status as transaction_status
+           FROM customer_receipts cr
+           LEFT JOIN transactions t ON cr.transaction_id = t.id
+           WHERE cr.id = $1
+           FOR UPDATE OF cr`,
+          [receiptId]
+        );
+
+        if (result.rows.length === 0) {
+          throw new Error('Customer receipt not found');
+        }
+
+        const receipt = result.rows[0];
+
+        if (receipt.status !== 'posted' || receipt.transaction_status !== 'posted') {
+          throw new Error('Only posted receipts can be allocated');
+        }
+
+        const allocatedResult = await client.query(
+          `SELECT COALESCE(SUM(amount), 0) as allocated_amount
+           FROM (${ACTIVE_ALLOCATIONS}) active
+           WHERE receipt_id = $1`,
+          [receiptId]
+        );
+
+        await this._applyAllocations(
+          client,
+          receipt,
+          allocations,
+          money.subtract(receipt.amount, allocatedResult.rows[0].allocated_amount)
+        );
+      });
+
+      return await this.getReceiptById(receiptId);
+    } catch (error) {
+      console.error('Allocate customer receipt error:', error);
+      throw error;
+    }
+  }
+
+  // Takes an allocation back; the amount returns to the receipt's unapplied credit
+  static async removeAllocation(receiptId, transactionId) {
+    try {
+      const result = await query(
+        `DELETE FROM customer_receipt_allocations WHERE receipt_id = $1 AND transaction_id = $2 RETURNING id`,
+        [receiptId, transactionId]
+      );
+
+      if (result.rowCount === 0) {
+        throw new Error('Allocation not found');
+      }
+
+      return await this.getReceiptById(receiptId);
+    } catch (error) {
+      console.error('Remove customer receipt allocation error:', error);
+      throw error;
+    }
+  }
+
+  // Voiding mirrors the posting on the receipt date; the transactions it settled are open again
+  static async voidReceipt(receiptId, reason) {
+    try {
+      await transaction(async (client) => {
+        const result = await client.query(
+          `SELECT cr.status, cr.transaction_id, t.status as transaction_status
+           FROM customer_receipts cr
+           LEFT JOIN transactions t ON cr.transaction_id = t.id
+           WHERE cr.id = $1
+           FOR UPDATE OF cr`,
+          [receiptId]
+        );
+
+        if (result.rows.length === 0) {
+          throw new Error('Customer receipt not found');
+        }
+
+        const receipt = result.rows[0];
+
+        if (receipt.status !== 'posted') {
+          throw new Error('Customer receipt is already voided');
+        }
+
+        if (receipt.transaction_status === 'posted') {
+          await AccountingModel.reverseTransaction(receipt.transaction_id, { reason, mode: 'void' }, { client });
+        }
+
+        await client.query(`UPDATE customer_receipts SET status = 'voided' WHERE id = $1`, [receiptId]);
+      });
+
+      return await this.getReceiptById(receiptId);
+    } catch (error) {
+      console.error('Void customer receipt error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CustomerReceiptModel;
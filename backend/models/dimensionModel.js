@@ -0,0 +1,304 @@
+// backend/models/dimensionModel.js - Analytical dimensions (cost centers, departments, projects)
+const { query } = require('../database/db');
+const AccountingModel = require('./accountingModel');
+
+// Each dimension is a column on journal_entries; a journal line carries at most one value of each.
+// param is the report query parameter that filters on it.
+const DIMENSION_TYPES = {
+  cost_center: { column: 'cost_center_id', label: 'Cost Center', param: 'costCenterId' },
+  department: { column: 'department_id', label: 'Department', param: 'departmentId' },
+  project: { column: 'project_id', label: 'Project', param: 'projectId' }
+};
+
+class DimensionModel {
+  static getDimensionTypes() {
+    return Object.entries(DIMENSION_TYPES).map(([type, config]) => ({
+      type: type,
+      label: config.label,
+      column: config.column,
+      param: config.param
+    }));
+  }
+
+  static _formatDimension(row) {
+    return {
+      id: row.id,
+      dimension_type: row.dimension_type,
+      dimension_label: DIMENSION_TYPES[row.dimension_type].label,
+      code: row.code,
+      name: row.name,
+      is_active: row.is_active,
+      created_at_formatted: AccountingModel.formatDateToPakistan(row.created_at),
+      updated_at_formatted: AccountingModel.formatDateToPakistan(row.updated_at)
+    };
+  }
+
+  static validateDimensionData(dimensionData, { isUpdate = false } = {}) {
+    const { dimension_type, code, name } = dimensionData;
+
+    if (!isUpdate && !DIMENSION_TYPES[dimension_type]) {
+      throw new Error(`Dimension type must be one of: ${Object.keys(DIMENSION_TYPES).join(', ')}`);
+    }
+
+    if (!code || String(code).trim() === '') {
+      throw new Error('Dimension code is required');
+    }
+
+    if (!/^[A-Za-z0-9_-]{1,20}$/.test(String(code).trim())) {
+      throw new Error('Dimension code must be 1-20 letters, digits, dashes or underscores');
+    }
+
+    if (!name || String(name).trim() === '') {
+      throw new Error('Dimension name is required');
+    }
+
+    if (String(name).trim().length > 100) {
+      throw new Error('Dimension name must be less than 100 characters');
+    }
+
+    return true;
+  }
+
+  // Values of one dimension type, or of all of them, ordered by type and code
+  static async getDimensions(dimensionType = null, includeInactive = false) {
+    if (dimensionType && !DIMENSION_TYPES[dimensionType]) {
+      throw new Error(`Dimension type must be one of: ${Object.keys(DIMENSION_TYPES).join(', ')}`);
+    }
+
+    try {
+      const result = await query(
+        `SELECT * FROM dimensions
+         WHERE ($1::varchar IS NULL OR dimension_type = $1)
+         ${includeInactive ? '' : 'AND is_active = true'}
+         ORDER BY dimension_type, code`,
+        [dimensionType]
+      );
+
+      return result.rows.map(row => this._formatDimension(row));
+    } catch (error) {
+      console.error('Get dimensions error:', error);
+      throw error;
+    }
+  }
+
+  static async getDimensionById(dimensionId) {
+    try {
+      const result = await query(`SELECT * FROM dimensions WHERE id = $1`, [dimensionId]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Dimension not found');
+      }
+
+      return this._formatDimension(result.rows[0]);
+    } catch (error) {
+      console.error('Get dimension error:', error);
+      throw error;
+    }
+  }
+
+  static async createDimension(dimensionData) {
+    this.validateDimensionData(dimensionData);
+
+    const code = String(dimensionData.code).trim().toUpperCase();
+
+    try {
+      const result = await query(
+        `INSERT INTO dimensions (dimension_type, code, name)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [dimensionData.dimension_type, code, String(dimensionData.name).trim()]
+      );
+
+      return this._formatDimension(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(`${DIMENSION_TYPES[dimensionData.dimension_type].label} ${code} already exists`);
+      }
+      console.error('Create dimension error:', error);
+      throw error;
+    }
+  }
+
+  // The type of a dimension is fixed once created; is_active: true brings back an inactive one
+  static async updateDimension(dimensionId, dimensionData) {
+    this.validateDimensionData(dimensionData, { isUpdate: true });
+
+    const code = String(dimensionData.code).trim().toUpperCase();
+
+    try {
+      const result = await query(
+        `UPDATE dimensions
+         SET code = $1, name = $2, is_active = CASE WHEN $3::boolean THEN true ELSE is_active END, updated_at = NOW()
+         WHERE id = $4
+         RETURNING *`,
+        [code, String(dimensionData.name).trim(), dimensionData.is_active === true, dimensionId]
+      );
+
+      if (result.rowCount === 0) {
+        throw new Error('Dimension not found');
+      }
+
+      return this._formatDimension(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(`A dimension with code ${code} already exists`);
+      }
+      console.error('Update dimension error:', error);
+      throw error;
+    }
+  }
+
+  // Dimensions are deactivated rather than deleted, so posted entries keep their analysis
+  static async deactivateDimension(dimensionId) {
+    try {
+      const result = await query(
+        `UPDATE dimensions SET is_active = false, updated_at = NOW() WHERE id = $1 AND is_active = true RETURNING *`,
+        [dimensionId]
+      );
+
+      if (result.rowCount === 0) {
+        throw new Error('Dimension not found or already inactive');
+      }
+
+      return this._formatDimension(result.rows[0]);
+    } catch (error) {
+      console.error('Deactivate dimension error:', error);
+      throw error;
+    }
+  }
+
+  // ===== JOURNAL ENTRY DIMENSIONS =====
+
+  // cost_center_id, department_id and project_id column values of an entry
+  static entryDimensionValues(entry) {
+    return Object.values(DIMENSION_TYPES).map(config => entry[config.column] ? parseInt(entry[config.column]) : null);
+  }
+
+  // Every dimension set on an entry must exist and be of the column's type. Reversals copy
+  // the original entries, so they may keep dimensions deactivated since.
+  static async assertEntryDimensions(client, entries, { isReversal = false } = {}) {
+    const dimensionIds = new Set();
+
+    entries.forEach((entry, index) => {
+      Object.values(DIMENSION_TYPES).forEach(config => {
+        const value = entry[config.column];
+        if (value === undefined || value === null || value === '') {
+          return;
+        }
+
+        const dimensionId = Number(value);
+        if (!Number.isInteger(dimensionId) || dimensionId <= 0) {
+          throw new Error(`Entry ${index + 1}: Invalid ${config.label.toLowerCase()}`);
+        }
+
+        dimensionIds.add(dimensionId);
+      });
+    });
+
+    if (dimensionIds.size === 0) {
+      return;
+    }
+
+    const result = await client.query(
+      `SELECT id, dimension_type, code, is_active FROM dimensions WHERE id = ANY($1::integer[])`,
+      [[...dimensionIds]]
+    );
+    const dimensionsById = new Map(result.rows.map(row => [row.id, row]));
+
+    entries.forEach((entry, index) => {
+      Object.entries(DIMENSION_TYPES).forEach(([type, config]) => {
+        if (!entry[config.column]) {
+          return;
+        }
+
+        const dimension = dimensionsById.get(parseInt(entry[config.column]));
+
+        if (!dimension || dimension.dimension_type !== type) {
+          throw new Error(`Entry ${index + 1}: ${config.label} not found`);
+        }
+
+        if (!dimension.is_active && !isReversal) {
+          throw new Error(`Entry ${index + 1}: ${config.label} ${dimension.code} is inactive`);
+        }
+      });
+    });
+  }
+
+  // ===== REPORT FILTERS =====
+
+  // Reads ?costCenterId=&departmentId=&projectId= and ?groupBy=cost_center|department|project
+  // from a report request into { filters: { cost_center: id, ... }, groupBy }
+  static parseReportOptions(reportQuery = {}) {
+    const filters = {};
+
+    Object.entries(DIMENSION_TYPES).forEach(([type, config]) => {
+      const value = reportQuery[config.param];
+      if (value === undefined || value === '') {
+        return;
+      }
+
+      const dimensionId = Number(value);
+      if (!Number.isInteger(dimensionId) || dimensionId <= 0) {
+        throw new Error(`Invalid ${config.param}`);
+      }
+
+      filters[type] = dimensionId;
+    });
+
+    const groupBy = reportQuery.groupBy || null;
+    if (groupBy && !DIMENSION_TYPES[groupBy]) {
+      throw new Error(`groupBy must be one of: ${Object.keys(DIMENSION_TYPES).join(', ')}`);
+    }
+
+    return { filters, groupBy };
+  }
+
+  // SQL conditions restricting journal entries (alias je) to the filtered dimensions, with
+  // their parameters numbered from firstParam
+  static entryFilterClause(filters = {}, firstParam = 1) {
+    const conditions = [];
+    const params = [];
+
+    Object.entries(DIMENSION_TYPES).forEach(([type, config]) => {
+      if (filters[type]) {
+        params.push(filters[type]);
+        conditions.push(`AND je.${config.column} = $${firstParam + params.length - 1}`);
+      }
+    });
+
+    return { sql: conditions.join(' '), params };
+  }
+
+  // Journal entry column of a dimension type (types come from DIMENSION_TYPES only)
+  static columnOf(dimensionType) {
+    if (!DIMENSION_TYPES[dimensionType]) {
+      throw new Error(`Dimension type must be one of: ${Object.keys(DIMENSION_TYPES).join(', ')}`);
+    }
+
+    return DIMENSION_TYPES[dimensionType].column;
+  }
+
+  static labelOf(dimensionType) {
+    return DIMENSION_TYPES[dimensionType].label;
+  }
+
+  // Dimensions named by a report's filters, for echoing back what it was restricted to
+  static async describeFilters(filters = {}) {
+    const ids = Object.values(filters);
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const result = await query(`SELECT * FROM dimensions WHERE id = ANY($1::integer[])`, [ids]);
+
+    return Object.entries(filters).map(([type, dimensionId]) => {
+      const row = result.rows.find(dimension => dimension.id === dimensionId && dimension.dimension_type === type);
+      if (!row) {
+        throw new Error(`${DIMENSION_TYPES[type].label} not found`);
+      }
+      return this._formatDimension(row);
+    });
+  }
+}
+
+module.exports = DimensionModel;
@@ -0,0 +1,291 @@
+// backend/models/numberSeriesModel.js - Voucher number series (JV-, CR-, CP-, SI-, ...)
+const { query } = require('../database/db');
+const AccountingModel = require('./accountingModel');
+
+const SERIES_CODE_PATTERN = /^[A-Z][A-Z0-9]{0,9}$/;
+
+class NumberSeriesModel {
+  static _formatSeries(row) {
+    return {
+      id: row.id,
+      code: row.code,
+      name: row.name,
+      prefix: row.prefix,
+      padding: row.padding,
+      reset_yearly: row.reset_yearly,
+      include_year: row.include_year,
+      is_default: row.is_default,
+      is_active: row.is_active,
+      transaction_count: row.transaction_count !== undefined ? parseInt(row.transaction_count) : undefined,
+      created_at_formatted: AccountingModel.formatDateToPakistan(row.created_at),
+      updated_at_formatted: AccountingModel.formatDateToPakistan(row.updated_at)
+    };
+  }
+
+  // Counters of yearly series are keyed by fiscal year; the others share counter 0
+  static _getCounterYear(series, dbDate) {
+    if (!series.reset_yearly) {
+      return 0;
+    }
+
+    const PeriodModel = require('./periodModel');
+    return PeriodModel.getFiscalYearForDate(dbDate);
+  }
+
+  // e.g. prefix "JV-", fiscal year 2024, padding 5, number 12 -> "JV-2024-00012". Series that
+  // never restart have no fiscal year to show, even if saved with include_year before that was refused.
+  static formatNumber(series, fiscalYear, number) {
+    const yearPart = series.include_year && series.reset_yearly ? `${fiscalYear}-` : '';
+    return `${series.prefix}${yearPart}${String(number).padStart(series.padding, '0')}`;
+  }
+
+  static validateSeriesData(seriesData) {
+    const { code, name, prefix, padding } = seriesData;
+
+    if (!code || !SERIES_CODE_PATTERN.test(code)) {
+      throw new Error('Series code is required: 1-10 uppercase letters or digits, starting with a letter');
+    }
+
+    if (!name || !String(name).trim()) {
+      throw new Error('Series name is required');
+    }
+
+    if (prefix !== undefined && prefix !== null && String(prefix).length > 20) {
+      throw new Error('Prefix cannot be longer than 20 characters');
+    }
+
+    if (padding !== undefined && padding !== null) {
+      const digits = parseInt(padding);
+      if (isNaN(digits) || digits < 1 || digits > 12) {
+        throw new Error('Padding must be between 1 and 12 digits');
+      }
+    }
+
+    // Voucher numbers are unique across all years, so a series that restarts each year
+    // needs the year in its numbers to tell JV-2024-00001 from JV-2025-00001
+    if (seriesData.reset_yearly !== false && seriesData.include_year === false) {
+      throw new Error('A series that restarts each fiscal year must include the year in its numbers');
+    }
+
+    // A series that never restarts keeps one counter for every year, so it has no year to show
+    if (seriesData.reset_yearly === false && seriesData.include_year !== false) {
+      throw new Error('A series that does not restart each fiscal year cannot include the year in its numbers');
+    }
+  }
+
+  // Two series with the same prefix would issue clashing voucher numbers
+  static async _assertPrefixAvailable(client, prefix, excludeId = null) {
+    const result = await client.query(
+      `SELECT code FROM number_series WHERE prefix = $1 AND ($2::integer IS NULL OR id <> $2)`,
+      [prefix, excludeId]
+    );
+
+    if (result.rows.length > 0) {
+      throw new Error(`Prefix "${prefix}" is already used by number series ${result.rows[0].code}`);
+    }
+  }
+
+  static async getAllSeries(includeInactive = false) {
+    try {
+      const result = await query(`
+        SELECT
+          s.*,
+          (SELECT COUNT(*) FROM transactions t WHERE t.series_code = s.code) as transaction_count
+        FROM number_series s
+        ${includeInactive ? '' : 'WHERE s.is_active = true'}
+        ORDER BY s.is_default DESC, s.code
+      `);
+
+      return result.rows.map(row => this._formatSeries(row));
+    } catch (error) {
+      console.error('Get number series error:', error);
+      throw error;
+    }
+  }
+
+  // Looks up an active series by code, or the default series when no code is given
+  static async getSeries(code = null, client = null) {
+    const run = client ? (text, params) => client.query(text, params) : query;
+
+    const result = code
+      ? await run(`SELECT * FROM number_series WHERE code = $1`, [String(code).toUpperCase()])
+      : await run(`SELECT * FROM number_series WHERE is_default = true`);
+
+    if (result.rows.length === 0) {
+      throw new Error(code ? `Number series not found: ${code}` : 'No default number series is configured');
+    }
+
+    const series = result.rows[0];
+    if (!series.is_active) {
+      throw new Error(`Number series ${series.code} is inactive`);
+    }
+
+    return series;
+  }
+
+  // include_year follows reset_yearly unless it is given
+  static async createSeries(seriesData) {
+    const resetYearly = seriesData.reset_yearly !== false;
+    const includeYear = seriesData.include_year === undefined ? resetYearly : seriesData.include_year !== false;
+    this.validateSeriesData({ ...seriesData, reset_yearly: resetYearly, include_year: includeYear });
+
+    const { code, name, prefix, padding, is_default } = seriesData;
+
+    try {
+      const { transaction } = require('../database/db');
+
+      const created = await transaction(async (client) => {
+        await this._assertPrefixAvailable(client, prefix || '');
+
+        if (is_default === true) {
+          await client.query(`UPDATE number_series SET is_default = false WHERE is_default = true`);
+        }
+
+        const result = await client.query(
+          `INSERT INTO number_series (code, name, prefix, padding, reset_yearly, include_year, is_default)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING *`,
+          [
+            code,
+            String(name).trim(),
+            prefix || '',
+            padding ? parseInt(padding) : 5,
+            resetYearly,
+            includeYear,
+            is_default === true
+          ]
+        );
+
+        return result.rows[0];
+      });
+
+      return this._formatSeries(created);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(`Number series ${code} already exists`);
+      }
+      console.error('Create number series error:', error);
+      throw error;
+    }
+  }
+
+  // The code cannot change once created (transactions refer to it); the default
+  // series cannot be deactivated.
+  static async updateSeries(seriesId, seriesData) {
+    try {
+      const { transaction } = require('../database/db');
+
+      const updated = await transaction(async (client) => {
+        const existingResult = await client.query(
+          `SELECT * FROM number_series WHERE id = $1 FOR UPDATE`,
+          [seriesId]
+        );
+
+        if (existingResult.rows.length === 0) {
+          throw new Error('Number series not found');
+        }
+
+        const existing = existingResult.rows[0];
+        const resetYearly = seriesData.reset_yearly !== undefined ? seriesData.reset_yearly === true : existing.reset_yearly;
+        const next = {
+          name: seriesData.name !== undefined ? String(seriesData.name || '').trim() : existing.name,
+          prefix: seriesData.prefix !== undefined ? (seriesData.prefix || '') : existing.prefix,
+          padding: seriesData.padding !== undefined ? parseInt(seriesData.padding) : existing.padding,
+          reset_yearly: resetYearly,
+          // Switching reset_yearly alone switches the year in the numbers with it
+          include_year: seriesData.include_year !== undefined
+            ? seriesData.include_year === true
+            : (seriesData.reset_yearly !== undefined ? resetYearly : existing.include_year),
+          is_default: seriesData.is_default !== undefined ? seriesData.is_default === true : existing.is_default,
+          is_active: seriesData.is_active !== undefined ? seriesData.is_active === true : existing.is_active
+        };
+
+        this.validateSeriesData({ ...next, code: existing.code });
+
+        if (existing.is_default && !next.is_default) {
+          throw new Error('Choose another default series instead of unsetting the default');
+        }
+
+        if (next.is_default && !next.is_active) {
+          throw new Error('The default number series cannot be inactive');
+        }
+
+        if (next.prefix !== existing.prefix) {
+          await this._assertPrefixAvailable(client, next.prefix, existing.id);
+        }
+
+        if (next.is_default && !existing.is_default) {
+          await client.query(`UPDATE number_series SET is_default = false WHERE is_default = true`);
+        }
+
+        const result = await client.query(
+          `UPDATE number_series
+           SET name = $1, prefix = $2, padding = $3, reset_yearly = $4, include_year = $5, is_default = $6, is_active = $7
+           WHERE id = $8
+           RETURNING *`,
+          [next.name, next.prefix, next.padding, next.reset_yearly, next.include_year, next.is_default, next.is_active, seriesId]
+        );
+
+        return result.rows[0];
+      });
+
+      return this._formatSeries(updated);
+    } catch (error) {
+      console.error('Update number series error:', error);
+      throw error;
+    }
+  }
+
+  // Next number the series would issue for a date, without reserving it
+  static async previewNextNumber(code = null, dbDate = null) {
+    try {
+      const series = await this.getSeries(code);
+      const date = dbDate || AccountingModel.getPakistanTime().date;
+      const counterYear = this._getCounterYear(series, date);
+
+      const result = await query(
+        `SELECT last_number FROM number_series_counters WHERE series_id = $1 AND fiscal_year = $2`,
+        [series.id, counterYear]
+      );
+
+      const nextNumber = (result.rows.length > 0 ? result.rows[0].last_number : 0) + 1;
+
+      return {
+        series_code: series.code,
+        series_name: series.name,
+        next_number: this.formatNumber(series, counterYear, nextNumber),
+        sequence: nextNumber
+      };
+    } catch (error) {
+      console.error('Preview next number error:', error);
+      throw error;
+    }
+  }
+
+  // Issues the next number of a series inside the caller's DB transaction. The counter
+  // row is incremented with an upsert, which locks it until commit: concurrent postings
+  // wait for each other, and a rolled-back posting hands its number back (no gaps).
+  static async allocateNumber(client, code, dbDate) {
+    const series = await this.getSeries(code, client);
+    const counterYear = this._getCounterYear(series, dbDate);
+
+    const result = await client.query(
+      `INSERT INTO number_series_counters (series_id, fiscal_year, last_number, updated_at)
+       VALUES ($1, $2, 1, NOW())
+       ON CONFLICT (series_id, fiscal_year)
+       DO UPDATE SET last_number = number_series_counters.last_number + 1, updated_at = NOW()
+       RETURNING last_number`,
+      [series.id, counterYear]
+    );
+
+    const sequence = result.rows[0].last_number;
+
+    return {
+      series_code: series.code,
+      voucher_number: this.formatNumber(series, counterYear, sequence),
+      sequence: sequence
+    };
+  }
+}
+
+module.exports = NumberSeriesModel;
@@ -0,0 +1,57 @@
+jest.mock('../database/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const { transaction } = require('../database/db');
+const NumberSeriesModel = require('./numberSeriesModel');
+
+// Runs createSeries against a client that records its INSERT and echoes the row back
+const createWith = async (seriesData) => {
+  const client = {
+    query: jest.fn(async (sql, params) => {
+      if (/INSERT INTO number_series/.test(sql)) {
+        const [code, name, prefix, padding, reset_yearly, include_year, is_default] = params;
+        return { rows: [{ id: 1, code, name, prefix, padding, reset_yearly, include_year, is_default, is_active: true }] };
+      }
+      return { rows: [] };
+    })
+  };
+  transaction.mockImplementation(callback => callback(client));
+  return NumberSeriesModel.createSeries(seriesData);
+};
+
+describe('NumberSeriesModel', () => {
+  const base = { code: 'CP', name: 'Cash payments', prefix: 'CP-', padding: 5 };
+
+  test('a series that does not restart yearly leaves the year out of its numbers', async () => {
+    const series = await createWith({ ...base, reset_yearly: false });
+
+    expect(series.reset_yearly).toBe(false);
+    expect(series.include_year).toBe(false);
+    expect(NumberSeriesModel._getCounterYear(series, '2026-03-01')).toBe(0);
+    expect(NumberSeriesModel.formatNumber(series, 0, 7)).toBe('CP-00007');
+  });
+
+  test('a yearly series includes the fiscal year by default', async () => {
+    const series = await createWith(base);
+
+    expect(series.include_year).toBe(true);
+    expect(NumberSeriesModel.formatNumber(series, 2026, 7)).toBe('CP-2026-00007');
+  });
+
+  test('rejects the year in numbers of a series that never restarts', () => {
+    expect(() => NumberSeriesModel.validateSeriesData({ ...base, reset_yearly: false, include_year: true }))
+      .toThrow('A series that does not restart each fiscal year cannot include the year in its numbers');
+  });
+
+  test('rejects a yearly series without the year in its numbers', () => {
+    expect(() => NumberSeriesModel.validateSeriesData({ ...base, reset_yearly: true, include_year: false }))
+      .toThrow('A series that restarts each fiscal year must include the year in its numbers');
+  });
+
+  test('never prints counter year 0 for series saved with the year before it was refused', () => {
+    const series = { prefix: 'CP-', padding: 5, reset_yearly: false, include_year: true };
+    expect(NumberSeriesModel.formatNumber(series, 0, 7)).toBe('CP-00007');
+  });
+});
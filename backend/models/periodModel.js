@@ -0,0 +1,576 @@
+// backend/models/periodModel.js - Accounting periods and period locking
+const fs = require('fs');
+const path = require('path');
+const { query } = require('../database/db');
+const AccountingModel = require('./accountingModel');
+const money = require('../utils/money');
+
+const PERIOD_STATUSES = ['open', 'closed', 'locked'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+// First key of the two-key advisory lock serializing year-end closes (the second is the year),
+// kept apart from single-key locks such as TRANSACTION_NUMBER_LOCK_KEY
+const YEAR_END_LOCK_NAMESPACE = 730002;
+
+class PeriodModel {
+  // ===== FISCAL YEAR CONFIGURATION =====
+
+  // Settings may live under "system" (current file layout) or at the top level
+  // (the flat layout server.js writes when the file is missing).
+  static _getSystemSetting(key) {
+    let details = {};
+
+    try {
+      const companyDetailsPath = path.join(__dirname, '../company_details.json');
+      if (fs.existsSync(companyDetailsPath)) {
+        details = JSON.parse(fs.readFileSync(companyDetailsPath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error reading company details:', error);
+    }
+
+    return (details.system && details.system[key]) || details[key];
+  }
+
+  // Fiscal year boundaries come from fiscal_year_start (dd/mm/yyyy) in
+  // company_details.json; only the day and month are used. Defaults to 1 July.
+  static getFiscalYearConfig() {
+    const fiscalYearStart = this._getSystemSetting('fiscal_year_start') || '01/07/2024';
+    const parts = fiscalYearStart.split('/');
+    const startDay = parseInt(parts[0], 10);
+    const startMonth = parseInt(parts[1], 10);
+
+    if (!startDay || !startMonth || startDay > 28 || startMonth > 12) {
+      throw new Error('Invalid fiscal_year_start in company details. Use dd/mm/yyyy with a day between 1 and 28');
+    }
+
+    return { startDay, startMonth };
+  }
+
+  static _formatDate(date) {
+    const year = date.getUTCFullYear();
+    const month = (date.getUTCMonth() + 1).toString().padStart(2, '0');
+    const day = date.getUTCDate().toString().padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+
+  // Fiscal years are identified by the calendar year in which they start
+  static getFiscalYearBounds(fiscalYear) {
+    const { startDay, startMonth } = this.getFiscalYearConfig();
+    const start = new Date(Date.UTC(fiscalYear, startMonth - 1, startDay));
+    const end = new Date(Date.UTC(fiscalYear + 1, startMonth - 1, startDay - 1));
+
+    return {
+      fiscalYear: fiscalYear,
+      label: this.getFiscalYearLabel(fiscalYear),
+      start_date: this._formatDate(start),
+      end_date: this._formatDate(end)
+    };
+  }
+
+  // The twelve monthly periods of a fiscal year, whether or not they have been created
+  static getFiscalYearMonths(fiscalYear) {
+    const { startDay, startMonth } = this.getFiscalYearConfig();
+    const months = [];
+
+    for (let i = 0; i < 12; i++) {
+      const periodStart = new Date(Date.UTC(fiscalYear, startMonth - 1 + i, startDay));
+      const periodEnd = new Date(Date.UTC(fiscalYear, startMonth + i, startDay - 1));
+
+      months.push({
+        period_number: i + 1,
+        period_name: `${MONTH_NAMES[periodStart.getUTCMonth()]} ${periodStart.getUTCFullYear()}`,
+        start_date: this._formatDate(periodStart),
+        end_date: this._formatDate(periodEnd)
+      });
+    }
+
+    return months;
+  }
+
+  static getFiscalYearLabel(fiscalYear) {
+    const { startDay, startMonth } = this.getFiscalYearConfig();
+    return startDay === 1 && startMonth === 1 ? `FY ${fiscalYear}` : `FY ${fiscalYear}-${fiscalYear + 1}`;
+  }
+
+  static getFiscalYearForDate(dbDate) {
+    const { startDay, startMonth } = this.getFiscalYearConfig();
+    const [year, month, day] = dbDate.split('-').map(part => parseInt(part, 10));
+    const beforeStart = month < startMonth || (month === startMonth && day < startDay);
+    return beforeStart ? year - 1 : year;
+  }
+
+  // ===== PERIOD MANAGEMENT =====
+
+  static _formatPeriod(row) {
+    return {
+      id: row.id,
+      fiscal_year: row.fiscal_year,
+      fiscal_year_label: this.getFiscalYearLabel(row.fiscal_year),
+      period_number: row.period_number,
+      period_name: row.period_name,
+      start_date: row.start_date,
+      end_date: row.end_date,
+      start_date_display: AccountingModel.convertToDDMMYYYY(row.start_date),
+      end_date_display: AccountingModel.convertToDDMMYYYY(row.end_date),
+      status: row.status,
+      notes: row.notes,
+      status_changed_by: row.status_changed_by_username || null,
+      status_changed_at: row.status_changed_at,
+      status_changed_at_formatted: row.status_changed_at ? AccountingModel.formatDateToPakistan(row.status_changed_at) : null,
+      transaction_count: row.transaction_count !== undefined ? parseInt(row.transaction_count) : undefined
+    };
+  }
+
+  static async getPeriods(fiscalYear = null) {
+    try {
+      const params = [];
+      let whereClause = '';
+
+      if (fiscalYear) {
+        params.push(fiscalYear);
+        whereClause = 'WHERE p.fiscal_year = $1';
+      }
+
+      const result = await query(`
+        SELECT
+          p.id,
+          p.fiscal_year,
+          p.period_number,
+          p.period_name,
+          TO_CHAR(p.start_date, 'YYYY-MM-DD') as start_date,
+          TO_CHAR(p.end_date, 'YYYY-MM-DD') as end_date,
+          p.status,
+          p.notes,
+          p.status_changed_at,
+          u.username as status_changed_by_username,
+          (
+            SELECT COUNT(*) FROM transactions t
+            WHERE t.transaction_date BETWEEN p.start_date AND p.end_date
+          ) as transaction_count
+        FROM accounting_periods p
+        LEFT JOIN users u ON p.status_changed_by = u.id
+        ${whereClause}
+        ORDER BY p.start_date
+      `, params);
+
+      return result.rows.map(row => this._formatPeriod(row));
+    } catch (error) {
+      console.error('Get periods error:', error);
+      throw error;
+    }
+  }
+
+  static async getFiscalYears() {
+    try {
+      const result = await query(`
+        SELECT
+          fiscal_year,
+          TO_CHAR(MIN(start_date), 'YYYY-MM-DD') as start_date,
+          TO_CHAR(MAX(end_date), 'YYYY-MM-DD') as end_date,
+          COUNT(*) as period_count,
+          COUNT(*) FILTER (WHERE status = 'open') as open_count,
+          COUNT(*) FILTER (WHERE status = 'closed') as closed_count,
+          COUNT(*) FILTER (WHERE status = 'locked') as locked_count
+        FROM accounting_periods
+        GROUP BY fiscal_year
+        ORDER BY fiscal_year DESC
+      `);
+
+      const today = AccountingModel.getPakistanTime().date;
+
+      return {
+        current_fiscal_year: this.getFiscalYearForDate(today),
+        fiscal_years: result.rows.map(row => ({
+          fiscal_year: row.fiscal_year,
+          label: this.getFiscalYearLabel(row.fiscal_year),
+          start_date: row.start_date,
+          end_date: row.end_date,
+          start_date_display: AccountingModel.convertToDDMMYYYY(row.start_date),
+          end_date_display: AccountingModel.convertToDDMMYYYY(row.end_date),
+          period_count: parseInt(row.period_count),
+          open_count: parseInt(row.open_count),
+          closed_count: parseInt(row.closed_count),
+          locked_count: parseInt(row.locked_count)
+        }))
+      };
+    } catch (error) {
+      console.error('Get fiscal years error:', error);
+      throw error;
+    }
+  }
+
+  // Creates the twelve monthly periods of a fiscal year. Existing periods are left untouched.
+  static async createFiscalYear(fiscalYear) {
+    const year = parseInt(fiscalYear);
+    if (!year || year < 1900 || year > 2100) {
+      throw new Error('Valid fiscal year is required (e.g. 2024)');
+    }
+
+    try {
+      const { transaction } = require('../database/db');
+      const bounds = this.getFiscalYearBounds(year);
+
+      const created = await transaction(async (client) => {
+        let createdCount = 0;
+
+        for (const period of this.getFiscalYearMonths(year)) {
+          const insertResult = await client.query(
+            `INSERT INTO accounting_periods (fiscal_year, period_number, period_name, start_date, end_date)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (start_date) DO NOTHING
+             RETURNING id`,
+            [year, period.period_number, period.period_name, period.start_date, period.end_date]
+          );
+
+          createdCount += insertResult.rowCount;
+        }
+
+        return createdCount;
+      });
+
+      return {
+        message: created > 0
+          ? `${bounds.label} created with ${created} periods`
+          : `${bounds.label} already exists`,
+        fiscal_year: year,
+        label: bounds.label,
+        start_date: AccountingModel.convertToDDMMYYYY(bounds.start_date),
+        end_date: AccountingModel.convertToDDMMYYYY(bounds.end_date),
+        periods_created: created
+      };
+    } catch (error) {
+      console.error('Create fiscal year error:', error);
+      throw error;
+    }
+  }
+
+  // open -> closed -> locked; closed or locked periods can be reopened by an admin.
+  // Closed periods reject manual postings but accept system postings (e.g. the
+  // year-end close); locked periods reject everything.
+  static async setPeriodStatus(periodId, status, userId, notes) {
+    if (!PERIOD_STATUSES.includes(status)) {
+      throw new Error(`Period status must be one of: ${PERIOD_STATUSES.join(', ')}`);
+    }
+
+    try {
+      const pakistanTime = AccountingModel.getPakistanTime();
+
+      const existing = await query(
+        'SELECT id, period_name, status FROM accounting_periods WHERE id = $1',
+        [periodId]
+      );
+
+      if (existing.rows.length === 0) {
+        throw new Error('Period not found');
+      }
+
+      if (existing.rows[0].status === status) {
+        throw new Error(`Period ${existing.rows[0].period_name} is already ${status}`);
+      }
+
+      await query(
+        `UPDATE accounting_periods
+         SET status = $1, notes = COALESCE($2, notes), status_changed_by = $3, status_changed_at = $4, updated_at = $4
+         WHERE id = $5`,
+        [status, notes || null, userId || null, pakistanTime.timestamp, periodId]
+      );
+
+      return {
+        message: `Period ${existing.rows[0].period_name} is now ${status}`,
+        period_id: parseInt(periodId),
+        previous_status: existing.rows[0].status,
+        status: status,
+        changed_at: pakistanTime.fullDateTime
+      };
+    } catch (error) {
+      console.error('Set period status error:', error);
+      throw error;
+    }
+  }
+
+  static async setFiscalYearStatus(fiscalYear, status, userId, notes) {
+    if (!PERIOD_STATUSES.includes(status)) {
+      throw new Error(`Period status must be one of: ${PERIOD_STATUSES.join(', ')}`);
+    }
+
+    try {
+      const pakistanTime = AccountingModel.getPakistanTime();
+
+      const total = await query(
+        'SELECT COUNT(*) as count FROM accounting_periods WHERE fiscal_year = $1',
+        [fiscalYear]
+      );
+
+      if (parseInt(total.rows[0].count) === 0) {
+        throw new Error('Fiscal year not found. Create its periods first');
+      }
+
+      const result = await query(
+        `UPDATE accounting_periods
+         SET status = $1, notes = COALESCE($2, notes), status_changed_by = $3, status_changed_at = $4, updated_at = $4
+         WHERE fiscal_year = $5 AND status <> $1
+         RETURNING id`,
+        [status, notes || null, userId || null, pakistanTime.timestamp, fiscalYear]
+      );
+
+      return {
+        message: `${this.getFiscalYearLabel(parseInt(fiscalYear))}: ${result.rowCount} period(s) set to ${status}`,
+        fiscal_year: parseInt(fiscalYear),
+        status: status,
+        periods_changed: result.rowCount,
+        changed_at: pakistanTime.fullDateTime
+      };
+    } catch (error) {
+      console.error('Set fiscal year status error:', error);
+      throw error;
+    }
+  }
+
+  // ===== YEAR-END CLOSE =====
+
+  static getYearEndCloseReference(fiscalYear) {
+    return `YEC-FY${fiscalYear}`;
+  }
+
+  static async _getRetainedEarningsAccount(client, accountId) {
+    let result;
+
+    if (accountId) {
+      result = await client.query(
+        'SELECT id, account_code, account_name, account_type FROM accounts WHERE id = $1 AND is_active = true',
+        [accountId]
+      );
+    } else {
+      const accountCode = this._getSystemSetting('retained_earnings_account_code') || '3002';
+      result = await client.query(
+        'SELECT id, account_code, account_name, account_type FROM accounts WHERE account_code = $1 AND is_active = true',
+        [accountCode]
+      );
+    }
+
+    if (result.rows.length === 0) {
+      throw new Error('Retained earnings account not found. Select an active Capital account');
+    }
+
+    if (result.rows[0].account_type !== 'Capital') {
+      throw new Error('Retained earnings account must be a Capital account');
+    }
+
+    return result.rows[0];
+  }
+
+  // Builds the closing entries for a fiscal year: every Revenue and Expense account
+  // is brought to zero for the year and the net amount goes to retained earnings.
+  // Runs on the given client so posting can reuse the exact figures it previews.
+  static async _buildYearEndClose(client, fiscalYear, retainedEarningsAccountId) {
+    const year = parseInt(fiscalYear);
+    if (!year || year < 1900 || year > 2100) {
+      throw new Error('Valid fiscal year is required (e.g. 2024)');
+    }
+
+    const bounds = this.getFiscalYearBounds(year);
+    const reference = this.getYearEndCloseReference(year);
+    const retainedEarnings = await this._getRetainedEarningsAccount(client, retainedEarningsAccountId);
+
+    const existingClose = await client.query(
+      `SELECT id, transaction_number FROM transactions
+       WHERE source = 'year_end_close' AND reference = $1 AND status = 'posted' AND reversal_of IS NULL`,
+      [reference]
+    );
+
+    const balancesResult = await client.query(`
+      SELECT
+        a.id,
+        a.account_code,
+        a.account_name,
+        a.account_type,
+        a.normal_balance,
+        COALESCE(SUM(CASE WHEN je.entry_type = 'Debit' THEN je.amount ELSE -je.amount END), 0) as net_debit
+      FROM accounts a
+      JOIN journal_entries je ON a.id = je.account_id
+      JOIN transactions t ON je.transaction_id = t.id
+      WHERE a.account_type IN ('Revenue', 'Expense')
+      AND t.transaction_date BETWEEN $1 AND $2
+      AND t.source <> 'year_end_close'
+      GROUP BY a.id, a.account_code, a.account_name, a.account_type, a.normal_balance
+      ORDER BY a.account_type DESC, a.account_code
+    `, [bounds.start_date, bounds.end_date]);
+
+    const lines = [];
+    let totalRevenue = 0;
+    let totalExpenses = 0;
+
+    balancesResult.rows.forEach(row => {
+      const netDebit = money.round(row.net_debit);
+      if (money.isZero(netDebit)) {
+        return;
+      }
+
+      // Balance as shown on the income statement (positive in the normal direction)
+      const balance = row.normal_balance === 'Debit' ? netDebit : money.negate(netDebit);
+
+      if (row.account_type === 'Revenue') {
+        totalRevenue = money.add(totalRevenue, balance);
+      } else {
+        totalExpenses = money.add(totalExpenses, balance);
+      }
+
+      lines.push({
+        account_id: row.id,
+        account_code: row.account_code,
+        account_name: row.account_name,
+        account_type: row.account_type,
+        balance: balance,
+        amount: money.abs(netDebit),
+        entry_type: netDebit > 0 ? 'Credit' : 'Debit'
+      });
+    });
+
+    const netIncome = money.subtract(totalRevenue, totalExpenses);
+
+    const entries = lines.map(line => ({
+      account_id: line.account_id,
+      amount: line.amount,
+      entry_type: line.entry_type
+    }));
+
+    if (netIncome !== 0) {
+      entries.push({
+        account_id: retainedEarnings.id,
+        amount: money.abs(netIncome),
+        entry_type: netIncome > 0 ? 'Credit' : 'Debit'
+      });
+    }
+
+    const lockedResult = await client.query(
+      `SELECT period_name FROM accounting_periods WHERE fiscal_year = $1 AND status = 'locked' ORDER BY start_date`,
+      [year]
+    );
+
+    return {
+      fiscal_year: year,
+      label: bounds.label,
+      start_date: AccountingModel.convertToDDMMYYYY(bounds.start_date),
+      end_date: AccountingModel.convertToDDMMYYYY(bounds.end_date),
+      closing_date: AccountingModel.convertToDDMMYYYY(bounds.end_date),
+      closing_db_date: bounds.end_date,
+      reference: reference,
+      retained_earnings_account: retainedEarnings,
+      lines: lines,
+      entries: entries,
+      totalRevenue: totalRevenue,
+      totalExpenses: totalExpenses,
+      netIncome: netIncome,
+      already_closed: existingClose.rows.length > 0,
+      existing_transaction_id: existingClose.rows.length > 0 ? existingClose.rows[0].id : null,
+      existing_transaction_number: existingClose.rows.length > 0 ? existingClose.rows[0].transaction_number : null,
+      locked_periods: lockedResult.rows.map(row => row.period_name)
+    };
+  }
+
+  static async previewYearEndClose(fiscalYear, retainedEarningsAccountId) {
+    try {
+      const preview = await this._buildYearEndClose({ query }, fiscalYear, retainedEarningsAccountId);
+      const { closing_db_date, ...result } = preview;
+      return result;
+    } catch (error) {
+      console.error('Preview year-end close error:', error);
+      throw error;
+    }
+  }
+
+  // Posts the closing entries dated on the last day of the fiscal year as a
+  // system transaction (allowed in closed periods, not in locked ones), then
+  // closes any periods of that year that are still open. Voiding the closing
+  // transaction allows the year to be closed again.
+  static async postYearEndClose(fiscalYear, options = {}) {
+    const { retainedEarningsAccountId, closePeriods = true, userId } = options;
+
+    try {
+      const { transaction } = require('../database/db');
+
+      const result = await transaction(async (client) => {
+        // Serialise concurrent closes of the same year
+        await client.query('SELECT pg_advisory_xact_lock($1, $2)', [YEAR_END_LOCK_NAMESPACE, parseInt(fiscalYear)]);
+
+        const close = await this._buildYearEndClose(client, fiscalYear, retainedEarningsAccountId);
+
+        if (close.already_closed) {
+          throw new Error(`${close.label} is already closed by TID-${close.existing_transaction_number}. Void it first to close the year again`);
+        }
+
+        if (close.lines.length === 0) {
+          throw new Error(`${close.label} has no revenue or expense balances to close`);
+        }
+
+        const pakistanTime = AccountingModel.getPakistanTime();
+
+        const posted = await AccountingModel._postTransactionInternal(client, {
+          dbDate: close.closing_db_date,
+          description: `Year-end closing entries for ${close.label}`,
+          reference: close.reference,
+          entries: close.entries,
+          source: 'year_end_close',
+          allowClosedPeriod: true
+        }, pakistanTime);
+
+        let periodsClosed = 0;
+        if (closePeriods) {
+          const periodResult = await client.query(
+            `UPDATE accounting_periods
+             SET status = 'closed', status_changed_by = $1, status_changed_at = $2, updated_at = $2
+             WHERE fiscal_year = $3 AND status = 'open'`,
+            [userId || null, pakistanTime.timestamp, close.fiscal_year]
+          );
+          periodsClosed = periodResult.rowCount;
+        }
+
+        return {
+          message: `${close.label} closed by TID-${posted.transactionNumber}. Net ${close.netIncome >= 0 ? 'income' : 'loss'} of ${money.toFixed(money.abs(close.netIncome))} transferred to ${close.retained_earnings_account.account_name}`,
+          transactionId: posted.transactionId,
+          transactionNumber: posted.transactionNumber,
+          fiscal_year: close.fiscal_year,
+          label: close.label,
+          closing_date: close.closing_date,
+          netIncome: close.netIncome,
+          accounts_closed: close.lines.length,
+          periods_closed: periodsClosed,
+          posted_at: pakistanTime.fullDateTime
+        };
+      });
+
+      return result;
+    } catch (error) {
+      console.error('Post year-end close error:', error);
+      throw error;
+    }
+  }
+
+  // ===== POSTING GUARD =====
+
+  // Throws when a transaction dated dbDate (yyyy-mm-dd) may not be posted, edited,
+  // reversed or voided. Dates outside any defined period are treated as open.
+  // Runs on the caller's client so the check shares the posting's DB transaction.
+  static async assertDateOpen(client, dbDate, options = {}) {
+    const { allowClosed = false } = options;
+
+    const result = await client.query(
+      `SELECT period_name, status FROM accounting_periods
+       WHERE $1::date BETWEEN start_date AND end_date
+       FOR SHARE`,
+      [dbDate]
+    );
+
+    if (result.rows.length === 0) {
+      return;
+    }
+
+    const period = result.rows[0];
+
+    if (period.status === 'locked' || (period.status === 'closed' && !allowClosed)) {
+      throw new Error(`Period ${period.period_name} is ${period.status}. Transactions dated ${AccountingModel.convertToDDMMYYYY(dbDate)} cannot be posted or changed`);
+    }
+  }
+}
+
+module.exports = PeriodModel;
@@ -0,0 +1,510 @@
+// backend/models/purchaseBillModel.js - Vendor bills that post their own journal entries
+const { query, transaction } = require('../database/db');
+const AccountingModel = require('./accountingModel');
+const money = require('../utils/money');
+const { priceLines, formatLine } = require('../utils/documentLines');
+
+// Approved bills are numbered by the voucher number of their posting in this series
+const PURCHASE_BILL_SERIES = 'PB';
+const DATE_PATTERN = /^\d{1,2}\/\d{1,2}\/\d{4}$/;
+
+// Payment allocations that currently settle a bill: both the payment and the bill are
+// still posted. Voiding either side releases the allocation without deleting it.
+const ACTIVE_ALLOCATIONS = `
+  SELECT va.payment_id, va.bill_id, va.amount
+  FROM vendor_payment_allocations va
+  JOIN vendor_payments vp ON va.payment_id = vp.id
+  JOIN transactions pt ON vp.transaction_id = pt.id
+  JOIN purchase_bills pb ON va.bill_id = pb.id
+  JOIN transactions bt ON pb.transaction_id = bt.id
+  WHERE vp.status = 'posted' AND pt.status = 'posted'
+  AND pb.status = 'approved' AND bt.status = 'posted'
+`;
+
+class PurchaseBillModel {
+  static getActiveAllocationsQuery() {
+    return ACTIVE_ALLOCATIONS;
+  }
+
+  static _formatBill(row, lines = undefined, payments = undefined) {
+    // A bill whose posting was voided from Transaction History is void as well
+    const status = row.status === 'approved' && row.transaction_status && row.transaction_status !== 'posted'
+      ? 'voided'
+      : row.status;
+
+    const amountPaid = status === 'approved' ? money.round(row.amount_paid) : 0;
+    const openBalance = status === 'approved' ? money.subtract(row.total, amountPaid) : 0;
+    let paymentStatus = null;
+    if (status === 'approved') {
+      paymentStatus = money.isZero(openBalance) ? 'paid' : money.isZero(amountPaid) ? 'unpaid' : 'partially_paid';
+    }
+
+    return {
+      id: row.id,
+      bill_number: row.bill_number,
+      vendor_id: row.vendor_id,
+      vendor_name: row.vendor_name,
+      vendor_invoice_number: row.vendor_invoice_number || '',
+      bill_date: AccountingModel.convertToDDMMYYYY(row.bill_date),
+      due_date: AccountingModel.convertToDDMMYYYY(row.due_date),
+      notes: row.notes || '',
+      status: status,
+      payable_account_id: row.payable_account_id,
+      subtotal: money.round(row.subtotal),
+      tax_total: money.round(row.tax_total),
+      total: money.round(row.total),
+      amount_paid: amountPaid,
+      open_balance: openBalance,
+      payment_status: paymentStatus,
+      transaction_id: row.transaction_id,
+      transaction_number: row.transaction_number,
+      approved_at_formatted: row.approved_at ? AccountingModel.formatDateToPakistan(row.approved_at) : null,
+      created_at_formatted: AccountingModel.formatDateToPakistan(row.created_at),
+      updated_at_formatted: AccountingModel.formatDateToPakistan(row.updated_at),
+      lines: lines,
+      payments: payments
+    };
+  }
+
+  static _billSelect(whereClause) {
+    return `
+      SELECT
+        pb.*,
+        TO_CHAR(pb.bill_date, 'YYYY-MM-DD') as bill_date,
+        TO_CHAR(pb.due_date, 'YYYY-MM-DD') as due_date,
+        v.name as vendor_name,
+        t.transaction_number,
+        t.status as transaction_status,
+        COALESCE(paid.amount_paid, 0) as amount_paid
+      FROM purchase_bills pb
+      JOIN vendors v ON pb.vendor_id = v.id
+      LEFT JOIN transactions t ON pb.transaction_id = t.id
+      LEFT JOIN (
+        SELECT bill_id, SUM(amount) as amount_paid
+        FROM (${ACTIVE_ALLOCATIONS}) active
+        GROUP BY bill_id
+      ) paid ON paid.bill_id = pb.id
+      ${whereClause}
+    `;
+  }
+
+  // Validates the bill and prices its lines (see utils/documentLines)
+  static validateBillData(billData) {
+    const { vendor_id, bill_date, due_date, vendor_invoice_number, lines } = billData;
+
+    if (!vendor_id || isNaN(parseInt(vendor_id))) {
+      throw new Error('Vendor is required');
+    }
+
+    if (!bill_date || !DATE_PATTERN.test(String(bill_date))) {
+      throw new Error('Bill date is required in dd/mm/yyyy format');
+    }
+
+    if (due_date && !DATE_PATTERN.test(String(due_date))) {
+      throw new Error('Invalid due date format. Use dd/mm/yyyy');
+    }
+
+    const dbBillDate = AccountingModel.convertToYYYYMMDD(String(bill_date));
+    const dbDueDate = due_date ? AccountingModel.convertToYYYYMMDD(String(due_date)) : null;
+
+    if (dbDueDate && dbDueDate < dbBillDate) {
+      throw new Error('Due date cannot be before the bill date');
+    }
+
+    if (vendor_invoice_number && String(vendor_invoice_number).length > 50) {
+      throw new Error('Vendor invoice number must be less than 50 characters');
+    }
+
+    const { lines: pricedLines, subtotal, taxTotal, total } = priceLines(lines, 'Expense or asset account');
+
+    if (money.compare(total, 0) <= 0) {
+      throw new Error('Bill total must be greater than zero');
+    }
+
+    return {
+      dbBillDate,
+      dbDueDate,
+      lines: pricedLines,
+      subtotal,
+      taxTotal,
+      total
+    };
+  }
+
+  // Line accounts must be active Expense or Asset (e.g. inventory) accounts that are not
+  // control accounts; the payable account, when given, an active payable control account
+  static async _assertAccounts(client, billData, pricedLines) {
+    const accountIds = [...new Set(pricedLines.map(line => line.account_id))];
+    const result = await client.query(
+      `SELECT id, account_code, account_type, control_type, is_active FROM accounts WHERE id = ANY($1::integer[])`,
+      [accountIds]
+    );
+    const accountsById = new Map(result.rows.map(account => [account.id, account]));
+
+    pricedLines.forEach(line => {
+      const account = accountsById.get(line.account_id);
+      if (!account || !account.is_active) {
+        throw new Error(`Line ${line.line_number}: Account not found or inactive`);
+      }
+      if (!['Expense', 'Asset'].includes(account.account_type) || account.control_type) {
+        throw new Error(`Line ${line.line_number}: Account ${account.account_code} must be an Expense or Asset account that is not a control account`);
+      }
+    });
+
+    if (billData.payable_account_id) {
+      const payableResult = await client.query(
+        `SELECT id FROM accounts WHERE id = $1 AND control_type = 'payable' AND is_active = true`,
+        [billData.payable_account_id]
+      );
+
+      if (payableResult.rows.length === 0) {
+        throw new Error('Payable account must be an active Accounts Payable control account');
+      }
+    }
+  }
+
+  // Without an explicit due date the bill falls due after the vendor's payment terms
+  static async _resolveDueDate(client, vendorId, dbBillDate, dbDueDate) {
+    const result = await client.query(
+      `SELECT TO_CHAR($2::date + payment_terms_days, 'YYYY-MM-DD') as due_date
+       FROM vendors WHERE id = $1 AND is_active = true`,
+      [vendorId, dbBillDate]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Vendor not found or inactive');
+    }
+
+    return dbDueDate || result.rows[0].due_date;
+  }
+
+  static async _insertLines(client, billId, pricedLines) {
+    for (const line of pricedLines) {
+      await client.query(
+        `INSERT INTO purchase_bill_lines
+         (bill_id, line_number, description, account_id, quantity, unit_price, tax_rate, amount, tax_amount)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [billId, line.line_number, line.description, line.account_id, line.quantity, line.unit_price,
+          line.tax_rate, money.toFixed(line.amount), money.toFixed(line.tax_amount)]
+      );
+    }
+  }
+
+  // filters: status, vendorId, openOnly (approved bills with something left to pay)
+  static async getAllBills(filters = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (filters.status) {
+        params.push(filters.status);
+        conditions.push(`pb.status = $${params.length}`);
+      }
+
+      if (filters.vendorId) {
+        params.push(filters.vendorId);
+        conditions.push(`pb.vendor_id = $${params.length}`);
+      }
+
+      if (filters.openOnly) {
+        conditions.push(`pb.status = 'approved' AND t.status = 'posted' AND pb.total > COALESCE(paid.amount_paid, 0)`);
+      }
+
+      const result = await query(
+        `${this._billSelect(conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '')}
+         ORDER BY ${filters.openOnly ? 'pb.due_date, pb.id' : 'pb.bill_date DESC, pb.id DESC'}`,
+        params
+      );
+
+      return result.rows.map(row => this._formatBill(row));
+    } catch (error) {
+      console.error('Get purchase bills error:', error);
+      throw error;
+    }
+  }
+
+  static async getBillById(billId) {
+    try {
+      const result = await query(this._billSelect('WHERE pb.id = $1'), [billId]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Purchase bill not found');
+      }
+
+      const linesResult = await query(
+        `SELECT l.*, a.account_code, a.account_name
+         FROM purchase_bill_lines l
+         JOIN accounts a ON l.account_id = a.id
+         WHERE l.bill_id = $1
+         ORDER BY l.line_number`,
+        [billId]
+      );
+
+      const paymentsResult = await query(
+        `SELECT vp.id as payment_id, vp.payment_number, TO_CHAR(vp.payment_date, 'YYYY-MM-DD') as payment_date, active.amount
+         FROM (${ACTIVE_ALLOCATIONS}) active
+         JOIN vendor_payments vp ON active.payment_id = vp.id
+         WHERE active.bill_id = $1
+         ORDER BY vp.payment_date, vp.id`,
+        [billId]
+      );
+
+      const payments = paymentsResult.rows.map(row => ({
+        payment_id: row.payment_id,
+        payment_number: row.payment_number,
+        payment_date: AccountingModel.convertToDDMMYYYY(row.payment_date),
+        amount: money.round(row.amount)
+      }));
+
+      return this._formatBill(result.rows[0], linesResult.rows.map(formatLine), payments);
+    } catch (error) {
+      console.error('Get purchase bill error:', error);
+      throw error;
+    }
+  }
+
+  static async createBill(billData) {
+    const priced = this.validateBillData(billData);
+
+    try {
+      const billId = await transaction(async (client) => {
+        await this._assertAccounts(client, billData, priced.lines);
+        const dbDueDate = await this._resolveDueDate(client, billData.vendor_id, priced.dbBillDate, priced.dbDueDate);
+
+        const result = await client.query(
+          `INSERT INTO purchase_bills
+           (vendor_id, vendor_invoice_number, bill_date, due_date, notes, payable_account_id, subtotal, tax_total, total)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING id`,
+          [parseInt(billData.vendor_id), billData.vendor_invoice_number || null, priced.dbBillDate, dbDueDate,
+            billData.notes || null, billData.payable_account_id || null,
+            money.toFixed(priced.subtotal), money.toFixed(priced.taxTotal), money.toFixed(priced.total)]
+        );
+
+        await this._insertLines(client, result.rows[0].id, priced.lines);
+        return result.rows[0].id;
+      });
+
+      return await this.getBillById(billId);
+    } catch (error) {
+      console.error('Create purchase bill error:', error);
+      throw error;
+    }
+  }
+
+  // Only drafts can be changed; the lines are replaced as a whole
+  static async updateBill(billId, billData) {
+    const priced = this.validateBillData(billData);
+
+    try {
+      await transaction(async (client) => {
+        const existing = await client.query(
+          `SELECT status FROM purchase_bills WHERE id = $1 FOR UPDATE`,
+          [billId]
+        );
+
+        if (existing.rows.length === 0) {
+          throw new Error('Purchase bill not found');
+        }
+
+        if (existing.rows[0].status !== 'draft') {
+          throw new Error(`Only draft bills can be edited; this bill is ${existing.rows[0].status}`);
+        }
+
+        await this._assertAccounts(client, billData, priced.lines);
+        const dbDueDate = await this._resolveDueDate(client, billData.vendor_id, priced.dbBillDate, priced.dbDueDate);
+
+        await client.query(
+          `UPDATE purchase_bills
+           SET vendor_id = $1, vendor_invoice_number = $2, bill_date = $3, due_date = $4, notes = $5,
+               payable_account_id = $6, subtotal = $7, tax_total = $8, total = $9
+           WHERE id = $10`,
+          [parseInt(billData.vendor_id), billData.vendor_invoice_number || null, priced.dbBillDate, dbDueDate,
+            billData.notes || null, billData.payable_account_id || null,
+            money.toFixed(priced.subtotal), money.toFixed(priced.taxTotal), money.toFixed(priced.total), billId]
+        );
+
+        await client.query('DELETE FROM purchase_bill_lines WHERE bill_id = $1', [billId]);
+        await this._insertLines(client, billId, priced.lines);
+      });
+
+      return await this.getBillById(billId);
+    } catch (error) {
+      console.error('Update purchase bill error:', error);
+      throw error;
+    }
+  }
+
+  static async deleteBill(billId) {
+    try {
+      const result = await query(
+        `DELETE FROM purchase_bills WHERE id = $1 AND status = 'draft' RETURNING id`,
+        [billId]
+      );
+
+      if (result.rowCount === 0) {
+        throw new Error('Purchase bill not found or not a draft');
+      }
+
+      return { id: result.rows[0].id };
+    } catch (error) {
+      console.error('Delete purchase bill error:', error);
+      throw error;
+    }
+  }
+
+  // Approval posts the bill through AccountingModel.createTransaction in the same DB
+  // transaction that links it: Dr each expense/asset account, Dr sales tax receivable,
+  // Cr payable (total, due on the bill due date).
+  static async approveBill(billId) {
+    try {
+      await transaction(async (client) => {
+        const billResult = await client.query(
+          `SELECT pb.*, TO_CHAR(pb.bill_date, 'YYYY-MM-DD') as bill_date,
+                  TO_CHAR(pb.due_date, 'YYYY-MM-DD') as due_date, v.name as vendor_name
+           FROM purchase_bills pb
+           JOIN vendors v ON pb.vendor_id = v.id
+           WHERE pb.id = $1
+           FOR UPDATE OF pb`,
+          [billId]
+        );
+
+        if (billResult.rows.length === 0) {
+          throw new Error('Purchase bill not found');
+        }
+
+        const bill = billResult.rows[0];
+
+        if (bill.status !== 'draft') {
+          throw new Error(`Purchase bill is already ${bill.status}`);
+        }
+
+        const linesResult = await client.query(
+          `SELECT account_id, amount FROM purchase_bill_lines WHERE bill_id = $1 ORDER BY line_number`,
+          [billId]
+        );
+
+        const entries = [];
+        const costByAccount = new Map();
+        linesResult.rows.forEach(line => {
+          costByAccount.set(line.account_id, money.add(costByAccount.get(line.account_id) || 0, line.amount));
+        });
+
+        costByAccount.forEach((amount, accountId) => {
+          if (!money.isZero(amount)) {
+            entries.push({ account_id: accountId, amount: money.toFixed(amount), entry_type: 'Debit' });
+          }
+        });
+
+        if (!money.isZero(bill.tax_total)) {
+          entries.push({
+            account_id: await this._getPurchaseTaxAccountId(client),
+            amount: money.toFixed(bill.tax_total),
+            entry_type: 'Debit'
+          });
+        }
+
+        const payableAccountId = bill.payable_account_id || await this.getDefaultPayableAccountId(client);
+        entries.push({
+          account_id: payableAccountId,
+          amount: money.toFixed(bill.total),
+          entry_type: 'Credit',
+          vendor_id: bill.vendor_id,
+          due_date: AccountingModel.convertToDDMMYYYY(bill.due_date)
+        });
+
+        const description = bill.vendor_invoice_number
+          ? `Purchase bill ${bill.vendor_invoice_number} from ${bill.vendor_name}`
+          : `Purchase bill from ${bill.vendor_name}`;
+
+        const posted = await AccountingModel.createTransaction({
+          date: AccountingModel.convertToDDMMYYYY(bill.bill_date),
+          description: description.substring(0, 200),
+          reference: bill.vendor_invoice_number || '',
+          entries: entries,
+          series_code: PURCHASE_BILL_SERIES
+        }, { client, source: 'purchase_bill' });
+
+        await client.query(
+          `UPDATE purchase_bills
+           SET status = 'approved', bill_number = $1, transaction_id = $2, payable_account_id = $3, approved_at = NOW()
+           WHERE id = $4`,
+          [posted.voucherNumber, posted.transactionId, payableAccountId, billId]
+        );
+      });
+
+      return await this.getBillById(billId);
+    } catch (error) {
+      console.error('Approve purchase bill error:', error);
+      throw error;
+    }
+  }
+
+  // Voiding mirrors the posting on the bill date. Payments applied to the bill are
+  // released and become unapplied credit on those payments.
+  static async voidBill(billId, reason) {
+    try {
+      await transaction(async (client) => {
+        const result = await client.query(
+          `SELECT pb.status, pb.transaction_id, t.status as transaction_status
+           FROM purchase_bills pb
+           LEFT JOIN transactions t ON pb.transaction_id = t.id
+           WHERE pb.id = $1
+           FOR UPDATE OF pb`,
+          [billId]
+        );
+
+        if (result.rows.length === 0) {
+          throw new Error('Purchase bill not found');
+        }
+
+        const bill = result.rows[0];
+
+        if (bill.status !== 'approved') {
+          throw new Error(bill.status === 'draft' ? 'Draft bills are deleted, not voided' : 'Purchase bill is already voided');
+        }
+
+        if (bill.transaction_status === 'posted') {
+          await AccountingModel.reverseTransaction(bill.transaction_id, { reason, mode: 'void' }, { client });
+        }
+
+        await client.query(`UPDATE purchase_bills SET status = 'voided' WHERE id = $1`, [billId]);
+      });
+
+      return await this.getBillById(billId);
+    } catch (error) {
+      console.error('Void purchase bill error:', error);
+      throw error;
+    }
+  }
+
+  static async getDefaultPayableAccountId(client) {
+    const result = await client.query(
+      `SELECT id FROM accounts WHERE control_type = 'payable' AND is_active = true ORDER BY account_code LIMIT 1`
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('No active Accounts Payable control account is configured');
+    }
+
+    return result.rows[0].id;
+  }
+
+  // Input tax goes to purchase_tax_account_code in company_details.json (default 1005)
+  static async _getPurchaseTaxAccountId(client) {
+    const PeriodModel = require('./periodModel');
+    const accountCode = PeriodModel._getSystemSetting('purchase_tax_account_code') || '1005';
+    const result = await client.query(
+      `SELECT id, account_type FROM accounts WHERE account_code = $1 AND is_active = true`,
+      [accountCode]
+    );
+
+    if (result.rows.length === 0 || result.rows[0].account_type !== 'Asset') {
+      throw new Error(`Purchase tax account ${accountCode} must be an active Asset account`);
+    }
+
+    return result.rows[0].id;
+  }
+}
+
+module.exports = PurchaseBillModel;
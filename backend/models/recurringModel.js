@@ -0,0 +1,556 @@
+// backend/models/recurringModel.js - Recurring transaction schedules and their occurrences
+const { query, transaction } = require('../database/db');
+const AccountingModel = require('./accountingModel');
+const CurrencyModel = require('./currencyModel');
+const PeriodModel = require('./periodModel');
+const money = require('../utils/money');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'];
+const MONTHS_PER_STEP = { monthly: 1, quarterly: 3, yearly: 12 };
+const CATCH_UP_MODES = ['all', 'latest'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Journal entry fields a schedule keeps; due dates are left out since they would not move with the date
+const ENTRY_FIELDS = [
+  'account_id', 'entry_type', 'amount', 'customer_id', 'vendor_id', 'currency_code', 'foreign_amount',
+  'cost_center_id', 'department_id', 'project_id'
+];
+
+// Occurrences posted by one run of a schedule at most, so a bad start date cannot flood the books
+const MAX_OCCURRENCES_PER_RUN = 400;
+
+class RecurringModel {
+  // ===== SCHEDULE DATES =====
+
+  static _toUTCDate(dbDate) {
+    const [year, month, day] = String(dbDate).split('-').map(part => parseInt(part, 10));
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+
+  static _daysInMonth(year, monthIndex) {
+    return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  }
+
+  // Date of occurrence n before any end date applies. Daily and weekly schedules step from the
+  // start date; the others step whole months and land on day_of_month (the start date's day when
+  // not set, -1 for the last day), moved back to the end of shorter months.
+  static _rawOccurrenceDate(schedule, n) {
+    const start = this._toUTCDate(schedule.start_date);
+
+    if (schedule.frequency === 'daily' || schedule.frequency === 'weekly') {
+      const days = n * schedule.interval_count * (schedule.frequency === 'weekly' ? 7 : 1);
+      return PeriodModel._formatDate(new Date(start.getTime() + days * 86400000));
+    }
+
+    const monthDate = (step) => {
+      const monthIndex = start.getUTCMonth() + step * schedule.interval_count * MONTHS_PER_STEP[schedule.frequency];
+      const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+      const month = ((monthIndex % 12) + 12) % 12;
+      const lastDay = this._daysInMonth(year, month);
+      const wantedDay = schedule.day_of_month === -1 ? lastDay : (schedule.day_of_month || start.getUTCDate());
+      return PeriodModel._formatDate(new Date(Date.UTC(year, month, Math.min(wantedDay, lastDay))));
+    };
+
+    // A day_of_month earlier in the month than the start date first falls in the next interval
+    const firstIsEarly = monthDate(0) < PeriodModel._formatDate(start);
+    return monthDate(n + (firstIsEarly ? 1 : 0));
+  }
+
+  // Date of occurrence n, or null once the schedule has run its count or passed its end date
+  static occurrenceDate(schedule, n) {
+    if (schedule.max_occurrences && n >= schedule.max_occurrences) {
+      return null;
+    }
+
+    const date = this._rawOccurrenceDate(schedule, n);
+    if (schedule.end_date && date > schedule.end_date) {
+      return null;
+    }
+
+    return date;
+  }
+
+  static _applyPlaceholders(text, dbDate) {
+    const date = this._toUTCDate(dbDate);
+    return text
+      .replace(/\{date\}/g, AccountingModel.convertToDDMMYYYY(dbDate))
+      .replace(/\{month\}/g, `${MONTH_NAMES[date.getUTCMonth()]} ${date.getUTCFullYear()}`)
+      .replace(/\{year\}/g, String(date.getUTCFullYear()));
+  }
+
+  // ===== VALIDATION =====
+
+  static _parseDate(value, label) {
+    if (!value) {
+      return null;
+    }
+
+    const dbDate = AccountingModel.convertToYYYYMMDD(value);
+    if (!dbDate) {
+      throw new Error(`Invalid ${label}. Use dd/mm/yyyy`);
+    }
+    return dbDate;
+  }
+
+  // Checks schedule data and returns it in column form. The entries are validated as a
+  // transaction dated on the start date, so an unbalanced schedule is refused up front.
+  static async validateScheduleData(scheduleData) {
+    const name = String(scheduleData.name || '').trim();
+    if (!name) {
+      throw new Error('Schedule name is required');
+    }
+    if (name.length > 100) {
+      throw new Error('Schedule name must be less than 100 characters');
+    }
+
+    if (!FREQUENCIES.includes(scheduleData.frequency)) {
+      throw new Error(`Frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    const intervalCount = scheduleData.interval_count === undefined || scheduleData.interval_count === ''
+      ? 1
+      : Number(scheduleData.interval_count);
+    if (!Number.isInteger(intervalCount) || intervalCount < 1 || intervalCount > 365) {
+      throw new Error('Interval must be a whole number between 1 and 365');
+    }
+
+    let dayOfMonth = null;
+    if (scheduleData.day_of_month !== undefined && scheduleData.day_of_month !== null && scheduleData.day_of_month !== '') {
+      dayOfMonth = Number(scheduleData.day_of_month);
+      if (!Number.isInteger(dayOfMonth) || (dayOfMonth !== -1 && (dayOfMonth < 1 || dayOfMonth > 31))) {
+        throw new Error('Day of month must be between 1 and 31, or -1 for the last day');
+      }
+      if (!MONTHS_PER_STEP[scheduleData.frequency]) {
+        throw new Error('Day of month only applies to monthly, quarterly and yearly schedules');
+      }
+    }
+
+    const startDate = this._parseDate(scheduleData.start_date, 'start date');
+    if (!startDate) {
+      throw new Error('Start date is required');
+    }
+
+    const endDate = this._parseDate(scheduleData.end_date, 'end date');
+    if (endDate && endDate < startDate) {
+      throw new Error('End date cannot be before the start date');
+    }
+
+    let maxOccurrences = null;
+    if (scheduleData.max_occurrences !== undefined && scheduleData.max_occurrences !== null && scheduleData.max_occurrences !== '') {
+      maxOccurrences = Number(scheduleData.max_occurrences);
+      if (!Number.isInteger(maxOccurrences) || maxOccurrences < 1) {
+        throw new Error('Number of occurrences must be a whole number of at least 1');
+      }
+    }
+
+    const catchUpMode = scheduleData.catch_up_mode || 'all';
+    if (!CATCH_UP_MODES.includes(catchUpMode)) {
+      throw new Error(`Catch-up mode must be one of: ${CATCH_UP_MODES.join(', ')}`);
+    }
+
+    const entries = (scheduleData.entries || []).map(entry => {
+      const kept = {};
+      ENTRY_FIELDS.forEach(field => {
+        if (entry[field] !== undefined && entry[field] !== null && entry[field] !== '') {
+          kept[field] = entry[field];
+        }
+      });
+      return kept;
+    });
+
+    // Foreign currency lines are checked the way they will post: converted at the start date's rate
+    const description = String(scheduleData.description || '').trim();
+    AccountingModel.validateTransaction({
+      date: AccountingModel.convertToDDMMYYYY(startDate),
+      description: this._applyPlaceholders(description, startDate),
+      entries: await CurrencyModel.convertEntries(null, entries, startDate)
+    });
+
+    return {
+      name,
+      description,
+      reference: scheduleData.reference ? String(scheduleData.reference).trim() : null,
+      series_code: scheduleData.series_code || null,
+      entries,
+      frequency: scheduleData.frequency,
+      interval_count: intervalCount,
+      day_of_month: dayOfMonth,
+      start_date: startDate,
+      end_date: endDate,
+      max_occurrences: maxOccurrences,
+      catch_up_mode: catchUpMode
+    };
+  }
+
+  // ===== SCHEDULES =====
+
+  static _formatSchedule(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      reference: row.reference,
+      series_code: row.series_code,
+      entries: row.entries,
+      frequency: row.frequency,
+      interval_count: row.interval_count,
+      day_of_month: row.day_of_month,
+      start_date: row.start_date,
+      end_date: row.end_date,
+      start_date_display: AccountingModel.convertToDDMMYYYY(row.start_date),
+      end_date_display: row.end_date ? AccountingModel.convertToDDMMYYYY(row.end_date) : null,
+      max_occurrences: row.max_occurrences,
+      catch_up_mode: row.catch_up_mode,
+      status: row.status,
+      next_occurrence_number: row.next_occurrence_number,
+      next_run_date: row.next_run_date,
+      next_run_date_display: row.next_run_date ? AccountingModel.convertToDDMMYYYY(row.next_run_date) : null,
+      total_amount: money.sumBy(row.entries.filter(entry => entry.entry_type === 'Debit'), 'amount'),
+      last_error: row.last_error,
+      created_by: row.created_by_username || null,
+      posted_count: row.posted_count !== undefined ? parseInt(row.posted_count) : undefined,
+      last_run_at_formatted: row.last_run_at ? AccountingModel.formatDateToPakistan(row.last_run_at) : null
+    };
+  }
+
+  static _scheduleSelect(whereClause) {
+    return `
+      SELECT
+        s.*,
+        TO_CHAR(s.start_date, 'YYYY-MM-DD') as start_date,
+        TO_CHAR(s.end_date, 'YYYY-MM-DD') as end_date,
+        TO_CHAR(s.next_run_date, 'YYYY-MM-DD') as next_run_date,
+        u.username as created_by_username,
+        (SELECT COUNT(*) FROM recurring_occurrences o WHERE o.schedule_id = s.id AND o.status = 'posted') as posted_count
+      FROM recurring_schedules s
+      LEFT JOIN users u ON s.created_by = u.id
+      ${whereClause}
+    `;
+  }
+
+  // The next count dates a schedule will post on, from its next occurrence
+  static getUpcomingDates(schedule, count = 5) {
+    const dates = [];
+    for (let n = schedule.next_occurrence_number; dates.length < count; n++) {
+      const date = this.occurrenceDate(schedule, n);
+      if (!date) {
+        break;
+      }
+      dates.push({ occurrence_number: n + 1, date: date, date_display: AccountingModel.convertToDDMMYYYY(date) });
+    }
+    return dates;
+  }
+
+  static async getSchedules() {
+    try {
+      const result = await query(`${this._scheduleSelect('')} ORDER BY CASE s.status WHEN 'active' THEN 0 WHEN 'paused' THEN 1 ELSE 2 END, s.next_run_date NULLS LAST, s.name`);
+      return result.rows.map(row => this._formatSchedule(row));
+    } catch (error) {
+      console.error('Get recurring schedules error:', error);
+      throw error;
+    }
+  }
+
+  // A schedule with its upcoming dates and the occurrences generated so far, newest first
+  static async getScheduleById(scheduleId, upcomingCount = 5) {
+    try {
+      const result = await query(`${this._scheduleSelect('WHERE s.id = $1')}`, [scheduleId]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Recurring schedule not found');
+      }
+
+      const schedule = this._formatSchedule(result.rows[0]);
+      const occurrences = await query(
+        `SELECT
+           o.id,
+           o.occurrence_number,
+           TO_CHAR(o.scheduled_date, 'YYYY-MM-DD') as scheduled_date,
+           o.status,
+           o.message,
+           o.created_at,
+           o.transaction_id,
+           t.transaction_number,
+           t.voucher_number,
+           t.status as transaction_status
+         FROM recurring_occurrences o
+         LEFT JOIN transactions t ON o.transaction_id = t.id
+         WHERE o.schedule_id = $1
+         ORDER BY o.occurrence_number DESC`,
+        [scheduleId]
+      );
+
+      return {
+        ...schedule,
+        upcoming: schedule.status === 'completed' ? [] : this.getUpcomingDates(schedule, upcomingCount),
+        occurrences: occurrences.rows.map(row => ({
+          ...row,
+          occurrence_number: row.occurrence_number + 1,
+          scheduled_date_display: AccountingModel.convertToDDMMYYYY(row.scheduled_date),
+          created_at_formatted: AccountingModel.formatDateToPakistan(row.created_at)
+        }))
+      };
+    } catch (error) {
+      console.error('Get recurring schedule error:', error);
+      throw error;
+    }
+  }
+
+  static async createSchedule(scheduleData, userId) {
+    const data = await this.validateScheduleData(scheduleData);
+    const nextRunDate = this.occurrenceDate(data, 0);
+
+    try {
+      const result = await query(
+        `INSERT INTO recurring_schedules
+         (name, description, reference, series_code, entries, frequency, interval_count, day_of_month,
+          start_date, end_date, max_occurrences, catch_up_mode, status, next_run_date, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+         RETURNING id`,
+        [data.name, data.description, data.reference, data.series_code, JSON.stringify(data.entries), data.frequency,
+          data.interval_count, data.day_of_month, data.start_date, data.end_date, data.max_occurrences,
+          data.catch_up_mode, nextRunDate ? 'active' : 'completed', nextRunDate, userId || null]
+      );
+
+      return this.getScheduleById(result.rows[0].id);
+    } catch (error) {
+      console.error('Create recurring schedule error:', error);
+      throw error;
+    }
+  }
+
+  // Once a schedule has generated occurrences its timing (frequency, interval, day of month and
+  // start date) is fixed, so the numbering of past occurrences keeps its meaning
+  static async updateSchedule(scheduleId, scheduleData) {
+    const data = await this.validateScheduleData(scheduleData);
+
+    try {
+      const existing = await query(
+        `SELECT *, TO_CHAR(start_date, 'YYYY-MM-DD') as start_date FROM recurring_schedules WHERE id = $1`,
+        [scheduleId]
+      );
+
+      if (existing.rows.length === 0) {
+        throw new Error('Recurring schedule not found');
+      }
+
+      const current = existing.rows[0];
+      const timingChanged = current.frequency !== data.frequency ||
+        current.interval_count !== data.interval_count ||
+        current.day_of_month !== data.day_of_month ||
+        current.start_date !== data.start_date;
+
+      if (timingChanged && current.next_occurrence_number > 0) {
+        throw new Error('The frequency, interval, day of month and start date cannot change once occurrences have been generated. End this schedule and create a new one');
+      }
+
+      const nextRunDate = this.occurrenceDate(data, current.next_occurrence_number);
+      const status = !nextRunDate ? 'completed' : current.status === 'completed' ? 'active' : current.status;
+
+      await query(
+        `UPDATE recurring_schedules
+         SET name = $1, description = $2, reference = $3, series_code = $4, entries = $5, frequency = $6,
+             interval_count = $7, day_of_month = $8, start_date = $9, end_date = $10, max_occurrences = $11,
+             catch_up_mode = $12, status = $13, next_run_date = $14
+         WHERE id = $15`,
+        [data.name, data.description, data.reference, data.series_code, JSON.stringify(data.entries), data.frequency,
+          data.interval_count, data.day_of_month, data.start_date, data.end_date, data.max_occurrences,
+          data.catch_up_mode, status, nextRunDate, scheduleId]
+      );
+
+      return this.getScheduleById(scheduleId);
+    } catch (error) {
+      console.error('Update recurring schedule error:', error);
+      throw error;
+    }
+  }
+
+  // pause, resume (which retries a failed occurrence on the next run) or end
+  static async setScheduleStatus(scheduleId, action) {
+    const transitions = {
+      pause: { from: ['active'], to: 'paused' },
+      resume: { from: ['paused'], to: 'active' },
+      end: { from: ['active', 'paused'], to: 'completed' }
+    };
+
+    if (!transitions[action]) {
+      throw new Error(`Action must be one of: ${Object.keys(transitions).join(', ')}`);
+    }
+
+    try {
+      const result = await query(
+        `UPDATE recurring_schedules
+         SET status = $1::varchar, last_error = CASE WHEN $1::varchar = 'active' THEN NULL ELSE last_error END,
+             next_run_date = CASE WHEN $1::varchar = 'completed' THEN NULL ELSE next_run_date END
+         WHERE id = $2 AND status = ANY($3::varchar[])
+         RETURNING id`,
+        [transitions[action].to, scheduleId, transitions[action].from]
+      );
+
+      if (result.rowCount === 0) {
+        throw new Error(`Recurring schedule not found or cannot ${action} from its current status`);
+      }
+
+      return this.getScheduleById(scheduleId);
+    } catch (error) {
+      console.error('Set recurring schedule status error:', error);
+      throw error;
+    }
+  }
+
+  // Schedules that have posted transactions are ended instead, so their history stays
+  static async deleteSchedule(scheduleId) {
+    try {
+      const posted = await query(
+        `SELECT COUNT(*) as count FROM recurring_occurrences WHERE schedule_id = $1 AND status = 'posted'`,
+        [scheduleId]
+      );
+
+      if (parseInt(posted.rows[0].count) > 0) {
+        throw new Error('This schedule has posted transactions. End it instead of deleting it');
+      }
+
+      const result = await query(`DELETE FROM recurring_schedules WHERE id = $1 RETURNING id`, [scheduleId]);
+
+      if (result.rowCount === 0) {
+        throw new Error('Recurring schedule not found');
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Delete recurring schedule error:', error);
+      throw error;
+    }
+  }
+
+  // ===== GENERATION =====
+
+  static async _recordOccurrence(client, scheduleId, occurrenceNumber, scheduledDate, status, transactionId, message) {
+    await client.query(
+      `INSERT INTO recurring_occurrences (schedule_id, occurrence_number, scheduled_date, status, transaction_id, message)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (schedule_id, occurrence_number) DO UPDATE
+       SET status = EXCLUDED.status, transaction_id = EXCLUDED.transaction_id, message = EXCLUDED.message, created_at = NOW()`,
+      [scheduleId, occurrenceNumber, scheduledDate, status, transactionId, message]
+    );
+  }
+
+  // Posts the due occurrences of one schedule, each in its own DB transaction so the ones
+  // before a failure stay posted. Occurrences missed while the server was down are all posted
+  // (catch_up_mode 'all') or skipped except the latest ('latest'). A failed posting pauses the
+  // schedule with the error, and resuming it retries the same occurrence.
+  static async _runSchedule(scheduleId, today) {
+    const summary = { posted: 0, skipped: 0, failed: 0 };
+
+    for (let run = 0; run < MAX_OCCURRENCES_PER_RUN; run++) {
+      let failure = null;
+
+      const done = await transaction(async (client) => {
+        const locked = await client.query(
+          `SELECT *, TO_CHAR(start_date, 'YYYY-MM-DD') as start_date, TO_CHAR(end_date, 'YYYY-MM-DD') as end_date
+           FROM recurring_schedules
+           WHERE id = $1 AND status = 'active'
+           FOR UPDATE SKIP LOCKED`,
+          [scheduleId]
+        );
+
+        if (locked.rows.length === 0) {
+          return true;
+        }
+
+        const schedule = locked.rows[0];
+        const n = schedule.next_occurrence_number;
+        const scheduledDate = this.occurrenceDate(schedule, n);
+
+        if (!scheduledDate || scheduledDate > today) {
+          await client.query(
+            `UPDATE recurring_schedules SET next_run_date = $1, status = $2, last_run_at = NOW() WHERE id = $3`,
+            [scheduledDate, scheduledDate ? 'active' : 'completed', scheduleId]
+          );
+          return true;
+        }
+
+        const followingDate = this.occurrenceDate(schedule, n + 1);
+        const skip = schedule.catch_up_mode === 'latest' && followingDate && followingDate <= today;
+
+        if (skip) {
+          await this._recordOccurrence(client, scheduleId, n, scheduledDate, 'skipped', null, 'Skipped by catch-up: a later occurrence was also due');
+          summary.skipped++;
+        } else {
+          await client.query('SAVEPOINT recurring_posting');
+          try {
+            const posted = await AccountingModel.createTransaction({
+              date: AccountingModel.convertToDDMMYYYY(scheduledDate),
+              description: this._applyPlaceholders(schedule.description, scheduledDate),
+              reference: schedule.reference ? this._applyPlaceholders(schedule.reference, scheduledDate) : `${schedule.name} #${n + 1}`,
+              series_code: schedule.series_code,
+              entries: schedule.entries
+            }, { source: 'recurring', client });
+
+            await client.query('RELEASE SAVEPOINT recurring_posting');
+            await this._recordOccurrence(client, scheduleId, n, scheduledDate, 'posted', posted.transactionId, null);
+            summary.posted++;
+          } catch (error) {
+            await client.query('ROLLBACK TO SAVEPOINT recurring_posting');
+            failure = error;
+          }
+        }
+
+        if (failure) {
+          await this._recordOccurrence(client, scheduleId, n, scheduledDate, 'failed', null, failure.message);
+          await client.query(
+            `UPDATE recurring_schedules SET status = 'paused', last_error = $1, next_run_date = $2, last_run_at = NOW() WHERE id = $3`,
+            [failure.message, scheduledDate, scheduleId]
+          );
+          summary.failed++;
+          return true;
+        }
+
+        await client.query(
+          `UPDATE recurring_schedules
+           SET next_occurrence_number = $1, next_run_date = $2, status = $3, last_error = NULL, last_run_at = NOW()
+           WHERE id = $4`,
+          [n + 1, followingDate, followingDate ? 'active' : 'completed', scheduleId]
+        );
+        return false;
+      });
+
+      if (done) {
+        break;
+      }
+    }
+
+    return summary;
+  }
+
+  // Posts every occurrence due on or before asOf (today by default) across all active schedules.
+  // Run by the server's background job on start-up, which catches up on anything missed while
+  // it was down, and then at an interval.
+  static async runDueSchedules(asOf = null) {
+    const today = asOf ? this._parseDate(asOf, 'date') : AccountingModel.getPakistanTime().date;
+
+    try {
+      const due = await query(
+        `SELECT id FROM recurring_schedules
+         WHERE status = 'active' AND next_run_date IS NOT NULL AND next_run_date <= $1
+         ORDER BY next_run_date, id`,
+        [today]
+      );
+
+      const summary = { schedules: due.rows.length, posted: 0, skipped: 0, failed: 0 };
+      for (const row of due.rows) {
+        const result = await this._runSchedule(row.id, today);
+        summary.posted += result.posted;
+        summary.skipped += result.skipped;
+        summary.failed += result.failed;
+      }
+
+      return summary;
+    } catch (error) {
+      console.error('Run recurring schedules error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = RecurringModel;
@@ -0,0 +1,467 @@
+// backend/models/salesInvoiceModel.js - Sales invoices that post their own journal entries
+const { query, transaction } = require('../database/db');
+const AccountingModel = require('./accountingModel');
+const money = require('../utils/money');
+const { priceLines, formatLine } = require('../utils/documentLines');
+const CustomerReceiptModel = require('./customerReceiptModel');
+
+// Approved invoices are numbered by the voucher number of their posting in this series
+const SALES_INVOICE_SERIES = 'SI';
+const DATE_PATTERN = /^\d{1,2}\/\d{1,2}\/\d{4}$/;
+
+class SalesInvoiceModel {
+  static _formatInvoice(row, lines = undefined) {
+    // An invoice whose posting was voided from Transaction History is void as well
+    const status = row.status === 'approved' && row.transaction_status && row.transaction_status !== 'posted'
+      ? 'voided'
+      : row.status;
+
+    // Settled by customer receipts allocated to the invoice's posting
+    const amountPaid = status === 'approved' ? money.round(row.amount_paid) : 0;
+    const openBalance = status === 'approved' ? money.subtract(row.total, amountPaid) : 0;
+    let paymentStatus = null;
+    if (status === 'approved') {
+      paymentStatus = money.isZero(openBalance) ? 'paid' : money.isZero(amountPaid) ? 'unpaid' : 'partially_paid';
+    }
+
+    return {
+      id: row.id,
+      invoice_number: row.invoice_number,
+      customer_id: row.customer_id,
+      customer_name: row.customer_name,
+      invoice_date: AccountingModel.convertToDDMMYYYY(row.invoice_date),
+      due_date: AccountingModel.convertToDDMMYYYY(row.due_date),
+      reference: row.reference || '',
+      notes: row.notes || '',
+      status: status,
+      receivable_account_id: row.receivable_account_id,
+      subtotal: money.round(row.subtotal),
+      tax_total: money.round(row.tax_total),
+      total: money.round(row.total),
+      amount_paid: amountPaid,
+      open_balance: openBalance,
+      payment_status: paymentStatus,
+      transaction_id: row.transaction_id,
+      transaction_number: row.transaction_number,
+      approved_at_formatted: row.approved_at ? AccountingModel.formatDateToPakistan(row.approved_at) : null,
+      created_at_formatted: AccountingModel.formatDateToPakistan(row.created_at),
+      updated_at_formatted: AccountingModel.formatDateToPakistan(row.updated_at),
+      lines: lines
+    };
+  }
+
+  static _invoiceSelect(whereClause) {
+    return `
+      SELECT
+        si.*,
+        TO_CHAR(si.invoice_date, 'YYYY-MM-DD') as invoice_date,
+        TO_CHAR(si.due_date, 'YYYY-MM-DD') as due_date,
+        c.name as customer_name,
+        t.transaction_number,
+        t.status as transaction_status,
+        COALESCE(paid.amount_paid, 0) as amount_paid
+      FROM sales_invoices si
+      JOIN customers c ON si.customer_id = c.id
+      LEFT JOIN transactions t ON si.transaction_id = t.id
+      LEFT JOIN (
+        SELECT transaction_id, SUM(amount) as amount_paid
+        FROM (${CustomerReceiptModel.getActiveAllocationsQuery()}) active
+        GROUP BY transaction_id
+      ) paid ON paid.transaction_id = si.transaction_id
+      ${whereClause}
+    `;
+  }
+
+  // Validates the invoice and prices its lines (see utils/documentLines)
+  static validateInvoiceData(invoiceData) {
+    const { customer_id, invoice_date, due_date, reference, lines } = invoiceData;
+
+    if (!customer_id || isNaN(parseInt(customer_id))) {
+      throw new Error('Customer is required');
+    }
+
+    if (!invoice_date || !DATE_PATTERN.test(String(invoice_date))) {
+      throw new Error('Invoice date is required in dd/mm/yyyy format');
+    }
+
+    if (due_date && !DATE_PATTERN.test(String(due_date))) {
+      throw new Error('Invalid due date format. Use dd/mm/yyyy');
+    }
+
+    const dbInvoiceDate = AccountingModel.convertToYYYYMMDD(String(invoice_date));
+    const dbDueDate = due_date ? AccountingModel.convertToYYYYMMDD(String(due_date)) : null;
+
+    if (dbDueDate && dbDueDate < dbInvoiceDate) {
+      throw new Error('Due date cannot be before the invoice date');
+    }
+
+    if (reference && String(reference).length > 50) {
+      throw new Error('Reference must be less than 50 characters');
+    }
+
+    const { lines: pricedLines, subtotal, taxTotal, total } = priceLines(lines, 'Revenue account');
+
+    if (money.compare(total, 0) <= 0) {
+      throw new Error('Invoice total must be greater than zero');
+    }
+
+    return {
+      dbInvoiceDate,
+      dbDueDate,
+      lines: pricedLines,
+      subtotal,
+      taxTotal,
+      total
+    };
+  }
+
+  // Line accounts must be active Revenue accounts; the receivable account, when given,
+  // an active receivable control account
+  static async _assertAccounts(client, invoiceData, pricedLines) {
+    const accountIds = [...new Set(pricedLines.map(line => line.account_id))];
+    const result = await client.query(
+      `SELECT id, account_code, account_type, is_active FROM accounts WHERE id = ANY($1::integer[])`,
+      [accountIds]
+    );
+    const accountsById = new Map(result.rows.map(account => [account.id, account]));
+
+    pricedLines.forEach(line => {
+      const account = accountsById.get(line.account_id);
+      if (!account || !account.is_active) {
+        throw new Error(`Line ${line.line_number}: Account not found or inactive`);
+      }
+      if (account.account_type !== 'Revenue') {
+        throw new Error(`Line ${line.line_number}: Account ${account.account_code} is not a Revenue account`);
+      }
+    });
+
+    if (invoiceData.receivable_account_id) {
+      const receivableResult = await client.query(
+        `SELECT id FROM accounts WHERE id = $1 AND control_type = 'receivable' AND is_active = true`,
+        [invoiceData.receivable_account_id]
+      );
+
+      if (receivableResult.rows.length === 0) {
+        throw new Error('Receivable account must be an active Accounts Receivable control account');
+      }
+    }
+  }
+
+  // Without an explicit due date the invoice falls due after the customer's payment terms
+  static async _resolveDueDate(client, customerId, dbInvoiceDate, dbDueDate) {
+    const result = await client.query(
+      `SELECT TO_CHAR($2::date + payment_terms_days, 'YYYY-MM-DD') as due_date
+       FROM customers WHERE id = $1 AND is_active = true`,
+      [customerId, dbInvoiceDate]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Customer not found or inactive');
+    }
+
+    return dbDueDate || result.rows[0].due_date;
+  }
+
+  static async _insertLines(client, invoiceId, pricedLines) {
+    for (const line of pricedLines) {
+      await client.query(
+        `INSERT INTO sales_invoice_lines
+         (invoice_id, line_number, description, account_id, quantity, unit_price, tax_rate, amount, tax_amount)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [invoiceId, line.line_number, line.description, line.account_id, line.quantity, line.unit_price,
+          line.tax_rate, money.toFixed(line.amount), money.toFixed(line.tax_amount)]
+      );
+    }
+  }
+
+  static async getAllInvoices(filters = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (filters.status) {
+        params.push(filters.status);
+        conditions.push(`si.status = $${params.length}`);
+      }
+
+      if (filters.customerId) {
+        params.push(filters.customerId);
+        conditions.push(`si.customer_id = $${params.length}`);
+      }
+
+      const result = await query(
+        `${this._invoiceSelect(conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '')}
+         ORDER BY si.invoice_date DESC, si.id DESC`,
+        params
+      );
+
+      return result.rows.map(row => this._formatInvoice(row));
+    } catch (error) {
+      console.error('Get sales invoices error:', error);
+      throw error;
+    }
+  }
+
+  static async getInvoiceById(invoiceId) {
+    try {
+      const result = await query(this._invoiceSelect('WHERE si.id = $1'), [invoiceId]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Sales invoice not found');
+      }
+
+      const linesResult = await query(
+        `SELECT l.*, a.account_code, a.account_name
+         FROM sales_invoice_lines l
+         JOIN accounts a ON l.account_id = a.id
+         WHERE l.invoice_id = $1
+         ORDER BY l.line_number`,
+        [invoiceId]
+      );
+
+      return this._formatInvoice(result.rows[0], linesResult.rows.map(formatLine));
+    } catch (error) {
+      console.error('Get sales invoice error:', error);
+      throw error;
+    }
+  }
+
+  static async createInvoice(invoiceData) {
+    const priced = this.validateInvoiceData(invoiceData);
+
+    try {
+      const invoiceId = await transaction(async (client) => {
+        await this._assertAccounts(client, invoiceData, priced.lines);
+        const dbDueDate = await this._resolveDueDate(client, invoiceData.customer_id, priced.dbInvoiceDate, priced.dbDueDate);
+
+        const result = await client.query(
+          `INSERT INTO sales_invoices
+           (customer_id, invoice_date, due_date, reference, notes, receivable_account_id, subtotal, tax_total, total)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING id`,
+          [parseInt(invoiceData.customer_id), priced.dbInvoiceDate, dbDueDate, invoiceData.reference || null,
+            invoiceData.notes || null, invoiceData.receivable_account_id || null,
+            money.toFixed(priced.subtotal), money.toFixed(priced.taxTotal), money.toFixed(priced.total)]
+        );
+
+        await this._insertLines(client, result.rows[0].id, priced.lines);
+        return result.rows[0].id;
+      });
+
+      return await this.getInvoiceById(invoiceId);
+    } catch (error) {
+      console.error('Create sales invoice error:', error);
+      throw error;
+    }
+  }
+
+  // Only drafts can be changed; the lines are replaced as a whole
+  static async updateInvoice(invoiceId, invoiceData) {
+    const priced = this.validateInvoiceData(invoiceData);
+
+    try {
+      await transaction(async (client) => {
+        const existing = await client.query(
+          `SELECT status FROM sales_invoices WHERE id = $1 FOR UPDATE`,
+          [invoiceId]
+        );
+
+        if (existing.rows.length === 0) {
+          throw new Error('Sales invoice not found');
+        }
+
+        if (existing.rows[0].status !== 'draft') {
+          throw new Error(`Only draft invoices can be edited; this invoice is ${existing.rows[0].status}`);
+        }
+
+        await this._assertAccounts(client, invoiceData, priced.lines);
+        const dbDueDate = await this._resolveDueDate(client, invoiceData.customer_id, priced.dbInvoiceDate, priced.dbDueDate);
+
+        await client.query(
+          `UPDATE sales_invoices
+           SET customer_id = $1, invoice_date = $2, due_date = $3, reference = $4, notes = $5,
+               receivable_account_id = $6, subtotal = $7, tax_total = $8, total = $9
+           WHERE id = $10`,
+          [parseInt(invoiceData.customer_id), priced.dbInvoiceDate, dbDueDate, invoiceData.reference || null,
+            invoiceData.notes || null, invoiceData.receivable_account_id || null,
+            money.toFixed(priced.subtotal), money.toFixed(priced.taxTotal), money.toFixed(priced.total), invoiceId]
+        );
+
+        await client.query('DELETE FROM sales_invoice_lines WHERE invoice_id = $1', [invoiceId]);
+        await this._insertLines(client, invoiceId, priced.lines);
+      });
+
+      return await this.getInvoiceById(invoiceId);
+    } catch (error) {
+      console.error('Update sales invoice error:', error);
+      throw error;
+    }
+  }
+
+  static async deleteInvoice(invoiceId) {
+    try {
+      const result = await query(
+        `DELETE FROM sales_invoices WHERE id = $1 AND status = 'draft' RETURNING id`,
+        [invoiceId]
+      );
+
+      if (result.rowCount === 0) {
+        throw new Error('Sales invoice not found or not a draft');
+      }
+
+      return { id: result.rows[0].id };
+    } catch (error) {
+      console.error('Delete sales invoice error:', error);
+      throw error;
+    }
+  }
+
+  // Approval posts the invoice through AccountingModel.createTransaction in the same DB
+  // transaction that links it: Dr receivable (total, due on the invoice due date),
+  // Cr each revenue account, Cr sales tax payable.
+  static async approveInvoice(invoiceId) {
+    try {
+      await transaction(async (client) => {
+        const invoiceResult = await client.query(
+          `SELECT si.*, TO_CHAR(si.invoice_date, 'YYYY-MM-DD') as invoice_date,
+                  TO_CHAR(si.due_date, 'YYYY-MM-DD') as due_date, c.name as customer_name
+           FROM sales_invoices si
+           JOIN customers c ON si.customer_id = c.id
+           WHERE si.id = $1
+           FOR UPDATE OF si`,
+          [invoiceId]
+        );
+
+        if (invoiceResult.rows.length === 0) {
+          throw new Error('Sales invoice not found');
+        }
+
+        const invoice = invoiceResult.rows[0];
+
+        if (invoice.status !== 'draft') {
+          throw new Error(`Sales invoice is already ${invoice.status}`);
+        }
+
+        const linesResult = await client.query(
+          `SELECT account_id, amount, tax_amount FROM sales_invoice_lines WHERE invoice_id = $1 ORDER BY line_number`,
+          [invoiceId]
+        );
+
+        const receivableAccountId = invoice.receivable_account_id || await this._getDefaultReceivableAccountId(client);
+        const entries = [{
+          account_id: receivableAccountId,
+          amount: money.toFixed(invoice.total),
+          entry_type: 'Debit',
+          customer_id: invoice.customer_id,
+          due_date: AccountingModel.convertToDDMMYYYY(invoice.due_date)
+        }];
+
+        const revenueByAccount = new Map();
+        linesResult.rows.forEach(line => {
+          revenueByAccount.set(line.account_id, money.add(revenueByAccount.get(line.account_id) || 0, line.amount));
+        });
+
+        revenueByAccount.forEach((amount, accountId) => {
+          if (!money.isZero(amount)) {
+            entries.push({ account_id: accountId, amount: money.toFixed(amount), entry_type: 'Credit' });
+          }
+        });
+
+        if (!money.isZero(invoice.tax_total)) {
+          entries.push({
+            account_id: await this._getSalesTaxAccountId(client),
+            amount: money.toFixed(invoice.tax_total),
+            entry_type: 'Credit'
+          });
+        }
+
+        const posted = await AccountingModel.createTransaction({
+          date: AccountingModel.convertToDDMMYYYY(invoice.invoice_date),
+          description: `Sales invoice to ${invoice.customer_name}`.substring(0, 200),
+          reference: invoice.reference || '',
+          entries: entries,
+          series_code: SALES_INVOICE_SERIES
+        }, { client, source: 'sales_invoice' });
+
+        await client.query(
+          `UPDATE sales_invoices
+           SET status = 'approved', invoice_number = $1, transaction_id = $2, receivable_account_id = $3, approved_at = NOW()
+           WHERE id = $4`,
+          [posted.voucherNumber, posted.transactionId, receivableAccountId, invoiceId]
+        );
+      });
+
+      return await this.getInvoiceById(invoiceId);
+    } catch (error) {
+      console.error('Approve sales invoice error:', error);
+      throw error;
+    }
+  }
+
+  // Voiding mirrors the posting on the invoice date, so the invoice nets to zero in its period
+  static async voidInvoice(invoiceId, reason) {
+    try {
+      await transaction(async (client) => {
+        const result = await client.query(
+          `SELECT si.status, si.transaction_id, t.status as transaction_status
+           FROM sales_invoices si
+           LEFT JOIN transactions t ON si.transaction_id = t.id
+           WHERE si.id = $1
+           FOR UPDATE OF si`,
+          [invoiceId]
+        );
+
+        if (result.rows.length === 0) {
+          throw new Error('Sales invoice not found');
+        }
+
+        const invoice = result.rows[0];
+
+        if (invoice.status !== 'approved') {
+          throw new Error(invoice.status === 'draft' ? 'Draft invoices are deleted, not voided' : 'Sales invoice is already voided');
+        }
+
+        if (invoice.transaction_status === 'posted') {
+          await AccountingModel.reverseTransaction(invoice.transaction_id, { reason, mode: 'void' }, { client });
+        }
+
+        await client.query(`UPDATE sales_invoices SET status = 'voided' WHERE id = $1`, [invoiceId]);
+      });
+
+      return await this.getInvoiceById(invoiceId);
+    } catch (error) {
+      console.error('Void sales invoice error:', error);
+      throw error;
+    }
+  }
+
+  static async _getDefaultReceivableAccountId(client) {
+    const result = await client.query(
+      `SELECT id FROM accounts WHERE control_type = 'receivable' AND is_active = true ORDER BY account_code LIMIT 1`
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('No active Accounts Receivable control account is configured');
+    }
+
+    return result.rows[0].id;
+  }
+
+  // Output tax goes to sales_tax_account_code in company_details.json (default 2003)
+  static async _getSalesTaxAccountId(client) {
+    const PeriodModel = require('./periodModel');
+    const accountCode = PeriodModel._getSystemSetting('sales_tax_account_code') || '2003';
+    const result = await client.query(
+      `SELECT id, account_type FROM accounts WHERE account_code = $1 AND is_active = true`,
+      [accountCode]
+    );
+
+    if (result.rows.length === 0 || result.rows[0].account_type !== 'Liability') {
+      throw new Error(`Sales tax account ${accountCode} must be an active Liability account`);
+    }
+
+    return result.rows[0].id;
+  }
+}
+
+module.exports = SalesInvoiceModel;
@@ -0,0 +1,245 @@
+// backend/models/templateModel.js - Saved journal entry templates for the transaction form
+const { query } = require('../database/db');
+const AccountingModel = require('./accountingModel');
+const money = require('../utils/money');
+
+// fixed: the amount is kept with the template; percent: a percentage of the amount entered
+// when the template is applied; open: typed in each time
+const AMOUNT_TYPES = ['fixed', 'percent', 'open'];
+
+const PERCENT_PATTERN = /^\d{1,4}(\.\d{1,4})?$/;
+
+class TemplateModel {
+  // ===== VALIDATION =====
+
+  static _percentUnits(value) {
+    const [whole, fraction = ''] = String(value).split('.');
+    return parseInt(whole, 10) * 10000 + parseInt(fraction.padEnd(4, '0'), 10);
+  }
+
+  static _validateLine(line, index) {
+    const label = `Line ${index + 1}: `;
+    const accountId = parseInt(line.account_id);
+    if (!accountId) {
+      throw new Error(`${label}Account is required`);
+    }
+
+    if (!['Debit', 'Credit'].includes(line.entry_type)) {
+      throw new Error(`${label}Entry type must be Debit or Credit`);
+    }
+
+    const amountType = line.amount_type || 'open';
+    if (!AMOUNT_TYPES.includes(amountType)) {
+      throw new Error(`${label}Amount type must be one of: ${AMOUNT_TYPES.join(', ')}`);
+    }
+
+    let amount = null;
+    if (amountType === 'fixed') {
+      if (!money.isExact(line.amount) || money.toMinor(line.amount) <= 0) {
+        throw new Error(`${label}Fixed amount must be greater than zero with at most 2 decimal places`);
+      }
+      amount = money.toFixed(line.amount);
+    } else if (amountType === 'percent') {
+      const percent = String(line.amount === undefined || line.amount === null ? '' : line.amount).trim();
+      if (!PERCENT_PATTERN.test(percent) || this._percentUnits(percent) === 0 || this._percentUnits(percent) > 10000000) {
+        throw new Error(`${label}Percentage must be greater than 0 and at most 1000, with up to 4 decimal places`);
+      }
+      amount = percent;
+    }
+
+    return { account_id: accountId, entry_type: line.entry_type, amount_type: amountType, amount };
+  }
+
+  // Checks template data and returns it in column form. Templates made only of fixed amounts,
+  // or only of percentages, must balance; open lines are balanced on the form instead.
+  static validateTemplateData(templateData) {
+    const name = String(templateData.name || '').trim();
+    if (!name) {
+      throw new Error('Template name is required');
+    }
+    if (name.length > 100) {
+      throw new Error('Template name must be less than 100 characters');
+    }
+
+    const descriptionPattern = String(templateData.description_pattern || '').trim();
+    if (descriptionPattern.length > 200) {
+      throw new Error('Description must be less than 200 characters');
+    }
+
+    const reference = String(templateData.reference || '').trim();
+    if (reference.length > 100) {
+      throw new Error('Reference must be less than 100 characters');
+    }
+
+    if (!Array.isArray(templateData.lines) || templateData.lines.length < 2) {
+      throw new Error('A template needs at least two lines');
+    }
+
+    const lines = templateData.lines.map((line, index) => this._validateLine(line, index));
+
+    if (!lines.some(line => line.entry_type === 'Debit') || !lines.some(line => line.entry_type === 'Credit')) {
+      throw new Error('A template needs at least one debit and one credit line');
+    }
+
+    const side = (entryType) => lines.filter(line => line.entry_type === entryType);
+    if (lines.every(line => line.amount_type === 'fixed')) {
+      const debits = money.sumBy(side('Debit'), 'amount');
+      const credits = money.sumBy(side('Credit'), 'amount');
+      if (!money.equals(debits, credits)) {
+        throw new Error(`Fixed amounts do not balance: debits ${money.toFixed(debits)}, credits ${money.toFixed(credits)}`);
+      }
+    }
+
+    if (lines.every(line => line.amount_type === 'percent')) {
+      const total = (entryType) => side(entryType).reduce((units, line) => units + this._percentUnits(line.amount), 0);
+      if (total('Debit') !== total('Credit')) {
+        throw new Error('Debit and credit percentages must add up to the same total');
+      }
+    }
+
+    return {
+      name,
+      description_pattern: descriptionPattern || null,
+      reference: reference || null,
+      lines,
+      is_shared: templateData.is_shared === true || templateData.is_shared === 'true'
+    };
+  }
+
+  static async _assertTemplateAccounts(lines) {
+    const accountIds = [...new Set(lines.map(line => line.account_id))];
+    const result = await query(
+      `SELECT id FROM accounts WHERE id = ANY($1::int[]) AND is_active = true`,
+      [accountIds]
+    );
+
+    const found = new Set(result.rows.map(row => row.id));
+    const missing = lines.findIndex(line => !found.has(line.account_id));
+    if (missing !== -1) {
+      throw new Error(`Line ${missing + 1}: Account not found or inactive`);
+    }
+  }
+
+  // ===== TEMPLATES =====
+
+  static _formatTemplate(row, userId) {
+    return {
+      id: row.id,
+      name: row.name,
+      description_pattern: row.description_pattern,
+      reference: row.reference,
+      lines: row.lines,
+      is_shared: row.is_shared,
+      is_own: row.created_by === userId,
+      created_by: row.created_by_username || null,
+      updated_at_formatted: row.updated_at ? AccountingModel.formatDateToPakistan(row.updated_at) : null
+    };
+  }
+
+  // Templates a user can see: their own and every shared one
+  static async getTemplates(userId) {
+    try {
+      const result = await query(
+        `SELECT t.*, u.username as created_by_username
+         FROM transaction_templates t
+         LEFT JOIN users u ON t.created_by = u.id
+         WHERE t.is_shared = true OR t.created_by = $1
+         ORDER BY t.name, t.id`,
+        [userId]
+      );
+      return result.rows.map(row => this._formatTemplate(row, userId));
+    } catch (error) {
+      console.error('Get transaction templates error:', error);
+      throw error;
+    }
+  }
+
+  static async getTemplateById(templateId, userId) {
+    try {
+      const result = await query(
+        `SELECT t.*, u.username as created_by_username
+         FROM transaction_templates t
+         LEFT JOIN users u ON t.created_by = u.id
+         WHERE t.id = $1 AND (t.is_shared = true OR t.created_by = $2)`,
+        [templateId, userId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Transaction template not found');
+      }
+
+      return this._formatTemplate(result.rows[0], userId);
+    } catch (error) {
+      console.error('Get transaction template error:', error);
+      throw error;
+    }
+  }
+
+  static async createTemplate(templateData, userId) {
+    const data = this.validateTemplateData(templateData);
+
+    try {
+      await this._assertTemplateAccounts(data.lines);
+
+      const result = await query(
+        `INSERT INTO transaction_templates (name, description_pattern, reference, lines, is_shared, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [data.name, data.description_pattern, data.reference, JSON.stringify(data.lines), data.is_shared, userId]
+      );
+
+      return this.getTemplateById(result.rows[0].id, userId);
+    } catch (error) {
+      console.error('Create transaction template error:', error);
+      throw error;
+    }
+  }
+
+  // Shared templates can be changed by any admin, but only their creator can make them private again
+  static async updateTemplate(templateId, templateData, userId) {
+    const data = this.validateTemplateData(templateData);
+
+    try {
+      const existing = await this.getTemplateById(templateId, userId);
+      if (!existing.is_own && !data.is_shared) {
+        throw new Error('Only the creator of a shared template can make it private');
+      }
+
+      await this._assertTemplateAccounts(data.lines);
+
+      await query(
+        `UPDATE transaction_templates
+         SET name = $1, description_pattern = $2, reference = $3, lines = $4, is_shared = $5
+         WHERE id = $6`,
+        [data.name, data.description_pattern, data.reference, JSON.stringify(data.lines), data.is_shared, templateId]
+      );
+
+      return this.getTemplateById(templateId, userId);
+    } catch (error) {
+      console.error('Update transaction template error:', error);
+      throw error;
+    }
+  }
+
+  static async deleteTemplate(templateId, userId) {
+    try {
+      const result = await query(
+        `DELETE FROM transaction_templates
+         WHERE id = $1 AND (is_shared = true OR created_by = $2)
+         RETURNING id`,
+        [templateId, userId]
+      );
+
+      if (result.rowCount === 0) {
+        throw new Error('Transaction template not found');
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Delete transaction template error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TemplateModel;
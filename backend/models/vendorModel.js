@@ -0,0 +1,307 @@
+// backend/models/vendorModel.js - Vendors (suppliers) and the accounts payable sub-ledger
+const { query } = require('../database/db');
+const AccountingModel = require('./accountingModel');
+const money = require('../utils/money');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class VendorModel {
+  static _formatVendor(row, balance = 0) {
+    return {
+      id: row.id,
+      name: row.name,
+      contact_person: row.contact_person,
+      email: row.email,
+      phone: row.phone,
+      address: row.address,
+      tax_number: row.tax_number,
+      payment_terms_days: row.payment_terms_days,
+      is_active: row.is_active,
+      balance: balance,
+      created_at_formatted: AccountingModel.formatDateToPakistan(row.created_at),
+      updated_at_formatted: AccountingModel.formatDateToPakistan(row.updated_at)
+    };
+  }
+
+  static validateVendorData(vendorData) {
+    const { name, email, payment_terms_days } = vendorData;
+
+    if (!name || String(name).trim() === '') {
+      throw new Error('Vendor name is required');
+    }
+
+    if (String(name).trim().length > 100) {
+      throw new Error('Vendor name must be less than 100 characters');
+    }
+
+    if (email && !EMAIL_PATTERN.test(String(email).trim())) {
+      throw new Error('Invalid email address');
+    }
+
+    if (payment_terms_days !== undefined && payment_terms_days !== null && payment_terms_days !== '') {
+      const days = Number(payment_terms_days);
+      if (!Number.isInteger(days) || days < 0 || days > 365) {
+        throw new Error('Payment terms must be a whole number of days between 0 and 365');
+      }
+    }
+
+    return true;
+  }
+
+  static _vendorValues(vendorData) {
+    const clean = (value) => (value && String(value).trim()) || null;
+
+    return [
+      String(vendorData.name).trim(),
+      clean(vendorData.contact_person),
+      clean(vendorData.email),
+      clean(vendorData.phone),
+      clean(vendorData.address),
+      clean(vendorData.tax_number),
+      vendorData.payment_terms_days !== undefined && vendorData.payment_terms_days !== null && vendorData.payment_terms_days !== ''
+        ? Number(vendorData.payment_terms_days)
+        : 30
+    ];
+  }
+
+  // Payable balance of each vendor, keyed by vendor id
+  static async _getBalances(dbAsOf = null) {
+    const balances = await AccountingModel.getSubledgerBalances('payable', dbAsOf);
+    return new Map(balances.map(row => [row.party_id, row.balance]));
+  }
+
+  static async getAllVendors(includeInactive = false) {
+    try {
+      const result = await query(`
+        SELECT * FROM vendors
+        ${includeInactive ? '' : 'WHERE is_active = true'}
+        ORDER BY name
+      `);
+
+      const balances = await this._getBalances();
+
+      return result.rows.map(row => this._formatVendor(row, balances.get(row.id) || 0));
+    } catch (error) {
+      console.error('Get vendors error:', error);
+      throw error;
+    }
+  }
+
+  static async getVendorById(vendorId) {
+    try {
+      const result = await query(`SELECT * FROM vendors WHERE id = $1`, [vendorId]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Vendor not found');
+      }
+
+      const balances = await this._getBalances();
+
+      return this._formatVendor(result.rows[0], balances.get(result.rows[0].id) || 0);
+    } catch (error) {
+      console.error('Get vendor error:', error);
+      throw error;
+    }
+  }
+
+  static async createVendor(vendorData) {
+    this.validateVendorData(vendorData);
+
+    try {
+      const result = await query(
+        `INSERT INTO vendors (name, contact_person, email, phone, address, tax_number, payment_terms_days)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        this._vendorValues(vendorData)
+      );
+
+      return this._formatVendor(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(`Vendor "${String(vendorData.name).trim()}" already exists`);
+      }
+      console.error('Create vendor error:', error);
+      throw error;
+    }
+  }
+
+  static async updateVendor(vendorId, vendorData) {
+    this.validateVendorData(vendorData);
+
+    try {
+      const result = await query(
+        `UPDATE vendors
+         SET name = $1, contact_person = $2, email = $3, phone = $4, address = $5, tax_number = $6,
+             payment_terms_days = $7
+         WHERE id = $8 AND is_active = true
+         RETURNING *`,
+        [...this._vendorValues(vendorData), vendorId]
+      );
+
+      if (result.rowCount === 0) {
+        throw new Error('Vendor not found or inactive');
+      }
+
+      const balances = await this._getBalances();
+
+      return this._formatVendor(result.rows[0], balances.get(result.rows[0].id) || 0);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(`Vendor "${String(vendorData.name).trim()}" already exists`);
+      }
+      console.error('Update vendor error:', error);
+      throw error;
+    }
+  }
+
+  // Vendors are deactivated rather than deleted, and only once nothing is owed to them
+  static async deactivateVendor(vendorId) {
+    try {
+      const balances = await this._getBalances();
+      const balance = balances.get(parseInt(vendorId)) || 0;
+
+      if (!money.isZero(balance)) {
+        throw new Error(`Cannot deactivate a vendor with an outstanding balance of ${money.toFixed(balance)}`);
+      }
+
+      const result = await query(
+        `UPDATE vendors SET is_active = false WHERE id = $1 AND is_active = true RETURNING *`,
+        [vendorId]
+      );
+
+      if (result.rowCount === 0) {
+        throw new Error('Vendor not found or already inactive');
+      }
+
+      return this._formatVendor(result.rows[0]);
+    } catch (error) {
+      console.error('Deactivate vendor error:', error);
+      throw error;
+    }
+  }
+
+  // Statement of account: opening balance, every payable entry of the vendor in the
+  // period with a running balance, and the closing balance
+  static async getVendorStatement(vendorId, startDate, endDate) {
+    const dbStartDate = AccountingModel.convertToYYYYMMDD(startDate);
+    const dbEndDate = AccountingModel.convertToYYYYMMDD(endDate);
+
+    if (!dbStartDate || !dbEndDate) {
+      throw new Error('Invalid date format. Use dd/mm/yyyy');
+    }
+
+    if (dbStartDate > dbEndDate) {
+      throw new Error('Start date must be on or before end date');
+    }
+
+    try {
+      const vendor = await this.getVendorById(vendorId);
+
+      const openingResult = await query(
+        `SELECT COALESCE(SUM(CASE WHEN je.entry_type = a.normal_balance THEN je.amount ELSE -je.amount END), 0) as opening_balance
+         FROM journal_entries je
+         JOIN accounts a ON je.account_id = a.id
+         JOIN transactions t ON je.transaction_id = t.id
+         WHERE je.vendor_id = $1
+         AND a.control_type = 'payable'
+         AND t.transaction_date < $2`,
+        [vendorId, dbStartDate]
+      );
+
+      const openingBalance = money.round(openingResult.rows[0].opening_balance);
+
+      const entriesResult = await query(
+        `SELECT
+          t.id as transaction_id,
+          t.transaction_number,
+          t.voucher_number,
+          TO_CHAR(t.transaction_date, 'YYYY-MM-DD') as transaction_date,
+          t.description,
+          t.reference,
+          t.status,
+          a.account_code,
+          a.normal_balance,
+          je.amount,
+          je.entry_type
+        FROM journal_entries je
+        JOIN accounts a ON je.account_id = a.id
+        JOIN transactions t ON je.transaction_id = t.id
+        WHERE je.vendor_id = $1
+        AND a.control_type = 'payable'
+        AND t.transaction_date BETWEEN $2 AND $3
+        ORDER BY t.transaction_date, t.id, je.id`,
+        [vendorId, dbStartDate, dbEndDate]
+      );
+
+      let runningBalance = openingBalance;
+
+      const lines = entriesResult.rows.map(row => {
+        const amount = money.round(row.amount);
+        const isBill = row.entry_type === row.normal_balance;
+        runningBalance = money.add(runningBalance, isBill ? amount : money.negate(amount));
+
+        return {
+          transaction_id: row.transaction_id,
+          transaction_number: row.transaction_number,
+          voucher_number: row.voucher_number,
+          date: row.transaction_date,
+          date_formatted: AccountingModel.convertToDDMMYYYY(row.transaction_date),
+          description: row.description,
+          reference: row.reference || '',
+          status: row.status,
+          account_code: row.account_code,
+          entry_type: row.entry_type,
+          bills: isBill ? amount : 0,
+          payments: isBill ? 0 : amount,
+          running_balance: runningBalance
+        };
+      });
+
+      return {
+        vendor: vendor,
+        period: {
+          startDate: startDate,
+          endDate: endDate
+        },
+        openingBalance: openingBalance,
+        closingBalance: runningBalance,
+        totalBills: money.sumBy(lines, 'bills'),
+        totalPayments: money.sumBy(lines, 'payments'),
+        lines: lines
+      };
+    } catch (error) {
+      console.error('Get vendor statement error:', error);
+      throw error;
+    }
+  }
+
+  // Accounts payable sub-ledger: the balance owed to every vendor as of a date, tied out
+  // to the payable control accounts on the balance sheet
+  static async getPayablesSubledger(asOf = null) {
+    try {
+      const dbAsOf = AccountingModel.parseAsOfDate(asOf);
+
+      const vendorsResult = await query(`SELECT * FROM vendors ORDER BY name`);
+      const balances = await this._getBalances(dbAsOf);
+
+      const vendors = vendorsResult.rows
+        .map(row => this._formatVendor(row, balances.get(row.id) || 0))
+        .filter(vendor => vendor.is_active || !money.isZero(vendor.balance));
+
+      const reconciliation = await AccountingModel.getSubledgerReconciliation('payable', dbAsOf);
+
+      return {
+        vendors: vendors,
+        totalPayable: money.sumBy(vendors, 'balance'),
+        unassignedBalance: reconciliation.unassignedBalance,
+        reconciliation: reconciliation,
+        asOf: asOf || null
+      };
+    } catch (error) {
+      console.error('Get payables sub-ledger error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = VendorModel;
@@ -0,0 +1,456 @@
+// backend/models/vendorPaymentModel.js - Vendor payments settling one or many purchase bills
+const { query, transaction } = require('../database/db');
+const AccountingModel = require('./accountingModel');
+const PurchaseBillModel = require('./purchaseBillModel');
+const money = require('../utils/money');
+
+// Payments are numbered by the voucher number of their posting in this series
+const VENDOR_PAYMENT_SERIES = 'CP';
+const DATE_PATTERN = /^\d{1,2}\/\d{1,2}\/\d{4}$/;
+
+class VendorPaymentModel {
+  static _formatPayment(row, allocations = undefined) {
+    // A payment whose posting was voided from Transaction History is void as well
+    const status = row.status === 'posted' && row.transaction_status && row.transaction_status !== 'posted'
+      ? 'voided'
+      : row.status;
+
+    const allocatedAmount = status === 'posted' ? money.round(row.allocated_amount) : 0;
+
+    return {
+      id: row.id,
+      payment_number: row.payment_number,
+      vendor_id: row.vendor_id,
+      vendor_name: row.vendor_name,
+      payment_date: AccountingModel.convertToDDMMYYYY(row.payment_date),
+      payment_account_id: row.payment_account_id,
+      payment_account_code: row.payment_account_code,
+      payment_account_name: row.payment_account_name,
+      payable_account_id: row.payable_account_id,
+      amount: money.round(row.amount),
+      allocated_amount: allocatedAmount,
+      // Overpayments and payments on account stay with the vendor as unapplied credit
+      unapplied_amount: status === 'posted' ? money.subtract(row.amount, allocatedAmount) : 0,
+      reference: row.reference || '',
+      notes: row.notes || '',
+      status: status,
+      transaction_id: row.transaction_id,
+      transaction_number: row.transaction_number,
+      created_at_formatted: AccountingModel.formatDateToPakistan(row.created_at),
+      updated_at_formatted: AccountingModel.formatDateToPakistan(row.updated_at),
+      allocations: allocations
+    };
+  }
+
+  static _paymentSelect(whereClause) {
+    return `
+      SELECT
+        vp.*,
+        TO_CHAR(vp.payment_date, 'YYYY-MM-DD') as payment_date,
+        v.name as vendor_name,
+        a.account_code as payment_account_code,
+        a.account_name as payment_account_name,
+        t.transaction_number,
+        t.status as transaction_status,
+        COALESCE(allocated.allocated_amount, 0) as allocated_amount
+      FROM vendor_payments vp
+      JOIN vendors v ON vp.vendor_id = v.id
+      JOIN accounts a ON vp.payment_account_id = a.id
+      LEFT JOIN transactions t ON vp.transaction_id = t.id
+      LEFT JOIN (
+        SELECT payment_id, SUM(amount) as allocated_amount
+        FROM (${PurchaseBillModel.getActiveAllocationsQuery()}) active
+        GROUP BY payment_id
+      ) allocated ON allocated.payment_id = vp.id
+      ${whereClause}
+    `;
+  }
+
+  // Validates [{ bill_id, amount }] and returns it with amounts in exact form
+  static _validateAllocations(allocations) {
+    if (allocations === undefined || allocations === null) {
+      return [];
+    }
+
+    if (!Array.isArray(allocations)) {
+      throw new Error('Allocations must be a list of { bill_id, amount }');
+    }
+
+    const seen = new Set();
+    return allocations.map((allocation, index) => {
+      const label = `Allocation ${index + 1}`;
+      const billId = parseInt(allocation.bill_id);
+
+      if (!allocation.bill_id || isNaN(billId)) {
+        throw new Error(`${label}: Bill is required`);
+      }
+
+      if (seen.has(billId)) {
+        throw new Error(`${label}: Bill is allocated more than once`);
+      }
+      seen.add(billId);
+
+      let amount = NaN;
+      try {
+        amount = money.toMinor(allocation.amount, undefined, { strict: true });
+      } catch (error) {
+        // Reported below
+      }
+      if (isNaN(amount) || amount <= 0) {
+        throw new Error(`${label}: Amount must be a positive amount with up to 2 decimal places`);
+      }
+
+      return { bill_id: billId, amount: money.round(allocation.amount) };
+    });
+  }
+
+  static validatePaymentData(paymentData) {
+    const { vendor_id, payment_date, payment_account_id, amount, reference } = paymentData;
+
+    if (!vendor_id || isNaN(parseInt(vendor_id))) {
+      throw new Error('Vendor is required');
+    }
+
+    if (!payment_date || !DATE_PATTERN.test(String(payment_date))) {
+      throw new Error('Payment date is required in dd/mm/yyyy format');
+    }
+
+    if (!payment_account_id || isNaN(parseInt(payment_account_id))) {
+      throw new Error('Cash or bank account is required');
+    }
+
+    let amountMinor = NaN;
+    try {
+      amountMinor = money.toMinor(amount, undefined, { strict: true });
+    } catch (error) {
+      // Reported below
+    }
+    if (isNaN(amountMinor) || amountMinor <= 0) {
+      throw new Error('Payment amount must be a positive amount with up to 2 decimal places');
+    }
+
+    if (reference && String(reference).length > 50) {
+      throw new Error('Reference must be less than 50 characters');
+    }
+
+    const allocations = this._validateAllocations(paymentData.allocations);
+    if (money.compare(money.sumBy(allocations, 'amount'), amount) > 0) {
+      throw new Error('Allocations cannot exceed the payment amount');
+    }
+
+    return {
+      dbPaymentDate: AccountingModel.convertToYYYYMMDD(String(payment_date)),
+      amount: money.round(amount),
+      allocations
+    };
+  }
+
+  // Applies allocations to approved, still-open bills of the payment's vendor and payable
+  // account. Bill rows are locked so two payments cannot settle the same balance twice.
+  static async _applyAllocations(client, payment, allocations, unappliedAmount) {
+    if (allocations.length === 0) {
+      return;
+    }
+
+    if (money.compare(money.sumBy(allocations, 'amount'), unappliedAmount) > 0) {
+      throw new Error(`Allocations exceed the unapplied amount of ${money.toFixed(unappliedAmount)} on this payment`);
+    }
+
+    const billIds = allocations.map(allocation => allocation.bill_id);
+    const billsResult = await client.query(
+      `SELECT pb.id, pb.bill_number, pb.vendor_id, pb.payable_account_id, pb.status, pb.total, t.status as transaction_status
+       FROM purchase_bills pb
+       LEFT JOIN transactions t ON pb.transaction_id = t.id
+       WHERE pb.id = ANY($1::integer[])
+       ORDER BY pb.id
+       FOR UPDATE OF pb`,
+      [billIds]
+    );
+    const billsById = new Map(billsResult.rows.map(bill => [bill.id, bill]));
+
+    const paidResult = await client.query(
+      `SELECT bill_id, SUM(amount) as amount_paid
+       FROM (${PurchaseBillModel.getActiveAllocationsQuery()}) active
+       WHERE bill_id = ANY($1::integer[])
+       GROUP BY bill_id`,
+      [billIds]
+    );
+    const paidByBill = new Map(paidResult.rows.map(row => [row.bill_id, row.amount_paid]));
+
+    for (const allocation of allocations) {
+      const bill = billsById.get(allocation.bill_id);
+
+      if (!bill || bill.status !== 'approved' || bill.transaction_status !== 'posted') {
+        throw new Error(`Bill ${bill && bill.bill_number ? bill.bill_number : allocation.bill_id} is not an approved bill`);
+      }
+
+      if (bill.vendor_id !== payment.vendor_id) {
+        throw new Error(`Bill ${bill.bill_number} belongs to a different vendor`);
+      }
+
+      if (bill.payable_account_id !== payment.payable_account_id) {
+        throw new Error(`Bill ${bill.bill_number} was posted to a different payable account`);
+      }
+
+      const openBalance = money.subtract(bill.total, paidByBill.get(bill.id) || 0);
+      if (money.compare(allocation.amount, openBalance) > 0) {
+        throw new Error(`Allocation to bill ${bill.bill_number} exceeds its open balance of ${money.toFixed(openBalance)}`);
+      }
+
+      await client.query(
+        `INSERT INTO vendor_payment_allocations (payment_id, bill_id, amount)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (payment_id, bill_id) DO UPDATE SET amount = vendor_payment_allocations.amount + EXCLUDED.amount`,
+        [payment.id, bill.id, money.toFixed(allocation.amount)]
+      );
+    }
+  }
+
+  // filters: status, vendorId, unappliedOnly (posted payments with credit left to apply)
+  static async getAllPayments(filters = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (filters.status) {
+        params.push(filters.status);
+        conditions.push(`vp.status = $${params.length}`);
+      }
+
+      if (filters.vendorId) {
+        params.push(filters.vendorId);
+        conditions.push(`vp.vendor_id = $${params.length}`);
+      }
+
+      if (filters.unappliedOnly) {
+        conditions.push(`vp.status = 'posted' AND t.status = 'posted' AND vp.amount > COALESCE(allocated.allocated_amount, 0)`);
+      }
+
+      const result = await query(
+        `${this._paymentSelect(conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '')}
+         ORDER BY vp.payment_date DESC, vp.id DESC`,
+        params
+      );
+
+      return result.rows.map(row => this._formatPayment(row));
+    } catch (error) {
+      console.error('Get vendor payments error:', error);
+      throw error;
+    }
+  }
+
+  static async getPaymentById(paymentId) {
+    try {
+      const result = await query(this._paymentSelect('WHERE vp.id = $1'), [paymentId]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Vendor payment not found');
+      }
+
+      const allocationsResult = await query(
+        `SELECT pb.id as bill_id, pb.bill_number, pb.vendor_invoice_number,
+                TO_CHAR(pb.bill_date, 'YYYY-MM-DD') as bill_date, active.amount
+         FROM (${PurchaseBillModel.getActiveAllocationsQuery()}) active
+         JOIN purchase_bills pb ON active.bill_id = pb.id
+         WHERE active.payment_id = $1
+         ORDER BY pb.bill_date, pb.id`,
+        [paymentId]
+      );
+
+      const allocations = allocationsResult.rows.map(row => ({
+        bill_id: row.bill_id,
+        bill_number: row.bill_number,
+        vendor_invoice_number: row.vendor_invoice_number || '',
+        bill_date: AccountingModel.convertToDDMMYYYY(row.bill_date),
+        amount: money.round(row.amount)
+      }));
+
+      return this._formatPayment(result.rows[0], allocations);
+    } catch (error) {
+      console.error('Get vendor payment error:', error);
+      throw error;
+    }
+  }
+
+  // Posts Dr payable (vendor) / Cr cash or bank through AccountingModel.createTransaction
+  // and applies the allocations, all in one DB transaction
+  static async createPayment(paymentData) {
+    const validated = this.validatePaymentData(paymentData);
+
+    try {
+      const paymentId = await transaction(async (client) => {
+        const vendorResult = await client.query(
+          `SELECT id, name FROM vendors WHERE id = $1 AND is_active = true`,
+          [paymentData.vendor_id]
+        );
+
+        if (vendorResult.rows.length === 0) {
+          throw new Error('Vendor not found or inactive');
+        }
+
+        const vendor = vendorResult.rows[0];
+
+        const accountResult = await client.query(
+          `SELECT id FROM accounts WHERE id = $1 AND account_type = 'Asset' AND cash_flow_category = 'cash' AND is_active = true`,
+          [paymentData.payment_account_id]
+        );
+
+        if (accountResult.rows.length === 0) {
+          throw new Error('Payment account must be an active cash or bank account');
+        }
+
+        let payableAccountId = paymentData.payable_account_id ? parseInt(paymentData.payable_account_id) : null;
+        if (payableAccountId) {
+          const payableResult = await client.query(
+            `SELECT id FROM accounts WHERE id = $1 AND control_type = 'payable' AND is_active = true`,
+            [payableAccountId]
+          );
+
+          if (payableResult.rows.length === 0) {
+            throw new Error('Payable account must be an active Accounts Payable control account');
+          }
+        } else {
+          payableAccountId = await PurchaseBillModel.getDefaultPayableAccountId(client);
+        }
+
+        const posted = await AccountingModel.createTransaction({
+          date: AccountingModel.convertToDDMMYYYY(validated.dbPaymentDate),
+          description: `Payment to ${vendor.name}`.substring(0, 200),
+          reference: paymentData.reference || '',
+          entries: [
+            { account_id: payableAccountId, amount: money.toFixed(validated.amount), entry_type: 'Debit', vendor_id: vendor.id },
+            { account_id: parseInt(paymentData.payment_account_id), amount: money.toFixed(validated.amount), entry_type: 'Credit' }
+          ],
+          series_code: VENDOR_PAYMENT_SERIES
+        }, { client, source: 'vendor_payment' });
+
+        const result = await client.query(
+          `INSERT INTO vendor_payments
+           (payment_number, vendor_id, payment_date, payment_account_id, payable_account_id, amount, reference, notes, transaction_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING id, vendor_id, payable_account_id`,
+          [posted.voucherNumber, vendor.id, validated.dbPaymentDate, parseInt(paymentData.payment_account_id),
+            payableAccountId, money.toFixed(validated.amount), paymentData.reference || null,
+            paymentData.notes || null, posted.transactionId]
+        );
+
+        await this._applyAllocations(client, result.rows[0], validated.allocations, validated.amount);
+        return result.rows[0].id;
+      });
+
+      return await this.getPaymentById(paymentId);
+    } catch (error) {
+      console.error('Create vendor payment error:', error);
+      throw error;
+    }
+  }
+
+  // Applies unapplied credit on a posted payment to further bills
+  static async allocatePayment(paymentId, allocationsData) {
+    const allocations = this._validateAllocations(allocationsData);
+
+    if (allocations.length === 0) {
+      throw new Error('At least one allocation is required');
+    }
+
+    try {
+      await transaction(async (client) => {
+        const result = await client.query(
+          `SELECT vp.id, vp.vendor_id, vp.payable_account_id, vp.amount, vp.status, t.status as transaction_status
+           FROM vendor_payments vp
+           LEFT JOIN transactions t ON vp.transaction_id = t.id
+           WHERE vp.id = $1
+           FOR UPDATE OF vp`,
+          [paymentId]
+        );
+
+        if (result.rows.length === 0) {
+          throw new Error('Vendor payment not found');
+        }
+
+        const payment = result.rows[0];
+
+        if (payment.status !== 'posted' || payment.transaction_status !== 'posted') {
+          throw new Error('Only posted payments can be allocated');
+        }
+
+        const allocatedResult = await client.query(
+          `SELECT COALESCE(SUM(amount), 0) as allocated_amount
+           FROM (${PurchaseBillModel.getActiveAllocationsQuery()}) active
+           WHERE payment_id = $1`,
+          [paymentId]
+        );
+
+        await this._applyAllocations(
+          client,
+          payment,
+          allocations,
+          money.subtract(payment.amount, allocatedResult.rows[0].allocated_amount)
+        );
+      });
+
+      return await this.getPaymentById(paymentId);
+    } catch (error) {
+      console.error('Allocate vendor payment error:', error);
+      throw error;
+    }
+  }
+
+  // Takes an allocation back; the amount returns to the payment's unapplied credit
+  static async removeAllocation(paymentId, billId) {
+    try {
+      const result = await query(
+        `DELETE FROM vendor_payment_allocations WHERE payment_id = $1 AND bill_id = $2 RETURNING id`,
+        [paymentId, billId]
+      );
+
+      if (result.rowCount === 0) {
+        throw new Error('Allocation not found');
+      }
+
+      return await this.getPaymentById(paymentId);
+    } catch (error) {
+      console.error('Remove vendor payment allocation error:', error);
+      throw error;
+    }
+  }
+
+  // Voiding mirrors the posting on the payment date; the bills it settled are open again
+  static async voidPayment(paymentId, reason) {
+    try {
+      await transaction(async (client) => {
+        const result = await client.query(
+          `SELECT vp.status, vp.transaction_id, t.status as transaction_status
+           FROM vendor_payments vp
+           LEFT JOIN transactions t ON vp.transaction_id = t.id
+           WHERE vp.id = $1
+           FOR UPDATE OF vp`,
+          [paymentId]
+        );
+
+        if (result.rows.length === 0) {
+          throw new Error('Vendor payment not found');
+        }
+
+        const payment = result.rows[0];
+
+        if (payment.status !== 'posted') {
+          throw new Error('Vendor payment is already voided');
+        }
+
+        if (payment.transaction_status === 'posted') {
+          await AccountingModel.reverseTransaction(payment.transaction_id, { reason, mode: 'void' }, { client });
+        }
+
+        await client.query(`UPDATE vendor_payments SET status = 'voided' WHERE id = $1`, [paymentId]);
+      });
+
+      return await this.getPaymentById(paymentId);
+    } catch (error) {
+      console.error('Void vendor payment error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = VendorPaymentModel;
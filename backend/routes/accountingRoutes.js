@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const AccountingModel = require('../models/accountingModel');
+const DimensionModel = require('../models/dimensionModel');
 const { authenticate, authorize, authorizeAdmin } = require('../middleware/auth');
+const { formatErrorResponse } = require('../utils/routeHelpers');
 const fs = require('fs');
 const path = require('path');
 
@@ -27,25 +29,25 @@ const isValidDate = (dateStr) => {
     return true;
 };
 
-// Format error response consistently
-const formatErrorResponse = (error, includeStack = false) => {
-    return {
-        success: false,
-        message: error.message || 'An error occurred',
-        ...(includeStack && process.env.NODE_ENV === 'development' && { stack: error.stack })
-    };
-};
-
 
 // ===== APPLY AUTHENTICATION MIDDLEWARE TO ALL ROUTES =====
 router.use(authenticate);
 
 // ===== ACCOUNT MANAGEMENT ROUTES =====
 
-// Get all accounts (all authenticated users)
+// Get all accounts (all authenticated users); ?asOf=dd/mm/yyyy rebuilds balances from journal entries
 router.get('/accounts', async (req, res) => {
     try {
-        const accounts = await AccountingModel.getAllAccounts();
+        const { asOf } = req.query;
+        
+        if (asOf && !isValidDate(asOf)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Invalid date format. Use dd/mm/yyyy format for asOf' 
+            });
+        }
+        
+        const accounts = await AccountingModel.getAllAccounts(asOf);
         res.json({ 
             success: true, 
             data: accounts,
@@ -151,6 +153,56 @@ router.put('/accounts/:id', authorizeAdmin, async (req, res) => {
     }
 });
 
+// Set or clear an account's cash flow category (admin only)
+router.put('/accounts/:id/cash-flow-category', authorizeAdmin, async (req, res) => {
+    try {
+        const accountId = parseInt(req.params.id);
+        
+        if (!accountId || isNaN(accountId)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Valid account ID is required' 
+            });
+        }
+        
+        const result = await AccountingModel.updateCashFlowCategory(accountId, req.body.cash_flow_category);
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('Update cash flow category error:', error);
+        
+        if (error.message.includes('not found')) {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+        
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Mark or unmark an account as a sub-ledger control account (admin only)
+router.put('/accounts/:id/control-type', authorizeAdmin, async (req, res) => {
+    try {
+        const accountId = parseInt(req.params.id);
+        
+        if (!accountId || isNaN(accountId)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Valid account ID is required' 
+            });
+        }
+        
+        const result = await AccountingModel.updateControlType(accountId, req.body.control_type);
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('Update control type error:', error);
+        
+        if (error.message.includes('not found')) {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+        
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
 // Delete account (soft delete) (admin only)
 router.delete('/accounts/:id', authorizeAdmin, async (req, res) => {
     try {
@@ -257,13 +309,28 @@ router.get('/transactions', async (req, res) => {
     }
 });
 
-// Get next transaction number (all authenticated users)
+// Get next transaction number and voucher number (all authenticated users)
+// ?series= picks the number series (default series when omitted), ?date= the posting date for yearly series
 router.get('/transactions/next-number', async (req, res) => {
     try {
-        const result = await AccountingModel.getNextTransactionNumber();
+        const { series, date } = req.query;
+        
+        if (date && !isValidDate(date)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Invalid date format. Use dd/mm/yyyy format' 
+            });
+        }
+        
+        const result = await AccountingModel.getNextTransactionNumber(series || null, date || null);
         res.json({ success: true, data: result });
     } catch (error) {
         console.error('Get next transaction number error:', error);
+        
+        if (error.message.startsWith('Number series')) {
+            return res.status(400).json(formatErrorResponse(error));
+        }
+        
         res.status(500).json(formatErrorResponse(error));
     }
 });
@@ -404,10 +471,12 @@ router.put('/transactions/:id', authorizeAdmin, async (req, res) => {
     }
 });
 
-// Delete transaction (admin only)
-router.delete('/transactions/:id', authorizeAdmin, async (req, res) => {
+// Reverse or void a transaction (admin only)
+// Posts a mirror-image transaction linked to the original; nothing is deleted.
+const reversalHandler = (mode) => async (req, res) => {
     try {
         const transactionId = parseInt(req.params.id);
+        const { reason, date } = req.body;
         
         if (!transactionId || isNaN(transactionId)) {
             return res.status(400).json({ 
@@ -416,20 +485,62 @@ router.delete('/transactions/:id', authorizeAdmin, async (req, res) => {
             });
         }
         
-        const result = await AccountingModel.deleteTransaction(transactionId);
-        res.json({ success: true, data: result });
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `A reason is required to ${mode} a transaction` 
+            });
+        }
+        
+        if (date && !isValidDate(date)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Invalid date format. Use dd/mm/yyyy format' 
+            });
+        }
+        
+        const result = await AccountingModel.reverseTransaction(transactionId, { reason, date, mode });
+        res.status(201).json({ success: true, data: result });
     } catch (error) {
-        console.error('Delete transaction error:', error);
-        res.status(500).json(formatErrorResponse(error));
+        console.error(`${mode === 'void' ? 'Void' : 'Reverse'} transaction error:`, error);
+        
+        if (error.message === 'Transaction not found') {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Transaction not found' 
+            });
+        }
+        
+        res.status(400).json(formatErrorResponse(error));
     }
+};
+
+router.post('/transactions/:id/reverse', authorizeAdmin, reversalHandler('reverse'));
+router.post('/transactions/:id/void', authorizeAdmin, reversalHandler('void'));
+
+// Posted transactions are never deleted - use reverse or void instead
+router.delete('/transactions/:id', authorizeAdmin, (req, res) => {
+    res.status(405).json({ 
+        success: false, 
+        message: 'Posted transactions cannot be deleted. Use POST /api/transactions/:id/reverse or /api/transactions/:id/void instead' 
+    });
 });
 
 // ===== FINANCIAL REPORTS ROUTES (all authenticated users) =====
 
-// Get balance sheet (all time)
+// Get balance sheet (all time, or as of ?asOf=dd/mm/yyyy)
 router.get('/reports/balance-sheet', async (req, res) => {
     try {
-        const balanceSheet = await AccountingModel.getBalanceSheet();
+        const { asOf } = req.query;
+        
+        if (asOf && !isValidDate(asOf)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Invalid date format. Use dd/mm/yyyy format for asOf' 
+            });
+        }
+        
+        const balanceSheet = await AccountingModel.getBalanceSheet(asOf);
         res.json({ success: true, data: balanceSheet });
     } catch (error) {
         console.error('Get balance sheet error:', error);
@@ -464,10 +575,19 @@ router.get('/reports/balance-sheet/period', async (req, res) => {
     }
 });
 
-// Get income statement (all time)
+// Get income statement (all time, or as of ?asOf=dd/mm/yyyy)
 router.get('/reports/income-statement', async (req, res) => {
     try {
-        const incomeStatement = await AccountingModel.getIncomeStatement();
+        const { asOf } = req.query;
+        
+        if (asOf && !isValidDate(asOf)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Invalid date format. Use dd/mm/yyyy format for asOf' 
+            });
+        }
+        
+        const incomeStatement = await AccountingModel.getIncomeStatement(asOf);
         res.json({ success: true, data: incomeStatement });
     } catch (error) {
         console.error('Get income statement error:', error);
@@ -476,6 +596,7 @@ router.get('/reports/income-statement', async (req, res) => {
 });
 
 // Get income statement for specific period
+// (?costCenterId=&departmentId=&projectId= filter, ?groupBy=cost_center|department|project breaks it down)
 router.get('/reports/income-statement/period', async (req, res) => {
     try {
         const { startDate, endDate } = req.query;
@@ -494,7 +615,14 @@ router.get('/reports/income-statement/period', async (req, res) => {
             });
         }
         
-        const incomeStatement = await AccountingModel.getIncomeStatementForPeriod(startDate, endDate);
+        let dimensionOptions;
+        try {
+            dimensionOptions = DimensionModel.parseReportOptions(req.query);
+        } catch (error) {
+            return res.status(400).json(formatErrorResponse(error));
+        }
+        
+        const incomeStatement = await AccountingModel.getIncomeStatementForPeriod(startDate, endDate, dimensionOptions);
         res.json({ success: true, data: incomeStatement });
     } catch (error) {
         console.error('Get income statement for period error:', error);
@@ -502,10 +630,19 @@ router.get('/reports/income-statement/period', async (req, res) => {
     }
 });
 
-// Get financial ratios (all authenticated users)
+// Get financial ratios (all authenticated users); ?asOf=dd/mm/yyyy for a historical date
 router.get('/reports/financial-ratios', async (req, res) => {
     try {
-        const ratios = await AccountingModel.getFinancialRatios();
+        const { asOf } = req.query;
+        
+        if (asOf && !isValidDate(asOf)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Invalid date format. Use dd/mm/yyyy format for asOf' 
+            });
+        }
+        
+        const ratios = await AccountingModel.getFinancialRatios(asOf);
         res.json({ success: true, data: ratios });
     } catch (error) {
         console.error('Get financial ratios error:', error);
@@ -513,9 +650,148 @@ router.get('/reports/financial-ratios', async (req, res) => {
     }
 });
 
+// Get trial balance from journal entries as of a date (variant: adjusted | unadjusted | post_closing)
+router.get('/reports/trial-balance', async (req, res) => {
+    try {
+        const { asOf, variant } = req.query;
+        
+        if (asOf && !isValidDate(asOf)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Invalid date format. Use dd/mm/yyyy format for asOf' 
+            });
+        }
+        
+        if (variant && !['adjusted', 'unadjusted', 'post_closing'].includes(variant)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'variant must be adjusted, unadjusted or post_closing' 
+            });
+        }
+        
+        const trialBalance = await AccountingModel.getTrialBalance(asOf, variant || 'adjusted');
+        res.json({ success: true, data: trialBalance });
+    } catch (error) {
+        console.error('Get trial balance error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Get statement of cash flows for a period (method: indirect | direct)
+router.get('/reports/cash-flow', async (req, res) => {
+    try {
+        const { start, end, method } = req.query;
+        
+        if (!start || !end) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'start and end query parameters are required' 
+            });
+        }
+        
+        if (!isValidDate(start) || !isValidDate(end)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Invalid date format. Use dd/mm/yyyy format for both dates' 
+            });
+        }
+        
+        if (method && !['indirect', 'direct'].includes(method)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'method must be indirect or direct' 
+            });
+        }
+        
+        const cashFlow = await AccountingModel.getCashFlowStatement(start, end, method || 'indirect');
+        res.json({ success: true, data: cashFlow });
+    } catch (error) {
+        console.error('Get cash flow statement error:', error);
+        
+        if (error.message.startsWith('No cash accounts') || error.message.startsWith('Start date')) {
+            return res.status(400).json(formatErrorResponse(error));
+        }
+        
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Get statement of changes in equity for a period
+router.get('/reports/equity-statement', async (req, res) => {
+    try {
+        const { startDate, endDate } = req.query;
+        
+        if (!startDate || !endDate) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'startDate and endDate query parameters are required' 
+            });
+        }
+        
+        if (!isValidDate(startDate) || !isValidDate(endDate)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Invalid date format. Use dd/mm/yyyy format for both dates' 
+            });
+        }
+        
+        const equityStatement = await AccountingModel.getEquityStatement(startDate, endDate);
+        res.json({ success: true, data: equityStatement });
+    } catch (error) {
+        console.error('Get equity statement error:', error);
+        
+        if (error.message.startsWith('Start date')) {
+            return res.status(400).json(formatErrorResponse(error));
+        }
+        
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Get accounts receivable aging by customer, optionally ?asOf=dd/mm/yyyy (defaults to today)
+router.get('/reports/ar-aging', async (req, res) => {
+    try {
+        const { asOf } = req.query;
+        
+        if (asOf && !isValidDate(asOf)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Invalid date format. Use dd/mm/yyyy format for asOf' 
+            });
+        }
+        
+        const aging = await AccountingModel.getAgingReport('receivable', asOf);
+        res.json({ success: true, data: aging });
+    } catch (error) {
+        console.error('Get AR aging error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Get accounts payable aging by vendor, optionally ?asOf=dd/mm/yyyy (defaults to today)
+router.get('/reports/ap-aging', async (req, res) => {
+    try {
+        const { asOf } = req.query;
+        
+        if (asOf && !isValidDate(asOf)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Invalid date format. Use dd/mm/yyyy format for asOf' 
+            });
+        }
+        
+        const aging = await AccountingModel.getAgingReport('payable', asOf);
+        res.json({ success: true, data: aging });
+    } catch (error) {
+        console.error('Get AP aging error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
 // ===== LEDGER ROUTES (all authenticated users) =====
 
 // Get account ledger with opening/closing balances
+// (?costCenterId=&departmentId=&projectId= filter, ?groupBy=cost_center|department|project totals by value)
 router.get('/reports/ledger/:accountId', async (req, res) => {
     try {
         const accountId = parseInt(req.params.accountId);
@@ -542,7 +818,14 @@ router.get('/reports/ledger/:accountId', async (req, res) => {
             });
         }
         
-        const ledgerData = await AccountingModel.getAccountLedger(accountId, startDate, endDate);
+        let dimensionOptions;
+        try {
+            dimensionOptions = DimensionModel.parseReportOptions(req.query);
+        } catch (error) {
+            return res.status(400).json(formatErrorResponse(error));
+        }
+        
+        const ledgerData = await AccountingModel.getAccountLedger(accountId, startDate, endDate, dimensionOptions);
         res.json({ success: true, data: ledgerData });
     } catch (error) {
         console.error('Get account ledger error:', error);
@@ -584,6 +867,23 @@ router.get('/system/debug', authorizeAdmin, async (req, res) => {
     }
 });
 
+// Rebuild account balances from journal entries (admin only)
+router.post('/system/rebuild-balances', authorizeAdmin, async (req, res) => {
+    try {
+        const report = await AccountingModel.rebuildBalances();
+        res.json({ 
+            success: true, 
+            message: report.accountsUpdated > 0
+                ? `Rebuilt ${report.accountsUpdated} account balance(s) from journal entries`
+                : 'All account balances already match their journal entries',
+            data: report 
+        });
+    } catch (error) {
+        console.error('Rebuild balances error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
 // REMOVED: /debug/fix-all-transactions route
 // This was SQLite-specific and not needed for PostgreSQL
 
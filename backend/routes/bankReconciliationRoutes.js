@@ -0,0 +1,293 @@
+const express = require('express');
+const router = express.Router();
+const BankReconciliationModel = require('../models/bankReconciliationModel');
+const { authenticate, authorizeAdmin } = require('../middleware/auth');
+const { formatErrorResponse, parseIdParam } = require('../utils/routeHelpers');
+
+const NOT_FOUND_MESSAGES = ['Bank reconciliation not found', 'Statement line not found'];
+
+// ===== HELPER FUNCTIONS =====
+
+// Parse the :lineId route parameter, or answer 400 and return null
+const parseLineId = (req, res) => {
+    const lineId = parseInt(req.params.lineId);
+
+    if (!lineId || isNaN(lineId)) {
+        res.status(400).json({
+            success: false,
+            message: 'Valid statement line ID is required'
+        });
+        return null;
+    }
+
+    return lineId;
+};
+
+// Answer a failed change: 404 when something is missing, 400 otherwise
+const sendChangeError = (res, error) => {
+    if (NOT_FOUND_MESSAGES.includes(error.message)) {
+        return res.status(404).json(formatErrorResponse(error));
+    }
+
+    res.status(400).json(formatErrorResponse(error));
+};
+
+// ===== APPLY AUTHENTICATION MIDDLEWARE TO ALL ROUTES =====
+router.use(authenticate);
+
+// ===== BANK RECONCILIATION ROUTES =====
+
+// Get bank and cash accounts with their last reconciled statement
+router.get('/accounts', async (req, res) => {
+    try {
+        const accounts = await BankReconciliationModel.getReconcilableAccounts();
+        res.json({
+            success: true,
+            data: accounts,
+            count: accounts.length
+        });
+    } catch (error) {
+        console.error('Get reconcilable accounts error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Get reconciliations, optionally ?accountId=
+router.get('/', async (req, res) => {
+    try {
+        const accountId = req.query.accountId ? parseInt(req.query.accountId) || null : null;
+        const reconciliations = await BankReconciliationModel.getAllReconciliations(accountId);
+        res.json({
+            success: true,
+            data: reconciliations,
+            count: reconciliations.length
+        });
+    } catch (error) {
+        console.error('Get bank reconciliations error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Get a reconciliation with its cleared and outstanding entries, statement lines and difference
+router.get('/:id', async (req, res) => {
+    try {
+        const reconciliationId = parseIdParam(req, res, 'bank reconciliation');
+        if (!reconciliationId) return;
+
+        const reconciliation = await BankReconciliationModel.getReconciliationById(reconciliationId);
+        res.json({ success: true, data: reconciliation });
+    } catch (error) {
+        console.error('Get bank reconciliation error:', error);
+
+        if (error.message === 'Bank reconciliation not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Start reconciling a statement { account_id, statement_date, statement_balance,
+// opening_balance (first reconciliation of the account only) } (admin only)
+router.post('/', authorizeAdmin, async (req, res) => {
+    try {
+        const reconciliation = await BankReconciliationModel.startReconciliation(req.body);
+        res.status(201).json({
+            success: true,
+            message: `Reconciliation of ${reconciliation.account_name} to ${reconciliation.statement_date} started`,
+            data: reconciliation
+        });
+    } catch (error) {
+        console.error('Start bank reconciliation error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Correct the statement date or closing balance { statement_date, statement_balance } (admin only)
+router.put('/:id', authorizeAdmin, async (req, res) => {
+    try {
+        const reconciliationId = parseIdParam(req, res, 'bank reconciliation');
+        if (!reconciliationId) return;
+
+        const reconciliation = await BankReconciliationModel.updateReconciliation(reconciliationId, req.body);
+        res.json({
+            success: true,
+            message: 'Statement details updated successfully',
+            data: reconciliation
+        });
+    } catch (error) {
+        console.error('Update bank reconciliation error:', error);
+        sendChangeError(res, error);
+    }
+});
+
+// Discard a reconciliation in progress (admin only)
+router.delete('/:id', authorizeAdmin, async (req, res) => {
+    try {
+        const reconciliationId = parseIdParam(req, res, 'bank reconciliation');
+        if (!reconciliationId) return;
+
+        await BankReconciliationModel.deleteReconciliation(reconciliationId);
+        res.json({
+            success: true,
+            message: 'Reconciliation deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete bank reconciliation error:', error);
+        sendChangeError(res, error);
+    }
+});
+
+// Mark entries cleared { entry_ids } (admin only)
+router.post('/:id/clear', authorizeAdmin, async (req, res) => {
+    try {
+        const reconciliationId = parseIdParam(req, res, 'bank reconciliation');
+        if (!reconciliationId) return;
+
+        const reconciliation = await BankReconciliationModel.clearEntries(reconciliationId, req.body.entry_ids);
+        res.json({ success: true, data: reconciliation });
+    } catch (error) {
+        console.error('Clear bank entries error:', error);
+        sendChangeError(res, error);
+    }
+});
+
+// Return cleared entries to outstanding { entry_ids } (admin only)
+router.post('/:id/unclear', authorizeAdmin, async (req, res) => {
+    try {
+        const reconciliationId = parseIdParam(req, res, 'bank reconciliation');
+        if (!reconciliationId) return;
+
+        const reconciliation = await BankReconciliationModel.unclearEntries(reconciliationId, req.body.entry_ids);
+        res.json({ success: true, data: reconciliation });
+    } catch (error) {
+        console.error('Unclear bank entries error:', error);
+        sendChangeError(res, error);
+    }
+});
+
+// Add a statement line { line_date, description, reference, amount (positive = money in) } (admin only)
+router.post('/:id/lines', authorizeAdmin, async (req, res) => {
+    try {
+        const reconciliationId = parseIdParam(req, res, 'bank reconciliation');
+        if (!reconciliationId) return;
+
+        const reconciliation = await BankReconciliationModel.addStatementLine(reconciliationId, req.body);
+        res.status(201).json({
+            success: true,
+            message: 'Statement line added successfully',
+            data: reconciliation
+        });
+    } catch (error) {
+        console.error('Add statement line error:', error);
+        sendChangeError(res, error);
+    }
+});
+
+// Remove a statement line (admin only)
+router.delete('/:id/lines/:lineId', authorizeAdmin, async (req, res) => {
+    try {
+        const reconciliationId = parseIdParam(req, res, 'bank reconciliation');
+        if (!reconciliationId) return;
+        const lineId = parseLineId(req, res);
+        if (!lineId) return;
+
+        const reconciliation = await BankReconciliationModel.deleteStatementLine(reconciliationId, lineId);
+        res.json({
+            success: true,
+            message: 'Statement line removed successfully',
+            data: reconciliation
+        });
+    } catch (error) {
+        console.error('Delete statement line error:', error);
+        sendChangeError(res, error);
+    }
+});
+
+// Match a statement line to a journal entry and clear it { journal_entry_id } (admin only)
+router.post('/:id/lines/:lineId/match', authorizeAdmin, async (req, res) => {
+    try {
+        const reconciliationId = parseIdParam(req, res, 'bank reconciliation');
+        if (!reconciliationId) return;
+        const lineId = parseLineId(req, res);
+        if (!lineId) return;
+
+        const reconciliation = await BankReconciliationModel.matchStatementLine(reconciliationId, lineId, req.body.journal_entry_id);
+        res.json({ success: true, data: reconciliation });
+    } catch (error) {
+        console.error('Match statement line error:', error);
+        sendChangeError(res, error);
+    }
+});
+
+// Undo the match of a statement line (admin only)
+router.delete('/:id/lines/:lineId/match', authorizeAdmin, async (req, res) => {
+    try {
+        const reconciliationId = parseIdParam(req, res, 'bank reconciliation');
+        if (!reconciliationId) return;
+        const lineId = parseLineId(req, res);
+        if (!lineId) return;
+
+        const reconciliation = await BankReconciliationModel.unmatchStatementLine(reconciliationId, lineId);
+        res.json({ success: true, data: reconciliation });
+    } catch (error) {
+        console.error('Unmatch statement line error:', error);
+        sendChangeError(res, error);
+    }
+});
+
+// Match unmatched statement lines to outstanding entries of the same amount (admin only)
+router.post('/:id/auto-match', authorizeAdmin, async (req, res) => {
+    try {
+        const reconciliationId = parseIdParam(req, res, 'bank reconciliation');
+        if (!reconciliationId) return;
+
+        const { reconciliation, matched } = await BankReconciliationModel.autoMatch(reconciliationId);
+        res.json({
+            success: true,
+            message: `${matched} statement line(s) matched`,
+            data: reconciliation
+        });
+    } catch (error) {
+        console.error('Auto-match statement lines error:', error);
+        sendChangeError(res, error);
+    }
+});
+
+// Complete the reconciliation; the difference must be zero (admin only)
+router.post('/:id/complete', authorizeAdmin, async (req, res) => {
+    try {
+        const reconciliationId = parseIdParam(req, res, 'bank reconciliation');
+        if (!reconciliationId) return;
+
+        const reconciliation = await BankReconciliationModel.completeReconciliation(reconciliationId);
+        res.json({
+            success: true,
+            message: `Reconciliation of ${reconciliation.account_name} to ${reconciliation.statement_date} completed`,
+            data: reconciliation
+        });
+    } catch (error) {
+        console.error('Complete bank reconciliation error:', error);
+        sendChangeError(res, error);
+    }
+});
+
+// Reopen the latest completed reconciliation of an account (admin only)
+router.post('/:id/reopen', authorizeAdmin, async (req, res) => {
+    try {
+        const reconciliationId = parseIdParam(req, res, 'bank reconciliation');
+        if (!reconciliationId) return;
+
+        const reconciliation = await BankReconciliationModel.reopenReconciliation(reconciliationId);
+        res.json({
+            success: true,
+            message: 'Reconciliation reopened',
+            data: reconciliation
+        });
+    } catch (error) {
+        console.error('Reopen bank reconciliation error:', error);
+        sendChangeError(res, error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const BankRuleModel = require('../models/bankRuleModel');
+const { authenticate, authorizeAdmin } = require('../middleware/auth');
+const { formatErrorResponse, parseIdParam } = require('../utils/routeHelpers');
+
+const NOT_FOUND_MESSAGES = ['Bank rule not found', 'Imported statement line not found'];
+
+// ===== HELPER FUNCTIONS =====
+
+// Answer a failed change: 404 when something is missing, 400 otherwise
+const sendChangeError = (res, error) => {
+    if (NOT_FOUND_MESSAGES.includes(error.message)) {
+        return res.status(404).json(formatErrorResponse(error));
+    }
+
+    res.status(400).json(formatErrorResponse(error));
+};
+
+// ===== APPLY AUTHENTICATION MIDDLEWARE TO ALL ROUTES =====
+router.use(authenticate);
+
+// ===== BANK RULE ROUTES =====
+
+// Get all rules in the order they are tried
+router.get('/', async (req, res) => {
+    try {
+        const rules = await BankRuleModel.getAllRules();
+        res.json({
+            success: true,
+            data: rules,
+            count: rules.length
+        });
+    } catch (error) {
+        console.error('Get bank rules error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Show which open imported lines each rule would catch, without posting anything.
+// Body: { account_id, rule } where rule is an unsaved rule to try among the saved ones
+router.post('/dry-run', async (req, res) => {
+    try {
+        const result = await BankRuleModel.dryRun(req.body);
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('Bank rule dry run error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Post the open lines that auto-post rules catch { account_id } (admin only)
+router.post('/apply', authorizeAdmin, async (req, res) => {
+    try {
+        const accountId = req.body.account_id ? parseInt(req.body.account_id) || null : null;
+        const { posted } = await BankRuleModel.applyAutoRules(accountId);
+        res.json({
+            success: true,
+            message: `${posted} statement line(s) posted by bank rules`,
+            data: { posted }
+        });
+    } catch (error) {
+        console.error('Apply bank rules error:', error);
+        sendChangeError(res, error);
+    }
+});
+
+// Get a single rule
+router.get('/:id', async (req, res) => {
+    try {
+        const ruleId = parseIdParam(req, res, 'bank rule');
+        if (!ruleId) return;
+
+        const rule = await BankRuleModel.getRuleById(ruleId);
+        res.json({ success: true, data: rule });
+    } catch (error) {
+        console.error('Get bank rule error:', error);
+        res.status(error.message === 'Bank rule not found' ? 404 : 500).json(formatErrorResponse(error));
+    }
+});
+
+// Create a rule (admin only)
+router.post('/', authorizeAdmin, async (req, res) => {
+    try {
+        const rule = await BankRuleModel.createRule(req.body);
+        res.status(201).json({
+            success: true,
+            message: 'Bank rule created',
+            data: rule
+        });
+    } catch (error) {
+        console.error('Create bank rule error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Update a rule (admin only)
+router.put('/:id', authorizeAdmin, async (req, res) => {
+    try {
+        const ruleId = parseIdParam(req, res, 'bank rule');
+        if (!ruleId) return;
+
+        const rule = await BankRuleModel.updateRule(ruleId, req.body);
+        res.json({
+            success: true,
+            message: 'Bank rule updated',
+            data: rule
+        });
+    } catch (error) {
+        console.error('Update bank rule error:', error);
+        sendChangeError(res, error);
+    }
+});
+
+// Delete a rule; lines it posted keep their transactions (admin only)
+router.delete('/:id', authorizeAdmin, async (req, res) => {
+    try {
+        const ruleId = parseIdParam(req, res, 'bank rule');
+        if (!ruleId) return;
+
+        await BankRuleModel.deleteRule(ruleId);
+        res.json({
+            success: true,
+            message: 'Bank rule deleted'
+        });
+    } catch (error) {
+        console.error('Delete bank rule error:', error);
+        sendChangeError(res, error);
+    }
+});
+
+// Post chosen open lines the way a rule suggests { line_ids } (admin only)
+router.post('/:id/apply', authorizeAdmin, async (req, res) => {
+    try {
+        const ruleId = parseIdParam(req, res, 'bank rule');
+        if (!ruleId) return;
+
+        const { posted } = await BankRuleModel.applyRuleToLines(ruleId, req.body.line_ids);
+        res.json({
+            success: true,
+            message: `${posted} statement line(s) posted`,
+            data: { posted }
+        });
+    } catch (error) {
+        console.error('Apply bank rule error:', error);
+        sendChangeError(res, error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,236 @@
+const express = require('express');
+const router = express.Router();
+const BankStatementModel = require('../models/bankStatementModel');
+const { authenticate, authorizeAdmin } = require('../middleware/auth');
+const { formatErrorResponse, parseIdParam } = require('../utils/routeHelpers');
+
+const NOT_FOUND_MESSAGES = ['Statement import not found', 'Imported statement line not found', 'Statement line not found', 'Bank reconciliation not found'];
+
+// ===== HELPER FUNCTIONS =====
+
+// Answer a failed change: 404 when something is missing, 400 otherwise
+const sendChangeError = (res, error) => {
+    if (NOT_FOUND_MESSAGES.includes(error.message)) {
+        return res.status(404).json(formatErrorResponse(error));
+    }
+
+    res.status(400).json(formatErrorResponse(error));
+};
+
+// ===== APPLY AUTHENTICATION MIDDLEWARE TO ALL ROUTES =====
+router.use(authenticate);
+
+// ===== STATEMENT IMPORT ROUTES =====
+
+// Read a statement file without importing it; lines imported before are flagged as duplicates.
+// Body: { account_id, content (file text), format (csv|ofx|camt053|mt940, detected when
+// omitted), file_name, csv_mapping (csv only) }
+router.post('/preview', async (req, res) => {
+    try {
+        const preview = await BankStatementModel.previewImport(req.body);
+        res.json({ success: true, data: preview });
+    } catch (error) {
+        console.error('Preview statement import error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Import a statement file's new lines into the staging area; same body as preview (admin only)
+router.post('/imports', authorizeAdmin, async (req, res) => {
+    try {
+        const statementImport = await BankStatementModel.importStatement(req.body, req.user.id);
+        res.status(201).json({
+            success: true,
+            message: `${statementImport.line_count} line(s) imported${statementImport.duplicate_count > 0 ? `, ${statementImport.duplicate_count} duplicate(s) skipped` : ''}${statementImport.rule_posted_count > 0 ? `, ${statementImport.rule_posted_count} posted by bank rules` : ''}`,
+            data: statementImport
+        });
+    } catch (error) {
+        console.error('Import bank statement error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Get imports, optionally ?accountId=
+router.get('/imports', async (req, res) => {
+    try {
+        const accountId = req.query.accountId ? parseInt(req.query.accountId) || null : null;
+        const imports = await BankStatementModel.getImports(accountId);
+        res.json({
+            success: true,
+            data: imports,
+            count: imports.length
+        });
+    } catch (error) {
+        console.error('Get statement imports error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Delete an import and its lines; none may be matched or reconciled (admin only)
+router.delete('/imports/:id', authorizeAdmin, async (req, res) => {
+    try {
+        const importId = parseIdParam(req, res, 'statement import');
+        if (!importId) return;
+
+        await BankStatementModel.deleteImport(importId);
+        res.json({
+            success: true,
+            message: 'Statement import deleted'
+        });
+    } catch (error) {
+        console.error('Delete statement import error:', error);
+        sendChangeError(res, error);
+    }
+});
+
+// Get the CSV column mapping last used for an account, ?accountId=
+router.get('/csv-mapping', async (req, res) => {
+    try {
+        const accountId = parseInt(req.query.accountId);
+
+        if (!accountId || isNaN(accountId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid account ID is required'
+            });
+        }
+
+        const mapping = await BankStatementModel.getLastCsvMapping(accountId);
+        res.json({ success: true, data: mapping });
+    } catch (error) {
+        console.error('Get CSV mapping error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// ===== STAGED LINE ROUTES =====
+
+// Get imported lines with candidate entries, ?accountId=&importId=&status=unmatched|matched|ignored|all
+router.get('/lines', async (req, res) => {
+    try {
+        const lines = await BankStatementModel.getLines({
+            accountId: req.query.accountId ? parseInt(req.query.accountId) || null : null,
+            importId: req.query.importId ? parseInt(req.query.importId) || null : null,
+            status: req.query.status
+        });
+        res.json({
+            success: true,
+            data: lines,
+            count: lines.length
+        });
+    } catch (error) {
+        console.error('Get statement lines error:', error);
+        res.status(error.message.startsWith('Line status') ? 400 : 500).json(formatErrorResponse(error));
+    }
+});
+
+// Match unmatched lines to entries of the same amount { account_id, import_id } (admin only)
+router.post('/lines/auto-match', authorizeAdmin, async (req, res) => {
+    try {
+        const { matched } = await BankStatementModel.autoMatch({
+            accountId: req.body.account_id ? parseInt(req.body.account_id) || null : null,
+            importId: req.body.import_id ? parseInt(req.body.import_id) || null : null
+        });
+        res.json({
+            success: true,
+            message: `${matched} statement line(s) matched`,
+            data: { matched }
+        });
+    } catch (error) {
+        console.error('Auto-match imported lines error:', error);
+        sendChangeError(res, error);
+    }
+});
+
+// Match a line to a journal entry of its account { journal_entry_id } (admin only)
+router.post('/lines/:id/match', authorizeAdmin, async (req, res) => {
+    try {
+        const lineId = parseIdParam(req, res, 'statement line');
+        if (!lineId) return;
+
+        const line = await BankStatementModel.matchLine(lineId, req.body.journal_entry_id);
+        res.json({
+            success: true,
+            message: 'Statement line matched',
+            data: line
+        });
+    } catch (error) {
+        console.error('Match imported line error:', error);
+        sendChangeError(res, error);
+    }
+});
+
+// Unmatch a line (admin only)
+router.delete('/lines/:id/match', authorizeAdmin, async (req, res) => {
+    try {
+        const lineId = parseIdParam(req, res, 'statement line');
+        if (!lineId) return;
+
+        const line = await BankStatementModel.unmatchLine(lineId);
+        res.json({
+            success: true,
+            message: 'Statement line unmatched',
+            data: line
+        });
+    } catch (error) {
+        console.error('Unmatch imported line error:', error);
+        sendChangeError(res, error);
+    }
+});
+
+// Post a transaction for a line and match the line to it
+// { contra_account_id, description, customer_id, vendor_id } (admin only)
+router.post('/lines/:id/transaction', authorizeAdmin, async (req, res) => {
+    try {
+        const lineId = parseIdParam(req, res, 'statement line');
+        if (!lineId) return;
+
+        const result = await BankStatementModel.createTransactionFromLine(lineId, req.body);
+        res.status(201).json({
+            success: true,
+            message: `Transaction ${result.line.voucher_number} posted and matched`,
+            data: result
+        });
+    } catch (error) {
+        console.error('Create transaction from statement line error:', error);
+        sendChangeError(res, error);
+    }
+});
+
+// Ignore a line that needs no entry (admin only)
+router.post('/lines/:id/ignore', authorizeAdmin, async (req, res) => {
+    try {
+        const lineId = parseIdParam(req, res, 'statement line');
+        if (!lineId) return;
+
+        const line = await BankStatementModel.ignoreLine(lineId);
+        res.json({
+            success: true,
+            message: 'Statement line ignored',
+            data: line
+        });
+    } catch (error) {
+        console.error('Ignore imported line error:', error);
+        sendChangeError(res, error);
+    }
+});
+
+// Restore an ignored line (admin only)
+router.post('/lines/:id/restore', authorizeAdmin, async (req, res) => {
+    try {
+        const lineId = parseIdParam(req, res, 'statement line');
+        if (!lineId) return;
+
+        const line = await BankStatementModel.restoreLine(lineId);
+        res.json({
+            success: true,
+            message: 'Statement line restored',
+            data: line
+        });
+    } catch (error) {
+        console.error('Restore imported line error:', error);
+        sendChangeError(res, error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const BudgetModel = require('../models/budgetModel');
+const { authenticate, authorizeAdmin } = require('../middleware/auth');
+const { formatErrorResponse } = require('../utils/routeHelpers');
+
+// ===== APPLY AUTHENTICATION MIDDLEWARE TO ALL ROUTES =====
+router.use(authenticate);
+
+// ===== BUDGET ROUTES =====
+
+// Get budget vs actual per period and year-to-date (?fiscalYear=&throughPeriod=, both optional)
+router.get('/vs-actual', async (req, res) => {
+    try {
+        const report = await BudgetModel.getBudgetVsActual(req.query.fiscalYear || null, req.query.throughPeriod);
+        res.json({ success: true, data: report });
+    } catch (error) {
+        console.error('Get budget vs actual error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Get the budget lines of a fiscal year (?fiscalYear=, defaults to the current one)
+router.get('/', async (req, res) => {
+    try {
+        const fiscalYear = req.query.fiscalYear || BudgetModel.getCurrentFiscalYear();
+        const budgets = await BudgetModel.getBudgets(fiscalYear);
+        res.json({
+            success: true,
+            data: budgets,
+            count: budgets.length
+        });
+    } catch (error) {
+        console.error('Get budgets error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Set the twelve period amounts of an account's budget, per dimension if given (admin only)
+router.put('/', authorizeAdmin, async (req, res) => {
+    try {
+        const budget = await BudgetModel.setBudget(req.body);
+        res.json({
+            success: true,
+            message: `Budget for ${budget.account_code} saved`,
+            data: budget
+        });
+    } catch (error) {
+        console.error('Set budget error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Import budget lines from CSV text { fiscal_year, content } (admin only)
+router.post('/import', authorizeAdmin, async (req, res) => {
+    try {
+        const result = await BudgetModel.importBudgets(req.body.fiscal_year, req.body.content);
+        res.status(201).json({
+            success: true,
+            message: `${result.imported} budget line(s) imported`,
+            data: result
+        });
+    } catch (error) {
+        console.error('Import budgets error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Delete a budget line (admin only)
+router.delete('/:id', authorizeAdmin, async (req, res) => {
+    try {
+        const budgetId = parseInt(req.params.id);
+
+        if (!budgetId || isNaN(budgetId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid budget ID is required'
+            });
+        }
+
+        await BudgetModel.deleteBudget(budgetId);
+        res.json({
+            success: true,
+            message: 'Budget deleted'
+        });
+    } catch (error) {
+        console.error('Delete budget error:', error);
+        res.status(error.message === 'Budget not found' ? 404 : 400).json(formatErrorResponse(error));
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const CurrencyModel = require('../models/currencyModel');
+const { authenticate, authorizeAdmin } = require('../middleware/auth');
+const { formatErrorResponse } = require('../utils/routeHelpers');
+
+// ===== APPLY AUTHENTICATION MIDDLEWARE TO ALL ROUTES =====
+router.use(authenticate);
+
+// ===== CURRENCY ROUTES =====
+
+// Get the base currency and every currency an account or entry can be kept in
+router.get('/', (req, res) => {
+    try {
+        res.json({ success: true, data: CurrencyModel.getCurrencies() });
+    } catch (error) {
+        console.error('Get currencies error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Get exchange rates, newest first (?currency=&startDate=&endDate=)
+router.get('/rates', async (req, res) => {
+    try {
+        const rates = await CurrencyModel.getRates(req.query);
+        res.json({
+            success: true,
+            data: rates,
+            count: rates.length
+        });
+    } catch (error) {
+        console.error('Get exchange rates error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Get the rate a posting on a date would use (?currency=&date=); data is null when there is none
+router.get('/rates/lookup', async (req, res) => {
+    try {
+        const rate = await CurrencyModel.lookupRate(req.query.currency, req.query.date);
+        res.json({ success: true, data: rate });
+    } catch (error) {
+        console.error('Look up exchange rate error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Set the rate of a currency for a day (admin only)
+router.post('/rates', authorizeAdmin, async (req, res) => {
+    try {
+        const rate = await CurrencyModel.setRate(req.body);
+        res.status(201).json({
+            success: true,
+            message: `${rate.currency_code} rate for ${rate.rate_date} saved`,
+            data: rate
+        });
+    } catch (error) {
+        console.error('Set exchange rate error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Import rates from CSV text { content } (admin only)
+router.post('/rates/import', authorizeAdmin, async (req, res) => {
+    try {
+        const result = await CurrencyModel.importRates(req.body.content);
+        res.status(201).json({
+            success: true,
+            message: `${result.imported} exchange rate(s) imported`,
+            data: result
+        });
+    } catch (error) {
+        console.error('Import exchange rates error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Delete a rate (admin only)
+router.delete('/rates/:id', authorizeAdmin, async (req, res) => {
+    try {
+        const rateId = parseInt(req.params.id);
+
+        if (!rateId || isNaN(rateId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid exchange rate ID is required'
+            });
+        }
+
+        await CurrencyModel.deleteRate(rateId);
+        res.json({
+            success: true,
+            message: 'Exchange rate deleted'
+        });
+    } catch (error) {
+        console.error('Delete exchange rate error:', error);
+        res.status(error.message === 'Exchange rate not found' ? 404 : 400).json(formatErrorResponse(error));
+    }
+});
+
+// ===== EXCHANGE REVALUATION ROUTES =====
+
+// Preview the restatement of foreign currency balances at the rates of a date (?date=&gainLossAccountId=)
+router.get('/revaluation/preview', async (req, res) => {
+    try {
+        const gainLossAccountId = req.query.gainLossAccountId ? parseInt(req.query.gainLossAccountId) : null;
+        const preview = await CurrencyModel.previewRevaluation(req.query.date, gainLossAccountId);
+        res.json({ success: true, data: preview });
+    } catch (error) {
+        console.error('Preview exchange revaluation error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Post the revaluation, optionally reversed on the first day of the next period (admin only)
+router.post('/revaluation', authorizeAdmin, async (req, res) => {
+    try {
+        const { date, gainLossAccountId, autoReverse } = req.body;
+
+        const result = await CurrencyModel.postRevaluation({
+            date,
+            gainLossAccountId: gainLossAccountId ? parseInt(gainLossAccountId) : null,
+            autoReverse: autoReverse === true
+        });
+        res.status(201).json({ success: true, message: result.message, data: result });
+    } catch (error) {
+        console.error('Post exchange revaluation error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+module.exports = router;
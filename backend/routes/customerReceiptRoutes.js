@@ -0,0 +1,179 @@
+const express = require('express');
+const router = express.Router();
+const CustomerReceiptModel = require('../models/customerReceiptModel');
+const { authenticate, authorizeAdmin } = require('../middleware/auth');
+const { formatErrorResponse, parseIdParam } = require('../utils/routeHelpers');
+
+const RECEIPT_STATUSES = ['posted', 'voided'];
+
+// ===== APPLY AUTHENTICATION MIDDLEWARE TO ALL ROUTES =====
+router.use(authenticate);
+
+// ===== CUSTOMER RECEIPT ROUTES =====
+
+// Get customer receipts, optionally ?status=posted|voided&customerId=&unapplied=true
+// (unapplied: posted receipts with credit not yet applied to transactions)
+router.get('/', async (req, res) => {
+    try {
+        const { status, customerId, unapplied } = req.query;
+
+        if (status && !RECEIPT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: ${RECEIPT_STATUSES.join(', ')}`
+            });
+        }
+
+        const receipts = await CustomerReceiptModel.getAllReceipts({
+            status: status || null,
+            customerId: customerId ? parseInt(customerId) || null : null,
+            unappliedOnly: unapplied === 'true'
+        });
+        res.json({
+            success: true,
+            data: receipts,
+            count: receipts.length
+        });
+    } catch (error) {
+        console.error('Get customer receipts error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Get the open receivable transactions of a customer, oldest due first ?customerId=
+router.get('/open-items', async (req, res) => {
+    try {
+        const customerId = parseInt(req.query.customerId);
+
+        if (!customerId || isNaN(customerId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid customer ID is required'
+            });
+        }
+
+        const items = await CustomerReceiptModel.getOpenItems(customerId);
+        res.json({
+            success: true,
+            data: items,
+            count: items.length
+        });
+    } catch (error) {
+        console.error('Get open receivable items error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Get one customer receipt with the transactions it settles
+router.get('/:id', async (req, res) => {
+    try {
+        const receiptId = parseIdParam(req, res, 'customer receipt');
+        if (!receiptId) return;
+
+        const receipt = await CustomerReceiptModel.getReceiptById(receiptId);
+        res.json({ success: true, data: receipt });
+    } catch (error) {
+        console.error('Get customer receipt error:', error);
+
+        if (error.message === 'Customer receipt not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Record and post a receipt { customer_id, receipt_date, deposit_account_id, amount,
+// reference, notes, allocations: [{ transaction_id, amount }] } (admin only)
+router.post('/', authorizeAdmin, async (req, res) => {
+    try {
+        const receipt = await CustomerReceiptModel.createReceipt(req.body);
+        res.status(201).json({
+            success: true,
+            message: `Receipt ${receipt.receipt_number} from ${receipt.customer_name} posted as TID-${receipt.transaction_number}`,
+            data: receipt
+        });
+    } catch (error) {
+        console.error('Create customer receipt error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Apply unapplied credit to transactions { allocations: [{ transaction_id, amount }] } (admin only)
+router.post('/:id/allocations', authorizeAdmin, async (req, res) => {
+    try {
+        const receiptId = parseIdParam(req, res, 'customer receipt');
+        if (!receiptId) return;
+
+        const receipt = await CustomerReceiptModel.allocateReceipt(receiptId, req.body.allocations);
+        res.json({
+            success: true,
+            message: `Receipt ${receipt.receipt_number} allocated successfully`,
+            data: receipt
+        });
+    } catch (error) {
+        console.error('Allocate customer receipt error:', error);
+
+        if (error.message === 'Customer receipt not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Remove the allocation of a receipt to a transaction (admin only)
+router.delete('/:id/allocations/:transactionId', authorizeAdmin, async (req, res) => {
+    try {
+        const receiptId = parseIdParam(req, res, 'customer receipt');
+        if (!receiptId) return;
+
+        const transactionId = parseInt(req.params.transactionId);
+        if (!transactionId || isNaN(transactionId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid transaction ID is required'
+            });
+        }
+
+        const receipt = await CustomerReceiptModel.removeAllocation(receiptId, transactionId);
+        res.json({
+            success: true,
+            message: 'Allocation removed successfully',
+            data: receipt
+        });
+    } catch (error) {
+        console.error('Remove customer receipt allocation error:', error);
+
+        if (error.message === 'Allocation not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Void a receipt and its posting { reason }; the transactions it settled are open again (admin only)
+router.post('/:id/void', authorizeAdmin, async (req, res) => {
+    try {
+        const receiptId = parseIdParam(req, res, 'customer receipt');
+        if (!receiptId) return;
+
+        const receipt = await CustomerReceiptModel.voidReceipt(receiptId, req.body.reason);
+        res.json({
+            success: true,
+            message: `Receipt ${receipt.receipt_number} voided successfully`,
+            data: receipt
+        });
+    } catch (error) {
+        console.error('Void customer receipt error:', error);
+
+        if (error.message === 'Customer receipt not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+const CustomerModel = require('../models/customerModel');
+const { authenticate, authorizeAdmin } = require('../middleware/auth');
+const { formatErrorResponse, parseIdParam } = require('../utils/routeHelpers');
+
+// ===== HELPER FUNCTIONS =====
+
+// Validate dd/mm/yyyy date format
+const isValidDate = (dateStr) => {
+    if (!dateStr) return false;
+
+    const ddMMyyyyRegex = /^\d{1,2}\/\d{1,2}\/\d{4}$/;
+    if (!ddMMyyyyRegex.test(dateStr)) return false;
+
+    const parts = dateStr.split('/');
+    const day = parseInt(parts[0], 10);
+    const month = parseInt(parts[1], 10);
+    const year = parseInt(parts[2], 10);
+
+    return day >= 1 && day <= 31 && month >= 1 && month <= 12 && year >= 1900 && year <= 2100;
+};
+
+// ===== APPLY AUTHENTICATION MIDDLEWARE TO ALL ROUTES =====
+router.use(authenticate);
+
+// ===== CUSTOMER ROUTES =====
+
+// Get customers with their receivable balances; ?includeInactive=true lists inactive ones too
+router.get('/', async (req, res) => {
+    try {
+        const customers = await CustomerModel.getAllCustomers(req.query.includeInactive === 'true');
+        res.json({
+            success: true,
+            data: customers,
+            count: customers.length
+        });
+    } catch (error) {
+        console.error('Get customers error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Accounts receivable sub-ledger, optionally ?asOf=dd/mm/yyyy
+router.get('/subledger', async (req, res) => {
+    try {
+        const { asOf } = req.query;
+
+        if (asOf && !isValidDate(asOf)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid asOf date format. Use dd/mm/yyyy format'
+            });
+        }
+
+        const subledger = await CustomerModel.getReceivablesSubledger(asOf || null);
+        res.json({ success: true, data: subledger });
+    } catch (error) {
+        console.error('Get receivables sub-ledger error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Get one customer
+router.get('/:id', async (req, res) => {
+    try {
+        const customerId = parseIdParam(req, res, 'customer');
+        if (!customerId) return;
+
+        const customer = await CustomerModel.getCustomerById(customerId);
+        res.json({ success: true, data: customer });
+    } catch (error) {
+        console.error('Get customer error:', error);
+
+        if (error.message === 'Customer not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Customer statement for ?startDate=dd/mm/yyyy&endDate=dd/mm/yyyy
+router.get('/:id/statement', async (req, res) => {
+    try {
+        const customerId = parseIdParam(req, res, 'customer');
+        if (!customerId) return;
+
+        const { startDate, endDate } = req.query;
+
+        if (!startDate || !endDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'startDate and endDate query parameters are required'
+            });
+        }
+
+        if (!isValidDate(startDate) || !isValidDate(endDate)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date format. Use dd/mm/yyyy format for both dates'
+            });
+        }
+
+        const statement = await CustomerModel.getCustomerStatement(customerId, startDate, endDate);
+        res.json({ success: true, data: statement });
+    } catch (error) {
+        console.error('Get customer statement error:', error);
+
+        if (error.message === 'Customer not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        if (error.message.startsWith('Start date')) {
+            return res.status(400).json(formatErrorResponse(error));
+        }
+
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Create a customer (admin only)
+router.post('/', authorizeAdmin, async (req, res) => {
+    try {
+        const customer = await CustomerModel.createCustomer(req.body);
+        res.status(201).json({
+            success: true,
+            message: `Customer ${customer.name} created successfully`,
+            data: customer
+        });
+    } catch (error) {
+        console.error('Create customer error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Update a customer (admin only)
+router.put('/:id', authorizeAdmin, async (req, res) => {
+    try {
+        const customerId = parseIdParam(req, res, 'customer');
+        if (!customerId) return;
+
+        const customer = await CustomerModel.updateCustomer(customerId, req.body);
+        res.json({
+            success: true,
+            message: `Customer ${customer.name} updated successfully`,
+            data: customer
+        });
+    } catch (error) {
+        console.error('Update customer error:', error);
+
+        if (error.message === 'Customer not found or inactive') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Deactivate a customer (admin only); customers with a balance are kept active
+router.delete('/:id', authorizeAdmin, async (req, res) => {
+    try {
+        const customerId = parseIdParam(req, res, 'customer');
+        if (!customerId) return;
+
+        const customer = await CustomerModel.deactivateCustomer(customerId);
+        res.json({
+            success: true,
+            message: `Customer ${customer.name} deactivated successfully`,
+            data: customer
+        });
+    } catch (error) {
+        console.error('Deactivate customer error:', error);
+
+        if (error.message === 'Customer not found or already inactive') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+module.exports = router;
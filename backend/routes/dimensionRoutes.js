@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const DimensionModel = require('../models/dimensionModel');
+const { authenticate, authorizeAdmin } = require('../middleware/auth');
+const { formatErrorResponse, parseIdParam } = require('../utils/routeHelpers');
+
+// ===== APPLY AUTHENTICATION MIDDLEWARE TO ALL ROUTES =====
+router.use(authenticate);
+
+// ===== DIMENSION ROUTES =====
+
+// Get the dimension types journal lines can be analysed by
+router.get('/types', (req, res) => {
+    try {
+        res.json({ success: true, data: DimensionModel.getDimensionTypes() });
+    } catch (error) {
+        console.error('Get dimension types error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Get dimensions (?type=cost_center|department|project); ?includeInactive=true lists inactive ones too
+router.get('/', async (req, res) => {
+    try {
+        const dimensions = await DimensionModel.getDimensions(req.query.type || null, req.query.includeInactive === 'true');
+        res.json({
+            success: true,
+            data: dimensions,
+            count: dimensions.length
+        });
+    } catch (error) {
+        console.error('Get dimensions error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Get one dimension
+router.get('/:id', async (req, res) => {
+    try {
+        const dimensionId = parseIdParam(req, res, 'dimension');
+        if (!dimensionId) return;
+
+        const dimension = await DimensionModel.getDimensionById(dimensionId);
+        res.json({ success: true, data: dimension });
+    } catch (error) {
+        console.error('Get dimension error:', error);
+
+        if (error.message === 'Dimension not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Create a dimension (admin only)
+router.post('/', authorizeAdmin, async (req, res) => {
+    try {
+        const dimension = await DimensionModel.createDimension(req.body);
+        res.status(201).json({
+            success: true,
+            message: `${dimension.dimension_label} ${dimension.code} created successfully`,
+            data: dimension
+        });
+    } catch (error) {
+        console.error('Create dimension error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Update a dimension's code and name, or reactivate it with is_active: true (admin only)
+router.put('/:id', authorizeAdmin, async (req, res) => {
+    try {
+        const dimensionId = parseIdParam(req, res, 'dimension');
+        if (!dimensionId) return;
+
+        const dimension = await DimensionModel.updateDimension(dimensionId, req.body);
+        res.json({
+            success: true,
+            message: `${dimension.dimension_label} ${dimension.code} updated successfully`,
+            data: dimension
+        });
+    } catch (error) {
+        console.error('Update dimension error:', error);
+
+        if (error.message === 'Dimension not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Deactivate a dimension (admin only); entries already posted keep it
+router.delete('/:id', authorizeAdmin, async (req, res) => {
+    try {
+        const dimensionId = parseIdParam(req, res, 'dimension');
+        if (!dimensionId) return;
+
+        const dimension = await DimensionModel.deactivateDimension(dimensionId);
+        res.json({
+            success: true,
+            message: `${dimension.dimension_label} ${dimension.code} deactivated successfully`,
+            data: dimension
+        });
+    } catch (error) {
+        console.error('Deactivate dimension error:', error);
+
+        if (error.message === 'Dimension not found or already inactive') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const NumberSeriesModel = require('../models/numberSeriesModel');
+const { authenticate, authorizeAdmin } = require('../middleware/auth');
+const { formatErrorResponse } = require('../utils/routeHelpers');
+
+// ===== APPLY AUTHENTICATION MIDDLEWARE TO ALL ROUTES =====
+router.use(authenticate);
+
+// ===== NUMBER SERIES ROUTES =====
+
+// Get number series; ?includeInactive=true lists inactive ones too (all authenticated users)
+router.get('/', async (req, res) => {
+    try {
+        const series = await NumberSeriesModel.getAllSeries(req.query.includeInactive === 'true');
+        res.json({
+            success: true,
+            data: series,
+            count: series.length
+        });
+    } catch (error) {
+        console.error('Get number series error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Create a number series (admin only)
+router.post('/', authorizeAdmin, async (req, res) => {
+    try {
+        const series = await NumberSeriesModel.createSeries({
+            ...req.body,
+            code: req.body.code ? String(req.body.code).trim().toUpperCase() : req.body.code
+        });
+        res.status(201).json({
+            success: true,
+            message: `Number series ${series.code} created successfully`,
+            data: series
+        });
+    } catch (error) {
+        console.error('Create number series error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Update a number series (admin only)
+router.put('/:id', authorizeAdmin, async (req, res) => {
+    try {
+        const seriesId = parseInt(req.params.id);
+
+        if (!seriesId || isNaN(seriesId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid number series ID is required'
+            });
+        }
+
+        const series = await NumberSeriesModel.updateSeries(seriesId, req.body);
+        res.json({
+            success: true,
+            message: `Number series ${series.code} updated successfully`,
+            data: series
+        });
+    } catch (error) {
+        console.error('Update number series error:', error);
+
+        if (error.message === 'Number series not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,182 @@
+const express = require('express');
+const router = express.Router();
+const PeriodModel = require('../models/periodModel');
+const { authenticate, authorizeAdmin } = require('../middleware/auth');
+const { formatErrorResponse } = require('../utils/routeHelpers');
+
+// ===== HELPER FUNCTIONS =====
+
+// Route action -> period status
+const ACTION_STATUS = {
+    close: 'closed',
+    lock: 'locked',
+    reopen: 'open'
+};
+
+// ===== APPLY AUTHENTICATION MIDDLEWARE TO ALL ROUTES =====
+router.use(authenticate);
+
+// ===== PERIOD ROUTES =====
+
+// Get periods, optionally for one fiscal year (all authenticated users)
+router.get('/', async (req, res) => {
+    try {
+        const fiscalYear = req.query.fiscalYear ? parseInt(req.query.fiscalYear) : null;
+
+        if (req.query.fiscalYear && isNaN(fiscalYear)) {
+            return res.status(400).json({
+                success: false,
+                message: 'fiscalYear must be a year such as 2024'
+            });
+        }
+
+        const periods = await PeriodModel.getPeriods(fiscalYear);
+        res.json({
+            success: true,
+            data: periods,
+            count: periods.length
+        });
+    } catch (error) {
+        console.error('Get periods error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Get fiscal years with period status summary (all authenticated users)
+router.get('/fiscal-years', async (req, res) => {
+    try {
+        const fiscalYears = await PeriodModel.getFiscalYears();
+        res.json({ success: true, data: fiscalYears });
+    } catch (error) {
+        console.error('Get fiscal years error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Create the monthly periods for a fiscal year (admin only)
+router.post('/fiscal-years', authorizeAdmin, async (req, res) => {
+    try {
+        const { fiscalYear } = req.body;
+
+        if (!fiscalYear) {
+            return res.status(400).json({
+                success: false,
+                message: 'fiscalYear is required (the calendar year in which the fiscal year starts)'
+            });
+        }
+
+        const result = await PeriodModel.createFiscalYear(fiscalYear);
+        res.status(201).json({ success: true, data: result });
+    } catch (error) {
+        console.error('Create fiscal year error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Close, lock or reopen every period of a fiscal year (admin only)
+router.post('/fiscal-years/:year/:action(close|lock|reopen)', authorizeAdmin, async (req, res) => {
+    try {
+        const fiscalYear = parseInt(req.params.year);
+
+        if (!fiscalYear || isNaN(fiscalYear)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid fiscal year is required'
+            });
+        }
+
+        const result = await PeriodModel.setFiscalYearStatus(
+            fiscalYear,
+            ACTION_STATUS[req.params.action],
+            req.user.id,
+            req.body.notes
+        );
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('Set fiscal year status error:', error);
+
+        if (error.message.startsWith('Fiscal year not found')) {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Preview the year-end closing entries for a fiscal year (all authenticated users)
+router.get('/fiscal-years/:year/year-end-close/preview', async (req, res) => {
+    try {
+        const fiscalYear = parseInt(req.params.year);
+        const retainedEarningsAccountId = req.query.retainedEarningsAccountId ? parseInt(req.query.retainedEarningsAccountId) : null;
+
+        if (!fiscalYear || isNaN(fiscalYear)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid fiscal year is required'
+            });
+        }
+
+        const preview = await PeriodModel.previewYearEndClose(fiscalYear, retainedEarningsAccountId);
+        res.json({ success: true, data: preview });
+    } catch (error) {
+        console.error('Preview year-end close error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Post the year-end closing entries into retained earnings (admin only)
+router.post('/fiscal-years/:year/year-end-close', authorizeAdmin, async (req, res) => {
+    try {
+        const fiscalYear = parseInt(req.params.year);
+        const { retainedEarningsAccountId, closePeriods } = req.body;
+
+        if (!fiscalYear || isNaN(fiscalYear)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid fiscal year is required'
+            });
+        }
+
+        const result = await PeriodModel.postYearEndClose(fiscalYear, {
+            retainedEarningsAccountId: retainedEarningsAccountId ? parseInt(retainedEarningsAccountId) : null,
+            closePeriods: closePeriods !== false,
+            userId: req.user.id
+        });
+        res.status(201).json({ success: true, data: result });
+    } catch (error) {
+        console.error('Post year-end close error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Close, lock or reopen a single period (admin only)
+router.post('/:id/:action(close|lock|reopen)', authorizeAdmin, async (req, res) => {
+    try {
+        const periodId = parseInt(req.params.id);
+
+        if (!periodId || isNaN(periodId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid period ID is required'
+            });
+        }
+
+        const result = await PeriodModel.setPeriodStatus(
+            periodId,
+            ACTION_STATUS[req.params.action],
+            req.user.id,
+            req.body.notes
+        );
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('Set period status error:', error);
+
+        if (error.message === 'Period not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+module.exports = router;
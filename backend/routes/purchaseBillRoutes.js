@@ -0,0 +1,168 @@
+const express = require('express');
+const router = express.Router();
+const PurchaseBillModel = require('../models/purchaseBillModel');
+const { authenticate, authorizeAdmin } = require('../middleware/auth');
+const { formatErrorResponse, parseIdParam } = require('../utils/routeHelpers');
+
+const BILL_STATUSES = ['draft', 'approved', 'voided'];
+
+// ===== APPLY AUTHENTICATION MIDDLEWARE TO ALL ROUTES =====
+router.use(authenticate);
+
+// ===== PURCHASE BILL ROUTES =====
+
+// Get purchase bills, optionally ?status=draft|approved|voided&vendorId=&open=true
+// (open: approved bills with an amount left to pay, oldest due first)
+router.get('/', async (req, res) => {
+    try {
+        const { status, vendorId, open } = req.query;
+
+        if (status && !BILL_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: ${BILL_STATUSES.join(', ')}`
+            });
+        }
+
+        const bills = await PurchaseBillModel.getAllBills({
+            status: status || null,
+            vendorId: vendorId ? parseInt(vendorId) || null : null,
+            openOnly: open === 'true'
+        });
+        res.json({
+            success: true,
+            data: bills,
+            count: bills.length
+        });
+    } catch (error) {
+        console.error('Get purchase bills error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Get one purchase bill with its lines and the payments applied to it
+router.get('/:id', async (req, res) => {
+    try {
+        const billId = parseIdParam(req, res, 'purchase bill');
+        if (!billId) return;
+
+        const bill = await PurchaseBillModel.getBillById(billId);
+        res.json({ success: true, data: bill });
+    } catch (error) {
+        console.error('Get purchase bill error:', error);
+
+        if (error.message === 'Purchase bill not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Create a draft purchase bill (admin only)
+router.post('/', authorizeAdmin, async (req, res) => {
+    try {
+        const bill = await PurchaseBillModel.createBill(req.body);
+        res.status(201).json({
+            success: true,
+            message: `Draft bill for ${bill.vendor_name} created successfully`,
+            data: bill
+        });
+    } catch (error) {
+        console.error('Create purchase bill error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Update a draft purchase bill (admin only)
+router.put('/:id', authorizeAdmin, async (req, res) => {
+    try {
+        const billId = parseIdParam(req, res, 'purchase bill');
+        if (!billId) return;
+
+        const bill = await PurchaseBillModel.updateBill(billId, req.body);
+        res.json({
+            success: true,
+            message: 'Draft bill updated successfully',
+            data: bill
+        });
+    } catch (error) {
+        console.error('Update purchase bill error:', error);
+
+        if (error.message === 'Purchase bill not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Delete a draft purchase bill (admin only)
+router.delete('/:id', authorizeAdmin, async (req, res) => {
+    try {
+        const billId = parseIdParam(req, res, 'purchase bill');
+        if (!billId) return;
+
+        await PurchaseBillModel.deleteBill(billId);
+        res.json({
+            success: true,
+            message: 'Draft bill deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete purchase bill error:', error);
+
+        if (error.message === 'Purchase bill not found or not a draft') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Approve a draft: posts its journal entry and numbers the bill (admin only)
+router.post('/:id/approve', authorizeAdmin, async (req, res) => {
+    try {
+        const billId = parseIdParam(req, res, 'purchase bill');
+        if (!billId) return;
+
+        const bill = await PurchaseBillModel.approveBill(billId);
+        res.json({
+            success: true,
+            message: `Bill ${bill.bill_number} approved and posted as TID-${bill.transaction_number}`,
+            data: bill
+        });
+    } catch (error) {
+        console.error('Approve purchase bill error:', error);
+
+        if (error.message === 'Purchase bill not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Void an approved bill and its posting { reason }; payments applied to it become unapplied credit (admin only)
+router.post('/:id/void', authorizeAdmin, async (req, res) => {
+    try {
+        const billId = parseIdParam(req, res, 'purchase bill');
+        if (!billId) return;
+
+        const bill = await PurchaseBillModel.voidBill(billId, req.body.reason);
+        res.json({
+            success: true,
+            message: `Bill ${bill.bill_number} voided successfully`,
+            data: bill
+        });
+    } catch (error) {
+        console.error('Void purchase bill error:', error);
+
+        if (error.message === 'Purchase bill not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+module.exports = router;
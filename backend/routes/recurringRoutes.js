@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const RecurringModel = require('../models/recurringModel');
+const { authenticate, authorizeAdmin } = require('../middleware/auth');
+const { formatErrorResponse, parseIdParam } = require('../utils/routeHelpers');
+
+// ===== APPLY AUTHENTICATION MIDDLEWARE TO ALL ROUTES =====
+router.use(authenticate);
+
+// ===== RECURRING SCHEDULE ROUTES =====
+
+// Get every schedule with its next run date
+router.get('/', async (req, res) => {
+    try {
+        const schedules = await RecurringModel.getSchedules();
+        res.json({
+            success: true,
+            data: schedules,
+            count: schedules.length
+        });
+    } catch (error) {
+        console.error('Get recurring schedules error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Post every occurrence due by today now instead of waiting for the background job (admin only)
+router.post('/run', authorizeAdmin, async (req, res) => {
+    try {
+        const result = await RecurringModel.runDueSchedules();
+        res.json({
+            success: true,
+            message: `${result.posted} posted, ${result.skipped} skipped, ${result.failed} failed`,
+            data: result
+        });
+    } catch (error) {
+        console.error('Run recurring schedules error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Get a schedule with its upcoming dates (?upcoming=, default 5) and generated occurrences
+router.get('/:id', async (req, res) => {
+    try {
+        const scheduleId = parseIdParam(req, res, 'recurring schedule');
+        if (!scheduleId) return;
+
+        const upcoming = Math.min(parseInt(req.query.upcoming) || 5, 60);
+        const schedule = await RecurringModel.getScheduleById(scheduleId, upcoming);
+        res.json({ success: true, data: schedule });
+    } catch (error) {
+        console.error('Get recurring schedule error:', error);
+        res.status(error.message === 'Recurring schedule not found' ? 404 : 500).json(formatErrorResponse(error));
+    }
+});
+
+// Create a schedule (admin only)
+router.post('/', authorizeAdmin, async (req, res) => {
+    try {
+        const schedule = await RecurringModel.createSchedule(req.body, req.user.id);
+        res.status(201).json({
+            success: true,
+            message: `Recurring schedule "${schedule.name}" created`,
+            data: schedule
+        });
+    } catch (error) {
+        console.error('Create recurring schedule error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Update a schedule (admin only)
+router.put('/:id', authorizeAdmin, async (req, res) => {
+    try {
+        const scheduleId = parseIdParam(req, res, 'recurring schedule');
+        if (!scheduleId) return;
+
+        const schedule = await RecurringModel.updateSchedule(scheduleId, req.body);
+        res.json({
+            success: true,
+            message: `Recurring schedule "${schedule.name}" updated`,
+            data: schedule
+        });
+    } catch (error) {
+        console.error('Update recurring schedule error:', error);
+        res.status(error.message === 'Recurring schedule not found' ? 404 : 400).json(formatErrorResponse(error));
+    }
+});
+
+// Pause, resume or end a schedule (admin only)
+router.post('/:id/:action(pause|resume|end)', authorizeAdmin, async (req, res) => {
+    try {
+        const scheduleId = parseIdParam(req, res, 'recurring schedule');
+        if (!scheduleId) return;
+
+        const schedule = await RecurringModel.setScheduleStatus(scheduleId, req.params.action);
+        res.json({
+            success: true,
+            message: `Recurring schedule "${schedule.name}" is now ${schedule.status}`,
+            data: schedule
+        });
+    } catch (error) {
+        console.error('Set recurring schedule status error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Delete a schedule that has not posted anything (admin only)
+router.delete('/:id', authorizeAdmin, async (req, res) => {
+    try {
+        const scheduleId = parseIdParam(req, res, 'recurring schedule');
+        if (!scheduleId) return;
+
+        await RecurringModel.deleteSchedule(scheduleId);
+        res.json({
+            success: true,
+            message: 'Recurring schedule deleted'
+        });
+    } catch (error) {
+        console.error('Delete recurring schedule error:', error);
+        res.status(error.message === 'Recurring schedule not found' ? 404 : 400).json(formatErrorResponse(error));
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const SalesInvoiceModel = require('../models/salesInvoiceModel');
+const { authenticate, authorizeAdmin } = require('../middleware/auth');
+const { formatErrorResponse, parseIdParam } = require('../utils/routeHelpers');
+
+const INVOICE_STATUSES = ['draft', 'approved', 'voided'];
+
+// ===== APPLY AUTHENTICATION MIDDLEWARE TO ALL ROUTES =====
+router.use(authenticate);
+
+// ===== SALES INVOICE ROUTES =====
+
+// Get sales invoices, optionally ?status=draft|approved|voided&customerId=
+router.get('/', async (req, res) => {
+    try {
+        const { status, customerId } = req.query;
+
+        if (status && !INVOICE_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: ${INVOICE_STATUSES.join(', ')}`
+            });
+        }
+
+        const invoices = await SalesInvoiceModel.getAllInvoices({
+            status: status || null,
+            customerId: customerId ? parseInt(customerId) || null : null
+        });
+        res.json({
+            success: true,
+            data: invoices,
+            count: invoices.length
+        });
+    } catch (error) {
+        console.error('Get sales invoices error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Get one sales invoice with its lines
+router.get('/:id', async (req, res) => {
+    try {
+        const invoiceId = parseIdParam(req, res, 'sales invoice');
+        if (!invoiceId) return;
+
+        const invoice = await SalesInvoiceModel.getInvoiceById(invoiceId);
+        res.json({ success: true, data: invoice });
+    } catch (error) {
+        console.error('Get sales invoice error:', error);
+
+        if (error.message === 'Sales invoice not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Create a draft sales invoice (admin only)
+router.post('/', authorizeAdmin, async (req, res) => {
+    try {
+        const invoice = await SalesInvoiceModel.createInvoice(req.body);
+        res.status(201).json({
+            success: true,
+            message: `Draft invoice for ${invoice.customer_name} created successfully`,
+            data: invoice
+        });
+    } catch (error) {
+        console.error('Create sales invoice error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Update a draft sales invoice (admin only)
+router.put('/:id', authorizeAdmin, async (req, res) => {
+    try {
+        const invoiceId = parseIdParam(req, res, 'sales invoice');
+        if (!invoiceId) return;
+
+        const invoice = await SalesInvoiceModel.updateInvoice(invoiceId, req.body);
+        res.json({
+            success: true,
+            message: 'Draft invoice updated successfully',
+            data: invoice
+        });
+    } catch (error) {
+        console.error('Update sales invoice error:', error);
+
+        if (error.message === 'Sales invoice not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Delete a draft sales invoice (admin only)
+router.delete('/:id', authorizeAdmin, async (req, res) => {
+    try {
+        const invoiceId = parseIdParam(req, res, 'sales invoice');
+        if (!invoiceId) return;
+
+        await SalesInvoiceModel.deleteInvoice(invoiceId);
+        res.json({
+            success: true,
+            message: 'Draft invoice deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete sales invoice error:', error);
+
+        if (error.message === 'Sales invoice not found or not a draft') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Approve a draft: posts its journal entry and numbers the invoice (admin only)
+router.post('/:id/approve', authorizeAdmin, async (req, res) => {
+    try {
+        const invoiceId = parseIdParam(req, res, 'sales invoice');
+        if (!invoiceId) return;
+
+        const invoice = await SalesInvoiceModel.approveInvoice(invoiceId);
+        res.json({
+            success: true,
+            message: `Invoice ${invoice.invoice_number} approved and posted as TID-${invoice.transaction_number}`,
+            data: invoice
+        });
+    } catch (error) {
+        console.error('Approve sales invoice error:', error);
+
+        if (error.message === 'Sales invoice not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Void an approved invoice and its posting { reason } (admin only)
+router.post('/:id/void', authorizeAdmin, async (req, res) => {
+    try {
+        const invoiceId = parseIdParam(req, res, 'sales invoice');
+        if (!invoiceId) return;
+
+        const invoice = await SalesInvoiceModel.voidInvoice(invoiceId, req.body.reason);
+        res.json({
+            success: true,
+            message: `Invoice ${invoice.invoice_number} voided successfully`,
+            data: invoice
+        });
+    } catch (error) {
+        console.error('Void sales invoice error:', error);
+
+        if (error.message === 'Sales invoice not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const TemplateModel = require('../models/templateModel');
+const { authenticate, authorizeAdmin } = require('../middleware/auth');
+const { formatErrorResponse, parseIdParam } = require('../utils/routeHelpers');
+
+// ===== APPLY AUTHENTICATION MIDDLEWARE TO ALL ROUTES =====
+router.use(authenticate);
+
+// ===== TRANSACTION TEMPLATE ROUTES =====
+
+// Get the current user's own templates and every shared one
+router.get('/', async (req, res) => {
+    try {
+        const templates = await TemplateModel.getTemplates(req.user.id);
+        res.json({
+            success: true,
+            data: templates,
+            count: templates.length
+        });
+    } catch (error) {
+        console.error('Get transaction templates error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Get a template
+router.get('/:id', async (req, res) => {
+    try {
+        const templateId = parseIdParam(req, res, 'transaction template');
+        if (!templateId) return;
+
+        const template = await TemplateModel.getTemplateById(templateId, req.user.id);
+        res.json({ success: true, data: template });
+    } catch (error) {
+        console.error('Get transaction template error:', error);
+        res.status(error.message === 'Transaction template not found' ? 404 : 500).json(formatErrorResponse(error));
+    }
+});
+
+// Create a template, private to its creator unless is_shared is set (admin only)
+router.post('/', authorizeAdmin, async (req, res) => {
+    try {
+        const template = await TemplateModel.createTemplate(req.body, req.user.id);
+        res.status(201).json({
+            success: true,
+            message: `Template "${template.name}" saved`,
+            data: template
+        });
+    } catch (error) {
+        console.error('Create transaction template error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Update a template (admin only)
+router.put('/:id', authorizeAdmin, async (req, res) => {
+    try {
+        const templateId = parseIdParam(req, res, 'transaction template');
+        if (!templateId) return;
+
+        const template = await TemplateModel.updateTemplate(templateId, req.body, req.user.id);
+        res.json({
+            success: true,
+            message: `Template "${template.name}" updated`,
+            data: template
+        });
+    } catch (error) {
+        console.error('Update transaction template error:', error);
+        res.status(error.message === 'Transaction template not found' ? 404 : 400).json(formatErrorResponse(error));
+    }
+});
+
+// Delete a template (admin only)
+router.delete('/:id', authorizeAdmin, async (req, res) => {
+    try {
+        const templateId = parseIdParam(req, res, 'transaction template');
+        if (!templateId) return;
+
+        await TemplateModel.deleteTemplate(templateId, req.user.id);
+        res.json({
+            success: true,
+            message: 'Template deleted'
+        });
+    } catch (error) {
+        console.error('Delete transaction template error:', error);
+        res.status(error.message === 'Transaction template not found' ? 404 : 500).json(formatErrorResponse(error));
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const VendorPaymentModel = require('../models/vendorPaymentModel');
+const { authenticate, authorizeAdmin } = require('../middleware/auth');
+const { formatErrorResponse, parseIdParam } = require('../utils/routeHelpers');
+
+const PAYMENT_STATUSES = ['posted', 'voided'];
+
+// ===== APPLY AUTHENTICATION MIDDLEWARE TO ALL ROUTES =====
+router.use(authenticate);
+
+// ===== VENDOR PAYMENT ROUTES =====
+
+// Get vendor payments, optionally ?status=posted|voided&vendorId=&unapplied=true
+// (unapplied: posted payments with credit not yet applied to bills)
+router.get('/', async (req, res) => {
+    try {
+        const { status, vendorId, unapplied } = req.query;
+
+        if (status && !PAYMENT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: ${PAYMENT_STATUSES.join(', ')}`
+            });
+        }
+
+        const payments = await VendorPaymentModel.getAllPayments({
+            status: status || null,
+            vendorId: vendorId ? parseInt(vendorId) || null : null,
+            unappliedOnly: unapplied === 'true'
+        });
+        res.json({
+            success: true,
+            data: payments,
+            count: payments.length
+        });
+    } catch (error) {
+        console.error('Get vendor payments error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Get one vendor payment with the bills it settles
+router.get('/:id', async (req, res) => {
+    try {
+        const paymentId = parseIdParam(req, res, 'vendor payment');
+        if (!paymentId) return;
+
+        const payment = await VendorPaymentModel.getPaymentById(paymentId);
+        res.json({ success: true, data: payment });
+    } catch (error) {
+        console.error('Get vendor payment error:', error);
+
+        if (error.message === 'Vendor payment not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Record and post a payment { vendor_id, payment_date, payment_account_id, amount,
+// reference, notes, allocations: [{ bill_id, amount }] } (admin only)
+router.post('/', authorizeAdmin, async (req, res) => {
+    try {
+        const payment = await VendorPaymentModel.createPayment(req.body);
+        res.status(201).json({
+            success: true,
+            message: `Payment ${payment.payment_number} to ${payment.vendor_name} posted as TID-${payment.transaction_number}`,
+            data: payment
+        });
+    } catch (error) {
+        console.error('Create vendor payment error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Apply unapplied credit to bills { allocations: [{ bill_id, amount }] } (admin only)
+router.post('/:id/allocations', authorizeAdmin, async (req, res) => {
+    try {
+        const paymentId = parseIdParam(req, res, 'vendor payment');
+        if (!paymentId) return;
+
+        const payment = await VendorPaymentModel.allocatePayment(paymentId, req.body.allocations);
+        res.json({
+            success: true,
+            message: `Payment ${payment.payment_number} allocated successfully`,
+            data: payment
+        });
+    } catch (error) {
+        console.error('Allocate vendor payment error:', error);
+
+        if (error.message === 'Vendor payment not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Remove the allocation of a payment to a bill (admin only)
+router.delete('/:id/allocations/:billId', authorizeAdmin, async (req, res) => {
+    try {
+        const paymentId = parseIdParam(req, res, 'vendor payment');
+        if (!paymentId) return;
+
+        const billId = parseInt(req.params.billId);
+        if (!billId || isNaN(billId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid purchase bill ID is required'
+            });
+        }
+
+        const payment = await VendorPaymentModel.removeAllocation(paymentId, billId);
+        res.json({
+            success: true,
+            message: 'Allocation removed successfully',
+            data: payment
+        });
+    } catch (error) {
+        console.error('Remove vendor payment allocation error:', error);
+
+        if (error.message === 'Allocation not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Void a payment and its posting { reason }; the bills it settled are open again (admin only)
+router.post('/:id/void', authorizeAdmin, async (req, res) => {
+    try {
+        const paymentId = parseIdParam(req, res, 'vendor payment');
+        if (!paymentId) return;
+
+        const payment = await VendorPaymentModel.voidPayment(paymentId, req.body.reason);
+        res.json({
+            success: true,
+            message: `Payment ${payment.payment_number} voided successfully`,
+            data: payment
+        });
+    } catch (error) {
+        console.error('Void vendor payment error:', error);
+
+        if (error.message === 'Vendor payment not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+const VendorModel = require('../models/vendorModel');
+const { authenticate, authorizeAdmin } = require('../middleware/auth');
+const { formatErrorResponse, parseIdParam } = require('../utils/routeHelpers');
+
+// ===== HELPER FUNCTIONS =====
+
+// Validate dd/mm/yyyy date format
+const isValidDate = (dateStr) => {
+    if (!dateStr) return false;
+
+    const ddMMyyyyRegex = /^\d{1,2}\/\d{1,2}\/\d{4}$/;
+    if (!ddMMyyyyRegex.test(dateStr)) return false;
+
+    const parts = dateStr.split('/');
+    const day = parseInt(parts[0], 10);
+    const month = parseInt(parts[1], 10);
+    const year = parseInt(parts[2], 10);
+
+    return day >= 1 && day <= 31 && month >= 1 && month <= 12 && year >= 1900 && year <= 2100;
+};
+
+// ===== APPLY AUTHENTICATION MIDDLEWARE TO ALL ROUTES =====
+router.use(authenticate);
+
+// ===== VENDOR ROUTES =====
+
+// Get vendors with the balances owed to them; ?includeInactive=true lists inactive ones too
+router.get('/', async (req, res) => {
+    try {
+        const vendors = await VendorModel.getAllVendors(req.query.includeInactive === 'true');
+        res.json({
+            success: true,
+            data: vendors,
+            count: vendors.length
+        });
+    } catch (error) {
+        console.error('Get vendors error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Accounts payable sub-ledger, optionally ?asOf=dd/mm/yyyy
+router.get('/subledger', async (req, res) => {
+    try {
+        const { asOf } = req.query;
+
+        if (asOf && !isValidDate(asOf)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid asOf date format. Use dd/mm/yyyy format'
+            });
+        }
+
+        const subledger = await VendorModel.getPayablesSubledger(asOf || null);
+        res.json({ success: true, data: subledger });
+    } catch (error) {
+        console.error('Get payables sub-ledger error:', error);
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Get one vendor
+router.get('/:id', async (req, res) => {
+    try {
+        const vendorId = parseIdParam(req, res, 'vendor');
+        if (!vendorId) return;
+
+        const vendor = await VendorModel.getVendorById(vendorId);
+        res.json({ success: true, data: vendor });
+    } catch (error) {
+        console.error('Get vendor error:', error);
+
+        if (error.message === 'Vendor not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Vendor statement for ?startDate=dd/mm/yyyy&endDate=dd/mm/yyyy
+router.get('/:id/statement', async (req, res) => {
+    try {
+        const vendorId = parseIdParam(req, res, 'vendor');
+        if (!vendorId) return;
+
+        const { startDate, endDate } = req.query;
+
+        if (!startDate || !endDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'startDate and endDate query parameters are required'
+            });
+        }
+
+        if (!isValidDate(startDate) || !isValidDate(endDate)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date format. Use dd/mm/yyyy format for both dates'
+            });
+        }
+
+        const statement = await VendorModel.getVendorStatement(vendorId, startDate, endDate);
+        res.json({ success: true, data: statement });
+    } catch (error) {
+        console.error('Get vendor statement error:', error);
+
+        if (error.message === 'Vendor not found') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        if (error.message.startsWith('Start date')) {
+            return res.status(400).json(formatErrorResponse(error));
+        }
+
+        res.status(500).json(formatErrorResponse(error));
+    }
+});
+
+// Create a vendor (admin only)
+router.post('/', authorizeAdmin, async (req, res) => {
+    try {
+        const vendor = await VendorModel.createVendor(req.body);
+        res.status(201).json({
+            success: true,
+            message: `Vendor ${vendor.name} created successfully`,
+            data: vendor
+        });
+    } catch (error) {
+        console.error('Create vendor error:', error);
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Update a vendor (admin only)
+router.put('/:id', authorizeAdmin, async (req, res) => {
+    try {
+        const vendorId = parseIdParam(req, res, 'vendor');
+        if (!vendorId) return;
+
+        const vendor = await VendorModel.updateVendor(vendorId, req.body);
+        res.json({
+            success: true,
+            message: `Vendor ${vendor.name} updated successfully`,
+            data: vendor
+        });
+    } catch (error) {
+        console.error('Update vendor error:', error);
+
+        if (error.message === 'Vendor not found or inactive') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+// Deactivate a vendor (admin only); vendors with a balance are kept active
+router.delete('/:id', authorizeAdmin, async (req, res) => {
+    try {
+        const vendorId = parseIdParam(req, res, 'vendor');
+        if (!vendorId) return;
+
+        const vendor = await VendorModel.deactivateVendor(vendorId);
+        res.json({
+            success: true,
+            message: `Vendor ${vendor.name} deactivated successfully`,
+            data: vendor
+        });
+    } catch (error) {
+        console.error('Deactivate vendor error:', error);
+
+        if (error.message === 'Vendor not found or already inactive') {
+            return res.status(404).json(formatErrorResponse(error));
+        }
+
+        res.status(400).json(formatErrorResponse(error));
+    }
+});
+
+module.exports = router;
@@ -106,6 +106,9 @@ const authLimiter = rateLimit({
   }
 });
 
+// Statement and rate files are uploaded as text inside the JSON body; allow more than the default 100kb
+app.use('/api/bank-statements', express.json({ limit: '5mb' }));
+app.use('/api/currencies/rates/import', express.json({ limit: '5mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -194,9 +197,41 @@ app.get('/api/init-database', authLimiter, async (req, res) => {
 // ===== IMPORT ROUTES =====
 const authRoutes = require('./routes/authRoutes');
 const accountingRoutes = require('./routes/accountingRoutes');
+const periodRoutes = require('./routes/periodRoutes');
+const numberSeriesRoutes = require('./routes/numberSeriesRoutes');
+const customerRoutes = require('./routes/customerRoutes');
+const vendorRoutes = require('./routes/vendorRoutes');
+const salesInvoiceRoutes = require('./routes/salesInvoiceRoutes');
+const purchaseBillRoutes = require('./routes/purchaseBillRoutes');
+const vendorPaymentRoutes = require('./routes/vendorPaymentRoutes');
+const customerReceiptRoutes = require('./routes/customerReceiptRoutes');
+const bankReconciliationRoutes = require('./routes/bankReconciliationRoutes');
+const bankStatementRoutes = require('./routes/bankStatementRoutes');
+const bankRuleRoutes = require('./routes/bankRuleRoutes');
+const currencyRoutes = require('./routes/currencyRoutes');
+const dimensionRoutes = require('./routes/dimensionRoutes');
+const budgetRoutes = require('./routes/budgetRoutes');
+const recurringRoutes = require('./routes/recurringRoutes');
+const templateRoutes = require('./routes/templateRoutes');
 
 // ===== MOUNT ROUTES =====
 app.use('/api/auth', authLimiter, authRoutes);
+app.use('/api/periods', periodRoutes); // Accounting periods (open/closed/locked)
+app.use('/api/number-series', numberSeriesRoutes); // Voucher number series (JV-, CR-, ...)
+app.use('/api/customers', customerRoutes); // Customers and the receivables sub-ledger
+app.use('/api/vendors', vendorRoutes); // Vendors and the payables sub-ledger
+app.use('/api/sales-invoices', salesInvoiceRoutes); // Sales invoices posted to the journal on approval
+app.use('/api/purchase-bills', purchaseBillRoutes); // Vendor bills posted to the journal on approval
+app.use('/api/vendor-payments', vendorPaymentRoutes); // Payments settling one or many bills
+app.use('/api/customer-receipts', customerReceiptRoutes); // Receipts settling open receivable transactions
+app.use('/api/bank-reconciliations', bankReconciliationRoutes); // Bank statements ticked off against the ledger
+app.use('/api/bank-statements', bankStatementRoutes); // Imported statement files and their staged lines
+app.use('/api/bank-rules', bankRuleRoutes); // Rules that categorize and post imported lines
+app.use('/api/currencies', currencyRoutes); // Base currency and exchange rates
+app.use('/api/dimensions', dimensionRoutes); // Cost centers, departments and projects for journal lines
+app.use('/api/budgets', budgetRoutes); // Monthly budgets and budget vs actual
+app.use('/api/recurring-schedules', recurringRoutes); // Journal entries posted automatically on a schedule
+app.use('/api/transaction-templates', templateRoutes); // Saved entry shapes that prefill the transaction form
 app.use('/api', accountingRoutes); // Includes company-details endpoint
 
 // ===== ROOT ENDPOINT (Enhanced) =====
@@ -225,29 +260,190 @@ app.get('/', (req, res) => {
                 changePassword: 'PUT /api/auth/change-password'
             },
             accounts: {
-                getAll: 'GET /api/accounts (authenticated)',
+                getAll: 'GET /api/accounts?asOf= (authenticated)',
                 create: 'POST /api/accounts (admin only)',
                 getById: 'GET /api/accounts/:id (authenticated)',
                 update: 'PUT /api/accounts/:id (admin only)',
+                cashFlowCategory: 'PUT /api/accounts/:id/cash-flow-category (admin only)',
+                controlType: 'PUT /api/accounts/:id/control-type { control_type: receivable|payable|null } (admin only)',
                 delete: 'DELETE /api/accounts/:id (admin only)'
             },
             transactions: {
                 getAll: 'GET /api/transactions (authenticated)',
                 create: 'POST /api/transactions (admin only)',
                 getById: 'GET /api/transactions/:id (authenticated)',
+                nextNumber: 'GET /api/transactions/next-number?series=&date= (authenticated)',
                 update: 'PUT /api/transactions/:id (admin only)',
-                delete: 'DELETE /api/transactions/:id (admin only)',
+                reverse: 'POST /api/transactions/:id/reverse { reason, date? } (admin only)',
+                void: 'POST /api/transactions/:id/void { reason } (admin only)',
                 byDate: 'GET /api/transactions/by-date-range?startDate=&endDate= (authenticated)'
             },
+            numberSeries: {
+                getAll: 'GET /api/number-series?includeInactive= (authenticated)',
+                create: 'POST /api/number-series { code, name, prefix, padding, reset_yearly, include_year, is_default } (admin only)',
+                update: 'PUT /api/number-series/:id (admin only)'
+            },
+            customers: {
+                getAll: 'GET /api/customers?includeInactive= (authenticated)',
+                getById: 'GET /api/customers/:id (authenticated)',
+                statement: 'GET /api/customers/:id/statement?startDate=&endDate= (authenticated)',
+                subledger: 'GET /api/customers/subledger?asOf= (authenticated)',
+                create: 'POST /api/customers { name, contact_person, email, phone, address, tax_number, credit_limit, payment_terms_days } (admin only)',
+                update: 'PUT /api/customers/:id (admin only)',
+                deactivate: 'DELETE /api/customers/:id (admin only)'
+            },
+            vendors: {
+                getAll: 'GET /api/vendors?includeInactive= (authenticated)',
+                getById: 'GET /api/vendors/:id (authenticated)',
+                statement: 'GET /api/vendors/:id/statement?startDate=&endDate= (authenticated)',
+                subledger: 'GET /api/vendors/subledger?asOf= (authenticated)',
+                create: 'POST /api/vendors { name, contact_person, email, phone, address, tax_number, payment_terms_days } (admin only)',
+                update: 'PUT /api/vendors/:id (admin only)',
+                deactivate: 'DELETE /api/vendors/:id (admin only)'
+            },
+            salesInvoices: {
+                getAll: 'GET /api/sales-invoices?status=draft|approved|voided&customerId= (authenticated)',
+                getById: 'GET /api/sales-invoices/:id (authenticated)',
+                create: 'POST /api/sales-invoices { customer_id, invoice_date, due_date?, reference, notes, lines: [{ description, account_id, quantity, unit_price, tax_rate }] } (admin only)',
+                update: 'PUT /api/sales-invoices/:id (drafts only, admin only)',
+                delete: 'DELETE /api/sales-invoices/:id (drafts only, admin only)',
+                approve: 'POST /api/sales-invoices/:id/approve (posts the journal entry, admin only)',
+                void: 'POST /api/sales-invoices/:id/void { reason } (admin only)'
+            },
+            purchaseBills: {
+                getAll: 'GET /api/purchase-bills?status=draft|approved|voided&vendorId=&open=true (authenticated)',
+                getById: 'GET /api/purchase-bills/:id (authenticated)',
+                create: 'POST /api/purchase-bills { vendor_id, vendor_invoice_number, bill_date, due_date?, notes, lines: [{ description, account_id, quantity, unit_price, tax_rate }] } (admin only)',
+                update: 'PUT /api/purchase-bills/:id (drafts only, admin only)',
+                delete: 'DELETE /api/purchase-bills/:id (drafts only, admin only)',
+                approve: 'POST /api/purchase-bills/:id/approve (posts the journal entry, admin only)',
+                void: 'POST /api/purchase-bills/:id/void { reason } (admin only)'
+            },
+            vendorPayments: {
+                getAll: 'GET /api/vendor-payments?status=posted|voided&vendorId=&unapplied=true (authenticated)',
+                getById: 'GET /api/vendor-payments/:id (authenticated)',
+                create: 'POST /api/vendor-payments { vendor_id, payment_date, payment_account_id, amount, reference, notes, allocations: [{ bill_id, amount }] } (admin only)',
+                allocate: 'POST /api/vendor-payments/:id/allocations { allocations: [{ bill_id, amount }] } (admin only)',
+                removeAllocation: 'DELETE /api/vendor-payments/:id/allocations/:billId (admin only)',
+                void: 'POST /api/vendor-payments/:id/void { reason } (admin only)'
+            },
+            customerReceipts: {
+                getAll: 'GET /api/customer-receipts?status=posted|voided&customerId=&unapplied=true (authenticated)',
+                openItems: 'GET /api/customer-receipts/open-items?customerId= (authenticated)',
+                getById: 'GET /api/customer-receipts/:id (authenticated)',
+                create: 'POST /api/customer-receipts { customer_id, receipt_date, deposit_account_id, amount, reference, notes, allocations: [{ transaction_id, amount }] } (admin only)',
+                allocate: 'POST /api/customer-receipts/:id/allocations { allocations: [{ transaction_id, amount }] } (admin only)',
+                removeAllocation: 'DELETE /api/customer-receipts/:id/allocations/:transactionId (admin only)',
+                void: 'POST /api/customer-receipts/:id/void { reason } (admin only)'
+            },
+            bankReconciliations: {
+                accounts: 'GET /api/bank-reconciliations/accounts (authenticated)',
+                getAll: 'GET /api/bank-reconciliations?accountId= (authenticated)',
+                getById: 'GET /api/bank-reconciliations/:id (authenticated)',
+                start: 'POST /api/bank-reconciliations { account_id, statement_date, statement_balance, opening_balance } (admin only)',
+                update: 'PUT /api/bank-reconciliations/:id { statement_date, statement_balance } (admin only)',
+                delete: 'DELETE /api/bank-reconciliations/:id (in progress only, admin only)',
+                clear: 'POST /api/bank-reconciliations/:id/clear { entry_ids } (admin only)',
+                unclear: 'POST /api/bank-reconciliations/:id/unclear { entry_ids } (admin only)',
+                addLine: 'POST /api/bank-reconciliations/:id/lines { line_date, description, reference, amount } (admin only)',
+                deleteLine: 'DELETE /api/bank-reconciliations/:id/lines/:lineId (admin only)',
+                matchLine: 'POST /api/bank-reconciliations/:id/lines/:lineId/match { journal_entry_id } (admin only)',
+                unmatchLine: 'DELETE /api/bank-reconciliations/:id/lines/:lineId/match (admin only)',
+                autoMatch: 'POST /api/bank-reconciliations/:id/auto-match (admin only)',
+                complete: 'POST /api/bank-reconciliations/:id/complete (admin only)',
+                reopen: 'POST /api/bank-reconciliations/:id/reopen (latest only, admin only)'
+            },
+            bankStatements: {
+                preview: 'POST /api/bank-statements/preview { account_id, content, format, file_name, csv_mapping } (authenticated)',
+                import: 'POST /api/bank-statements/imports { account_id, content, format, file_name, csv_mapping } (admin only)',
+                imports: 'GET /api/bank-statements/imports?accountId= (authenticated)',
+                deleteImport: 'DELETE /api/bank-statements/imports/:id (no matched lines, admin only)',
+                csvMapping: 'GET /api/bank-statements/csv-mapping?accountId= (authenticated)',
+                lines: 'GET /api/bank-statements/lines?accountId=&importId=&status=unmatched|matched|ignored|all (authenticated)',
+                autoMatch: 'POST /api/bank-statements/lines/auto-match { account_id, import_id } (admin only)',
+                matchLine: 'POST /api/bank-statements/lines/:id/match { journal_entry_id } (admin only)',
+                unmatchLine: 'DELETE /api/bank-statements/lines/:id/match (admin only)',
+                createTransaction: 'POST /api/bank-statements/lines/:id/transaction { contra_account_id, description, customer_id, vendor_id } (admin only)',
+                ignoreLine: 'POST /api/bank-statements/lines/:id/ignore (admin only)',
+                restoreLine: 'POST /api/bank-statements/lines/:id/restore (admin only)'
+            },
+            bankRules: {
+                getAll: 'GET /api/bank-rules (authenticated)',
+                getById: 'GET /api/bank-rules/:id (authenticated)',
+                create: 'POST /api/bank-rules { name, priority, bank_account_id, direction, description_match, description_pattern, counterparty_pattern, min_amount, max_amount, contra_account_id, customer_id, vendor_id, transaction_description, auto_post, is_active } (admin only)',
+                update: 'PUT /api/bank-rules/:id (admin only)',
+                delete: 'DELETE /api/bank-rules/:id (admin only)',
+                dryRun: 'POST /api/bank-rules/dry-run { account_id, rule } (authenticated)',
+                applyAuto: 'POST /api/bank-rules/apply { account_id } (admin only)',
+                applyToLines: 'POST /api/bank-rules/:id/apply { line_ids } (admin only)'
+            },
+            currencies: {
+                getAll: 'GET /api/currencies (authenticated)',
+                rates: 'GET /api/currencies/rates?currency=&startDate=&endDate= (authenticated)',
+                lookupRate: 'GET /api/currencies/rates/lookup?currency=&date= (authenticated)',
+                setRate: 'POST /api/currencies/rates { currency_code, rate_date, rate } (admin only)',
+                importRates: 'POST /api/currencies/rates/import { content } (CSV: currency, date, rate; admin only)',
+                deleteRate: 'DELETE /api/currencies/rates/:id (admin only)',
+                revaluationPreview: 'GET /api/currencies/revaluation/preview?date=&gainLossAccountId= (authenticated)',
+                revaluation: 'POST /api/currencies/revaluation { date, gainLossAccountId?, autoReverse? } (admin only)'
+            },
+            dimensions: {
+                types: 'GET /api/dimensions/types (authenticated)',
+                getAll: 'GET /api/dimensions?type=cost_center|department|project&includeInactive=true (authenticated)',
+                getById: 'GET /api/dimensions/:id (authenticated)',
+                create: 'POST /api/dimensions { dimension_type, code, name } (admin only)',
+                update: 'PUT /api/dimensions/:id { code, name, is_active? } (admin only)',
+                deactivate: 'DELETE /api/dimensions/:id (admin only)'
+            },
+            budgets: {
+                getAll: 'GET /api/budgets?fiscalYear= (authenticated)',
+                set: 'PUT /api/budgets { fiscal_year, account_id, dimension_id?, amounts: [12 period amounts], notes? } (admin only)',
+                import: 'POST /api/budgets/import { fiscal_year, content } (admin only)',
+                delete: 'DELETE /api/budgets/:id (admin only)',
+                vsActual: 'GET /api/budgets/vs-actual?fiscalYear=&throughPeriod= (authenticated)'
+            },
+            recurringSchedules: {
+                getAll: 'GET /api/recurring-schedules (authenticated)',
+                getById: 'GET /api/recurring-schedules/:id?upcoming= (authenticated)',
+                create: 'POST /api/recurring-schedules { name, description, entries, frequency, interval_count?, day_of_month?, start_date, end_date?, max_occurrences?, catch_up_mode? } (admin only)',
+                update: 'PUT /api/recurring-schedules/:id (admin only)',
+                status: 'POST /api/recurring-schedules/:id/pause|resume|end (admin only)',
+                delete: 'DELETE /api/recurring-schedules/:id (admin only)',
+                run: 'POST /api/recurring-schedules/run (admin only)'
+            },
+            transactionTemplates: {
+                getAll: 'GET /api/transaction-templates (authenticated; own and shared templates)',
+                getById: 'GET /api/transaction-templates/:id (authenticated)',
+                create: 'POST /api/transaction-templates { name, description_pattern?, reference?, lines: [{ account_id, entry_type, amount_type: fixed|percent|open, amount? }], is_shared? } (admin only)',
+                update: 'PUT /api/transaction-templates/:id (admin only)',
+                delete: 'DELETE /api/transaction-templates/:id (admin only)'
+            },
+            periods: {
+                getAll: 'GET /api/periods?fiscalYear= (authenticated)',
+                fiscalYears: 'GET /api/periods/fiscal-years (authenticated)',
+                createFiscalYear: 'POST /api/periods/fiscal-years { fiscalYear } (admin only)',
+                fiscalYearStatus: 'POST /api/periods/fiscal-years/:year/close|lock|reopen (admin only)',
+                periodStatus: 'POST /api/periods/:id/close|lock|reopen (admin only)',
+                yearEndClosePreview: 'GET /api/periods/fiscal-years/:year/year-end-close/preview?retainedEarningsAccountId= (authenticated)',
+                yearEndClose: 'POST /api/periods/fiscal-years/:year/year-end-close { retainedEarningsAccountId?, closePeriods? } (admin only)'
+            },
             reports: {
-                balanceSheet: 'GET /api/reports/balance-sheet (authenticated)',
-                incomeStatement: 'GET /api/reports/income-statement (authenticated)',
-                ledger: 'GET /api/reports/ledger/:accountId?startDate=&endDate= (authenticated)',
-                financialRatios: 'GET /api/reports/financial-ratios (authenticated)'
+                balanceSheet: 'GET /api/reports/balance-sheet?asOf= (authenticated)',
+                incomeStatement: 'GET /api/reports/income-statement?asOf= (authenticated)',
+                incomeStatementPeriod: 'GET /api/reports/income-statement/period?startDate=&endDate=&costCenterId=&departmentId=&projectId=&groupBy= (authenticated)',
+                ledger: 'GET /api/reports/ledger/:accountId?startDate=&endDate=&costCenterId=&departmentId=&projectId=&groupBy= (authenticated)',
+                trialBalance: 'GET /api/reports/trial-balance?asOf=&variant=adjusted|unadjusted|post_closing (authenticated)',
+                cashFlow: 'GET /api/reports/cash-flow?start=&end=&method=indirect|direct (authenticated)',
+                equityStatement: 'GET /api/reports/equity-statement?startDate=&endDate= (authenticated)',
+                arAging: 'GET /api/reports/ar-aging?asOf= (authenticated)',
+                apAging: 'GET /api/reports/ap-aging?asOf= (authenticated)',
+                financialRatios: 'GET /api/reports/financial-ratios?asOf= (authenticated)'
             },
             system: {
                 validate: 'GET /api/system/validate-equation (admin only)',
                 stats: 'GET /api/system/stats (admin only)',
+                debug: 'GET /api/system/debug (admin only)',
+                rebuildBalances: 'POST /api/system/rebuild-balances (admin only)',
                 companyDetails: 'GET /api/company-details (authenticated)',
                 databaseHealth: 'GET /api/health (public)',
                 initDatabase: 'GET /api/init-database?secret=YOUR_SECRET (development)'
@@ -269,7 +465,7 @@ app.use('*', (req, res) => {
         server_time: new Date().toLocaleString('en-PK', { timeZone: 'Asia/Karachi' }),
         availableEndpoints: {
             public: ['POST /api/auth/login', 'GET /', 'GET /api/health'],
-            authenticated: ['/api/accounts', '/api/transactions', '/api/reports', '/api/company-details'],
+            authenticated: ['/api/accounts', '/api/transactions', '/api/periods', '/api/reports', '/api/company-details'],
             adminOnly: ['/api/auth/users', '/api/system/*']
         },
         help: 'Check the root endpoint (GET /) for complete API documentation'
@@ -359,6 +555,43 @@ app.use((err, req, res, next) => {
     });
 });
 
+// ===== RECURRING TRANSACTIONS JOB =====
+// Posts the occurrences of recurring schedules that have come due: once at start-up, which
+// catches up on any missed while the server was down, and then every
+// RECURRING_JOB_INTERVAL_MINUTES (60 by default; 0 turns the job off)
+const RecurringModel = require('./models/recurringModel');
+const RECURRING_JOB_INTERVAL_MINUTES = parseInt(process.env.RECURRING_JOB_INTERVAL_MINUTES || '60');
+let recurringJobTimer = null;
+let recurringJobRunning = false;
+
+const runRecurringJob = async () => {
+    // A slow run is never overlapped by the next tick
+    if (recurringJobRunning) return;
+    recurringJobRunning = true;
+
+    try {
+        const result = await RecurringModel.runDueSchedules();
+        if (result.schedules > 0) {
+            console.log(`🔁 Recurring schedules: ${result.posted} posted, ${result.skipped} skipped, ${result.failed} failed`);
+        }
+    } catch (error) {
+        console.error('❌ Recurring schedules job failed:', error.message);
+    } finally {
+        recurringJobRunning = false;
+    }
+};
+
+const startRecurringJob = () => {
+    if (!(RECURRING_JOB_INTERVAL_MINUTES > 0)) {
+        console.log('⏸️  Recurring schedules job disabled');
+        return;
+    }
+
+    runRecurringJob();
+    recurringJobTimer = setInterval(runRecurringJob, RECURRING_JOB_INTERVAL_MINUTES * 60 * 1000);
+    console.log(`🔁 Recurring schedules job running every ${RECURRING_JOB_INTERVAL_MINUTES} minute(s)`);
+};
+
 // ===== START SERVER =====
 const server = app.listen(PORT, async () => {
     console.log('\n' + '='.repeat(70));
@@ -384,6 +617,7 @@ const server = app.listen(PORT, async () => {
         
         if (health.status === 'healthy') {
             console.log('✅ PostgreSQL connection established successfully');
+            startRecurringJob();
         } else {
             console.warn('⚠️  Database connection issue detected');
             console.warn('   Error:', health.error);
@@ -419,6 +653,10 @@ const shutdown = async () => {
     console.log('\n🛑 Received shutdown signal...');
     console.log('⏳ Closing connections gracefully...');
     
+    if (recurringJobTimer) {
+        clearInterval(recurringJobTimer);
+    }
+    
     // Close HTTP server
     server.close(async () => {
         console.log('✅ HTTP server closed');
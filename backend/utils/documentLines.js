@@ -0,0 +1,106 @@
+// backend/utils/documentLines.js - Line pricing shared by sales invoices and purchase bills
+//
+// Each line is priced as amount = quantity x unit price and tax = amount x rate, each
+// rounded once to the paisa, so a document's totals are the sums of its printed lines.
+
+const money = require('./money');
+
+const QUANTITY_PATTERN = /^\d+(\.\d{1,3})?$/;
+const TAX_RATE_PATTERN = /^\d+(\.\d{1,2})?$/;
+
+// "17.5" (percent) -> "0.175", shifted as text so the factor stays exact
+const percentToFactor = (rate) => {
+  const [integerPart, fractionPart = ''] = rate.split('.');
+  const padded = integerPart.padStart(3, '0');
+  return `${padded.slice(0, -2)}.${padded.slice(-2)}${fractionPart}`;
+};
+
+// Validates and prices document lines. accountLabel names the account a line needs
+// ("Revenue account", "Expense account") in error messages.
+const priceLines = (lines, accountLabel) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new Error('At least one line is required');
+  }
+
+  const pricedLines = lines.map((line, index) => {
+    const label = `Line ${index + 1}`;
+
+    if (!line.description || String(line.description).trim() === '') {
+      throw new Error(`${label}: Description is required`);
+    }
+
+    if (String(line.description).trim().length > 200) {
+      throw new Error(`${label}: Description must be less than 200 characters`);
+    }
+
+    if (!line.account_id || isNaN(parseInt(line.account_id))) {
+      throw new Error(`${label}: ${accountLabel} is required`);
+    }
+
+    const quantity = line.quantity === undefined || line.quantity === null ? '' : String(line.quantity).trim();
+    if (!QUANTITY_PATTERN.test(quantity) || Number(quantity) <= 0) {
+      throw new Error(`${label}: Quantity must be a positive number with up to 3 decimal places`);
+    }
+
+    let unitPrice = NaN;
+    try {
+      unitPrice = money.toMinor(line.unit_price, undefined, { strict: true });
+    } catch (error) {
+      // Reported below
+    }
+    if (line.unit_price === '' || line.unit_price === null || line.unit_price === undefined || isNaN(unitPrice) || unitPrice < 0) {
+      throw new Error(`${label}: Unit price must be zero or a positive amount`);
+    }
+
+    const taxRate = line.tax_rate === undefined || line.tax_rate === null ? '0' : String(line.tax_rate).trim() || '0';
+    if (!TAX_RATE_PATTERN.test(taxRate) || Number(taxRate) > 100) {
+      throw new Error(`${label}: Tax rate must be a percentage between 0 and 100`);
+    }
+
+    const amount = money.multiply(line.unit_price, quantity);
+    const taxAmount = money.multiply(amount, percentToFactor(taxRate));
+
+    return {
+      line_number: index + 1,
+      description: String(line.description).trim(),
+      account_id: parseInt(line.account_id),
+      quantity: quantity,
+      unit_price: money.toFixed(line.unit_price),
+      tax_rate: taxRate,
+      amount: amount,
+      tax_amount: taxAmount
+    };
+  });
+
+  const subtotal = money.sumBy(pricedLines, 'amount');
+  const taxTotal = money.sumBy(pricedLines, 'tax_amount');
+
+  return {
+    lines: pricedLines,
+    subtotal,
+    taxTotal,
+    total: money.add(subtotal, taxTotal)
+  };
+};
+
+// Stored line row -> API shape
+const formatLine = (row) => ({
+  id: row.id,
+  line_number: row.line_number,
+  description: row.description,
+  account_id: row.account_id,
+  account_code: row.account_code,
+  account_name: row.account_name,
+  quantity: Number(row.quantity),
+  unit_price: money.round(row.unit_price),
+  tax_rate: Number(row.tax_rate),
+  amount: money.round(row.amount),
+  tax_amount: money.round(row.tax_amount),
+  total: money.add(row.amount, row.tax_amount)
+});
+
+module.exports = {
+  percentToFactor,
+  priceLines,
+  formatLine
+};
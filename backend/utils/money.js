@@ -0,0 +1,240 @@
+// backend/utils/money.js - Exact decimal money arithmetic
+//
+// Amounts are converted to integer minor units (paisa, cents, fils...) before any
+// arithmetic, so sums and differences never pick up binary floating point error.
+// Values coming from PostgreSQL DECIMAL columns arrive as strings and are parsed
+// digit by digit, never through parseFloat. Results are handed back as Numbers
+// holding the exact decimal value, which keeps API responses unchanged.
+
+const DEFAULT_CURRENCY = 'PKR';
+
+// decimals: minor unit digits. rounding: applied when a value carries more digits
+// than the currency allows - 'half_up' (half away from zero), 'half_even' (banker's),
+// 'down' (towards zero) or 'up' (away from zero).
+const CURRENCIES = {
+  PKR: { decimals: 2, rounding: 'half_up' },
+  USD: { decimals: 2, rounding: 'half_up' },
+  EUR: { decimals: 2, rounding: 'half_even' },
+  GBP: { decimals: 2, rounding: 'half_up' },
+  AED: { decimals: 2, rounding: 'half_up' },
+  SAR: { decimals: 2, rounding: 'half_up' },
+  CNY: { decimals: 2, rounding: 'half_up' },
+  JPY: { decimals: 0, rounding: 'half_up' },
+  KWD: { decimals: 3, rounding: 'half_up' },
+  BHD: { decimals: 3, rounding: 'half_up' },
+  OMR: { decimals: 3, rounding: 'half_up' }
+};
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?$/;
+
+const getCurrencyConfig = (currency = DEFAULT_CURRENCY) => {
+  const config = CURRENCIES[String(currency || DEFAULT_CURRENCY).toUpperCase()];
+  if (!config) {
+    throw new Error(`Unsupported currency: ${currency}`);
+  }
+  return config;
+};
+
+// Plain decimal text for a number or string ("1e-7" style numbers are expanded)
+const toDecimalText = (value) => {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid amount: ${value}`);
+    }
+    const text = String(value);
+    return /e/i.test(text) ? value.toFixed(20) : text;
+  }
+  return String(value).trim();
+};
+
+const shouldRoundUp = (mode, firstDropped, restDropped, lastKeptOdd) => {
+  switch (mode) {
+    case 'half_up':
+      return firstDropped >= 5;
+    case 'half_even':
+      return firstDropped > 5 || (firstDropped === 5 && (restDropped || lastKeptOdd));
+    case 'up':
+      return true;
+    case 'down':
+    default:
+      return false;
+  }
+};
+
+// Converts an amount to integer minor units of the currency. Empty values count as zero.
+// With { strict: true } an amount carrying more decimals than the currency allows is
+// rejected instead of rounded.
+const toMinor = (value, currency = DEFAULT_CURRENCY, { strict = false } = {}) => {
+  const { decimals, rounding } = getCurrencyConfig(currency);
+
+  if (value === null || value === undefined || value === '') {
+    return 0;
+  }
+
+  const text = toDecimalText(value);
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+
+  const negative = match[1] === '-';
+  const integerDigits = match[2] || '0';
+  const fractionDigits = match[3] || '';
+  const kept = fractionDigits.slice(0, decimals).padEnd(decimals, '0');
+  const dropped = fractionDigits.slice(decimals);
+
+  let minor = Number(integerDigits + kept);
+
+  if (/[1-9]/.test(dropped)) {
+    if (strict) {
+      throw new Error(`Amount ${text} has more than ${decimals} decimal places`);
+    }
+    const firstDropped = Number(dropped[0]);
+    const restDropped = /[1-9]/.test(dropped.slice(1));
+    if (shouldRoundUp(rounding, firstDropped, restDropped, minor % 2 === 1)) {
+      minor += 1;
+    }
+  }
+
+  if (!Number.isSafeInteger(minor)) {
+    throw new Error(`Amount ${text} is too large`);
+  }
+
+  return negative && minor !== 0 ? -minor : minor;
+};
+
+// Converts integer minor units back to a Number holding the exact decimal amount
+const fromMinor = (minor, currency = DEFAULT_CURRENCY) => {
+  const { decimals } = getCurrencyConfig(currency);
+  if (!Number.isSafeInteger(minor)) {
+    throw new Error(`Invalid minor unit amount: ${minor}`);
+  }
+  return minor / 10 ** decimals || 0;
+};
+
+// Rounds any amount to the currency's precision using its rounding rule
+const round = (value, currency = DEFAULT_CURRENCY) => fromMinor(toMinor(value, currency), currency);
+
+const add = (a, b, currency = DEFAULT_CURRENCY) =>
+  fromMinor(toMinor(a, currency) + toMinor(b, currency), currency);
+
+const subtract = (a, b, currency = DEFAULT_CURRENCY) =>
+  fromMinor(toMinor(a, currency) - toMinor(b, currency), currency);
+
+const negate = (value, currency = DEFAULT_CURRENCY) => fromMinor(-toMinor(value, currency), currency);
+
+const abs = (value, currency = DEFAULT_CURRENCY) => fromMinor(Math.abs(toMinor(value, currency)), currency);
+
+const sum = (values, currency = DEFAULT_CURRENCY) =>
+  fromMinor(values.reduce((total, value) => total + toMinor(value, currency), 0), currency);
+
+// Sums a field (or the value returned by a selector) across a list of rows
+const sumBy = (rows, selector, currency = DEFAULT_CURRENCY) => {
+  const pick = typeof selector === 'function' ? selector : (row) => row[selector];
+  return sum(rows.map(pick), currency);
+};
+
+// Parses a decimal factor (a quantity or a rate) into its digits and the power of ten they are scaled by
+const parseFactor = (factor) => {
+  const text = toDecimalText(factor);
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`Invalid factor: ${factor}`);
+  }
+
+  const fractionDigits = match[3] || '';
+  return {
+    negative: match[1] === '-',
+    digits: BigInt((match[2] || '0') + fractionDigits),
+    scale: BigInt(`1${'0'.repeat(fractionDigits.length)}`)
+  };
+};
+
+// numerator / denominator (non-negative BigInts) rounded to a whole number with a rounding rule
+const roundQuotient = (numerator, denominator, rounding) => {
+  let quotient = numerator / denominator;
+  const twiceRemainder = (numerator % denominator) * BigInt(2);
+
+  if (twiceRemainder > BigInt(0)) {
+    const firstDropped = twiceRemainder >= denominator ? 5 : 4;
+    if (shouldRoundUp(rounding, firstDropped, twiceRemainder > denominator, quotient % BigInt(2) === BigInt(1))) {
+      quotient += BigInt(1);
+    }
+  }
+
+  return quotient;
+};
+
+// Multiplies an amount by a decimal factor (a quantity, or a rate such as 0.17) and rounds
+// the exact product once, with the currency's rounding rule: multiply('19.99', '2.5') = 49.98
+const multiply = (amount, factor, currency = DEFAULT_CURRENCY) => {
+  const { rounding } = getCurrencyConfig(currency);
+  const { negative, digits, scale } = parseFactor(factor);
+  const amountMinor = toMinor(amount, currency);
+
+  const minor = roundQuotient(BigInt(Math.abs(amountMinor)) * digits, scale, rounding);
+  return fromMinor(Number((amountMinor < 0) !== negative ? -minor : minor), currency);
+};
+
+// Converts an amount in one currency to another at an exchange rate (units of the target
+// currency for one unit of the source), rounding once with the target currency's rule.
+// Unlike multiply, the source amount keeps its own precision: convert('1.235', '0.5', 'KWD', 'PKR') = 0.62
+const convert = (amount, rate, fromCurrency, toCurrency = DEFAULT_CURRENCY) => {
+  const { decimals: fromDecimals } = getCurrencyConfig(fromCurrency);
+  const { decimals: toDecimals, rounding } = getCurrencyConfig(toCurrency);
+  const { negative, digits, scale } = parseFactor(rate);
+  const amountMinor = toMinor(amount, fromCurrency);
+
+  const numerator = BigInt(Math.abs(amountMinor)) * digits * BigInt(10 ** toDecimals);
+  const minor = roundQuotient(numerator, scale * BigInt(10 ** fromDecimals), rounding);
+  return fromMinor(Number((amountMinor < 0) !== negative ? -minor : minor), toCurrency);
+};
+
+const compare = (a, b, currency = DEFAULT_CURRENCY) => Math.sign(toMinor(a, currency) - toMinor(b, currency));
+
+const equals = (a, b, currency = DEFAULT_CURRENCY) => toMinor(a, currency) === toMinor(b, currency);
+
+const isZero = (value, currency = DEFAULT_CURRENCY) => toMinor(value, currency) === 0;
+
+// True when the amount fits the currency's precision without rounding
+const isExact = (value, currency = DEFAULT_CURRENCY) => {
+  try {
+    toMinor(value, currency, { strict: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Fixed-point text with exactly the currency's decimals, e.g. "1234.50" (replaces toFixed)
+const toFixed = (value, currency = DEFAULT_CURRENCY) => {
+  const { decimals } = getCurrencyConfig(currency);
+  const minor = toMinor(value, currency);
+  const magnitude = Math.abs(minor);
+  const unit = 10 ** decimals;
+  const integerPart = Math.floor(magnitude / unit);
+  const fractionPart = String(magnitude % unit).padStart(decimals, '0');
+  return `${minor < 0 ? '-' : ''}${integerPart}${decimals > 0 ? `.${fractionPart}` : ''}`;
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  CURRENCIES,
+  getCurrencyConfig,
+  toMinor,
+  fromMinor,
+  round,
+  add,
+  subtract,
+  negate,
+  abs,
+  sum,
+  sumBy,
+  multiply,
+  convert,
+  compare,
+  equals,
+  isZero,
+  isExact,
+  toFixed
+};
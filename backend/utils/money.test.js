@@ -0,0 +1,107 @@
+const money = require('./money');
+
+describe('toMinor', () => {
+  test('converts amounts to integer minor units without floating point error', () => {
+    expect(money.toMinor('1234.56')).toBe(123456);
+    expect(money.toMinor(0.1 + 0.2)).toBe(30);
+    expect(money.toMinor('1.15')).toBe(115);
+    expect(money.toMinor('.5')).toBe(50);
+  });
+
+  test('treats empty values as zero and rejects text that is not an amount', () => {
+    expect(money.toMinor('')).toBe(0);
+    expect(money.toMinor(null)).toBe(0);
+    expect(money.toMinor(undefined)).toBe(0);
+    expect(() => money.toMinor('abc')).toThrow('Invalid amount: abc');
+    expect(() => money.toMinor('-')).toThrow('Invalid amount');
+    expect(() => money.toMinor(Infinity)).toThrow('Invalid amount');
+  });
+
+  test('rounds half away from zero for half_up currencies', () => {
+    expect(money.toMinor('10.004')).toBe(1000);
+    expect(money.toMinor('10.005')).toBe(1001);
+    expect(money.toMinor('-10.005')).toBe(-1001);
+    expect(money.toMinor('-10.004')).toBe(-1000);
+  });
+
+  test('rounds half to even for half_even currencies', () => {
+    expect(money.toMinor('0.125', 'EUR')).toBe(12);
+    expect(money.toMinor('0.135', 'EUR')).toBe(14);
+    expect(money.toMinor('0.1251', 'EUR')).toBe(13);
+    expect(money.toMinor('-0.125', 'EUR')).toBe(-12);
+  });
+
+  test('never returns negative zero', () => {
+    expect(Object.is(money.toMinor('-0.004'), 0)).toBe(true);
+    expect(Object.is(money.toMinor('-0'), 0)).toBe(true);
+  });
+
+  test('uses the precision of currencies without two decimals', () => {
+    expect(money.toMinor('1234.5', 'JPY')).toBe(1235);
+    expect(money.toMinor('1234.4', 'jpy')).toBe(1234);
+    expect(money.toMinor('1.2345', 'KWD')).toBe(1235);
+    expect(money.toMinor('-1.2345', 'KWD')).toBe(-1235);
+  });
+
+  test('rejects extra decimals instead of rounding in strict mode', () => {
+    expect(money.toMinor('1.230', 'PKR', { strict: true })).toBe(123);
+    expect(() => money.toMinor('1.234', 'PKR', { strict: true })).toThrow('Amount 1.234 has more than 2 decimal places');
+    expect(() => money.toMinor('5.5', 'JPY', { strict: true })).toThrow('more than 0 decimal places');
+  });
+
+  test('rejects unsupported currencies and unsafe amounts', () => {
+    expect(() => money.toMinor('1', 'XYZ')).toThrow('Unsupported currency: XYZ');
+    expect(() => money.toMinor('90071992547409.93')).toThrow('is too large');
+  });
+});
+
+describe('multiply', () => {
+  test('rounds the exact product once', () => {
+    expect(money.multiply('19.99', '2.5')).toBe(49.98);
+    expect(money.multiply('333.33', '0.17')).toBe(56.67);
+    expect(money.multiply('100', '0.175')).toBe(17.5);
+    expect(money.multiply('1.15', '100')).toBe(115);
+  });
+
+  test('keeps the sign of negative amounts and factors', () => {
+    expect(money.multiply('-19.99', '2.5')).toBe(-49.98);
+    expect(money.multiply('19.99', '-2.5')).toBe(-49.98);
+    expect(money.multiply('-10', '-0.5')).toBe(5);
+    expect(Object.is(money.multiply('-0.01', '0.1'), 0)).toBe(true);
+  });
+
+  test('uses the currency rounding rule and precision', () => {
+    expect(money.multiply('0.25', '0.5', 'EUR')).toBe(0.12);
+    expect(money.multiply('0.35', '0.5', 'EUR')).toBe(0.18);
+    expect(money.multiply('15', '0.5', 'JPY')).toBe(8);
+    expect(money.multiply('1.001', '0.5', 'KWD')).toBe(0.501);
+  });
+
+  test('rejects factors that are not decimals', () => {
+    expect(() => money.multiply('10', 'two')).toThrow('Invalid factor: two');
+  });
+});
+
+describe('convert', () => {
+  test('converts at the exchange rate and rounds with the target currency', () => {
+    expect(money.convert('100', '278.45', 'USD', 'PKR')).toBe(27845);
+    expect(money.convert('1000', '0.0036', 'PKR', 'USD')).toBe(3.6);
+    expect(money.convert('10', '0.3333', 'PKR', 'KWD')).toBe(3.333);
+    expect(money.convert('1', '150.5', 'USD', 'JPY')).toBe(151);
+  });
+
+  test('keeps the precision of the source currency', () => {
+    expect(money.convert('1.235', '0.5', 'KWD', 'PKR')).toBe(0.62);
+    expect(money.convert('1.235', '0.5', 'KWD')).toBe(0.62);
+  });
+
+  test('rounds negative amounts away from zero', () => {
+    expect(money.convert('-10.01', '0.5', 'USD', 'PKR')).toBe(-5.01);
+    expect(money.convert('-10.03', '0.5', 'USD', 'PKR')).toBe(-5.02);
+  });
+
+  test('rounds half to even when the target currency does', () => {
+    expect(money.convert('0.05', '0.5', 'USD', 'EUR')).toBe(0.02);
+    expect(money.convert('0.07', '0.5', 'USD', 'EUR')).toBe(0.04);
+  });
+});
@@ -0,0 +1,31 @@
+// backend/utils/routeHelpers.js - Request and response helpers shared by the API route files
+
+// Format error response consistently
+const formatErrorResponse = (error, includeStack = false) => {
+    return {
+        success: false,
+        message: error.message || 'An error occurred',
+        ...(includeStack && process.env.NODE_ENV === 'development' && { stack: error.stack })
+    };
+};
+
+// Parse the :id route parameter, or answer 400 and return null. label names the record
+// in the message, e.g. 'customer' -> "Valid customer ID is required".
+const parseIdParam = (req, res, label) => {
+    const id = parseInt(req.params.id);
+
+    if (!id || isNaN(id)) {
+        res.status(400).json({
+            success: false,
+            message: `Valid ${label} ID is required`
+        });
+        return null;
+    }
+
+    return id;
+};
+
+module.exports = {
+    formatErrorResponse,
+    parseIdParam
+};
@@ -0,0 +1,124 @@
+// backend/utils/statementParsers/camt053.js - ISO 20022 CAMT.053 bank-to-customer statements
+//
+// Each booked <Ntry> becomes one statement line. Batched entries are kept as one line,
+// the way they hit the account; their remittance details are folded into the description.
+
+const { parseXml, children, find, text } = require('./xml');
+const { parseDecimal, buildDate, cleanText } = require('./common');
+
+// ISODate, or the date part of an ISODateTime
+const parseIsoDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value || '');
+  if (!match) {
+    throw new Error(`Invalid date "${value}"`);
+  }
+  return buildDate(match[1], match[2], match[3], value);
+};
+
+const dateOf = (node) => {
+  const value = text(node, 'Dt') || text(node, 'DtTm');
+  return value ? parseIsoDate(value) : null;
+};
+
+// CRDT amounts are money in, DBIT money out
+const signedAmount = (node) => {
+  const amount = parseDecimal(text(node, 'Amt'));
+  const indicator = text(node, 'CdtDbtInd');
+
+  if (indicator !== 'CRDT' && indicator !== 'DBIT') {
+    throw new Error(`Credit/debit indicator must be CRDT or DBIT, not "${indicator}"`);
+  }
+  return indicator === 'DBIT' ? parseDecimal(`-${amount}`) : amount;
+};
+
+// Balance of the given type code (OPBD opening booked, CLBD closing booked)
+const balance = (statement, code) => {
+  const node = children(statement, 'Bal').find(bal => text(bal, 'Tp/CdOrPrtry/Cd') === code);
+  return node ? { amount: signedAmount(node), date: dateOf(find(node, 'Dt')) } : null;
+};
+
+// The other party: who paid us, or whom we paid
+const counterpartyOf = (entry) => {
+  const details = find(entry, 'NtryDtls/TxDtls');
+  if (!details) {
+    return null;
+  }
+  return text(entry, 'CdtDbtInd') === 'CRDT'
+    ? text(details, 'RltdPties/Dbtr/Nm') || text(details, 'RltdPties/Dbtr/Pty/Nm')
+    : text(details, 'RltdPties/Cdtr/Nm') || text(details, 'RltdPties/Cdtr/Pty/Nm');
+};
+
+const describeEntry = (entry) => {
+  const details = find(entry, 'NtryDtls/TxDtls');
+  const counterparty = counterpartyOf(entry);
+  const remittance = details ? children(find(details, 'RmtInf'), 'Ustrd').map(node => node.text.trim()).join(' ') : '';
+
+  return cleanText([counterparty, remittance || text(entry, 'AddtlNtryInf')].filter(Boolean).join(' - ')) ||
+    cleanText(text(entry, 'BkTxCd/Prtry/Cd') || 'Bank entry');
+};
+
+const parseCamt053 = (content) => {
+  const document = parseXml(content);
+  const report = find(document, 'BkToCstmrStmt');
+
+  if (!report) {
+    throw new Error('File is not a CAMT.053 statement (no BkToCstmrStmt element)');
+  }
+
+  const statements = children(report, 'Stmt');
+  if (statements.length === 0) {
+    throw new Error('CAMT.053 file holds no statements');
+  }
+
+  const lines = [];
+  statements.forEach((statement, statementIndex) => {
+    children(statement, 'Ntry').forEach((entry, entryIndex) => {
+      try {
+        // Pending and information-only entries have not moved money yet
+        const status = text(entry, 'Sts/Cd') || text(entry, 'Sts');
+        if (status && status !== 'BOOK') {
+          return;
+        }
+
+        const date = dateOf(find(entry, 'BookgDt')) || dateOf(find(entry, 'ValDt'));
+        if (!date) {
+          throw new Error('Booking date is missing');
+        }
+
+        const details = find(entry, 'NtryDtls/TxDtls');
+        const endToEndId = details && text(details, 'Refs/EndToEndId');
+        const counterparty = counterpartyOf(entry);
+
+        lines.push({
+          date,
+          amount: signedAmount(entry),
+          description: describeEntry(entry),
+          counterparty: counterparty ? cleanText(counterparty, 100) : null,
+          reference: cleanText(endToEndId && endToEndId !== 'NOTPROVIDED' ? endToEndId : (text(entry, 'NtryRef') || ''), 50),
+          bank_reference: text(entry, 'AcctSvcrRef') || (details && text(details, 'Refs/AcctSvcrRef')) || null
+        });
+      } catch (error) {
+        throw new Error(`CAMT.053 statement ${statementIndex + 1}, entry ${entryIndex + 1}: ${error.message}`);
+      }
+    });
+  });
+
+  // Balances of a multi-statement file run from the first statement's opening to the last one's closing
+  const first = statements[0];
+  const last = statements[statements.length - 1];
+  const opening = balance(first, 'OPBD');
+  const closing = balance(last, 'CLBD');
+
+  return {
+    account_number: text(first, 'Acct/Id/IBAN') || text(first, 'Acct/Id/Othr/Id'),
+    currency: text(first, 'Acct/Ccy'),
+    opening_balance: opening ? opening.amount : null,
+    closing_balance: closing ? closing.amount : null,
+    statement_date: closing ? closing.date : null,
+    lines
+  };
+};
+
+module.exports = {
+  parseCamt053
+};
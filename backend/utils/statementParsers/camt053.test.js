@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCamt053 } = require('./camt053');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '__fixtures__', name), 'utf8');
+
+const document = (entries) => `<?xml version="1.0"?>
+<Document><BkToCstmrStmt><Stmt><Acct><Id><IBAN>PK00TEST</IBAN></Id></Acct>${entries}</Stmt></BkToCstmrStmt></Document>`;
+
+describe('parseCamt053', () => {
+  const statement = parseCamt053(fixture('two-statements.xml'));
+
+  test('runs from the first statement opening to the last statement closing', () => {
+    expect(statement.account_number).toBe('PK36SCBL0000001123456702');
+    expect(statement.currency).toBe('PKR');
+    expect(statement.opening_balance).toBe('100000.00');
+    expect(statement.closing_balance).toBe('120700.50');
+    expect(statement.statement_date).toBe('2026-01-31');
+  });
+
+  test('keeps booked entries of every statement and skips pending ones', () => {
+    expect(statement.lines.map(line => line.amount)).toEqual(['25000.50', '-1500.00', '-3000.00', '200.00']);
+  });
+
+  test('dates entries by booking date, falling back to the value date', () => {
+    expect(statement.lines.map(line => line.date)).toEqual(['2026-01-02', '2026-01-05', '2026-01-20', '2026-01-31']);
+  });
+
+  test('reads the counterparty, remittance and references', () => {
+    expect(statement.lines[0]).toMatchObject({
+      description: 'ACME TRADING CO - Payment INV-1001',
+      counterparty: 'ACME TRADING CO',
+      reference: 'INV-1001',
+      bank_reference: 'BR2601020001'
+    });
+    expect(statement.lines[1]).toMatchObject({ description: 'Monthly account fee', reference: '2', bank_reference: null });
+    expect(statement.lines[2]).toMatchObject({
+      description: 'Landlord (Pvt) Ltd - January rent',
+      counterparty: 'Landlord (Pvt) Ltd',
+      reference: 'CHQ-000123',
+      bank_reference: 'BR2601200004'
+    });
+    expect(statement.lines[3]).toMatchObject({ description: 'INTEREST', reference: '' });
+  });
+
+  test('rejects malformed files with an error naming the problem', () => {
+    expect(() => parseCamt053('hello')).toThrow('Invalid XML: no root element');
+    expect(() => parseCamt053('<Document><BkToCstmrStmt><Stmt><Ntry>')).toThrow('Invalid XML: <Ntry> is not closed');
+    expect(() => parseCamt053('<Document><Other/></Document>')).toThrow('File is not a CAMT.053 statement (no BkToCstmrStmt element)');
+    expect(() => parseCamt053('<Document><BkToCstmrStmt/></Document>')).toThrow('CAMT.053 file holds no statements');
+    expect(() => parseCamt053(document('<Ntry><Amt>1&#99999999;</Amt></Ntry>')))
+      .toThrow('Invalid XML: character reference &#99999999; is out of range');
+    expect(() => parseCamt053(document('<Ntry><Amt>5.00</Amt><CdtDbtInd>CRDT</CdtDbtInd></Ntry>')))
+      .toThrow('CAMT.053 statement 1, entry 1: Booking date is missing');
+    expect(() => parseCamt053(document('<Ntry><Amt>5.00</Amt><CdtDbtInd>CRDIT</CdtDbtInd><BookgDt><Dt>2026-01-02</Dt></BookgDt></Ntry>')))
+      .toThrow('CAMT.053 statement 1, entry 1: Credit/debit indicator must be CRDT or DBIT, not "CRDIT"');
+    expect(() => parseCamt053(document('<Ntry><Amt>5.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><BookgDt><Dt>2026-02-30</Dt></BookgDt></Ntry>')))
+      .toThrow('CAMT.053 statement 1, entry 1: Invalid date "2026-02-30"');
+  });
+});
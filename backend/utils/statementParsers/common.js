@@ -0,0 +1,72 @@
+// backend/utils/statementParsers/common.js - Helpers shared by the statement parsers
+
+const money = require('../money');
+
+// Canonical signed decimal text for a statement amount. Thousands separators are
+// dropped; decimalSeparator says which of '.' or ',' marks the fraction.
+const parseDecimal = (text, { decimalSeparator = '.' } = {}) => {
+  let value = String(text === undefined || text === null ? '' : text).trim().replace(/\s/g, '');
+
+  // (123.45) is how some banks write money out
+  let negative = false;
+  if (/^\(.*\)$/.test(value)) {
+    negative = true;
+    value = value.slice(1, -1);
+  }
+  if (value.endsWith('-')) {
+    negative = true;
+    value = value.slice(0, -1);
+  }
+
+  const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+  value = value.split(thousandsSeparator).join('').replace(decimalSeparator, '.');
+
+  if (value.startsWith('-')) {
+    negative = !negative;
+    value = value.slice(1);
+  } else if (value.startsWith('+')) {
+    value = value.slice(1);
+  }
+
+  if (!/^\d+(\.\d*)?$|^\.\d+$/.test(value)) {
+    throw new Error(`Invalid amount "${text}"`);
+  }
+
+  // Only whole paisa are accepted; the ledger cannot hold anything finer
+  try {
+    money.toMinor(value, undefined, { strict: true });
+  } catch (error) {
+    throw new Error(`Invalid amount "${text}"`);
+  }
+  return money.toFixed(negative ? `-${value}` : value);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// 'YYYY-MM-DD' from its parts, or an error naming the original text
+const buildDate = (year, month, day, original) => {
+  const y = parseInt(year);
+  const m = parseInt(month);
+  const d = parseInt(day);
+  const date = new Date(Date.UTC(y, m - 1, d));
+
+  if (isNaN(date.getTime()) || date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {
+    throw new Error(`Invalid date "${original}"`);
+  }
+
+  return `${y}-${pad(m)}-${pad(d)}`;
+};
+
+// Two-digit years in SWIFT statements are taken to be in this century
+const expandYear = (yy) => 2000 + parseInt(yy);
+
+// Collapses whitespace and trims free text to what fits in a statement line
+const cleanText = (text, maxLength = 200) =>
+  String(text === undefined || text === null ? '' : text).replace(/\s+/g, ' ').trim().substring(0, maxLength);
+
+module.exports = {
+  parseDecimal,
+  buildDate,
+  expandYear,
+  cleanText
+};
@@ -0,0 +1,217 @@
+// backend/utils/statementParsers/csv.js - Bank statement CSV exports with a configurable column mapping
+//
+// Mapping:
+//   delimiter          ',' (default), ';', '\t' or '|'
+//   has_header         true (default) when the first row after skip_rows names the columns
+//   skip_rows          rows before the header (or the data) to ignore, e.g. bank letterheads
+//   date_column        column holding the date; a header name or a 1-based column number
+//   date_format        one of DATE_FORMATS
+//   description_column, reference_column, counterparty_column (optional)
+//   amount_column      one signed amount column, or
+//   debit_column / credit_column  separate money-out and money-in columns
+//   decimal_separator  '.' (default) or ','
+//   invert_sign        true when the bank writes money out as positive amounts
+
+const money = require('../money');
+const { parseDecimal, buildDate, cleanText } = require('./common');
+
+// Order of the day, month and year parts in each supported date format
+const DATE_FORMATS = {
+  'DD/MM/YYYY': { pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, order: ['day', 'month', 'year'] },
+  'MM/DD/YYYY': { pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, order: ['month', 'day', 'year'] },
+  'DD-MM-YYYY': { pattern: /^(\d{1,2})-(\d{1,2})-(\d{4})$/, order: ['day', 'month', 'year'] },
+  'DD.MM.YYYY': { pattern: /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/, order: ['day', 'month', 'year'] },
+  'YYYY-MM-DD': { pattern: /^(\d{4})-(\d{1,2})-(\d{1,2})$/, order: ['year', 'month', 'day'] },
+  'YYYYMMDD': { pattern: /^(\d{4})(\d{2})(\d{2})$/, order: ['year', 'month', 'day'] }
+};
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// Splits CSV text into rows of fields. Quoted fields may hold delimiters, doubled
+// quotes and line breaks.
+const tokenize = (content, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+const parseDate = (text, format) => {
+  const value = String(text || '').trim().split(/[ T]/)[0];
+  const { pattern, order } = DATE_FORMATS[format];
+  const match = pattern.exec(value);
+
+  if (!match) {
+    throw new Error(`Date "${text}" is not in ${format} format`);
+  }
+
+  const parts = {};
+  order.forEach((part, index) => {
+    parts[part] = match[index + 1];
+  });
+  return buildDate(parts.year, parts.month, parts.day, text);
+};
+
+// Validates a mapping and fills in its defaults
+const normalizeMapping = (mapping = {}) => {
+  const normalized = {
+    delimiter: mapping.delimiter === '\\t' ? '\t' : (mapping.delimiter || ','),
+    has_header: mapping.has_header !== false && mapping.has_header !== 'false',
+    skip_rows: parseInt(mapping.skip_rows) || 0,
+    date_column: mapping.date_column,
+    date_format: mapping.date_format || 'DD/MM/YYYY',
+    description_column: mapping.description_column,
+    reference_column: mapping.reference_column || null,
+    counterparty_column: mapping.counterparty_column || null,
+    amount_column: mapping.amount_column || null,
+    debit_column: mapping.debit_column || null,
+    credit_column: mapping.credit_column || null,
+    decimal_separator: mapping.decimal_separator === ',' ? ',' : '.',
+    invert_sign: mapping.invert_sign === true || mapping.invert_sign === 'true'
+  };
+
+  if (!DELIMITERS.includes(normalized.delimiter)) {
+    throw new Error('CSV delimiter must be a comma, semicolon, tab or pipe');
+  }
+
+  if (!DATE_FORMATS[normalized.date_format]) {
+    throw new Error(`CSV date format must be one of: ${Object.keys(DATE_FORMATS).join(', ')}`);
+  }
+
+  if (!normalized.date_column || !normalized.description_column) {
+    throw new Error('CSV mapping needs the date and description columns');
+  }
+
+  if (!normalized.amount_column && !(normalized.debit_column || normalized.credit_column)) {
+    throw new Error('CSV mapping needs an amount column, or debit and credit columns');
+  }
+
+  return normalized;
+};
+
+// Resolves a column given by header name or 1-based number to an index
+const resolveColumn = (column, header) => {
+  if (column === null || column === undefined || column === '') {
+    return null;
+  }
+
+  if (/^\d+$/.test(String(column))) {
+    return parseInt(column) - 1;
+  }
+
+  const index = header
+    ? header.findIndex(name => name.trim().toLowerCase() === String(column).trim().toLowerCase())
+    : -1;
+
+  if (index === -1) {
+    throw new Error(`CSV column "${column}" not found${header ? ` (columns: ${header.map(name => name.trim()).join(', ')})` : ''}`);
+  }
+
+  return index;
+};
+
+const parseCsv = (content, options = {}) => {
+  const mapping = normalizeMapping(options.csv_mapping);
+  const rows = tokenize(content, mapping.delimiter).slice(mapping.skip_rows);
+  const header = mapping.has_header ? rows.shift() : null;
+
+  const columns = {
+    date: resolveColumn(mapping.date_column, header),
+    description: resolveColumn(mapping.description_column, header),
+    reference: resolveColumn(mapping.reference_column, header),
+    counterparty: resolveColumn(mapping.counterparty_column, header),
+    amount: resolveColumn(mapping.amount_column, header),
+    debit: resolveColumn(mapping.debit_column, header),
+    credit: resolveColumn(mapping.credit_column, header)
+  };
+
+  const firstDataRow = mapping.skip_rows + (header ? 2 : 1);
+  const lines = rows.map((fields, index) => {
+    const field = (column) => (column === null || fields[column] === undefined ? '' : fields[column].trim());
+
+    try {
+      let amount;
+      if (columns.amount !== null) {
+        amount = parseDecimal(field(columns.amount), { decimalSeparator: mapping.decimal_separator });
+      } else {
+        const decimalSeparator = mapping.decimal_separator;
+        const moneyOut = field(columns.debit) ? parseDecimal(field(columns.debit), { decimalSeparator }) : '0';
+        const moneyIn = field(columns.credit) ? parseDecimal(field(columns.credit), { decimalSeparator }) : '0';
+        // Money out columns usually hold positive amounts; either way they reduce the balance
+        amount = money.toFixed(money.subtract(money.abs(moneyIn), money.abs(moneyOut)));
+      }
+
+      if (mapping.invert_sign) {
+        amount = money.toFixed(money.negate(amount));
+      }
+
+      return {
+        date: parseDate(field(columns.date), mapping.date_format),
+        amount,
+        description: cleanText(field(columns.description)),
+        reference: cleanText(field(columns.reference), 50),
+        counterparty: cleanText(field(columns.counterparty), 100) || null,
+        bank_reference: null
+      };
+    } catch (error) {
+      throw new Error(`CSV row ${firstDataRow + index}: ${error.message}`);
+    }
+  });
+
+  return {
+    account_number: null,
+    currency: null,
+    opening_balance: null,
+    closing_balance: null,
+    statement_date: null,
+    lines
+  };
+};
+
+module.exports = {
+  DATE_FORMATS,
+  tokenize,
+  parseDate,
+  normalizeMapping,
+  parseCsv
+};
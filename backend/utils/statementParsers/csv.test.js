@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCsv, parseDate, normalizeMapping, tokenize } = require('./csv');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '__fixtures__', name), 'utf8');
+
+describe('parseCsv', () => {
+  const signed = (content, mapping = {}) => parseCsv(content, {
+    csv_mapping: { date_column: 'Date', description_column: 'Details', amount_column: 'Amount', ...mapping }
+  });
+
+  describe('a bank export with separate withdrawal and deposit columns', () => {
+    const statement = parseCsv(fixture('bank-export.csv'), {
+      csv_mapping: {
+        delimiter: ';',
+        skip_rows: 2,
+        date_column: 'Txn Date',
+        date_format: 'DD.MM.YYYY',
+        description_column: 'Narration',
+        reference_column: 'Cheque No',
+        debit_column: 'Withdrawal',
+        credit_column: 'Deposit',
+        decimal_separator: ','
+      }
+    });
+
+    test('skips the letterhead and blank lines and maps columns by header name', () => {
+      expect(statement.lines.map(line => line.date)).toEqual(['2026-01-02', '2026-01-05', '2026-01-15']);
+      expect(statement.lines.map(line => line.description)).toEqual([
+        'Payment INV-1001; ACME TRADING',
+        'Monthly account fee',
+        'Cheque "000123" Office Rent'
+      ]);
+      expect(statement.lines.map(line => line.reference)).toEqual(['', '', '000123']);
+    });
+
+    test('signs deposits as money in and withdrawals as money out', () => {
+      expect(statement.lines.map(line => line.amount)).toEqual(['25000.50', '-1500.00', '-3000.00']);
+    });
+
+    test('leaves the statement header fields for the user to fill in', () => {
+      expect(statement).toMatchObject({ account_number: null, currency: null, opening_balance: null, closing_balance: null, statement_date: null });
+    });
+  });
+
+  test('reads one signed amount column with thousands separators', () => {
+    const statement = signed('Date,Details,Amount\n02/01/2026,Receipt,"1,250.75"\n03/01/2026,Fee,-15.5\n04/01/2026,Charge,(200.00)\n');
+    expect(statement.lines.map(line => line.amount)).toEqual(['1250.75', '-15.50', '-200.00']);
+  });
+
+  test('reads a comma decimal separator with dots for thousands', () => {
+    const statement = signed('Date;Details;Amount\n02/01/2026;Receipt;1.250,75\n03/01/2026;Fee;-15,5\n', { delimiter: ';', decimal_separator: ',' });
+    expect(statement.lines.map(line => line.amount)).toEqual(['1250.75', '-15.50']);
+  });
+
+  test('inverts the sign for banks that write money out as positive amounts', () => {
+    const statement = signed('Date,Details,Amount\n02/01/2026,Fee,15.00\n03/01/2026,Refund,-5.00\n', { invert_sign: true });
+    expect(statement.lines.map(line => line.amount)).toEqual(['-15.00', '5.00']);
+  });
+
+  test('counts a negative withdrawal as money out, the same as a positive one', () => {
+    const statement = parseCsv('Date,Details,Out,In\n02/01/2026,Fee,-15.00,\n03/01/2026,Fee,15.00,\n', {
+      csv_mapping: { date_column: 'Date', description_column: 'Details', debit_column: 'Out', credit_column: 'In' }
+    });
+    expect(statement.lines.map(line => line.amount)).toEqual(['-15.00', '-15.00']);
+  });
+
+  test('maps columns by 1-based number in files without a header', () => {
+    const statement = parseCsv('20260102|REF-1|Receipt|ACME|500\n', {
+      csv_mapping: {
+        delimiter: '|',
+        has_header: false,
+        date_column: '1',
+        date_format: 'YYYYMMDD',
+        reference_column: 2,
+        description_column: 3,
+        counterparty_column: 4,
+        amount_column: 5
+      }
+    });
+    expect(statement.lines).toEqual([
+      { date: '2026-01-02', amount: '500.00', description: 'Receipt', reference: 'REF-1', counterparty: 'ACME', bank_reference: null }
+    ]);
+  });
+
+  test('matches header names ignoring case and surrounding spaces', () => {
+    const statement = parseCsv(' DATE ,details,AMOUNT\r\n02/01/2026,Receipt,10\r\n', {
+      csv_mapping: { date_column: 'date', description_column: 'Details', amount_column: 'amount' }
+    });
+    expect(statement.lines[0]).toMatchObject({ date: '2026-01-02', amount: '10.00' });
+  });
+
+  test('accepts a tab delimiter written as \\t', () => {
+    const statement = signed('Date\tDetails\tAmount\n02/01/2026\tReceipt\t10\n', { delimiter: '\\t' });
+    expect(statement.lines[0]).toMatchObject({ description: 'Receipt', amount: '10.00' });
+  });
+
+  test('rejects malformed rows with the row number as it appears in the file', () => {
+    const content = 'Date,Details,Amount\n02/01/2026,Receipt,10\n2026-01-03,Fee,5\n';
+    expect(() => signed(content)).toThrow('CSV row 3: Date "2026-01-03" is not in DD/MM/YYYY format');
+    expect(() => signed('Date,Details,Amount\n02/01/2026,Receipt,ten\n')).toThrow('CSV row 2: Invalid amount "ten"');
+    expect(() => signed('Date,Details,Amount\n02/01/2026,Receipt,10.005\n')).toThrow('CSV row 2: Invalid amount "10.005"');
+    expect(() => signed('Date,Details,Amount\n31/02/2026,Receipt,10\n')).toThrow('CSV row 2: Invalid date "31/02/2026"');
+    expect(() => signed('Date,Details,Amount\n02/01/2026,Receipt\n')).toThrow('CSV row 2: Invalid amount ""');
+    expect(() => signed('Bank letterhead\nDate,Details,Amount\n02/01/2026,Receipt,x\n', { skip_rows: 1 }))
+      .toThrow('CSV row 3: Invalid amount "x"');
+  });
+
+  test('rejects a mapping that names a column the file does not have', () => {
+    expect(() => signed('Date,Narration,Amount\n02/01/2026,Receipt,10\n'))
+      .toThrow('CSV column "Details" not found (columns: Date, Narration, Amount)');
+  });
+});
+
+describe('parseDate', () => {
+  test.each([
+    ['02/01/2026', 'DD/MM/YYYY'],
+    ['01/02/2026', 'MM/DD/YYYY'],
+    ['2-1-2026', 'DD-MM-YYYY'],
+    ['02.01.2026', 'DD.MM.YYYY'],
+    ['2026-01-02', 'YYYY-MM-DD'],
+    ['20260102', 'YYYYMMDD'],
+    ['02/01/2026 14:30:00', 'DD/MM/YYYY'],
+    ['2026-01-02T14:30:00', 'YYYY-MM-DD']
+  ])('reads %s as %s', (text, format) => {
+    expect(parseDate(text, format)).toBe('2026-01-02');
+  });
+
+  test('rejects dates in another format or that do not exist', () => {
+    expect(() => parseDate('2026-01-02', 'DD/MM/YYYY')).toThrow('Date "2026-01-02" is not in DD/MM/YYYY format');
+    expect(() => parseDate('13/25/2026', 'MM/DD/YYYY')).toThrow('Invalid date "13/25/2026"');
+  });
+});
+
+describe('normalizeMapping', () => {
+  const columns = { date_column: 'Date', description_column: 'Details' };
+
+  test('fills in the defaults', () => {
+    expect(normalizeMapping({ ...columns, amount_column: 'Amount' })).toMatchObject({
+      delimiter: ',',
+      has_header: true,
+      skip_rows: 0,
+      date_format: 'DD/MM/YYYY',
+      decimal_separator: '.',
+      invert_sign: false
+    });
+  });
+
+  test('rejects incomplete or unsupported mappings', () => {
+    expect(() => normalizeMapping({ ...columns })).toThrow('CSV mapping needs an amount column, or debit and credit columns');
+    expect(() => normalizeMapping({ amount_column: 'Amount' })).toThrow('CSV mapping needs the date and description columns');
+    expect(() => normalizeMapping({ ...columns, amount_column: 'Amount', delimiter: ':' }))
+      .toThrow('CSV delimiter must be a comma, semicolon, tab or pipe');
+    expect(() => normalizeMapping({ ...columns, amount_column: 'Amount', date_format: 'DD/MM/YY' }))
+      .toThrow('CSV date format must be one of: DD/MM/YYYY, MM/DD/YYYY, DD-MM-YYYY, DD.MM.YYYY, YYYY-MM-DD, YYYYMMDD');
+  });
+});
+
+describe('tokenize', () => {
+  test('keeps delimiters, doubled quotes and line breaks inside quoted fields', () => {
+    expect(tokenize('a,"b,c","say ""hi""","two\nlines"\r\n\n1,2,3,4', ',')).toEqual([
+      ['a', 'b,c', 'say "hi"', 'two\nlines'],
+      ['1', '2', '3', '4']
+    ]);
+  });
+});
@@ -0,0 +1,69 @@
+// backend/utils/statementParsers/index.js - Bank statement file parsers
+//
+// Every parser returns the same shape:
+//   { account_number, currency, opening_balance, closing_balance, statement_date,
+//     lines: [{ date: 'YYYY-MM-DD', amount, description, reference, counterparty, bank_reference }] }
+// Amounts are signed decimal strings: positive is money into the account, negative money out.
+// bank_reference is the bank's own id for the line (OFX FITID, CAMT AcctSvcrRef, MT940 //ref)
+// when the format carries one; counterparty is the other party's name when the file gives it.
+
+const money = require('../money');
+const { DATE_FORMATS, normalizeMapping, parseCsv } = require('./csv');
+const { parseOfx } = require('./ofx');
+const { parseCamt053 } = require('./camt053');
+const { parseMt940 } = require('./mt940');
+
+const PARSERS = {
+  csv: parseCsv,
+  ofx: parseOfx,
+  camt053: parseCamt053,
+  mt940: parseMt940
+};
+
+const FORMATS = Object.keys(PARSERS);
+
+// Guesses the format from the file's contents, falling back to its extension
+const detectFormat = (content, fileName = '') => {
+  const head = String(content).slice(0, 2000);
+
+  if (/<BkToCstmrStmt|camt\.053/i.test(head)) return 'camt053';
+  if (/OFXHEADER|<OFX>/i.test(head)) return 'ofx';
+  if (/^\s*(\{1:|:20:)/.test(head) || /^:60[FM]:/m.test(head)) return 'mt940';
+
+  const extension = String(fileName).split('.').pop().toLowerCase();
+  if (extension === 'ofx' || extension === 'qfx') return 'ofx';
+  if (extension === 'sta' || extension === 'mt940') return 'mt940';
+  if (extension === 'xml') return 'camt053';
+  return 'csv';
+};
+
+const parseStatement = (content, format, options = {}) => {
+  if (typeof content !== 'string' || content.trim() === '') {
+    throw new Error('Statement file is empty');
+  }
+
+  // A byte order mark would otherwise stick to the first header or tag
+  const text = content.replace(/^\uFEFF/, '');
+  const resolvedFormat = format || detectFormat(text, options.file_name);
+
+  if (!PARSERS[resolvedFormat]) {
+    throw new Error(`Statement format must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  const statement = PARSERS[resolvedFormat](text, options);
+
+  return {
+    ...statement,
+    format: resolvedFormat,
+    // Zero-amount lines (fee waivers, balance notices) never need matching
+    lines: statement.lines.filter(line => !money.isZero(line.amount))
+  };
+};
+
+module.exports = {
+  FORMATS,
+  DATE_FORMATS,
+  normalizeMapping,
+  detectFormat,
+  parseStatement
+};
@@ -0,0 +1,169 @@
+// backend/utils/statementParsers/mt940.js - SWIFT MT940 customer statements
+//
+// Reads the statement fields of one or more messages in a file:
+//   :25:  account identification
+//   :60F: / :60M:  opening balance    D/C, YYMMDD, currency, amount
+//   :61:  statement line
+//   :86:  information for the :61: line before it
+//   :62F: / :62M:  closing balance
+// Amounts use a comma as the decimal mark. Any SWIFT block wrapper ({1:...}{4:) is ignored.
+
+const { parseDecimal, buildDate, expandYear, cleanText } = require('./common');
+
+// :61: value date, optional entry date (MMDD), D/C mark (RC and RD reverse a credit
+// or a debit), optional funds code, amount, transaction type, customer reference and,
+// after //, the bank's reference
+const LINE_PATTERN = /^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?(\d[\d,]*)([NSF][A-Z0-9]{3})([^\n]*?)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?$/;
+
+const BALANCE_PATTERN = /^([CD])(\d{6})([A-Z]{3})(\d[\d,]*)$/;
+
+const parseSwiftDate = (yymmdd) =>
+  buildDate(expandYear(yymmdd.slice(0, 2)), yymmdd.slice(2, 4), yymmdd.slice(4, 6), yymmdd);
+
+const parseSwiftAmount = (text) => parseDecimal(text, { decimalSeparator: ',' });
+
+// Splits the message text into [tag, value] fields, keeping continuation lines with their field
+const splitFields = (content) => {
+  const fields = [];
+  content
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .forEach(line => {
+      const match = /^:(\d{2}[A-Z]?):(.*)$/.exec(line);
+      if (match) {
+        fields.push([match[1], match[2]]);
+      } else if (fields.length > 0 && !/^-\}?$|^\{|^}/.test(line.trim())) {
+        fields[fields.length - 1][1] += `\n${line}`;
+      }
+    });
+  return fields;
+};
+
+const parseBalance = (value, tag) => {
+  const match = BALANCE_PATTERN.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid :${tag}: balance "${value.trim()}"`);
+  }
+
+  const amount = parseSwiftAmount(match[4]);
+  return {
+    amount: match[1] === 'D' ? parseDecimal(`-${amount}`) : amount,
+    date: parseSwiftDate(match[2]),
+    currency: match[3]
+  };
+};
+
+const parseLine = (value) => {
+  const match = LINE_PATTERN.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid :61: statement line "${value.trim().split('\n')[0]}"`);
+  }
+
+  const [, valueDate, entryDate, mark, , amountText, , customerReference, bankReference, supplementary] = match;
+  const amount = parseSwiftAmount(amountText);
+
+  // Credits and reversed debits are money in
+  const moneyIn = mark === 'C' || mark === 'RD';
+  let date = parseSwiftDate(valueDate);
+
+  // The booking date, when given, is what the bank's ledger shows; it takes the value
+  // date's year, moved across the year end when the two straddle it
+  if (entryDate) {
+    let year = expandYear(valueDate.slice(0, 2));
+    const valueMonth = parseInt(valueDate.slice(2, 4));
+    const entryMonth = parseInt(entryDate.slice(0, 2));
+    if (valueMonth === 12 && entryMonth === 1) year += 1;
+    if (valueMonth === 1 && entryMonth === 12) year -= 1;
+    date = buildDate(year, entryDate.slice(0, 2), entryDate.slice(2, 4), entryDate);
+  }
+
+  const reference = customerReference.trim();
+  return {
+    date,
+    amount: moneyIn ? amount : parseDecimal(`-${amount}`),
+    reference: reference === 'NONREF' ? '' : cleanText(reference, 50),
+    bank_reference: bankReference ? bankReference.trim() || null : null,
+    supplementary: supplementary ? supplementary.trim() : ''
+  };
+};
+
+// :86: is free text in most banks' files; structured ?NN subfields are joined into plain text
+const parseInformation = (value) => value
+  .replace(/\n/g, '')
+  .replace(/\?\d{2}/g, ' ');
+
+// Structured :86: fields name the other party in subfields ?32 and ?33
+const parseCounterparty = (value) => {
+  const subfields = {};
+  const pattern = /\?(\d{2})([^?]*)/g;
+  let match;
+  while ((match = pattern.exec(value.replace(/\n/g, ''))) !== null) {
+    subfields[match[1]] = match[2];
+  }
+  const name = cleanText([subfields['32'], subfields['33']].filter(Boolean).join(''), 100);
+  return name || null;
+};
+
+const parseMt940 = (content) => {
+  const fields = splitFields(content);
+
+  if (!fields.some(([tag]) => tag === '61' || tag === '60F' || tag === '60M')) {
+    throw new Error('File is not an MT940 statement (no :60F: or :61: fields)');
+  }
+
+  let accountNumber = null;
+  let opening = null;
+  let closing = null;
+  const lines = [];
+
+  fields.forEach(([tag, value], index) => {
+    try {
+      switch (tag) {
+        case '25':
+          accountNumber = accountNumber || value.trim();
+          break;
+        case '60F':
+        case '60M':
+          // Only the first opening balance of the file; later ones continue the same account
+          opening = opening || parseBalance(value, tag);
+          break;
+        case '62F':
+        case '62M':
+          closing = parseBalance(value, tag);
+          break;
+        case '61':
+          lines.push(parseLine(value));
+          break;
+        case '86': {
+          const line = fields[index - 1] && fields[index - 1][0] === '61' ? lines[lines.length - 1] : null;
+          if (line) {
+            line.description = cleanText(parseInformation(value));
+            line.counterparty = parseCounterparty(value);
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    } catch (error) {
+      throw new Error(`MT940 field ${index + 1} (:${tag}:): ${error.message}`);
+    }
+  });
+
+  return {
+    account_number: accountNumber,
+    currency: (closing || opening || {}).currency || null,
+    opening_balance: opening ? opening.amount : null,
+    closing_balance: closing ? closing.amount : null,
+    statement_date: closing ? closing.date : null,
+    lines: lines.map(({ supplementary, ...line }) => ({
+      ...line,
+      description: line.description || cleanText(supplementary) || line.reference || 'Bank entry',
+      counterparty: line.counterparty || null
+    }))
+  };
+};
+
+module.exports = {
+  parseMt940
+};
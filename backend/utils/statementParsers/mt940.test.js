@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const { parseMt940 } = require('./mt940');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '__fixtures__', name), 'utf8');
+
+describe('parseMt940', () => {
+  const statement = parseMt940(fixture('two-messages.sta'));
+
+  test('reads every message of a file as one statement', () => {
+    expect(statement.account_number).toBe('PK36SCBL0000001123456702');
+    expect(statement.currency).toBe('PKR');
+    expect(statement.opening_balance).toBe('100000.00');
+    expect(statement.closing_balance).toBe('120700.50');
+    expect(statement.statement_date).toBe('2026-01-31');
+    expect(statement.lines.map(line => line.bank_reference)).toEqual(['BR2601020001', 'BR2601050002', 'BR2601020003', null]);
+  });
+
+  test('signs credits and reversed debits as money in, debits as money out', () => {
+    expect(statement.lines.map(line => line.amount)).toEqual(['25000.50', '-1500.00', '200.00', '-3000.00']);
+  });
+
+  test('dates lines by their entry date, across the year end', () => {
+    expect(statement.lines.map(line => line.date)).toEqual(['2026-01-02', '2026-01-05', '2026-01-02', '2026-01-31']);
+  });
+
+  test('reads descriptions, references and the counterparty from :86:', () => {
+    expect(statement.lines[0]).toMatchObject({
+      reference: 'INV-1001',
+      description: 'Payment INV-1001 ACME TRADING CO',
+      counterparty: 'ACME TRADING CO'
+    });
+    expect(statement.lines[1]).toMatchObject({ reference: '', description: 'Monthly account fee', counterparty: null });
+    expect(statement.lines[3]).toMatchObject({ reference: 'CHQ-000123', description: 'CHQ-000123' });
+  });
+
+  test('reads files with CRLF line endings', () => {
+    expect(parseMt940(fixture('two-messages.sta').replace(/\n/g, '\r\n'))).toEqual(statement);
+  });
+
+  test('signs debit balances as negative', () => {
+    const overdrawn = parseMt940(':20:X\n:60F:D260101PKR250,75\n:62F:D260102PKR250,75\n');
+    expect(overdrawn.opening_balance).toBe('-250.75');
+    expect(overdrawn.closing_balance).toBe('-250.75');
+  });
+
+  test('rejects malformed files with an error naming the field', () => {
+    expect(() => parseMt940('hello')).toThrow('File is not an MT940 statement (no :60F: or :61: fields)');
+    expect(() => parseMt940(':20:X\n:60F:C260101PKR1,00\n:61:garbage\n'))
+      .toThrow('MT940 field 3 (:61:): Invalid :61: statement line "garbage"');
+    expect(() => parseMt940(':20:X\n:60F:Z\n')).toThrow('MT940 field 2 (:60F:): Invalid :60F: balance "Z"');
+    expect(() => parseMt940(':20:X\n:60F:C261399PKR1,00\n')).toThrow('MT940 field 2 (:60F:): Invalid date "261399"');
+    expect(() => parseMt940(':60F:C260101PKR1,00\n:61:2601010101C1,005NTRFNONREF\n'))
+      .toThrow('MT940 field 2 (:61:): Invalid amount "1,005"');
+  });
+});
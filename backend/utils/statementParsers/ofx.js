@@ -0,0 +1,85 @@
+// backend/utils/statementParsers/ofx.js - OFX and QFX statement downloads
+//
+// Handles both OFX 1.x (SGML, where leaf tags are usually left unclosed) and OFX 2.x
+// (XML). Only the values inside the elements are read, so both forms parse alike.
+
+const { parseDecimal, buildDate, cleanText } = require('./common');
+
+// Text of the first <TAG>value in a block; the value ends at the next tag or line break
+const tagValue = (block, tag) => {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+  return match ? decodeEntities(match[1].trim()) : null;
+};
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Contents of each <TAG>...</TAG> aggregate in the file
+const aggregates = (content, tag) => {
+  const blocks = [];
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi');
+  let match;
+  while ((match = pattern.exec(content)) !== null) {
+    blocks.push(match[1]);
+  }
+  return blocks;
+};
+
+// OFX dates are YYYYMMDD, optionally followed by a time and time zone
+const parseOfxDate = (text) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(text || '');
+  if (!match) {
+    throw new Error(`Invalid date "${text}"`);
+  }
+  return buildDate(match[1], match[2], match[3], text);
+};
+
+const parseOfx = (content) => {
+  if (!/<OFX>/i.test(content)) {
+    throw new Error('File is not an OFX statement (no <OFX> element)');
+  }
+
+  const transactions = aggregates(content, 'STMTTRN');
+  const lines = transactions.map((block, index) => {
+    try {
+      const name = tagValue(block, 'NAME');
+      const memo = tagValue(block, 'MEMO');
+      const checkNumber = tagValue(block, 'CHECKNUM');
+
+      return {
+        date: parseOfxDate(tagValue(block, 'DTPOSTED')),
+        amount: parseDecimal(tagValue(block, 'TRNAMT')),
+        description: cleanText([name, memo && memo !== name ? memo : null].filter(Boolean).join(' - ') || tagValue(block, 'TRNTYPE')),
+        reference: cleanText(checkNumber || tagValue(block, 'REFNUM') || '', 50),
+        counterparty: name ? cleanText(name, 100) : null,
+        bank_reference: tagValue(block, 'FITID')
+      };
+    } catch (error) {
+      throw new Error(`OFX transaction ${index + 1}: ${error.message}`);
+    }
+  });
+
+  // A file holding several statements closes with the last one's balance, as CAMT.053 and MT940 files do
+  const ledgerBalance = aggregates(content, 'LEDGERBAL').pop();
+  const closingBalance = ledgerBalance && tagValue(ledgerBalance, 'BALAMT');
+  const closingDate = ledgerBalance && tagValue(ledgerBalance, 'DTASOF');
+  const transactionList = aggregates(content, 'BANKTRANLIST').pop();
+  const statementEnd = transactionList && tagValue(transactionList, 'DTEND');
+
+  return {
+    account_number: tagValue(content, 'ACCTID'),
+    currency: tagValue(content, 'CURDEF'),
+    opening_balance: null,
+    closing_balance: closingBalance ? parseDecimal(closingBalance) : null,
+    statement_date: closingDate ? parseOfxDate(closingDate) : (statementEnd ? parseOfxDate(statementEnd) : null),
+    lines
+  };
+};
+
+module.exports = {
+  parseOfx
+};
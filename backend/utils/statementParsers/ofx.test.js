@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const { parseOfx } = require('./ofx');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '__fixtures__', name), 'utf8');
+
+describe('parseOfx', () => {
+  const statement = parseOfx(fixture('two-statements.ofx'));
+
+  test('reads the transactions of every statement and closes with the last one', () => {
+    expect(statement.account_number).toBe('0001123456702');
+    expect(statement.currency).toBe('PKR');
+    expect(statement.opening_balance).toBeNull();
+    expect(statement.closing_balance).toBe('120000.25');
+    expect(statement.statement_date).toBe('2026-02-28');
+    expect(statement.lines.map(line => line.bank_reference)).toEqual(['202601020001', '202601150002', '202601310003', '202602100001']);
+  });
+
+  test('keeps the sign of TRNAMT and drops thousands separators', () => {
+    expect(statement.lines.map(line => line.amount)).toEqual(['25000.50', '-3000.00', '-1500.00', '-500.25']);
+  });
+
+  test('reads the date part of DTPOSTED', () => {
+    expect(statement.lines.map(line => line.date)).toEqual(['2026-01-02', '2026-01-15', '2026-01-31', '2026-02-10']);
+  });
+
+  test('describes lines from NAME and MEMO, falling back to the transaction type', () => {
+    expect(statement.lines[0]).toMatchObject({ description: 'ACME TRADING - Payment INV-1001', counterparty: 'ACME TRADING', reference: '' });
+    expect(statement.lines[1]).toMatchObject({ description: 'Office Rent & Services', reference: '000123' });
+    expect(statement.lines[2]).toMatchObject({ description: 'FEE', counterparty: null });
+    expect(statement.lines[3].description).toBe('K-Electric');
+  });
+
+  test('dates a statement without a ledger balance by its end date', () => {
+    const content = '<OFX><BANKTRANLIST><DTSTART>20260101<DTEND>20260131</BANKTRANLIST></OFX>';
+    expect(parseOfx(content)).toMatchObject({ closing_balance: null, statement_date: '2026-01-31', lines: [] });
+  });
+
+  test('rejects malformed files with an error naming the transaction', () => {
+    expect(() => parseOfx('hello')).toThrow('File is not an OFX statement (no <OFX> element)');
+    expect(() => parseOfx('<OFX><STMTTRN><TRNAMT>1.00</STMTTRN></OFX>')).toThrow('OFX transaction 1: Invalid date "null"');
+    expect(() => parseOfx('<OFX><STMTTRN><DTPOSTED>20260230<TRNAMT>1.00</STMTTRN></OFX>'))
+      .toThrow('OFX transaction 1: Invalid date "20260230"');
+    expect(() => parseOfx('<OFX><STMTTRN><DTPOSTED>20260101<TRNAMT>1.005</STMTTRN></OFX>'))
+      .toThrow('OFX transaction 1: Invalid amount "1.005"');
+    expect(() => parseOfx('<OFX><LEDGERBAL><BALAMT>abc<DTASOF>20260101</LEDGERBAL></OFX>')).toThrow('Invalid amount "abc"');
+  });
+});
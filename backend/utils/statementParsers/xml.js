@@ -0,0 +1,135 @@
+// backend/utils/statementParsers/xml.js - Minimal XML reader for bank statement files
+//
+// Enough XML for ISO 20022 statements: elements, attributes, text, CDATA, comments,
+// processing instructions and the predefined and numeric entities. Namespace prefixes
+// are dropped from element names; DTDs are skipped, never expanded.
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (entity, name) => {
+  switch (name.toLowerCase()) {
+    case 'lt': return '<';
+    case 'gt': return '>';
+    case 'amp': return '&';
+    case 'quot': return '"';
+    case 'apos': return "'";
+    default: {
+      const codePoint = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      if (codePoint > 0x10FFFF) {
+        throw new Error(`Invalid XML: character reference ${entity} is out of range`);
+      }
+      return String.fromCodePoint(codePoint);
+    }
+  }
+});
+
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+const ATTRIBUTE_PATTERN = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+
+// Parses XML text into { name, attributes, children, text } nodes and returns the root
+const parseXml = (content) => {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let position = 0;
+
+  const fail = (message) => {
+    throw new Error(`Invalid XML: ${message} near character ${position}`);
+  };
+
+  while (position < content.length) {
+    const tagStart = content.indexOf('<', position);
+    const current = stack[stack.length - 1];
+
+    if (tagStart === -1) {
+      current.text += decodeEntities(content.slice(position));
+      break;
+    }
+
+    if (tagStart > position) {
+      current.text += decodeEntities(content.slice(position, tagStart));
+    }
+    position = tagStart;
+
+    if (content.startsWith('<!--', position)) {
+      const end = content.indexOf('-->', position);
+      if (end === -1) fail('unterminated comment');
+      position = end + 3;
+    } else if (content.startsWith('<![CDATA[', position)) {
+      const end = content.indexOf(']]>', position);
+      if (end === -1) fail('unterminated CDATA section');
+      current.text += content.slice(position + 9, end);
+      position = end + 3;
+    } else if (content.startsWith('<?', position)) {
+      const end = content.indexOf('?>', position);
+      if (end === -1) fail('unterminated processing instruction');
+      position = end + 2;
+    } else if (content.startsWith('<!', position)) {
+      // DOCTYPE, possibly with an internal subset in brackets
+      const bracket = content.indexOf('[', position);
+      const close = content.indexOf('>', position);
+      if (close === -1) fail('unterminated declaration');
+      position = bracket !== -1 && bracket < close ? content.indexOf(']>', bracket) + 2 : close + 1;
+      if (position < 2) fail('unterminated declaration');
+    } else if (content.startsWith('</', position)) {
+      const end = content.indexOf('>', position);
+      if (end === -1) fail('unterminated end tag');
+      const name = localName(content.slice(position + 2, end).trim());
+      if (stack.length === 1 || current.name !== name) fail(`unexpected </${name}>`);
+      stack.pop();
+      position = end + 1;
+    } else {
+      const end = content.indexOf('>', position);
+      if (end === -1) fail('unterminated start tag');
+      let body = content.slice(position + 1, end);
+      const selfClosing = body.endsWith('/');
+      if (selfClosing) {
+        body = body.slice(0, -1);
+      }
+
+      const nameMatch = /^[^\s/>]+/.exec(body);
+      if (!nameMatch) fail('missing element name');
+
+      const attributes = {};
+      let attribute;
+      ATTRIBUTE_PATTERN.lastIndex = 0;
+      while ((attribute = ATTRIBUTE_PATTERN.exec(body.slice(nameMatch[0].length))) !== null) {
+        attributes[localName(attribute[1])] = decodeEntities(attribute[3] !== undefined ? attribute[3] : attribute[4]);
+      }
+
+      const node = { name: localName(nameMatch[0]), attributes, children: [], text: '' };
+      current.children.push(node);
+      if (!selfClosing) {
+        stack.push(node);
+      }
+      position = end + 1;
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`Invalid XML: <${stack[stack.length - 1].name}> is not closed`);
+  }
+
+  const documentElement = root.children[0];
+  if (!documentElement) {
+    throw new Error('Invalid XML: no root element');
+  }
+  return documentElement;
+};
+
+// Child elements of a node with the given name
+const children = (node, name) => (node ? node.children.filter(child => child.name === name) : []);
+
+// The node at a slash-separated path below node, e.g. 'Acct/Id/IBAN', or null
+const find = (node, path) => path.split('/').reduce((current, name) => (current ? children(current, name)[0] || null : null), node);
+
+// Trimmed text at a path below node, or null
+const text = (node, path) => {
+  const target = path ? find(node, path) : node;
+  return target ? target.text.trim() : null;
+};
+
+module.exports = {
+  parseXml,
+  children,
+  find,
+  text
+};
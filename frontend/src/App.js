@@ -4,10 +4,31 @@ import AccountManagement from './components/AccountManagement';
 import TransactionForm from './components/TransactionForm';
 import BalanceSheet from './components/BalanceSheet';
 import IncomeStatement from './components/IncomeStatement';
+import CashFlowStatement from './components/CashFlowStatement';
+import EquityStatement from './components/EquityStatement';
 import TransactionHistory from './components/TransactionHistory';
 import Ledgers from './components/Ledgers';
+import TrialBalance from './components/TrialBalance';
+import AgingReport from './components/AgingReport';
+import PeriodManagement from './components/PeriodManagement';
+import Customers from './components/Customers';
+import Vendors from './components/Vendors';
+import SalesInvoices from './components/SalesInvoices';
+import PurchaseBills from './components/PurchaseBills';
+import VendorPayments from './components/VendorPayments';
+import CustomerReceipts from './components/CustomerReceipts';
+import BankReconciliation from './components/BankReconciliation';
+import BankStatements from './components/BankStatements';
+import BankRules from './components/BankRules';
+import ExchangeRates from './components/ExchangeRates';
+import Dimensions from './components/Dimensions';
+import Budgets from './components/Budgets';
+import RecurringSchedules from './components/RecurringSchedules';
+import TransactionTemplates from './components/TransactionTemplates';
 import Login from './components/LoginPage'; // Add Login import
 import AuthService from './utils/auth'; // Add AuthService import
+import { accountingAPI } from './utils/api';
+import { setBaseCurrency } from './utils/currencyFormatter';
 import './App.css';
 
 // Navigation configuration - separates concerns
@@ -15,10 +36,29 @@ const NAV_ITEMS = [
   { id: 'dashboard', label: 'Dashboard', icon: 'Dashboard', component: Dashboard },
   { id: 'accounts', label: 'Account Management', icon: 'Folder', component: AccountManagement },
   { id: 'transaction', label: 'Record Transaction', icon: 'Plus', component: TransactionForm },
+  { id: 'customers', label: 'Customers', icon: 'People', component: Customers },
+  { id: 'vendors', label: 'Vendors', icon: 'Truck', component: Vendors },
+  { id: 'sales-invoices', label: 'Sales Invoices', icon: 'Receipt', component: SalesInvoices },
+  { id: 'purchase-bills', label: 'Purchase Bills', icon: 'Inbox', component: PurchaseBills },
+  { id: 'vendor-payments', label: 'Vendor Payments', icon: 'Card', component: VendorPayments },
+  { id: 'customer-receipts', label: 'Customer Receipts', icon: 'Envelope', component: CustomerReceipts },
+  { id: 'bank-statements', label: 'Bank Statements', icon: 'Import', component: BankStatements },
+  { id: 'bank-rules', label: 'Bank Rules', icon: 'Funnel', component: BankRules },
+  { id: 'bank-reconciliation', label: 'Bank Reconciliation', icon: 'Check', component: BankReconciliation },
+  { id: 'exchange-rates', label: 'Exchange Rates', icon: 'Globe', component: ExchangeRates },
+  { id: 'dimensions', label: 'Dimensions', icon: 'Tag', component: Dimensions },
+  { id: 'budgets', label: 'Budgets', icon: 'Target', component: Budgets },
+  { id: 'recurring', label: 'Recurring Transactions', icon: 'Repeat', component: RecurringSchedules },
+  { id: 'templates', label: 'Transaction Templates', icon: 'Stamp', component: TransactionTemplates },
   { id: 'ledgers', label: 'Ledgers', icon: 'Book', component: Ledgers },
   { id: 'history', label: 'Transaction History', icon: 'Clipboard', component: TransactionHistory },
   { id: 'balance', label: 'Balance Sheet', icon: 'Chart', component: BalanceSheet },
   { id: 'income', label: 'Income Statement', icon: 'Money', component: IncomeStatement },
+  { id: 'cash-flow', label: 'Cash Flow Statement', icon: 'Cash', component: CashFlowStatement },
+  { id: 'equity', label: 'Changes in Equity', icon: 'Bank', component: EquityStatement },
+  { id: 'trial-balance', label: 'Trial Balance', icon: 'Scale', component: TrialBalance },
+  { id: 'aging', label: 'Aging Report', icon: 'Hourglass', component: AgingReport },
+  { id: 'periods', label: 'Accounting Periods', icon: 'Calendar', component: PeriodManagement },
 ];
 
 // Icons mapping for better maintainability
@@ -30,6 +70,25 @@ const ICON_MAP = {
   Clipboard: '📋',
   Chart: '📈',
   Money: '💰',
+  Calendar: '📅',
+  Scale: '⚖️',
+  Cash: '💵',
+  Bank: '🏦',
+  People: '👥',
+  Truck: '🚚',
+  Receipt: '🧾',
+  Inbox: '📥',
+  Card: '💳',
+  Envelope: '📨',
+  Import: '📤',
+  Funnel: '🔀',
+  Check: '☑️',
+  Globe: '💱',
+  Tag: '🏷️',
+  Target: '🎯',
+  Repeat: '🔁',
+  Stamp: '📝',
+  Hourglass: '⏳',
 };
 
 function App() {
@@ -39,6 +98,7 @@ function App() {
   const [refreshKey, setRefreshKey] = useState(0);
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
   const [userRole, setUserRole] = useState(null); // Track user role
+  const [baseCurrency, setBaseCurrencyState] = useState(null);
 
   // Check authentication on component mount
   useEffect(() => {
@@ -57,6 +117,18 @@ function App() {
     checkAuth();
   }, []);
 
+  // Amounts are shown in the currency the books are kept in
+  useEffect(() => {
+    if (!isLoggedIn) return;
+
+    accountingAPI.getCurrencies()
+      .then(response => {
+        setBaseCurrency(response.data.base_currency);
+        setBaseCurrencyState(response.data.base_currency);
+      })
+      .catch(error => console.error('Error loading base currency:', error));
+  }, [isLoggedIn]);
+
   // Memoize handlers to prevent unnecessary re-renders
   const handleTransactionAdded = useCallback(() => {
     setRefreshKey(prev => prev + 1);
@@ -192,7 +264,8 @@ function App() {
           <h1>{NAV_ITEMS.find(item => item.id === activeTab)?.label || 'Accounting System'}</h1>
         </header>
 
-        <div className="content-area">
+        {/* Remounted once the base currency is known so amounts carry its prefix */}
+        <div className="content-area" key={baseCurrency || 'default-currency'}>
           {/* Render active component with appropriate props */}
           {activeTab === 'transaction' ? (
             <ActiveComponent onTransactionAdded={handleTransactionAdded} />
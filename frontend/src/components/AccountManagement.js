@@ -12,9 +12,12 @@ const AccountManagement = () => {
     account_name: '',
     account_type: 'Asset',
     account_subtype: 'Current',
-    normal_balance: 'Debit'
+    normal_balance: 'Debit',
+    cash_flow_category: '',
+    currency_code: ''
   });
   const [showAccountTimestamps, setShowAccountTimestamps] = useState(false);
+  const [currencies, setCurrencies] = useState({ base_currency: '', currencies: [] });
   
   // ADD THIS: Get user role
   const isAdmin = AuthService.isAdmin();
@@ -69,6 +72,7 @@ const AccountManagement = () => {
   // Load accounts on component mount
   useEffect(() => {
     loadAccounts();
+    loadCurrencies();
   }, []);
 
   const loadAccounts = async () => {
@@ -84,6 +88,15 @@ const AccountManagement = () => {
     }
   };
 
+  const loadCurrencies = async () => {
+    try {
+      const response = await accountingAPI.getCurrencies();
+      setCurrencies(response.data);
+    } catch (error) {
+      console.error('Error loading currencies:', error);
+    }
+  };
+
   const handleInputChange = (e) => {
     // ADD THIS: Prevent changes for viewers
     if (!isAdmin) {
@@ -98,7 +111,11 @@ const AccountManagement = () => {
       setFormData(prev => ({
         ...prev,
         [name]: value,
-        account_subtype: defaultSubtype
+        account_subtype: defaultSubtype,
+        // Only Asset accounts can be classified as cash
+        cash_flow_category: value !== 'Asset' && prev.cash_flow_category === 'cash' ? '' : prev.cash_flow_category,
+        // and only Asset and Liability accounts kept in a foreign currency
+        currency_code: ['Asset', 'Liability'].includes(value) ? prev.currency_code : ''
       }));
     } else {
       setFormData(prev => ({
@@ -132,7 +149,9 @@ const AccountManagement = () => {
         account_name: '',
         account_type: 'Asset',
         account_subtype: 'Current',
-        normal_balance: 'Debit'
+        normal_balance: 'Debit',
+        cash_flow_category: '',
+        currency_code: ''
       });
       loadAccounts();
     } catch (error) {
@@ -164,7 +183,9 @@ const AccountManagement = () => {
         account_name: '',
         account_type: 'Asset',
         account_subtype: 'Current',
-        normal_balance: 'Debit'
+        normal_balance: 'Debit',
+        cash_flow_category: '',
+        currency_code: ''
       });
       loadAccounts();
     } catch (error) {
@@ -204,17 +225,35 @@ const AccountManagement = () => {
       account_name: account.account_name,
       account_type: account.account_type,
       account_subtype: account.account_subtype || '',
-      normal_balance: account.normal_balance
+      normal_balance: account.normal_balance,
+      cash_flow_category: account.cash_flow_category || '',
+      currency_code: account.currency_code || ''
     });
   };
 
+  const handleCashFlowCategoryChange = async (account, category) => {
+    if (!isAdmin) {
+      alert('⚠️ Admin privileges required to classify accounts');
+      return;
+    }
+    
+    try {
+      await accountingAPI.updateCashFlowCategory(account.id, category);
+      loadAccounts();
+    } catch (error) {
+      alert('Error updating cash flow category: ' + error.message);
+    }
+  };
+
   const cancelEdit = () => {
     setEditingAccount(null);
     setFormData({
       account_name: '',
       account_type: 'Asset',
       account_subtype: 'Current',
-      normal_balance: 'Debit'
+      normal_balance: 'Debit',
+      cash_flow_category: '',
+      currency_code: ''
     });
   };
 
@@ -351,6 +390,41 @@ const AccountManagement = () => {
               <small>Optional: Used for better organization</small>
             </div>
 
+            <div className="form-group">
+              <label>Cash Flow Category</label>
+              <select
+                name="cash_flow_category"
+                value={formData.cash_flow_category}
+                onChange={handleInputChange}
+              >
+                {getCashFlowCategoryOptions(formData.account_type).map(option => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <small>Used by the cash flow statement. Mark cash and bank accounts as Cash.</small>
+            </div>
+
+            {['Asset', 'Liability'].includes(formData.account_type) && (
+              <div className="form-group">
+                <label>Currency</label>
+                <select
+                  name="currency_code"
+                  value={formData.currency_code}
+                  onChange={handleInputChange}
+                >
+                  <option value="">{currencies.base_currency || 'Base currency'} (base)</option>
+                  {currencies.currencies
+                    .filter(currency => currency.code !== currencies.base_currency)
+                    .map(currency => (
+                      <option key={currency.code} value={currency.code}>{currency.code}</option>
+                    ))}
+                </select>
+                <small>A foreign currency account only takes entries in that currency, converted at the day's exchange rate.</small>
+              </div>
+            )}
+
             <div className="account-creation-note">
               <small>
                 ⏰ This account will be timestamped with current Pakistan time automatically.
@@ -388,6 +462,7 @@ const AccountManagement = () => {
                 account={account} 
                 onEdit={startEdit}
                 onDelete={handleDeleteAccount}
+                onCashFlowCategoryChange={handleCashFlowCategoryChange}
                 showTimestamps={showAccountTimestamps}
                 wasUpdated={wasAccountUpdated(account)}
                 isAdmin={isAdmin} // ADD THIS: Pass isAdmin to AccountItem
@@ -402,6 +477,7 @@ const AccountManagement = () => {
                 account={account} 
                 onEdit={startEdit}
                 onDelete={handleDeleteAccount}
+                onCashFlowCategoryChange={handleCashFlowCategoryChange}
                 showTimestamps={showAccountTimestamps}
                 wasUpdated={wasAccountUpdated(account)}
                 isAdmin={isAdmin} // ADD THIS: Pass isAdmin to AccountItem
@@ -421,6 +497,7 @@ const AccountManagement = () => {
                 account={account} 
                 onEdit={startEdit}
                 onDelete={handleDeleteAccount}
+                onCashFlowCategoryChange={handleCashFlowCategoryChange}
                 showTimestamps={showAccountTimestamps}
                 wasUpdated={wasAccountUpdated(account)}
                 isAdmin={isAdmin} // ADD THIS: Pass isAdmin to AccountItem
@@ -435,6 +512,7 @@ const AccountManagement = () => {
                 account={account} 
                 onEdit={startEdit}
                 onDelete={handleDeleteAccount}
+                onCashFlowCategoryChange={handleCashFlowCategoryChange}
                 showTimestamps={showAccountTimestamps}
                 wasUpdated={wasAccountUpdated(account)}
                 isAdmin={isAdmin} // ADD THIS: Pass isAdmin to AccountItem
@@ -452,6 +530,7 @@ const AccountManagement = () => {
               account={account} 
               onEdit={startEdit}
               onDelete={handleDeleteAccount}
+              onCashFlowCategoryChange={handleCashFlowCategoryChange}
               showTimestamps={showAccountTimestamps}
               wasUpdated={wasAccountUpdated(account)}
               isAdmin={isAdmin} // ADD THIS: Pass isAdmin to AccountItem
@@ -468,6 +547,7 @@ const AccountManagement = () => {
               account={account} 
               onEdit={startEdit}
               onDelete={handleDeleteAccount}
+              onCashFlowCategoryChange={handleCashFlowCategoryChange}
               showTimestamps={showAccountTimestamps}
               wasUpdated={wasAccountUpdated(account)}
               isAdmin={isAdmin} // ADD THIS: Pass isAdmin to AccountItem
@@ -484,6 +564,7 @@ const AccountManagement = () => {
               account={account} 
               onEdit={startEdit}
               onDelete={handleDeleteAccount}
+              onCashFlowCategoryChange={handleCashFlowCategoryChange}
               showTimestamps={showAccountTimestamps}
               wasUpdated={wasAccountUpdated(account)}
               isAdmin={isAdmin} // ADD THIS: Pass isAdmin to AccountItem
@@ -495,8 +576,29 @@ const AccountManagement = () => {
   );
 };
 
+const CASH_FLOW_CATEGORY_LABELS = {
+  cash: 'Cash',
+  operating: 'Operating',
+  investing: 'Investing',
+  financing: 'Financing'
+};
+
+// Cash flow options for an account type; '' keeps the default derived from type and subtype
+const getCashFlowCategoryOptions = (accountType, effectiveCategory) => {
+  const defaultLabel = effectiveCategory
+    ? `Default (${CASH_FLOW_CATEGORY_LABELS[effectiveCategory]})`
+    : 'Default (from type and subtype)';
+  
+  return [
+    { value: '', label: defaultLabel },
+    ...Object.entries(CASH_FLOW_CATEGORY_LABELS)
+      .filter(([value]) => value !== 'cash' || accountType === 'Asset')
+      .map(([value, label]) => ({ value, label }))
+  ];
+};
+
 // ✅ UPDATED: AccountItem component with role-based buttons
-const AccountItem = ({ account, onEdit, onDelete, showTimestamps, wasUpdated, isAdmin }) => {
+const AccountItem = ({ account, onEdit, onDelete, onCashFlowCategoryChange, showTimestamps, wasUpdated, isAdmin }) => {
   return (
     <div className="account-item">
       <div className="account-info">
@@ -513,11 +615,35 @@ const AccountItem = ({ account, onEdit, onDelete, showTimestamps, wasUpdated, is
               Subtype: <strong>{account.account_subtype}</strong>
             </span>
           )}
+          {account.currency_code && (
+            <span className="account-detail">
+              Currency: <strong>{account.currency_code}</strong>
+            </span>
+          )}
           {account.balance !== 0 && (
             <span className="account-detail">
               Balance: <strong>Rs. {parseFloat(account.balance).toFixed(2)}</strong>
             </span>
           )}
+          <span className="account-detail">
+            Cash Flow:{' '}
+            {isAdmin ? (
+              <select
+                className="cash-flow-category-select"
+                value={account.cash_flow_category || ''}
+                onChange={(e) => onCashFlowCategoryChange(account, e.target.value)}
+                title="Cash flow statement classification (can be changed even when the account has transactions)"
+              >
+                {getCashFlowCategoryOptions(account.account_type, account.cash_flow_category ? null : account.cash_flow_category_effective).map(option => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <strong>{CASH_FLOW_CATEGORY_LABELS[account.cash_flow_category_effective] || 'Operating'}</strong>
+            )}
+          </span>
         </div>
         
         {/* Timestamp Display */}
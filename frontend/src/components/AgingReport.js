@@ -0,0 +1,553 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { accountingAPI } from '../utils/api';
+import { formatCurrency, formatAmount } from '../utils/currencyFormatter';
+import { formatTimestamp, getCurrentKarachiTime } from '../utils/timeFormatter';
+import AuthService from '../utils/auth';
+
+const REPORT_TYPES = {
+  receivable: { title: 'Accounts Receivable Aging', party: 'Customer', load: (asOf) => accountingAPI.getARAging(asOf) },
+  payable: { title: 'Accounts Payable Aging', party: 'Vendor', load: (asOf) => accountingAPI.getAPAging(asOf) }
+};
+
+const getTodayDDMMYYYY = () => {
+  const today = new Date();
+  const day = today.getDate().toString().padStart(2, '0');
+  const month = (today.getMonth() + 1).toString().padStart(2, '0');
+  return `${day}/${month}/${today.getFullYear()}`;
+};
+
+const AgingReport = () => {
+  const [reportType, setReportType] = useState('receivable');
+  const [asOfDate, setAsOfDate] = useState(getTodayDDMMYYYY());
+  const [aging, setAging] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [expandedParties, setExpandedParties] = useState({});
+  const [companyDetails, setCompanyDetails] = useState(null);
+  const [reportGeneratedAt, setReportGeneratedAt] = useState(null);
+
+  const isAdmin = AuthService.isAdmin();
+
+  useEffect(() => {
+    loadCompanyDetails();
+  }, []);
+
+  const loadCompanyDetails = async () => {
+    try {
+      const response = await accountingAPI.getCompanyDetails();
+      setCompanyDetails(response.data);
+    } catch (error) {
+      console.error('Error loading company details:', error);
+    }
+  };
+
+  const loadAging = useCallback(async (type, date) => {
+    const dateRegex = /^\d{2}\/\d{2}\/\d{4}$/;
+    if (!dateRegex.test(date)) {
+      alert('Please use dd/mm/yyyy format for dates (e.g., 25/11/2024)');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await REPORT_TYPES[type].load(date);
+      setAging(response.data);
+      setExpandedParties({});
+      setReportGeneratedAt(getCurrentKarachiTime());
+    } catch (error) {
+      console.error('Error loading aging report:', error);
+      alert('Error loading aging report: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Receivables as of today on first load
+  useEffect(() => {
+    loadAging('receivable', getTodayDDMMYYYY());
+  }, [loadAging]);
+
+  const handleReportTypeChange = (type) => {
+    setReportType(type);
+    loadAging(type, asOfDate);
+  };
+
+  const handleAsOfSubmit = (e) => {
+    e.preventDefault();
+    loadAging(reportType, asOfDate);
+  };
+
+  const partyKey = (party) => (party.party_id === null ? 'unassigned' : party.party_id);
+
+  const toggleParty = (party) => {
+    const key = partyKey(party);
+    setExpandedParties(prev => ({ ...prev, [key]: !prev[key] }));
+  };
+
+  // Empty buckets are shown as a dash, like an empty ledger column
+  const displayAmount = (amount) => (amount ? formatAmount(amount) : '-');
+  const printAmount = (amount) => (amount ? amount.toFixed(2) : '-');
+
+  const openAgingInNewTab = () => {
+    if (!aging) return;
+
+    const newWindow = window.open('', '_blank');
+
+    const companyName = companyDetails?.company?.name || 'Your Business Name';
+    const companyAddress = companyDetails?.company?.address || 'Business Address';
+    const companyPhone = companyDetails?.company?.phone || 'Business Phone';
+    const companyEmail = companyDetails?.company?.email || 'Business Email';
+    const preparedBy = companyDetails?.system?.prepared_by || 'Manager';
+
+    const currentTime = new Date();
+    const generatedAt = formatTimestamp(currentTime.toISOString());
+    const { title, party: partyLabel } = REPORT_TYPES[aging.control_type];
+
+    const agingHTML = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>${title} - ${aging.asOf}</title>
+        <style>
+          body {
+            font-family: 'Segoe UI', Arial, sans-serif;
+            margin: 0;
+            padding: 2rem;
+            color: #1f2937;
+            background: white;
+            line-height: 1.6;
+          }
+
+          .print-controls {
+            text-align: center;
+            margin-bottom: 2rem;
+            padding: 1rem;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            border-radius: 12px;
+            display: flex;
+            justify-content: center;
+            gap: 1rem;
+          }
+
+          .print-button {
+            padding: 12px 24px;
+            background: white;
+            color: #667eea;
+            border: none;
+            border-radius: 8px;
+            cursor: pointer;
+            font-size: 16px;
+            font-weight: 600;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+          }
+
+          .ledger-header {
+            display: grid;
+            grid-template-columns: 1fr 1fr;
+            gap: 3rem;
+            margin-bottom: 3rem;
+            padding-bottom: 2rem;
+            border-bottom: 3px solid #e5e7eb;
+          }
+
+          .company-info h1 {
+            font-size: 2.25rem;
+            font-weight: 700;
+            margin: 0 0 0.5rem 0;
+            line-height: 1.2;
+          }
+
+          .company-info p {
+            margin: 0.25rem 0;
+            color: #6b7280;
+          }
+
+          .ledger-meta {
+            text-align: right;
+          }
+
+          .ledger-title {
+            font-size: 2rem;
+            font-weight: 700;
+            margin: 0 0 1rem 0;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            -webkit-background-clip: text;
+            -webkit-text-fill-color: transparent;
+            background-clip: text;
+          }
+
+          .meta-item {
+            font-size: 0.95rem;
+            color: #6b7280;
+          }
+
+          .meta-item strong {
+            color: #4b5563;
+          }
+
+          .table-container {
+            border-radius: 12px;
+            overflow: hidden;
+            box-shadow: 0 8px 25px rgba(0, 0, 0, 0.1);
+            border: 1px solid #e5e7eb;
+            margin-bottom: 3rem;
+          }
+
+          table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.9rem;
+          }
+
+          th {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            font-weight: 600;
+            padding: 1rem 0.75rem;
+            text-align: left;
+            font-size: 0.85rem;
+            text-transform: uppercase;
+            letter-spacing: 0.05em;
+          }
+
+          td {
+            padding: 0.75rem;
+            border-bottom: 1px solid #f3f4f6;
+          }
+
+          .code-cell {
+            font-family: 'SF Mono', 'Monaco', 'Consolas', monospace;
+            color: #6b7280;
+          }
+
+          .type-cell {
+            color: #6b7280;
+          }
+
+          .amount-col, .amount-cell {
+            text-align: right;
+          }
+
+          .amount-cell {
+            font-family: 'SF Mono', 'Monaco', 'Consolas', monospace;
+            font-weight: 600;
+          }
+
+          .debit { color: #dc2626; }
+          .credit { color: #059669; }
+
+          .party-row td {
+            font-weight: 700;
+            background-color: #f8fafc;
+          }
+
+          .item-row td {
+            font-size: 0.8rem;
+            padding: 0.4rem 0.75rem 0.4rem 1.5rem;
+          }
+
+          .summary-row {
+            background-color: #f8fafc;
+            font-weight: 700;
+            border-top: 2px solid #3b82f6;
+            border-bottom: 2px solid #3b82f6;
+          }
+
+          .balance-status {
+            padding: 1rem 1.5rem;
+            border-radius: 12px;
+            font-weight: 600;
+            margin-bottom: 2rem;
+          }
+
+          .balance-status.balanced {
+            background: #ecfdf5;
+            color: #059669;
+            border-left: 6px solid #10b981;
+          }
+
+          .balance-status.unbalanced {
+            background: #fef2f2;
+            color: #dc2626;
+            border-left: 6px solid #ef4444;
+          }
+
+          .ledger-footer {
+            margin-top: 4rem;
+            padding-top: 2rem;
+            border-top: 2px solid #e5e7eb;
+            text-align: center;
+            color: #6b7280;
+            font-size: 0.875rem;
+          }
+
+          @media print {
+            @page {
+              margin: 0.5in;
+              size: portrait;
+            }
+
+            .print-controls { display: none !important; }
+            body { margin: 0; padding: 0; }
+            .ledger-header {
+              grid-template-columns: 1fr;
+              gap: 1rem;
+              margin-bottom: 1.5rem;
+            }
+            .ledger-meta { text-align: center; }
+            .company-info { text-align: center; }
+            .ledger-title { font-size: 1.5rem; }
+            table { font-size: 11px; }
+            th, td { padding: 0.4rem 0.25rem; }
+          }
+        </style>
+      </head>
+      <body>
+        <div class="print-controls">
+          <button class="print-button" onclick="window.print()">🖨️ Print Aging Report</button>
+        </div>
+
+        <div class="ledger-header">
+          <div class="company-info">
+            <h1 class="company-name">${companyName}</h1>
+            <p class="company-address">${companyAddress}</p>
+            <p class="company-contact">Phone: ${companyPhone} | Email: ${companyEmail}</p>
+          </div>
+
+          <div class="ledger-meta">
+            <h2 class="ledger-title">${title.toUpperCase()}</h2>
+            <div class="meta-item"><strong>As of:</strong> ${aging.asOf}</div>
+            <div class="meta-item"><strong>Prepared by:</strong> ${preparedBy}</div>
+            <div class="meta-item"><strong>Report Generated:</strong> ${generatedAt}</div>
+          </div>
+        </div>
+
+        <div class="balance-status ${aging.isReconciled ? 'balanced' : 'unbalanced'}">
+          ${aging.isReconciled
+            ? `✅ Aging total agrees with the control account balance of Rs. ${aging.controlBalance.toFixed(2)}`
+            : `❌ Aging total differs from the control account balance of Rs. ${aging.controlBalance.toFixed(2)}`}
+        </div>
+
+        <div class="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>${partyLabel} / Voucher</th>
+                <th>Due Date</th>
+                ${aging.buckets.map(bucket => `<th class="amount-col">${bucket.label} (Rs.)</th>`).join('')}
+                <th class="amount-col">Total (Rs.)</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${aging.parties.map(party => `
+                <tr class="party-row">
+                  <td>${party.party_name}</td>
+                  <td></td>
+                  ${aging.buckets.map(bucket => `<td class="amount-cell">${printAmount(party.buckets[bucket.key])}</td>`).join('')}
+                  <td class="amount-cell">${party.total.toFixed(2)}</td>
+                </tr>
+                ${party.items.map(item => `
+                  <tr class="item-row">
+                    <td class="code-cell">${item.transaction_id ? (item.voucher_number || `TID-${item.transaction_number}`) : item.description}</td>
+                    <td class="type-cell">${item.due_date_formatted || '-'}</td>
+                    ${aging.buckets.map(bucket => `<td class="amount-cell">${item.bucket === bucket.key ? item.open_amount.toFixed(2) : ''}</td>`).join('')}
+                    <td></td>
+                  </tr>
+                `).join('')}
+              `).join('')}
+
+              <tr class="summary-row">
+                <td><strong>Grand Total</strong></td>
+                <td></td>
+                ${aging.buckets.map(bucket => `<td class="amount-cell">${aging.totals[bucket.key].toFixed(2)}</td>`).join('')}
+                <td class="amount-cell">${aging.totals.total.toFixed(2)}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
+        <div class="ledger-footer">
+          <p>Generated on ${generatedAt} | ${companyName} Accounting System | Timezone: Pakistan (UTC+5)</p>
+        </div>
+
+        <script>
+          window.focus();
+        </script>
+      </body>
+      </html>
+    `;
+
+    newWindow.document.write(agingHTML);
+    newWindow.document.close();
+  };
+
+  const { title, party: partyLabel } = REPORT_TYPES[reportType];
+
+  return (
+    <div className="aging-report">
+      <div className="report-header">
+        <div className="header-title-row">
+          <h2>Aging Report</h2>
+          <div className={`role-badge ${isAdmin ? 'role-admin' : 'role-viewer'}`}>
+            {isAdmin ? '🔑 Admin Mode' : '👁️ Viewer Mode'}
+          </div>
+        </div>
+
+        <div className="role-info-note">
+          <small>
+            Open {reportType === 'receivable' ? 'customer' : 'vendor'} balances by how long they are past due. Payments settle the oldest items first.
+          </small>
+        </div>
+
+        {reportGeneratedAt && (
+          <div className="report-timestamp">
+            <small>
+              ⏰ Report generated: {reportGeneratedAt.fullDateTime} | 📍 Timezone: Pakistan (UTC+5)
+            </small>
+          </div>
+        )}
+
+        <div className="period-selector-card">
+          <form onSubmit={handleAsOfSubmit} className="period-form">
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="aging-type" className="form-label">Report</label>
+                <select
+                  id="aging-type"
+                  value={reportType}
+                  onChange={(e) => handleReportTypeChange(e.target.value)}
+                  className="form-select"
+                >
+                  {Object.entries(REPORT_TYPES).map(([value, type]) => (
+                    <option key={value} value={value}>{type.title}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="aging-as-of" className="form-label">As Of Date *</label>
+                <input
+                  type="text"
+                  id="aging-as-of"
+                  value={asOfDate}
+                  onChange={(e) => setAsOfDate(e.target.value)}
+                  placeholder="dd/mm/yyyy"
+                  className="form-input"
+                  required
+                  title="Enter the as-of date in dd/mm/yyyy format"
+                />
+                <small className="form-hint">Format: dd/mm/yyyy</small>
+              </div>
+            </div>
+
+            <div className="form-actions">
+              <button type="submit" className="btn btn-primary" disabled={loading}>
+                {loading ? 'Loading...' : 'Apply Date'}
+              </button>
+              <button
+                type="button"
+                onClick={openAgingInNewTab}
+                disabled={!aging || loading}
+                className="btn btn-secondary"
+              >
+                🖨️ Open Printable Version
+              </button>
+            </div>
+          </form>
+        </div>
+
+        {aging && (
+          <div className="period-info-card">
+            <h3>{title} as of {aging.asOf}</h3>
+            <p>Items are aged by days past their due date. Click a {partyLabel.toLowerCase()} to see the transactions behind the balance.</p>
+          </div>
+        )}
+      </div>
+
+      {loading && !aging ? (
+        <div className="loading">Loading aging report...</div>
+      ) : aging && (
+        <div className="card">
+          <div className="card-header">
+            <h3>{title}</h3>
+            <span className={`trial-balance-status ${aging.isReconciled ? 'balanced' : 'unbalanced'}`}>
+              {aging.isReconciled
+                ? '✅ Agrees with control account'
+                : `❌ Control account shows ${formatCurrency(aging.controlBalance)}`}
+            </span>
+          </div>
+
+          <div className="card-body">
+            {aging.parties.length === 0 ? (
+              <div className="no-data">No open balances as of this date.</div>
+            ) : (
+              <div className="ledger-table-container">
+                <table className="ledger-table aging-table">
+                  <thead>
+                    <tr>
+                      <th>{partyLabel}</th>
+                      {aging.buckets.map(bucket => (
+                        <th key={bucket.key} className="amount">{bucket.label}</th>
+                      ))}
+                      <th className="amount">Total</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {aging.parties.map(party => {
+                      const key = partyKey(party);
+                      return (
+                        <React.Fragment key={key}>
+                          <tr className="aging-party-row" onClick={() => toggleParty(party)} title="Show or hide the open items">
+                            <td>
+                              <span className="aging-toggle">{expandedParties[key] ? '▾' : '▸'}</span>
+                              <strong>{party.party_name}</strong>
+                            </td>
+                            {aging.buckets.map(bucket => (
+                              <td key={bucket.key} className={`amount ${bucket.key !== 'current' && party.buckets[bucket.key] ? 'aging-overdue' : ''}`}>
+                                {displayAmount(party.buckets[bucket.key])}
+                              </td>
+                            ))}
+                            <td className="amount"><strong>{formatAmount(party.total)}</strong></td>
+                          </tr>
+                          {expandedParties[key] && party.items.map((item, index) => (
+                            <tr key={`${key}-${index}`} className="aging-item-row">
+                              <td>
+                                {item.transaction_id
+                                  ? <>{item.voucher_number || `TID-${item.transaction_number}`} · {item.date_formatted} · due {item.due_date_formatted}</>
+                                  : item.description}
+                                {item.description && item.transaction_id && <div><small>{item.description}</small></div>}
+                                {item.days_past_due > 0 && <div><small>{item.days_past_due} days past due</small></div>}
+                              </td>
+                              {aging.buckets.map(bucket => (
+                                <td key={bucket.key} className="amount">
+                                  {item.bucket === bucket.key ? formatAmount(item.open_amount) : ''}
+                                </td>
+                              ))}
+                              <td className="amount">
+                                {item.open_amount !== item.original_amount && <small>of {formatAmount(item.original_amount)}</small>}
+                              </td>
+                            </tr>
+                          ))}
+                        </React.Fragment>
+                      );
+                    })}
+                  </tbody>
+                  <tfoot>
+                    <tr className="trial-balance-totals">
+                      <td><strong>Grand Total</strong></td>
+                      {aging.buckets.map(bucket => (
+                        <td key={bucket.key} className="amount">{formatCurrency(aging.totals[bucket.key])}</td>
+                      ))}
+                      <td className="amount">{formatCurrency(aging.totals.total)}</td>
+                    </tr>
+                  </tfoot>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AgingReport;
@@ -11,6 +11,8 @@ const BalanceSheet = () => {
   const [startDate, setStartDate] = useState('');
   const [endDate, setEndDate] = useState('');
   const [usePeriod, setUsePeriod] = useState(false);
+  const [asOfDate, setAsOfDate] = useState('');
+  const [useAsOf, setUseAsOf] = useState(false);
   const [periodLoading, setPeriodLoading] = useState(false);
   const [reportGeneratedAt, setReportGeneratedAt] = useState(null);
   
@@ -23,15 +25,20 @@ const BalanceSheet = () => {
     setReportGeneratedAt(getCurrentKarachiTime());
   }, []);
 
-  const loadReports = async (usePeriodFilter = false) => {
+  // filter: 'all' (current balances), 'period' (startDate - endDate) or 'asOf' (balances on asOfDate)
+  const loadReports = async (filter = 'all') => {
     try {
       setLoading(true);
       let balanceResponse, incomeResponse;
       
-      if (usePeriodFilter && startDate && endDate) {
+      if (filter === 'period' && startDate && endDate) {
         setPeriodLoading(true);
         balanceResponse = await accountingAPI.getBalanceSheetForPeriod(startDate, endDate);
         incomeResponse = await accountingAPI.getIncomeStatementForPeriod(startDate, endDate);
+      } else if (filter === 'asOf' && asOfDate) {
+        setPeriodLoading(true);
+        balanceResponse = await accountingAPI.getBalanceSheet(asOfDate);
+        incomeResponse = await accountingAPI.getIncomeStatement(asOfDate);
       } else {
         balanceResponse = await accountingAPI.getBalanceSheet();
         incomeResponse = await accountingAPI.getIncomeStatement();
@@ -70,19 +77,44 @@ const BalanceSheet = () => {
       return;
     }
 
-    loadReports(true);
+    loadReports('period');
+  };
+
+  const handleAsOfSubmit = (e) => {
+    e.preventDefault();
+    
+    const dateRegex = /^\d{2}\/\d{2}\/\d{4}$/;
+    if (!dateRegex.test(asOfDate)) {
+      alert('Please use dd/mm/yyyy format for dates (e.g., 25/11/2024)');
+      return;
+    }
+
+    loadReports('asOf');
   };
 
   const handleResetPeriod = () => {
     setStartDate('');
     setEndDate('');
     setUsePeriod(false);
-    loadReports(false);
+    setAsOfDate('');
+    setUseAsOf(false);
+    loadReports('all');
   };
 
   const handleUsePeriodToggle = (checked) => {
     setUsePeriod(checked);
-    if (!checked) {
+    if (checked) {
+      setUseAsOf(false);
+    } else {
+      handleResetPeriod();
+    }
+  };
+
+  const handleUseAsOfToggle = (checked) => {
+    setUseAsOf(checked);
+    if (checked) {
+      setUsePeriod(false);
+    } else {
       handleResetPeriod();
     }
   };
@@ -232,6 +264,63 @@ const BalanceSheet = () => {
               </form>
             </div>
           )}
+
+          <div className="period-toggle">
+            <label className="toggle-label">
+              <input
+                type="checkbox"
+                checked={useAsOf}
+                onChange={(e) => handleUseAsOfToggle(e.target.checked)}
+                className="toggle-checkbox"
+                title="Toggle point-in-time balances"
+              />
+              <span className="toggle-text">Show Balances As Of Date</span>
+            </label>
+            <small className="period-hint">
+              Rebuilds every balance from transactions dated on or before the selected date
+            </small>
+          </div>
+
+          {useAsOf && (
+            <div className="period-form-container">
+              <form onSubmit={handleAsOfSubmit} className="period-form">
+                <div className="form-row">
+                  <div className="form-group">
+                    <label className="form-label">As Of Date *</label>
+                    <input
+                      type="text"
+                      value={asOfDate}
+                      onChange={(e) => setAsOfDate(e.target.value)}
+                      placeholder="dd/mm/yyyy"
+                      className="form-input"
+                      required
+                      title="Enter the as-of date in dd/mm/yyyy format"
+                    />
+                    <small className="form-hint">Format: dd/mm/yyyy</small>
+                  </div>
+                </div>
+                
+                <div className="form-actions">
+                  <button 
+                    type="submit" 
+                    className="btn btn-primary"
+                    disabled={periodLoading}
+                    title="Show balances as of the selected date"
+                  >
+                    {periodLoading ? 'Loading...' : 'Apply Date'}
+                  </button>
+                  <button 
+                    type="button" 
+                    onClick={handleResetPeriod}
+                    className="btn btn-secondary"
+                    title="Reset to current balances"
+                  >
+                    Show Current
+                  </button>
+                </div>
+              </form>
+            </div>
+          )}
         </div>
 
         {/* Period Info */}
@@ -242,7 +331,14 @@ const BalanceSheet = () => {
           </div>
         )}
         
-        {!balanceSheet.period && (
+        {balanceSheet.asOf && (
+          <div className="period-info-card">
+            <h3>As of {balanceSheet.asOf}</h3>
+            <p>This report shows the financial position from all transactions dated on or before {balanceSheet.asOf}.</p>
+          </div>
+        )}
+        
+        {!balanceSheet.period && !balanceSheet.asOf && (
           <div className="period-info-card">
             <h3>Current Financial Position</h3>
             <p>This report shows the current financial position based on all transactions.</p>
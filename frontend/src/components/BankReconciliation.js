@@ -0,0 +1,653 @@
+import React, { useState, useEffect } from 'react';
+import { accountingAPI } from '../utils/api';
+import { formatCurrency } from '../utils/currencyFormatter';
+import { compare, isExact, isZero } from '../utils/money';
+import AuthService from '../utils/auth';
+
+const EMPTY_LINE = {
+  line_date: '',
+  description: '',
+  reference: '',
+  amount: ''
+};
+
+const DATE_PATTERN = /^\d{2}\/\d{2}\/\d{4}$/;
+
+const STATUS_LABELS = {
+  in_progress: 'In progress',
+  completed: 'Completed'
+};
+
+// Entries show money in as a deposit and money out as a payment
+const renderSignedAmount = (amount) => (
+  <span className={amount < 0 ? 'amount-negative' : 'amount-positive'}>
+    {formatCurrency(amount)}
+  </span>
+);
+
+const BankReconciliation = () => {
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedAccount, setSelectedAccount] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [startForm, setStartForm] = useState(null);
+  const [reconciliation, setReconciliation] = useState(null);
+  const [statementForm, setStatementForm] = useState({ statement_date: '', statement_balance: '' });
+  const [lineForm, setLineForm] = useState(EMPTY_LINE);
+  const [selectedOutstanding, setSelectedOutstanding] = useState([]);
+  const [selectedCleared, setSelectedCleared] = useState([]);
+  const [lineMatches, setLineMatches] = useState({});
+
+  const isAdmin = AuthService.isAdmin();
+
+  useEffect(() => {
+    loadAccounts();
+  }, []);
+
+  const loadAccounts = async () => {
+    try {
+      setLoading(true);
+      const response = await accountingAPI.getReconcilableAccounts();
+      setAccounts(response.data || []);
+    } catch (error) {
+      console.error('Error loading bank accounts:', error);
+      alert('Error loading bank accounts: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadHistory = async (accountId) => {
+    try {
+      const response = await accountingAPI.getBankReconciliations(accountId);
+      setHistory(response.data || []);
+    } catch (error) {
+      console.error('Error loading reconciliations:', error);
+      setHistory([]);
+    }
+  };
+
+  // Shows a reconciliation and resets the selections made on the previous one
+  const showReconciliation = (data) => {
+    setReconciliation(data);
+    setStatementForm({ statement_date: data.statement_date, statement_balance: String(data.statement_balance) });
+    setSelectedOutstanding([]);
+    setSelectedCleared([]);
+    setLineMatches({});
+  };
+
+  const openReconciliation = async (reconciliationId) => {
+    try {
+      const response = await accountingAPI.getBankReconciliationById(reconciliationId);
+      showReconciliation(response.data);
+      setStartForm(null);
+    } catch (error) {
+      alert('Error loading reconciliation: ' + error.message);
+    }
+  };
+
+  const handleSelectAccount = (account) => {
+    setSelectedAccount(account);
+    setReconciliation(null);
+    setStartForm(null);
+    loadHistory(account.id);
+    if (account.in_progress_id) {
+      openReconciliation(account.in_progress_id);
+    }
+  };
+
+  // Applies a change that answers with the updated reconciliation
+  const runChange = async (change, errorLabel) => {
+    try {
+      const response = await change();
+      if (response.message) {
+        alert(response.message);
+      }
+      showReconciliation(response.data);
+      loadAccounts();
+      if (selectedAccount) {
+        loadHistory(selectedAccount.id);
+      }
+    } catch (error) {
+      alert(`Error ${errorLabel}: ` + error.message);
+    }
+  };
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+
+    if (!DATE_PATTERN.test(startForm.statement_date)) {
+      alert('Please use dd/mm/yyyy format for dates');
+      return;
+    }
+
+    if (startForm.statement_balance === '' || !isExact(startForm.statement_balance)) {
+      alert('Enter the statement closing balance with no more than 2 decimal places');
+      return;
+    }
+
+    if (startForm.opening_balance !== '' && !isExact(startForm.opening_balance)) {
+      alert('Opening balance cannot have more than 2 decimal places');
+      return;
+    }
+
+    await runChange(() => accountingAPI.startBankReconciliation({
+      account_id: selectedAccount.id,
+      ...startForm
+    }), 'starting reconciliation');
+    setStartForm(null);
+  };
+
+  const handleUpdateStatement = async () => {
+    if (!DATE_PATTERN.test(statementForm.statement_date)) {
+      alert('Please use dd/mm/yyyy format for dates');
+      return;
+    }
+
+    if (statementForm.statement_balance === '' || !isExact(statementForm.statement_balance)) {
+      alert('Enter the statement closing balance with no more than 2 decimal places');
+      return;
+    }
+
+    await runChange(() => accountingAPI.updateBankReconciliation(reconciliation.id, statementForm), 'updating statement');
+  };
+
+  const handleAddLine = async (e) => {
+    e.preventDefault();
+
+    if (!DATE_PATTERN.test(lineForm.line_date)) {
+      alert('Please use dd/mm/yyyy format for dates');
+      return;
+    }
+
+    if (!lineForm.description.trim()) {
+      alert('Please enter a description');
+      return;
+    }
+
+    if (!lineForm.amount || !isExact(lineForm.amount) || compare(lineForm.amount, 0) === 0) {
+      alert('Amount must be non-zero with no more than 2 decimal places (negative for money out)');
+      return;
+    }
+
+    await runChange(() => accountingAPI.addBankStatementLine(reconciliation.id, lineForm), 'adding statement line');
+    setLineForm(EMPTY_LINE);
+  };
+
+  const handleMatch = async (line) => {
+    const entryId = lineMatches[line.id];
+    if (!entryId) {
+      alert('Select the entry this line records');
+      return;
+    }
+
+    await runChange(() => accountingAPI.matchBankStatementLine(reconciliation.id, line.id, parseInt(entryId)), 'matching line');
+  };
+
+  const handleComplete = async () => {
+    if (!window.confirm(`Complete the reconciliation of ${reconciliation.account_name} to ${reconciliation.statement_date}? Its cleared entries will be locked.`)) {
+      return;
+    }
+
+    await runChange(() => accountingAPI.completeBankReconciliation(reconciliation.id), 'completing reconciliation');
+  };
+
+  const handleReopen = async (item) => {
+    if (!window.confirm(`Reopen the reconciliation to ${item.statement_date}? Its entries stay cleared until you change them.`)) {
+      return;
+    }
+
+    await runChange(() => accountingAPI.reopenBankReconciliation(item.id), 'reopening reconciliation');
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this reconciliation? Its statement lines are removed (imported lines go back to Bank Statements) and its entries become outstanding again.')) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.deleteBankReconciliation(reconciliation.id);
+      alert(response.message);
+      setReconciliation(null);
+      loadAccounts();
+      loadHistory(selectedAccount.id);
+    } catch (error) {
+      alert('Error deleting reconciliation: ' + error.message);
+    }
+  };
+
+  const toggleSelection = (setSelection, entryId) => {
+    setSelection(prev => (prev.includes(entryId) ? prev.filter(id => id !== entryId) : [...prev, entryId]));
+  };
+
+  const renderEntryTable = (entries, selection, setSelection, editable) => (
+    <div className="ledger-table-container">
+      <table className="ledger-table party-table">
+        <thead>
+          <tr>
+            {editable && <th></th>}
+            <th>Date</th>
+            <th>Transaction</th>
+            <th>Description</th>
+            <th className="amount">Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map(entry => (
+            <tr key={entry.id}>
+              {editable && (
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={selection.includes(entry.id)}
+                    onChange={() => toggleSelection(setSelection, entry.id)}
+                    aria-label={`Select TID-${entry.transaction_number}`}
+                  />
+                </td>
+              )}
+              <td>{entry.date}</td>
+              <td>
+                <strong>TID-{entry.transaction_number}</strong>
+                {entry.voucher_number && <div><small>{entry.voucher_number}</small></div>}
+              </td>
+              <td>
+                {entry.description}
+                {entry.reference && <div><small>Ref: {entry.reference}</small></div>}
+              </td>
+              <td className="amount">{renderSignedAmount(entry.amount)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  if (loading && accounts.length === 0) {
+    return <div className="bank-reconciliation">Loading bank accounts...</div>;
+  }
+
+  const editable = isAdmin && reconciliation && reconciliation.status === 'in_progress';
+  const summary = reconciliation && reconciliation.summary;
+
+  return (
+    <div className="bank-reconciliation">
+      <div className="page-header">
+        <div className="header-title-row">
+          <h2>Bank Reconciliation</h2>
+          <div className={`role-badge ${isAdmin ? 'role-admin' : 'role-viewer'}`}>
+            {isAdmin ? '🔑 Admin Mode' : '👁️ Viewer Mode'}
+          </div>
+        </div>
+
+        <p>Tick off ledger entries of a bank or cash account against its statement until the cleared balance agrees with the bank</p>
+
+        {!isAdmin && (
+          <div className="viewer-warning">
+            <p>
+              ⚠️ <strong>View-Only Mode:</strong> You can view reconciliations but cannot change them.
+            </p>
+          </div>
+        )}
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Bank & Cash Accounts</h3>
+        </div>
+
+        {accounts.length === 0 ? (
+          <div className="no-data">
+            <p>No active bank or cash accounts.</p>
+          </div>
+        ) : (
+          <div className="ledger-table-container">
+            <table className="ledger-table party-table">
+              <thead>
+                <tr>
+                  <th>Account</th>
+                  <th className="amount">Book Balance</th>
+                  <th>Last Reconciled</th>
+                  <th className="amount">Statement Balance</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {accounts.map(account => (
+                  <tr key={account.id} className={selectedAccount && selectedAccount.id === account.id ? 'selected-row' : ''}>
+                    <td><strong>{account.account_code}</strong> - {account.account_name}</td>
+                    <td className="amount">{formatCurrency(account.balance)}</td>
+                    <td>{account.last_statement_date || 'Never'}</td>
+                    <td className="amount">{account.last_statement_balance === null ? '-' : formatCurrency(account.last_statement_balance)}</td>
+                    <td className="period-actions">
+                      <button onClick={() => handleSelectAccount(account)} className="btn-secondary">
+                        {account.in_progress_id ? 'Continue' : 'View'}
+                      </button>
+                      {isAdmin && !account.in_progress_id && (
+                        <button
+                          onClick={() => {
+                            handleSelectAccount(account);
+                            setStartForm({ statement_date: '', statement_balance: '', opening_balance: '' });
+                          }}
+                          className="btn-primary"
+                        >
+                          Reconcile
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {selectedAccount && startForm && (
+        <div className="card">
+          <div className="card-header">
+            <h3>New Statement - {selectedAccount.account_name}</h3>
+          </div>
+          <div className="card-body">
+            <form onSubmit={handleStart}>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="statement-date" className="form-label">Statement Date (dd/mm/yyyy) *</label>
+                  <input id="statement-date" className="form-input" value={startForm.statement_date} onChange={(e) => setStartForm(prev => ({ ...prev, statement_date: e.target.value }))} placeholder="dd/mm/yyyy" required />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="statement-balance" className="form-label">Closing Balance *</label>
+                  <input id="statement-balance" type="number" step="0.01" className="form-input" value={startForm.statement_balance} onChange={(e) => setStartForm(prev => ({ ...prev, statement_balance: e.target.value }))} placeholder="0.00" required />
+                </div>
+                {selectedAccount.last_statement_date ? (
+                  <div className="form-group">
+                    <span className="form-label">Opening Balance</span>
+                    <p>{formatCurrency(selectedAccount.last_statement_balance)} (statement of {selectedAccount.last_statement_date})</p>
+                  </div>
+                ) : (
+                  <div className="form-group">
+                    <label htmlFor="opening-balance" className="form-label">Opening Balance</label>
+                    <input id="opening-balance" type="number" step="0.01" className="form-input" value={startForm.opening_balance} onChange={(e) => setStartForm(prev => ({ ...prev, opening_balance: e.target.value }))} placeholder="0.00" />
+                  </div>
+                )}
+              </div>
+              <div className="form-actions">
+                <button type="submit" className="btn-primary">Start Reconciliation</button>
+                <button type="button" className="btn-secondary" onClick={() => setStartForm(null)}>Cancel</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {reconciliation && (
+        <div className="card">
+          <div className="card-header">
+            <h3>
+              {reconciliation.account_code} - {reconciliation.account_name} · Statement to {reconciliation.statement_date}
+              {' '}
+              <span className={`document-status status-${reconciliation.status === 'completed' ? 'approved' : 'draft'}`}>
+                {STATUS_LABELS[reconciliation.status]}
+              </span>
+            </h3>
+          </div>
+          <div className="card-body">
+            <div className="financial-summary reconciliation-summary">
+              <div className="summary-grid">
+                <div className="summary-item">
+                  <span className="summary-label">Opening Balance:</span>
+                  <span className="summary-value">{formatCurrency(summary.opening_balance)}</span>
+                </div>
+                <div className="summary-item">
+                  <span className="summary-label">Cleared Deposits:</span>
+                  <span className="summary-value amount-positive">{formatCurrency(summary.cleared_deposits)}</span>
+                </div>
+                <div className="summary-item">
+                  <span className="summary-label">Cleared Payments:</span>
+                  <span className="summary-value amount-negative">{formatCurrency(summary.cleared_payments)}</span>
+                </div>
+                <div className="summary-item">
+                  <span className="summary-label">Cleared Balance:</span>
+                  <span className="summary-value">{formatCurrency(summary.cleared_balance)}</span>
+                </div>
+                <div className="summary-item">
+                  <span className="summary-label">Statement Balance:</span>
+                  <span className="summary-value">{formatCurrency(summary.statement_balance)}</span>
+                </div>
+                <div className="summary-item">
+                  <span className="summary-label">Difference:</span>
+                  <span className={`summary-value ${isZero(summary.difference) ? 'balanced' : 'unbalanced'}`}>
+                    {formatCurrency(summary.difference)}
+                  </span>
+                </div>
+              </div>
+              {reconciliation.status === 'in_progress' && (
+                <p className="form-hint">
+                  Book balance at the statement date is {formatCurrency(summary.book_balance)}, with {formatCurrency(summary.outstanding_deposits)} of deposits
+                  and {formatCurrency(summary.outstanding_payments)} of payments not yet on a statement.
+                </p>
+              )}
+            </div>
+
+            {editable && (
+              <>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="edit-statement-date" className="form-label">Statement Date</label>
+                    <input id="edit-statement-date" className="form-input" value={statementForm.statement_date} onChange={(e) => setStatementForm(prev => ({ ...prev, statement_date: e.target.value }))} placeholder="dd/mm/yyyy" />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="edit-statement-balance" className="form-label">Closing Balance</label>
+                    <input id="edit-statement-balance" type="number" step="0.01" className="form-input" value={statementForm.statement_balance} onChange={(e) => setStatementForm(prev => ({ ...prev, statement_balance: e.target.value }))} />
+                  </div>
+                </div>
+                <div className="form-actions">
+                  <button type="button" className="btn-secondary" onClick={handleUpdateStatement}>Update Statement</button>
+                  <button type="button" className="btn-secondary" onClick={() => runChange(() => accountingAPI.autoMatchBankStatement(reconciliation.id), 'matching lines')}>
+                    Auto-Match Lines
+                  </button>
+                  <button
+                    type="button"
+                    className="btn-primary"
+                    onClick={handleComplete}
+                    disabled={!isZero(summary.difference) || summary.unmatched_lines > 0}
+                  >
+                    Complete Reconciliation
+                  </button>
+                  <button type="button" className="btn-delete" onClick={handleDelete}>Delete</button>
+                </div>
+              </>
+            )}
+
+            <h4>Statement Lines</h4>
+            {reconciliation.statement_lines.length === 0 ? (
+              <p className="form-hint">No statement lines entered or imported. You can also tick entries off directly below.</p>
+            ) : (
+              <div className="ledger-table-container">
+                <table className="ledger-table party-table">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Description</th>
+                      <th className="amount">Amount</th>
+                      <th>Matched To</th>
+                      {editable && <th>Actions</th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {reconciliation.statement_lines.map(line => {
+                      const candidates = reconciliation.outstanding_entries.filter(entry => compare(entry.amount, line.amount) === 0);
+                      return (
+                        <tr key={line.id}>
+                          <td>{line.line_date}</td>
+                          <td>
+                            {line.description}
+                            {line.reference && <div><small>Ref: {line.reference}</small></div>}
+                            {line.import_id && <div><small>Imported</small></div>}
+                          </td>
+                          <td className="amount">{renderSignedAmount(line.amount)}</td>
+                          <td>
+                            {line.journal_entry_id ? (
+                              <strong>TID-{line.transaction_number}</strong>
+                            ) : editable && candidates.length > 0 ? (
+                              <select
+                                className="form-select"
+                                value={lineMatches[line.id] || ''}
+                                onChange={(e) => setLineMatches(prev => ({ ...prev, [line.id]: e.target.value }))}
+                              >
+                                <option value="">Select entry</option>
+                                {candidates.map(entry => (
+                                  <option key={entry.id} value={entry.id}>
+                                    TID-{entry.transaction_number} · {entry.date} · {entry.description}
+                                  </option>
+                                ))}
+                              </select>
+                            ) : (
+                              <span className="unbalanced">Unmatched</span>
+                            )}
+                          </td>
+                          {editable && (
+                            <td className="period-actions">
+                              {line.journal_entry_id ? (
+                                <button onClick={() => runChange(() => accountingAPI.unmatchBankStatementLine(reconciliation.id, line.id), 'unmatching line')} className="btn-secondary">
+                                  Unmatch
+                                </button>
+                              ) : candidates.length > 0 && (
+                                <button onClick={() => handleMatch(line)} className="btn-primary">
+                                  Match
+                                </button>
+                              )}
+                              <button onClick={() => runChange(() => accountingAPI.deleteBankStatementLine(reconciliation.id, line.id), 'removing line')} className="btn-delete">
+                                Remove
+                              </button>
+                            </td>
+                          )}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {editable && (
+              <form onSubmit={handleAddLine}>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="line-date" className="form-label">Date *</label>
+                    <input id="line-date" className="form-input" value={lineForm.line_date} onChange={(e) => setLineForm(prev => ({ ...prev, line_date: e.target.value }))} placeholder="dd/mm/yyyy" />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="line-description" className="form-label">Description *</label>
+                    <input id="line-description" className="form-input" value={lineForm.description} onChange={(e) => setLineForm(prev => ({ ...prev, description: e.target.value }))} maxLength={200} />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="line-reference" className="form-label">Reference</label>
+                    <input id="line-reference" className="form-input" value={lineForm.reference} onChange={(e) => setLineForm(prev => ({ ...prev, reference: e.target.value }))} maxLength={50} />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="line-amount" className="form-label">Amount * (negative for money out)</label>
+                    <input id="line-amount" type="number" step="0.01" className="form-input" value={lineForm.amount} onChange={(e) => setLineForm(prev => ({ ...prev, amount: e.target.value }))} placeholder="0.00" />
+                  </div>
+                </div>
+                <div className="form-actions">
+                  <button type="submit" className="btn-secondary">Add Statement Line</button>
+                </div>
+              </form>
+            )}
+
+            {reconciliation.status === 'in_progress' && (
+              <>
+                <h4>Outstanding Entries ({reconciliation.outstanding_entries.length})</h4>
+                {reconciliation.outstanding_entries.length === 0 ? (
+                  <p className="form-hint">Every entry up to the statement date is cleared.</p>
+                ) : (
+                  <>
+                    {renderEntryTable(reconciliation.outstanding_entries, selectedOutstanding, setSelectedOutstanding, editable)}
+                    {editable && (
+                      <div className="form-actions">
+                        <button
+                          type="button"
+                          className="btn-primary"
+                          disabled={selectedOutstanding.length === 0}
+                          onClick={() => runChange(() => accountingAPI.clearBankEntries(reconciliation.id, selectedOutstanding), 'clearing entries')}
+                        >
+                          Mark Cleared ({selectedOutstanding.length})
+                        </button>
+                      </div>
+                    )}
+                  </>
+                )}
+              </>
+            )}
+
+            <h4>Cleared Entries ({reconciliation.cleared_entries.length})</h4>
+            {reconciliation.cleared_entries.length === 0 ? (
+              <p className="form-hint">Nothing cleared yet.</p>
+            ) : (
+              <>
+                {renderEntryTable(reconciliation.cleared_entries, selectedCleared, setSelectedCleared, editable)}
+                {editable && (
+                  <div className="form-actions">
+                    <button
+                      type="button"
+                      className="btn-secondary"
+                      disabled={selectedCleared.length === 0}
+                      onClick={() => runChange(() => accountingAPI.unclearBankEntries(reconciliation.id, selectedCleared), 'unclearing entries')}
+                    >
+                      Unclear ({selectedCleared.length})
+                    </button>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {selectedAccount && history.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Reconciliation History - {selectedAccount.account_name}</h3>
+          </div>
+          <div className="ledger-table-container">
+            <table className="ledger-table party-table">
+              <thead>
+                <tr>
+                  <th>Statement Date</th>
+                  <th className="amount">Opening</th>
+                  <th className="amount">Closing</th>
+                  <th>Status</th>
+                  <th>Completed</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {history.map((item, index) => (
+                  <tr key={item.id}>
+                    <td>{item.statement_date}</td>
+                    <td className="amount">{formatCurrency(item.opening_balance)}</td>
+                    <td className="amount">{formatCurrency(item.statement_balance)}</td>
+                    <td>{STATUS_LABELS[item.status]}</td>
+                    <td>{item.completed_at_formatted || '-'}</td>
+                    <td className="period-actions">
+                      <button onClick={() => openReconciliation(item.id)} className="btn-secondary">
+                        View
+                      </button>
+                      {isAdmin && index === 0 && item.status === 'completed' && (
+                        <button onClick={() => handleReopen(item)} className="btn-edit">
+                          Reopen
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BankReconciliation;
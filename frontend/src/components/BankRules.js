@@ -0,0 +1,550 @@
+import React, { useState, useEffect } from 'react';
+import { accountingAPI } from '../utils/api';
+import { formatCurrency } from '../utils/currencyFormatter';
+import AuthService from '../utils/auth';
+
+const EMPTY_RULE = {
+  name: '',
+  priority: '100',
+  bank_account_id: '',
+  direction: 'any',
+  description_match: 'contains',
+  description_pattern: '',
+  counterparty_pattern: '',
+  min_amount: '',
+  max_amount: '',
+  contra_account_id: '',
+  customer_id: '',
+  vendor_id: '',
+  transaction_description: '',
+  auto_post: false,
+  is_active: true
+};
+
+const DIRECTION_LABELS = {
+  any: 'Money in or out',
+  in: 'Money in',
+  out: 'Money out'
+};
+
+// Plain-words summary of what a rule looks for
+const describeConditions = (rule) => {
+  const parts = [];
+  if (rule.direction !== 'any') parts.push(DIRECTION_LABELS[rule.direction].toLowerCase());
+  if (rule.description_pattern) {
+    parts.push(rule.description_match === 'regex'
+      ? `description matches /${rule.description_pattern}/`
+      : `description contains "${rule.description_pattern}"`);
+  }
+  if (rule.counterparty_pattern) parts.push(`payer/payee contains "${rule.counterparty_pattern}"`);
+  if (rule.min_amount !== null && rule.max_amount !== null) {
+    parts.push(`amount ${formatCurrency(rule.min_amount)} to ${formatCurrency(rule.max_amount)}`);
+  } else if (rule.min_amount !== null) {
+    parts.push(`amount at least ${formatCurrency(rule.min_amount)}`);
+  } else if (rule.max_amount !== null) {
+    parts.push(`amount up to ${formatCurrency(rule.max_amount)}`);
+  }
+  return parts.join(', ');
+};
+
+const renderSignedAmount = (amount) => (
+  <span className={amount < 0 ? 'amount-negative' : 'amount-positive'}>
+    {formatCurrency(amount)}
+  </span>
+);
+
+// Lines a rule catches in a dry run; takenBy adds the rule that gets them first
+const renderLines = (lines, takenBy = false) => (
+  <div className="ledger-table-container">
+    <table className="ledger-table party-table">
+      <thead>
+        <tr>
+          <th>Date</th>
+          <th>Description</th>
+          <th className="amount">Amount</th>
+          {takenBy && <th>Taken By</th>}
+        </tr>
+      </thead>
+      <tbody>
+        {lines.map(line => (
+          <tr key={line.id}>
+            <td>{line.line_date}</td>
+            <td>
+              {line.description}
+              {line.counterparty && <div><small>{line.counterparty}</small></div>}
+            </td>
+            <td className="amount">{renderSignedAmount(line.amount)}</td>
+            {takenBy && <td>{line.taken_by}</td>}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const BankRules = () => {
+  const [rules, setRules] = useState([]);
+  const [bankAccounts, setBankAccounts] = useState([]);
+  const [allAccounts, setAllAccounts] = useState([]);
+  const [customers, setCustomers] = useState([]);
+  const [vendors, setVendors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState(EMPTY_RULE);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [dryRunAccount, setDryRunAccount] = useState('');
+  const [dryRun, setDryRun] = useState(null);
+
+  const isAdmin = AuthService.isAdmin();
+
+  useEffect(() => {
+    loadRules();
+    loadFormOptions();
+  }, []);
+
+  const loadRules = async () => {
+    try {
+      setLoading(true);
+      const response = await accountingAPI.getBankRules();
+      setRules(response.data || []);
+    } catch (error) {
+      console.error('Error loading bank rules:', error);
+      alert('Error loading bank rules: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadFormOptions = async () => {
+    try {
+      const [bankResponse, accountsResponse, customersResponse, vendorsResponse] = await Promise.all([
+        accountingAPI.getReconcilableAccounts(),
+        accountingAPI.getAccounts(),
+        accountingAPI.getCustomers(),
+        accountingAPI.getVendors()
+      ]);
+      setBankAccounts(bankResponse.data || []);
+      setAllAccounts((accountsResponse.data || []).filter(account => account.is_active !== false));
+      setCustomers((customersResponse.data || []).filter(customer => customer.is_active));
+      setVendors((vendorsResponse.data || []).filter(vendor => vendor.is_active));
+    } catch (error) {
+      console.error('Error loading accounts and parties:', error);
+    }
+  };
+
+  const contraAccount = allAccounts.find(account => String(account.id) === String(formData.contra_account_id));
+  const contraControl = contraAccount ? contraAccount.control_type : null;
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+      // A new offsetting account needs its own customer or vendor
+      ...(name === 'contra_account_id' ? { customer_id: '', vendor_id: '' } : {})
+    }));
+  };
+
+  const resetForm = () => {
+    setFormData(EMPTY_RULE);
+    setEditingId(null);
+    setDryRun(null);
+  };
+
+  // The form as the API takes it; the party only goes with the control account it belongs to
+  const buildRuleData = () => ({
+    ...formData,
+    priority: formData.priority === '' ? 100 : parseInt(formData.priority),
+    bank_account_id: formData.bank_account_id ? parseInt(formData.bank_account_id) : null,
+    contra_account_id: formData.contra_account_id ? parseInt(formData.contra_account_id) : null,
+    customer_id: contraControl === 'receivable' && formData.customer_id ? parseInt(formData.customer_id) : null,
+    vendor_id: contraControl === 'payable' && formData.vendor_id ? parseInt(formData.vendor_id) : null
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!isAdmin) {
+      alert('⚠️ Admin privileges required to manage bank rules');
+      return;
+    }
+
+    if (!formData.name.trim()) {
+      alert('Rule name is required');
+      return;
+    }
+
+    if (!formData.contra_account_id) {
+      alert('Select the account matching lines are posted against');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = editingId
+        ? await accountingAPI.updateBankRule(editingId, buildRuleData())
+        : await accountingAPI.createBankRule(buildRuleData());
+
+      alert(response.message);
+      resetForm();
+      loadRules();
+    } catch (error) {
+      alert('Error saving bank rule: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (rule) => {
+    setEditingId(rule.id);
+    setDryRun(null);
+    setFormData({
+      name: rule.name,
+      priority: String(rule.priority),
+      bank_account_id: rule.bank_account_id ? String(rule.bank_account_id) : '',
+      direction: rule.direction,
+      description_match: rule.description_match || 'contains',
+      description_pattern: rule.description_pattern,
+      counterparty_pattern: rule.counterparty_pattern,
+      min_amount: rule.min_amount === null ? '' : String(rule.min_amount),
+      max_amount: rule.max_amount === null ? '' : String(rule.max_amount),
+      contra_account_id: String(rule.contra_account_id),
+      customer_id: rule.customer_id ? String(rule.customer_id) : '',
+      vendor_id: rule.vendor_id ? String(rule.vendor_id) : '',
+      transaction_description: rule.transaction_description,
+      auto_post: rule.auto_post,
+      is_active: rule.is_active
+    });
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete rule "${rule.name}"? Transactions it already posted stay in the ledger.`)) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.deleteBankRule(rule.id);
+      alert(response.message);
+      if (editingId === rule.id) {
+        resetForm();
+      }
+      loadRules();
+    } catch (error) {
+      alert('Error deleting bank rule: ' + error.message);
+    }
+  };
+
+  // Without ruleData every saved rule is tried; with it, the rule in the form is tried among them
+  const runDryRun = async (ruleData) => {
+    try {
+      const response = await accountingAPI.dryRunBankRules(dryRunAccount ? parseInt(dryRunAccount) : null, ruleData);
+      setDryRun({ ...response.data, forDraft: Boolean(ruleData) });
+    } catch (error) {
+      setDryRun(null);
+      alert('Error previewing rules: ' + error.message);
+    }
+  };
+
+  const handlePreviewForm = () => {
+    if (!formData.contra_account_id) {
+      alert('Select the account matching lines are posted against');
+      return;
+    }
+
+    runDryRun({ ...buildRuleData(), id: editingId, name: formData.name.trim() || 'Unsaved rule' });
+  };
+
+  const handleApplyAutoRules = async () => {
+    if (!window.confirm('Post every open imported line that an auto-post rule catches?')) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.applyBankRules(dryRunAccount ? parseInt(dryRunAccount) : null);
+      alert(response.message);
+      setDryRun(null);
+    } catch (error) {
+      alert('Error applying bank rules: ' + error.message);
+    }
+  };
+
+  if (loading && rules.length === 0) {
+    return <div className="bank-rules">Loading bank rules...</div>;
+  }
+
+  const draftResult = dryRun && dryRun.forDraft ? dryRun.rules.find(rule => rule.draft) : null;
+
+  return (
+    <div className="bank-rules">
+      <div className="page-header">
+        <div className="header-title-row">
+          <h2>Bank Rules</h2>
+          <div className={`role-badge ${isAdmin ? 'role-admin' : 'role-viewer'}`}>
+            {isAdmin ? '🔑 Admin Mode' : '👁️ Viewer Mode'}
+          </div>
+        </div>
+
+        <p>Rules that recognize imported bank lines and post them against the right account. Rules are tried by priority; the first one that catches a line wins.</p>
+
+        {!isAdmin && (
+          <div className="viewer-warning">
+            <p>
+              ⚠️ <strong>View-Only Mode:</strong> You can view rules and preview what they catch but cannot change them.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {isAdmin && (
+        <div className="card">
+          <div className="card-header">
+            <h3>{editingId ? 'Edit Rule' : 'Add Rule'}</h3>
+          </div>
+          <div className="card-body">
+            <form onSubmit={handleSubmit} className="bank-rule-form">
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="rule-name" className="form-label">Name *</label>
+                  <input id="rule-name" name="name" className="form-input" value={formData.name} onChange={handleInputChange} maxLength={100} required />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="rule-priority" className="form-label">Priority</label>
+                  <input id="rule-priority" name="priority" type="number" min="0" max="9999" className="form-input" value={formData.priority} onChange={handleInputChange} />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="rule-bank-account" className="form-label">Bank Account</label>
+                  <select id="rule-bank-account" name="bank_account_id" className="form-select" value={formData.bank_account_id} onChange={handleInputChange}>
+                    <option value="">Any bank or cash account</option>
+                    {bankAccounts.map(account => (
+                      <option key={account.id} value={account.id}>{account.account_code} - {account.account_name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <h4>When a line</h4>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="rule-direction" className="form-label">Is</label>
+                  <select id="rule-direction" name="direction" className="form-select" value={formData.direction} onChange={handleInputChange}>
+                    {Object.entries(DIRECTION_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="rule-description-match" className="form-label">Description</label>
+                  <select id="rule-description-match" name="description_match" className="form-select" value={formData.description_match} onChange={handleInputChange}>
+                    <option value="contains">Contains</option>
+                    <option value="regex">Matches regular expression</option>
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="rule-description-pattern" className="form-label">Text</label>
+                  <input id="rule-description-pattern" name="description_pattern" className="form-input" value={formData.description_pattern} onChange={handleInputChange} maxLength={200} />
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="rule-counterparty" className="form-label">Payer / Payee Contains</label>
+                  <input id="rule-counterparty" name="counterparty_pattern" className="form-input" value={formData.counterparty_pattern} onChange={handleInputChange} maxLength={100} />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="rule-min-amount" className="form-label">Amount From</label>
+                  <input id="rule-min-amount" name="min_amount" type="number" min="0" step="0.01" className="form-input" value={formData.min_amount} onChange={handleInputChange} />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="rule-max-amount" className="form-label">Amount To</label>
+                  <input id="rule-max-amount" name="max_amount" type="number" min="0" step="0.01" className="form-input" value={formData.max_amount} onChange={handleInputChange} />
+                </div>
+              </div>
+              <p className="form-hint">Text conditions ignore case. Amounts are compared without their sign. A line with no payer or payee is checked by its description.</p>
+
+              <h4>Post it against</h4>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="rule-contra" className="form-label">Offsetting Account *</label>
+                  <select id="rule-contra" name="contra_account_id" className="form-select" value={formData.contra_account_id} onChange={handleInputChange} required>
+                    <option value="">Select account</option>
+                    {allAccounts.map(account => (
+                      <option key={account.id} value={account.id}>{account.account_code} - {account.account_name}</option>
+                    ))}
+                  </select>
+                </div>
+                {contraControl === 'receivable' && (
+                  <div className="form-group">
+                    <label htmlFor="rule-customer" className="form-label">Customer *</label>
+                    <select id="rule-customer" name="customer_id" className="form-select" value={formData.customer_id} onChange={handleInputChange} required>
+                      <option value="">Select customer</option>
+                      {customers.map(customer => (
+                        <option key={customer.id} value={customer.id}>{customer.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                {contraControl === 'payable' && (
+                  <div className="form-group">
+                    <label htmlFor="rule-vendor" className="form-label">Vendor *</label>
+                    <select id="rule-vendor" name="vendor_id" className="form-select" value={formData.vendor_id} onChange={handleInputChange} required>
+                      <option value="">Select vendor</option>
+                      {vendors.map(vendor => (
+                        <option key={vendor.id} value={vendor.id}>{vendor.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                <div className="form-group">
+                  <label htmlFor="rule-transaction-description" className="form-label">Transaction Description</label>
+                  <input id="rule-transaction-description" name="transaction_description" className="form-input" value={formData.transaction_description} onChange={handleInputChange} maxLength={200} placeholder="The line's own description" />
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label className="form-label">
+                    <input name="auto_post" type="checkbox" checked={formData.auto_post} onChange={handleInputChange} /> Post matching lines automatically on import
+                  </label>
+                  <label className="form-label">
+                    <input name="is_active" type="checkbox" checked={formData.is_active} onChange={handleInputChange} /> Active
+                  </label>
+                </div>
+              </div>
+              <p className="form-hint">Without automatic posting the rule only suggests the account; lines that already have a matching ledger entry are never posted twice.</p>
+
+              <div className="form-actions">
+                <button type="submit" className="btn-primary" disabled={saving}>
+                  {saving ? 'Saving...' : editingId ? 'Update Rule' : 'Add Rule'}
+                </button>
+                <button type="button" className="btn-secondary" onClick={handlePreviewForm}>Preview Lines Caught</button>
+                {editingId && (
+                  <button type="button" className="btn-secondary" onClick={resetForm}>Cancel</button>
+                )}
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Rules</h3>
+        </div>
+        {rules.length === 0 ? (
+          <div className="no-data">
+            <p>No bank rules yet.</p>
+          </div>
+        ) : (
+          <div className="ledger-table-container">
+            <table className="ledger-table party-table">
+              <thead>
+                <tr>
+                  <th className="amount">Priority</th>
+                  <th>Rule</th>
+                  <th>Catches</th>
+                  <th>Posts To</th>
+                  <th>Mode</th>
+                  {isAdmin && <th>Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {rules.map(rule => (
+                  <tr key={rule.id} className={editingId === rule.id ? 'selected-row' : rule.is_active ? '' : 'inactive-party'}>
+                    <td className="amount">{rule.priority}</td>
+                    <td>
+                      <strong>{rule.name}</strong>
+                      <div><small>{rule.bank_account_id ? `${rule.bank_account_code} - ${rule.bank_account_name}` : 'Any bank account'}</small></div>
+                    </td>
+                    <td>{describeConditions(rule)}</td>
+                    <td>
+                      {rule.contra_account_code} - {rule.contra_account_name}
+                      {(rule.customer_name || rule.vendor_name) && <div><small>{rule.customer_name || rule.vendor_name}</small></div>}
+                    </td>
+                    <td>
+                      <span className={`document-status ${!rule.is_active ? 'status-voided' : rule.auto_post ? 'status-approved' : 'status-draft'}`}>
+                        {!rule.is_active ? 'Inactive' : rule.auto_post ? 'Auto-post' : 'Suggest'}
+                      </span>
+                    </td>
+                    {isAdmin && (
+                      <td className="period-actions">
+                        <button onClick={() => handleEdit(rule)} className="btn-secondary">Edit</button>
+                        <button onClick={() => handleDelete(rule)} className="btn-delete">Delete</button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Dry Run</h3>
+        </div>
+        <div className="card-body">
+          <p className="form-hint">See which open imported lines the rules would catch. Nothing is posted.</p>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="dry-run-account" className="form-label">Lines Of</label>
+              <select id="dry-run-account" className="form-select" value={dryRunAccount} onChange={(e) => { setDryRunAccount(e.target.value); setDryRun(null); }}>
+                <option value="">All bank and cash accounts</option>
+                {bankAccounts.map(account => (
+                  <option key={account.id} value={account.id}>{account.account_code} - {account.account_name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="form-actions">
+            <button type="button" className="btn-secondary" onClick={() => runDryRun()}>Preview All Rules</button>
+            {isAdmin && (
+              <button type="button" className="btn-primary" onClick={handleApplyAutoRules}>Apply Auto-Post Rules</button>
+            )}
+          </div>
+
+          {dryRun && (
+            <>
+              <div className="financial-summary">
+                <div className="summary-grid">
+                  <div className="summary-item">
+                    <span className="summary-label">Open Lines:</span>
+                    <span className="summary-value">{dryRun.lines_checked}</span>
+                  </div>
+                  <div className="summary-item">
+                    <span className="summary-label">Caught:</span>
+                    <span className="summary-value">{dryRun.lines_checked - dryRun.uncaught}</span>
+                  </div>
+                  <div className="summary-item">
+                    <span className="summary-label">Not Caught:</span>
+                    <span className="summary-value">{dryRun.uncaught}</span>
+                  </div>
+                </div>
+              </div>
+
+              {dryRun.forDraft && (
+                <div className="dry-run-rule">
+                  <h4>{draftResult ? `${draftResult.name}: ${draftResult.lines.length} line(s)` : 'The rule is inactive and catches nothing'}</h4>
+                  {draftResult && draftResult.lines.length > 0 && renderLines(draftResult.lines)}
+                  {dryRun.draft_shadowed.length > 0 && (
+                    <>
+                      <p className="form-hint">{dryRun.draft_shadowed.length} more line(s) match this rule but go to a rule ahead of it:</p>
+                      {renderLines(dryRun.draft_shadowed, true)}
+                    </>
+                  )}
+                </div>
+              )}
+
+              {!dryRun.forDraft && dryRun.rules.map(rule => (
+                <div key={rule.rule_id} className="dry-run-rule">
+                  <h4>{rule.name}: {rule.lines.length} line(s){rule.auto_post ? ' · auto-post' : ''}</h4>
+                  {rule.lines.length > 0 && renderLines(rule.lines)}
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BankRules;
@@ -0,0 +1,814 @@
+import React, { useState, useEffect } from 'react';
+import { accountingAPI } from '../utils/api';
+import { formatCurrency } from '../utils/currencyFormatter';
+import AuthService from '../utils/auth';
+
+const FORMAT_LABELS = {
+  csv: 'CSV',
+  ofx: 'OFX / QFX',
+  camt053: 'CAMT.053 (ISO 20022 XML)',
+  mt940: 'SWIFT MT940'
+};
+
+const CSV_DATE_FORMATS = ['DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY', 'YYYY-MM-DD', 'YYYYMMDD'];
+
+const EMPTY_MAPPING = {
+  delimiter: ',',
+  has_header: true,
+  skip_rows: 0,
+  date_column: '',
+  date_format: 'DD/MM/YYYY',
+  description_column: '',
+  reference_column: '',
+  counterparty_column: '',
+  amount_column: '',
+  debit_column: '',
+  credit_column: '',
+  decimal_separator: '.',
+  invert_sign: false
+};
+
+const LINE_STATUS_LABELS = {
+  unmatched: 'Unmatched',
+  matched: 'Matched',
+  in_reconciliation: 'On reconciliation',
+  cleared: 'Cleared',
+  reconciled: 'Reconciled',
+  ignored: 'Ignored'
+};
+
+const LINE_STATUS_CLASSES = {
+  unmatched: 'status-draft',
+  matched: 'status-approved',
+  in_reconciliation: 'status-draft',
+  cleared: 'status-approved',
+  reconciled: 'status-approved',
+  ignored: 'status-voided'
+};
+
+const renderSignedAmount = (amount) => (
+  <span className={amount < 0 ? 'amount-negative' : 'amount-positive'}>
+    {formatCurrency(amount)}
+  </span>
+);
+
+const BankStatements = () => {
+  const [accounts, setAccounts] = useState([]);
+  const [allAccounts, setAllAccounts] = useState([]);
+  const [customers, setCustomers] = useState([]);
+  const [vendors, setVendors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedAccount, setSelectedAccount] = useState(null);
+  const [source, setSource] = useState('file');
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState('');
+  const [mapping, setMapping] = useState(EMPTY_MAPPING);
+  const [preview, setPreview] = useState(null);
+  const [imports, setImports] = useState([]);
+  const [lines, setLines] = useState([]);
+  const [lineStatus, setLineStatus] = useState('unmatched');
+  const [lineMatches, setLineMatches] = useState({});
+  const [postingLine, setPostingLine] = useState(null);
+  const [postForm, setPostForm] = useState({ contra_account_id: '', description: '', customer_id: '', vendor_id: '' });
+
+  const isAdmin = AuthService.isAdmin();
+
+  useEffect(() => {
+    loadAccounts();
+    loadFormOptions();
+  }, []);
+
+  useEffect(() => {
+    if (selectedAccount) {
+      loadLines(selectedAccount.id, lineStatus);
+    }
+  }, [selectedAccount, lineStatus]);
+
+  const loadAccounts = async () => {
+    try {
+      setLoading(true);
+      const response = await accountingAPI.getReconcilableAccounts();
+      setAccounts(response.data || []);
+    } catch (error) {
+      console.error('Error loading bank accounts:', error);
+      alert('Error loading bank accounts: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadFormOptions = async () => {
+    try {
+      const [accountsResponse, customersResponse, vendorsResponse] = await Promise.all([
+        accountingAPI.getAccounts(),
+        accountingAPI.getCustomers(),
+        accountingAPI.getVendors()
+      ]);
+      setAllAccounts((accountsResponse.data || []).filter(account => account.is_active !== false));
+      setCustomers((customersResponse.data || []).filter(customer => customer.is_active));
+      setVendors((vendorsResponse.data || []).filter(vendor => vendor.is_active));
+    } catch (error) {
+      console.error('Error loading accounts and parties:', error);
+    }
+  };
+
+  const loadImports = async (accountId) => {
+    try {
+      const response = await accountingAPI.getBankStatementImports(accountId);
+      setImports(response.data || []);
+    } catch (error) {
+      console.error('Error loading statement imports:', error);
+      setImports([]);
+    }
+  };
+
+  const loadLines = async (accountId, status) => {
+    try {
+      const response = await accountingAPI.getImportedStatementLines(accountId, status);
+      setLines(response.data || []);
+      setLineMatches({});
+    } catch (error) {
+      console.error('Error loading statement lines:', error);
+      setLines([]);
+    }
+  };
+
+  // The mapping used last time for this account saves typing the columns in again
+  const loadMapping = async (accountId) => {
+    try {
+      const response = await accountingAPI.getBankStatementCsvMapping(accountId);
+      setMapping(response.data ? { ...EMPTY_MAPPING, ...response.data } : EMPTY_MAPPING);
+    } catch (error) {
+      setMapping(EMPTY_MAPPING);
+    }
+  };
+
+  const handleSelectAccount = (account) => {
+    setSelectedAccount(account);
+    setPreview(null);
+    setPostingLine(null);
+    loadImports(account.id);
+    loadMapping(account.id);
+  };
+
+  const refresh = () => {
+    loadLines(selectedAccount.id, lineStatus);
+    loadImports(selectedAccount.id);
+  };
+
+  const handleFileChange = (e) => {
+    const chosen = e.target.files[0];
+    setPreview(null);
+
+    if (!chosen) {
+      setFile(null);
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => setFile({ name: chosen.name, content: reader.result });
+    reader.onerror = () => alert('Could not read the file');
+    reader.readAsText(chosen);
+  };
+
+  // Rows pasted from a spreadsheet or online banking are read as a CSV file
+  const handlePasteChange = (e) => {
+    const content = e.target.value;
+    setPreview(null);
+    setFile(content.trim() ? { name: 'pasted.csv', content } : null);
+  };
+
+  const handleSourceChange = (e) => {
+    setSource(e.target.value);
+    setFile(null);
+    setPreview(null);
+  };
+
+  const handleMappingChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setMapping(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    setPreview(null);
+  };
+
+  // CSV files need the column mapping; the other formats describe themselves
+  const isCsv = source === 'paste' || format === 'csv' || (!format && file && /\.(csv|txt)$/i.test(file.name));
+
+  const buildImportData = () => ({
+    account_id: selectedAccount.id,
+    content: file.content,
+    file_name: file.name,
+    format: source === 'paste' ? 'csv' : format || undefined,
+    csv_mapping: isCsv ? mapping : undefined
+  });
+
+  const handlePreview = async () => {
+    if (!file) {
+      alert(source === 'paste' ? 'Paste the statement rows first' : 'Choose a statement file first');
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.previewBankStatement(buildImportData());
+      setPreview(response.data);
+    } catch (error) {
+      setPreview(null);
+      alert('Error reading statement: ' + error.message);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!file) {
+      alert(source === 'paste' ? 'Paste the statement rows first' : 'Choose a statement file first');
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.importBankStatement(buildImportData());
+      alert(response.message);
+      setPreview(null);
+      setFile(null);
+      setLineStatus('unmatched');
+      refresh();
+    } catch (error) {
+      alert('Error importing statement: ' + error.message);
+    }
+  };
+
+  const handleDeleteImport = async (item) => {
+    if (!window.confirm(`Delete the import of ${item.file_name || FORMAT_LABELS[item.format]} and its ${item.line_count} line(s)?`)) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.deleteBankStatementImport(item.id);
+      alert(response.message);
+      refresh();
+    } catch (error) {
+      alert('Error deleting import: ' + error.message);
+    }
+  };
+
+  // Applies a change to a line, then reloads the lines and the import counts
+  const runLineChange = async (change, errorLabel) => {
+    try {
+      const response = await change();
+      if (response.message) {
+        alert(response.message);
+      }
+      refresh();
+    } catch (error) {
+      alert(`Error ${errorLabel}: ` + error.message);
+    }
+  };
+
+  const handleMatch = (line) => {
+    const entryId = lineMatches[line.id] || (line.candidates[0] && line.candidates[0].id);
+    if (!entryId) {
+      alert('Select the entry this line records');
+      return;
+    }
+
+    runLineChange(() => accountingAPI.matchImportedLine(line.id, parseInt(entryId)), 'matching line');
+  };
+
+  const handleApplySuggestion = (line) => {
+    const { suggestion } = line;
+    if (!window.confirm(`Post this line to ${suggestion.contra_account_code} - ${suggestion.contra_account_name} as rule "${suggestion.rule_name}" says?`)) {
+      return;
+    }
+
+    runLineChange(() => accountingAPI.applyBankRuleToLines(suggestion.rule_id, [line.id]), 'applying rule');
+  };
+
+  const openPostForm = (line) => {
+    setPostingLine(line);
+    setPostForm({ contra_account_id: '', description: line.description, customer_id: '', vendor_id: '' });
+  };
+
+  const contraAccount = allAccounts.find(account => String(account.id) === String(postForm.contra_account_id));
+  const contraControl = contraAccount ? contraAccount.control_type : null;
+
+  const handlePost = async (e) => {
+    e.preventDefault();
+
+    if (!postForm.contra_account_id) {
+      alert('Select the account this money came from or went to');
+      return;
+    }
+
+    if (!postForm.description.trim()) {
+      alert('Please enter a description');
+      return;
+    }
+
+    await runLineChange(() => accountingAPI.createTransactionFromImportedLine(postingLine.id, {
+      contra_account_id: parseInt(postForm.contra_account_id),
+      description: postForm.description.trim(),
+      customer_id: contraControl === 'receivable' && postForm.customer_id ? parseInt(postForm.customer_id) : null,
+      vendor_id: contraControl === 'payable' && postForm.vendor_id ? parseInt(postForm.vendor_id) : null
+    }), 'posting transaction');
+    setPostingLine(null);
+  };
+
+  if (loading && accounts.length === 0) {
+    return <div className="bank-statements">Loading bank accounts...</div>;
+  }
+
+  return (
+    <div className="bank-statements">
+      <div className="page-header">
+        <div className="header-title-row">
+          <h2>Bank Statements</h2>
+          <div className={`role-badge ${isAdmin ? 'role-admin' : 'role-viewer'}`}>
+            {isAdmin ? '🔑 Admin Mode' : '👁️ Viewer Mode'}
+          </div>
+        </div>
+
+        <p>Import statement files from the bank, match their lines to ledger entries or post new transactions for them, by hand or with bank rules</p>
+
+        {!isAdmin && (
+          <div className="viewer-warning">
+            <p>
+              ⚠️ <strong>View-Only Mode:</strong> You can view imported statements but cannot import or change them.
+            </p>
+          </div>
+        )}
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Bank & Cash Accounts</h3>
+        </div>
+
+        {accounts.length === 0 ? (
+          <div className="no-data">
+            <p>No active bank or cash accounts.</p>
+          </div>
+        ) : (
+          <div className="ledger-table-container">
+            <table className="ledger-table party-table">
+              <thead>
+                <tr>
+                  <th>Account</th>
+                  <th className="amount">Book Balance</th>
+                  <th>Last Reconciled</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {accounts.map(account => (
+                  <tr key={account.id} className={selectedAccount && selectedAccount.id === account.id ? 'selected-row' : ''}>
+                    <td><strong>{account.account_code}</strong> - {account.account_name}</td>
+                    <td className="amount">{formatCurrency(account.balance)}</td>
+                    <td>{account.last_statement_date || 'Never'}</td>
+                    <td className="period-actions">
+                      <button onClick={() => handleSelectAccount(account)} className="btn-secondary">
+                        Statements
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {selectedAccount && isAdmin && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Import Statement - {selectedAccount.account_name}</h3>
+          </div>
+          <div className="card-body">
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="statement-source" className="form-label">Source</label>
+                <select id="statement-source" className="form-select" value={source} onChange={handleSourceChange}>
+                  <option value="file">Statement file</option>
+                  <option value="paste">Pasted rows</option>
+                </select>
+              </div>
+              {source === 'file' ? (
+                <>
+                  <div className="form-group">
+                    <label htmlFor="statement-file" className="form-label">Statement File *</label>
+                    <input id="statement-file" type="file" className="form-input" accept=".csv,.txt,.ofx,.qfx,.xml,.sta,.mt940" onChange={handleFileChange} />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="statement-format" className="form-label">Format</label>
+                    <select id="statement-format" className="form-select" value={format} onChange={(e) => { setFormat(e.target.value); setPreview(null); }}>
+                      <option value="">Detect from file</option>
+                      {Object.entries(FORMAT_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </>
+              ) : (
+                <div className="form-group statement-paste">
+                  <label htmlFor="statement-rows" className="form-label">Statement Rows *</label>
+                  <textarea
+                    id="statement-rows"
+                    className="form-input"
+                    rows={6}
+                    value={file ? file.content : ''}
+                    onChange={handlePasteChange}
+                    placeholder="Date, description and amount of each line, one line per row"
+                  />
+                </div>
+              )}
+            </div>
+
+            {isCsv && (
+              <>
+                <h4>CSV Columns</h4>
+                <p className="form-hint">
+                  Name each column as it appears in the header row, or give its number (1 for the first column).
+                  {source === 'paste' && ' Rows copied from a spreadsheet are separated by tabs.'}
+                </p>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="csv-delimiter" className="form-label">Delimiter</label>
+                    <select id="csv-delimiter" name="delimiter" className="form-select" value={mapping.delimiter} onChange={handleMappingChange}>
+                      <option value=",">Comma</option>
+                      <option value=";">Semicolon</option>
+                      <option value={'\t'}>Tab</option>
+                      <option value="|">Pipe</option>
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="csv-skip-rows" className="form-label">Rows to Skip</label>
+                    <input id="csv-skip-rows" name="skip_rows" type="number" min="0" className="form-input" value={mapping.skip_rows} onChange={handleMappingChange} />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="csv-decimal" className="form-label">Decimal Mark</label>
+                    <select id="csv-decimal" name="decimal_separator" className="form-select" value={mapping.decimal_separator} onChange={handleMappingChange}>
+                      <option value=".">1,234.56</option>
+                      <option value=",">1.234,56</option>
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label className="form-label">
+                      <input name="has_header" type="checkbox" checked={mapping.has_header} onChange={handleMappingChange} /> First row is a header
+                    </label>
+                    <label className="form-label">
+                      <input name="invert_sign" type="checkbox" checked={mapping.invert_sign} onChange={handleMappingChange} /> Money out is positive
+                    </label>
+                  </div>
+                </div>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="csv-date-column" className="form-label">Date Column *</label>
+                    <input id="csv-date-column" name="date_column" className="form-input" value={mapping.date_column} onChange={handleMappingChange} />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="csv-date-format" className="form-label">Date Format</label>
+                    <select id="csv-date-format" name="date_format" className="form-select" value={mapping.date_format} onChange={handleMappingChange}>
+                      {CSV_DATE_FORMATS.map(dateFormat => (
+                        <option key={dateFormat} value={dateFormat}>{dateFormat}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="csv-description-column" className="form-label">Description Column *</label>
+                    <input id="csv-description-column" name="description_column" className="form-input" value={mapping.description_column} onChange={handleMappingChange} />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="csv-reference-column" className="form-label">Reference Column</label>
+                    <input id="csv-reference-column" name="reference_column" className="form-input" value={mapping.reference_column || ''} onChange={handleMappingChange} />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="csv-counterparty-column" className="form-label">Payer / Payee Column</label>
+                    <input id="csv-counterparty-column" name="counterparty_column" className="form-input" value={mapping.counterparty_column || ''} onChange={handleMappingChange} />
+                  </div>
+                </div>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="csv-amount-column" className="form-label">Amount Column</label>
+                    <input id="csv-amount-column" name="amount_column" className="form-input" value={mapping.amount_column || ''} onChange={handleMappingChange} placeholder="Signed amounts" />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="csv-debit-column" className="form-label">or Money Out Column</label>
+                    <input id="csv-debit-column" name="debit_column" className="form-input" value={mapping.debit_column || ''} onChange={handleMappingChange} />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="csv-credit-column" className="form-label">and Money In Column</label>
+                    <input id="csv-credit-column" name="credit_column" className="form-input" value={mapping.credit_column || ''} onChange={handleMappingChange} />
+                  </div>
+                </div>
+              </>
+            )}
+
+            <div className="form-actions">
+              <button type="button" className="btn-secondary" onClick={handlePreview} disabled={!file}>Preview</button>
+              <button type="button" className="btn-primary" onClick={handleImport} disabled={!file}>Import</button>
+            </div>
+
+            {preview && (
+              <>
+                <div className="financial-summary">
+                  <div className="summary-grid">
+                    <div className="summary-item">
+                      <span className="summary-label">Format:</span>
+                      <span className="summary-value">{FORMAT_LABELS[preview.format]}</span>
+                    </div>
+                    {preview.account_number && (
+                      <div className="summary-item">
+                        <span className="summary-label">Bank Account:</span>
+                        <span className="summary-value">{preview.account_number}{preview.currency ? ` (${preview.currency})` : ''}</span>
+                      </div>
+                    )}
+                    <div className="summary-item">
+                      <span className="summary-label">New Lines:</span>
+                      <span className="summary-value">{preview.line_count - preview.duplicate_count} of {preview.line_count}</span>
+                    </div>
+                    <div className="summary-item">
+                      <span className="summary-label">Money In:</span>
+                      <span className="summary-value amount-positive">{formatCurrency(preview.total_in)}</span>
+                    </div>
+                    <div className="summary-item">
+                      <span className="summary-label">Money Out:</span>
+                      <span className="summary-value amount-negative">{formatCurrency(preview.total_out)}</span>
+                    </div>
+                    {preview.closing_balance !== null && (
+                      <div className="summary-item">
+                        <span className="summary-label">Closing Balance:</span>
+                        <span className="summary-value">{formatCurrency(preview.closing_balance)}{preview.statement_date ? ` at ${preview.statement_date}` : ''}</span>
+                      </div>
+                    )}
+                  </div>
+                  {preview.duplicate_count > 0 && (
+                    <p className="form-hint">{preview.duplicate_count} line(s) were imported before and will be skipped (struck through below).</p>
+                  )}
+                </div>
+
+                <div className="ledger-table-container">
+                  <table className="ledger-table party-table">
+                    <thead>
+                      <tr>
+                        <th>Date</th>
+                        <th>Description</th>
+                        <th>Reference</th>
+                        <th className="amount">Amount</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.lines.map((line, index) => (
+                        <tr key={index} className={line.duplicate ? 'statement-duplicate' : ''}>
+                          <td>{line.line_date}</td>
+                          <td>
+                            {line.description}
+                            {line.counterparty && <div><small>{line.counterparty}</small></div>}
+                          </td>
+                          <td>{line.reference || line.bank_reference}</td>
+                          <td className="amount">{renderSignedAmount(line.amount)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {selectedAccount && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Imported Lines - {selectedAccount.account_name}</h3>
+          </div>
+          <div className="card-body">
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="line-status" className="form-label">Show</label>
+                <select id="line-status" className="form-select" value={lineStatus} onChange={(e) => setLineStatus(e.target.value)}>
+                  <option value="unmatched">Unmatched</option>
+                  <option value="matched">Matched</option>
+                  <option value="ignored">Ignored</option>
+                  <option value="all">All</option>
+                </select>
+              </div>
+            </div>
+            {isAdmin && lineStatus === 'unmatched' && lines.length > 0 && (
+              <div className="form-actions">
+                <button type="button" className="btn-secondary" onClick={() => runLineChange(() => accountingAPI.autoMatchImportedLines(selectedAccount.id), 'matching lines')}>
+                  Auto-Match Lines
+                </button>
+                <button type="button" className="btn-secondary" onClick={() => runLineChange(() => accountingAPI.applyBankRules(selectedAccount.id), 'applying bank rules')}>
+                  Apply Auto-Post Rules
+                </button>
+              </div>
+            )}
+
+            {lines.length === 0 ? (
+              <p className="form-hint">No {lineStatus === 'all' ? '' : `${LINE_STATUS_LABELS[lineStatus].toLowerCase()} `}imported lines.</p>
+            ) : (
+              <div className="ledger-table-container">
+                <table className="ledger-table party-table">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Description</th>
+                      <th className="amount">Amount</th>
+                      <th>Status</th>
+                      <th>Matched To</th>
+                      {isAdmin && <th>Actions</th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {lines.map(line => {
+                      const open = line.status === 'unmatched' || line.status === 'in_reconciliation';
+                      return (
+                        <tr key={line.id} className={postingLine && postingLine.id === line.id ? 'selected-row' : ''}>
+                          <td>{line.line_date}</td>
+                          <td>
+                            {line.description}
+                            {line.counterparty && <div><small>{line.counterparty}</small></div>}
+                            {(line.reference || line.bank_reference) && <div><small>Ref: {line.reference || line.bank_reference}</small></div>}
+                          </td>
+                          <td className="amount">{renderSignedAmount(line.amount)}</td>
+                          <td>
+                            <span className={`document-status ${LINE_STATUS_CLASSES[line.status]}`}>
+                              {LINE_STATUS_LABELS[line.status]}
+                            </span>
+                          </td>
+                          <td>
+                            {line.journal_entry_id ? (
+                              <>
+                                <strong>TID-{line.transaction_number}</strong>
+                                {line.voucher_number && <div><small>{line.voucher_number}</small></div>}
+                                {line.rule_name && <div><small>by rule {line.rule_name}</small></div>}
+                              </>
+                            ) : open && line.suggestion ? (
+                              <div className="rule-suggestion">
+                                <small>Rule {line.suggestion.rule_name}:</small>
+                                <div>{line.suggestion.contra_account_code} - {line.suggestion.contra_account_name}</div>
+                              </div>
+                            ) : open && line.candidates.length > 0 ? (
+                              <select
+                                className="form-select"
+                                value={lineMatches[line.id] || line.candidates[0].id}
+                                onChange={(e) => setLineMatches(prev => ({ ...prev, [line.id]: e.target.value }))}
+                                disabled={!isAdmin}
+                              >
+                                {line.candidates.map(entry => (
+                                  <option key={entry.id} value={entry.id}>
+                                    TID-{entry.transaction_number} · {entry.date} · {entry.description}
+                                  </option>
+                                ))}
+                              </select>
+                            ) : (
+                              '-'
+                            )}
+                          </td>
+                          {isAdmin && (
+                            <td>
+                              <div className="staged-line-actions">
+                                {open && line.candidates.length > 0 && (
+                                  <button onClick={() => handleMatch(line)} className="btn-primary">Match</button>
+                                )}
+                                {open && line.suggestion && (
+                                  <button onClick={() => handleApplySuggestion(line)} className="btn-primary">Apply Rule</button>
+                                )}
+                                {open && (
+                                  <button onClick={() => openPostForm(line)} className="btn-secondary">New Transaction</button>
+                                )}
+                                {line.status === 'unmatched' && (
+                                  <button onClick={() => runLineChange(() => accountingAPI.ignoreImportedLine(line.id), 'ignoring line')} className="btn-delete">Ignore</button>
+                                )}
+                                {(line.status === 'matched' || line.status === 'cleared') && (
+                                  <button onClick={() => runLineChange(() => accountingAPI.unmatchImportedLine(line.id), 'unmatching line')} className="btn-secondary">Unmatch</button>
+                                )}
+                                {line.status === 'ignored' && (
+                                  <button onClick={() => runLineChange(() => accountingAPI.restoreImportedLine(line.id), 'restoring line')} className="btn-secondary">Restore</button>
+                                )}
+                              </div>
+                            </td>
+                          )}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {postingLine && (
+              <form onSubmit={handlePost}>
+                <h4>
+                  New Transaction for {postingLine.line_date} · {formatCurrency(postingLine.amount)}
+                  {postingLine.amount < 0 ? ' paid out' : ' received'}
+                </h4>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="post-contra" className="form-label">{postingLine.amount < 0 ? 'Paid To (debit) *' : 'Received From (credit) *'}</label>
+                    <select
+                      id="post-contra"
+                      className="form-select"
+                      value={postForm.contra_account_id}
+                      onChange={(e) => setPostForm(prev => ({ ...prev, contra_account_id: e.target.value, customer_id: '', vendor_id: '' }))}
+                      required
+                    >
+                      <option value="">Select account</option>
+                      {allAccounts.filter(account => account.id !== selectedAccount.id).map(account => (
+                        <option key={account.id} value={account.id}>
+                          {account.account_code} - {account.account_name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  {contraControl === 'receivable' && (
+                    <div className="form-group">
+                      <label htmlFor="post-customer" className="form-label">Customer *</label>
+                      <select id="post-customer" className="form-select" value={postForm.customer_id} onChange={(e) => setPostForm(prev => ({ ...prev, customer_id: e.target.value }))} required>
+                        <option value="">Select customer</option>
+                        {customers.map(customer => (
+                          <option key={customer.id} value={customer.id}>{customer.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                  {contraControl === 'payable' && (
+                    <div className="form-group">
+                      <label htmlFor="post-vendor" className="form-label">Vendor *</label>
+                      <select id="post-vendor" className="form-select" value={postForm.vendor_id} onChange={(e) => setPostForm(prev => ({ ...prev, vendor_id: e.target.value }))} required>
+                        <option value="">Select vendor</option>
+                        {vendors.map(vendor => (
+                          <option key={vendor.id} value={vendor.id}>{vendor.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                  <div className="form-group">
+                    <label htmlFor="post-description" className="form-label">Description *</label>
+                    <input id="post-description" className="form-input" value={postForm.description} onChange={(e) => setPostForm(prev => ({ ...prev, description: e.target.value }))} maxLength={200} />
+                  </div>
+                </div>
+                <div className="form-actions">
+                  <button type="submit" className="btn-primary">Post and Match</button>
+                  <button type="button" className="btn-secondary" onClick={() => setPostingLine(null)}>Cancel</button>
+                </div>
+              </form>
+            )}
+          </div>
+        </div>
+      )}
+
+      {selectedAccount && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Import History</h3>
+          </div>
+          {imports.length === 0 ? (
+            <div className="no-data">
+              <p>No statements imported for this account yet.</p>
+            </div>
+          ) : (
+            <div className="ledger-table-container">
+              <table className="ledger-table party-table">
+                <thead>
+                  <tr>
+                    <th>Imported</th>
+                    <th>File</th>
+                    <th>Statement Date</th>
+                    <th className="amount">Lines</th>
+                    <th className="amount">Duplicates Skipped</th>
+                    <th className="amount">Matched</th>
+                    <th className="amount">Posted by Rules</th>
+                    {isAdmin && <th>Actions</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {imports.map(item => (
+                    <tr key={item.id}>
+                      <td>{item.created_at_formatted}</td>
+                      <td>
+                        {item.file_name || '-'}
+                        <div><small>{FORMAT_LABELS[item.format]}</small></div>
+                      </td>
+                      <td>{item.statement_date || '-'}</td>
+                      <td className="amount">{item.line_count}</td>
+                      <td className="amount">{item.duplicate_count}</td>
+                      <td className="amount">{item.matched_count}</td>
+                      <td className="amount">{item.rule_posted_count}</td>
+                      {isAdmin && (
+                        <td className="period-actions">
+                          {item.matched_count === 0 && (
+                            <button onClick={() => handleDeleteImport(item)} className="btn-delete">Delete</button>
+                          )}
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BankStatements;
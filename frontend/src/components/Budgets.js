@@ -0,0 +1,525 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { accountingAPI } from '../utils/api';
+import { formatAmount, formatCurrency } from '../utils/currencyFormatter';
+import { fromMinor, isExact, toFixed, toMinor } from '../utils/money';
+import AuthService from '../utils/auth';
+
+const EMPTY_BUDGET = {
+  account_id: '',
+  dimension_id: '',
+  amounts: new Array(12).fill(''),
+  notes: ''
+};
+
+const formatPercent = (percent) => (percent === null ? '—' : `${percent > 0 ? '+' : ''}${percent.toFixed(2)}%`);
+
+const Budgets = () => {
+  const [fiscalYear, setFiscalYear] = useState('');
+  const [accounts, setAccounts] = useState([]);
+  const [dimensions, setDimensions] = useState([]);
+  const [budgets, setBudgets] = useState([]);
+  const [report, setReport] = useState(null);
+  const [throughPeriod, setThroughPeriod] = useState('');
+  const [shownPeriod, setShownPeriod] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_BUDGET);
+  const [annualAmount, setAnnualAmount] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [importContent, setImportContent] = useState('');
+  const [importing, setImporting] = useState(false);
+
+  const isAdmin = AuthService.isAdmin();
+
+  useEffect(() => {
+    loadLookups();
+  }, []);
+
+  const loadLookups = async () => {
+    try {
+      const [yearsResponse, revenueResponse, expenseResponse, dimensionsResponse] = await Promise.all([
+        accountingAPI.getFiscalYears(),
+        accountingAPI.getAccountsByType('Revenue'),
+        accountingAPI.getAccountsByType('Expense'),
+        accountingAPI.getDimensions()
+      ]);
+      setFiscalYear(String(yearsResponse.data.current_fiscal_year));
+      setAccounts([...(revenueResponse.data || []), ...(expenseResponse.data || [])]);
+      setDimensions(dimensionsResponse.data || []);
+    } catch (error) {
+      console.error('Error loading budget lookups:', error);
+      alert('Error loading budgets: ' + error.message);
+    }
+  };
+
+  const loadBudgets = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [budgetsResponse, reportResponse] = await Promise.all([
+        accountingAPI.getBudgets(fiscalYear),
+        accountingAPI.getBudgetVsActual(fiscalYear, throughPeriod)
+      ]);
+      setBudgets(budgetsResponse.data || []);
+      setReport(reportResponse.data);
+      setShownPeriod(prev => prev || String(Math.max(reportResponse.data.through_period, 1)));
+    } catch (error) {
+      console.error('Error loading budgets:', error);
+      alert('Error loading budgets: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [fiscalYear, throughPeriod]);
+
+  useEffect(() => {
+    if (fiscalYear) {
+      loadBudgets();
+    }
+  }, [fiscalYear, loadBudgets]);
+
+  const periodNames = report ? report.periods.map(period => period.period_name) : [];
+
+  const handleYearChange = (e) => {
+    setFiscalYear(e.target.value);
+    setThroughPeriod('');
+    setShownPeriod('');
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAmountChange = (index, value) => {
+    setFormData(prev => ({
+      ...prev,
+      amounts: prev.amounts.map((amount, i) => (i === index ? value : amount))
+    }));
+  };
+
+  // Spreads an annual amount evenly over the twelve periods, with any rounding left in the last
+  const handleSpread = () => {
+    if (annualAmount === '' || !isExact(annualAmount) || toMinor(annualAmount) < 0) {
+      alert('Enter a valid annual amount to spread');
+      return;
+    }
+
+    // Eleven equal months in whole paisa; the last month takes what is left
+    const annualMinor = toMinor(annualAmount);
+    const monthMinor = Math.floor(annualMinor / 12);
+    const amounts = new Array(12).fill(toFixed(fromMinor(monthMinor)));
+    amounts[11] = toFixed(fromMinor(annualMinor - monthMinor * 11));
+    setFormData(prev => ({ ...prev, amounts }));
+  };
+
+  const resetForm = () => {
+    setFormData(EMPTY_BUDGET);
+    setAnnualAmount('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!isAdmin) {
+      alert('⚠️ Admin privileges required to set budgets');
+      return;
+    }
+
+    if (!formData.account_id) {
+      alert('Select an account');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await accountingAPI.setBudget({
+        fiscal_year: parseInt(fiscalYear),
+        account_id: parseInt(formData.account_id),
+        dimension_id: formData.dimension_id ? parseInt(formData.dimension_id) : null,
+        amounts: formData.amounts.map(amount => amount || 0),
+        notes: formData.notes
+      });
+      alert(response.message);
+      resetForm();
+      loadBudgets();
+    } catch (error) {
+      alert('Error saving budget: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (budget) => {
+    setFormData({
+      account_id: String(budget.account_id),
+      dimension_id: budget.dimension_id ? String(budget.dimension_id) : '',
+      amounts: budget.amounts.map(amount => String(amount)),
+      notes: budget.notes || ''
+    });
+    setAnnualAmount('');
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleDelete = async (budget) => {
+    const dimensionText = budget.dimension_code ? ` (${budget.dimension_code})` : '';
+    if (!window.confirm(`Delete the ${report?.label || fiscalYear} budget of ${budget.account_code}${dimensionText}?`)) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.deleteBudget(budget.id);
+      alert(response.message);
+      loadBudgets();
+    } catch (error) {
+      alert('Error deleting budget: ' + error.message);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const chosen = e.target.files[0];
+    if (!chosen) {
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => setImportContent(reader.result);
+    reader.onerror = () => alert('Could not read the file');
+    reader.readAsText(chosen);
+  };
+
+  const handleImport = async () => {
+    if (!importContent.trim()) {
+      alert('Choose a budget file or paste its rows first');
+      return;
+    }
+
+    try {
+      setImporting(true);
+      const response = await accountingAPI.importBudgets(parseInt(fiscalYear), importContent);
+      alert(response.message);
+      setImportContent('');
+      loadBudgets();
+    } catch (error) {
+      alert('Error importing budgets: ' + error.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const dimensionText = (line) => (line.dimension_code ? `${line.dimension_label}: ${line.dimension_code}` : 'All');
+
+  const varianceClass = (comparison) => (comparison.favorable ? 'amount-positive' : 'amount-negative');
+
+  const periodIndex = parseInt(shownPeriod || '1') - 1;
+
+  const renderComparison = (comparison) => (
+    <>
+      <td className="amount">{formatAmount(comparison.budget)}</td>
+      <td className="amount">{formatAmount(comparison.actual)}</td>
+      <td className={`amount ${varianceClass(comparison)}`}>{formatAmount(comparison.variance)}</td>
+      <td className={`amount ${varianceClass(comparison)}`}>{formatPercent(comparison.variance_percent)}</td>
+    </>
+  );
+
+  return (
+    <div className="budgets">
+      <div className="page-header">
+        <div className="header-title-row">
+          <h2>Budgets</h2>
+          <div className={`role-badge ${isAdmin ? 'role-admin' : 'role-viewer'}`}>
+            {isAdmin ? '🔑 Admin Mode' : '👁️ Viewer Mode'}
+          </div>
+        </div>
+
+        <p>
+          Monthly budgets for revenue and expense accounts, optionally per cost center, department or project,
+          compared with the income statement of each period.
+        </p>
+
+        {!isAdmin && (
+          <div className="viewer-warning">
+            <p>
+              ⚠️ <strong>View-Only Mode:</strong> You can view budgets and variances but cannot change budgets.
+            </p>
+          </div>
+        )}
+
+        <div className="form-row budget-year">
+          <div className="form-group">
+            <label htmlFor="budget-year" className="form-label">Fiscal Year</label>
+            <input
+              id="budget-year"
+              type="number"
+              className="form-input"
+              value={fiscalYear}
+              onChange={handleYearChange}
+              min="1900"
+              max="2100"
+            />
+            {report && <small className="form-hint">{report.label}: {report.start_date} to {report.end_date}</small>}
+          </div>
+        </div>
+      </div>
+
+      {isAdmin && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Set Budget</h3>
+          </div>
+          <div className="card-body">
+            <form onSubmit={handleSubmit}>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="budget-account" className="form-label">Account *</label>
+                  <select id="budget-account" name="account_id" className="form-select" value={formData.account_id} onChange={handleInputChange} required>
+                    <option value="">Select account</option>
+                    {accounts.map(account => (
+                      <option key={account.id} value={account.id}>
+                        {account.account_code} - {account.account_name} ({account.account_type})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="budget-dimension" className="form-label">Dimension</label>
+                  <select id="budget-dimension" name="dimension_id" className="form-select" value={formData.dimension_id} onChange={handleInputChange}>
+                    <option value="">Whole account</option>
+                    {dimensions.map(dimension => (
+                      <option key={dimension.id} value={dimension.id}>
+                        {dimension.dimension_label}: {dimension.code} - {dimension.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="budget-annual" className="form-label">Annual Amount</label>
+                  <div className="budget-spread">
+                    <input
+                      id="budget-annual"
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      className="form-input"
+                      value={annualAmount}
+                      onChange={(e) => setAnnualAmount(e.target.value)}
+                      placeholder="0.00"
+                    />
+                    <button type="button" className="btn-secondary" onClick={handleSpread}>
+                      Spread Evenly
+                    </button>
+                  </div>
+                </div>
+              </div>
+
+              <div className="budget-months">
+                {formData.amounts.map((amount, index) => (
+                  <div className="form-group" key={index}>
+                    <label htmlFor={`budget-month-${index}`} className="form-label">
+                      {periodNames[index] || `Period ${index + 1}`}
+                    </label>
+                    <input
+                      id={`budget-month-${index}`}
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      className="form-input"
+                      value={amount}
+                      onChange={(e) => handleAmountChange(index, e.target.value)}
+                      placeholder="0.00"
+                    />
+                  </div>
+                ))}
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="budget-notes" className="form-label">Notes</label>
+                  <input id="budget-notes" name="notes" className="form-input" value={formData.notes} onChange={handleInputChange} />
+                </div>
+              </div>
+              <p className="form-hint">Saving replaces all twelve amounts of the account's budget for this dimension. Empty periods are budgeted at zero.</p>
+              <div className="form-actions">
+                <button type="submit" className="btn-primary" disabled={saving}>
+                  {saving ? 'Saving...' : 'Save Budget'}
+                </button>
+                <button type="button" className="btn-secondary" onClick={resetForm}>
+                  Clear
+                </button>
+              </div>
+            </form>
+
+            <h4>Import Budgets</h4>
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="budget-file" className="form-label">CSV File</label>
+                <input id="budget-file" type="file" className="form-input" accept=".csv,.txt" onChange={handleFileChange} />
+              </div>
+            </div>
+            <div className="form-row">
+              <div className="form-group rate-import-rows">
+                <label htmlFor="budget-rows" className="form-label">Or Paste Rows</label>
+                <textarea
+                  id="budget-rows"
+                  className="form-input"
+                  rows={5}
+                  value={importContent}
+                  onChange={(e) => setImportContent(e.target.value)}
+                  placeholder={'Account,Dimension Type,Dimension Code,P1,P2,P3,P4,P5,P6,P7,P8,P9,P10,P11,P12\n5001,cost_center,LHR,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000'}
+                />
+              </div>
+            </div>
+            <p className="form-hint">
+              Columns are account code, dimension type (cost_center, department or project), dimension code and the twelve
+              period amounts of {report?.label || 'the fiscal year'}, separated by commas, semicolons or tabs. Leave both dimension
+              columns empty to budget the whole account. Imported lines replace existing ones, and nothing is imported when a row is wrong.
+            </p>
+            <div className="form-actions">
+              <button type="button" className="btn-primary" onClick={handleImport} disabled={importing}>
+                {importing ? 'Importing...' : 'Import Budgets'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header period-toolbar">
+          <h3>Budget vs Actual</h3>
+          {report && (
+            <div className="budget-period-selectors">
+              <label className="form-label" htmlFor="budget-shown-period">Period</label>
+              <select id="budget-shown-period" className="form-select" value={shownPeriod} onChange={(e) => setShownPeriod(e.target.value)}>
+                {report.periods.map(period => (
+                  <option key={period.period_number} value={period.period_number}>{period.period_name}</option>
+                ))}
+              </select>
+              <label className="form-label" htmlFor="budget-through-period">Year to Date Through</label>
+              <select id="budget-through-period" className="form-select" value={throughPeriod} onChange={(e) => setThroughPeriod(e.target.value)}>
+                <option value="">Today</option>
+                {report.periods.map(period => (
+                  <option key={period.period_number} value={period.period_number}>{period.period_name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+
+        {loading && !report ? (
+          <div className="no-data">
+            <p>Loading budgets...</p>
+          </div>
+        ) : !report || report.lines.length === 0 ? (
+          <div className="no-data">
+            <p>No budgets for this fiscal year yet.</p>
+          </div>
+        ) : (
+          <div className="ledger-table-container">
+            <table className="ledger-table budget-table">
+              <thead>
+                <tr>
+                  <th rowSpan={2}>Account</th>
+                  <th rowSpan={2}>Dimension</th>
+                  <th colSpan={4}>{report.periods[periodIndex].period_name}</th>
+                  <th colSpan={4}>
+                    Year to Date{report.through_period_name ? ` (through ${report.through_period_name})` : ''}
+                  </th>
+                  <th rowSpan={2}>Annual Budget</th>
+                </tr>
+                <tr>
+                  <th>Budget</th>
+                  <th>Actual</th>
+                  <th>Variance</th>
+                  <th>%</th>
+                  <th>Budget</th>
+                  <th>Actual</th>
+                  <th>Variance</th>
+                  <th>%</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.lines.map(line => (
+                  <tr key={line.budget_id} className={line.overspent ? 'budget-overspent' : ''}>
+                    <td>
+                      <strong>{line.account_code}</strong> - {line.account_name}
+                      <div><small>{line.account_type}</small></div>
+                    </td>
+                    <td>{dimensionText(line)}</td>
+                    {renderComparison(line.periods[periodIndex])}
+                    {renderComparison(line.ytd)}
+                    <td className="amount">{formatAmount(line.annual_budget)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td colSpan={2}><strong>Total Revenue</strong></td>
+                  {renderComparison(report.totals.revenue.periods[periodIndex])}
+                  {renderComparison(report.totals.revenue.ytd)}
+                  <td></td>
+                </tr>
+                <tr>
+                  <td colSpan={2}><strong>Total Expenses</strong></td>
+                  {renderComparison(report.totals.expenses.periods[periodIndex])}
+                  {renderComparison(report.totals.expenses.ytd)}
+                  <td></td>
+                </tr>
+              </tfoot>
+            </table>
+            <p className="form-hint">
+              Variance is actual minus budget; green is favorable (revenue above budget or expenses within it). Totals count each
+              account once: by its whole-account line, or by its dimension lines when it is only budgeted by dimension.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {budgets.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Budget Lines</h3>
+          </div>
+          <div className="ledger-table-container">
+            <table className="ledger-table budget-table">
+              <thead>
+                <tr>
+                  <th>Account</th>
+                  <th>Dimension</th>
+                  {periodNames.map(name => (
+                    <th key={name}>{name}</th>
+                  ))}
+                  <th>Total</th>
+                  {isAdmin && <th>Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {budgets.map(budget => (
+                  <tr key={budget.id}>
+                    <td>
+                      <strong>{budget.account_code}</strong> - {budget.account_name}
+                      {budget.notes && <div><small>{budget.notes}</small></div>}
+                    </td>
+                    <td>{dimensionText(budget)}</td>
+                    {budget.amounts.map((amount, index) => (
+                      <td key={index} className="amount">{formatAmount(amount)}</td>
+                    ))}
+                    <td className="amount"><strong>{formatCurrency(budget.total)}</strong></td>
+                    {isAdmin && (
+                      <td className="period-actions">
+                        <button onClick={() => handleEdit(budget)} className="btn-edit">
+                          Edit
+                        </button>
+                        <button onClick={() => handleDelete(budget)} className="btn-delete">
+                          Delete
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Budgets;
@@ -0,0 +1,220 @@
+import React, { useState } from 'react';
+import { accountingAPI } from '../utils/api';
+import { formatCurrency } from '../utils/currencyFormatter';
+import { getCurrentKarachiTime } from '../utils/timeFormatter';
+import AuthService from '../utils/auth';
+
+const ACTIVITY_SECTIONS = [
+  { key: 'operating', title: 'Operating Activities', totalLabel: 'Net Cash from Operating Activities' },
+  { key: 'investing', title: 'Investing Activities', totalLabel: 'Net Cash from Investing Activities' },
+  { key: 'financing', title: 'Financing Activities', totalLabel: 'Net Cash from Financing Activities' }
+];
+
+const CashFlowStatement = () => {
+  const [cashFlow, setCashFlow] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [method, setMethod] = useState('indirect');
+  const [reportGeneratedAt, setReportGeneratedAt] = useState(null);
+
+  const isAdmin = AuthService.isAdmin();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const dateRegex = /^\d{2}\/\d{2}\/\d{4}$/;
+    if (!dateRegex.test(startDate) || !dateRegex.test(endDate)) {
+      alert('Please use dd/mm/yyyy format for dates (e.g., 25/11/2024)');
+      return;
+    }
+
+    const startParts = startDate.split('/');
+    const endParts = endDate.split('/');
+    const startDateObj = new Date(startParts[2], startParts[1] - 1, startParts[0]);
+    const endDateObj = new Date(endParts[2], endParts[1] - 1, endParts[0]);
+
+    if (startDateObj > endDateObj) {
+      alert('Start date cannot be after end date');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await accountingAPI.getCashFlowStatement(startDate, endDate, method);
+      setCashFlow(response.data);
+      setReportGeneratedAt(getCurrentKarachiTime());
+    } catch (error) {
+      console.error('Error loading cash flow statement:', error);
+      alert('Error loading cash flow statement: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const amountClass = (amount) => (amount >= 0 ? 'amount-positive' : 'amount-negative');
+
+  return (
+    <div className="cash-flow-statement">
+      <div className="report-header">
+        <div className="header-title-row">
+          <h2>Statement of Cash Flows</h2>
+          <div className={`role-badge ${isAdmin ? 'role-admin' : 'role-viewer'}`}>
+            {isAdmin ? '🔑 Admin Mode' : '👁️ Viewer Mode'}
+          </div>
+        </div>
+
+        {!isAdmin && (
+          <div className="viewer-warning">
+            <p>
+              ⚠️ <strong>View-Only Mode:</strong> You can explore all reports but cannot modify data.
+            </p>
+          </div>
+        )}
+
+        {reportGeneratedAt && (
+          <div className="report-timestamp">
+            <small>
+              ⏰ Report generated: {reportGeneratedAt.fullDateTime} | 📍 Timezone: Pakistan (UTC+5)
+            </small>
+          </div>
+        )}
+
+        <div className="period-selector-card">
+          <form onSubmit={handleSubmit} className="period-form">
+            <div className="form-row">
+              <div className="form-group">
+                <label className="form-label">From Date *</label>
+                <input
+                  type="text"
+                  value={startDate}
+                  onChange={(e) => setStartDate(e.target.value)}
+                  placeholder="dd/mm/yyyy"
+                  className="form-input"
+                  required
+                />
+                <small className="form-hint">Format: dd/mm/yyyy</small>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">To Date *</label>
+                <input
+                  type="text"
+                  value={endDate}
+                  onChange={(e) => setEndDate(e.target.value)}
+                  placeholder="dd/mm/yyyy"
+                  className="form-input"
+                  required
+                />
+                <small className="form-hint">Format: dd/mm/yyyy</small>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Method</label>
+                <select
+                  value={method}
+                  onChange={(e) => setMethod(e.target.value)}
+                  className="form-select"
+                >
+                  <option value="indirect">Indirect (from net income)</option>
+                  <option value="direct">Direct (cash receipts and payments)</option>
+                </select>
+              </div>
+            </div>
+
+            <div className="form-actions">
+              <button type="submit" className="btn btn-primary" disabled={loading}>
+                {loading ? 'Loading...' : 'Generate Cash Flow Statement'}
+              </button>
+            </div>
+          </form>
+        </div>
+
+        {cashFlow && (
+          <div className="period-info-card">
+            <h3>Period: {cashFlow.period.startDate} to {cashFlow.period.endDate}</h3>
+            <p>
+              {cashFlow.method === 'indirect' ? 'Indirect method' : 'Direct method'} | Cash accounts:{' '}
+              {cashFlow.cashAccounts.map(account => `${account.account_code} - ${account.account_name}`).join(', ')}
+            </p>
+          </div>
+        )}
+      </div>
+
+      {!cashFlow && !loading && (
+        <div className="no-data">Select a period and method to generate the statement of cash flows.</div>
+      )}
+
+      {cashFlow && (
+        <>
+          {ACTIVITY_SECTIONS.map(section => {
+            const activity = cashFlow[section.key];
+
+            return (
+              <div key={section.key} className={`cash-flow-section cash-flow-${section.key} report-section`}>
+                <h3>{section.title}</h3>
+                <div className="accounts-list">
+                  {section.key === 'operating' && cashFlow.method === 'indirect' && (
+                    <div className="account-item cash-flow-net-income">
+                      <div className="account-name">Net Income</div>
+                      <div className={`account-amount ${amountClass(activity.netIncome)}`}>
+                        {formatCurrency(activity.netIncome)}
+                      </div>
+                    </div>
+                  )}
+                  {activity.items.length === 0 && !(section.key === 'operating' && cashFlow.method === 'indirect') ? (
+                    <div className="no-accounts">
+                      <p>No {section.title.toLowerCase()} in this period</p>
+                    </div>
+                  ) : (
+                    activity.items.map(item => (
+                      <div key={`${section.key}-${item.account_id}-${item.label}`} className="account-item">
+                        <div className="account-name">{item.label}</div>
+                        <div className={`account-amount ${amountClass(item.amount)}`}>
+                          {formatCurrency(item.amount)}
+                        </div>
+                      </div>
+                    ))
+                  )}
+                </div>
+                <div className="section-total">
+                  <div className="total-label">{section.totalLabel}</div>
+                  <div className="total-amount">{formatCurrency(activity.total)}</div>
+                </div>
+              </div>
+            );
+          })}
+
+          <div className={`net-income-section ${cashFlow.netChange < 0 ? 'net-loss' : 'net-profit'}`}>
+            <h3>Net Change in Cash</h3>
+            <div className="cash-flow-summary">
+              <div className="summary-item">
+                <span className="summary-label">Opening Cash:</span>
+                <span className="summary-value">{formatCurrency(cashFlow.openingCash)}</span>
+              </div>
+              <div className="summary-item">
+                <span className="summary-label">Net Change in Cash:</span>
+                <span className={`summary-value ${amountClass(cashFlow.netChange)}`}>
+                  {formatCurrency(cashFlow.netChange)}
+                </span>
+              </div>
+              <div className="summary-item">
+                <span className="summary-label">Closing Cash:</span>
+                <span className="summary-value"><strong>{formatCurrency(cashFlow.closingCash)}</strong></span>
+              </div>
+            </div>
+            {cashFlow.isReconciled ? (
+              <p className="result-message positive">Net change agrees with the movement of the cash accounts.</p>
+            ) : (
+              <p className="result-message negative">
+                Net change differs from the movement of the cash accounts by {formatCurrency(cashFlow.difference)}.
+              </p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CashFlowStatement;
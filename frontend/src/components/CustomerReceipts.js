@@ -0,0 +1,544 @@
+import React, { useState, useEffect } from 'react';
+import { accountingAPI } from '../utils/api';
+import { formatCurrency } from '../utils/currencyFormatter';
+import { subtract, sum, compare, isExact, toMinor, fromMinor } from '../utils/money';
+import AuthService from '../utils/auth';
+
+const EMPTY_RECEIPT = {
+  customer_id: '',
+  receipt_date: '',
+  deposit_account_id: '',
+  amount: '',
+  reference: '',
+  notes: ''
+};
+
+const DATE_PATTERN = /^\d{2}\/\d{2}\/\d{4}$/;
+
+const getTodayDDMMYYYY = () => {
+  const today = new Date();
+  const day = today.getDate().toString().padStart(2, '0');
+  const month = (today.getMonth() + 1).toString().padStart(2, '0');
+  return `${day}/${month}/${today.getFullYear()}`;
+};
+
+// Spreads an amount over open items, oldest due first: { [transactionId]: '123.45' }
+const allocateOldestFirst = (amount, openItems) => {
+  let remaining = toMinor(amount);
+  const allocations = {};
+  openItems.forEach(item => {
+    const applied = Math.min(remaining, toMinor(item.open_amount));
+    if (applied > 0) {
+      allocations[item.transaction_id] = String(fromMinor(applied));
+      remaining -= applied;
+    }
+  });
+  return allocations;
+};
+
+// { [transactionId]: amount } -> [{ transaction_id, amount }], skipping empty inputs
+const toAllocationList = (allocations) =>
+  Object.entries(allocations)
+    .filter(([, amount]) => amount !== '' && Number(amount) !== 0)
+    .map(([transactionId, amount]) => ({ transaction_id: parseInt(transactionId), amount }));
+
+// Invoices are shown by invoice number, other sales by their voucher and TID
+const itemLabel = (item) => item.invoice_number || item.voucher_number || `TID-${item.transaction_number}`;
+
+const CustomerReceipts = () => {
+  const [receipts, setReceipts] = useState([]);
+  const [customers, setCustomers] = useState([]);
+  const [cashAccounts, setCashAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState({ ...EMPTY_RECEIPT, receipt_date: getTodayDDMMYYYY() });
+  const [openItems, setOpenItems] = useState([]);
+  const [allocations, setAllocations] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [selectedReceipt, setSelectedReceipt] = useState(null);
+  const [creditItems, setCreditItems] = useState([]);
+  const [creditAllocations, setCreditAllocations] = useState({});
+
+  const isAdmin = AuthService.isAdmin();
+
+  useEffect(() => {
+    loadReceipts();
+    loadFormOptions();
+  }, []);
+
+  useEffect(() => {
+    loadOpenItems(formData.customer_id, setOpenItems);
+    setAllocations({});
+  }, [formData.customer_id]);
+
+  const loadReceipts = async () => {
+    try {
+      setLoading(true);
+      const response = await accountingAPI.getCustomerReceipts();
+      setReceipts(response.data || []);
+    } catch (error) {
+      console.error('Error loading customer receipts:', error);
+      alert('Error loading customer receipts: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadFormOptions = async () => {
+    try {
+      const [customersResponse, accountsResponse] = await Promise.all([
+        accountingAPI.getCustomers(),
+        accountingAPI.getAccounts()
+      ]);
+      setCustomers((customersResponse.data || []).filter(customer => customer.is_active));
+      setCashAccounts((accountsResponse.data || []).filter(account => account.cash_flow_category === 'cash'));
+    } catch (error) {
+      console.error('Error loading customers and accounts:', error);
+    }
+  };
+
+  const loadOpenItems = async (customerId, setItems) => {
+    if (!customerId) {
+      setItems([]);
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.getOpenReceivables(customerId);
+      setItems(response.data || []);
+    } catch (error) {
+      console.error('Error loading open receivables:', error);
+      setItems([]);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const resetForm = () => {
+    setFormData({ ...EMPTY_RECEIPT, receipt_date: getTodayDDMMYYYY() });
+    setAllocations({});
+  };
+
+  const safeSum = (values) => {
+    try {
+      return sum(values.filter(value => value !== ''));
+    } catch (error) {
+      return 0;
+    }
+  };
+
+  const allocatedTotal = safeSum(Object.values(allocations));
+  const receiptAmount = formData.amount && isExact(formData.amount) ? formData.amount : 0;
+  const unapplied = subtract(receiptAmount, allocatedTotal);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!isAdmin) {
+      alert('⚠️ Admin privileges required to record receipts');
+      return;
+    }
+
+    if (!formData.customer_id || !formData.deposit_account_id) {
+      alert('Please select a customer and a cash or bank account');
+      return;
+    }
+
+    if (!DATE_PATTERN.test(formData.receipt_date)) {
+      alert('Please use dd/mm/yyyy format for dates');
+      return;
+    }
+
+    if (!formData.amount || !isExact(formData.amount) || compare(formData.amount, 0) <= 0) {
+      alert('Receipt amount must be positive with no more than 2 decimal places');
+      return;
+    }
+
+    if (Object.values(allocations).some(amount => amount !== '' && !isExact(amount))) {
+      alert('Allocations cannot have more than 2 decimal places');
+      return;
+    }
+
+    if (compare(unapplied, 0) < 0) {
+      alert('Allocations cannot exceed the receipt amount');
+      return;
+    }
+
+    if (compare(unapplied, 0) > 0 && !window.confirm(`${formatCurrency(unapplied)} of this receipt is not applied to any sale and will stay with the customer as credit. Continue?`)) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await accountingAPI.createCustomerReceipt({
+        ...formData,
+        customer_id: parseInt(formData.customer_id),
+        deposit_account_id: parseInt(formData.deposit_account_id),
+        allocations: toAllocationList(allocations)
+      });
+
+      alert(response.message);
+      resetForm();
+      setSelectedReceipt(response.data);
+      loadReceipts();
+    } catch (error) {
+      alert('Error recording receipt: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleView = async (receipt) => {
+    try {
+      const response = await accountingAPI.getCustomerReceiptById(receipt.id);
+      setSelectedReceipt(response.data);
+      setCreditAllocations({});
+      if (isAdmin && response.data.status === 'posted' && response.data.unapplied_amount > 0) {
+        loadOpenItems(response.data.customer_id, setCreditItems);
+      } else {
+        setCreditItems([]);
+      }
+    } catch (error) {
+      alert('Error loading customer receipt: ' + error.message);
+    }
+  };
+
+  const handleApplyCredit = async () => {
+    const list = toAllocationList(creditAllocations);
+    if (list.length === 0) {
+      alert('Enter an amount against at least one sale');
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.allocateCustomerReceipt(selectedReceipt.id, list);
+      alert(response.message);
+      handleView(response.data);
+      loadReceipts();
+    } catch (error) {
+      alert('Error applying credit: ' + error.message);
+    }
+  };
+
+  const handleRemoveAllocation = async (allocation) => {
+    if (!window.confirm(`Remove the ${formatCurrency(allocation.amount)} applied to ${itemLabel(allocation)}? It will be open again for that amount.`)) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.removeCustomerReceiptAllocation(selectedReceipt.id, allocation.transaction_id);
+      alert(response.message);
+      handleView(response.data);
+      loadReceipts();
+    } catch (error) {
+      alert('Error removing allocation: ' + error.message);
+    }
+  };
+
+  const handleVoid = async (receipt) => {
+    const reason = window.prompt(`Void receipt ${receipt.receipt_number}? Its journal entry will be voided and the sales it settled will be open again. Reason:`);
+    if (reason === null) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.voidCustomerReceipt(receipt.id, reason);
+      alert(response.message);
+      setSelectedReceipt(response.data);
+      setCreditItems([]);
+      loadReceipts();
+    } catch (error) {
+      alert('Error voiding receipt: ' + error.message);
+    }
+  };
+
+  const renderAllocationTable = (items, values, setValues) => (
+    <div className="ledger-table-container">
+      <table className="ledger-table party-table">
+        <thead>
+          <tr>
+            <th>Sale</th>
+            <th>Date</th>
+            <th>Due</th>
+            <th className="amount">Charged</th>
+            <th className="amount">Open</th>
+            <th className="amount">Apply</th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.map(item => (
+            <tr key={item.transaction_id}>
+              <td>
+                <strong>{itemLabel(item)}</strong>
+                <div><small>{item.description}</small></div>
+              </td>
+              <td>{item.date}</td>
+              <td>{item.due_date}</td>
+              <td className="amount">{formatCurrency(item.charge_amount)}</td>
+              <td className="amount">{formatCurrency(item.open_amount)}</td>
+              <td className="amount">
+                <input
+                  className="form-input amount"
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  max={item.open_amount}
+                  value={values[item.transaction_id] || ''}
+                  onChange={(e) => setValues(prev => ({ ...prev, [item.transaction_id]: e.target.value }))}
+                  placeholder="0.00"
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  if (loading && receipts.length === 0) {
+    return <div className="customer-receipts">Loading customer receipts...</div>;
+  }
+
+  return (
+    <div className="customer-receipts">
+      <div className="page-header">
+        <div className="header-title-row">
+          <h2>Customer Receipts</h2>
+          <div className={`role-badge ${isAdmin ? 'role-admin' : 'role-viewer'}`}>
+            {isAdmin ? '🔑 Admin Mode' : '👁️ Viewer Mode'}
+          </div>
+        </div>
+
+        <p>Receive customer payments into a cash or bank account and settle one or many open sales; any excess stays with the customer as credit</p>
+
+        {!isAdmin && (
+          <div className="viewer-warning">
+            <p>
+              ⚠️ <strong>View-Only Mode:</strong> You can view receipts but cannot record or void them.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {isAdmin && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Record Receipt</h3>
+          </div>
+          <div className="card-body">
+            <form onSubmit={handleSubmit}>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="receipt-customer" className="form-label">Customer *</label>
+                  <select id="receipt-customer" name="customer_id" className="form-select" value={formData.customer_id} onChange={handleInputChange} required>
+                    <option value="">Select customer</option>
+                    {customers.map(customer => (
+                      <option key={customer.id} value={customer.id}>
+                        {customer.name} ({formatCurrency(customer.balance)} due)
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="receipt-account" className="form-label">Deposited To *</label>
+                  <select id="receipt-account" name="deposit_account_id" className="form-select" value={formData.deposit_account_id} onChange={handleInputChange} required>
+                    <option value="">Select cash or bank account</option>
+                    {cashAccounts.map(account => (
+                      <option key={account.id} value={account.id}>
+                        {account.account_code} - {account.account_name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="receipt-date" className="form-label">Receipt Date (dd/mm/yyyy) *</label>
+                  <input id="receipt-date" name="receipt_date" className="form-input" value={formData.receipt_date} onChange={handleInputChange} placeholder="dd/mm/yyyy" required />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="receipt-amount" className="form-label">Amount *</label>
+                  <input id="receipt-amount" name="amount" type="number" step="0.01" min="0" className="form-input" value={formData.amount} onChange={handleInputChange} placeholder="0.00" required />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="receipt-reference" className="form-label">Reference</label>
+                  <input id="receipt-reference" name="reference" className="form-input" value={formData.reference} onChange={handleInputChange} maxLength={50} placeholder="e.g. cheque number" />
+                </div>
+              </div>
+              <div className="form-group">
+                <label htmlFor="receipt-notes" className="form-label">Notes</label>
+                <input id="receipt-notes" name="notes" className="form-input" value={formData.notes} onChange={handleInputChange} />
+              </div>
+
+              {formData.customer_id && (
+                openItems.length === 0 ? (
+                  <p className="form-hint">This customer has nothing open; the receipt will be recorded as credit on account.</p>
+                ) : (
+                  renderAllocationTable(openItems, allocations, setAllocations)
+                )
+              )}
+
+              <div className="document-totals">
+                <button
+                  type="button"
+                  className="btn-secondary"
+                  onClick={() => setAllocations(allocateOldestFirst(receiptAmount, openItems))}
+                  disabled={openItems.length === 0 || !receiptAmount}
+                >
+                  Apply Oldest First
+                </button>
+                <div>
+                  <p><strong>Applied to sales:</strong> {formatCurrency(allocatedTotal)}</p>
+                  <p className={compare(unapplied, 0) < 0 ? 'unbalanced' : ''}>
+                    <strong>{compare(unapplied, 0) < 0 ? 'Over-applied:' : 'Unapplied credit:'}</strong> {formatCurrency(unapplied)}
+                  </p>
+                </div>
+              </div>
+
+              <div className="form-actions">
+                <button type="submit" className="btn-primary" disabled={saving}>
+                  {saving ? 'Posting...' : 'Post Receipt'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Receipts</h3>
+        </div>
+
+        {receipts.length === 0 ? (
+          <div className="no-data">
+            <p>No customer receipts yet.</p>
+          </div>
+        ) : (
+          <div className="ledger-table-container">
+            <table className="ledger-table party-table">
+              <thead>
+                <tr>
+                  <th>Receipt</th>
+                  <th>Customer</th>
+                  <th>Date</th>
+                  <th>Deposited To</th>
+                  <th className="amount">Amount</th>
+                  <th className="amount">Unapplied</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {receipts.map(receipt => (
+                  <tr key={receipt.id}>
+                    <td>
+                      <strong>{receipt.receipt_number}</strong>
+                      {receipt.reference && <div><small>Ref: {receipt.reference}</small></div>}
+                    </td>
+                    <td>{receipt.customer_name}</td>
+                    <td>{receipt.receipt_date}</td>
+                    <td>{receipt.deposit_account_code} - {receipt.deposit_account_name}</td>
+                    <td className="amount">{formatCurrency(receipt.amount)}</td>
+                    <td className="amount">{receipt.unapplied_amount ? formatCurrency(receipt.unapplied_amount) : '-'}</td>
+                    <td>
+                      <span className={`document-status status-${receipt.status === 'posted' ? 'approved' : 'voided'}`}>
+                        {receipt.status === 'posted' ? 'Posted' : 'Voided'}
+                      </span>
+                    </td>
+                    <td className="period-actions">
+                      <button onClick={() => handleView(receipt)} className="btn-secondary">
+                        View
+                      </button>
+                      {isAdmin && receipt.status === 'posted' && (
+                        <button onClick={() => handleVoid(receipt)} className="btn-delete">
+                          Void
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {selectedReceipt && (
+        <div className="card">
+          <div className="card-header">
+            <h3>{selectedReceipt.receipt_number} - {selectedReceipt.customer_name}</h3>
+          </div>
+          <div className="card-body">
+            <p>
+              <strong>Received:</strong> {formatCurrency(selectedReceipt.amount)} on {selectedReceipt.receipt_date} into {selectedReceipt.deposit_account_code} - {selectedReceipt.deposit_account_name}
+              {selectedReceipt.transaction_number && <> · <strong>Journal entry:</strong> TID-{selectedReceipt.transaction_number}</>}
+            </p>
+            {selectedReceipt.status === 'posted' && (
+              <p>
+                <strong>Applied to sales:</strong> {formatCurrency(selectedReceipt.allocated_amount)} · <strong>Unapplied credit:</strong> {formatCurrency(selectedReceipt.unapplied_amount)}
+              </p>
+            )}
+
+            {selectedReceipt.allocations.length > 0 && (
+              <div className="ledger-table-container">
+                <table className="ledger-table party-table">
+                  <thead>
+                    <tr>
+                      <th>Sale</th>
+                      <th>Date</th>
+                      <th className="amount">Applied</th>
+                      {isAdmin && <th>Actions</th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selectedReceipt.allocations.map(allocation => (
+                      <tr key={allocation.transaction_id}>
+                        <td>
+                          <strong>{itemLabel(allocation)}</strong>
+                          <div><small>{allocation.description}</small></div>
+                        </td>
+                        <td>{allocation.date}</td>
+                        <td className="amount">{formatCurrency(allocation.amount)}</td>
+                        {isAdmin && (
+                          <td className="period-actions">
+                            <button onClick={() => handleRemoveAllocation(allocation)} className="btn-delete">
+                              Remove
+                            </button>
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {creditItems.length > 0 && (
+              <>
+                <h4>Apply Unapplied Credit</h4>
+                {renderAllocationTable(creditItems, creditAllocations, setCreditAllocations)}
+                <div className="form-actions">
+                  <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={() => setCreditAllocations(allocateOldestFirst(selectedReceipt.unapplied_amount, creditItems))}
+                  >
+                    Apply Oldest First
+                  </button>
+                  <button type="button" className="btn-primary" onClick={handleApplyCredit}>
+                    Apply Credit
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CustomerReceipts;
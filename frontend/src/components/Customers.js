@@ -0,0 +1,432 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { accountingAPI } from '../utils/api';
+import { formatCurrency } from '../utils/currencyFormatter';
+import { isExact } from '../utils/money';
+import AuthService from '../utils/auth';
+
+const EMPTY_CUSTOMER = {
+  name: '',
+  contact_person: '',
+  email: '',
+  phone: '',
+  address: '',
+  tax_number: '',
+  credit_limit: '',
+  payment_terms_days: '30'
+};
+
+const DATE_PATTERN = /^\d{2}\/\d{2}\/\d{4}$/;
+
+const Customers = () => {
+  const [customers, setCustomers] = useState([]);
+  const [subledger, setSubledger] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [showInactive, setShowInactive] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_CUSTOMER);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [statementCustomer, setStatementCustomer] = useState(null);
+  const [statementStart, setStatementStart] = useState('');
+  const [statementEnd, setStatementEnd] = useState('');
+  const [statement, setStatement] = useState(null);
+  const [loadingStatement, setLoadingStatement] = useState(false);
+
+  const isAdmin = AuthService.isAdmin();
+
+  const loadCustomers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [customersResponse, subledgerResponse] = await Promise.all([
+        accountingAPI.getCustomers(showInactive),
+        accountingAPI.getReceivablesSubledger()
+      ]);
+      setCustomers(customersResponse.data || []);
+      setSubledger(subledgerResponse.data);
+    } catch (error) {
+      console.error('Error loading customers:', error);
+      alert('Error loading customers: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [showInactive]);
+
+  useEffect(() => {
+    loadCustomers();
+  }, [loadCustomers]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const resetForm = () => {
+    setFormData(EMPTY_CUSTOMER);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!isAdmin) {
+      alert('⚠️ Admin privileges required to manage customers');
+      return;
+    }
+
+    if (!formData.name.trim()) {
+      alert('Customer name is required');
+      return;
+    }
+
+    if (formData.credit_limit && !isExact(formData.credit_limit)) {
+      alert('Credit limit cannot have more than 2 decimal places');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const customerData = {
+        ...formData,
+        credit_limit: formData.credit_limit || 0,
+        payment_terms_days: formData.payment_terms_days === '' ? 30 : parseInt(formData.payment_terms_days)
+      };
+
+      const response = editingId
+        ? await accountingAPI.updateCustomer(editingId, customerData)
+        : await accountingAPI.createCustomer(customerData);
+
+      alert(response.message);
+      resetForm();
+      loadCustomers();
+    } catch (error) {
+      alert('Error saving customer: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (customer) => {
+    setEditingId(customer.id);
+    setFormData({
+      name: customer.name,
+      contact_person: customer.contact_person || '',
+      email: customer.email || '',
+      phone: customer.phone || '',
+      address: customer.address || '',
+      tax_number: customer.tax_number || '',
+      credit_limit: customer.credit_limit ? String(customer.credit_limit) : '',
+      payment_terms_days: String(customer.payment_terms_days)
+    });
+  };
+
+  const handleDeactivate = async (customer) => {
+    if (!isAdmin) {
+      alert('⚠️ Admin privileges required to manage customers');
+      return;
+    }
+
+    if (!window.confirm(`Deactivate ${customer.name}? They will no longer be offered on new transactions.`)) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.deactivateCustomer(customer.id);
+      alert(response.message);
+      loadCustomers();
+    } catch (error) {
+      alert('Error deactivating customer: ' + error.message);
+    }
+  };
+
+  const handleViewStatement = async (e) => {
+    e.preventDefault();
+
+    if (!DATE_PATTERN.test(statementStart) || !DATE_PATTERN.test(statementEnd)) {
+      alert('Please use dd/mm/yyyy format for dates');
+      return;
+    }
+
+    try {
+      setLoadingStatement(true);
+      const response = await accountingAPI.getCustomerStatement(statementCustomer.id, statementStart, statementEnd);
+      setStatement(response.data);
+    } catch (error) {
+      alert('Error loading statement: ' + error.message);
+    } finally {
+      setLoadingStatement(false);
+    }
+  };
+
+  const openStatement = (customer) => {
+    setStatementCustomer(customer);
+    setStatement(null);
+  };
+
+  if (loading && customers.length === 0) {
+    return <div className="customers">Loading customers...</div>;
+  }
+
+  const reconciliation = subledger?.reconciliation;
+
+  return (
+    <div className="customers">
+      <div className="page-header">
+        <div className="header-title-row">
+          <h2>Customers</h2>
+          <div className={`role-badge ${isAdmin ? 'role-admin' : 'role-viewer'}`}>
+            {isAdmin ? '🔑 Admin Mode' : '👁️ Viewer Mode'}
+          </div>
+        </div>
+
+        <p>Who owes what: the accounts receivable sub-ledger behind the receivable control account</p>
+
+        {!isAdmin && (
+          <div className="viewer-warning">
+            <p>
+              ⚠️ <strong>View-Only Mode:</strong> You can view customers and statements but cannot add or change customers.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {reconciliation && (
+        <div className="card subledger-summary">
+          <div className="card-header">
+            <h3>Receivables Sub-Ledger</h3>
+            <span className={`subledger-status ${reconciliation.isReconciled ? 'reconciled' : 'unreconciled'}`}>
+              {reconciliation.isReconciled ? '✅ Reconciled' : '⚠️ Out of balance'}
+            </span>
+          </div>
+          <div className="card-body">
+            <p><strong>Customer balances:</strong> {formatCurrency(reconciliation.subledgerBalance)}</p>
+            {reconciliation.unassignedBalance !== 0 && (
+              <p>
+                <strong>Not assigned to a customer:</strong> {formatCurrency(reconciliation.unassignedBalance)}
+                <small> (entries posted before the account became a control account)</small>
+              </p>
+            )}
+            <p>
+              <strong>Control account{reconciliation.controlAccounts.length === 1 ? '' : 's'}</strong>
+              {' '}({reconciliation.controlAccounts.map(account => account.account_code).join(', ') || 'none'}):
+              {' '}{formatCurrency(reconciliation.controlBalance)}
+            </p>
+            {!reconciliation.isReconciled && (
+              <p className="unbalanced">
+                <strong>Difference:</strong> {formatCurrency(reconciliation.difference)}. An administrator can rebuild account balances from the journal to fix drift.
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {isAdmin && (
+        <div className="card">
+          <div className="card-header">
+            <h3>{editingId ? 'Edit Customer' : 'Add Customer'}</h3>
+          </div>
+          <div className="card-body">
+            <form onSubmit={handleSubmit} className="customer-form">
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="customer-name" className="form-label">Name *</label>
+                  <input id="customer-name" name="name" className="form-input" value={formData.name} onChange={handleInputChange} maxLength={100} required />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="customer-contact" className="form-label">Contact Person</label>
+                  <input id="customer-contact" name="contact_person" className="form-input" value={formData.contact_person} onChange={handleInputChange} />
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="customer-email" className="form-label">Email</label>
+                  <input id="customer-email" name="email" type="email" className="form-input" value={formData.email} onChange={handleInputChange} />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="customer-phone" className="form-label">Phone</label>
+                  <input id="customer-phone" name="phone" className="form-input" value={formData.phone} onChange={handleInputChange} />
+                </div>
+              </div>
+              <div className="form-group">
+                <label htmlFor="customer-address" className="form-label">Address</label>
+                <input id="customer-address" name="address" className="form-input" value={formData.address} onChange={handleInputChange} />
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="customer-tax" className="form-label">Tax Number (NTN/STRN)</label>
+                  <input id="customer-tax" name="tax_number" className="form-input" value={formData.tax_number} onChange={handleInputChange} />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="customer-credit" className="form-label">Credit Limit</label>
+                  <input id="customer-credit" name="credit_limit" type="number" step="0.01" min="0" className="form-input" value={formData.credit_limit} onChange={handleInputChange} placeholder="0 = no limit" />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="customer-terms" className="form-label">Payment Terms (days)</label>
+                  <input id="customer-terms" name="payment_terms_days" type="number" step="1" min="0" max="365" className="form-input" value={formData.payment_terms_days} onChange={handleInputChange} />
+                </div>
+              </div>
+              <div className="form-actions">
+                <button type="submit" className="btn-primary" disabled={saving}>
+                  {saving ? 'Saving...' : editingId ? 'Update Customer' : 'Add Customer'}
+                </button>
+                {editingId && (
+                  <button type="button" className="btn-secondary" onClick={resetForm}>
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header period-toolbar">
+          <h3>Customer Balances</h3>
+          <label className="toggle-label">
+            <input
+              type="checkbox"
+              checked={showInactive}
+              onChange={(e) => setShowInactive(e.target.checked)}
+            />
+            Show inactive customers
+          </label>
+        </div>
+
+        {customers.length === 0 ? (
+          <div className="no-data">
+            <p>No customers yet.</p>
+          </div>
+        ) : (
+          <div className="ledger-table-container">
+            <table className="ledger-table party-table">
+              <thead>
+                <tr>
+                  <th>Customer</th>
+                  <th>Contact</th>
+                  <th>Terms</th>
+                  <th className="amount">Credit Limit</th>
+                  <th className="amount">Balance</th>
+                  <th className="amount">Available Credit</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {customers.map(customer => (
+                  <tr key={customer.id} className={customer.is_active ? '' : 'inactive-party'}>
+                    <td>
+                      <strong>{customer.name}</strong>
+                      {customer.tax_number && <div><small>Tax #: {customer.tax_number}</small></div>}
+                      {!customer.is_active && <div><small>Inactive</small></div>}
+                    </td>
+                    <td>
+                      {customer.contact_person || '-'}
+                      {(customer.email || customer.phone) && (
+                        <div><small>{[customer.email, customer.phone].filter(Boolean).join(' · ')}</small></div>
+                      )}
+                    </td>
+                    <td>{customer.payment_terms_days} days</td>
+                    <td className="amount">{customer.credit_limit ? formatCurrency(customer.credit_limit) : 'No limit'}</td>
+                    <td className="amount">{formatCurrency(customer.balance)}</td>
+                    <td className={`amount ${customer.over_credit_limit ? 'over-credit-limit' : ''}`}>
+                      {customer.available_credit === null ? '-' : formatCurrency(customer.available_credit)}
+                    </td>
+                    <td className="period-actions">
+                      <button onClick={() => openStatement(customer)} className="btn-secondary">
+                        Statement
+                      </button>
+                      {isAdmin && customer.is_active && (
+                        <>
+                          <button onClick={() => handleEdit(customer)} className="btn-edit">
+                            Edit
+                          </button>
+                          <button onClick={() => handleDeactivate(customer)} className="btn-delete">
+                            Deactivate
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {statementCustomer && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Statement of Account - {statementCustomer.name}</h3>
+          </div>
+          <div className="card-body">
+            <form onSubmit={handleViewStatement} className="form-row">
+              <div className="form-group">
+                <label htmlFor="statement-start" className="form-label">From Date (dd/mm/yyyy)</label>
+                <input id="statement-start" className="form-input" value={statementStart} onChange={(e) => setStatementStart(e.target.value)} placeholder="dd/mm/yyyy" />
+              </div>
+              <div className="form-group">
+                <label htmlFor="statement-end" className="form-label">To Date (dd/mm/yyyy)</label>
+                <input id="statement-end" className="form-input" value={statementEnd} onChange={(e) => setStatementEnd(e.target.value)} placeholder="dd/mm/yyyy" />
+              </div>
+              <div className="form-actions">
+                <button type="submit" className="btn btn-primary" disabled={loadingStatement}>
+                  {loadingStatement ? 'Loading...' : 'View Statement'}
+                </button>
+                {statement && (
+                  <button type="button" className="btn-secondary" onClick={() => window.print()}>
+                    🖨️ Print
+                  </button>
+                )}
+              </div>
+            </form>
+
+            {statement && (
+              <div className="ledger-table-container">
+                <table className="ledger-table party-table">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Voucher</th>
+                      <th>Description</th>
+                      <th className="amount">Charges</th>
+                      <th className="amount">Payments</th>
+                      <th className="amount">Balance</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    <tr className="closing-balance-row">
+                      <td>{statement.period.startDate}</td>
+                      <td colSpan="4">Opening Balance</td>
+                      <td className="amount">{formatCurrency(statement.openingBalance)}</td>
+                    </tr>
+                    {statement.lines.map((line, index) => (
+                      <tr key={`${line.transaction_id}-${index}`}>
+                        <td>{line.date_formatted}</td>
+                        <td>{line.voucher_number || `TID-${line.transaction_number}`}</td>
+                        <td>
+                          {line.description}
+                          {line.reference && <div><small>Ref: {line.reference}</small></div>}
+                        </td>
+                        <td className="amount">{line.charges ? formatCurrency(line.charges) : ''}</td>
+                        <td className="amount">{line.payments ? formatCurrency(line.payments) : ''}</td>
+                        <td className="amount">{formatCurrency(line.running_balance)}</td>
+                      </tr>
+                    ))}
+                    <tr className="closing-balance-row">
+                      <td>{statement.period.endDate}</td>
+                      <td colSpan="2">Closing Balance</td>
+                      <td className="amount">{formatCurrency(statement.totalCharges)}</td>
+                      <td className="amount">{formatCurrency(statement.totalPayments)}</td>
+                      <td className="amount">{formatCurrency(statement.closingBalance)}</td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Customers;
@@ -14,6 +14,7 @@ const Dashboard = () => {
   const [usePeriod, setUsePeriod] = useState(false);
   const [periodLoading, setPeriodLoading] = useState(false);
   const [reportGeneratedAt, setReportGeneratedAt] = useState(null);
+  const [budgetReport, setBudgetReport] = useState(null);
   
   // Get user role
   const isAdmin = AuthService.isAdmin();
@@ -21,9 +22,20 @@ const Dashboard = () => {
 
   useEffect(() => {
     loadReports();
+    loadBudgetReport();
     setReportGeneratedAt(getCurrentKarachiTime());
   }, []);
 
+  // Budget vs actual of the current fiscal year to date; the dashboard works without it
+  const loadBudgetReport = async () => {
+    try {
+      const response = await accountingAPI.getBudgetVsActual();
+      setBudgetReport(response.data);
+    } catch (err) {
+      console.error('Budget report load error:', err);
+    }
+  };
+
   const loadReports = async (usePeriodFilter = false) => {
     try {
       setLoading(true);
@@ -260,6 +272,40 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* BUDGET WATCH - expense accounts over budget this fiscal year to date */}
+      {budgetReport && (
+        <div className="budget-watch">
+          <h3>
+            Budget Watch: {budgetReport.label}
+            {budgetReport.through_period_name && ` through ${budgetReport.through_period_name}`}
+          </h3>
+          {budgetReport.lines.length === 0 ? (
+            <p className="period-hint">No budgets have been set for this fiscal year.</p>
+          ) : budgetReport.overspent.length === 0 ? (
+            <p className="amount-positive">✅ Every budgeted expense account is within its budget.</p>
+          ) : (
+            <ul>
+              {budgetReport.overspent.map(line => (
+                <li key={line.budget_id}>
+                  <span>
+                    <strong>{line.account_code}</strong> - {line.account_name}
+                    {line.dimension_code && ` (${line.dimension_label}: ${line.dimension_code})`}
+                    <br />
+                    <small>
+                      Actual {formatCurrency(line.ytd.actual)} of {formatCurrency(line.ytd.budget)} budgeted
+                    </small>
+                  </span>
+                  <span className="amount-negative">
+                    Over by {formatCurrency(line.ytd.variance)}
+                    {line.ytd.variance_percent !== null && ` (${line.ytd.variance_percent.toFixed(2)}%)`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       {/* QUICK ACTION BUTTONS */}
       <div className="quick-actions">
         <h3>Quick Actions</h3>
@@ -308,6 +354,13 @@ const Dashboard = () => {
           >
             View Ledgers
           </button>
+          <button 
+            className="btn btn-primary"
+            onClick={() => goTo('Budgets')}
+            title="View budgets and budget vs actual"
+          >
+            Budgets
+          </button>
         </div>
       </div>
 
@@ -0,0 +1,282 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { accountingAPI } from '../utils/api';
+import AuthService from '../utils/auth';
+
+const EMPTY_DIMENSION = {
+  dimension_type: 'cost_center',
+  code: '',
+  name: ''
+};
+
+const Dimensions = () => {
+  const [types, setTypes] = useState([]);
+  const [dimensions, setDimensions] = useState([]);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [showInactive, setShowInactive] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState(EMPTY_DIMENSION);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const isAdmin = AuthService.isAdmin();
+
+  useEffect(() => {
+    loadTypes();
+  }, []);
+
+  const loadTypes = async () => {
+    try {
+      const response = await accountingAPI.getDimensionTypes();
+      setTypes(response.data || []);
+    } catch (error) {
+      console.error('Error loading dimension types:', error);
+    }
+  };
+
+  const loadDimensions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await accountingAPI.getDimensions(typeFilter, showInactive);
+      setDimensions(response.data || []);
+    } catch (error) {
+      console.error('Error loading dimensions:', error);
+      alert('Error loading dimensions: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [typeFilter, showInactive]);
+
+  useEffect(() => {
+    loadDimensions();
+  }, [loadDimensions]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const resetForm = () => {
+    setFormData(prev => ({ ...EMPTY_DIMENSION, dimension_type: prev.dimension_type }));
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!isAdmin) {
+      alert('⚠️ Admin privileges required to manage dimensions');
+      return;
+    }
+
+    if (!formData.code.trim() || !formData.name.trim()) {
+      alert('Code and name are required');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = editingId
+        ? await accountingAPI.updateDimension(editingId, { code: formData.code, name: formData.name })
+        : await accountingAPI.createDimension(formData);
+
+      alert(response.message);
+      resetForm();
+      loadDimensions();
+    } catch (error) {
+      alert('Error saving dimension: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (dimension) => {
+    setEditingId(dimension.id);
+    setFormData({
+      dimension_type: dimension.dimension_type,
+      code: dimension.code,
+      name: dimension.name
+    });
+  };
+
+  const handleDeactivate = async (dimension) => {
+    if (!window.confirm(`Deactivate ${dimension.dimension_label.toLowerCase()} ${dimension.code}? Posted entries keep it, but it will no longer be offered on new ones.`)) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.deactivateDimension(dimension.id);
+      alert(response.message);
+      loadDimensions();
+    } catch (error) {
+      alert('Error deactivating dimension: ' + error.message);
+    }
+  };
+
+  const handleReactivate = async (dimension) => {
+    try {
+      const response = await accountingAPI.updateDimension(dimension.id, {
+        code: dimension.code,
+        name: dimension.name,
+        is_active: true
+      });
+      alert(response.message);
+      loadDimensions();
+    } catch (error) {
+      alert('Error reactivating dimension: ' + error.message);
+    }
+  };
+
+  return (
+    <div className="dimensions">
+      <div className="page-header">
+        <div className="header-title-row">
+          <h2>Dimensions</h2>
+          <div className={`role-badge ${isAdmin ? 'role-admin' : 'role-viewer'}`}>
+            {isAdmin ? '🔑 Admin Mode' : '👁️ Viewer Mode'}
+          </div>
+        </div>
+
+        <p>
+          Cost centers, departments and projects tag journal lines so the income statement and ledgers can be
+          filtered and broken down by them without adding accounts.
+        </p>
+
+        {!isAdmin && (
+          <div className="viewer-warning">
+            <p>
+              ⚠️ <strong>View-Only Mode:</strong> You can view dimensions but cannot add or change them.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {isAdmin && (
+        <div className="card">
+          <div className="card-header">
+            <h3>{editingId ? 'Edit Dimension' : 'Add Dimension'}</h3>
+          </div>
+          <div className="card-body">
+            <form onSubmit={handleSubmit}>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="dimension-type" className="form-label">Type *</label>
+                  <select
+                    id="dimension-type"
+                    name="dimension_type"
+                    className="form-select"
+                    value={formData.dimension_type}
+                    onChange={handleInputChange}
+                    disabled={Boolean(editingId)}
+                  >
+                    {types.map(type => (
+                      <option key={type.type} value={type.type}>{type.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="dimension-code" className="form-label">Code *</label>
+                  <input id="dimension-code" name="code" className="form-input" value={formData.code} onChange={handleInputChange} maxLength={20} placeholder="e.g. LHR" required />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="dimension-name" className="form-label">Name *</label>
+                  <input id="dimension-name" name="name" className="form-input" value={formData.name} onChange={handleInputChange} maxLength={100} placeholder="e.g. Lahore Branch" required />
+                </div>
+              </div>
+              <p className="form-hint">Codes are stored in capitals and must be unique within their type. The type of a dimension cannot be changed.</p>
+              <div className="form-actions">
+                <button type="submit" className="btn-primary" disabled={saving}>
+                  {saving ? 'Saving...' : editingId ? 'Update Dimension' : 'Add Dimension'}
+                </button>
+                {editingId && (
+                  <button type="button" className="btn-secondary" onClick={resetForm}>
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header period-toolbar">
+          <h3>Dimension Values</h3>
+          <label className="toggle-label">
+            <input
+              type="checkbox"
+              checked={showInactive}
+              onChange={(e) => setShowInactive(e.target.checked)}
+            />
+            Show inactive dimensions
+          </label>
+        </div>
+        <div className="form-row dimension-filter">
+          <div className="form-group">
+            <label htmlFor="dimension-filter" className="form-label">Type</label>
+            <select id="dimension-filter" className="form-select" value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)}>
+              <option value="">All types</option>
+              {types.map(type => (
+                <option key={type.type} value={type.type}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="no-data">
+            <p>Loading dimensions...</p>
+          </div>
+        ) : dimensions.length === 0 ? (
+          <div className="no-data">
+            <p>No dimensions yet.</p>
+          </div>
+        ) : (
+          <div className="ledger-table-container">
+            <table className="ledger-table party-table">
+              <thead>
+                <tr>
+                  <th>Type</th>
+                  <th>Code</th>
+                  <th>Name</th>
+                  {isAdmin && <th>Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {dimensions.map(dimension => (
+                  <tr key={dimension.id} className={dimension.is_active ? '' : 'inactive-party'}>
+                    <td>{dimension.dimension_label}</td>
+                    <td><strong>{dimension.code}</strong></td>
+                    <td>
+                      {dimension.name}
+                      {!dimension.is_active && <div><small>Inactive</small></div>}
+                    </td>
+                    {isAdmin && (
+                      <td className="period-actions">
+                        {dimension.is_active ? (
+                          <>
+                            <button onClick={() => handleEdit(dimension)} className="btn-edit">
+                              Edit
+                            </button>
+                            <button onClick={() => handleDeactivate(dimension)} className="btn-delete">
+                              Deactivate
+                            </button>
+                          </>
+                        ) : (
+                          <button onClick={() => handleReactivate(dimension)} className="btn-secondary">
+                            Reactivate
+                          </button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Dimensions;
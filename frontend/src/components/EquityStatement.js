@@ -0,0 +1,496 @@
+import React, { useState, useEffect } from 'react';
+import { accountingAPI } from '../utils/api';
+import { formatTimestamp } from '../utils/timeFormatter';
+import { formatCurrency, formatAmount } from '../utils/currencyFormatter';
+import AuthService from '../utils/auth';
+
+const EquityStatement = () => {
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [equityStatement, setEquityStatement] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [companyDetails, setCompanyDetails] = useState(null);
+
+  const isAdmin = AuthService.isAdmin();
+
+  useEffect(() => {
+    loadCompanyDetails();
+  }, []);
+
+  const loadCompanyDetails = async () => {
+    try {
+      const response = await accountingAPI.getCompanyDetails();
+      setCompanyDetails(response.data);
+    } catch (error) {
+      console.error('Error loading company details:', error);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const dateRegex = /^\d{2}\/\d{2}\/\d{4}$/;
+    if (!dateRegex.test(startDate) || !dateRegex.test(endDate)) {
+      alert('Please use dd/mm/yyyy format for dates (e.g., 25/11/2024)');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await accountingAPI.getEquityStatement(startDate, endDate);
+      setEquityStatement(response.data);
+    } catch (error) {
+      console.error('Error loading equity statement:', error);
+      alert('Error loading statement of changes in equity: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Rows of the statement: one per capital account plus undistributed current earnings
+  const getRows = (statement) => [
+    ...statement.accounts.map(account => ({
+      key: account.account_id,
+      label: `${account.account_code} - ${account.account_name}`,
+      opening: account.opening,
+      contributions: account.contributions,
+      drawings: account.drawings,
+      net_income: 0,
+      closing_transfers: account.closing_transfers,
+      closing: account.closing
+    })),
+    {
+      key: 'current-earnings',
+      label: 'Current Earnings (not yet closed)',
+      opening: statement.currentEarnings.opening,
+      contributions: 0,
+      drawings: 0,
+      net_income: statement.currentEarnings.net_income,
+      closing_transfers: statement.currentEarnings.closing_transfers,
+      closing: statement.currentEarnings.closing
+    }
+  ];
+
+  const displayAmount = (amount) => (amount ? formatAmount(amount) : '-');
+  const printAmount = (amount) => (amount ? amount.toFixed(2) : '-');
+
+  const openEquityStatementInNewTab = () => {
+    if (!equityStatement) return;
+
+    const newWindow = window.open('', '_blank');
+
+    const companyName = companyDetails?.company?.name || 'Your Business Name';
+    const companyAddress = companyDetails?.company?.address || 'Business Address';
+    const companyPhone = companyDetails?.company?.phone || 'Business Phone';
+    const companyEmail = companyDetails?.company?.email || 'Business Email';
+    const preparedBy = companyDetails?.system?.prepared_by || 'Manager';
+
+    const currentTime = new Date();
+    const reportGeneratedAt = formatTimestamp(currentTime.toISOString());
+    const { totals, period } = equityStatement;
+
+    const equityHTML = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Statement of Changes in Equity - ${period.startDate} to ${period.endDate}</title>
+        <style>
+          body {
+            font-family: 'Segoe UI', Arial, sans-serif;
+            margin: 0;
+            padding: 2rem;
+            color: #1f2937;
+            background: white;
+            line-height: 1.6;
+          }
+
+          .print-controls {
+            text-align: center;
+            margin-bottom: 2rem;
+            padding: 1rem;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            border-radius: 12px;
+          }
+
+          .print-button {
+            padding: 12px 24px;
+            background: white;
+            color: #667eea;
+            border: none;
+            border-radius: 8px;
+            cursor: pointer;
+            font-size: 16px;
+            font-weight: 600;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+          }
+
+          .ledger-header {
+            display: grid;
+            grid-template-columns: 1fr 1fr;
+            gap: 3rem;
+            margin-bottom: 3rem;
+            padding-bottom: 2rem;
+            border-bottom: 3px solid #e5e7eb;
+          }
+
+          .company-info h1 {
+            font-size: 2.25rem;
+            font-weight: 700;
+            margin: 0 0 0.5rem 0;
+            line-height: 1.2;
+          }
+
+          .company-info p {
+            margin: 0.25rem 0;
+            color: #6b7280;
+          }
+
+          .ledger-meta {
+            text-align: right;
+          }
+
+          .ledger-title {
+            font-size: 2rem;
+            font-weight: 700;
+            margin: 0 0 1rem 0;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            -webkit-background-clip: text;
+            -webkit-text-fill-color: transparent;
+            background-clip: text;
+          }
+
+          .meta-item {
+            font-size: 0.95rem;
+            color: #6b7280;
+          }
+
+          .meta-item strong {
+            color: #4b5563;
+          }
+
+          .table-container {
+            border-radius: 12px;
+            overflow: hidden;
+            box-shadow: 0 8px 25px rgba(0, 0, 0, 0.1);
+            border: 1px solid #e5e7eb;
+            margin-bottom: 3rem;
+          }
+
+          table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.9rem;
+          }
+
+          th {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            font-weight: 600;
+            padding: 1rem 0.75rem;
+            text-align: left;
+            font-size: 0.8rem;
+            text-transform: uppercase;
+            letter-spacing: 0.05em;
+          }
+
+          td {
+            padding: 0.75rem;
+            border-bottom: 1px solid #f3f4f6;
+          }
+
+          .amount-col, .amount-cell {
+            text-align: right;
+          }
+
+          .amount-cell {
+            font-family: 'SF Mono', 'Monaco', 'Consolas', monospace;
+            font-weight: 600;
+          }
+
+          .summary-row {
+            background-color: #f8fafc;
+            font-weight: 700;
+            border-top: 2px solid #3b82f6;
+            border-bottom: 2px solid #3b82f6;
+          }
+
+          .equity-summary {
+            max-width: 480px;
+            margin-left: auto;
+          }
+
+          .equity-summary div {
+            display: flex;
+            justify-content: space-between;
+            padding: 0.4rem 0;
+            border-bottom: 1px solid #f3f4f6;
+          }
+
+          .equity-summary .closing {
+            font-weight: 700;
+            border-top: 2px solid #1f2937;
+            border-bottom: 3px double #1f2937;
+          }
+
+          .ledger-footer {
+            margin-top: 4rem;
+            padding-top: 2rem;
+            border-top: 2px solid #e5e7eb;
+            text-align: center;
+            color: #6b7280;
+            font-size: 0.875rem;
+          }
+
+          @media print {
+            @page {
+              margin: 0.5in;
+              size: landscape;
+            }
+
+            .print-controls { display: none !important; }
+            body { margin: 0; padding: 0; }
+            .ledger-header {
+              grid-template-columns: 1fr;
+              gap: 1rem;
+              margin-bottom: 1.5rem;
+            }
+            .ledger-meta { text-align: center; }
+            .company-info { text-align: center; }
+            .ledger-title { font-size: 1.5rem; }
+            table { font-size: 11px; }
+            th, td { padding: 0.4rem 0.25rem; }
+          }
+        </style>
+      </head>
+      <body>
+        <div class="print-controls">
+          <button class="print-button" onclick="window.print()">🖨️ Print Statement</button>
+        </div>
+
+        <div class="ledger-header">
+          <div class="company-info">
+            <h1 class="company-name">${companyName}</h1>
+            <p class="company-address">${companyAddress}</p>
+            <p class="company-contact">Phone: ${companyPhone} | Email: ${companyEmail}</p>
+          </div>
+
+          <div class="ledger-meta">
+            <h2 class="ledger-title">STATEMENT OF CHANGES IN EQUITY</h2>
+            <div class="meta-item"><strong>Period:</strong> ${period.startDate} to ${period.endDate}</div>
+            <div class="meta-item"><strong>Prepared by:</strong> ${preparedBy}</div>
+            <div class="meta-item"><strong>Report Generated:</strong> ${reportGeneratedAt}</div>
+          </div>
+        </div>
+
+        <div class="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Component</th>
+                <th class="amount-col">Opening (Rs.)</th>
+                <th class="amount-col">Contributions (Rs.)</th>
+                <th class="amount-col">Drawings (Rs.)</th>
+                <th class="amount-col">Net Income (Rs.)</th>
+                <th class="amount-col">Year-End Transfers (Rs.)</th>
+                <th class="amount-col">Closing (Rs.)</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${getRows(equityStatement).map(row => `
+                <tr>
+                  <td>${row.label}</td>
+                  <td class="amount-cell">${printAmount(row.opening)}</td>
+                  <td class="amount-cell">${printAmount(row.contributions)}</td>
+                  <td class="amount-cell">${printAmount(row.drawings)}</td>
+                  <td class="amount-cell">${printAmount(row.net_income)}</td>
+                  <td class="amount-cell">${printAmount(row.closing_transfers)}</td>
+                  <td class="amount-cell">${printAmount(row.closing)}</td>
+                </tr>
+              `).join('')}
+
+              <tr class="summary-row">
+                <td><strong>Total Equity</strong></td>
+                <td class="amount-cell">${totals.opening.toFixed(2)}</td>
+                <td class="amount-cell">${totals.contributions.toFixed(2)}</td>
+                <td class="amount-cell">${totals.drawings.toFixed(2)}</td>
+                <td class="amount-cell">${totals.net_income.toFixed(2)}</td>
+                <td class="amount-cell">-</td>
+                <td class="amount-cell">${totals.closing.toFixed(2)}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
+        <div class="equity-summary">
+          <div><span>Opening Capital</span><span>Rs. ${totals.opening.toFixed(2)}</span></div>
+          <div><span>Add: Owner Contributions</span><span>Rs. ${totals.contributions.toFixed(2)}</span></div>
+          <div><span>Add: Net Income</span><span>Rs. ${totals.net_income.toFixed(2)}</span></div>
+          <div><span>Less: Drawings</span><span>Rs. ${Math.abs(totals.drawings).toFixed(2)}</span></div>
+          <div class="closing"><span>Closing Capital</span><span>Rs. ${totals.closing.toFixed(2)}</span></div>
+        </div>
+
+        <div class="ledger-footer">
+          <p>Generated on ${reportGeneratedAt} | ${companyName} Accounting System | Timezone: Pakistan (UTC+5)</p>
+        </div>
+
+        <script>
+          window.focus();
+        </script>
+      </body>
+      </html>
+    `;
+
+    newWindow.document.write(equityHTML);
+    newWindow.document.close();
+  };
+
+  return (
+    <div className="equity-statement">
+      <div className="page-header">
+        <div className="header-title-row">
+          <h2>Statement of Changes in Equity</h2>
+          <div className={`role-badge ${isAdmin ? 'role-admin' : 'role-viewer'}`}>
+            {isAdmin ? '🔑 Admin Mode' : '👁️ Viewer Mode'}
+          </div>
+        </div>
+
+        <p>Opening capital, owner contributions, drawings and net income for a period</p>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Report Period</h3>
+        </div>
+
+        <div className="card-body">
+          <form onSubmit={handleSubmit}>
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="equity-start-date" className="form-label">
+                  From Date * (dd/mm/yyyy)
+                </label>
+                <input
+                  type="text"
+                  id="equity-start-date"
+                  value={startDate}
+                  onChange={(e) => setStartDate(e.target.value)}
+                  className="form-input"
+                  placeholder="dd/mm/yyyy"
+                  required
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="equity-end-date" className="form-label">
+                  To Date * (dd/mm/yyyy)
+                </label>
+                <input
+                  type="text"
+                  id="equity-end-date"
+                  value={endDate}
+                  onChange={(e) => setEndDate(e.target.value)}
+                  className="form-input"
+                  placeholder="dd/mm/yyyy"
+                  required
+                />
+              </div>
+            </div>
+
+            <div className="form-actions">
+              <button type="submit" disabled={loading} className="btn btn-primary">
+                {loading ? 'Loading...' : 'Generate Statement'}
+              </button>
+              <button
+                type="button"
+                onClick={openEquityStatementInNewTab}
+                disabled={!equityStatement || loading}
+                className="btn btn-secondary"
+              >
+                🖨️ Open Printable Version
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+
+      {equityStatement && (
+        <div className="card">
+          <div className="card-header">
+            <h3>
+              Period: {equityStatement.period.startDate} to {equityStatement.period.endDate}
+            </h3>
+          </div>
+
+          <div className="card-body">
+            <div className="ledger-table-container">
+              <table className="ledger-table equity-table">
+                <thead>
+                  <tr>
+                    <th>Component</th>
+                    <th className="amount">Opening</th>
+                    <th className="amount">Contributions</th>
+                    <th className="amount">Drawings</th>
+                    <th className="amount">Net Income</th>
+                    <th className="amount">Year-End Transfers</th>
+                    <th className="amount">Closing</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {getRows(equityStatement).map(row => (
+                    <tr key={row.key}>
+                      <td>{row.label}</td>
+                      <td className="amount">{displayAmount(row.opening)}</td>
+                      <td className="amount">{displayAmount(row.contributions)}</td>
+                      <td className="amount">{displayAmount(row.drawings)}</td>
+                      <td className="amount">{displayAmount(row.net_income)}</td>
+                      <td className="amount">{displayAmount(row.closing_transfers)}</td>
+                      <td className="amount">{displayAmount(row.closing)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot>
+                  <tr className="equity-totals">
+                    <td><strong>Total Equity</strong></td>
+                    <td className="amount">{formatCurrency(equityStatement.totals.opening)}</td>
+                    <td className="amount">{formatCurrency(equityStatement.totals.contributions)}</td>
+                    <td className="amount">{formatCurrency(equityStatement.totals.drawings)}</td>
+                    <td className="amount">{formatCurrency(equityStatement.totals.net_income)}</td>
+                    <td className="amount">-</td>
+                    <td className="amount">{formatCurrency(equityStatement.totals.closing)}</td>
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+
+            <div className="equity-summary">
+              <div className="equity-summary-row">
+                <span>Opening Capital</span>
+                <span>{formatCurrency(equityStatement.totals.opening)}</span>
+              </div>
+              <div className="equity-summary-row">
+                <span>Add: Owner Contributions</span>
+                <span className="amount-positive">{formatCurrency(equityStatement.totals.contributions)}</span>
+              </div>
+              <div className="equity-summary-row">
+                <span>Add: Net Income</span>
+                <span className={equityStatement.totals.net_income >= 0 ? 'amount-positive' : 'amount-negative'}>
+                  {formatCurrency(equityStatement.totals.net_income)}
+                </span>
+              </div>
+              <div className="equity-summary-row">
+                <span>Less: Drawings</span>
+                <span className="amount-negative">{formatCurrency(Math.abs(equityStatement.totals.drawings))}</span>
+              </div>
+              <div className="equity-summary-row closing">
+                <span>Closing Capital</span>
+                <span>{formatCurrency(equityStatement.totals.closing)}</span>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EquityStatement;
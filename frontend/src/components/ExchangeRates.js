@@ -0,0 +1,463 @@
+import React, { useState, useEffect } from 'react';
+import { accountingAPI } from '../utils/api';
+import AuthService from '../utils/auth';
+import { formatAmount, formatCurrency } from '../utils/currencyFormatter';
+
+const EMPTY_RATE = {
+  currency_code: '',
+  rate_date: '',
+  rate: ''
+};
+
+const ExchangeRates = () => {
+  const [baseCurrency, setBaseCurrency] = useState('');
+  const [currencies, setCurrencies] = useState([]);
+  const [rates, setRates] = useState([]);
+  const [currencyFilter, setCurrencyFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState(EMPTY_RATE);
+  const [saving, setSaving] = useState(false);
+  const [importContent, setImportContent] = useState('');
+  const [importing, setImporting] = useState(false);
+  const [gainLossAccounts, setGainLossAccounts] = useState([]);
+  const [revaluationForm, setRevaluationForm] = useState({ date: '', gainLossAccountId: '', autoReverse: true });
+  const [revaluation, setRevaluation] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [posting, setPosting] = useState(false);
+
+  const isAdmin = AuthService.isAdmin();
+
+  useEffect(() => {
+    loadCurrencies();
+    loadGainLossAccounts();
+  }, []);
+
+  useEffect(() => {
+    loadRates(currencyFilter);
+  }, [currencyFilter]);
+
+  const loadCurrencies = async () => {
+    try {
+      const response = await accountingAPI.getCurrencies();
+      setBaseCurrency(response.data.base_currency);
+      setCurrencies(response.data.currencies.filter(currency => currency.code !== response.data.base_currency));
+    } catch (error) {
+      console.error('Error loading currencies:', error);
+    }
+  };
+
+  // Exchange differences are recognized in income, so only Revenue and Expense accounts qualify
+  const loadGainLossAccounts = async () => {
+    try {
+      const response = await accountingAPI.getAccounts();
+      setGainLossAccounts((response.data || []).filter(account =>
+        account.is_active !== false && ['Revenue', 'Expense'].includes(account.account_type)
+      ));
+    } catch (error) {
+      console.error('Error loading accounts:', error);
+    }
+  };
+
+  const loadRates = async (currency) => {
+    try {
+      setLoading(true);
+      const response = await accountingAPI.getExchangeRates(currency);
+      setRates(response.data || []);
+    } catch (error) {
+      console.error('Error loading exchange rates:', error);
+      alert('Error loading exchange rates: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!isAdmin) {
+      alert('⚠️ Admin privileges required to manage exchange rates');
+      return;
+    }
+
+    if (!/^\d{2}\/\d{2}\/\d{4}$/.test(formData.rate_date)) {
+      alert('Please use dd/mm/yyyy format for dates');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await accountingAPI.setExchangeRate(formData);
+      alert(response.message);
+      setFormData(prev => ({ ...EMPTY_RATE, currency_code: prev.currency_code }));
+      loadRates(currencyFilter);
+    } catch (error) {
+      alert('Error saving exchange rate: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const chosen = e.target.files[0];
+    if (!chosen) {
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => setImportContent(reader.result);
+    reader.onerror = () => alert('Could not read the file');
+    reader.readAsText(chosen);
+  };
+
+  const handleImport = async () => {
+    if (!importContent.trim()) {
+      alert('Choose a rate file or paste its rows first');
+      return;
+    }
+
+    try {
+      setImporting(true);
+      const response = await accountingAPI.importExchangeRates(importContent);
+      alert(response.message);
+      setImportContent('');
+      loadRates(currencyFilter);
+    } catch (error) {
+      alert('Error importing exchange rates: ' + error.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleDelete = async (rate) => {
+    if (!window.confirm(`Delete the ${rate.currency_code} rate of ${rate.rate_date}? Entries already posted keep the rate they used.`)) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.deleteExchangeRate(rate.id);
+      alert(response.message);
+      loadRates(currencyFilter);
+    } catch (error) {
+      alert('Error deleting exchange rate: ' + error.message);
+    }
+  };
+
+  const handleRevaluationChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setRevaluationForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    // A preview only holds for the date and account it was made with
+    setRevaluation(null);
+  };
+
+  const handlePreviewRevaluation = async (e) => {
+    e.preventDefault();
+
+    if (!/^\d{2}\/\d{2}\/\d{4}$/.test(revaluationForm.date)) {
+      alert('Please use dd/mm/yyyy format for dates');
+      return;
+    }
+
+    try {
+      setPreviewing(true);
+      const response = await accountingAPI.previewExchangeRevaluation(revaluationForm.date, revaluationForm.gainLossAccountId);
+      setRevaluation(response.data);
+    } catch (error) {
+      setRevaluation(null);
+      alert('Error previewing revaluation: ' + error.message);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handlePostRevaluation = async () => {
+    if (!isAdmin) {
+      alert('⚠️ Admin privileges required to post a revaluation');
+      return;
+    }
+
+    const reversal = revaluationForm.autoReverse ? ` It will be reversed on ${revaluation.reversal_date}.` : '';
+    if (!window.confirm(`Post the revaluation at ${revaluation.revaluation_date}?${reversal}`)) {
+      return;
+    }
+
+    try {
+      setPosting(true);
+      const response = await accountingAPI.postExchangeRevaluation({
+        date: revaluationForm.date,
+        gainLossAccountId: revaluationForm.gainLossAccountId || undefined,
+        autoReverse: revaluationForm.autoReverse
+      });
+      alert(response.message);
+      setRevaluation(null);
+    } catch (error) {
+      alert('Error posting revaluation: ' + error.message);
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  return (
+    <div className="exchange-rates">
+      <div className="page-header">
+        <div className="header-title-row">
+          <h2>Exchange Rates</h2>
+          <div className={`role-badge ${isAdmin ? 'role-admin' : 'role-viewer'}`}>
+            {isAdmin ? '🔑 Admin Mode' : '👁️ Viewer Mode'}
+          </div>
+        </div>
+
+        <p>
+          The books are kept in {baseCurrency || 'the base currency'}. A rate is the {baseCurrency || 'base currency'} value of one unit of a foreign currency;
+          an entry in a foreign currency uses the latest rate on or before its date unless one is entered with it.
+        </p>
+
+        {!isAdmin && (
+          <div className="viewer-warning">
+            <p>
+              ⚠️ <strong>View-Only Mode:</strong> You can view exchange rates but cannot change them.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {isAdmin && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Add Rate</h3>
+          </div>
+          <div className="card-body">
+            <form onSubmit={handleSubmit}>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="rate-currency" className="form-label">Currency *</label>
+                  <select id="rate-currency" name="currency_code" className="form-select" value={formData.currency_code} onChange={handleInputChange} required>
+                    <option value="">Select currency</option>
+                    {currencies.map(currency => (
+                      <option key={currency.code} value={currency.code}>{currency.code}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="rate-date" className="form-label">Date (dd/mm/yyyy) *</label>
+                  <input id="rate-date" name="rate_date" className="form-input" value={formData.rate_date} onChange={handleInputChange} placeholder="dd/mm/yyyy" required />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="rate-value" className="form-label">Rate ({baseCurrency} per unit) *</label>
+                  <input id="rate-value" name="rate" type="number" min="0" step="0.00000001" className="form-input" value={formData.rate} onChange={handleInputChange} required />
+                </div>
+              </div>
+              <p className="form-hint">A rate entered for a currency and day that already has one replaces it.</p>
+              <div className="form-actions">
+                <button type="submit" className="btn-primary" disabled={saving}>
+                  {saving ? 'Saving...' : 'Save Rate'}
+                </button>
+              </div>
+            </form>
+
+            <h4>Import Rates</h4>
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="rate-file" className="form-label">CSV File</label>
+                <input id="rate-file" type="file" className="form-input" accept=".csv,.txt" onChange={handleFileChange} />
+              </div>
+            </div>
+            <div className="form-row">
+              <div className="form-group rate-import-rows">
+                <label htmlFor="rate-rows" className="form-label">Or Paste Rows</label>
+                <textarea
+                  id="rate-rows"
+                  className="form-input"
+                  rows={5}
+                  value={importContent}
+                  onChange={(e) => setImportContent(e.target.value)}
+                  placeholder={'Currency,Date,Rate\nUSD,01/08/2024,278.50'}
+                />
+              </div>
+            </div>
+            <p className="form-hint">Columns are currency, date and rate, in that order, separated by commas, semicolons or tabs. Dates are dd/mm/yyyy or yyyy-mm-dd. Nothing is imported when a row is wrong.</p>
+            <div className="form-actions">
+              <button type="button" className="btn-primary" onClick={handleImport} disabled={importing}>
+                {importing ? 'Importing...' : 'Import Rates'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Revaluation</h3>
+        </div>
+        <div className="card-body">
+          <form onSubmit={handlePreviewRevaluation}>
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="revaluation-date" className="form-label">Rate Date (dd/mm/yyyy) *</label>
+                <input id="revaluation-date" name="date" className="form-input" value={revaluationForm.date} onChange={handleRevaluationChange} placeholder="dd/mm/yyyy" required />
+              </div>
+              <div className="form-group">
+                <label htmlFor="revaluation-account" className="form-label">Gain/Loss Account</label>
+                <select id="revaluation-account" name="gainLossAccountId" className="form-select" value={revaluationForm.gainLossAccountId} onChange={handleRevaluationChange}>
+                  <option value="">Default exchange gain/loss account</option>
+                  {gainLossAccounts.map(account => (
+                    <option key={account.id} value={account.id}>{account.account_code} - {account.account_name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            {isAdmin && (
+              <div className="form-check">
+                <input
+                  type="checkbox"
+                  id="revaluation-reverse"
+                  name="autoReverse"
+                  checked={revaluationForm.autoReverse}
+                  onChange={handleRevaluationChange}
+                  className="form-check-input"
+                />
+                <label htmlFor="revaluation-reverse" className="form-check-label">
+                  Reverse on the first day of the next period
+                </label>
+              </div>
+            )}
+            <p className="form-hint">
+              Every balance kept in a foreign currency is restated at the latest rate on or before the date; the difference is an unrealized gain or loss.
+              Balances with a customer or vendor are restated separately.
+            </p>
+            <div className="form-actions">
+              <button type="submit" className="btn-primary" disabled={previewing}>
+                {previewing ? 'Calculating...' : 'Preview'}
+              </button>
+            </div>
+          </form>
+
+          {revaluation && (
+            <>
+              {revaluation.missing_rates.length > 0 && (
+                <div className="viewer-warning">
+                  <p>⚠️ No rate on or before {revaluation.revaluation_date} for {revaluation.missing_rates.join(', ')}; those balances are left as they are.</p>
+                </div>
+              )}
+              {revaluation.lines.length === 0 ? (
+                <div className="no-data">
+                  <p>Every foreign currency balance is already stated at the rates of {revaluation.revaluation_date}.</p>
+                </div>
+              ) : (
+                <>
+                  <div className="ledger-table-container">
+                    <table className="ledger-table party-table">
+                      <thead>
+                        <tr>
+                          <th>Account</th>
+                          <th>Customer/Vendor</th>
+                          <th className="amount">Foreign Balance</th>
+                          <th className="amount">Rate</th>
+                          <th className="amount">Book Balance</th>
+                          <th className="amount">Revalued</th>
+                          <th className="amount">Gain/(Loss)</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {revaluation.lines.map(line => (
+                          <tr key={`${line.account_id}-${line.customer_id || ''}-${line.vendor_id || ''}`}>
+                            <td>{line.account_code} - {line.account_name}</td>
+                            <td>{line.party_name || '-'}</td>
+                            <td className="amount">{line.currency_code} {formatAmount(line.foreign_balance, line.currency_code)}</td>
+                            <td className="amount">{line.rate}</td>
+                            <td className="amount">{formatCurrency(line.book_balance)}</td>
+                            <td className="amount">{formatCurrency(line.revalued_balance)}</td>
+                            <td className={`amount ${line.gain_loss >= 0 ? 'amount-positive' : 'amount-negative'}`}>
+                              {formatAmount(line.gain_loss)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                      <tfoot>
+                        <tr className="trial-balance-totals">
+                          <td colSpan={6}>
+                            <strong>Net {revaluation.net_gain_loss >= 0 ? 'gain' : 'loss'} to {revaluation.gain_loss_account.account_code} - {revaluation.gain_loss_account.account_name}</strong>
+                            {' '}(gains {formatAmount(revaluation.total_gains)}, losses {formatAmount(revaluation.total_losses)})
+                          </td>
+                          <td className="amount"><strong>{formatCurrency(revaluation.net_gain_loss)}</strong></td>
+                        </tr>
+                      </tfoot>
+                    </table>
+                  </div>
+                  {isAdmin && (
+                    <div className="form-actions">
+                      <button type="button" className="btn-primary" onClick={handlePostRevaluation} disabled={posting}>
+                        {posting ? 'Posting...' : 'Post Revaluation'}
+                      </button>
+                    </div>
+                  )}
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Rates</h3>
+        </div>
+        <div className="form-row rate-filter">
+          <div className="form-group">
+            <label htmlFor="rate-filter" className="form-label">Currency</label>
+            <select id="rate-filter" className="form-select" value={currencyFilter} onChange={(e) => setCurrencyFilter(e.target.value)}>
+              <option value="">All currencies</option>
+              {currencies.map(currency => (
+                <option key={currency.code} value={currency.code}>{currency.code}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        {loading ? (
+          <div className="no-data">
+            <p>Loading exchange rates...</p>
+          </div>
+        ) : rates.length === 0 ? (
+          <div className="no-data">
+            <p>No exchange rates yet.</p>
+          </div>
+        ) : (
+          <div className="ledger-table-container">
+            <table className="ledger-table party-table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Currency</th>
+                  <th className="amount">Rate ({baseCurrency})</th>
+                  <th>Source</th>
+                  {isAdmin && <th>Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {rates.map(rate => (
+                  <tr key={rate.id}>
+                    <td>{rate.rate_date}</td>
+                    <td>{rate.currency_code}</td>
+                    <td className="amount">{rate.rate}</td>
+                    <td>{rate.source === 'import' ? 'Imported' : 'Manual'}</td>
+                    {isAdmin && (
+                      <td className="period-actions">
+                        <button onClick={() => handleDelete(rate)} className="btn-delete">Delete</button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExchangeRates;
@@ -12,6 +12,9 @@ const IncomeStatement = () => {
   const [usePeriod, setUsePeriod] = useState(false);
   const [periodLoading, setPeriodLoading] = useState(false);
   const [reportGeneratedAt, setReportGeneratedAt] = useState(null);
+  const [dimensionTypes, setDimensionTypes] = useState([]);
+  const [dimensions, setDimensions] = useState([]);
+  const [dimensionOptions, setDimensionOptions] = useState({});
   
   // Get user role
   const isAdmin = AuthService.isAdmin();
@@ -19,9 +22,28 @@ const IncomeStatement = () => {
 
   useEffect(() => {
     loadIncomeStatement();
+    loadDimensions();
     setReportGeneratedAt(getCurrentKarachiTime());
   }, []);
 
+  const loadDimensions = async () => {
+    try {
+      const [typesResponse, dimensionsResponse] = await Promise.all([
+        accountingAPI.getDimensionTypes(),
+        accountingAPI.getDimensions(null, true)
+      ]);
+      setDimensionTypes(typesResponse.data || []);
+      setDimensions(dimensionsResponse.data || []);
+    } catch (error) {
+      console.error('Error loading dimensions:', error);
+    }
+  };
+
+  const handleDimensionChange = (e) => {
+    const { name, value } = e.target;
+    setDimensionOptions(prev => ({ ...prev, [name]: value }));
+  };
+
   const loadIncomeStatement = async (usePeriodFilter = false) => {
     try {
       setLoading(true);
@@ -29,7 +51,7 @@ const IncomeStatement = () => {
       
       if (usePeriodFilter && startDate && endDate) {
         setPeriodLoading(true);
-        response = await accountingAPI.getIncomeStatementForPeriod(startDate, endDate);
+        response = await accountingAPI.getIncomeStatementForPeriod(startDate, endDate, dimensionOptions);
       } else {
         response = await accountingAPI.getIncomeStatement();
       }
@@ -72,6 +94,7 @@ const IncomeStatement = () => {
   const handleResetPeriod = () => {
     setStartDate('');
     setEndDate('');
+    setDimensionOptions({});
     setUsePeriod(false);
     loadIncomeStatement(false);
   };
@@ -175,6 +198,45 @@ const IncomeStatement = () => {
                     <small className="form-hint">Format: dd/mm/yyyy</small>
                   </div>
                 </div>
+
+                {dimensions.length > 0 && (
+                  <div className="form-row">
+                    {dimensionTypes
+                      .filter(type => dimensions.some(dimension => dimension.dimension_type === type.type))
+                      .map(type => (
+                        <div className="form-group" key={type.type}>
+                          <label className="form-label">{type.label}</label>
+                          <select
+                            name={type.param}
+                            value={dimensionOptions[type.param] || ''}
+                            onChange={handleDimensionChange}
+                            className="form-select"
+                          >
+                            <option value="">All</option>
+                            {dimensions.filter(dimension => dimension.dimension_type === type.type).map(dimension => (
+                              <option key={dimension.id} value={dimension.id}>
+                                {dimension.code} - {dimension.name}{dimension.is_active ? '' : ' (inactive)'}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      ))}
+                    <div className="form-group">
+                      <label className="form-label">Break Down By</label>
+                      <select
+                        name="groupBy"
+                        value={dimensionOptions.groupBy || ''}
+                        onChange={handleDimensionChange}
+                        className="form-select"
+                      >
+                        <option value="">No breakdown</option>
+                        {dimensionTypes.map(type => (
+                          <option key={type.type} value={type.type}>{type.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                )}
                 
                 <div className="form-actions">
                   <button 
@@ -204,6 +266,12 @@ const IncomeStatement = () => {
           <div className="period-info-card">
             <h3>Period: {incomeStatement.period.startDate} to {incomeStatement.period.endDate}</h3>
             <p>This report shows revenue and expenses for the selected period only.</p>
+            {incomeStatement.dimensionFilters?.length > 0 && (
+              <p className="report-dimension-filters">
+                <strong>Only lines tagged:</strong>{' '}
+                {incomeStatement.dimensionFilters.map(dimension => `${dimension.dimension_label} ${dimension.code} - ${dimension.name}`).join(', ')}
+              </p>
+            )}
           </div>
         )}
         
@@ -287,6 +355,75 @@ const IncomeStatement = () => {
         )}
       </div>
 
+      {/* Breakdown by dimension */}
+      {incomeStatement.dimensionBreakdown && (() => {
+        const breakdown = incomeStatement.dimensionBreakdown;
+        const accountRows = [...incomeStatement.revenue, ...incomeStatement.expenses]
+          .filter(account => breakdown.groups.some(group => group.accounts.some(item => item.account_code === account.account_code)));
+        const amountOf = (group, accountCode) =>
+          group.accounts.find(item => item.account_code === accountCode)?.period_balance || 0;
+
+        return (
+          <div className="dimension-breakdown report-section">
+            <h3>By {breakdown.label}</h3>
+            {breakdown.groups.length === 0 ? (
+              <div className="no-accounts">
+                <p>No revenue or expenses in this period</p>
+              </div>
+            ) : (
+              <div className="ledger-table-container">
+                <table className="ledger-table party-table">
+                  <thead>
+                    <tr>
+                      <th>Account</th>
+                      {breakdown.groups.map(group => (
+                        <th key={group.dimension_id || 'unassigned'} className="amount">
+                          {group.code ? `${group.code} - ${group.name}` : group.name}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {accountRows.map(account => (
+                      <tr key={account.account_code}>
+                        <td>{account.account_code} - {account.account_name}</td>
+                        {breakdown.groups.map(group => (
+                          <td key={group.dimension_id || 'unassigned'} className="amount">
+                            {formatCurrency(amountOf(group, account.account_code))}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                  <tfoot>
+                    <tr className="trial-balance-totals">
+                      <td><strong>Total Revenue</strong></td>
+                      {breakdown.groups.map(group => (
+                        <td key={group.dimension_id || 'unassigned'} className="amount">{formatCurrency(group.totalRevenue)}</td>
+                      ))}
+                    </tr>
+                    <tr className="trial-balance-totals">
+                      <td><strong>Total Expenses</strong></td>
+                      {breakdown.groups.map(group => (
+                        <td key={group.dimension_id || 'unassigned'} className="amount">{formatCurrency(group.totalExpenses)}</td>
+                      ))}
+                    </tr>
+                    <tr className="trial-balance-totals">
+                      <td><strong>Net Income</strong></td>
+                      {breakdown.groups.map(group => (
+                        <td key={group.dimension_id || 'unassigned'} className={`amount ${group.netIncome >= 0 ? 'amount-positive' : 'amount-negative'}`}>
+                          <strong>{formatCurrency(group.netIncome)}</strong>
+                        </td>
+                      ))}
+                    </tr>
+                  </tfoot>
+                </table>
+              </div>
+            )}
+          </div>
+        );
+      })()}
+
       {/* Report Summary */}
       <div className="report-summary">
         <h4>Report Summary</h4>
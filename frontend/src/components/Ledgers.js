@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { accountingAPI } from '../utils/api';
 import { formatTimestamp, formatDateOnly } from '../utils/timeFormatter';
+import { formatAmount } from '../utils/currencyFormatter';
 import AuthService from '../utils/auth'; // ADD THIS IMPORT
 
 const Ledgers = () => {
@@ -12,6 +13,9 @@ const Ledgers = () => {
   const [generatingLedger, setGeneratingLedger] = useState(false);
   const [companyDetails, setCompanyDetails] = useState(null);
   const [showTimestamps, setShowTimestamps] = useState(true);
+  const [dimensionTypes, setDimensionTypes] = useState([]);
+  const [dimensions, setDimensions] = useState([]);
+  const [dimensionOptions, setDimensionOptions] = useState({});
   
   // ADD THIS: Get user role
   const isAdmin = AuthService.isAdmin();
@@ -20,6 +24,7 @@ const Ledgers = () => {
   useEffect(() => {
     loadAccounts();
     loadCompanyDetails();
+    loadDimensions();
   }, []);
 
   const loadAccounts = async () => {
@@ -44,6 +49,24 @@ const Ledgers = () => {
     }
   };
 
+  const loadDimensions = async () => {
+    try {
+      const [typesResponse, dimensionsResponse] = await Promise.all([
+        accountingAPI.getDimensionTypes(),
+        accountingAPI.getDimensions(null, true)
+      ]);
+      setDimensionTypes(typesResponse.data || []);
+      setDimensions(dimensionsResponse.data || []);
+    } catch (error) {
+      console.error('Error loading dimensions:', error);
+    }
+  };
+
+  const handleDimensionChange = (e) => {
+    const { name, value } = e.target;
+    setDimensionOptions(prev => ({ ...prev, [name]: value }));
+  };
+
   const handleViewLedger = async () => {
     if (!selectedAccount || !startDate || !endDate) {
       alert('Please select an account and date range');
@@ -59,7 +82,7 @@ const Ledgers = () => {
         return;
       }
 
-      const response = await accountingAPI.getAccountLedger(selectedAccount, startDate, endDate);
+      const response = await accountingAPI.getAccountLedger(selectedAccount, startDate, endDate, dimensionOptions);
       const ledgerData = response.data;
       
       openLedgerInNewTab(ledgerData);
@@ -117,6 +140,23 @@ const Ledgers = () => {
     const currentTime = new Date();
     const reportGeneratedAt = formatTimestamp(currentTime.toISOString());
 
+    // An account kept in a foreign currency also shows its amounts and balance in that currency
+    const foreignCurrency = ledgerData.currency_code;
+    const foreignCells = (amount, balance) => foreignCurrency
+      ? `<td class="amount-cell foreign">${amount}</td><td class="amount-cell foreign">${balance}</td>`
+      : '';
+    // Entries recorded in a foreign currency on a base currency account
+    const foreignNote = (transaction) => transaction.currency_code && !foreignCurrency
+      ? `<div class="foreign-note">${transaction.currency_code} ${formatAmount(transaction.foreign_amount, transaction.currency_code)} @ ${transaction.exchange_rate}</div>`
+      : '';
+    // Cost center, department and project codes the entry is tagged with
+    const dimensionNote = (transaction) => {
+      const codes = [transaction.cost_center_code, transaction.department_code, transaction.project_code].filter(Boolean);
+      return codes.length > 0 ? `<div class="dimension-note">${codes.join(' · ')}</div>` : '';
+    };
+    const dimensionFilters = ledgerData.dimensionFilters || [];
+    const groupLabel = dimensionTypes.find(type => type.type === ledgerData.dimensionGroupBy)?.label || 'Dimension';
+
     const ledgerHTML = `
       <!DOCTYPE html>
       <html>
@@ -370,6 +410,21 @@ const Ledgers = () => {
             text-align: right;
           }
           
+          .amount-cell.foreign,
+          .foreign-note,
+          .dimension-note {
+            color: #6b7280;
+          }
+          
+          .foreign-note,
+          .dimension-note {
+            font-size: 0.8rem;
+          }
+          
+          .dimension-totals {
+            margin-top: 24px;
+          }
+          
           .debit {
             color: #dc2626;
           }
@@ -549,6 +604,16 @@ const Ledgers = () => {
                 ${ledgerData.account.normal_balance}
               </span>
             </div>
+            ${foreignCurrency ? `
+            <div class="info-item">
+              <label>Currency:</label>
+              <span>${foreignCurrency}</span>
+            </div>` : ''}
+            ${dimensionFilters.length > 0 ? `
+            <div class="info-item">
+              <label>Only Entries Tagged:</label>
+              <span>${dimensionFilters.map(dimension => `${dimension.dimension_label} ${dimension.code} - ${dimension.name}`).join(', ')}</span>
+            </div>` : ''}
             <div class="info-item">
               <label>Account Created:</label>
               <span>${ledgerData.account.created_at_formatted || ledgerData.account.created_at || ''}</span>
@@ -572,6 +637,7 @@ const Ledgers = () => {
                 <th class="amount-col">Debit (Rs.)</th>
                 <th class="amount-col">Credit (Rs.)</th>
                 <th class="amount-col">Balance (Rs.)</th>
+                ${foreignCurrency ? `<th class="amount-col">Amount (${foreignCurrency})</th><th class="amount-col">Balance (${foreignCurrency})</th>` : ''}
               </tr>
             </thead>
             <tbody>
@@ -586,6 +652,7 @@ const Ledgers = () => {
                 <td class="amount-cell balance ${ledgerData.openingBalance >= 0 ? 'positive' : 'negative'}">
                   <strong>${ledgerData.openingBalance.toFixed(2)}</strong>
                 </td>
+                ${foreignCells('-', foreignCurrency ? `<strong>${formatAmount(ledgerData.foreignOpeningBalance, foreignCurrency)}</strong>` : '')}
               </tr>
 
               ${ledgerData.transactions.map((transaction, index) => {
@@ -595,7 +662,7 @@ const Ledgers = () => {
                 <tr class="transaction-row">
                   <td class="date-cell">${transaction.date}</td>
                   <td class="tid-cell">${transaction.transaction_id || `T${String(index + 1).padStart(4, '0')}`}</td>
-                  <td class="desc-cell">${transaction.description}</td>
+                  <td class="desc-cell">${transaction.description}${foreignNote(transaction)}${dimensionNote(transaction)}</td>
                   <td class="ref-cell">${transaction.reference || '-'}</td>
                   <td class="timestamp-cell">${timeOnly}</td>
                   <td class="amount-cell debit">
@@ -607,6 +674,12 @@ const Ledgers = () => {
                   <td class="amount-cell balance ${transaction.running_balance >= 0 ? 'positive' : 'negative'}">
                     ${transaction.running_balance.toFixed(2)}
                   </td>
+                  ${foreignCells(
+                    !foreignCurrency ? ''
+                      : transaction.foreign_amount === null ? `Revaluation @ ${transaction.exchange_rate}`
+                      : `${transaction.entry_type === 'Debit' ? 'Dr' : 'Cr'} ${formatAmount(transaction.foreign_amount, foreignCurrency)} @ ${transaction.exchange_rate}`,
+                    foreignCurrency ? formatAmount(transaction.foreign_running_balance, foreignCurrency) : ''
+                  )}
                 </tr>
               `}).join('')}
 
@@ -621,11 +694,37 @@ const Ledgers = () => {
                 <td class="amount-cell balance ${ledgerData.closingBalance >= 0 ? 'positive' : 'negative'}">
                   <strong>${ledgerData.closingBalance.toFixed(2)}</strong>
                 </td>
+                ${foreignCells('-', foreignCurrency ? `<strong>${formatAmount(ledgerData.foreignClosingBalance, foreignCurrency)}</strong>` : '')}
               </tr>
             </tbody>
           </table>
         </div>
 
+        ${ledgerData.dimensionTotals ? `
+        <div class="table-container dimension-totals">
+          <table class="ledger-table">
+            <thead>
+              <tr>
+                <th class="desc-col">${groupLabel}</th>
+                <th class="amount-col">Debit (Rs.)</th>
+                <th class="amount-col">Credit (Rs.)</th>
+                <th class="amount-col">Net Change (Rs.)</th>
+                <th class="amount-col">Entries</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${ledgerData.dimensionTotals.map(total => `
+              <tr class="transaction-row">
+                <td class="desc-cell">${total.code ? `${total.code} - ${total.name}` : total.name}</td>
+                <td class="amount-cell debit">${total.total_debits.toFixed(2)}</td>
+                <td class="amount-cell credit">${total.total_credits.toFixed(2)}</td>
+                <td class="amount-cell balance ${total.net_change >= 0 ? 'positive' : 'negative'}">${total.net_change.toFixed(2)}</td>
+                <td class="amount-cell">${total.transaction_count}</td>
+              </tr>`).join('')}
+            </tbody>
+          </table>
+        </div>` : ''}
+
         <div class="ledger-summary-section">
           <div class="summary-grid">
             <div class="summary-card">
@@ -642,6 +741,11 @@ const Ledgers = () => {
                 Rs. ${(ledgerData.closingBalance - ledgerData.openingBalance).toFixed(2)}
               </div>
             </div>
+            ${foreignCurrency ? `
+            <div class="summary-card">
+              <div class="summary-label">Closing Balance (${foreignCurrency})</div>
+              <div class="summary-value">${foreignCurrency} ${formatAmount(ledgerData.foreignClosingBalance, foreignCurrency)}</div>
+            </div>` : ''}
             <div class="summary-card">
               <div class="summary-label">Total Transactions</div>
               <div class="summary-value count">${ledgerData.transactions.length}</div>
@@ -791,6 +895,47 @@ const Ledgers = () => {
             </div>
           </div>
 
+          {dimensions.length > 0 && (
+            <div className="form-row">
+              {dimensionTypes
+                .filter(type => dimensions.some(dimension => dimension.dimension_type === type.type))
+                .map(type => (
+                  <div className="form-group" key={type.type}>
+                    <label htmlFor={`ledger-${type.type}`} className="form-label">{type.label}</label>
+                    <select
+                      id={`ledger-${type.type}`}
+                      name={type.param}
+                      value={dimensionOptions[type.param] || ''}
+                      onChange={handleDimensionChange}
+                      className="form-select"
+                    >
+                      <option value="">All</option>
+                      {dimensions.filter(dimension => dimension.dimension_type === type.type).map(dimension => (
+                        <option key={dimension.id} value={dimension.id}>
+                          {dimension.code} - {dimension.name}{dimension.is_active ? '' : ' (inactive)'}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              <div className="form-group">
+                <label htmlFor="ledger-group-by" className="form-label">Totals By</label>
+                <select
+                  id="ledger-group-by"
+                  name="groupBy"
+                  value={dimensionOptions.groupBy || ''}
+                  onChange={handleDimensionChange}
+                  className="form-select"
+                >
+                  <option value="">No totals</option>
+                  {dimensionTypes.map(type => (
+                    <option key={type.type} value={type.type}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          )}
+
           <div className="timestamp-settings">
             <div className="form-check">
               <input
@@ -833,6 +978,9 @@ const Ledgers = () => {
           <li><strong>New:</strong> Use the "Show/Hide Timestamps" button in the ledger to toggle timestamp column</li>
           <li>Use the print button in the new tab to print the ledger</li>
           <li>The ledger shows opening balance, all transactions, running balance, and closing balance</li>
+          <li>Accounts kept in a foreign currency also show each amount, its rate and the balance in that currency</li>
+          <li>Exchange revaluations change only the base currency balance and show the rate they restated it at</li>
+          <li>Pick a cost center, department or project to see only the entries tagged with it, opening balance included, or totals per value</li>
         </ul>
         
         {/* ADD THIS: Role-specific info */}
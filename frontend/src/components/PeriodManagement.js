@@ -0,0 +1,510 @@
+import React, { useState, useEffect } from 'react';
+import { accountingAPI } from '../utils/api';
+import { formatCurrency } from '../utils/currencyFormatter';
+import AuthService from '../utils/auth';
+
+const STATUS_LABELS = {
+  open: '🟢 Open',
+  closed: '🟡 Closed',
+  locked: '🔒 Locked'
+};
+
+const PeriodManagement = () => {
+  const [fiscalYears, setFiscalYears] = useState([]);
+  const [currentFiscalYear, setCurrentFiscalYear] = useState(null);
+  const [selectedYear, setSelectedYear] = useState('');
+  const [periods, setPeriods] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadingPeriods, setLoadingPeriods] = useState(false);
+  const [newFiscalYear, setNewFiscalYear] = useState('');
+  const [capitalAccounts, setCapitalAccounts] = useState([]);
+  const [retainedEarningsAccountId, setRetainedEarningsAccountId] = useState('');
+  const [closePreview, setClosePreview] = useState(null);
+  const [loadingPreview, setLoadingPreview] = useState(false);
+  const [postingClose, setPostingClose] = useState(false);
+
+  const isAdmin = AuthService.isAdmin();
+
+  useEffect(() => {
+    loadFiscalYears();
+    loadCapitalAccounts();
+  }, []);
+
+  useEffect(() => {
+    setClosePreview(null);
+    if (selectedYear) {
+      loadPeriods(selectedYear);
+    } else {
+      setPeriods([]);
+    }
+  }, [selectedYear]);
+
+  const loadCapitalAccounts = async () => {
+    try {
+      const response = await accountingAPI.getAccountsByType('Capital');
+      setCapitalAccounts(response.data || []);
+    } catch (error) {
+      console.error('Error loading capital accounts:', error);
+    }
+  };
+
+  const loadFiscalYears = async (yearToSelect) => {
+    try {
+      setLoading(true);
+      const response = await accountingAPI.getFiscalYears();
+      const years = response.data.fiscal_years || [];
+      setFiscalYears(years);
+      setCurrentFiscalYear(response.data.current_fiscal_year);
+      setNewFiscalYear(prev => prev || String(response.data.current_fiscal_year));
+
+      if (yearToSelect) {
+        setSelectedYear(String(yearToSelect));
+      } else if (years.length > 0) {
+        const current = years.find(y => y.fiscal_year === response.data.current_fiscal_year);
+        setSelectedYear(prev => prev || String((current || years[0]).fiscal_year));
+      }
+    } catch (error) {
+      console.error('Error loading fiscal years:', error);
+      alert('Error loading fiscal years: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadPeriods = async (fiscalYear) => {
+    try {
+      setLoadingPeriods(true);
+      const response = await accountingAPI.getPeriods(fiscalYear);
+      setPeriods(response.data || []);
+    } catch (error) {
+      console.error('Error loading periods:', error);
+      alert('Error loading periods: ' + error.message);
+    } finally {
+      setLoadingPeriods(false);
+    }
+  };
+
+  const handleCreateFiscalYear = async (e) => {
+    e.preventDefault();
+
+    if (!isAdmin) {
+      alert('⚠️ Admin privileges required to create fiscal years');
+      return;
+    }
+
+    if (!/^\d{4}$/.test(newFiscalYear)) {
+      alert('Enter the year in which the fiscal year starts (e.g., 2024)');
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.createFiscalYear(parseInt(newFiscalYear));
+      alert(response.data.message);
+      loadFiscalYears(newFiscalYear);
+    } catch (error) {
+      alert('Error creating fiscal year: ' + error.message);
+    }
+  };
+
+  const confirmMessage = (action, target) => {
+    switch (action) {
+      case 'close':
+        return `Close ${target}? Manual transactions dated in it will be rejected until it is reopened.`;
+      case 'lock':
+        return `Lock ${target}? No transaction dated in it can be posted, edited, reversed or voided until it is reopened.`;
+      default:
+        return `Reopen ${target}? Transactions dated in it can be posted and edited again.`;
+    }
+  };
+
+  const handlePeriodAction = async (period, action) => {
+    if (!isAdmin) {
+      alert('⚠️ Admin privileges required to change period status');
+      return;
+    }
+
+    if (!window.confirm(confirmMessage(action, `period ${period.period_name}`))) {
+      return;
+    }
+
+    try {
+      await accountingAPI.setPeriodStatus(period.id, action);
+      loadPeriods(selectedYear);
+      loadFiscalYears(selectedYear);
+    } catch (error) {
+      alert('Error updating period: ' + error.message);
+    }
+  };
+
+  const handleFiscalYearAction = async (action) => {
+    if (!isAdmin) {
+      alert('⚠️ Admin privileges required to change period status');
+      return;
+    }
+
+    const fiscalYear = fiscalYears.find(y => String(y.fiscal_year) === selectedYear);
+    if (!window.confirm(confirmMessage(action, `every period of ${fiscalYear?.label || selectedYear}`))) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.setFiscalYearStatus(selectedYear, action);
+      alert(response.data.message);
+      loadPeriods(selectedYear);
+      loadFiscalYears(selectedYear);
+    } catch (error) {
+      alert('Error updating fiscal year: ' + error.message);
+    }
+  };
+
+  const handlePreviewClose = async () => {
+    try {
+      setLoadingPreview(true);
+      const response = await accountingAPI.previewYearEndClose(selectedYear, retainedEarningsAccountId);
+      setClosePreview(response.data);
+    } catch (error) {
+      alert('Error previewing year-end close: ' + error.message);
+    } finally {
+      setLoadingPreview(false);
+    }
+  };
+
+  const handlePostClose = async () => {
+    if (!isAdmin) {
+      alert('⚠️ Admin privileges required to post the year-end close');
+      return;
+    }
+
+    if (!closePreview) {
+      return;
+    }
+
+    if (!window.confirm(
+      `Post closing entries for ${closePreview.label} dated ${closePreview.closing_date}?\n\n` +
+      `Net ${closePreview.netIncome >= 0 ? 'income' : 'loss'} of ${formatCurrency(Math.abs(closePreview.netIncome))} will be transferred to ` +
+      `${closePreview.retained_earnings_account.account_name} and any open periods of the year will be closed.`
+    )) {
+      return;
+    }
+
+    try {
+      setPostingClose(true);
+      const response = await accountingAPI.postYearEndClose(selectedYear, retainedEarningsAccountId || undefined);
+      alert(response.data.message);
+      setClosePreview(null);
+      loadPeriods(selectedYear);
+      loadFiscalYears(selectedYear);
+    } catch (error) {
+      alert('Error posting year-end close: ' + error.message);
+    } finally {
+      setPostingClose(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="period-management">Loading accounting periods...</div>;
+  }
+
+  const selectedFiscalYear = fiscalYears.find(y => String(y.fiscal_year) === selectedYear);
+
+  return (
+    <div className="period-management">
+      <div className="page-header">
+        <div className="header-title-row">
+          <h2>Accounting Periods</h2>
+          <div className={`role-badge ${isAdmin ? 'role-admin' : 'role-viewer'}`}>
+            {isAdmin ? '🔑 Admin Mode' : '👁️ Viewer Mode'}
+          </div>
+        </div>
+
+        <p>Close and lock monthly periods so posted history cannot be changed</p>
+
+        {!isAdmin && (
+          <div className="viewer-warning">
+            <p>
+              ⚠️ <strong>View-Only Mode:</strong> You can view period status but cannot close, lock or reopen periods.
+            </p>
+          </div>
+        )}
+
+        <div className="timestamp-info-note">
+          <small>
+            🟢 <strong>Open:</strong> transactions can be posted and edited.
+            {' '}🟡 <strong>Closed:</strong> manual postings and edits are rejected; system entries such as the year-end close are still allowed.
+            {' '}🔒 <strong>Locked:</strong> nothing dated in the period can be posted, edited, reversed or voided.
+          </small>
+        </div>
+      </div>
+
+      {isAdmin && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Create Fiscal Year</h3>
+          </div>
+          <div className="card-body">
+            <form onSubmit={handleCreateFiscalYear} className="period-create-form">
+              <div className="form-group">
+                <label htmlFor="fiscal-year-input" className="form-label">
+                  Fiscal year starting in
+                </label>
+                <input
+                  type="text"
+                  id="fiscal-year-input"
+                  value={newFiscalYear}
+                  onChange={(e) => setNewFiscalYear(e.target.value.trim())}
+                  className="form-input"
+                  placeholder="e.g., 2024"
+                  maxLength={4}
+                />
+                <small>
+                  Creates twelve monthly periods using the fiscal year start in company details.
+                  {currentFiscalYear && ` The current fiscal year starts in ${currentFiscalYear}.`}
+                </small>
+              </div>
+              <div className="form-actions">
+                <button type="submit" className="btn-primary">
+                  Create Periods
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {fiscalYears.length === 0 ? (
+        <div className="no-data">
+          <p>No accounting periods have been set up yet.</p>
+          <p style={{ fontSize: '0.9rem', color: '#666', marginTop: '10px' }}>
+            Until periods exist, every transaction date is treated as open.
+          </p>
+        </div>
+      ) : (
+        <div className="card">
+          <div className="card-header period-toolbar">
+            <div className="form-group">
+              <label htmlFor="fiscal-year-select" className="form-label">Fiscal Year</label>
+              <select
+                id="fiscal-year-select"
+                value={selectedYear}
+                onChange={(e) => setSelectedYear(e.target.value)}
+                className="form-select"
+              >
+                {fiscalYears.map(year => (
+                  <option key={year.fiscal_year} value={year.fiscal_year}>
+                    {year.label} ({year.start_date_display} - {year.end_date_display})
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {selectedFiscalYear && (
+              <div className="period-summary">
+                <span className="period-status status-open">{selectedFiscalYear.open_count} open</span>
+                <span className="period-status status-closed">{selectedFiscalYear.closed_count} closed</span>
+                <span className="period-status status-locked">{selectedFiscalYear.locked_count} locked</span>
+              </div>
+            )}
+
+            {isAdmin && selectedYear && (
+              <div className="period-year-actions">
+                <button onClick={() => handleFiscalYearAction('close')} className="btn-edit">
+                  Close Year
+                </button>
+                <button onClick={() => handleFiscalYearAction('lock')} className="btn-delete">
+                  Lock Year
+                </button>
+                <button onClick={() => handleFiscalYearAction('reopen')} className="btn-secondary">
+                  Reopen Year
+                </button>
+              </div>
+            )}
+          </div>
+
+          <div className="ledger-table-container">
+            {loadingPeriods ? (
+              <div className="loading-message">Loading periods...</div>
+            ) : (
+              <table className="ledger-table period-table">
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th>Period</th>
+                    <th>From</th>
+                    <th>To</th>
+                    <th>Transactions</th>
+                    <th>Status</th>
+                    <th>Last Change</th>
+                    {isAdmin && <th>Actions</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {periods.map(period => (
+                    <tr key={period.id}>
+                      <td>{period.period_number}</td>
+                      <td><strong>{period.period_name}</strong></td>
+                      <td>{period.start_date_display}</td>
+                      <td>{period.end_date_display}</td>
+                      <td>{period.transaction_count}</td>
+                      <td>
+                        <span className={`period-status status-${period.status}`}>
+                          {STATUS_LABELS[period.status]}
+                        </span>
+                      </td>
+                      <td>
+                        {period.status_changed_at_formatted?.fullDateTime
+                          ? `${period.status_changed_at_formatted.fullDateTime}${period.status_changed_by ? ` by ${period.status_changed_by}` : ''}`
+                          : '-'}
+                      </td>
+                      {isAdmin && (
+                        <td className="period-actions">
+                          {period.status === 'open' && (
+                            <button onClick={() => handlePeriodAction(period, 'close')} className="btn-edit">
+                              Close
+                            </button>
+                          )}
+                          {period.status !== 'locked' && (
+                            <button onClick={() => handlePeriodAction(period, 'lock')} className="btn-delete">
+                              Lock
+                            </button>
+                          )}
+                          {period.status !== 'open' && (
+                            <button onClick={() => handlePeriodAction(period, 'reopen')} className="btn-secondary">
+                              Reopen
+                            </button>
+                          )}
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
+
+      {fiscalYears.length > 0 && selectedYear && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Year-End Close</h3>
+            <small>
+              Zeroes every revenue and expense account for the fiscal year and moves the net result into retained earnings.
+              The closing transaction is dated on the last day of the year and can be voided to redo the close.
+            </small>
+          </div>
+          <div className="card-body">
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="retained-earnings-select" className="form-label">Retained Earnings Account</label>
+                <select
+                  id="retained-earnings-select"
+                  value={retainedEarningsAccountId}
+                  onChange={(e) => {
+                    setRetainedEarningsAccountId(e.target.value);
+                    setClosePreview(null);
+                  }}
+                  className="form-select"
+                >
+                  <option value="">Default (from company details)</option>
+                  {capitalAccounts.map(account => (
+                    <option key={account.id} value={account.id}>
+                      {account.account_code} - {account.account_name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="form-actions">
+              <button onClick={handlePreviewClose} className="btn-secondary" disabled={loadingPreview}>
+                {loadingPreview ? 'Loading Preview...' : 'Preview Closing Entries'}
+              </button>
+              {isAdmin && closePreview && !closePreview.already_closed && closePreview.lines.length > 0 && (
+                <button onClick={handlePostClose} className="btn-primary" disabled={postingClose}>
+                  {postingClose ? 'Posting...' : 'Post Year-End Close'}
+                </button>
+              )}
+            </div>
+
+            {closePreview && (
+              <div className="year-end-preview">
+                {closePreview.already_closed && (
+                  <div className="viewer-warning">
+                    <p>
+                      ✅ {closePreview.label} is already closed by TID-{closePreview.existing_transaction_number}.
+                      Void that transaction in Transaction History to close the year again.
+                    </p>
+                  </div>
+                )}
+                {closePreview.locked_periods.length > 0 && (
+                  <div className="viewer-warning">
+                    <p>
+                      🔒 Locked periods: {closePreview.locked_periods.join(', ')}. The close cannot be posted into a locked period.
+                    </p>
+                  </div>
+                )}
+
+                <p>
+                  <strong>{closePreview.label}</strong> ({closePreview.start_date} - {closePreview.end_date}),
+                  closing entry dated <strong>{closePreview.closing_date}</strong>, reference <strong>{closePreview.reference}</strong>
+                </p>
+
+                {closePreview.lines.length === 0 ? (
+                  <div className="no-data">
+                    <p>No revenue or expense balances to close for this fiscal year.</p>
+                  </div>
+                ) : (
+                  <div className="ledger-table-container">
+                    <table className="ledger-table period-table">
+                      <thead>
+                        <tr>
+                          <th>Account</th>
+                          <th>Type</th>
+                          <th>Year Balance</th>
+                          <th>Debit</th>
+                          <th>Credit</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {closePreview.lines.map(line => (
+                          <tr key={line.account_id}>
+                            <td>{line.account_code} - {line.account_name}</td>
+                            <td>{line.account_type}</td>
+                            <td>{formatCurrency(line.balance)}</td>
+                            <td>{line.entry_type === 'Debit' ? formatCurrency(line.amount) : ''}</td>
+                            <td>{line.entry_type === 'Credit' ? formatCurrency(line.amount) : ''}</td>
+                          </tr>
+                        ))}
+                        {closePreview.netIncome !== 0 && (
+                          <tr className="closing-balance-row">
+                            <td>
+                              {closePreview.retained_earnings_account.account_code} - {closePreview.retained_earnings_account.account_name}
+                            </td>
+                            <td>Capital</td>
+                            <td>{closePreview.netIncome >= 0 ? 'Net Income' : 'Net Loss'}</td>
+                            <td>{closePreview.netIncome < 0 ? formatCurrency(Math.abs(closePreview.netIncome)) : ''}</td>
+                            <td>{closePreview.netIncome > 0 ? formatCurrency(closePreview.netIncome) : ''}</td>
+                          </tr>
+                        )}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
+                <div className="transaction-totals">
+                  <p><strong>Total Revenue:</strong> {formatCurrency(closePreview.totalRevenue)}</p>
+                  <p><strong>Total Expenses:</strong> {formatCurrency(closePreview.totalExpenses)}</p>
+                  <p className={closePreview.netIncome >= 0 ? 'balanced' : 'unbalanced'}>
+                    <strong>{closePreview.netIncome >= 0 ? 'Net Income' : 'Net Loss'}:</strong> {formatCurrency(Math.abs(closePreview.netIncome))}
+                  </p>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PeriodManagement;
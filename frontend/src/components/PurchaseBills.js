@@ -0,0 +1,551 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { accountingAPI } from '../utils/api';
+import { formatCurrency } from '../utils/currencyFormatter';
+import { add, sum } from '../utils/money';
+import { EMPTY_LINE, priceLine, validateLines } from '../utils/documentLines';
+import AuthService from '../utils/auth';
+
+const EMPTY_BILL = {
+  vendor_id: '',
+  bill_date: '',
+  due_date: '',
+  vendor_invoice_number: '',
+  notes: '',
+  lines: [EMPTY_LINE]
+};
+
+const DATE_PATTERN = /^\d{2}\/\d{2}\/\d{4}$/;
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  approved: 'Approved',
+  voided: 'Voided'
+};
+
+const PAYMENT_STATUS_LABELS = {
+  unpaid: 'Unpaid',
+  partially_paid: 'Partially paid',
+  paid: 'Paid'
+};
+
+const getTodayDDMMYYYY = () => {
+  const today = new Date();
+  const day = today.getDate().toString().padStart(2, '0');
+  const month = (today.getMonth() + 1).toString().padStart(2, '0');
+  return `${day}/${month}/${today.getFullYear()}`;
+};
+
+const PurchaseBills = () => {
+  const [bills, setBills] = useState([]);
+  const [vendors, setVendors] = useState([]);
+  const [billAccounts, setBillAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [formData, setFormData] = useState({ ...EMPTY_BILL, bill_date: getTodayDDMMYYYY() });
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [selectedBill, setSelectedBill] = useState(null);
+
+  const isAdmin = AuthService.isAdmin();
+
+  useEffect(() => {
+    loadFormOptions();
+  }, []);
+
+  const loadBills = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await accountingAPI.getPurchaseBills(statusFilter);
+      setBills(response.data || []);
+    } catch (error) {
+      console.error('Error loading purchase bills:', error);
+      alert('Error loading purchase bills: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    loadBills();
+  }, [loadBills]);
+
+  const loadFormOptions = async () => {
+    try {
+      const [vendorsResponse, accountsResponse] = await Promise.all([
+        accountingAPI.getVendors(),
+        accountingAPI.getAccounts()
+      ]);
+      setVendors(vendorsResponse.data || []);
+      setBillAccounts((accountsResponse.data || []).filter(account =>
+        ['Expense', 'Asset'].includes(account.account_type) && !account.control_type
+      ));
+    } catch (error) {
+      console.error('Error loading vendors and accounts:', error);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleLineChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      lines: prev.lines.map((line, i) => (i === index ? { ...line, [field]: value } : line))
+    }));
+  };
+
+  const addLine = () => {
+    setFormData(prev => ({ ...prev, lines: [...prev.lines, EMPTY_LINE] }));
+  };
+
+  const removeLine = (index) => {
+    setFormData(prev => ({ ...prev, lines: prev.lines.filter((line, i) => i !== index) }));
+  };
+
+  const resetForm = () => {
+    setFormData({ ...EMPTY_BILL, bill_date: getTodayDDMMYYYY() });
+    setEditingId(null);
+  };
+
+  const pricedLines = formData.lines.map(priceLine);
+  const subtotal = sum(pricedLines.map(line => line.amount));
+  const taxTotal = sum(pricedLines.map(line => line.tax));
+  const billTotal = add(subtotal, taxTotal);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!isAdmin) {
+      alert('⚠️ Admin privileges required to manage purchase bills');
+      return;
+    }
+
+    if (!formData.vendor_id) {
+      alert('Please select a vendor');
+      return;
+    }
+
+    if (!DATE_PATTERN.test(formData.bill_date) || (formData.due_date && !DATE_PATTERN.test(formData.due_date))) {
+      alert('Please use dd/mm/yyyy format for dates');
+      return;
+    }
+
+    const lineError = validateLines(formData.lines);
+    if (lineError) {
+      alert(lineError);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const billData = {
+        ...formData,
+        vendor_id: parseInt(formData.vendor_id),
+        lines: formData.lines.map(line => ({ ...line, account_id: parseInt(line.account_id) }))
+      };
+
+      const response = editingId
+        ? await accountingAPI.updatePurchaseBill(editingId, billData)
+        : await accountingAPI.createPurchaseBill(billData);
+
+      alert(response.message);
+      resetForm();
+      setSelectedBill(response.data);
+      loadBills();
+    } catch (error) {
+      alert('Error saving purchase bill: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleView = async (bill) => {
+    try {
+      const response = await accountingAPI.getPurchaseBillById(bill.id);
+      setSelectedBill(response.data);
+    } catch (error) {
+      alert('Error loading purchase bill: ' + error.message);
+    }
+  };
+
+  const handleEdit = async (bill) => {
+    try {
+      const response = await accountingAPI.getPurchaseBillById(bill.id);
+      const details = response.data;
+      setEditingId(details.id);
+      setFormData({
+        vendor_id: String(details.vendor_id),
+        bill_date: details.bill_date,
+        due_date: details.due_date || '',
+        vendor_invoice_number: details.vendor_invoice_number,
+        notes: details.notes,
+        lines: details.lines.map(line => ({
+          description: line.description,
+          account_id: String(line.account_id),
+          quantity: String(line.quantity),
+          unit_price: String(line.unit_price),
+          tax_rate: String(line.tax_rate)
+        }))
+      });
+    } catch (error) {
+      alert('Error loading purchase bill: ' + error.message);
+    }
+  };
+
+  const handleApprove = async (bill) => {
+    if (!window.confirm(`Approve the bill for ${bill.vendor_name} (${formatCurrency(bill.total)})? Its journal entry will be posted and the bill can no longer be edited.`)) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.approvePurchaseBill(bill.id);
+      alert(response.message);
+      setSelectedBill(response.data);
+      loadBills();
+    } catch (error) {
+      alert('Error approving purchase bill: ' + error.message);
+    }
+  };
+
+  const handleVoid = async (bill) => {
+    const reason = window.prompt(`Void bill ${bill.bill_number}? Its journal entry will be voided and payments applied to it become unapplied credit. Reason:`);
+    if (reason === null) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.voidPurchaseBill(bill.id, reason);
+      alert(response.message);
+      setSelectedBill(response.data);
+      loadBills();
+    } catch (error) {
+      alert('Error voiding purchase bill: ' + error.message);
+    }
+  };
+
+  const handleDelete = async (bill) => {
+    if (!window.confirm(`Delete the draft bill for ${bill.vendor_name}?`)) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.deletePurchaseBill(bill.id);
+      alert(response.message);
+      if (selectedBill?.id === bill.id) {
+        setSelectedBill(null);
+      }
+      loadBills();
+    } catch (error) {
+      alert('Error deleting purchase bill: ' + error.message);
+    }
+  };
+
+  if (loading && bills.length === 0) {
+    return <div className="purchase-bills">Loading purchase bills...</div>;
+  }
+
+  const activeVendors = vendors.filter(vendor => vendor.is_active);
+
+  return (
+    <div className="purchase-bills">
+      <div className="page-header">
+        <div className="header-title-row">
+          <h2>Purchase Bills</h2>
+          <div className={`role-badge ${isAdmin ? 'role-admin' : 'role-viewer'}`}>
+            {isAdmin ? '🔑 Admin Mode' : '👁️ Viewer Mode'}
+          </div>
+        </div>
+
+        <p>Record vendor bills and post the expense or inventory, input tax and payable entries on approval</p>
+
+        {!isAdmin && (
+          <div className="viewer-warning">
+            <p>
+              ⚠️ <strong>View-Only Mode:</strong> You can view and print bills but cannot create or approve them.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {isAdmin && (
+        <div className="card">
+          <div className="card-header">
+            <h3>{editingId ? 'Edit Draft Bill' : 'New Purchase Bill'}</h3>
+          </div>
+          <div className="card-body">
+            <form onSubmit={handleSubmit} className="bill-form">
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="bill-vendor" className="form-label">Vendor *</label>
+                  <select id="bill-vendor" name="vendor_id" className="form-select" value={formData.vendor_id} onChange={handleInputChange} required>
+                    <option value="">Select vendor</option>
+                    {activeVendors.map(vendor => (
+                      <option key={vendor.id} value={vendor.id}>
+                        {vendor.name} ({vendor.payment_terms_days} days)
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="bill-date" className="form-label">Bill Date (dd/mm/yyyy) *</label>
+                  <input id="bill-date" name="bill_date" className="form-input" value={formData.bill_date} onChange={handleInputChange} placeholder="dd/mm/yyyy" required />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="bill-due-date" className="form-label">Due Date (dd/mm/yyyy)</label>
+                  <input id="bill-due-date" name="due_date" className="form-input" value={formData.due_date} onChange={handleInputChange} placeholder="From vendor terms" />
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="bill-vendor-invoice" className="form-label">Vendor Invoice No.</label>
+                  <input id="bill-vendor-invoice" name="vendor_invoice_number" className="form-input" value={formData.vendor_invoice_number} onChange={handleInputChange} maxLength={50} placeholder="As printed on the vendor's bill" />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="bill-notes" className="form-label">Notes</label>
+                  <input id="bill-notes" name="notes" className="form-input" value={formData.notes} onChange={handleInputChange} />
+                </div>
+              </div>
+
+              <div className="ledger-table-container">
+                <table className="ledger-table document-lines-table">
+                  <thead>
+                    <tr>
+                      <th>Description</th>
+                      <th>Expense / Asset Account</th>
+                      <th className="amount">Qty</th>
+                      <th className="amount">Unit Price</th>
+                      <th className="amount">Tax %</th>
+                      <th className="amount">Amount</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {formData.lines.map((line, index) => (
+                      <tr key={index}>
+                        <td>
+                          <input className="form-input" value={line.description} onChange={(e) => handleLineChange(index, 'description', e.target.value)} placeholder="Item or service" />
+                        </td>
+                        <td>
+                          <select className="form-select" value={line.account_id} onChange={(e) => handleLineChange(index, 'account_id', e.target.value)}>
+                            <option value="">Select account</option>
+                            {billAccounts.map(account => (
+                              <option key={account.id} value={account.id}>
+                                {account.account_code} - {account.account_name}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                        <td>
+                          <input className="form-input amount" type="number" step="0.001" min="0" value={line.quantity} onChange={(e) => handleLineChange(index, 'quantity', e.target.value)} />
+                        </td>
+                        <td>
+                          <input className="form-input amount" type="number" step="0.01" min="0" value={line.unit_price} onChange={(e) => handleLineChange(index, 'unit_price', e.target.value)} placeholder="0.00" />
+                        </td>
+                        <td>
+                          <input className="form-input amount" type="number" step="0.01" min="0" max="100" value={line.tax_rate} onChange={(e) => handleLineChange(index, 'tax_rate', e.target.value)} />
+                        </td>
+                        <td className="amount">{formatCurrency(add(pricedLines[index].amount, pricedLines[index].tax))}</td>
+                        <td>
+                          {formData.lines.length > 1 && (
+                            <button type="button" className="btn-delete" onClick={() => removeLine(index)}>
+                              Remove
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="document-totals">
+                <button type="button" className="btn-secondary" onClick={addLine}>
+                  ➕ Add Line
+                </button>
+                <div>
+                  <p><strong>Subtotal:</strong> {formatCurrency(subtotal)}</p>
+                  <p><strong>Input Tax:</strong> {formatCurrency(taxTotal)}</p>
+                  <p className="document-grand-total"><strong>Total:</strong> {formatCurrency(billTotal)}</p>
+                </div>
+              </div>
+
+              <div className="form-actions">
+                <button type="submit" className="btn-primary" disabled={saving}>
+                  {saving ? 'Saving...' : editingId ? 'Update Draft' : 'Save Draft'}
+                </button>
+                {editingId && (
+                  <button type="button" className="btn-secondary" onClick={resetForm}>
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header period-toolbar">
+          <h3>Bills</h3>
+          <select className="form-select" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+            <option value="">All statuses</option>
+            {Object.entries(STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        {bills.length === 0 ? (
+          <div className="no-data">
+            <p>No purchase bills yet.</p>
+          </div>
+        ) : (
+          <div className="ledger-table-container">
+            <table className="ledger-table party-table">
+              <thead>
+                <tr>
+                  <th>Bill</th>
+                  <th>Vendor</th>
+                  <th>Date</th>
+                  <th>Due</th>
+                  <th className="amount">Total</th>
+                  <th className="amount">Open Balance</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {bills.map(bill => (
+                  <tr key={bill.id}>
+                    <td>
+                      <strong>{bill.bill_number || 'Draft'}</strong>
+                      {bill.vendor_invoice_number && <div><small>Vendor inv: {bill.vendor_invoice_number}</small></div>}
+                      {bill.transaction_number && <div><small>Posted as TID-{bill.transaction_number}</small></div>}
+                    </td>
+                    <td>{bill.vendor_name}</td>
+                    <td>{bill.bill_date}</td>
+                    <td>{bill.due_date}</td>
+                    <td className="amount">{formatCurrency(bill.total)}</td>
+                    <td className="amount">{bill.status === 'approved' ? formatCurrency(bill.open_balance) : '-'}</td>
+                    <td>
+                      <span className={`document-status status-${bill.status}`}>{STATUS_LABELS[bill.status]}</span>
+                      {bill.payment_status && <div><small>{PAYMENT_STATUS_LABELS[bill.payment_status]}</small></div>}
+                    </td>
+                    <td className="period-actions">
+                      <button onClick={() => handleView(bill)} className="btn-secondary">
+                        View
+                      </button>
+                      {isAdmin && bill.status === 'draft' && (
+                        <>
+                          <button onClick={() => handleEdit(bill)} className="btn-edit">
+                            Edit
+                          </button>
+                          <button onClick={() => handleApprove(bill)} className="btn-primary">
+                            Approve
+                          </button>
+                          <button onClick={() => handleDelete(bill)} className="btn-delete">
+                            Delete
+                          </button>
+                        </>
+                      )}
+                      {isAdmin && bill.status === 'approved' && (
+                        <button onClick={() => handleVoid(bill)} className="btn-delete">
+                          Void
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {selectedBill && (
+        <div className="card">
+          <div className="card-header period-toolbar">
+            <h3>
+              {selectedBill.bill_number || 'Draft Bill'} - {selectedBill.vendor_name}
+              {' '}<span className={`document-status status-${selectedBill.status}`}>{STATUS_LABELS[selectedBill.status]}</span>
+            </h3>
+          </div>
+          <div className="card-body">
+            <p>
+              <strong>Bill date:</strong> {selectedBill.bill_date} · <strong>Due:</strong> {selectedBill.due_date}
+              {selectedBill.transaction_number && <> · <strong>Journal entry:</strong> TID-{selectedBill.transaction_number}</>}
+            </p>
+            {selectedBill.status === 'approved' && (
+              <p>
+                <strong>Paid:</strong> {formatCurrency(selectedBill.amount_paid)} · <strong>Open balance:</strong> {formatCurrency(selectedBill.open_balance)}
+              </p>
+            )}
+            <div className="ledger-table-container">
+              <table className="ledger-table party-table">
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th>Description</th>
+                    <th>Account</th>
+                    <th className="amount">Qty</th>
+                    <th className="amount">Unit Price</th>
+                    <th className="amount">Amount</th>
+                    <th className="amount">Tax</th>
+                    <th className="amount">Total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selectedBill.lines.map(line => (
+                    <tr key={line.id}>
+                      <td>{line.line_number}</td>
+                      <td>{line.description}</td>
+                      <td>{line.account_code} - {line.account_name}</td>
+                      <td className="amount">{line.quantity}</td>
+                      <td className="amount">{formatCurrency(line.unit_price)}</td>
+                      <td className="amount">{formatCurrency(line.amount)}</td>
+                      <td className="amount">{line.tax_rate ? `${line.tax_rate}% · ${formatCurrency(line.tax_amount)}` : '-'}</td>
+                      <td className="amount">{formatCurrency(line.total)}</td>
+                    </tr>
+                  ))}
+                  <tr className="closing-balance-row">
+                    <td colSpan="5">Totals</td>
+                    <td className="amount">{formatCurrency(selectedBill.subtotal)}</td>
+                    <td className="amount">{formatCurrency(selectedBill.tax_total)}</td>
+                    <td className="amount">{formatCurrency(selectedBill.total)}</td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+
+            {selectedBill.payments && selectedBill.payments.length > 0 && (
+              <div className="ledger-table-container">
+                <table className="ledger-table party-table">
+                  <thead>
+                    <tr>
+                      <th>Payment</th>
+                      <th>Date</th>
+                      <th className="amount">Applied</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selectedBill.payments.map(payment => (
+                      <tr key={payment.payment_id}>
+                        <td>{payment.payment_number}</td>
+                        <td>{payment.payment_date}</td>
+                        <td className="amount">{formatCurrency(payment.amount)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PurchaseBills;
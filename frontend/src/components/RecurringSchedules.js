@@ -0,0 +1,613 @@
+import React, { useState, useEffect } from 'react';
+import { accountingAPI } from '../utils/api';
+import { formatCurrency } from '../utils/currencyFormatter';
+import { equals, parseAmount, sum } from '../utils/money';
+import AuthService from '../utils/auth';
+
+const FREQUENCY_UNITS = {
+  daily: ['day', 'days'],
+  weekly: ['week', 'weeks'],
+  monthly: ['month', 'months'],
+  quarterly: ['quarter', 'quarters'],
+  yearly: ['year', 'years']
+};
+
+const STATUS_LABELS = {
+  active: '🟢 Active',
+  paused: '🟡 Paused',
+  completed: '⚪ Completed'
+};
+
+const EMPTY_ENTRY = { account_id: '', entry_type: 'Debit', amount: '' };
+
+const EMPTY_SCHEDULE = {
+  name: '',
+  description: '',
+  reference: '',
+  frequency: 'monthly',
+  interval_count: '1',
+  day_rule: 'start',
+  day_of_month: '',
+  start_date: '',
+  end_rule: 'never',
+  end_date: '',
+  max_occurrences: '',
+  catch_up_mode: 'all',
+  entries: [{ ...EMPTY_ENTRY }, { ...EMPTY_ENTRY, entry_type: 'Credit' }]
+};
+
+// "Every 2 weeks", "Monthly on the last day", "Every 3 months on day 15"
+const describeFrequency = (schedule) => {
+  const units = FREQUENCY_UNITS[schedule.frequency][1];
+  const base = schedule.interval_count === 1
+    ? schedule.frequency.charAt(0).toUpperCase() + schedule.frequency.slice(1)
+    : `Every ${schedule.interval_count} ${units}`;
+
+  if (schedule.day_of_month === -1) {
+    return `${base} on the last day`;
+  }
+  if (schedule.day_of_month) {
+    return `${base} on day ${schedule.day_of_month}`;
+  }
+  return base;
+};
+
+const RecurringSchedules = () => {
+  const [schedules, setSchedules] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState(EMPTY_SCHEDULE);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [selectedSchedule, setSelectedSchedule] = useState(null);
+
+  const isAdmin = AuthService.isAdmin();
+
+  useEffect(() => {
+    loadSchedules();
+    loadAccounts();
+  }, []);
+
+  const loadSchedules = async () => {
+    try {
+      setLoading(true);
+      const response = await accountingAPI.getRecurringSchedules();
+      setSchedules(response.data || []);
+    } catch (error) {
+      console.error('Error loading recurring schedules:', error);
+      alert('Error loading recurring schedules: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadAccounts = async () => {
+    try {
+      const response = await accountingAPI.getAccounts();
+      setAccounts(response.data || []);
+    } catch (error) {
+      console.error('Error loading accounts:', error);
+    }
+  };
+
+  const loadScheduleDetails = async (scheduleId) => {
+    try {
+      const response = await accountingAPI.getRecurringSchedule(scheduleId, 12);
+      setSelectedSchedule(response.data);
+    } catch (error) {
+      alert('Error loading schedule: ' + error.message);
+    }
+  };
+
+  const refresh = () => {
+    loadSchedules();
+    if (selectedSchedule) {
+      loadScheduleDetails(selectedSchedule.id);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleEntryChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      entries: prev.entries.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry))
+    }));
+  };
+
+  const addEntry = () => {
+    setFormData(prev => ({ ...prev, entries: [...prev.entries, { ...EMPTY_ENTRY }] }));
+  };
+
+  const removeEntry = (index) => {
+    if (formData.entries.length <= 2) {
+      alert('A schedule needs at least two entries');
+      return;
+    }
+    setFormData(prev => ({ ...prev, entries: prev.entries.filter((entry, i) => i !== index) }));
+  };
+
+  const totalOf = (entryType) => sum(formData.entries
+    .filter(entry => entry.entry_type === entryType)
+    .map(entry => parseAmount(entry.amount)));
+  const debits = totalOf('Debit');
+  const credits = totalOf('Credit');
+  const balanced = debits > 0 && equals(debits, credits);
+
+  const resetForm = () => {
+    setFormData(EMPTY_SCHEDULE);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!isAdmin) {
+      alert('⚠️ Admin privileges required to manage recurring schedules');
+      return;
+    }
+
+    if (!/^\d{2}\/\d{2}\/\d{4}$/.test(formData.start_date)) {
+      alert('Start date must be in dd/mm/yyyy format');
+      return;
+    }
+
+    const scheduleData = {
+      name: formData.name,
+      description: formData.description,
+      reference: formData.reference,
+      frequency: formData.frequency,
+      interval_count: parseInt(formData.interval_count) || 1,
+      day_of_month: formData.day_rule === 'last' ? -1
+        : formData.day_rule === 'day' ? parseInt(formData.day_of_month) : null,
+      start_date: formData.start_date,
+      end_date: formData.end_rule === 'date' ? formData.end_date : null,
+      max_occurrences: formData.end_rule === 'count' ? parseInt(formData.max_occurrences) : null,
+      catch_up_mode: formData.catch_up_mode,
+      entries: formData.entries.map(entry => ({
+        account_id: parseInt(entry.account_id),
+        entry_type: entry.entry_type,
+        amount: entry.amount
+      }))
+    };
+
+    try {
+      setSaving(true);
+      const response = editingId
+        ? await accountingAPI.updateRecurringSchedule(editingId, scheduleData)
+        : await accountingAPI.createRecurringSchedule(scheduleData);
+      alert(response.message);
+      resetForm();
+      setSelectedSchedule(response.data);
+      loadSchedules();
+    } catch (error) {
+      alert('Error saving recurring schedule: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (schedule) => {
+    setEditingId(schedule.id);
+    setFormData({
+      name: schedule.name,
+      description: schedule.description,
+      reference: schedule.reference || '',
+      frequency: schedule.frequency,
+      interval_count: String(schedule.interval_count),
+      day_rule: schedule.day_of_month === -1 ? 'last' : schedule.day_of_month ? 'day' : 'start',
+      day_of_month: schedule.day_of_month > 0 ? String(schedule.day_of_month) : '',
+      start_date: schedule.start_date_display,
+      end_rule: schedule.end_date ? 'date' : schedule.max_occurrences ? 'count' : 'never',
+      end_date: schedule.end_date_display || '',
+      max_occurrences: schedule.max_occurrences ? String(schedule.max_occurrences) : '',
+      catch_up_mode: schedule.catch_up_mode,
+      entries: schedule.entries.map(entry => ({
+        account_id: String(entry.account_id),
+        entry_type: entry.entry_type,
+        amount: String(entry.amount)
+      }))
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleStatus = async (schedule, action) => {
+    if (action === 'end' && !window.confirm(`End "${schedule.name}"? It will post nothing more.`)) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.setRecurringScheduleStatus(schedule.id, action);
+      alert(response.message);
+      refresh();
+    } catch (error) {
+      alert('Error updating schedule: ' + error.message);
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!window.confirm(`Delete "${schedule.name}"?`)) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.deleteRecurringSchedule(schedule.id);
+      alert(response.message);
+      if (selectedSchedule?.id === schedule.id) {
+        setSelectedSchedule(null);
+      }
+      loadSchedules();
+    } catch (error) {
+      alert('Error deleting schedule: ' + error.message);
+    }
+  };
+
+  const handleRunNow = async () => {
+    try {
+      setRunning(true);
+      const response = await accountingAPI.runRecurringSchedules();
+      alert(response.message);
+      refresh();
+    } catch (error) {
+      alert('Error posting due occurrences: ' + error.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const accountName = (accountId) => {
+    const account = accounts.find(candidate => candidate.id === accountId);
+    return account ? `${account.account_code} - ${account.account_name}` : `Account ${accountId}`;
+  };
+
+  const usesMonths = ['monthly', 'quarterly', 'yearly'].includes(formData.frequency);
+
+  return (
+    <div className="recurring-schedules">
+      <div className="page-header">
+        <div className="header-title-row">
+          <h2>Recurring Transactions</h2>
+          <div className={`role-badge ${isAdmin ? 'role-admin' : 'role-viewer'}`}>
+            {isAdmin ? '🔑 Admin Mode' : '👁️ Viewer Mode'}
+          </div>
+        </div>
+
+        <p>
+          Rent, salaries, depreciation and other repeating entries are posted automatically on their dates by the server.
+          Occurrences missed while it was down are posted when it starts again.
+        </p>
+
+        {!isAdmin && (
+          <div className="viewer-warning">
+            <p>
+              ⚠️ <strong>View-Only Mode:</strong> You can view schedules and their occurrences but cannot change them.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {isAdmin && (
+        <div className="card">
+          <div className="card-header">
+            <h3>{editingId ? 'Edit Schedule' : 'New Schedule'}</h3>
+          </div>
+          <div className="card-body">
+            <form onSubmit={handleSubmit}>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="recurring-name" className="form-label">Name *</label>
+                  <input id="recurring-name" name="name" className="form-input" value={formData.name} onChange={handleInputChange} maxLength={100} placeholder="e.g. Office rent" required />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="recurring-description" className="form-label">Transaction Description *</label>
+                  <input id="recurring-description" name="description" className="form-input" value={formData.description} onChange={handleInputChange} maxLength={200} placeholder="e.g. Office rent for {month}" required />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="recurring-reference" className="form-label">Reference</label>
+                  <input id="recurring-reference" name="reference" className="form-input" value={formData.reference} onChange={handleInputChange} maxLength={100} placeholder="Defaults to the name and occurrence number" />
+                </div>
+              </div>
+              <p className="form-hint">{'{date}'}, {'{month}'} and {'{year}'} in the description or reference are replaced with the date of each occurrence.</p>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="recurring-frequency" className="form-label">Repeats *</label>
+                  <select id="recurring-frequency" name="frequency" className="form-select" value={formData.frequency} onChange={handleInputChange}>
+                    {Object.keys(FREQUENCY_UNITS).map(frequency => (
+                      <option key={frequency} value={frequency}>{frequency.charAt(0).toUpperCase() + frequency.slice(1)}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="recurring-interval" className="form-label">Every</label>
+                  <div className="recurring-inline">
+                    <input id="recurring-interval" name="interval_count" type="number" min="1" max="365" className="form-input" value={formData.interval_count} onChange={handleInputChange} />
+                    <span>{FREQUENCY_UNITS[formData.frequency][parseInt(formData.interval_count) === 1 ? 0 : 1]}</span>
+                  </div>
+                </div>
+                {usesMonths && (
+                  <div className="form-group">
+                    <label htmlFor="recurring-day-rule" className="form-label">On</label>
+                    <div className="recurring-inline">
+                      <select id="recurring-day-rule" name="day_rule" className="form-select" value={formData.day_rule} onChange={handleInputChange}>
+                        <option value="start">The start date's day</option>
+                        <option value="day">Day of month</option>
+                        <option value="last">The last day of the month</option>
+                      </select>
+                      {formData.day_rule === 'day' && (
+                        <input name="day_of_month" type="number" min="1" max="31" className="form-input" value={formData.day_of_month} onChange={handleInputChange} required />
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="recurring-start" className="form-label">Start Date *</label>
+                  <input id="recurring-start" name="start_date" className="form-input" value={formData.start_date} onChange={handleInputChange} placeholder="dd/mm/yyyy" required />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="recurring-end-rule" className="form-label">Ends</label>
+                  <div className="recurring-inline">
+                    <select id="recurring-end-rule" name="end_rule" className="form-select" value={formData.end_rule} onChange={handleInputChange}>
+                      <option value="never">Never</option>
+                      <option value="date">On date</option>
+                      <option value="count">After a number of occurrences</option>
+                    </select>
+                    {formData.end_rule === 'date' && (
+                      <input name="end_date" className="form-input" value={formData.end_date} onChange={handleInputChange} placeholder="dd/mm/yyyy" required />
+                    )}
+                    {formData.end_rule === 'count' && (
+                      <input name="max_occurrences" type="number" min="1" className="form-input" value={formData.max_occurrences} onChange={handleInputChange} required />
+                    )}
+                  </div>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="recurring-catch-up" className="form-label">When Occurrences Were Missed</label>
+                  <select id="recurring-catch-up" name="catch_up_mode" className="form-select" value={formData.catch_up_mode} onChange={handleInputChange}>
+                    <option value="all">Post every missed occurrence</option>
+                    <option value="latest">Post only the latest, skip the rest</option>
+                  </select>
+                </div>
+              </div>
+              <p className="form-hint">Days past the end of a shorter month fall on its last day. The timing cannot change once the schedule has generated occurrences.</p>
+
+              <h4>Journal Entries</h4>
+              {formData.entries.map((entry, index) => (
+                <div key={index} className="journal-entry">
+                  <select value={entry.account_id} onChange={(e) => handleEntryChange(index, 'account_id', e.target.value)} required>
+                    <option value="">Select Account</option>
+                    {accounts.map(account => (
+                      <option key={account.id} value={account.id}>
+                        {account.account_code} - {account.account_name}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0.01"
+                    value={entry.amount}
+                    onChange={(e) => handleEntryChange(index, 'amount', e.target.value)}
+                    placeholder="Amount"
+                    required
+                  />
+                  <select value={entry.entry_type} onChange={(e) => handleEntryChange(index, 'entry_type', e.target.value)}>
+                    <option value="Debit">Debit</option>
+                    <option value="Credit">Credit</option>
+                  </select>
+                  <button type="button" onClick={() => removeEntry(index)} className="btn-delete">
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <div className="entry-controls">
+                <button type="button" onClick={addEntry}>
+                  Add Another Entry
+                </button>
+              </div>
+              <div className="totals">
+                <p>Total Debits: {formatCurrency(debits)}</p>
+                <p>Total Credits: {formatCurrency(credits)}</p>
+                <p style={{ color: balanced ? 'green' : 'red' }}>
+                  {balanced ? '✓ Balanced' : '✗ Not Balanced'}
+                </p>
+              </div>
+
+              <div className="form-actions">
+                <button type="submit" className="btn-primary" disabled={saving || !balanced}>
+                  {saving ? 'Saving...' : editingId ? 'Update Schedule' : 'Create Schedule'}
+                </button>
+                {editingId && (
+                  <button type="button" className="btn-secondary" onClick={resetForm}>
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header period-toolbar">
+          <h3>Schedules</h3>
+          {isAdmin && (
+            <button className="btn-secondary" onClick={handleRunNow} disabled={running}>
+              {running ? 'Posting...' : 'Post Due Now'}
+            </button>
+          )}
+        </div>
+
+        {loading ? (
+          <div className="no-data">
+            <p>Loading recurring schedules...</p>
+          </div>
+        ) : schedules.length === 0 ? (
+          <div className="no-data">
+            <p>No recurring schedules yet.</p>
+          </div>
+        ) : (
+          <div className="ledger-table-container">
+            <table className="ledger-table party-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Repeats</th>
+                  <th>Amount</th>
+                  <th>Next Run</th>
+                  <th>Posted</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {schedules.map(schedule => (
+                  <tr key={schedule.id} className={schedule.status === 'completed' ? 'inactive-party' : ''}>
+                    <td>
+                      <strong>{schedule.name}</strong>
+                      <div><small>{schedule.description}</small></div>
+                    </td>
+                    <td>
+                      {describeFrequency(schedule)}
+                      <div>
+                        <small>
+                          From {schedule.start_date_display}
+                          {schedule.end_date_display && ` to ${schedule.end_date_display}`}
+                          {schedule.max_occurrences && `, ${schedule.max_occurrences} times`}
+                        </small>
+                      </div>
+                    </td>
+                    <td className="amount">{formatCurrency(schedule.total_amount)}</td>
+                    <td>{schedule.next_run_date_display || '—'}</td>
+                    <td>{schedule.posted_count}</td>
+                    <td>
+                      {STATUS_LABELS[schedule.status]}
+                      {schedule.last_error && <div className="recurring-error"><small>{schedule.last_error}</small></div>}
+                    </td>
+                    <td className="period-actions">
+                      <button onClick={() => loadScheduleDetails(schedule.id)} className="btn-secondary">
+                        View
+                      </button>
+                      {isAdmin && schedule.status !== 'completed' && (
+                        <>
+                          <button onClick={() => handleEdit(schedule)} className="btn-edit">
+                            Edit
+                          </button>
+                          {schedule.status === 'active' ? (
+                            <button onClick={() => handleStatus(schedule, 'pause')} className="btn-secondary">
+                              Pause
+                            </button>
+                          ) : (
+                            <button onClick={() => handleStatus(schedule, 'resume')} className="btn-secondary">
+                              Resume
+                            </button>
+                          )}
+                          <button onClick={() => handleStatus(schedule, 'end')} className="btn-delete">
+                            End
+                          </button>
+                        </>
+                      )}
+                      {isAdmin && schedule.posted_count === 0 && (
+                        <button onClick={() => handleDelete(schedule)} className="btn-delete">
+                          Delete
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {selectedSchedule && (
+        <div className="card">
+          <div className="card-header period-toolbar">
+            <h3>{selectedSchedule.name}</h3>
+            <button className="btn-secondary" onClick={() => setSelectedSchedule(null)}>
+              Close
+            </button>
+          </div>
+          <div className="card-body">
+            <p>
+              {describeFrequency(selectedSchedule)}, {STATUS_LABELS[selectedSchedule.status]}
+              {selectedSchedule.catch_up_mode === 'latest' && ' · only the latest missed occurrence is posted'}
+            </p>
+            <ul className="recurring-entries">
+              {selectedSchedule.entries.map((entry, index) => (
+                <li key={index}>
+                  {entry.entry_type} {accountName(entry.account_id)}: {formatCurrency(entry.amount)}
+                </li>
+              ))}
+            </ul>
+
+            <div className="recurring-details">
+              <div>
+                <h4>Upcoming</h4>
+                {selectedSchedule.upcoming.length === 0 ? (
+                  <p className="form-hint">Nothing more is scheduled.</p>
+                ) : (
+                  <ul className="recurring-upcoming">
+                    {selectedSchedule.upcoming.map(occurrence => (
+                      <li key={occurrence.occurrence_number}>
+                        #{occurrence.occurrence_number} · {occurrence.date_display}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+
+              <div>
+                <h4>Generated</h4>
+                {selectedSchedule.occurrences.length === 0 ? (
+                  <p className="form-hint">Nothing generated yet.</p>
+                ) : (
+                  <table className="ledger-table">
+                    <thead>
+                      <tr>
+                        <th>#</th>
+                        <th>Date</th>
+                        <th>Status</th>
+                        <th>Transaction</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {selectedSchedule.occurrences.map(occurrence => (
+                        <tr key={occurrence.id}>
+                          <td>{occurrence.occurrence_number}</td>
+                          <td>{occurrence.scheduled_date_display}</td>
+                          <td>
+                            <span className={`recurring-status recurring-${occurrence.status}`}>{occurrence.status}</span>
+                            {occurrence.message && <div><small>{occurrence.message}</small></div>}
+                          </td>
+                          <td>
+                            {occurrence.transaction_number ? (
+                              <>
+                                TID-{occurrence.transaction_number}
+                                {occurrence.voucher_number && ` (${occurrence.voucher_number})`}
+                                {occurrence.transaction_status !== 'posted' && <div><small>{occurrence.transaction_status}</small></div>}
+                              </>
+                            ) : '—'}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecurringSchedules;
@@ -0,0 +1,831 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { accountingAPI } from '../utils/api';
+import { formatCurrency } from '../utils/currencyFormatter';
+import { formatTimestamp } from '../utils/timeFormatter';
+import { add, sum } from '../utils/money';
+import { EMPTY_LINE, priceLine, validateLines } from '../utils/documentLines';
+import AuthService from '../utils/auth';
+
+const EMPTY_INVOICE = {
+  customer_id: '',
+  invoice_date: '',
+  due_date: '',
+  reference: '',
+  notes: '',
+  lines: [EMPTY_LINE]
+};
+
+const DATE_PATTERN = /^\d{2}\/\d{2}\/\d{4}$/;
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  approved: 'Approved',
+  voided: 'Voided'
+};
+
+const PAYMENT_STATUS_LABELS = {
+  unpaid: 'Unpaid',
+  partially_paid: 'Partially paid',
+  paid: 'Paid'
+};
+
+const getTodayDDMMYYYY = () => {
+  const today = new Date();
+  const day = today.getDate().toString().padStart(2, '0');
+  const month = (today.getMonth() + 1).toString().padStart(2, '0');
+  return `${day}/${month}/${today.getFullYear()}`;
+};
+
+const SalesInvoices = () => {
+  const [invoices, setInvoices] = useState([]);
+  const [customers, setCustomers] = useState([]);
+  const [revenueAccounts, setRevenueAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [formData, setFormData] = useState({ ...EMPTY_INVOICE, invoice_date: getTodayDDMMYYYY() });
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [selectedInvoice, setSelectedInvoice] = useState(null);
+  const [companyDetails, setCompanyDetails] = useState(null);
+
+  const isAdmin = AuthService.isAdmin();
+
+  useEffect(() => {
+    loadFormOptions();
+    loadCompanyDetails();
+  }, []);
+
+  const loadInvoices = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await accountingAPI.getSalesInvoices(statusFilter);
+      setInvoices(response.data || []);
+    } catch (error) {
+      console.error('Error loading sales invoices:', error);
+      alert('Error loading sales invoices: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    loadInvoices();
+  }, [loadInvoices]);
+
+  const loadFormOptions = async () => {
+    try {
+      const [customersResponse, accountsResponse] = await Promise.all([
+        accountingAPI.getCustomers(),
+        accountingAPI.getAccounts()
+      ]);
+      setCustomers(customersResponse.data || []);
+      setRevenueAccounts((accountsResponse.data || []).filter(account => account.account_type === 'Revenue'));
+    } catch (error) {
+      console.error('Error loading customers and accounts:', error);
+    }
+  };
+
+  const loadCompanyDetails = async () => {
+    try {
+      const response = await accountingAPI.getCompanyDetails();
+      setCompanyDetails(response.data);
+    } catch (error) {
+      console.error('Error loading company details:', error);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleLineChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      lines: prev.lines.map((line, i) => (i === index ? { ...line, [field]: value } : line))
+    }));
+  };
+
+  const addLine = () => {
+    setFormData(prev => ({ ...prev, lines: [...prev.lines, EMPTY_LINE] }));
+  };
+
+  const removeLine = (index) => {
+    setFormData(prev => ({ ...prev, lines: prev.lines.filter((line, i) => i !== index) }));
+  };
+
+  const resetForm = () => {
+    setFormData({ ...EMPTY_INVOICE, invoice_date: getTodayDDMMYYYY() });
+    setEditingId(null);
+  };
+
+  const pricedLines = formData.lines.map(priceLine);
+  const subtotal = sum(pricedLines.map(line => line.amount));
+  const taxTotal = sum(pricedLines.map(line => line.tax));
+  const invoiceTotal = add(subtotal, taxTotal);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!isAdmin) {
+      alert('⚠️ Admin privileges required to manage sales invoices');
+      return;
+    }
+
+    if (!formData.customer_id) {
+      alert('Please select a customer');
+      return;
+    }
+
+    if (!DATE_PATTERN.test(formData.invoice_date) || (formData.due_date && !DATE_PATTERN.test(formData.due_date))) {
+      alert('Please use dd/mm/yyyy format for dates');
+      return;
+    }
+
+    const lineError = validateLines(formData.lines);
+    if (lineError) {
+      alert(lineError);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const invoiceData = {
+        ...formData,
+        customer_id: parseInt(formData.customer_id),
+        lines: formData.lines.map(line => ({ ...line, account_id: parseInt(line.account_id) }))
+      };
+
+      const response = editingId
+        ? await accountingAPI.updateSalesInvoice(editingId, invoiceData)
+        : await accountingAPI.createSalesInvoice(invoiceData);
+
+      alert(response.message);
+      resetForm();
+      setSelectedInvoice(response.data);
+      loadInvoices();
+    } catch (error) {
+      alert('Error saving sales invoice: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleView = async (invoice) => {
+    try {
+      const response = await accountingAPI.getSalesInvoiceById(invoice.id);
+      setSelectedInvoice(response.data);
+    } catch (error) {
+      alert('Error loading sales invoice: ' + error.message);
+    }
+  };
+
+  const handleEdit = async (invoice) => {
+    try {
+      const response = await accountingAPI.getSalesInvoiceById(invoice.id);
+      const details = response.data;
+      setEditingId(details.id);
+      setFormData({
+        customer_id: String(details.customer_id),
+        invoice_date: details.invoice_date,
+        due_date: details.due_date || '',
+        reference: details.reference,
+        notes: details.notes,
+        lines: details.lines.map(line => ({
+          description: line.description,
+          account_id: String(line.account_id),
+          quantity: String(line.quantity),
+          unit_price: String(line.unit_price),
+          tax_rate: String(line.tax_rate)
+        }))
+      });
+    } catch (error) {
+      alert('Error loading sales invoice: ' + error.message);
+    }
+  };
+
+  const handleApprove = async (invoice) => {
+    if (!window.confirm(`Approve the invoice for ${invoice.customer_name} (${formatCurrency(invoice.total)})? Its journal entry will be posted and the invoice can no longer be edited.`)) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.approveSalesInvoice(invoice.id);
+      alert(response.message);
+      setSelectedInvoice(response.data);
+      loadInvoices();
+    } catch (error) {
+      alert('Error approving sales invoice: ' + error.message);
+    }
+  };
+
+  const handleVoid = async (invoice) => {
+    const reason = window.prompt(`Void invoice ${invoice.invoice_number}? Its journal entry will be voided. Reason:`);
+    if (reason === null) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.voidSalesInvoice(invoice.id, reason);
+      alert(response.message);
+      setSelectedInvoice(response.data);
+      loadInvoices();
+    } catch (error) {
+      alert('Error voiding sales invoice: ' + error.message);
+    }
+  };
+
+  const handleDelete = async (invoice) => {
+    if (!window.confirm(`Delete the draft invoice for ${invoice.customer_name}?`)) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.deleteSalesInvoice(invoice.id);
+      alert(response.message);
+      if (selectedInvoice?.id === invoice.id) {
+        setSelectedInvoice(null);
+      }
+      loadInvoices();
+    } catch (error) {
+      alert('Error deleting sales invoice: ' + error.message);
+    }
+  };
+
+  const openInvoiceInNewTab = (invoice) => {
+    const newWindow = window.open('', '_blank');
+
+    const companyName = companyDetails?.company?.name || 'Your Business Name';
+    const companyAddress = companyDetails?.company?.address || 'Business Address';
+    const companyPhone = companyDetails?.company?.phone || 'Business Phone';
+    const companyEmail = companyDetails?.company?.email || 'Business Email';
+    const bank = companyDetails?.bank;
+
+    const generatedAt = formatTimestamp(new Date().toISOString());
+    const title = invoice.status === 'draft' ? 'DRAFT INVOICE' : 'SALES INVOICE';
+
+    const invoiceHTML = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>${invoice.invoice_number || 'Draft Invoice'} - ${invoice.customer_name}</title>
+        <style>
+          body {
+            font-family: 'Segoe UI', Arial, sans-serif;
+            margin: 0;
+            padding: 2rem;
+            color: #1f2937;
+            background: white;
+            line-height: 1.6;
+          }
+
+          .print-controls {
+            text-align: center;
+            margin-bottom: 2rem;
+            padding: 1rem;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            border-radius: 12px;
+            display: flex;
+            justify-content: center;
+            gap: 1rem;
+          }
+
+          .print-button {
+            padding: 12px 24px;
+            background: white;
+            color: #667eea;
+            border: none;
+            border-radius: 8px;
+            cursor: pointer;
+            font-size: 16px;
+            font-weight: 600;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+          }
+
+          .ledger-header {
+            display: grid;
+            grid-template-columns: 1fr 1fr;
+            gap: 3rem;
+            margin-bottom: 2rem;
+            padding-bottom: 2rem;
+            border-bottom: 3px solid #e5e7eb;
+          }
+
+          .company-info h1 {
+            font-size: 2.25rem;
+            font-weight: 700;
+            margin: 0 0 0.5rem 0;
+            line-height: 1.2;
+          }
+
+          .company-info p {
+            margin: 0.25rem 0;
+            color: #6b7280;
+          }
+
+          .ledger-meta {
+            text-align: right;
+          }
+
+          .ledger-title {
+            font-size: 2rem;
+            font-weight: 700;
+            margin: 0 0 1rem 0;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            -webkit-background-clip: text;
+            -webkit-text-fill-color: transparent;
+            background-clip: text;
+          }
+
+          .meta-item {
+            font-size: 0.95rem;
+            color: #6b7280;
+          }
+
+          .meta-item strong {
+            color: #4b5563;
+          }
+
+          .bill-to {
+            margin-bottom: 2rem;
+          }
+
+          .bill-to h3 {
+            margin: 0 0 0.25rem 0;
+            font-size: 0.85rem;
+            text-transform: uppercase;
+            letter-spacing: 0.05em;
+            color: #6b7280;
+          }
+
+          .bill-to p {
+            margin: 0.15rem 0;
+          }
+
+          .table-container {
+            border-radius: 12px;
+            overflow: hidden;
+            box-shadow: 0 8px 25px rgba(0, 0, 0, 0.1);
+            border: 1px solid #e5e7eb;
+            margin-bottom: 2rem;
+          }
+
+          table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.9rem;
+          }
+
+          th {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            font-weight: 600;
+            padding: 1rem 0.75rem;
+            text-align: left;
+            font-size: 0.85rem;
+            text-transform: uppercase;
+            letter-spacing: 0.05em;
+          }
+
+          td {
+            padding: 0.75rem;
+            border-bottom: 1px solid #f3f4f6;
+          }
+
+          .amount-col, .amount-cell {
+            text-align: right;
+          }
+
+          .amount-cell {
+            font-family: 'SF Mono', 'Monaco', 'Consolas', monospace;
+            font-weight: 600;
+          }
+
+          .summary-row {
+            background-color: #f8fafc;
+            font-weight: 700;
+          }
+
+          .summary-row.grand-total {
+            border-top: 2px solid #3b82f6;
+            border-bottom: 2px solid #3b82f6;
+          }
+
+          .invoice-notes, .payment-details {
+            margin-bottom: 1.5rem;
+            color: #4b5563;
+          }
+
+          .voided-banner {
+            padding: 1rem 1.5rem;
+            border-radius: 12px;
+            font-weight: 600;
+            margin-bottom: 2rem;
+            background: #fef2f2;
+            color: #dc2626;
+            border-left: 6px solid #ef4444;
+          }
+
+          .ledger-footer {
+            margin-top: 4rem;
+            padding-top: 2rem;
+            border-top: 2px solid #e5e7eb;
+            text-align: center;
+            color: #6b7280;
+            font-size: 0.875rem;
+          }
+
+          @media print {
+            @page {
+              margin: 0.5in;
+              size: portrait;
+            }
+
+            .print-controls { display: none !important; }
+            body { margin: 0; padding: 0; }
+            .ledger-title { font-size: 1.5rem; }
+            table { font-size: 11px; }
+            th, td { padding: 0.4rem 0.25rem; }
+          }
+        </style>
+      </head>
+      <body>
+        <div class="print-controls">
+          <button class="print-button" onclick="window.print()">🖨️ Print Invoice</button>
+        </div>
+
+        <div class="ledger-header">
+          <div class="company-info">
+            <h1 class="company-name">${companyName}</h1>
+            <p class="company-address">${companyAddress}</p>
+            <p class="company-contact">Phone: ${companyPhone} | Email: ${companyEmail}</p>
+          </div>
+
+          <div class="ledger-meta">
+            <h2 class="ledger-title">${title}</h2>
+            <div class="meta-item"><strong>Invoice No:</strong> ${invoice.invoice_number || 'Not yet numbered'}</div>
+            <div class="meta-item"><strong>Invoice Date:</strong> ${invoice.invoice_date}</div>
+            <div class="meta-item"><strong>Due Date:</strong> ${invoice.due_date}</div>
+            ${invoice.reference ? `<div class="meta-item"><strong>Reference:</strong> ${invoice.reference}</div>` : ''}
+          </div>
+        </div>
+
+        ${invoice.status === 'voided' ? '<div class="voided-banner">❌ This invoice has been voided</div>' : ''}
+
+        <div class="bill-to">
+          <h3>Bill To</h3>
+          <p><strong>${invoice.customer_name}</strong></p>
+        </div>
+
+        <div class="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Description</th>
+                <th class="amount-col">Qty</th>
+                <th class="amount-col">Unit Price (Rs.)</th>
+                <th class="amount-col">Amount (Rs.)</th>
+                <th class="amount-col">Tax</th>
+                <th class="amount-col">Total (Rs.)</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${invoice.lines.map(line => `
+                <tr>
+                  <td>${line.line_number}</td>
+                  <td>${line.description}</td>
+                  <td class="amount-cell">${line.quantity}</td>
+                  <td class="amount-cell">${line.unit_price.toFixed(2)}</td>
+                  <td class="amount-cell">${line.amount.toFixed(2)}</td>
+                  <td class="amount-cell">${line.tax_rate ? `${line.tax_rate}% · ${line.tax_amount.toFixed(2)}` : '-'}</td>
+                  <td class="amount-cell">${line.total.toFixed(2)}</td>
+                </tr>
+              `).join('')}
+
+              <tr class="summary-row">
+                <td colspan="6">Subtotal</td>
+                <td class="amount-cell">${invoice.subtotal.toFixed(2)}</td>
+              </tr>
+              <tr class="summary-row">
+                <td colspan="6">Sales Tax</td>
+                <td class="amount-cell">${invoice.tax_total.toFixed(2)}</td>
+              </tr>
+              <tr class="summary-row grand-total">
+                <td colspan="6"><strong>Total Due</strong></td>
+                <td class="amount-cell">${invoice.total.toFixed(2)}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
+        ${invoice.notes ? `<div class="invoice-notes"><strong>Notes:</strong> ${invoice.notes}</div>` : ''}
+
+        ${bank ? `
+          <div class="payment-details">
+            <strong>Payment details:</strong> ${bank.name} | Account title: ${bank.account_name} | Account no: ${bank.account_number}
+          </div>
+        ` : ''}
+
+        <div class="ledger-footer">
+          <p>Generated on ${generatedAt} | ${companyName} Accounting System | Timezone: Pakistan (UTC+5)</p>
+        </div>
+
+        <script>
+          window.focus();
+        </script>
+      </body>
+      </html>
+    `;
+
+    newWindow.document.write(invoiceHTML);
+    newWindow.document.close();
+  };
+
+  if (loading && invoices.length === 0) {
+    return <div className="sales-invoices">Loading sales invoices...</div>;
+  }
+
+  const activeCustomers = customers.filter(customer => customer.is_active);
+
+  return (
+    <div className="sales-invoices">
+      <div className="page-header">
+        <div className="header-title-row">
+          <h2>Sales Invoices</h2>
+          <div className={`role-badge ${isAdmin ? 'role-admin' : 'role-viewer'}`}>
+            {isAdmin ? '🔑 Admin Mode' : '👁️ Viewer Mode'}
+          </div>
+        </div>
+
+        <p>Bill customers and post the receivable, revenue and sales tax entries on approval</p>
+
+        {!isAdmin && (
+          <div className="viewer-warning">
+            <p>
+              ⚠️ <strong>View-Only Mode:</strong> You can view and print invoices but cannot create or approve them.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {isAdmin && (
+        <div className="card">
+          <div className="card-header">
+            <h3>{editingId ? 'Edit Draft Invoice' : 'New Sales Invoice'}</h3>
+          </div>
+          <div className="card-body">
+            <form onSubmit={handleSubmit} className="invoice-form">
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="invoice-customer" className="form-label">Customer *</label>
+                  <select id="invoice-customer" name="customer_id" className="form-select" value={formData.customer_id} onChange={handleInputChange} required>
+                    <option value="">Select customer</option>
+                    {activeCustomers.map(customer => (
+                      <option key={customer.id} value={customer.id}>
+                        {customer.name} ({customer.payment_terms_days} days)
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="invoice-date" className="form-label">Invoice Date (dd/mm/yyyy) *</label>
+                  <input id="invoice-date" name="invoice_date" className="form-input" value={formData.invoice_date} onChange={handleInputChange} placeholder="dd/mm/yyyy" required />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="invoice-due-date" className="form-label">Due Date (dd/mm/yyyy)</label>
+                  <input id="invoice-due-date" name="due_date" className="form-input" value={formData.due_date} onChange={handleInputChange} placeholder="From customer terms" />
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="invoice-reference" className="form-label">Reference</label>
+                  <input id="invoice-reference" name="reference" className="form-input" value={formData.reference} onChange={handleInputChange} maxLength={50} placeholder="e.g. customer PO number" />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="invoice-notes" className="form-label">Notes</label>
+                  <input id="invoice-notes" name="notes" className="form-input" value={formData.notes} onChange={handleInputChange} />
+                </div>
+              </div>
+
+              <div className="ledger-table-container">
+                <table className="ledger-table document-lines-table">
+                  <thead>
+                    <tr>
+                      <th>Description</th>
+                      <th>Revenue Account</th>
+                      <th className="amount">Qty</th>
+                      <th className="amount">Unit Price</th>
+                      <th className="amount">Tax %</th>
+                      <th className="amount">Amount</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {formData.lines.map((line, index) => (
+                      <tr key={index}>
+                        <td>
+                          <input className="form-input" value={line.description} onChange={(e) => handleLineChange(index, 'description', e.target.value)} placeholder="Item or service" />
+                        </td>
+                        <td>
+                          <select className="form-select" value={line.account_id} onChange={(e) => handleLineChange(index, 'account_id', e.target.value)}>
+                            <option value="">Select account</option>
+                            {revenueAccounts.map(account => (
+                              <option key={account.id} value={account.id}>
+                                {account.account_code} - {account.account_name}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                        <td>
+                          <input className="form-input amount" type="number" step="0.001" min="0" value={line.quantity} onChange={(e) => handleLineChange(index, 'quantity', e.target.value)} />
+                        </td>
+                        <td>
+                          <input className="form-input amount" type="number" step="0.01" min="0" value={line.unit_price} onChange={(e) => handleLineChange(index, 'unit_price', e.target.value)} placeholder="0.00" />
+                        </td>
+                        <td>
+                          <input className="form-input amount" type="number" step="0.01" min="0" max="100" value={line.tax_rate} onChange={(e) => handleLineChange(index, 'tax_rate', e.target.value)} />
+                        </td>
+                        <td className="amount">{formatCurrency(add(pricedLines[index].amount, pricedLines[index].tax))}</td>
+                        <td>
+                          {formData.lines.length > 1 && (
+                            <button type="button" className="btn-delete" onClick={() => removeLine(index)}>
+                              Remove
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="document-totals">
+                <button type="button" className="btn-secondary" onClick={addLine}>
+                  ➕ Add Line
+                </button>
+                <div>
+                  <p><strong>Subtotal:</strong> {formatCurrency(subtotal)}</p>
+                  <p><strong>Sales Tax:</strong> {formatCurrency(taxTotal)}</p>
+                  <p className="document-grand-total"><strong>Total:</strong> {formatCurrency(invoiceTotal)}</p>
+                </div>
+              </div>
+
+              <div className="form-actions">
+                <button type="submit" className="btn-primary" disabled={saving}>
+                  {saving ? 'Saving...' : editingId ? 'Update Draft' : 'Save Draft'}
+                </button>
+                {editingId && (
+                  <button type="button" className="btn-secondary" onClick={resetForm}>
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header period-toolbar">
+          <h3>Invoices</h3>
+          <select className="form-select" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+            <option value="">All statuses</option>
+            {Object.entries(STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        {invoices.length === 0 ? (
+          <div className="no-data">
+            <p>No sales invoices yet.</p>
+          </div>
+        ) : (
+          <div className="ledger-table-container">
+            <table className="ledger-table party-table">
+              <thead>
+                <tr>
+                  <th>Invoice</th>
+                  <th>Customer</th>
+                  <th>Date</th>
+                  <th>Due</th>
+                  <th className="amount">Total</th>
+                  <th className="amount">Open Balance</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {invoices.map(invoice => (
+                  <tr key={invoice.id}>
+                    <td>
+                      <strong>{invoice.invoice_number || 'Draft'}</strong>
+                      {invoice.reference && <div><small>Ref: {invoice.reference}</small></div>}
+                      {invoice.transaction_number && <div><small>Posted as TID-{invoice.transaction_number}</small></div>}
+                    </td>
+                    <td>{invoice.customer_name}</td>
+                    <td>{invoice.invoice_date}</td>
+                    <td>{invoice.due_date}</td>
+                    <td className="amount">{formatCurrency(invoice.total)}</td>
+                    <td className="amount">{invoice.status === 'approved' ? formatCurrency(invoice.open_balance) : '-'}</td>
+                    <td>
+                      <span className={`document-status status-${invoice.status}`}>{STATUS_LABELS[invoice.status]}</span>
+                      {invoice.payment_status && <div><small>{PAYMENT_STATUS_LABELS[invoice.payment_status]}</small></div>}
+                    </td>
+                    <td className="period-actions">
+                      <button onClick={() => handleView(invoice)} className="btn-secondary">
+                        View
+                      </button>
+                      {isAdmin && invoice.status === 'draft' && (
+                        <>
+                          <button onClick={() => handleEdit(invoice)} className="btn-edit">
+                            Edit
+                          </button>
+                          <button onClick={() => handleApprove(invoice)} className="btn-primary">
+                            Approve
+                          </button>
+                          <button onClick={() => handleDelete(invoice)} className="btn-delete">
+                            Delete
+                          </button>
+                        </>
+                      )}
+                      {isAdmin && invoice.status === 'approved' && (
+                        <button onClick={() => handleVoid(invoice)} className="btn-delete">
+                          Void
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {selectedInvoice && (
+        <div className="card">
+          <div className="card-header period-toolbar">
+            <h3>
+              {selectedInvoice.invoice_number || 'Draft Invoice'} - {selectedInvoice.customer_name}
+              {' '}<span className={`document-status status-${selectedInvoice.status}`}>{STATUS_LABELS[selectedInvoice.status]}</span>
+            </h3>
+            <button type="button" className="btn-secondary" onClick={() => openInvoiceInNewTab(selectedInvoice)}>
+              🖨️ Print Invoice
+            </button>
+          </div>
+          <div className="card-body">
+            <p>
+              <strong>Invoice date:</strong> {selectedInvoice.invoice_date} · <strong>Due:</strong> {selectedInvoice.due_date}
+              {selectedInvoice.transaction_number && <> · <strong>Journal entry:</strong> TID-{selectedInvoice.transaction_number}</>}
+            </p>
+            {selectedInvoice.status === 'approved' && (
+              <p>
+                <strong>Received:</strong> {formatCurrency(selectedInvoice.amount_paid)} · <strong>Open balance:</strong> {formatCurrency(selectedInvoice.open_balance)}
+              </p>
+            )}
+            <div className="ledger-table-container">
+              <table className="ledger-table party-table">
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th>Description</th>
+                    <th>Account</th>
+                    <th className="amount">Qty</th>
+                    <th className="amount">Unit Price</th>
+                    <th className="amount">Amount</th>
+                    <th className="amount">Tax</th>
+                    <th className="amount">Total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selectedInvoice.lines.map(line => (
+                    <tr key={line.id}>
+                      <td>{line.line_number}</td>
+                      <td>{line.description}</td>
+                      <td>{line.account_code} - {line.account_name}</td>
+                      <td className="amount">{line.quantity}</td>
+                      <td className="amount">{formatCurrency(line.unit_price)}</td>
+                      <td className="amount">{formatCurrency(line.amount)}</td>
+                      <td className="amount">{line.tax_rate ? `${line.tax_rate}% · ${formatCurrency(line.tax_amount)}` : '-'}</td>
+                      <td className="amount">{formatCurrency(line.total)}</td>
+                    </tr>
+                  ))}
+                  <tr className="closing-balance-row">
+                    <td colSpan="5">Totals</td>
+                    <td className="amount">{formatCurrency(selectedInvoice.subtotal)}</td>
+                    <td className="amount">{formatCurrency(selectedInvoice.tax_total)}</td>
+                    <td className="amount">{formatCurrency(selectedInvoice.total)}</td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SalesInvoices;
@@ -1,17 +1,59 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { accountingAPI } from '../utils/api';
-import { formatCurrency } from '../utils/currencyFormatter';
+import { formatCurrency, getBaseCurrency } from '../utils/currencyFormatter';
+import { convert, equals, isExact, parseAmount, toFixed } from '../utils/money';
+import { sideTotal } from '../utils/journalEntries';
+import { templateLineAmounts } from '../utils/templates';
 import { getCurrentKarachiTime, formatTimestamp } from '../utils/timeFormatter';
 import AuthService from '../utils/auth'; // ADD THIS IMPORT
 
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Fills {date}, {month} and {year} in a template's text from a dd/mm/yyyy date
+const fillPlaceholders = (text, date) => {
+  const [, month, year] = date.split('/');
+  return text
+    .replace(/\{date\}/g, date)
+    .replace(/\{month\}/g, `${MONTH_NAMES[parseInt(month, 10) - 1]} ${year}`)
+    .replace(/\{year\}/g, year);
+};
+
+// Helper function to validate dd/mm/yyyy format
+const isValidDateFormat = (dateStr) => {
+  const regex = /^\d{2}\/\d{2}\/\d{4}$/;
+  if (!regex.test(dateStr)) return false;
+  
+  const parts = dateStr.split('/');
+  const day = parseInt(parts[0], 10);
+  const month = parseInt(parts[1], 10);
+  const year = parseInt(parts[2], 10);
+  
+  // Check if date is valid
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && 
+         date.getMonth() === month - 1 && 
+         date.getDate() === day;
+};
+
 const TransactionForm = ({ onTransactionAdded }) => {
   const [accounts, setAccounts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [nextTID, setNextTID] = useState('');
+  const [nextVoucherNumber, setNextVoucherNumber] = useState('');
+  const [numberSeries, setNumberSeries] = useState([]);
+  const [customers, setCustomers] = useState([]);
+  const [vendors, setVendors] = useState([]);
+  const [dimensionTypes, setDimensionTypes] = useState([]);
+  const [dimensions, setDimensions] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [selectedTemplateId, setSelectedTemplateId] = useState('');
+  const [templateAmount, setTemplateAmount] = useState('');
   const [formData, setFormData] = useState({
     date: '',
     description: '',
     reference: '',
+    is_adjusting: false,
+    series_code: '',
     entries: [{ account_id: '', amount: '', entry_type: 'Debit' }]
   });
   const [currentKarachiTime, setCurrentKarachiTime] = useState(null);
@@ -21,10 +63,14 @@ const TransactionForm = ({ onTransactionAdded }) => {
   const isAdmin = AuthService.isAdmin();
   const userRole = AuthService.getRole();
 
-  // Load accounts and next TID on component mount
+  // Load accounts and number series on component mount
   useEffect(() => {
     loadAccounts();
-    loadNextTID();
+    loadNumberSeries();
+    loadCustomers();
+    loadVendors();
+    loadDimensions();
+    loadTemplates();
     setDefaultDate();
     updateCurrentTime();
   }, []);
@@ -66,14 +112,229 @@ const TransactionForm = ({ onTransactionAdded }) => {
     }
   };
 
-  const loadNextTID = async () => {
+  const loadCustomers = async () => {
+    try {
+      const response = await accountingAPI.getCustomers();
+      setCustomers(response.data || []);
+    } catch (error) {
+      console.error('Error loading customers:', error);
+    }
+  };
+
+  const loadVendors = async () => {
+    try {
+      const response = await accountingAPI.getVendors();
+      setVendors(response.data || []);
+    } catch (error) {
+      console.error('Error loading vendors:', error);
+    }
+  };
+
+  const loadDimensions = async () => {
+    try {
+      const [typesResponse, dimensionsResponse] = await Promise.all([
+        accountingAPI.getDimensionTypes(),
+        accountingAPI.getDimensions()
+      ]);
+      setDimensionTypes(typesResponse.data || []);
+      setDimensions(dimensionsResponse.data || []);
+    } catch (error) {
+      console.error('Error loading dimensions:', error);
+    }
+  };
+
+  // Only dimension types with active values are offered on journal lines
+  const usedDimensionTypes = dimensionTypes.filter(type =>
+    dimensions.some(dimension => dimension.dimension_type === type.type)
+  );
+
+  // Entries on a control account must name the customer or vendor they belong to
+  const getControlType = (accountId) => {
+    const account = accounts.find(item => String(item.id) === String(accountId));
+    return account?.control_type || null;
+  };
+
+  const isReceivableAccount = (accountId) => getControlType(accountId) === 'receivable';
+
+  const isPayableAccount = (accountId) => getControlType(accountId) === 'payable';
+
+  // Entries on an account kept in a foreign currency are entered in that currency
+  const getAccountCurrency = (accountId) => {
+    const account = accounts.find(item => String(item.id) === String(accountId));
+    return account?.currency_code || null;
+  };
+
+  // Base currency amount of a foreign entry, or '' until its amount and rate are valid
+  const convertEntryAmount = (entry) => {
+    if (!isExact(entry.foreign_amount, entry.currency_code) || !entry.exchange_rate) {
+      return '';
+    }
+
+    try {
+      return toFixed(convert(entry.foreign_amount, entry.exchange_rate, entry.currency_code, getBaseCurrency()), getBaseCurrency());
+    } catch (error) {
+      return '';
+    }
+  };
+
+  // Fills in the latest rate on or before the transaction date; a rate typed in by hand is kept
+  const fillExchangeRate = async (index, currency, date) => {
+    if (!isValidDateFormat(date)) return;
+
+    try {
+      const response = await accountingAPI.lookupExchangeRate(currency, date);
+      setFormData(prev => ({
+        ...prev,
+        entries: prev.entries.map((entry, i) => {
+          if (i !== index || entry.currency_code !== currency || entry.rate_entered) {
+            return entry;
+          }
+          const updated = { ...entry, exchange_rate: response.data ? response.data.rate : '' };
+          return { ...updated, amount: convertEntryAmount(updated) };
+        })
+      }));
+    } catch (error) {
+      console.error('Error looking up exchange rate:', error);
+    }
+  };
+
+  const loadTemplates = async () => {
+    try {
+      const response = await accountingAPI.getTransactionTemplates();
+      setTemplates(response.data || []);
+    } catch (error) {
+      console.error('Error loading transaction templates:', error);
+    }
+  };
+
+  const selectedTemplate = templates.find(template => template.id === parseInt(selectedTemplateId));
+  const templateNeedsAmount = selectedTemplate?.lines.some(line => line.amount_type === 'percent');
+
+  // Replaces the entries with the template's lines. Percentage lines are worked out from the
+  // amount typed next to the picker; lines in a foreign currency are left for their own amount.
+  const applyTemplate = () => {
+    if (!isAdmin) {
+      alert('⚠️ Admin privileges required to modify journal entries');
+      return;
+    }
+
+    if (templateNeedsAmount && !(isExact(templateAmount) && parseAmount(templateAmount) > 0)) {
+      alert('Enter the amount the percentage lines of this template are worked out from');
+      return;
+    }
+
+    const hasEntries = formData.entries.some(entry => entry.account_id || entry.amount);
+    if (hasEntries && !window.confirm(`Replace the journal entries with template "${selectedTemplate.name}"?`)) {
+      return;
+    }
+
+    const amounts = templateLineAmounts(selectedTemplate.lines, templateNeedsAmount ? templateAmount : 0);
+    const entries = selectedTemplate.lines.map((line, index) => {
+      const accountId = String(line.account_id);
+      const currency = getAccountCurrency(accountId);
+      if (currency) {
+        return { account_id: accountId, entry_type: line.entry_type, amount: '', currency_code: currency, foreign_amount: '', exchange_rate: '' };
+      }
+
+      return { account_id: accountId, entry_type: line.entry_type, amount: amounts[index] };
+    });
+
+    const dateKnown = isValidDateFormat(formData.date);
+    const fill = (text) => (text && dateKnown ? fillPlaceholders(text, formData.date) : text);
+    setFormData(prev => ({
+      ...prev,
+      description: fill(selectedTemplate.description_pattern) || prev.description,
+      reference: fill(selectedTemplate.reference) || prev.reference,
+      entries
+    }));
+
+    entries.forEach((entry, index) => {
+      if (entry.currency_code) {
+        fillExchangeRate(index, entry.currency_code, formData.date);
+      }
+    });
+  };
+
+  // Quick way to keep the entries on the form as a template: filled-in amounts are kept as
+  // fixed amounts, the rest are entered each time. Percentages are set up on the Templates page.
+  const saveAsTemplate = async () => {
+    if (!isAdmin) {
+      alert('⚠️ Admin privileges required to save templates');
+      return;
+    }
+
+    const lines = formData.entries.filter(entry => entry.account_id);
+    if (lines.length < 2) {
+      alert('Select the accounts of at least two entries first');
+      return;
+    }
+
+    const name = window.prompt('Template name:');
+    if (!name || !name.trim()) {
+      return;
+    }
+    const isShared = window.confirm('Share this template with every user?\n\nOK shares it; Cancel keeps it private to you.');
+
+    try {
+      const response = await accountingAPI.createTransactionTemplate({
+        name: name.trim(),
+        description_pattern: formData.description,
+        reference: formData.reference,
+        is_shared: isShared,
+        lines: lines.map(entry => {
+          const fixed = !entry.currency_code && parseAmount(entry.amount) > 0;
+          return {
+            account_id: parseInt(entry.account_id),
+            entry_type: entry.entry_type,
+            amount_type: fixed ? 'fixed' : 'open',
+            amount: fixed ? toFixed(entry.amount) : null
+          };
+        })
+      });
+      alert(response.message);
+      await loadTemplates();
+      setSelectedTemplateId(String(response.data.id));
+    } catch (error) {
+      alert('Error saving template: ' + error.message);
+    }
+  };
+
+  const loadNumberSeries = async () => {
     try {
-      const response = await accountingAPI.getNextTransactionNumber();
+      const response = await accountingAPI.getNumberSeries();
+      const series = response.data || [];
+      const defaultSeries = series.find(item => item.is_default) || series[0];
+      
+      setNumberSeries(series);
+      if (defaultSeries) {
+        setFormData(prev => ({
+          ...prev,
+          series_code: prev.series_code || defaultSeries.code
+        }));
+      }
+    } catch (error) {
+      console.error('Error loading number series:', error);
+    }
+  };
+
+  // Yearly series restart each fiscal year, so the preview depends on the date
+  const loadNextTID = useCallback(async (seriesCode = '', date = '') => {
+    try {
+      const response = await accountingAPI.getNextTransactionNumber(
+        seriesCode,
+        isValidDateFormat(date) ? date : ''
+      );
       setNextTID(response.data.nextTID);
+      setNextVoucherNumber(response.data.nextNumber);
     } catch (error) {
       console.error('Error loading next TID:', error);
     }
-  };
+  }, []);
+
+  // Refresh the TID and voucher number preview when the series or date changes
+  useEffect(() => {
+    loadNextTID(formData.series_code, formData.date);
+  }, [formData.series_code, formData.date, loadNextTID]);
 
   const handleInputChange = (e) => {
     // ADD THIS: Prevent changes for viewers
@@ -87,6 +348,14 @@ const TransactionForm = ({ onTransactionAdded }) => {
       ...prev,
       [name]: value
     }));
+
+    if (name === 'date') {
+      formData.entries.forEach((entry, index) => {
+        if (entry.currency_code) {
+          fillExchangeRate(index, entry.currency_code, value);
+        }
+      });
+    }
   };
 
   const handleEntryChange = (index, field, value) => {
@@ -98,6 +367,35 @@ const TransactionForm = ({ onTransactionAdded }) => {
     
     const updatedEntries = [...formData.entries];
     updatedEntries[index][field] = value;
+    if (field === 'account_id' && !isReceivableAccount(value)) {
+      delete updatedEntries[index].customer_id;
+    }
+    if (field === 'account_id' && !isPayableAccount(value)) {
+      delete updatedEntries[index].vendor_id;
+    }
+    if (field === 'account_id' && !getControlType(value)) {
+      delete updatedEntries[index].due_date;
+    }
+    if (field === 'account_id') {
+      const currency = getAccountCurrency(value);
+      if (currency !== (updatedEntries[index].currency_code || null)) {
+        updatedEntries[index] = { ...updatedEntries[index], amount: '' };
+        delete updatedEntries[index].foreign_amount;
+        delete updatedEntries[index].exchange_rate;
+        delete updatedEntries[index].rate_entered;
+        delete updatedEntries[index].currency_code;
+        if (currency) {
+          updatedEntries[index] = { ...updatedEntries[index], currency_code: currency, foreign_amount: '', exchange_rate: '' };
+          fillExchangeRate(index, currency, formData.date);
+        }
+      }
+    }
+    if (field === 'exchange_rate') {
+      updatedEntries[index].rate_entered = true;
+    }
+    if (updatedEntries[index].currency_code && ['foreign_amount', 'exchange_rate'].includes(field)) {
+      updatedEntries[index].amount = convertEntryAmount(updatedEntries[index]);
+    }
     setFormData(prev => ({
       ...prev,
       entries: updatedEntries
@@ -133,23 +431,6 @@ const TransactionForm = ({ onTransactionAdded }) => {
     }
   };
 
-  // Helper function to validate dd/mm/yyyy format
-  const isValidDateFormat = (dateStr) => {
-    const regex = /^\d{2}\/\d{2}\/\d{4}$/;
-    if (!regex.test(dateStr)) return false;
-    
-    const parts = dateStr.split('/');
-    const day = parseInt(parts[0], 10);
-    const month = parseInt(parts[1], 10);
-    const year = parseInt(parts[2], 10);
-    
-    // Check if date is valid
-    const date = new Date(year, month - 1, day);
-    return date.getFullYear() === year && 
-           date.getMonth() === month - 1 && 
-           date.getDate() === day;
-  };
-
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -166,13 +447,50 @@ const TransactionForm = ({ onTransactionAdded }) => {
         return;
       }
 
-      // Convert amount to numbers and account_id to integers
+      const foreignEntry = formData.entries.find(entry => entry.currency_code && (!isExact(entry.foreign_amount, entry.currency_code) || !entry.exchange_rate));
+      if (foreignEntry) {
+        alert(`Enter a valid ${foreignEntry.currency_code} amount and exchange rate for every foreign currency entry`);
+        return;
+      }
+
+      if (formData.entries.some(entry => !isExact(entry.amount))) {
+        alert('Amounts cannot have more than 2 decimal places');
+        return;
+      }
+
+      if (formData.entries.some(entry => isReceivableAccount(entry.account_id) && !entry.customer_id)) {
+        alert('Select the customer for every Accounts Receivable entry');
+        return;
+      }
+
+      if (formData.entries.some(entry => isPayableAccount(entry.account_id) && !entry.vendor_id)) {
+        alert('Select the vendor for every Accounts Payable entry');
+        return;
+      }
+
+      if (formData.entries.some(entry => entry.due_date && !/^\d{2}\/\d{2}\/\d{4}$/.test(entry.due_date))) {
+        alert('Please use dd/mm/yyyy format for due dates');
+        return;
+      }
+
+      // Send amounts as exact decimal strings and account_id as integers
       const transactionData = {
         ...formData,
         entries: formData.entries.map(entry => ({
           ...entry,
           account_id: parseInt(entry.account_id),
-          amount: parseFloat(entry.amount)
+          amount: toFixed(entry.amount),
+          customer_id: entry.customer_id ? parseInt(entry.customer_id) : undefined,
+          vendor_id: entry.vendor_id ? parseInt(entry.vendor_id) : undefined,
+          due_date: entry.due_date || undefined,
+          currency_code: entry.currency_code || undefined,
+          foreign_amount: entry.currency_code ? toFixed(entry.foreign_amount, entry.currency_code) : undefined,
+          exchange_rate: entry.currency_code ? entry.exchange_rate : undefined,
+          ...Object.fromEntries(dimensionTypes.map(type => [
+            type.column,
+            entry[type.column] ? parseInt(entry[type.column]) : undefined
+          ])),
+          rate_entered: undefined
         }))
       };
 
@@ -183,22 +501,27 @@ const TransactionForm = ({ onTransactionAdded }) => {
         setLastTransactionTimestamp(timestamp);
       }
       
+      const recordedAs = response.data?.voucherNumber
+        ? `TID-${response.data.transactionNumber} (${response.data.voucherNumber})`
+        : `TID-${nextTID}`;
       const successMessage = timestamp 
-        ? `Transaction TID-${nextTID} recorded successfully!\n\n📅 Recorded at: ${formatTimestamp(timestamp)}\n📍 Timezone: Karachi, Pakistan (UTC+5)`
-        : `Transaction TID-${nextTID} recorded successfully!`;
+        ? `Transaction ${recordedAs} recorded successfully!\n\n📅 Recorded at: ${formatTimestamp(timestamp)}\n📍 Timezone: Karachi, Pakistan (UTC+5)`
+        : `Transaction ${recordedAs} recorded successfully!`;
       
       alert(successMessage);
       
-      // Reset form
-      setFormData({
+      // Reset form (the selected number series is kept for the next voucher)
+      setFormData(prev => ({
         date: '',
         description: '',
         reference: '',
+        is_adjusting: false,
+        series_code: prev.series_code,
         entries: [{ account_id: '', amount: '', entry_type: 'Debit' }]
-      });
+      }));
       
       setDefaultDate();
-      loadNextTID();
+      loadNextTID(formData.series_code, formData.date);
 
       if (onTransactionAdded) {
         onTransactionAdded();
@@ -209,15 +532,11 @@ const TransactionForm = ({ onTransactionAdded }) => {
   };
 
   const calculateTotals = () => {
-    const debits = formData.entries
-      .filter(entry => entry.entry_type === 'Debit')
-      .reduce((sum, entry) => sum + (parseFloat(entry.amount) || 0), 0);
-    
-    const credits = formData.entries
-      .filter(entry => entry.entry_type === 'Credit')
-      .reduce((sum, entry) => sum + (parseFloat(entry.amount) || 0), 0);
+    const debits = sideTotal(formData.entries, 'Debit', getBaseCurrency());
+    const credits = sideTotal(formData.entries, 'Credit', getBaseCurrency());
 
-    return { debits, credits, balanced: Math.abs(debits - credits) < 0.01 };
+    // Debits must equal credits exactly, to the paisa
+    return { debits, credits, balanced: equals(debits, credits) };
   };
 
   const { debits, credits, balanced } = calculateTotals();
@@ -294,6 +613,9 @@ const TransactionForm = ({ onTransactionAdded }) => {
           <div className="tid-header">
             <h3>📋 Transaction #: TID-{nextTID}</h3>
             <p>This transaction will be recorded with Transaction ID: <strong>TID-{nextTID}</strong></p>
+            {nextVoucherNumber && (
+              <p>Voucher number: <strong>{nextVoucherNumber}</strong></p>
+            )}
           </div>
         </div>
       )}
@@ -314,6 +636,24 @@ const TransactionForm = ({ onTransactionAdded }) => {
           <small>Format: dd/mm/yyyy (e.g., 25/11/2024)</small>
         </div>
 
+        <div className="form-group">
+          <label>Number Series:</label>
+          <select
+            name="series_code"
+            value={formData.series_code}
+            onChange={handleInputChange}
+            disabled={!isAdmin || numberSeries.length === 0}
+            title={!isAdmin ? "Admin privileges required to choose the number series" : "Journal the voucher number is taken from"}
+          >
+            {numberSeries.map(series => (
+              <option key={series.code} value={series.code}>
+                {series.code} - {series.name}{series.is_default ? ' (default)' : ''}
+              </option>
+            ))}
+          </select>
+          <small>Voucher numbers are allocated when the transaction is saved</small>
+        </div>
+
         <div className="form-group">
           <label>Description:</label>
           <input
@@ -341,7 +681,62 @@ const TransactionForm = ({ onTransactionAdded }) => {
           />
         </div>
 
+        <div className="form-group adjusting-entry-toggle">
+          <label>
+            <input
+              type="checkbox"
+              checked={formData.is_adjusting}
+              onChange={(e) => isAdmin && setFormData(prev => ({ ...prev, is_adjusting: e.target.checked }))}
+              disabled={!isAdmin}
+            />
+            Adjusting entry (accrual, deferral, depreciation - left out of the unadjusted trial balance)
+          </label>
+        </div>
+
         <h3>Journal Entries</h3>
+        <div className="template-picker">
+          <select
+            value={selectedTemplateId}
+            onChange={(e) => setSelectedTemplateId(e.target.value)}
+            disabled={!isAdmin || templates.length === 0}
+            title={templates.length === 0 ? "No templates saved yet" : "Fill in the entries from a saved template"}
+          >
+            <option value="">{templates.length === 0 ? 'No templates saved' : 'Start from a template...'}</option>
+            {templates.some(template => template.is_own && !template.is_shared) && (
+              <optgroup label="My Templates">
+                {templates.filter(template => template.is_own && !template.is_shared).map(template => (
+                  <option key={template.id} value={template.id}>{template.name}</option>
+                ))}
+              </optgroup>
+            )}
+            {templates.some(template => template.is_shared) && (
+              <optgroup label="Shared Templates">
+                {templates.filter(template => template.is_shared).map(template => (
+                  <option key={template.id} value={template.id}>{template.name}</option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+          {templateNeedsAmount && (
+            <input
+              type="number"
+              step="0.01"
+              min="0.01"
+              placeholder="Amount for % lines"
+              value={templateAmount}
+              onChange={(e) => setTemplateAmount(e.target.value)}
+              disabled={!isAdmin}
+              title="The percentage lines of this template are worked out from this amount"
+            />
+          )}
+          <button type="button" onClick={applyTemplate} disabled={!isAdmin || !selectedTemplate}>
+            Apply Template
+          </button>
+          <button type="button" onClick={saveAsTemplate} disabled={!isAdmin} title="Save these entries as a template">
+            Save as Template
+          </button>
+        </div>
+
         {formData.entries.map((entry, index) => (
           <div key={index} className="journal-entry">
             <select
@@ -364,17 +759,49 @@ const TransactionForm = ({ onTransactionAdded }) => {
               ))}
             </select>
 
-            <input
-              type="number"
-              step="0.01"
-              min="0.01"
-              placeholder="Amount"
-              value={entry.amount}
-              onChange={(e) => handleEntryChange(index, 'amount', e.target.value)}
-              required
-              disabled={!isAdmin}
-              title={!isAdmin ? "Admin privileges required to enter amounts" : ""}
-            />
+            {entry.currency_code ? (
+              <>
+                <input
+                  type="number"
+                  step="0.001"
+                  min="0"
+                  className="entry-foreign-amount"
+                  placeholder={`Amount in ${entry.currency_code}`}
+                  value={entry.foreign_amount}
+                  onChange={(e) => handleEntryChange(index, 'foreign_amount', e.target.value)}
+                  required
+                  disabled={!isAdmin}
+                  title={`Amount in ${entry.currency_code}, the currency this account is kept in`}
+                />
+                <input
+                  type="number"
+                  step="0.00000001"
+                  min="0"
+                  className="entry-exchange-rate"
+                  placeholder={`Rate (${getBaseCurrency()} per ${entry.currency_code})`}
+                  value={entry.exchange_rate}
+                  onChange={(e) => handleEntryChange(index, 'exchange_rate', e.target.value)}
+                  required
+                  disabled={!isAdmin}
+                  title="Filled in from Exchange Rates for the transaction date; change it to use another rate"
+                />
+                <span className="entry-base-amount">
+                  = {entry.amount ? formatCurrency(entry.amount) : '-'}
+                </span>
+              </>
+            ) : (
+              <input
+                type="number"
+                step="0.01"
+                min="0.01"
+                placeholder="Amount"
+                value={entry.amount}
+                onChange={(e) => handleEntryChange(index, 'amount', e.target.value)}
+                required
+                disabled={!isAdmin}
+                title={!isAdmin ? "Admin privileges required to enter amounts" : ""}
+              />
+            )}
 
             <select
               value={entry.entry_type}
@@ -386,6 +813,75 @@ const TransactionForm = ({ onTransactionAdded }) => {
               <option value="Credit">Credit</option>
             </select>
 
+            {isReceivableAccount(entry.account_id) && (
+              <select
+                className="entry-party-select"
+                value={entry.customer_id || ''}
+                onChange={(e) => handleEntryChange(index, 'customer_id', e.target.value)}
+                required
+                disabled={!isAdmin}
+                title={!isAdmin ? "Admin privileges required to select customers" : "Customer this receivable entry belongs to"}
+              >
+                <option value="">Select Customer</option>
+                {customers.map(customer => (
+                  <option key={customer.id} value={customer.id}>
+                    {customer.name}
+                  </option>
+                ))}
+              </select>
+            )}
+
+            {isPayableAccount(entry.account_id) && (
+              <select
+                className="entry-party-select"
+                value={entry.vendor_id || ''}
+                onChange={(e) => handleEntryChange(index, 'vendor_id', e.target.value)}
+                required
+                disabled={!isAdmin}
+                title={!isAdmin ? "Admin privileges required to select vendors" : "Vendor this payable entry belongs to"}
+              >
+                <option value="">Select Vendor</option>
+                {vendors.map(vendor => (
+                  <option key={vendor.id} value={vendor.id}>
+                    {vendor.name}
+                  </option>
+                ))}
+              </select>
+            )}
+
+            {getControlType(entry.account_id) && (
+              <input
+                type="text"
+                className="entry-due-date"
+                value={entry.due_date || ''}
+                onChange={(e) => handleEntryChange(index, 'due_date', e.target.value)}
+                placeholder="Due date dd/mm/yyyy (optional)"
+                disabled={!isAdmin}
+                title="Leave blank to use the payment terms of the customer or vendor"
+              />
+            )}
+
+            {usedDimensionTypes.length > 0 && (
+              <div className="entry-dimensions">
+                {usedDimensionTypes.map(type => (
+                  <select
+                    key={type.type}
+                    value={entry[type.column] || ''}
+                    onChange={(e) => handleEntryChange(index, type.column, e.target.value)}
+                    disabled={!isAdmin}
+                    title={`${type.label} this line is analysed by (optional)`}
+                  >
+                    <option value="">No {type.label.toLowerCase()}</option>
+                    {dimensions.filter(dimension => dimension.dimension_type === type.type).map(dimension => (
+                      <option key={dimension.id} value={dimension.id}>
+                        {dimension.code} - {dimension.name}
+                      </option>
+                    ))}
+                  </select>
+                ))}
+              </div>
+            )}
+
             <button 
               type="button" 
               onClick={() => removeEntry(index)}
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { accountingAPI } from '../utils/api';
-import { formatCurrency } from '../utils/currencyFormatter';
+import { formatAmount, formatCurrency, getBaseCurrency } from '../utils/currencyFormatter';
+import { convert, equals, isExact, parseAmount, sum, toFixed } from '../utils/money';
+import { sideTotal } from '../utils/journalEntries';
 import { formatKarachiTime, formatTimestamp } from '../utils/timeFormatter';
 import AuthService from '../utils/auth'; // ADD THIS IMPORT
 
@@ -25,6 +27,8 @@ const TransactionHistory = ({ refreshKey }) => {
   const [isFullEditMode, setIsFullEditMode] = useState(false);
   const [accounts, setAccounts] = useState([]);
   const [loadingAccounts, setLoadingAccounts] = useState(false);
+  const [dimensionTypes, setDimensionTypes] = useState([]);
+  const [dimensions, setDimensions] = useState([]);
   
   // ADD THIS: Get user role
   const isAdmin = AuthService.isAdmin();
@@ -33,8 +37,27 @@ const TransactionHistory = ({ refreshKey }) => {
   useEffect(() => {
     loadTransactions();
     loadAccounts();
+    loadDimensions();
   }, [refreshKey]);
 
+  const loadDimensions = async () => {
+    try {
+      const [typesResponse, dimensionsResponse] = await Promise.all([
+        accountingAPI.getDimensionTypes(),
+        accountingAPI.getDimensions()
+      ]);
+      setDimensionTypes(typesResponse.data || []);
+      setDimensions(dimensionsResponse.data || []);
+    } catch (error) {
+      console.error('Error loading dimensions:', error);
+    }
+  };
+
+  // Codes of the cost center, department and project a journal line is tagged with
+  const dimensionTags = (entry) => [entry.cost_center_code, entry.department_code, entry.project_code]
+    .filter(Boolean)
+    .join(' · ');
+
   const loadAccounts = async () => {
     try {
       setLoadingAccounts(true);
@@ -67,9 +90,19 @@ const TransactionHistory = ({ refreshKey }) => {
           grouped[transactionId] = {
             id: transactionId,
             transaction_number: entry.transaction_number,
+            voucher_number: entry.voucher_number,
             date: entry.transaction_date,
             description: entry.description,
             reference: entry.reference,
+            status: entry.status || 'posted',
+            source: entry.source || 'manual',
+            is_adjusting: !!entry.is_adjusting,
+            reversal_of: entry.reversal_of,
+            reversal_of_number: entry.reversal_of_number,
+            reversed_by: entry.reversed_by,
+            reversed_by_number: entry.reversed_by_number,
+            reversal_reason: entry.reversal_reason,
+            reversed_at_formatted: entry.reversed_at_formatted,
             created_at: entry.created_at,
             created_at_formatted: entry.created_at_formatted || formatKarachiTime(entry.created_at),
             updated_at: entry.updated_at,
@@ -85,7 +118,13 @@ const TransactionHistory = ({ refreshKey }) => {
           account_code: entry.account_code,
           account_name: entry.account_name,
           amount: parseFloat(entry.amount),
-          entry_type: entry.entry_type
+          entry_type: entry.entry_type,
+          currency_code: entry.currency_code,
+          foreign_amount: entry.foreign_amount,
+          exchange_rate: entry.exchange_rate,
+          cost_center_code: entry.cost_center_code,
+          department_code: entry.department_code,
+          project_code: entry.project_code
         });
       });
       
@@ -106,26 +145,66 @@ const TransactionHistory = ({ refreshKey }) => {
     transaction.id.toString().includes(searchTID)
   );
 
-  const handleDelete = async (transactionId) => {
-    // ADD THIS: Prevent deletion for viewers
+  // Posted transactions are never deleted: reversing posts a mirror entry dated
+  // today (or a chosen date), voiding posts it on the original date.
+  const handleReverse = async (transaction, mode) => {
     if (!isAdmin) {
-      alert('⚠️ Admin privileges required to delete transactions');
+      alert(`⚠️ Admin privileges required to ${mode} transactions`);
+      return;
+    }
+    
+    const tid = `TID-${transaction.transaction_number || transaction.id}`;
+    const reason = window.prompt(
+      mode === 'void'
+        ? `Void ${tid}? A mirror-image entry will be posted on the original date (${formatDateForDisplay(transaction.date)}).\n\nReason for voiding:`
+        : `Reverse ${tid}? A mirror-image entry will be posted and linked to the original.\n\nReason for reversal:`
+    );
+    
+    if (reason === null) {
       return;
     }
     
-    if (!window.confirm('Are you sure you want to delete this transaction? This will permanently remove the transaction and update account balances. This action cannot be undone.')) {
+    if (!reason.trim()) {
+      alert('A reason is required');
       return;
     }
-
+    
+    let date;
+    if (mode === 'reverse') {
+      date = window.prompt('Reversal date (dd/mm/yyyy). Leave blank for today:', '');
+      if (date === null) {
+        return;
+      }
+      date = date.trim();
+      if (date && !date.match(/^\d{2}\/\d{2}\/\d{4}$/)) {
+        alert('Date must be in dd/mm/yyyy format');
+        return;
+      }
+    }
+    
     try {
-      await accountingAPI.deleteTransaction(transactionId);
-      alert('Transaction deleted successfully!');
+      const response = mode === 'void'
+        ? await accountingAPI.voidTransaction(transaction.id, reason.trim())
+        : await accountingAPI.reverseTransaction(transaction.id, reason.trim(), date || undefined);
+      alert(response.data?.message || `Transaction ${mode === 'void' ? 'voided' : 'reversed'} successfully!`);
       loadTransactions();
     } catch (error) {
-      alert('Error deleting transaction: ' + (error.response?.data?.error || error.message));
+      alert(`Error ${mode === 'void' ? 'voiding' : 'reversing'} transaction: ` + (error.response?.data?.message || error.message));
     }
   };
 
+  const scrollToTransaction = (transactionId) => {
+    setSearchTID('');
+    setTimeout(() => {
+      const element = document.getElementById(`transaction-${transactionId}`);
+      if (element) {
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add('transaction-highlight');
+        setTimeout(() => element.classList.remove('transaction-highlight'), 2000);
+      }
+    }, 0);
+  };
+
   const handleEdit = async (transaction) => {
     // ADD THIS: Prevent editing for viewers
     if (!isAdmin) {
@@ -150,7 +229,16 @@ const TransactionHistory = ({ refreshKey }) => {
           account_code: entry.account_code,
           account_name: entry.account_name,
           amount: entry.amount.toString(),
-          entry_type: entry.entry_type
+          entry_type: entry.entry_type,
+          customer_id: entry.customer_id,
+          vendor_id: entry.vendor_id,
+          due_date: entry.due_date,
+          currency_code: entry.currency_code,
+          foreign_amount: entry.currency_code ? entry.foreign_amount.toString() : undefined,
+          exchange_rate: entry.exchange_rate,
+          cost_center_id: entry.cost_center_id,
+          department_id: entry.department_id,
+          project_id: entry.project_id
         }))
       });
       
@@ -182,16 +270,16 @@ const TransactionHistory = ({ refreshKey }) => {
       if (!editFormData.entries || editFormData.entries.length < 2) {
         errors.entries = 'Transaction must have at least two entries';
       } else {
-        const { debits, credits, balanced } = calculateTransactionTotals(editFormData.entries);
+        const { debits, credits, balanced } = calculateEditTotals(editFormData.entries);
         if (!balanced) {
-          errors.balance = `Debits (${debits}) do not equal Credits (${credits})`;
+          errors.balance = `Debits (${toFixed(debits)}) do not equal Credits (${toFixed(credits)})`;
         }
         
         editFormData.entries.forEach((entry, index) => {
           if (!entry.account_id) {
             errors[`entry_${index}_account`] = `Entry ${index + 1}: Account is required`;
           }
-          if (!entry.amount || parseFloat(entry.amount) <= 0) {
+          if (!isExact(entry.amount) || parseAmount(entry.amount) <= 0) {
             errors[`entry_${index}_amount`] = `Entry ${index + 1}: Valid amount is required`;
           }
           if (!entry.entry_type) {
@@ -217,8 +305,17 @@ const TransactionHistory = ({ refreshKey }) => {
       if (isFullEditMode) {
         apiData.entries = editFormData.entries.map(entry => ({
           account_id: parseInt(entry.account_id),
-          amount: parseFloat(entry.amount),
-          entry_type: entry.entry_type
+          amount: toFixed(entry.amount),
+          entry_type: entry.entry_type,
+          customer_id: entry.customer_id || undefined,
+          vendor_id: entry.vendor_id || undefined,
+          due_date: entry.due_date || undefined,
+          currency_code: entry.currency_code || undefined,
+          foreign_amount: entry.currency_code ? entry.foreign_amount : undefined,
+          exchange_rate: entry.currency_code ? entry.exchange_rate : undefined,
+          cost_center_id: entry.cost_center_id ? parseInt(entry.cost_center_id) : undefined,
+          department_id: entry.department_id ? parseInt(entry.department_id) : undefined,
+          project_id: entry.project_id ? parseInt(entry.project_id) : undefined
         }));
       }
       
@@ -268,7 +365,20 @@ const TransactionHistory = ({ refreshKey }) => {
         updatedEntries[index].account_id = value;
         updatedEntries[index].account_code = selectedAccount.account_code;
         updatedEntries[index].account_name = selectedAccount.account_name;
+        // The foreign currency of an entry goes with the account it was recorded on
+        if ((selectedAccount.currency_code || null) !== (updatedEntries[index].currency_code || null)) {
+          updatedEntries[index].currency_code = undefined;
+          updatedEntries[index].foreign_amount = undefined;
+          updatedEntries[index].exchange_rate = undefined;
+        }
       }
+    } else if (field === 'foreign_amount') {
+      // Keeps the rate the entry was recorded at; the base amount follows the foreign one
+      const entry = updatedEntries[index];
+      entry.foreign_amount = value;
+      entry.amount = isExact(value, entry.currency_code) && parseFloat(value) > 0
+        ? convert(value, entry.exchange_rate, entry.currency_code, getBaseCurrency()).toString()
+        : '';
     } else if (field === 'amount') {
       const numValue = parseFloat(value);
       if (!isNaN(numValue) && numValue >= 0) {
@@ -335,19 +445,23 @@ const TransactionHistory = ({ refreshKey }) => {
   const calculateTransactionTotals = (entries) => {
     if (!entries || !Array.isArray(entries)) return { debits: 0, credits: 0, balanced: false };
     
-    const debits = entries
+    const debits = sum(entries
       .filter(entry => entry.entry_type === 'Debit')
-      .reduce((sum, entry) => sum + (parseFloat(entry.amount) || 0), 0);
+      .map(entry => parseAmount(entry.amount)));
     
-    const credits = entries
+    const credits = sum(entries
       .filter(entry => entry.entry_type === 'Credit')
-      .reduce((sum, entry) => sum + (parseFloat(entry.amount) || 0), 0);
+      .map(entry => parseAmount(entry.amount)));
+
+    // Debits must equal credits exactly, to the paisa
+    return { debits, credits, balanced: equals(debits, credits) };
+  };
 
-    return { 
-      debits, 
-      credits, 
-      balanced: Math.abs(debits - credits) < 0.01 
-    };
+  // Edited entries are totalled the way the server will post them, foreign lines converted per side
+  const calculateEditTotals = (entries) => {
+    const debits = sideTotal(entries, 'Debit', getBaseCurrency());
+    const credits = sideTotal(entries, 'Credit', getBaseCurrency());
+    return { debits, credits, balanced: equals(debits, credits) };
   };
 
   const wasTransactionUpdated = (transaction) => {
@@ -379,7 +493,7 @@ const TransactionHistory = ({ refreshKey }) => {
           {!isAdmin && (
             <div className="viewer-warning">
               <p>
-                ⚠️ <strong>View-Only Mode:</strong> You can view all transactions but cannot edit or delete them.
+                ⚠️ <strong>View-Only Mode:</strong> You can view all transactions but cannot edit, reverse or void them.
               </p>
             </div>
           )}
@@ -450,15 +564,43 @@ const TransactionHistory = ({ refreshKey }) => {
           {filteredTransactions.map(transaction => {
             const { debits, credits, balanced } = calculateTransactionTotals(transaction.entries);
             const wasUpdated = wasTransactionUpdated(transaction);
+            const isPosted = transaction.status === 'posted';
+            const isReversalEntry = !!transaction.reversal_of;
+            const isSystemPosting = transaction.source !== 'manual';
             const { debits: editDebits, credits: editCredits, balanced: editBalanced } = 
-              editingTransaction === transaction.id ? calculateTransactionTotals(editFormData.entries) : { debits: 0, credits: 0, balanced: true };
+              editingTransaction === transaction.id ? calculateEditTotals(editFormData.entries) : { debits: 0, credits: 0, balanced: true };
             
             return (
-              <div key={transaction.id} className="transaction-card">
+              <div
+                key={transaction.id}
+                id={`transaction-${transaction.id}`}
+                className={`transaction-card ${!isPosted ? `transaction-${transaction.status}` : ''}`}
+              >
                 <div className="transaction-header">
                   <div className="transaction-info">
                     <div className="transaction-tid">
                       <strong>TID-{transaction.transaction_number || transaction.id}</strong>
+                      {transaction.voucher_number && (
+                        <span className="transaction-voucher-number">{transaction.voucher_number}</span>
+                      )}
+                      {!isPosted && (
+                        <span className={`transaction-status-badge status-${transaction.status}`}>
+                          {transaction.status === 'voided' ? 'Voided' : 'Reversed'}
+                        </span>
+                      )}
+                      {isReversalEntry && (
+                        <span className="transaction-status-badge status-reversal">Reversal Entry</span>
+                      )}
+                      {isSystemPosting && (
+                        <span className="transaction-status-badge status-system">
+                          {transaction.source === 'year_end_close' ? 'Year-End Close'
+                            : transaction.source === 'fx_revaluation' ? 'Exchange Revaluation'
+                            : transaction.source === 'recurring' ? 'Recurring' : 'System'}
+                        </span>
+                      )}
+                      {transaction.is_adjusting && (
+                        <span className="transaction-status-badge status-adjusting">Adjusting</span>
+                      )}
                     </div>
                     <strong>Date: {formatDateForDisplay(transaction.date)}</strong>
                     <span>Reference: {transaction.reference || 'N/A'}</span>
@@ -484,6 +626,34 @@ const TransactionHistory = ({ refreshKey }) => {
                       </div>
                     )}
                     
+                    {transaction.reversed_by && (
+                      <div className="transaction-link-info">
+                        {transaction.status === 'voided' ? 'Voided' : 'Reversed'} by{' '}
+                        <button
+                          type="button"
+                          className="transaction-link"
+                          onClick={() => scrollToTransaction(transaction.reversed_by)}
+                        >
+                          TID-{transaction.reversed_by_number}
+                        </button>
+                        {transaction.reversed_at_formatted?.fullDateTime && ` on ${transaction.reversed_at_formatted.fullDateTime}`}
+                        {transaction.reversal_reason && <span className="reversal-reason">Reason: {transaction.reversal_reason}</span>}
+                      </div>
+                    )}
+                    
+                    {isReversalEntry && (
+                      <div className="transaction-link-info">
+                        Reversal of{' '}
+                        <button
+                          type="button"
+                          className="transaction-link"
+                          onClick={() => scrollToTransaction(transaction.reversal_of)}
+                        >
+                          TID-{transaction.reversal_of_number}
+                        </button>
+                      </div>
+                    )}
+                    
                     {!balanced && <span style={{color: 'red', fontWeight: 'bold'}}>⚠️ Unbalanced Transaction</span>}
                   </div>
                   
@@ -511,23 +681,38 @@ const TransactionHistory = ({ refreshKey }) => {
                             {isFullEditMode ? 'Basic Edit' : 'Full Edit'}
                           </button>
                         </>
-                      ) : (
+                      ) : isPosted && !isReversalEntry ? (
                         <>
+                          {!isSystemPosting && (
+                            <>
+                              <button 
+                                onClick={() => handleEdit(transaction)}
+                                className="btn-edit"
+                                title="Edit this transaction"
+                              >
+                                Edit
+                              </button>
+                              <button 
+                                onClick={() => handleReverse(transaction, 'reverse')}
+                                className="btn-reverse"
+                                title="Post a reversing entry linked to this transaction"
+                              >
+                                Reverse
+                              </button>
+                            </>
+                          )}
                           <button 
-                            onClick={() => handleEdit(transaction)}
-                            className="btn-edit"
-                            title="Edit this transaction"
-                          >
-                            Edit
-                          </button>
-                          <button 
-                            onClick={() => handleDelete(transaction.id)}
+                            onClick={() => handleReverse(transaction, 'void')}
                             className="btn-delete"
-                            title="Delete this transaction"
+                            title="Void this transaction on its original date"
                           >
-                            Delete
+                            Void
                           </button>
                         </>
+                      ) : (
+                        <span className="transaction-locked-note">
+                          {isReversalEntry ? 'Reversal entries are read-only' : `Read-only (${transaction.status})`}
+                        </span>
                       )}
                     </div>
                   ) : (
@@ -539,12 +724,19 @@ const TransactionHistory = ({ refreshKey }) => {
                       >
                         Edit
                       </button>
+                      <button 
+                        className="btn-reverse disabled"
+                        disabled
+                        title="Admin privileges required to reverse transactions"
+                      >
+                        Reverse
+                      </button>
                       <button 
                         className="btn-delete disabled"
                         disabled
-                        title="Admin privileges required to delete transactions"
+                        title="Admin privileges required to void transactions"
                       >
-                        Delete
+                        Void
                       </button>
                     </div>
                   )}
@@ -638,15 +830,30 @@ const TransactionHistory = ({ refreshKey }) => {
                                 </div>
                                 
                                 <div className="form-group">
-                                  <label>Amount:</label>
-                                  <input
-                                    type="number"
-                                    value={entry.amount || ''}
-                                    onChange={(e) => handleEntryChange(index, 'amount', e.target.value)}
-                                    step="0.01"
-                                    min="0"
-                                    className={editErrors[`entry_${index}_amount`] ? 'error' : ''}
-                                  />
+                                  <label>{entry.currency_code ? `Amount (${entry.currency_code}):` : 'Amount:'}</label>
+                                  {entry.currency_code ? (
+                                    <input
+                                      type="number"
+                                      value={entry.foreign_amount || ''}
+                                      onChange={(e) => handleEntryChange(index, 'foreign_amount', e.target.value)}
+                                      step="0.001"
+                                      min="0"
+                                      title={`Converted at ${entry.exchange_rate}, the rate the entry was recorded at`}
+                                      className={editErrors[`entry_${index}_amount`] ? 'error' : ''}
+                                    />
+                                  ) : (
+                                    <input
+                                      type="number"
+                                      value={entry.amount || ''}
+                                      onChange={(e) => handleEntryChange(index, 'amount', e.target.value)}
+                                      step="0.01"
+                                      min="0"
+                                      className={editErrors[`entry_${index}_amount`] ? 'error' : ''}
+                                    />
+                                  )}
+                                  {entry.currency_code && (
+                                    <small className="foreign-amount">= {formatCurrency(parseFloat(entry.amount) || 0)} @ {entry.exchange_rate}</small>
+                                  )}
                                   {editErrors[`entry_${index}_amount`] && (
                                     <span className="error-message">{editErrors[`entry_${index}_amount`]}</span>
                                   )}
@@ -663,6 +870,25 @@ const TransactionHistory = ({ refreshKey }) => {
                                   </select>
                                 </div>
                                 
+                                {dimensionTypes
+                                  .filter(type => entry[type.column] || dimensions.some(dimension => dimension.dimension_type === type.type))
+                                  .map(type => (
+                                    <div className="form-group" key={type.type}>
+                                      <label>{type.label}:</label>
+                                      <select
+                                        value={entry[type.column] || ''}
+                                        onChange={(e) => handleEntryChange(index, type.column, e.target.value)}
+                                      >
+                                        <option value="">None</option>
+                                        {dimensions.filter(dimension => dimension.dimension_type === type.type).map(dimension => (
+                                          <option key={dimension.id} value={dimension.id}>
+                                            {dimension.code} - {dimension.name}
+                                          </option>
+                                        ))}
+                                      </select>
+                                    </div>
+                                  ))}
+                                
                                 <div className="form-group">
                                   <label>&nbsp;</label>
                                   <button 
@@ -744,9 +970,19 @@ const TransactionHistory = ({ refreshKey }) => {
                       <h4>Journal Entries:</h4>
                       {transaction.entries.map((entry) => (
                         <div key={entry.id} className={`journal-entry-item ${entry.entry_type.toLowerCase()}`}>
-                          <span>{entry.account_code} - {entry.account_name}</span>
+                          <span>
+                            {entry.account_code} - {entry.account_name}
+                            {dimensionTags(entry) && <small className="dimension-tags">{dimensionTags(entry)}</small>}
+                          </span>
                           <span className={entry.entry_type === 'Debit' ? 'amount-positive' : 'amount-neutral'}>
                             {formatCurrency(entry.amount)} ({entry.entry_type})
+                            {entry.currency_code && (
+                              <small className="foreign-amount">
+                                {entry.foreign_amount === null
+                                  ? `${entry.currency_code} revaluation @ ${entry.exchange_rate}`
+                                  : `${entry.currency_code} ${formatAmount(entry.foreign_amount, entry.currency_code)} @ ${entry.exchange_rate}`}
+                              </small>
+                            )}
                           </span>
                         </div>
                       ))}
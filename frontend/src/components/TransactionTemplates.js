@@ -0,0 +1,358 @@
+import React, { useState, useEffect } from 'react';
+import { accountingAPI } from '../utils/api';
+import { formatCurrency } from '../utils/currencyFormatter';
+import AuthService from '../utils/auth';
+
+const EMPTY_LINE = { account_id: '', entry_type: 'Debit', amount_type: 'open', amount: '' };
+
+const EMPTY_TEMPLATE = {
+  name: '',
+  description_pattern: '',
+  reference: '',
+  is_shared: false,
+  lines: [{ ...EMPTY_LINE }, { ...EMPTY_LINE, entry_type: 'Credit' }]
+};
+
+const describeAmount = (line) => {
+  if (line.amount_type === 'fixed') {
+    return formatCurrency(line.amount);
+  }
+  if (line.amount_type === 'percent') {
+    return `${line.amount}% of amount`;
+  }
+  return 'Entered each time';
+};
+
+const TransactionTemplates = () => {
+  const [templates, setTemplates] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState(EMPTY_TEMPLATE);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const isAdmin = AuthService.isAdmin();
+
+  useEffect(() => {
+    loadTemplates();
+    loadAccounts();
+  }, []);
+
+  const loadTemplates = async () => {
+    try {
+      setLoading(true);
+      const response = await accountingAPI.getTransactionTemplates();
+      setTemplates(response.data || []);
+    } catch (error) {
+      console.error('Error loading transaction templates:', error);
+      alert('Error loading transaction templates: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadAccounts = async () => {
+    try {
+      const response = await accountingAPI.getAccounts();
+      setAccounts(response.data || []);
+    } catch (error) {
+      console.error('Error loading accounts:', error);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleLineChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      lines: prev.lines.map((line, i) => {
+        if (i !== index) {
+          return line;
+        }
+        const updated = { ...line, [field]: value };
+        return field === 'amount_type' && value === 'open' ? { ...updated, amount: '' } : updated;
+      })
+    }));
+  };
+
+  const addLine = () => {
+    setFormData(prev => ({ ...prev, lines: [...prev.lines, { ...EMPTY_LINE }] }));
+  };
+
+  const removeLine = (index) => {
+    if (formData.lines.length <= 2) {
+      alert('A template needs at least two lines');
+      return;
+    }
+    setFormData(prev => ({ ...prev, lines: prev.lines.filter((line, i) => i !== index) }));
+  };
+
+  const resetForm = () => {
+    setFormData(EMPTY_TEMPLATE);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!isAdmin) {
+      alert('⚠️ Admin privileges required to manage transaction templates');
+      return;
+    }
+
+    const templateData = {
+      ...formData,
+      lines: formData.lines.map(line => ({
+        account_id: parseInt(line.account_id),
+        entry_type: line.entry_type,
+        amount_type: line.amount_type,
+        amount: line.amount_type === 'open' ? null : line.amount
+      }))
+    };
+
+    try {
+      setSaving(true);
+      const response = editingId
+        ? await accountingAPI.updateTransactionTemplate(editingId, templateData)
+        : await accountingAPI.createTransactionTemplate(templateData);
+      alert(response.message);
+      resetForm();
+      loadTemplates();
+    } catch (error) {
+      alert('Error saving template: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (template) => {
+    setEditingId(template.id);
+    setFormData({
+      name: template.name,
+      description_pattern: template.description_pattern || '',
+      reference: template.reference || '',
+      is_shared: template.is_shared,
+      lines: template.lines.map(line => ({
+        account_id: String(line.account_id),
+        entry_type: line.entry_type,
+        amount_type: line.amount_type,
+        amount: line.amount === null ? '' : String(line.amount)
+      }))
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleDelete = async (template) => {
+    const warning = template.is_shared ? '\n\nIt is shared, so it will be removed for every user.' : '';
+    if (!window.confirm(`Delete template "${template.name}"?${warning}`)) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.deleteTransactionTemplate(template.id);
+      alert(response.message);
+      if (editingId === template.id) {
+        resetForm();
+      }
+      loadTemplates();
+    } catch (error) {
+      alert('Error deleting template: ' + error.message);
+    }
+  };
+
+  const accountName = (accountId) => {
+    const account = accounts.find(candidate => candidate.id === accountId);
+    return account ? `${account.account_code} - ${account.account_name}` : `Account ${accountId}`;
+  };
+
+  const editingTemplate = templates.find(template => template.id === editingId);
+
+  return (
+    <div className="transaction-templates">
+      <div className="page-header">
+        <div className="header-title-row">
+          <h2>Transaction Templates</h2>
+          <div className={`role-badge ${isAdmin ? 'role-admin' : 'role-viewer'}`}>
+            {isAdmin ? '🔑 Admin Mode' : '👁️ Viewer Mode'}
+          </div>
+        </div>
+
+        <p>
+          Save the journal entries you record again and again, then pick them on Record Transaction to fill in the lines.
+          Private templates are only listed for you; shared ones are listed for everyone.
+        </p>
+
+        {!isAdmin && (
+          <div className="viewer-warning">
+            <p>
+              ⚠️ <strong>View-Only Mode:</strong> You can view shared templates but cannot change them.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {isAdmin && (
+        <div className="card">
+          <div className="card-header">
+            <h3>{editingId ? 'Edit Template' : 'New Template'}</h3>
+          </div>
+          <div className="card-body">
+            <form onSubmit={handleSubmit}>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="template-name" className="form-label">Name *</label>
+                  <input id="template-name" name="name" className="form-input" value={formData.name} onChange={handleInputChange} maxLength={100} placeholder="e.g. Cash sale with sales tax" required />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="template-description" className="form-label">Description</label>
+                  <input id="template-description" name="description_pattern" className="form-input" value={formData.description_pattern} onChange={handleInputChange} maxLength={200} placeholder="e.g. Cash sales for {date}" />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="template-reference" className="form-label">Reference</label>
+                  <input id="template-reference" name="reference" className="form-input" value={formData.reference} onChange={handleInputChange} maxLength={100} />
+                </div>
+              </div>
+              <p className="form-hint">{'{date}'}, {'{month}'} and {'{year}'} in the description or reference are replaced using the transaction date.</p>
+
+              <label className="toggle-label">
+                <input
+                  type="checkbox"
+                  name="is_shared"
+                  checked={formData.is_shared}
+                  onChange={handleInputChange}
+                  disabled={editingTemplate && !editingTemplate.is_own}
+                />
+                Shared with every user
+              </label>
+
+              <h4>Lines</h4>
+              {formData.lines.map((line, index) => (
+                <div key={index} className="journal-entry template-line">
+                  <select value={line.account_id} onChange={(e) => handleLineChange(index, 'account_id', e.target.value)} required>
+                    <option value="">Select Account</option>
+                    {accounts.map(account => (
+                      <option key={account.id} value={account.id}>
+                        {account.account_code} - {account.account_name}
+                      </option>
+                    ))}
+                  </select>
+                  <select value={line.entry_type} onChange={(e) => handleLineChange(index, 'entry_type', e.target.value)}>
+                    <option value="Debit">Debit</option>
+                    <option value="Credit">Credit</option>
+                  </select>
+                  <select value={line.amount_type} onChange={(e) => handleLineChange(index, 'amount_type', e.target.value)}>
+                    <option value="open">Amount entered each time</option>
+                    <option value="fixed">Fixed amount</option>
+                    <option value="percent">Percentage of amount</option>
+                  </select>
+                  {line.amount_type !== 'open' && (
+                    <input
+                      type="number"
+                      step={line.amount_type === 'percent' ? '0.0001' : '0.01'}
+                      min={line.amount_type === 'percent' ? '0.0001' : '0.01'}
+                      value={line.amount}
+                      onChange={(e) => handleLineChange(index, 'amount', e.target.value)}
+                      placeholder={line.amount_type === 'percent' ? '%' : 'Amount'}
+                      required
+                    />
+                  )}
+                  <button type="button" onClick={() => removeLine(index)} className="btn-delete">
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <div className="entry-controls">
+                <button type="button" onClick={addLine}>
+                  Add Another Line
+                </button>
+              </div>
+              <p className="form-hint">
+                Percentage lines are worked out from the amount entered when the template is applied, e.g. 100% to revenue and 17% to sales tax against 117% to cash.
+              </p>
+
+              <div className="form-actions">
+                <button type="submit" className="btn-primary" disabled={saving}>
+                  {saving ? 'Saving...' : editingId ? 'Update Template' : 'Save Template'}
+                </button>
+                {editingId && (
+                  <button type="button" className="btn-secondary" onClick={resetForm}>
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Templates</h3>
+        </div>
+
+        {loading ? (
+          <div className="no-data">
+            <p>Loading transaction templates...</p>
+          </div>
+        ) : templates.length === 0 ? (
+          <div className="no-data">
+            <p>No transaction templates yet.</p>
+          </div>
+        ) : (
+          <div className="ledger-table-container">
+            <table className="ledger-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Lines</th>
+                  <th>Visibility</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {templates.map(template => (
+                  <tr key={template.id}>
+                    <td>
+                      <strong>{template.name}</strong>
+                      {template.description_pattern && <div><small>{template.description_pattern}</small></div>}
+                    </td>
+                    <td>
+                      <ul className="template-lines">
+                        {template.lines.map((line, index) => (
+                          <li key={index}>
+                            {line.entry_type} {accountName(line.account_id)}: {describeAmount(line)}
+                          </li>
+                        ))}
+                      </ul>
+                    </td>
+                    <td>
+                      {template.is_shared ? '👥 Shared' : '🔒 Private'}
+                      {template.created_by && <div><small>by {template.created_by}</small></div>}
+                    </td>
+                    <td className="period-actions">
+                      {isAdmin && (
+                        <>
+                          <button onClick={() => handleEdit(template)} className="btn-edit">
+                            Edit
+                          </button>
+                          <button onClick={() => handleDelete(template)} className="btn-delete">
+                            Delete
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TransactionTemplates;
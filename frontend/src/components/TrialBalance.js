@@ -0,0 +1,510 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { accountingAPI } from '../utils/api';
+import { formatTimestamp } from '../utils/timeFormatter';
+import { formatCurrency, formatAmount } from '../utils/currencyFormatter';
+import AuthService from '../utils/auth';
+
+const VARIANT_LABELS = {
+  adjusted: 'Adjusted Trial Balance',
+  unadjusted: 'Unadjusted Trial Balance',
+  post_closing: 'Post-Closing Trial Balance'
+};
+
+const getTodayDDMMYYYY = () => {
+  const today = new Date();
+  const day = today.getDate().toString().padStart(2, '0');
+  const month = (today.getMonth() + 1).toString().padStart(2, '0');
+  return `${day}/${month}/${today.getFullYear()}`;
+};
+
+const TrialBalance = () => {
+  const [asOf, setAsOf] = useState(getTodayDDMMYYYY());
+  const [variant, setVariant] = useState('adjusted');
+  const [hideZeroBalances, setHideZeroBalances] = useState(true);
+  const [trialBalance, setTrialBalance] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [companyDetails, setCompanyDetails] = useState(null);
+
+  const isAdmin = AuthService.isAdmin();
+
+  const loadCompanyDetails = async () => {
+    try {
+      const response = await accountingAPI.getCompanyDetails();
+      setCompanyDetails(response.data);
+    } catch (error) {
+      console.error('Error loading company details:', error);
+    }
+  };
+
+  const loadTrialBalance = useCallback(async (date, trialBalanceVariant) => {
+    const dateRegex = /^\d{2}\/\d{2}\/\d{4}$/;
+    if (!dateRegex.test(date)) {
+      alert('Please use dd/mm/yyyy format for the date');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await accountingAPI.getTrialBalance(date, trialBalanceVariant);
+      setTrialBalance(response.data);
+    } catch (error) {
+      console.error('Error loading trial balance:', error);
+      alert('Error loading trial balance: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Today's adjusted trial balance on first load; Generate reloads with the chosen date and variant
+  useEffect(() => {
+    loadTrialBalance(getTodayDDMMYYYY(), 'adjusted');
+    loadCompanyDetails();
+  }, [loadTrialBalance]);
+
+  const visibleAccounts = trialBalance
+    ? trialBalance.accounts.filter(account =>
+        !hideZeroBalances || account.debit_balance !== 0 || account.credit_balance !== 0)
+    : [];
+
+  // Zero totals are shown as a dash, like an empty ledger column
+  const displayAmount = (amount) => (amount ? formatAmount(amount) : '-');
+  const printAmount = (amount) => (amount ? amount.toFixed(2) : '-');
+
+  const openTrialBalanceInNewTab = () => {
+    if (!trialBalance) return;
+
+    const newWindow = window.open('', '_blank');
+
+    const companyName = companyDetails?.company?.name || 'Your Business Name';
+    const companyAddress = companyDetails?.company?.address || 'Business Address';
+    const companyPhone = companyDetails?.company?.phone || 'Business Phone';
+    const companyEmail = companyDetails?.company?.email || 'Business Email';
+    const preparedBy = companyDetails?.system?.prepared_by || 'Manager';
+
+    const currentTime = new Date();
+    const reportGeneratedAt = formatTimestamp(currentTime.toISOString());
+    const title = VARIANT_LABELS[trialBalance.variant];
+
+    const trialBalanceHTML = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>${title} - ${trialBalance.asOf}</title>
+        <style>
+          body {
+            font-family: 'Segoe UI', Arial, sans-serif;
+            margin: 0;
+            padding: 2rem;
+            color: #1f2937;
+            background: white;
+            line-height: 1.6;
+          }
+
+          .print-controls {
+            text-align: center;
+            margin-bottom: 2rem;
+            padding: 1rem;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            border-radius: 12px;
+            display: flex;
+            justify-content: center;
+            gap: 1rem;
+          }
+
+          .print-button {
+            padding: 12px 24px;
+            background: white;
+            color: #667eea;
+            border: none;
+            border-radius: 8px;
+            cursor: pointer;
+            font-size: 16px;
+            font-weight: 600;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+          }
+
+          .ledger-header {
+            display: grid;
+            grid-template-columns: 1fr 1fr;
+            gap: 3rem;
+            margin-bottom: 3rem;
+            padding-bottom: 2rem;
+            border-bottom: 3px solid #e5e7eb;
+          }
+
+          .company-info h1 {
+            font-size: 2.25rem;
+            font-weight: 700;
+            margin: 0 0 0.5rem 0;
+            line-height: 1.2;
+          }
+
+          .company-info p {
+            margin: 0.25rem 0;
+            color: #6b7280;
+          }
+
+          .ledger-meta {
+            text-align: right;
+          }
+
+          .ledger-title {
+            font-size: 2rem;
+            font-weight: 700;
+            margin: 0 0 1rem 0;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            -webkit-background-clip: text;
+            -webkit-text-fill-color: transparent;
+            background-clip: text;
+          }
+
+          .meta-item {
+            font-size: 0.95rem;
+            color: #6b7280;
+          }
+
+          .meta-item strong {
+            color: #4b5563;
+          }
+
+          .table-container {
+            border-radius: 12px;
+            overflow: hidden;
+            box-shadow: 0 8px 25px rgba(0, 0, 0, 0.1);
+            border: 1px solid #e5e7eb;
+            margin-bottom: 3rem;
+          }
+
+          table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.9rem;
+          }
+
+          th {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            font-weight: 600;
+            padding: 1rem 0.75rem;
+            text-align: left;
+            font-size: 0.85rem;
+            text-transform: uppercase;
+            letter-spacing: 0.05em;
+          }
+
+          td {
+            padding: 0.75rem;
+            border-bottom: 1px solid #f3f4f6;
+          }
+
+          .code-cell {
+            font-family: 'SF Mono', 'Monaco', 'Consolas', monospace;
+            color: #6b7280;
+          }
+
+          .type-cell {
+            color: #6b7280;
+          }
+
+          .amount-col, .amount-cell {
+            text-align: right;
+          }
+
+          .amount-cell {
+            font-family: 'SF Mono', 'Monaco', 'Consolas', monospace;
+            font-weight: 600;
+          }
+
+          .debit { color: #dc2626; }
+          .credit { color: #059669; }
+
+          .summary-row {
+            background-color: #f8fafc;
+            font-weight: 700;
+            border-top: 2px solid #3b82f6;
+            border-bottom: 2px solid #3b82f6;
+          }
+
+          .balance-status {
+            padding: 1rem 1.5rem;
+            border-radius: 12px;
+            font-weight: 600;
+            margin-bottom: 2rem;
+          }
+
+          .balance-status.balanced {
+            background: #ecfdf5;
+            color: #059669;
+            border-left: 6px solid #10b981;
+          }
+
+          .balance-status.unbalanced {
+            background: #fef2f2;
+            color: #dc2626;
+            border-left: 6px solid #ef4444;
+          }
+
+          .ledger-footer {
+            margin-top: 4rem;
+            padding-top: 2rem;
+            border-top: 2px solid #e5e7eb;
+            text-align: center;
+            color: #6b7280;
+            font-size: 0.875rem;
+          }
+
+          @media print {
+            @page {
+              margin: 0.5in;
+              size: portrait;
+            }
+
+            .print-controls { display: none !important; }
+            body { margin: 0; padding: 0; }
+            .ledger-header {
+              grid-template-columns: 1fr;
+              gap: 1rem;
+              margin-bottom: 1.5rem;
+            }
+            .ledger-meta { text-align: center; }
+            .company-info { text-align: center; }
+            .ledger-title { font-size: 1.5rem; }
+            table { font-size: 11px; }
+            th, td { padding: 0.4rem 0.25rem; }
+          }
+        </style>
+      </head>
+      <body>
+        <div class="print-controls">
+          <button class="print-button" onclick="window.print()">🖨️ Print Trial Balance</button>
+        </div>
+
+        <div class="ledger-header">
+          <div class="company-info">
+            <h1 class="company-name">${companyName}</h1>
+            <p class="company-address">${companyAddress}</p>
+            <p class="company-contact">Phone: ${companyPhone} | Email: ${companyEmail}</p>
+          </div>
+
+          <div class="ledger-meta">
+            <h2 class="ledger-title">${title.toUpperCase()}</h2>
+            <div class="meta-item"><strong>As of:</strong> ${trialBalance.asOf}</div>
+            <div class="meta-item"><strong>Fiscal Year:</strong> ${trialBalance.fiscalYear}</div>
+            <div class="meta-item"><strong>Prepared by:</strong> ${preparedBy}</div>
+            <div class="meta-item"><strong>Report Generated:</strong> ${reportGeneratedAt}</div>
+          </div>
+        </div>
+
+        <div class="balance-status ${trialBalance.isBalanced ? 'balanced' : 'unbalanced'}">
+          ${trialBalance.isBalanced
+            ? '✅ Trial balance is in balance - total debits equal total credits'
+            : `❌ Trial balance is out of balance by Rs. ${trialBalance.difference.toFixed(2)}`}
+        </div>
+
+        <div class="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Code</th>
+                <th>Account</th>
+                <th>Type</th>
+                <th class="amount-col">Total Debits (Rs.)</th>
+                <th class="amount-col">Total Credits (Rs.)</th>
+                <th class="amount-col">Debit Balance (Rs.)</th>
+                <th class="amount-col">Credit Balance (Rs.)</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${visibleAccounts.map(account => `
+                <tr>
+                  <td class="code-cell">${account.account_code}</td>
+                  <td>${account.account_name}</td>
+                  <td class="type-cell">${account.account_type}</td>
+                  <td class="amount-cell">${printAmount(account.total_debits)}</td>
+                  <td class="amount-cell">${printAmount(account.total_credits)}</td>
+                  <td class="amount-cell debit">${printAmount(account.debit_balance)}</td>
+                  <td class="amount-cell credit">${printAmount(account.credit_balance)}</td>
+                </tr>
+              `).join('')}
+
+              <tr class="summary-row">
+                <td></td>
+                <td><strong>Grand Total</strong></td>
+                <td></td>
+                <td class="amount-cell">${trialBalance.totals.total_debits.toFixed(2)}</td>
+                <td class="amount-cell">${trialBalance.totals.total_credits.toFixed(2)}</td>
+                <td class="amount-cell debit">${trialBalance.totals.debit_balance.toFixed(2)}</td>
+                <td class="amount-cell credit">${trialBalance.totals.credit_balance.toFixed(2)}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
+        <div class="ledger-footer">
+          <p>Generated on ${reportGeneratedAt} | ${companyName} Accounting System | Timezone: Pakistan (UTC+5)</p>
+        </div>
+
+        <script>
+          window.focus();
+        </script>
+      </body>
+      </html>
+    `;
+
+    newWindow.document.write(trialBalanceHTML);
+    newWindow.document.close();
+  };
+
+  return (
+    <div className="trial-balance">
+      <div className="page-header">
+        <div className="header-title-row">
+          <h2>Trial Balance</h2>
+          <div className={`role-badge ${isAdmin ? 'role-admin' : 'role-viewer'}`}>
+            {isAdmin ? '🔑 Admin Mode' : '👁️ Viewer Mode'}
+          </div>
+        </div>
+
+        <p>Debit and credit totals for every account, built directly from the journal</p>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Report Options</h3>
+        </div>
+
+        <div className="card-body">
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="tb-as-of" className="form-label">
+                As of Date (dd/mm/yyyy)
+              </label>
+              <input
+                type="text"
+                id="tb-as-of"
+                value={asOf}
+                onChange={(e) => setAsOf(e.target.value)}
+                className="form-input"
+                placeholder="dd/mm/yyyy"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="tb-variant" className="form-label">
+                Variant
+              </label>
+              <select
+                id="tb-variant"
+                value={variant}
+                onChange={(e) => setVariant(e.target.value)}
+                className="form-select"
+              >
+                {Object.entries(VARIANT_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="form-check">
+            <input
+              type="checkbox"
+              id="tb-hide-zero"
+              checked={hideZeroBalances}
+              onChange={(e) => setHideZeroBalances(e.target.checked)}
+              className="form-check-input"
+            />
+            <label htmlFor="tb-hide-zero" className="form-check-label">
+              Hide accounts with a zero balance
+            </label>
+          </div>
+
+          <div className="form-actions">
+            <button
+              onClick={() => loadTrialBalance(asOf, variant)}
+              disabled={!asOf || loading}
+              className="btn btn-primary"
+            >
+              {loading ? 'Loading...' : 'Generate Trial Balance'}
+            </button>
+            <button
+              onClick={openTrialBalanceInNewTab}
+              disabled={!trialBalance || loading}
+              className="btn btn-secondary"
+            >
+              🖨️ Open Printable Version
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {trialBalance && (
+        <div className="card">
+          <div className="card-header">
+            <h3>{VARIANT_LABELS[trialBalance.variant]} as of {trialBalance.asOf}</h3>
+            <span className={`trial-balance-status ${trialBalance.isBalanced ? 'balanced' : 'unbalanced'}`}>
+              {trialBalance.isBalanced
+                ? '✅ In balance'
+                : `❌ Out of balance by ${formatCurrency(trialBalance.difference)}`}
+            </span>
+          </div>
+
+          <div className="card-body">
+            {visibleAccounts.length === 0 ? (
+              <div className="no-data">No account balances as of this date.</div>
+            ) : (
+              <div className="ledger-table-container">
+                <table className="ledger-table trial-balance-table">
+                  <thead>
+                    <tr>
+                      <th>Code</th>
+                      <th>Account</th>
+                      <th>Type</th>
+                      <th className="amount">Total Debits</th>
+                      <th className="amount">Total Credits</th>
+                      <th className="amount">Debit Balance</th>
+                      <th className="amount">Credit Balance</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {visibleAccounts.map(account => (
+                      <tr key={account.account_id} className={!account.is_active ? 'inactive-account' : ''}>
+                        <td>{account.account_code}</td>
+                        <td>{account.account_name}</td>
+                        <td>{account.account_type}</td>
+                        <td className="amount">{displayAmount(account.total_debits)}</td>
+                        <td className="amount">{displayAmount(account.total_credits)}</td>
+                        <td className="amount debit-amount">{displayAmount(account.debit_balance)}</td>
+                        <td className="amount credit-amount">{displayAmount(account.credit_balance)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                  <tfoot>
+                    <tr className="trial-balance-totals">
+                      <td colSpan="3"><strong>Grand Total</strong></td>
+                      <td className="amount">{formatCurrency(trialBalance.totals.total_debits)}</td>
+                      <td className="amount">{formatCurrency(trialBalance.totals.total_credits)}</td>
+                      <td className="amount debit-amount">{formatCurrency(trialBalance.totals.debit_balance)}</td>
+                      <td className="amount credit-amount">{formatCurrency(trialBalance.totals.credit_balance)}</td>
+                    </tr>
+                  </tfoot>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="help-text">
+        <p><strong>Variants:</strong></p>
+        <ul>
+          <li><strong>Unadjusted:</strong> leaves out adjusting entries recorded in the current fiscal year</li>
+          <li><strong>Adjusted:</strong> includes adjusting entries, before the year-end closing entries</li>
+          <li><strong>Post-Closing:</strong> includes year-end closing entries, so only balance sheet accounts remain</li>
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default TrialBalance;
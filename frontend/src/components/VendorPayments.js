@@ -0,0 +1,541 @@
+import React, { useState, useEffect } from 'react';
+import { accountingAPI } from '../utils/api';
+import { formatCurrency } from '../utils/currencyFormatter';
+import { subtract, sum, compare, isExact, toMinor, fromMinor } from '../utils/money';
+import AuthService from '../utils/auth';
+
+const EMPTY_PAYMENT = {
+  vendor_id: '',
+  payment_date: '',
+  payment_account_id: '',
+  amount: '',
+  reference: '',
+  notes: ''
+};
+
+const DATE_PATTERN = /^\d{2}\/\d{2}\/\d{4}$/;
+
+const getTodayDDMMYYYY = () => {
+  const today = new Date();
+  const day = today.getDate().toString().padStart(2, '0');
+  const month = (today.getMonth() + 1).toString().padStart(2, '0');
+  return `${day}/${month}/${today.getFullYear()}`;
+};
+
+// Spreads an amount over open bills, oldest due first: { [billId]: '123.45' }
+const allocateOldestFirst = (amount, openBills) => {
+  let remaining = toMinor(amount);
+  const allocations = {};
+  openBills.forEach(bill => {
+    const applied = Math.min(remaining, toMinor(bill.open_balance));
+    if (applied > 0) {
+      allocations[bill.id] = String(fromMinor(applied));
+      remaining -= applied;
+    }
+  });
+  return allocations;
+};
+
+// { [billId]: amount } -> [{ bill_id, amount }], skipping empty inputs
+const toAllocationList = (allocations) =>
+  Object.entries(allocations)
+    .filter(([, amount]) => amount !== '' && Number(amount) !== 0)
+    .map(([billId, amount]) => ({ bill_id: parseInt(billId), amount }));
+
+const VendorPayments = () => {
+  const [payments, setPayments] = useState([]);
+  const [vendors, setVendors] = useState([]);
+  const [cashAccounts, setCashAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState({ ...EMPTY_PAYMENT, payment_date: getTodayDDMMYYYY() });
+  const [openBills, setOpenBills] = useState([]);
+  const [allocations, setAllocations] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [selectedPayment, setSelectedPayment] = useState(null);
+  const [creditBills, setCreditBills] = useState([]);
+  const [creditAllocations, setCreditAllocations] = useState({});
+
+  const isAdmin = AuthService.isAdmin();
+
+  useEffect(() => {
+    loadPayments();
+    loadFormOptions();
+  }, []);
+
+  useEffect(() => {
+    loadOpenBills(formData.vendor_id, setOpenBills);
+    setAllocations({});
+  }, [formData.vendor_id]);
+
+  const loadPayments = async () => {
+    try {
+      setLoading(true);
+      const response = await accountingAPI.getVendorPayments();
+      setPayments(response.data || []);
+    } catch (error) {
+      console.error('Error loading vendor payments:', error);
+      alert('Error loading vendor payments: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadFormOptions = async () => {
+    try {
+      const [vendorsResponse, accountsResponse] = await Promise.all([
+        accountingAPI.getVendors(),
+        accountingAPI.getAccounts()
+      ]);
+      setVendors((vendorsResponse.data || []).filter(vendor => vendor.is_active));
+      setCashAccounts((accountsResponse.data || []).filter(account => account.cash_flow_category === 'cash'));
+    } catch (error) {
+      console.error('Error loading vendors and accounts:', error);
+    }
+  };
+
+  const loadOpenBills = async (vendorId, setBills) => {
+    if (!vendorId) {
+      setBills([]);
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.getOpenPurchaseBills(vendorId);
+      setBills(response.data || []);
+    } catch (error) {
+      console.error('Error loading open bills:', error);
+      setBills([]);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const resetForm = () => {
+    setFormData({ ...EMPTY_PAYMENT, payment_date: getTodayDDMMYYYY() });
+    setAllocations({});
+  };
+
+  const safeSum = (values) => {
+    try {
+      return sum(values.filter(value => value !== ''));
+    } catch (error) {
+      return 0;
+    }
+  };
+
+  const allocatedTotal = safeSum(Object.values(allocations));
+  const paymentAmount = formData.amount && isExact(formData.amount) ? formData.amount : 0;
+  const unapplied = subtract(paymentAmount, allocatedTotal);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!isAdmin) {
+      alert('⚠️ Admin privileges required to record payments');
+      return;
+    }
+
+    if (!formData.vendor_id || !formData.payment_account_id) {
+      alert('Please select a vendor and a cash or bank account');
+      return;
+    }
+
+    if (!DATE_PATTERN.test(formData.payment_date)) {
+      alert('Please use dd/mm/yyyy format for dates');
+      return;
+    }
+
+    if (!formData.amount || !isExact(formData.amount) || compare(formData.amount, 0) <= 0) {
+      alert('Payment amount must be positive with no more than 2 decimal places');
+      return;
+    }
+
+    if (Object.values(allocations).some(amount => amount !== '' && !isExact(amount))) {
+      alert('Allocations cannot have more than 2 decimal places');
+      return;
+    }
+
+    if (compare(unapplied, 0) < 0) {
+      alert('Allocations cannot exceed the payment amount');
+      return;
+    }
+
+    if (compare(unapplied, 0) > 0 && !window.confirm(`${formatCurrency(unapplied)} of this payment is not applied to any bill and will stay with the vendor as credit. Continue?`)) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await accountingAPI.createVendorPayment({
+        ...formData,
+        vendor_id: parseInt(formData.vendor_id),
+        payment_account_id: parseInt(formData.payment_account_id),
+        allocations: toAllocationList(allocations)
+      });
+
+      alert(response.message);
+      resetForm();
+      setSelectedPayment(response.data);
+      loadPayments();
+    } catch (error) {
+      alert('Error recording payment: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleView = async (payment) => {
+    try {
+      const response = await accountingAPI.getVendorPaymentById(payment.id);
+      setSelectedPayment(response.data);
+      setCreditAllocations({});
+      if (isAdmin && response.data.status === 'posted' && response.data.unapplied_amount > 0) {
+        loadOpenBills(response.data.vendor_id, setCreditBills);
+      } else {
+        setCreditBills([]);
+      }
+    } catch (error) {
+      alert('Error loading vendor payment: ' + error.message);
+    }
+  };
+
+  const handleApplyCredit = async () => {
+    const list = toAllocationList(creditAllocations);
+    if (list.length === 0) {
+      alert('Enter an amount against at least one bill');
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.allocateVendorPayment(selectedPayment.id, list);
+      alert(response.message);
+      handleView(response.data);
+      loadPayments();
+    } catch (error) {
+      alert('Error applying credit: ' + error.message);
+    }
+  };
+
+  const handleRemoveAllocation = async (allocation) => {
+    if (!window.confirm(`Remove the ${formatCurrency(allocation.amount)} applied to bill ${allocation.bill_number}? The bill will be open again for that amount.`)) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.removeVendorPaymentAllocation(selectedPayment.id, allocation.bill_id);
+      alert(response.message);
+      handleView(response.data);
+      loadPayments();
+    } catch (error) {
+      alert('Error removing allocation: ' + error.message);
+    }
+  };
+
+  const handleVoid = async (payment) => {
+    const reason = window.prompt(`Void payment ${payment.payment_number}? Its journal entry will be voided and the bills it settled will be open again. Reason:`);
+    if (reason === null) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.voidVendorPayment(payment.id, reason);
+      alert(response.message);
+      setSelectedPayment(response.data);
+      setCreditBills([]);
+      loadPayments();
+    } catch (error) {
+      alert('Error voiding payment: ' + error.message);
+    }
+  };
+
+  const renderAllocationTable = (bills, values, setValues) => (
+    <div className="ledger-table-container">
+      <table className="ledger-table party-table">
+        <thead>
+          <tr>
+            <th>Bill</th>
+            <th>Date</th>
+            <th>Due</th>
+            <th className="amount">Total</th>
+            <th className="amount">Open Balance</th>
+            <th className="amount">Apply</th>
+          </tr>
+        </thead>
+        <tbody>
+          {bills.map(bill => (
+            <tr key={bill.id}>
+              <td>
+                <strong>{bill.bill_number}</strong>
+                {bill.vendor_invoice_number && <div><small>Vendor inv: {bill.vendor_invoice_number}</small></div>}
+              </td>
+              <td>{bill.bill_date}</td>
+              <td>{bill.due_date}</td>
+              <td className="amount">{formatCurrency(bill.total)}</td>
+              <td className="amount">{formatCurrency(bill.open_balance)}</td>
+              <td className="amount">
+                <input
+                  className="form-input amount"
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  max={bill.open_balance}
+                  value={values[bill.id] || ''}
+                  onChange={(e) => setValues(prev => ({ ...prev, [bill.id]: e.target.value }))}
+                  placeholder="0.00"
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  if (loading && payments.length === 0) {
+    return <div className="vendor-payments">Loading vendor payments...</div>;
+  }
+
+  return (
+    <div className="vendor-payments">
+      <div className="page-header">
+        <div className="header-title-row">
+          <h2>Vendor Payments</h2>
+          <div className={`role-badge ${isAdmin ? 'role-admin' : 'role-viewer'}`}>
+            {isAdmin ? '🔑 Admin Mode' : '👁️ Viewer Mode'}
+          </div>
+        </div>
+
+        <p>Pay vendors from a cash or bank account and settle one or many bills; any excess stays with the vendor as credit</p>
+
+        {!isAdmin && (
+          <div className="viewer-warning">
+            <p>
+              ⚠️ <strong>View-Only Mode:</strong> You can view payments but cannot record or void them.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {isAdmin && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Record Payment</h3>
+          </div>
+          <div className="card-body">
+            <form onSubmit={handleSubmit}>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="payment-vendor" className="form-label">Vendor *</label>
+                  <select id="payment-vendor" name="vendor_id" className="form-select" value={formData.vendor_id} onChange={handleInputChange} required>
+                    <option value="">Select vendor</option>
+                    {vendors.map(vendor => (
+                      <option key={vendor.id} value={vendor.id}>
+                        {vendor.name} ({formatCurrency(vendor.balance)} owed)
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="payment-account" className="form-label">Paid From *</label>
+                  <select id="payment-account" name="payment_account_id" className="form-select" value={formData.payment_account_id} onChange={handleInputChange} required>
+                    <option value="">Select cash or bank account</option>
+                    {cashAccounts.map(account => (
+                      <option key={account.id} value={account.id}>
+                        {account.account_code} - {account.account_name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="payment-date" className="form-label">Payment Date (dd/mm/yyyy) *</label>
+                  <input id="payment-date" name="payment_date" className="form-input" value={formData.payment_date} onChange={handleInputChange} placeholder="dd/mm/yyyy" required />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="payment-amount" className="form-label">Amount *</label>
+                  <input id="payment-amount" name="amount" type="number" step="0.01" min="0" className="form-input" value={formData.amount} onChange={handleInputChange} placeholder="0.00" required />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="payment-reference" className="form-label">Reference</label>
+                  <input id="payment-reference" name="reference" className="form-input" value={formData.reference} onChange={handleInputChange} maxLength={50} placeholder="e.g. cheque number" />
+                </div>
+              </div>
+              <div className="form-group">
+                <label htmlFor="payment-notes" className="form-label">Notes</label>
+                <input id="payment-notes" name="notes" className="form-input" value={formData.notes} onChange={handleInputChange} />
+              </div>
+
+              {formData.vendor_id && (
+                openBills.length === 0 ? (
+                  <p className="form-hint">This vendor has no open bills; the payment will be recorded as credit on account.</p>
+                ) : (
+                  renderAllocationTable(openBills, allocations, setAllocations)
+                )
+              )}
+
+              <div className="document-totals">
+                <button
+                  type="button"
+                  className="btn-secondary"
+                  onClick={() => setAllocations(allocateOldestFirst(paymentAmount, openBills))}
+                  disabled={openBills.length === 0 || !paymentAmount}
+                >
+                  Apply Oldest First
+                </button>
+                <div>
+                  <p><strong>Applied to bills:</strong> {formatCurrency(allocatedTotal)}</p>
+                  <p className={compare(unapplied, 0) < 0 ? 'unbalanced' : ''}>
+                    <strong>{compare(unapplied, 0) < 0 ? 'Over-applied:' : 'Unapplied credit:'}</strong> {formatCurrency(unapplied)}
+                  </p>
+                </div>
+              </div>
+
+              <div className="form-actions">
+                <button type="submit" className="btn-primary" disabled={saving}>
+                  {saving ? 'Posting...' : 'Post Payment'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Payments</h3>
+        </div>
+
+        {payments.length === 0 ? (
+          <div className="no-data">
+            <p>No vendor payments yet.</p>
+          </div>
+        ) : (
+          <div className="ledger-table-container">
+            <table className="ledger-table party-table">
+              <thead>
+                <tr>
+                  <th>Payment</th>
+                  <th>Vendor</th>
+                  <th>Date</th>
+                  <th>Paid From</th>
+                  <th className="amount">Amount</th>
+                  <th className="amount">Unapplied</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {payments.map(payment => (
+                  <tr key={payment.id}>
+                    <td>
+                      <strong>{payment.payment_number}</strong>
+                      {payment.reference && <div><small>Ref: {payment.reference}</small></div>}
+                    </td>
+                    <td>{payment.vendor_name}</td>
+                    <td>{payment.payment_date}</td>
+                    <td>{payment.payment_account_code} - {payment.payment_account_name}</td>
+                    <td className="amount">{formatCurrency(payment.amount)}</td>
+                    <td className="amount">{payment.unapplied_amount ? formatCurrency(payment.unapplied_amount) : '-'}</td>
+                    <td>
+                      <span className={`document-status status-${payment.status === 'posted' ? 'approved' : 'voided'}`}>
+                        {payment.status === 'posted' ? 'Posted' : 'Voided'}
+                      </span>
+                    </td>
+                    <td className="period-actions">
+                      <button onClick={() => handleView(payment)} className="btn-secondary">
+                        View
+                      </button>
+                      {isAdmin && payment.status === 'posted' && (
+                        <button onClick={() => handleVoid(payment)} className="btn-delete">
+                          Void
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {selectedPayment && (
+        <div className="card">
+          <div className="card-header">
+            <h3>{selectedPayment.payment_number} - {selectedPayment.vendor_name}</h3>
+          </div>
+          <div className="card-body">
+            <p>
+              <strong>Paid:</strong> {formatCurrency(selectedPayment.amount)} on {selectedPayment.payment_date} from {selectedPayment.payment_account_code} - {selectedPayment.payment_account_name}
+              {selectedPayment.transaction_number && <> · <strong>Journal entry:</strong> TID-{selectedPayment.transaction_number}</>}
+            </p>
+            {selectedPayment.status === 'posted' && (
+              <p>
+                <strong>Applied to bills:</strong> {formatCurrency(selectedPayment.allocated_amount)} · <strong>Unapplied credit:</strong> {formatCurrency(selectedPayment.unapplied_amount)}
+              </p>
+            )}
+
+            {selectedPayment.allocations.length > 0 && (
+              <div className="ledger-table-container">
+                <table className="ledger-table party-table">
+                  <thead>
+                    <tr>
+                      <th>Bill</th>
+                      <th>Bill Date</th>
+                      <th className="amount">Applied</th>
+                      {isAdmin && <th>Actions</th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selectedPayment.allocations.map(allocation => (
+                      <tr key={allocation.bill_id}>
+                        <td>
+                          <strong>{allocation.bill_number}</strong>
+                          {allocation.vendor_invoice_number && <div><small>Vendor inv: {allocation.vendor_invoice_number}</small></div>}
+                        </td>
+                        <td>{allocation.bill_date}</td>
+                        <td className="amount">{formatCurrency(allocation.amount)}</td>
+                        {isAdmin && (
+                          <td className="period-actions">
+                            <button onClick={() => handleRemoveAllocation(allocation)} className="btn-delete">
+                              Remove
+                            </button>
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {creditBills.length > 0 && (
+              <>
+                <h4>Apply Unapplied Credit</h4>
+                {renderAllocationTable(creditBills, creditAllocations, setCreditAllocations)}
+                <div className="form-actions">
+                  <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={() => setCreditAllocations(allocateOldestFirst(selectedPayment.unapplied_amount, creditBills))}
+                  >
+                    Apply Oldest First
+                  </button>
+                  <button type="button" className="btn-primary" onClick={handleApplyCredit}>
+                    Apply Credit
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VendorPayments;
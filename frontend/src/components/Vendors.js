@@ -0,0 +1,413 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { accountingAPI } from '../utils/api';
+import { formatCurrency } from '../utils/currencyFormatter';
+import AuthService from '../utils/auth';
+
+const EMPTY_VENDOR = {
+  name: '',
+  contact_person: '',
+  email: '',
+  phone: '',
+  address: '',
+  tax_number: '',
+  payment_terms_days: '30'
+};
+
+const DATE_PATTERN = /^\d{2}\/\d{2}\/\d{4}$/;
+
+const Vendors = () => {
+  const [vendors, setVendors] = useState([]);
+  const [subledger, setSubledger] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [showInactive, setShowInactive] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_VENDOR);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [statementVendor, setStatementVendor] = useState(null);
+  const [statementStart, setStatementStart] = useState('');
+  const [statementEnd, setStatementEnd] = useState('');
+  const [statement, setStatement] = useState(null);
+  const [loadingStatement, setLoadingStatement] = useState(false);
+
+  const isAdmin = AuthService.isAdmin();
+
+  const loadVendors = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [vendorsResponse, subledgerResponse] = await Promise.all([
+        accountingAPI.getVendors(showInactive),
+        accountingAPI.getPayablesSubledger()
+      ]);
+      setVendors(vendorsResponse.data || []);
+      setSubledger(subledgerResponse.data);
+    } catch (error) {
+      console.error('Error loading vendors:', error);
+      alert('Error loading vendors: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [showInactive]);
+
+  useEffect(() => {
+    loadVendors();
+  }, [loadVendors]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const resetForm = () => {
+    setFormData(EMPTY_VENDOR);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!isAdmin) {
+      alert('⚠️ Admin privileges required to manage vendors');
+      return;
+    }
+
+    if (!formData.name.trim()) {
+      alert('Vendor name is required');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const vendorData = {
+        ...formData,
+        payment_terms_days: formData.payment_terms_days === '' ? 30 : parseInt(formData.payment_terms_days)
+      };
+
+      const response = editingId
+        ? await accountingAPI.updateVendor(editingId, vendorData)
+        : await accountingAPI.createVendor(vendorData);
+
+      alert(response.message);
+      resetForm();
+      loadVendors();
+    } catch (error) {
+      alert('Error saving vendor: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (vendor) => {
+    setEditingId(vendor.id);
+    setFormData({
+      name: vendor.name,
+      contact_person: vendor.contact_person || '',
+      email: vendor.email || '',
+      phone: vendor.phone || '',
+      address: vendor.address || '',
+      tax_number: vendor.tax_number || '',
+      payment_terms_days: String(vendor.payment_terms_days)
+    });
+  };
+
+  const handleDeactivate = async (vendor) => {
+    if (!isAdmin) {
+      alert('⚠️ Admin privileges required to manage vendors');
+      return;
+    }
+
+    if (!window.confirm(`Deactivate ${vendor.name}? They will no longer be offered on new transactions.`)) {
+      return;
+    }
+
+    try {
+      const response = await accountingAPI.deactivateVendor(vendor.id);
+      alert(response.message);
+      loadVendors();
+    } catch (error) {
+      alert('Error deactivating vendor: ' + error.message);
+    }
+  };
+
+  const handleViewStatement = async (e) => {
+    e.preventDefault();
+
+    if (!DATE_PATTERN.test(statementStart) || !DATE_PATTERN.test(statementEnd)) {
+      alert('Please use dd/mm/yyyy format for dates');
+      return;
+    }
+
+    try {
+      setLoadingStatement(true);
+      const response = await accountingAPI.getVendorStatement(statementVendor.id, statementStart, statementEnd);
+      setStatement(response.data);
+    } catch (error) {
+      alert('Error loading statement: ' + error.message);
+    } finally {
+      setLoadingStatement(false);
+    }
+  };
+
+  const openStatement = (vendor) => {
+    setStatementVendor(vendor);
+    setStatement(null);
+  };
+
+  if (loading && vendors.length === 0) {
+    return <div className="vendors">Loading vendors...</div>;
+  }
+
+  const reconciliation = subledger?.reconciliation;
+
+  return (
+    <div className="vendors">
+      <div className="page-header">
+        <div className="header-title-row">
+          <h2>Vendors</h2>
+          <div className={`role-badge ${isAdmin ? 'role-admin' : 'role-viewer'}`}>
+            {isAdmin ? '🔑 Admin Mode' : '👁️ Viewer Mode'}
+          </div>
+        </div>
+
+        <p>What we owe: the accounts payable sub-ledger behind the payable control account</p>
+
+        {!isAdmin && (
+          <div className="viewer-warning">
+            <p>
+              ⚠️ <strong>View-Only Mode:</strong> You can view vendors and statements but cannot add or change vendors.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {reconciliation && (
+        <div className="card subledger-summary">
+          <div className="card-header">
+            <h3>Payables Sub-Ledger</h3>
+            <span className={`subledger-status ${reconciliation.isReconciled ? 'reconciled' : 'unreconciled'}`}>
+              {reconciliation.isReconciled ? '✅ Reconciled' : '⚠️ Out of balance'}
+            </span>
+          </div>
+          <div className="card-body">
+            <p><strong>Vendor balances:</strong> {formatCurrency(reconciliation.subledgerBalance)}</p>
+            {reconciliation.unassignedBalance !== 0 && (
+              <p>
+                <strong>Not assigned to a vendor:</strong> {formatCurrency(reconciliation.unassignedBalance)}
+                <small> (entries posted before the account became a control account)</small>
+              </p>
+            )}
+            <p>
+              <strong>Control account{reconciliation.controlAccounts.length === 1 ? '' : 's'}</strong>
+              {' '}({reconciliation.controlAccounts.map(account => account.account_code).join(', ') || 'none'}):
+              {' '}{formatCurrency(reconciliation.controlBalance)}
+            </p>
+            {!reconciliation.isReconciled && (
+              <p className="unbalanced">
+                <strong>Difference:</strong> {formatCurrency(reconciliation.difference)}. An administrator can rebuild account balances from the journal to fix drift.
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {isAdmin && (
+        <div className="card">
+          <div className="card-header">
+            <h3>{editingId ? 'Edit Vendor' : 'Add Vendor'}</h3>
+          </div>
+          <div className="card-body">
+            <form onSubmit={handleSubmit} className="vendor-form">
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="vendor-name" className="form-label">Name *</label>
+                  <input id="vendor-name" name="name" className="form-input" value={formData.name} onChange={handleInputChange} maxLength={100} required />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="vendor-contact" className="form-label">Contact Person</label>
+                  <input id="vendor-contact" name="contact_person" className="form-input" value={formData.contact_person} onChange={handleInputChange} />
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="vendor-email" className="form-label">Email</label>
+                  <input id="vendor-email" name="email" type="email" className="form-input" value={formData.email} onChange={handleInputChange} />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="vendor-phone" className="form-label">Phone</label>
+                  <input id="vendor-phone" name="phone" className="form-input" value={formData.phone} onChange={handleInputChange} />
+                </div>
+              </div>
+              <div className="form-group">
+                <label htmlFor="vendor-address" className="form-label">Address</label>
+                <input id="vendor-address" name="address" className="form-input" value={formData.address} onChange={handleInputChange} />
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="vendor-tax" className="form-label">Tax Number (NTN/STRN)</label>
+                  <input id="vendor-tax" name="tax_number" className="form-input" value={formData.tax_number} onChange={handleInputChange} />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="vendor-terms" className="form-label">Payment Terms (days)</label>
+                  <input id="vendor-terms" name="payment_terms_days" type="number" step="1" min="0" max="365" className="form-input" value={formData.payment_terms_days} onChange={handleInputChange} />
+                </div>
+              </div>
+              <div className="form-actions">
+                <button type="submit" className="btn-primary" disabled={saving}>
+                  {saving ? 'Saving...' : editingId ? 'Update Vendor' : 'Add Vendor'}
+                </button>
+                {editingId && (
+                  <button type="button" className="btn-secondary" onClick={resetForm}>
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header period-toolbar">
+          <h3>Vendor Balances</h3>
+          <label className="toggle-label">
+            <input
+              type="checkbox"
+              checked={showInactive}
+              onChange={(e) => setShowInactive(e.target.checked)}
+            />
+            Show inactive vendors
+          </label>
+        </div>
+
+        {vendors.length === 0 ? (
+          <div className="no-data">
+            <p>No vendors yet.</p>
+          </div>
+        ) : (
+          <div className="ledger-table-container">
+            <table className="ledger-table party-table">
+              <thead>
+                <tr>
+                  <th>Vendor</th>
+                  <th>Contact</th>
+                  <th>Terms</th>
+                  <th className="amount">Balance</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {vendors.map(vendor => (
+                  <tr key={vendor.id} className={vendor.is_active ? '' : 'inactive-party'}>
+                    <td>
+                      <strong>{vendor.name}</strong>
+                      {vendor.tax_number && <div><small>Tax #: {vendor.tax_number}</small></div>}
+                      {!vendor.is_active && <div><small>Inactive</small></div>}
+                    </td>
+                    <td>
+                      {vendor.contact_person || '-'}
+                      {(vendor.email || vendor.phone) && (
+                        <div><small>{[vendor.email, vendor.phone].filter(Boolean).join(' · ')}</small></div>
+                      )}
+                    </td>
+                    <td>{vendor.payment_terms_days} days</td>
+                    <td className="amount">{formatCurrency(vendor.balance)}</td>
+                    <td className="period-actions">
+                      <button onClick={() => openStatement(vendor)} className="btn-secondary">
+                        Statement
+                      </button>
+                      {isAdmin && vendor.is_active && (
+                        <>
+                          <button onClick={() => handleEdit(vendor)} className="btn-edit">
+                            Edit
+                          </button>
+                          <button onClick={() => handleDeactivate(vendor)} className="btn-delete">
+                            Deactivate
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {statementVendor && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Statement of Account - {statementVendor.name}</h3>
+          </div>
+          <div className="card-body">
+            <form onSubmit={handleViewStatement} className="form-row">
+              <div className="form-group">
+                <label htmlFor="statement-start" className="form-label">From Date (dd/mm/yyyy)</label>
+                <input id="statement-start" className="form-input" value={statementStart} onChange={(e) => setStatementStart(e.target.value)} placeholder="dd/mm/yyyy" />
+              </div>
+              <div className="form-group">
+                <label htmlFor="statement-end" className="form-label">To Date (dd/mm/yyyy)</label>
+                <input id="statement-end" className="form-input" value={statementEnd} onChange={(e) => setStatementEnd(e.target.value)} placeholder="dd/mm/yyyy" />
+              </div>
+              <div className="form-actions">
+                <button type="submit" className="btn btn-primary" disabled={loadingStatement}>
+                  {loadingStatement ? 'Loading...' : 'View Statement'}
+                </button>
+                {statement && (
+                  <button type="button" className="btn-secondary" onClick={() => window.print()}>
+                    🖨️ Print
+                  </button>
+                )}
+              </div>
+            </form>
+
+            {statement && (
+              <div className="ledger-table-container">
+                <table className="ledger-table party-table">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Voucher</th>
+                      <th>Description</th>
+                      <th className="amount">Bills</th>
+                      <th className="amount">Payments</th>
+                      <th className="amount">Balance</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    <tr className="closing-balance-row">
+                      <td>{statement.period.startDate}</td>
+                      <td colSpan="4">Opening Balance</td>
+                      <td className="amount">{formatCurrency(statement.openingBalance)}</td>
+                    </tr>
+                    {statement.lines.map((line, index) => (
+                      <tr key={`${line.transaction_id}-${index}`}>
+                        <td>{line.date_formatted}</td>
+                        <td>{line.voucher_number || `TID-${line.transaction_number}`}</td>
+                        <td>
+                          {line.description}
+                          {line.reference && <div><small>Ref: {line.reference}</small></div>}
+                        </td>
+                        <td className="amount">{line.bills ? formatCurrency(line.bills) : ''}</td>
+                        <td className="amount">{line.payments ? formatCurrency(line.payments) : ''}</td>
+                        <td className="amount">{formatCurrency(line.running_balance)}</td>
+                      </tr>
+                    ))}
+                    <tr className="closing-balance-row">
+                      <td>{statement.period.endDate}</td>
+                      <td colSpan="2">Closing Balance</td>
+                      <td className="amount">{formatCurrency(statement.totalBills)}</td>
+                      <td className="amount">{formatCurrency(statement.totalPayments)}</td>
+                      <td className="amount">{formatCurrency(statement.closingBalance)}</td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Vendors;
@@ -88,6 +88,13 @@ api.interceptors.response.use(
   }
 );
 
+// Query string tail of report dimension options ({ costCenterId, departmentId, projectId, groupBy }), empty ones left out
+const dimensionQuery = (dimensions = {}) =>
+  Object.entries(dimensions)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `&${key}=${encodeURIComponent(value)}`)
+    .join('');
+
 // Authentication API methods
 export const authAPI = {
   // Login user
@@ -119,8 +126,8 @@ export const authAPI = {
 export const accountingAPI = {
   // ===== ACCOUNT MANAGEMENT =====
   
-  // Get all accounts (flat list)
-  getAccounts: () => api.get('/accounts'),
+  // Get all accounts (flat list), optionally with balances as of a date
+  getAccounts: (asOf) => api.get(asOf ? `/accounts?asOf=${asOf}` : '/accounts'),
   
   // Get accounts hierarchy (for AccountManagement.js)
   getAccountsHierarchy: () => api.get('/accounts/hierarchy'),
@@ -143,9 +150,17 @@ export const accountingAPI = {
   // Get chart of accounts
   getChartOfAccounts: () => api.get('/chart-of-accounts'),
   
+  // Set or clear an account's cash flow category (cash | operating | investing | financing)
+  updateCashFlowCategory: (id, category) =>
+    api.put(`/accounts/${id}/cash-flow-category`, { cash_flow_category: category || null }),
+  
   // Check account usage
   getAccountUsage: (id) => api.get(`/accounts/${id}/usage`),
   
+  // Mark an account as a sub-ledger control account ('receivable' or 'payable'), or clear it with null
+  updateControlType: (id, controlType) =>
+    api.put(`/accounts/${id}/control-type`, { control_type: controlType || null }),
+  
   // ===== TRANSACTION MANAGEMENT =====
   
   // Get all transactions
@@ -160,11 +175,15 @@ export const accountingAPI = {
   // Update transaction
   updateTransaction: (id, transactionData) => api.put(`/transactions/${id}`, transactionData),
   
-  // Delete transaction
-  deleteTransaction: (id) => api.delete(`/transactions/${id}`),
+  // Reverse transaction (posts a mirror entry dated today or on the given date)
+  reverseTransaction: (id, reason, date) => api.post(`/transactions/${id}/reverse`, { reason, date }),
+
+  // Void transaction (posts a mirror entry on the original date)
+  voidTransaction: (id, reason) => api.post(`/transactions/${id}/void`, { reason }),
   
   // Get next transaction number
-  getNextTransactionNumber: () => api.get('/transactions/next-number'),
+  getNextTransactionNumber: (series = '', date = '') =>
+    api.get(`/transactions/next-number?series=${series}&date=${date}`),
   
   // Get transactions by date range
   getTransactionsByDateRange: (startDate, endDate) => 
@@ -178,29 +197,449 @@ export const accountingAPI = {
   
   // ===== FINANCIAL REPORTS =====
   
-  // Get balance sheet (all time)
-  getBalanceSheet: () => api.get('/reports/balance-sheet'),
+  // Get balance sheet (all time, or as of a date)
+  getBalanceSheet: (asOf) =>
+    api.get(asOf ? `/reports/balance-sheet?asOf=${asOf}` : '/reports/balance-sheet'),
   
   // Get balance sheet for specific period
   getBalanceSheetForPeriod: (startDate, endDate) => 
     api.get(`/reports/balance-sheet/period?startDate=${startDate}&endDate=${endDate}`),
   
-  // Get income statement (all time)
-  getIncomeStatement: () => api.get('/reports/income-statement'),
+  // Get income statement (all time, or as of a date)
+  getIncomeStatement: (asOf) =>
+    api.get(asOf ? `/reports/income-statement?asOf=${asOf}` : '/reports/income-statement'),
+  
+  // Get income statement for specific period, optionally filtered or grouped by dimensions
+  getIncomeStatementForPeriod: (startDate, endDate, dimensions) => 
+    api.get(`/reports/income-statement/period?startDate=${startDate}&endDate=${endDate}${dimensionQuery(dimensions)}`),
+  
+  // Get statement of cash flows (method: indirect | direct)
+  getCashFlowStatement: (startDate, endDate, method = 'indirect') =>
+    api.get(`/reports/cash-flow?start=${startDate}&end=${endDate}&method=${method}`),
+  
+  // Get statement of changes in equity for a period
+  getEquityStatement: (startDate, endDate) =>
+    api.get(`/reports/equity-statement?startDate=${startDate}&endDate=${endDate}`),
+  
+  // Get financial ratios (all time, or as of a date)
+  getFinancialRatios: (asOf) =>
+    api.get(asOf ? `/reports/financial-ratios?asOf=${asOf}` : '/reports/financial-ratios'),
+  
+  // Get trial balance as of a date (variant: adjusted | unadjusted | post_closing)
+  getTrialBalance: (asOf, variant = 'adjusted') =>
+    api.get(`/reports/trial-balance?asOf=${asOf}&variant=${variant}`),
   
-  // Get income statement for specific period
-  getIncomeStatementForPeriod: (startDate, endDate) => 
-    api.get(`/reports/income-statement/period?startDate=${startDate}&endDate=${endDate}`),
+  // Get accounts receivable aging by customer as of a date
+  getARAging: (asOf) =>
+    api.get(asOf ? `/reports/ar-aging?asOf=${asOf}` : '/reports/ar-aging'),
   
-  // Get financial ratios
-  getFinancialRatios: () => api.get('/reports/financial-ratios'),
+  // Get accounts payable aging by vendor as of a date
+  getAPAging: (asOf) =>
+    api.get(asOf ? `/reports/ap-aging?asOf=${asOf}` : '/reports/ap-aging'),
   
   // ===== LEDGER REPORTS =====
   
-  // Get account ledger
-  getAccountLedger: (accountId, startDate, endDate) => 
-    api.get(`/reports/ledger/${accountId}?startDate=${startDate}&endDate=${endDate}`),
+  // Get account ledger, optionally filtered or grouped by dimensions
+  getAccountLedger: (accountId, startDate, endDate, dimensions) => 
+    api.get(`/reports/ledger/${accountId}?startDate=${startDate}&endDate=${endDate}${dimensionQuery(dimensions)}`),
+  
+  // ===== ACCOUNTING PERIODS =====
+
+  // Get periods (optionally for one fiscal year)
+  getPeriods: (fiscalYear) =>
+    api.get(fiscalYear ? `/periods?fiscalYear=${fiscalYear}` : '/periods'),
+
+  // Get fiscal years with period status summary
+  getFiscalYears: () => api.get('/periods/fiscal-years'),
+
+  // Create the monthly periods of a fiscal year
+  createFiscalYear: (fiscalYear) => api.post('/periods/fiscal-years', { fiscalYear }),
+
+  // Close, lock or reopen a whole fiscal year (action: close | lock | reopen)
+  setFiscalYearStatus: (fiscalYear, action, notes) =>
+    api.post(`/periods/fiscal-years/${fiscalYear}/${action}`, { notes }),
+
+  // Close, lock or reopen a single period (action: close | lock | reopen)
+  setPeriodStatus: (periodId, action, notes) =>
+    api.post(`/periods/${periodId}/${action}`, { notes }),
+
+  // Preview year-end closing entries
+  previewYearEndClose: (fiscalYear, retainedEarningsAccountId) =>
+    api.get(`/periods/fiscal-years/${fiscalYear}/year-end-close/preview${retainedEarningsAccountId ? `?retainedEarningsAccountId=${retainedEarningsAccountId}` : ''}`),
+
+  // Post year-end closing entries into retained earnings
+  postYearEndClose: (fiscalYear, retainedEarningsAccountId, closePeriods = true) =>
+    api.post(`/periods/fiscal-years/${fiscalYear}/year-end-close`, { retainedEarningsAccountId, closePeriods }),
+
+  // ===== NUMBER SERIES =====
+  
+  // Get voucher number series (JV, CR, CP, SI, ...)
+  getNumberSeries: (includeInactive = false) =>
+    api.get(`/number-series?includeInactive=${includeInactive}`),
+  
+  // Create a number series
+  createNumberSeries: (seriesData) => api.post('/number-series', seriesData),
+  
+  // Update a number series
+  updateNumberSeries: (id, seriesData) => api.put(`/number-series/${id}`, seriesData),
+
+  // ===== CUSTOMERS (ACCOUNTS RECEIVABLE) =====
+  
+  // Get customers with their receivable balances
+  getCustomers: (includeInactive = false) =>
+    api.get(`/customers?includeInactive=${includeInactive}`),
+  
+  // Get a customer by ID
+  getCustomerById: (id) => api.get(`/customers/${id}`),
+  
+  // Create a customer
+  createCustomer: (customerData) => api.post('/customers', customerData),
+  
+  // Update a customer
+  updateCustomer: (id, customerData) => api.put(`/customers/${id}`, customerData),
+  
+  // Deactivate a customer (only allowed with a zero balance)
+  deactivateCustomer: (id) => api.delete(`/customers/${id}`),
+  
+  // Customer statement of account for a period
+  getCustomerStatement: (id, startDate, endDate) =>
+    api.get(`/customers/${id}/statement?startDate=${startDate}&endDate=${endDate}`),
+  
+  // Accounts receivable sub-ledger, reconciled to the control accounts
+  getReceivablesSubledger: (asOf) =>
+    api.get(asOf ? `/customers/subledger?asOf=${asOf}` : '/customers/subledger'),
+
+  // ===== VENDORS (ACCOUNTS PAYABLE) =====
+  
+  // Get vendors with their payable balances
+  getVendors: (includeInactive = false) =>
+    api.get(`/vendors?includeInactive=${includeInactive}`),
+  
+  // Get a vendor by ID
+  getVendorById: (id) => api.get(`/vendors/${id}`),
+  
+  // Create a vendor
+  createVendor: (vendorData) => api.post('/vendors', vendorData),
+  
+  // Update a vendor
+  updateVendor: (id, vendorData) => api.put(`/vendors/${id}`, vendorData),
+  
+  // Deactivate a vendor (only allowed with a zero balance)
+  deactivateVendor: (id) => api.delete(`/vendors/${id}`),
+  
+  // Vendor statement of account for a period
+  getVendorStatement: (id, startDate, endDate) =>
+    api.get(`/vendors/${id}/statement?startDate=${startDate}&endDate=${endDate}`),
+  
+  // Accounts payable sub-ledger, reconciled to the control accounts
+  getPayablesSubledger: (asOf) =>
+    api.get(asOf ? `/vendors/subledger?asOf=${asOf}` : '/vendors/subledger'),
+
+  // ===== SALES INVOICES =====
+  
+  // Get sales invoices, optionally filtered by status (draft, approved, voided)
+  getSalesInvoices: (status) =>
+    api.get(status ? `/sales-invoices?status=${status}` : '/sales-invoices'),
+  
+  // Get a sales invoice with its lines
+  getSalesInvoiceById: (id) => api.get(`/sales-invoices/${id}`),
+  
+  // Create a draft sales invoice
+  createSalesInvoice: (invoiceData) => api.post('/sales-invoices', invoiceData),
+  
+  // Update a draft sales invoice
+  updateSalesInvoice: (id, invoiceData) => api.put(`/sales-invoices/${id}`, invoiceData),
+  
+  // Delete a draft sales invoice
+  deleteSalesInvoice: (id) => api.delete(`/sales-invoices/${id}`),
+  
+  // Approve a draft and post its journal entry
+  approveSalesInvoice: (id) => api.post(`/sales-invoices/${id}/approve`),
+  
+  // Void an approved invoice by voiding its journal entry
+  voidSalesInvoice: (id, reason) => api.post(`/sales-invoices/${id}/void`, { reason }),
+
+  // ===== PURCHASE BILLS & VENDOR PAYMENTS =====
+  
+  // Get purchase bills, optionally filtered by status (draft, approved, voided)
+  getPurchaseBills: (status) =>
+    api.get(status ? `/purchase-bills?status=${status}` : '/purchase-bills'),
+  
+  // Approved bills of a vendor with an amount left to pay, oldest due first
+  getOpenPurchaseBills: (vendorId) => api.get(`/purchase-bills?vendorId=${vendorId}&open=true`),
+  
+  // Get a purchase bill with its lines and the payments applied to it
+  getPurchaseBillById: (id) => api.get(`/purchase-bills/${id}`),
+  
+  // Create a draft purchase bill
+  createPurchaseBill: (billData) => api.post('/purchase-bills', billData),
+  
+  // Update a draft purchase bill
+  updatePurchaseBill: (id, billData) => api.put(`/purchase-bills/${id}`, billData),
+  
+  // Delete a draft purchase bill
+  deletePurchaseBill: (id) => api.delete(`/purchase-bills/${id}`),
+  
+  // Approve a draft and post its journal entry
+  approvePurchaseBill: (id) => api.post(`/purchase-bills/${id}/approve`),
+  
+  // Void an approved bill by voiding its journal entry
+  voidPurchaseBill: (id, reason) => api.post(`/purchase-bills/${id}/void`, { reason }),
+  
+  // Get vendor payments with their allocated and unapplied amounts
+  getVendorPayments: () => api.get('/vendor-payments'),
+  
+  // Get a vendor payment with the bills it settles
+  getVendorPaymentById: (id) => api.get(`/vendor-payments/${id}`),
+  
+  // Post a payment and allocate it to bills
+  createVendorPayment: (paymentData) => api.post('/vendor-payments', paymentData),
+  
+  // Apply a payment's unapplied credit to bills
+  allocateVendorPayment: (id, allocations) => api.post(`/vendor-payments/${id}/allocations`, { allocations }),
+  
+  // Remove a payment's allocation to a bill
+  removeVendorPaymentAllocation: (id, billId) => api.delete(`/vendor-payments/${id}/allocations/${billId}`),
+  
+  // Void a payment by voiding its journal entry
+  voidVendorPayment: (id, reason) => api.post(`/vendor-payments/${id}/void`, { reason }),
+
+  // ===== CUSTOMER RECEIPTS =====
+  
+  // Get customer receipts with their allocated and unapplied amounts
+  getCustomerReceipts: () => api.get('/customer-receipts'),
+  
+  // Get a customer's open receivable transactions, oldest due first
+  getOpenReceivables: (customerId) => api.get(`/customer-receipts/open-items?customerId=${customerId}`),
+  
+  // Get a customer receipt with the transactions it settles
+  getCustomerReceiptById: (id) => api.get(`/customer-receipts/${id}`),
+  
+  // Post a receipt and allocate it to open transactions
+  createCustomerReceipt: (receiptData) => api.post('/customer-receipts', receiptData),
+  
+  // Apply a receipt's unapplied credit to open transactions
+  allocateCustomerReceipt: (id, allocations) => api.post(`/customer-receipts/${id}/allocations`, { allocations }),
+  
+  // Remove a receipt's allocation to a transaction
+  removeCustomerReceiptAllocation: (id, transactionId) => api.delete(`/customer-receipts/${id}/allocations/${transactionId}`),
+  
+  // Void a receipt by voiding its journal entry
+  voidCustomerReceipt: (id, reason) => api.post(`/customer-receipts/${id}/void`, { reason }),
+
+  // ===== BANK RECONCILIATION =====
+  
+  // Get bank and cash accounts with their last reconciled statement
+  getReconcilableAccounts: () => api.get('/bank-reconciliations/accounts'),
   
+  // Get the reconciliations of an account, latest first
+  getBankReconciliations: (accountId) => api.get(`/bank-reconciliations?accountId=${accountId}`),
+  
+  // Get a reconciliation with its cleared and outstanding entries and statement lines
+  getBankReconciliationById: (id) => api.get(`/bank-reconciliations/${id}`),
+  
+  // Start reconciling a statement
+  startBankReconciliation: (reconciliationData) => api.post('/bank-reconciliations', reconciliationData),
+  
+  // Correct the statement date or closing balance
+  updateBankReconciliation: (id, statementData) => api.put(`/bank-reconciliations/${id}`, statementData),
+  
+  // Discard a reconciliation in progress
+  deleteBankReconciliation: (id) => api.delete(`/bank-reconciliations/${id}`),
+  
+  // Mark entries cleared on the statement
+  clearBankEntries: (id, entryIds) => api.post(`/bank-reconciliations/${id}/clear`, { entry_ids: entryIds }),
+  
+  // Return cleared entries to outstanding
+  unclearBankEntries: (id, entryIds) => api.post(`/bank-reconciliations/${id}/unclear`, { entry_ids: entryIds }),
+  
+  // Add a statement line (negative amounts are money out)
+  addBankStatementLine: (id, lineData) => api.post(`/bank-reconciliations/${id}/lines`, lineData),
+  
+  // Remove a statement line
+  deleteBankStatementLine: (id, lineId) => api.delete(`/bank-reconciliations/${id}/lines/${lineId}`),
+  
+  // Match a statement line to the entry it records
+  matchBankStatementLine: (id, lineId, entryId) => api.post(`/bank-reconciliations/${id}/lines/${lineId}/match`, { journal_entry_id: entryId }),
+  
+  // Undo the match of a statement line
+  unmatchBankStatementLine: (id, lineId) => api.delete(`/bank-reconciliations/${id}/lines/${lineId}/match`),
+  
+  // Match statement lines to outstanding entries of the same amount
+  autoMatchBankStatement: (id) => api.post(`/bank-reconciliations/${id}/auto-match`),
+  
+  // Complete a reconciliation whose difference is zero
+  completeBankReconciliation: (id) => api.post(`/bank-reconciliations/${id}/complete`),
+  
+  // Reopen the latest completed reconciliation
+  reopenBankReconciliation: (id) => api.post(`/bank-reconciliations/${id}/reopen`),
+
+  // ===== BANK STATEMENT IMPORT =====
+  
+  // Read a statement file without importing it; duplicates of earlier imports are flagged
+  previewBankStatement: (importData) => api.post('/bank-statements/preview', importData),
+  
+  // Import a statement file's new lines into the staging area
+  importBankStatement: (importData) => api.post('/bank-statements/imports', importData),
+  
+  // Get statement imports, optionally of one account
+  getBankStatementImports: (accountId) =>
+    api.get(accountId ? `/bank-statements/imports?accountId=${accountId}` : '/bank-statements/imports'),
+  
+  // Delete an import whose lines are all unmatched
+  deleteBankStatementImport: (id) => api.delete(`/bank-statements/imports/${id}`),
+  
+  // Get the CSV column mapping last used for an account
+  getBankStatementCsvMapping: (accountId) => api.get(`/bank-statements/csv-mapping?accountId=${accountId}`),
+  
+  // Get imported lines with candidate entries (status: unmatched, matched, ignored or all)
+  getImportedStatementLines: (accountId, status = 'unmatched') =>
+    api.get(`/bank-statements/lines?accountId=${accountId}&status=${status}`),
+  
+  // Match unmatched imported lines of an account to entries of the same amount
+  autoMatchImportedLines: (accountId) => api.post('/bank-statements/lines/auto-match', { account_id: accountId }),
+  
+  // Match an imported line to a journal entry
+  matchImportedLine: (lineId, entryId) => api.post(`/bank-statements/lines/${lineId}/match`, { journal_entry_id: entryId }),
+  
+  // Undo the match of an imported line
+  unmatchImportedLine: (lineId) => api.delete(`/bank-statements/lines/${lineId}/match`),
+  
+  // Post a transaction for an imported line and match the line to it
+  createTransactionFromImportedLine: (lineId, transactionData) =>
+    api.post(`/bank-statements/lines/${lineId}/transaction`, transactionData),
+  
+  // Set aside an imported line that needs no entry
+  ignoreImportedLine: (lineId) => api.post(`/bank-statements/lines/${lineId}/ignore`),
+  
+  // Bring an ignored line back
+  restoreImportedLine: (lineId) => api.post(`/bank-statements/lines/${lineId}/restore`),
+
+  // ===== BANK RULES =====
+  
+  // Get all bank rules in the order they are tried
+  getBankRules: () => api.get('/bank-rules'),
+  
+  // Create a bank rule
+  createBankRule: (ruleData) => api.post('/bank-rules', ruleData),
+  
+  // Update a bank rule
+  updateBankRule: (id, ruleData) => api.put(`/bank-rules/${id}`, ruleData),
+  
+  // Delete a bank rule
+  deleteBankRule: (id) => api.delete(`/bank-rules/${id}`),
+  
+  // Show which open imported lines each rule (and an unsaved rule, if given) would catch
+  dryRunBankRules: (accountId, ruleData) => api.post('/bank-rules/dry-run', { account_id: accountId, rule: ruleData }),
+  
+  // Post the open lines of an account that auto-post rules catch
+  applyBankRules: (accountId) => api.post('/bank-rules/apply', { account_id: accountId }),
+  
+  // Post chosen imported lines the way a rule suggests
+  applyBankRuleToLines: (id, lineIds) => api.post(`/bank-rules/${id}/apply`, { line_ids: lineIds }),
+
+  // ===== CURRENCIES & EXCHANGE RATES =====
+  
+  // Get the base currency and the supported currencies
+  getCurrencies: () => api.get('/currencies'),
+  
+  // Get exchange rates, newest first, optionally of one currency
+  getExchangeRates: (currency) => 
+    api.get(currency ? `/currencies/rates?currency=${currency}` : '/currencies/rates'),
+  
+  // Get the rate a posting on a date would use (null when there is none)
+  lookupExchangeRate: (currency, date) => 
+    api.get(`/currencies/rates/lookup?currency=${currency}&date=${date}`),
+  
+  // Set the rate of a currency for a day
+  setExchangeRate: (rateData) => api.post('/currencies/rates', rateData),
+  
+  // Import rates from CSV text (currency, date, rate)
+  importExchangeRates: (content) => api.post('/currencies/rates/import', { content }),
+  
+  // Delete an exchange rate
+  deleteExchangeRate: (id) => api.delete(`/currencies/rates/${id}`),
+  
+  // Preview the revaluation of foreign currency balances at the rates of a date
+  previewExchangeRevaluation: (date, gainLossAccountId) => 
+    api.get(`/currencies/revaluation/preview?date=${date}${gainLossAccountId ? `&gainLossAccountId=${gainLossAccountId}` : ''}`),
+  
+  // Post the revaluation (date, gainLossAccountId, autoReverse)
+  postExchangeRevaluation: (revaluationData) => api.post('/currencies/revaluation', revaluationData),
+
+  // ===== DIMENSIONS =====
+  
+  // Get the dimension types (cost center, department, project)
+  getDimensionTypes: () => api.get('/dimensions/types'),
+  
+  // Get dimensions, optionally of one type
+  getDimensions: (type, includeInactive = false) =>
+    api.get(`/dimensions?includeInactive=${includeInactive}${type ? `&type=${type}` : ''}`),
+  
+  // Create a dimension
+  createDimension: (dimensionData) => api.post('/dimensions', dimensionData),
+  
+  // Update a dimension (is_active: true reactivates it)
+  updateDimension: (id, dimensionData) => api.put(`/dimensions/${id}`, dimensionData),
+  
+  // Deactivate a dimension
+  deactivateDimension: (id) => api.delete(`/dimensions/${id}`),
+
+  // ===== BUDGETS =====
+  
+  // Get the budget lines of a fiscal year
+  getBudgets: (fiscalYear) => api.get(`/budgets?fiscalYear=${fiscalYear}`),
+  
+  // Set the twelve period amounts of a budget line
+  setBudget: (budgetData) => api.put('/budgets', budgetData),
+  
+  // Import budget lines from CSV text
+  importBudgets: (fiscalYear, content) => api.post('/budgets/import', { fiscal_year: fiscalYear, content }),
+  
+  // Delete a budget line
+  deleteBudget: (id) => api.delete(`/budgets/${id}`),
+  
+  // Get budget vs actual; without a fiscal year, the current one to date
+  getBudgetVsActual: (fiscalYear, throughPeriod) =>
+    api.get(`/budgets/vs-actual?fiscalYear=${fiscalYear || ''}${throughPeriod ? `&throughPeriod=${throughPeriod}` : ''}`),
+
+  // ===== RECURRING SCHEDULES =====
+  
+  // Get all recurring schedules
+  getRecurringSchedules: () => api.get('/recurring-schedules'),
+  
+  // Get a schedule with its upcoming dates and generated occurrences
+  getRecurringSchedule: (id, upcoming = 5) => api.get(`/recurring-schedules/${id}?upcoming=${upcoming}`),
+  
+  // Create a recurring schedule
+  createRecurringSchedule: (scheduleData) => api.post('/recurring-schedules', scheduleData),
+  
+  // Update a recurring schedule
+  updateRecurringSchedule: (id, scheduleData) => api.put(`/recurring-schedules/${id}`, scheduleData),
+  
+  // Pause, resume or end a schedule
+  setRecurringScheduleStatus: (id, action) => api.post(`/recurring-schedules/${id}/${action}`),
+  
+  // Delete a schedule that has not posted anything
+  deleteRecurringSchedule: (id) => api.delete(`/recurring-schedules/${id}`),
+  
+  // Post every occurrence due by today
+  runRecurringSchedules: () => api.post('/recurring-schedules/run'),
+
+  // ===== TRANSACTION TEMPLATES =====
+  
+  // Get the user's own templates and every shared one
+  getTransactionTemplates: () => api.get('/transaction-templates'),
+  
+  // Create a transaction template
+  createTransactionTemplate: (templateData) => api.post('/transaction-templates', templateData),
+  
+  // Update a transaction template
+  updateTransactionTemplate: (id, templateData) => api.put(`/transaction-templates/${id}`, templateData),
+  
+  // Delete a transaction template
+  deleteTransactionTemplate: (id) => api.delete(`/transaction-templates/${id}`),
+
   // ===== SYSTEM HEALTH =====
   
   // Validate accounting equation
@@ -212,6 +651,9 @@ export const accountingAPI = {
   // Debug system
   debugSystem: () => api.get('/system/debug'),
   
+  // Rebuild account balances from journal entries
+  rebuildBalances: () => api.post('/system/rebuild-balances'),
+  
   // ===== COMPANY CONFIGURATION =====
   
   // Get company details
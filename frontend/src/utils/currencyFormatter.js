@@ -1,19 +1,55 @@
-// Currency formatter for Pakistani Rupees
-export const formatCurrency = (amount) => {
-  return `Rs. ${new Intl.NumberFormat('en-PK', {
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2
-  }).format(amount)}`;
+import { DEFAULT_CURRENCY, getCurrencyConfig, toMinor } from './money';
+
+// Group the integer part in the en-PK style (1,00,000) and append the fraction digits
+// taken from the exact minor-unit value, so no rounding happens in Intl.NumberFormat
+const formatExact = (amount, currency = DEFAULT_CURRENCY) => {
+  const { decimals } = getCurrencyConfig(currency);
+  let minor;
+  try {
+    minor = toMinor(amount, currency);
+  } catch (error) {
+    minor = 0;
+  }
+
+  const unit = 10 ** decimals;
+  const magnitude = Math.abs(minor);
+  const integerPart = new Intl.NumberFormat('en-PK', {
+    maximumFractionDigits: 0
+  }).format(Math.floor(magnitude / unit));
+  const fractionPart = decimals > 0 ? `.${String(magnitude % unit).padStart(decimals, '0')}` : '';
+
+  return `${minor < 0 ? '-' : ''}${integerPart}${fractionPart}`;
+};
+
+// Prefix shown before amounts; currencies not listed use their code
+const CURRENCY_PREFIXES = {
+  PKR: 'Rs.',
+  USD: '$',
+  EUR: '€',
+  GBP: '£',
+  JPY: '¥',
+  CNY: 'CN¥'
+};
+
+// The currency the books are kept in, as reported by the backend after login
+let baseCurrency = DEFAULT_CURRENCY;
+
+export const setBaseCurrency = (currency) => {
+  baseCurrency = currency || DEFAULT_CURRENCY;
+};
+
+export const getBaseCurrency = () => baseCurrency;
+
+// Currency formatter; amounts are in the base currency unless another one is given
+export const formatCurrency = (amount, currency = baseCurrency) => {
+  return `${CURRENCY_PREFIXES[currency] || currency} ${formatExact(amount, currency)}`;
 };
 
-export const getCurrencySymbol = () => {
-  return '₨'; // Pakistani Rupee symbol
+export const getCurrencySymbol = (currency = baseCurrency) => {
+  return currency === 'PKR' ? '₨' : (CURRENCY_PREFIXES[currency] || currency); // Pakistani Rupee symbol
 };
 
-// For display without "Rs." prefix (just formatted numbers)
-export const formatAmount = (amount) => {
-  return new Intl.NumberFormat('en-PK', {
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2
-  }).format(amount);
+// For display without the currency prefix (just formatted numbers)
+export const formatAmount = (amount, currency = baseCurrency) => {
+  return formatExact(amount, currency);
 };
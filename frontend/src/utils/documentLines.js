@@ -0,0 +1,56 @@
+// frontend/src/utils/documentLines.js
+
+/**
+ * Line pricing for sales invoices and purchase bills (mirrors backend/utils/documentLines.js)
+ * amount = quantity x unit price and tax = amount x rate, each rounded once to the paisa
+ */
+
+import { multiply, isExact } from './money';
+
+export const QUANTITY_PATTERN = /^\d+(\.\d{1,3})?$/;
+export const TAX_RATE_PATTERN = /^\d{1,3}(\.\d{1,2})?$/;
+
+export const EMPTY_LINE = {
+  description: '',
+  account_id: '',
+  quantity: '1',
+  unit_price: '',
+  tax_rate: '0'
+};
+
+// "17.5" (percent) -> "0.175", shifted as text like the backend so previews match the posted amounts
+export const percentToFactor = (rate) => {
+  const [integerPart, fractionPart = ''] = String(rate).split('.');
+  const padded = integerPart.padStart(3, '0');
+  return `${padded.slice(0, -2)}.${padded.slice(-2)}${fractionPart}`;
+};
+
+// Line amount and tax for the live preview; incomplete lines count as zero
+export const priceLine = (line) => {
+  if (!QUANTITY_PATTERN.test(line.quantity) || !line.unit_price || !isExact(line.unit_price)) {
+    return { amount: 0, tax: 0 };
+  }
+  const amount = multiply(line.unit_price, line.quantity);
+  const tax = TAX_RATE_PATTERN.test(line.tax_rate) ? multiply(amount, percentToFactor(line.tax_rate)) : 0;
+  return { amount, tax };
+};
+
+// Returns the first problem with a document's lines, or null when they can be saved
+export const validateLines = (lines) => {
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.description.trim() || !line.account_id) {
+      return `Line ${i + 1}: description and account are required`;
+    }
+    if (!QUANTITY_PATTERN.test(line.quantity) || Number(line.quantity) <= 0) {
+      return `Line ${i + 1}: quantity must be a positive number with up to 3 decimal places`;
+    }
+    if (line.unit_price === '' || !isExact(line.unit_price)) {
+      return `Line ${i + 1}: unit price cannot have more than 2 decimal places`;
+    }
+    if (!TAX_RATE_PATTERN.test(line.tax_rate) || Number(line.tax_rate) > 100) {
+      return `Line ${i + 1}: tax rate must be between 0 and 100%`;
+    }
+  }
+  return null;
+};
@@ -0,0 +1,39 @@
+// frontend/src/utils/journalEntries.js
+
+/**
+ * Totals of journal entry lines, worked out the way the server posts them
+ * (backend/models/currencyModel.js convertEntries)
+ */
+
+import { convert, isExact, parseAmount, sum } from './money';
+
+/**
+ * Base currency total of one side ('Debit' or 'Credit') of a journal entry. Foreign lines of
+ * one currency and rate are converted as a total, so 3 x 33.33 balances 99.99 at any rate.
+ */
+export const sideTotal = (entries, entryType, baseCurrency) => {
+  const foreignGroups = new Map();
+  const baseAmounts = [];
+
+  entries
+    .filter(entry => entry.entry_type === entryType)
+    .forEach(entry => {
+      if (entry.currency_code && entry.exchange_rate && isExact(entry.foreign_amount, entry.currency_code)) {
+        const key = `${entry.currency_code}|${entry.exchange_rate}`;
+        foreignGroups.set(key, [...(foreignGroups.get(key) || []), entry]);
+      } else {
+        baseAmounts.push(parseAmount(entry.amount, baseCurrency));
+      }
+    });
+
+  const convertedAmounts = [...foreignGroups.values()].map(lines => {
+    const { currency_code: currency, exchange_rate: rate } = lines[0];
+    try {
+      return convert(sum(lines.map(line => line.foreign_amount), currency), rate, currency, baseCurrency);
+    } catch (error) {
+      return 0;
+    }
+  });
+
+  return sum([...baseAmounts, ...convertedAmounts], baseCurrency);
+};
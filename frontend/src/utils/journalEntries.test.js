@@ -0,0 +1,32 @@
+import { sideTotal } from './journalEntries';
+
+const usd = (entry_type, foreign_amount, exchange_rate = '278.455') => ({
+  entry_type, currency_code: 'USD', foreign_amount, exchange_rate, amount: ''
+});
+
+describe('sideTotal', () => {
+  test('converts foreign lines of one currency and rate as a total', () => {
+    const entries = [usd('Debit', '33.33'), usd('Debit', '33.33'), usd('Debit', '33.33'), usd('Credit', '99.99')];
+
+    expect(sideTotal(entries, 'Debit', 'PKR')).toBe(27842.72);
+    expect(sideTotal(entries, 'Credit', 'PKR')).toBe(27842.72);
+  });
+
+  test('adds base currency lines and foreign lines at other rates separately', () => {
+    const entries = [
+      usd('Debit', '33.33'),
+      usd('Debit', '33.33', '278.45'),
+      { entry_type: 'Debit', amount: '10.05' },
+      { entry_type: 'Credit', amount: '99' }
+    ];
+
+    expect(sideTotal(entries, 'Debit', 'PKR')).toBe(18571.7);
+    expect(sideTotal(entries, 'Credit', 'PKR')).toBe(99);
+  });
+
+  test('counts foreign lines without a valid amount or rate as their base amount', () => {
+    const entries = [usd('Debit', '1.234'), { ...usd('Debit', '5'), exchange_rate: '' }];
+
+    expect(sideTotal(entries, 'Debit', 'PKR')).toBe(0);
+  });
+});
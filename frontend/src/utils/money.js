@@ -0,0 +1,228 @@
+// frontend/src/utils/money.js
+/* global BigInt */
+
+/**
+ * Exact decimal money arithmetic (mirrors backend/utils/money.js)
+ * Amounts are converted to integer minor units (paisa) before adding or comparing,
+ * so totals never pick up floating point error such as 0.1 + 0.2 = 0.30000000000000004
+ */
+
+export const DEFAULT_CURRENCY = 'PKR';
+
+/**
+ * Rounding rules per currency
+ * decimals: minor unit digits
+ * rounding: 'half_up' (half away from zero), 'half_even', 'down' or 'up'
+ */
+export const CURRENCIES = {
+  PKR: { decimals: 2, rounding: 'half_up' },
+  USD: { decimals: 2, rounding: 'half_up' },
+  EUR: { decimals: 2, rounding: 'half_even' },
+  GBP: { decimals: 2, rounding: 'half_up' },
+  AED: { decimals: 2, rounding: 'half_up' },
+  SAR: { decimals: 2, rounding: 'half_up' },
+  CNY: { decimals: 2, rounding: 'half_up' },
+  JPY: { decimals: 0, rounding: 'half_up' },
+  KWD: { decimals: 3, rounding: 'half_up' },
+  BHD: { decimals: 3, rounding: 'half_up' },
+  OMR: { decimals: 3, rounding: 'half_up' }
+};
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?$/;
+
+export const getCurrencyConfig = (currency = DEFAULT_CURRENCY) => {
+  const config = CURRENCIES[String(currency || DEFAULT_CURRENCY).toUpperCase()];
+  if (!config) {
+    throw new Error(`Unsupported currency: ${currency}`);
+  }
+  return config;
+};
+
+const toDecimalText = (value) => {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid amount: ${value}`);
+    }
+    const text = String(value);
+    return /e/i.test(text) ? value.toFixed(20) : text;
+  }
+  return String(value).trim();
+};
+
+const shouldRoundUp = (mode, firstDropped, restDropped, lastKeptOdd) => {
+  switch (mode) {
+    case 'half_up':
+      return firstDropped >= 5;
+    case 'half_even':
+      return firstDropped > 5 || (firstDropped === 5 && (restDropped || lastKeptOdd));
+    case 'up':
+      return true;
+    case 'down':
+    default:
+      return false;
+  }
+};
+
+/**
+ * Convert an amount (number or decimal string) to integer minor units
+ * Empty values count as zero; with { strict: true } extra decimals throw instead of rounding
+ */
+export const toMinor = (value, currency = DEFAULT_CURRENCY, { strict = false } = {}) => {
+  const { decimals, rounding } = getCurrencyConfig(currency);
+
+  if (value === null || value === undefined || value === '') {
+    return 0;
+  }
+
+  const text = toDecimalText(value);
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+
+  const negative = match[1] === '-';
+  const fractionDigits = match[3] || '';
+  const kept = fractionDigits.slice(0, decimals).padEnd(decimals, '0');
+  const dropped = fractionDigits.slice(decimals);
+
+  let minor = Number((match[2] || '0') + kept);
+
+  if (/[1-9]/.test(dropped)) {
+    if (strict) {
+      throw new Error(`Amount ${text} has more than ${decimals} decimal places`);
+    }
+    const restDropped = /[1-9]/.test(dropped.slice(1));
+    if (shouldRoundUp(rounding, Number(dropped[0]), restDropped, minor % 2 === 1)) {
+      minor += 1;
+    }
+  }
+
+  if (!Number.isSafeInteger(minor)) {
+    throw new Error(`Amount ${text} is too large`);
+  }
+
+  return negative && minor !== 0 ? -minor : minor;
+};
+
+/**
+ * Convert integer minor units back to a Number holding the exact decimal amount
+ */
+export const fromMinor = (minor, currency = DEFAULT_CURRENCY) => {
+  const { decimals } = getCurrencyConfig(currency);
+  return minor / 10 ** decimals || 0;
+};
+
+export const round = (value, currency = DEFAULT_CURRENCY) => fromMinor(toMinor(value, currency), currency);
+
+export const add = (a, b, currency = DEFAULT_CURRENCY) =>
+  fromMinor(toMinor(a, currency) + toMinor(b, currency), currency);
+
+export const subtract = (a, b, currency = DEFAULT_CURRENCY) =>
+  fromMinor(toMinor(a, currency) - toMinor(b, currency), currency);
+
+export const sum = (values, currency = DEFAULT_CURRENCY) =>
+  fromMinor(values.reduce((total, value) => total + toMinor(value, currency), 0), currency);
+
+/**
+ * Parse a decimal factor (a quantity or a rate) into its digits and the power of ten they are scaled by
+ */
+const parseFactor = (factor) => {
+  const text = toDecimalText(factor);
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`Invalid factor: ${factor}`);
+  }
+
+  const fractionDigits = match[3] || '';
+  return {
+    negative: match[1] === '-',
+    digits: BigInt((match[2] || '0') + fractionDigits),
+    scale: BigInt(`1${'0'.repeat(fractionDigits.length)}`)
+  };
+};
+
+/**
+ * numerator / denominator (non-negative BigInts) rounded to a whole number with a rounding rule
+ */
+const roundQuotient = (numerator, denominator, rounding) => {
+  let quotient = numerator / denominator;
+  const twiceRemainder = (numerator % denominator) * BigInt(2);
+
+  if (twiceRemainder > BigInt(0)) {
+    const firstDropped = twiceRemainder >= denominator ? 5 : 4;
+    if (shouldRoundUp(rounding, firstDropped, twiceRemainder > denominator, quotient % BigInt(2) === BigInt(1))) {
+      quotient += BigInt(1);
+    }
+  }
+
+  return quotient;
+};
+
+/**
+ * Multiply an amount by a decimal factor (a quantity or a rate) and round the exact product once
+ */
+export const multiply = (amount, factor, currency = DEFAULT_CURRENCY) => {
+  const { rounding } = getCurrencyConfig(currency);
+  const { negative, digits, scale } = parseFactor(factor);
+  const amountMinor = toMinor(amount, currency);
+
+  const minor = roundQuotient(BigInt(Math.abs(amountMinor)) * digits, scale, rounding);
+  return fromMinor(Number((amountMinor < 0) !== negative ? -minor : minor), currency);
+};
+
+/**
+ * Convert an amount to another currency at an exchange rate (target units per source unit),
+ * keeping the source amount's own precision and rounding once in the target currency
+ */
+export const convert = (amount, rate, fromCurrency, toCurrency = DEFAULT_CURRENCY) => {
+  const { decimals: fromDecimals } = getCurrencyConfig(fromCurrency);
+  const { decimals: toDecimals, rounding } = getCurrencyConfig(toCurrency);
+  const { negative, digits, scale } = parseFactor(rate);
+  const amountMinor = toMinor(amount, fromCurrency);
+
+  const numerator = BigInt(Math.abs(amountMinor)) * digits * BigInt(10 ** toDecimals);
+  const minor = roundQuotient(numerator, scale * BigInt(10 ** fromDecimals), rounding);
+  return fromMinor(Number((amountMinor < 0) !== negative ? -minor : minor), toCurrency);
+};
+
+export const compare = (a, b, currency = DEFAULT_CURRENCY) => Math.sign(toMinor(a, currency) - toMinor(b, currency));
+
+export const equals = (a, b, currency = DEFAULT_CURRENCY) => toMinor(a, currency) === toMinor(b, currency);
+
+export const isZero = (value, currency = DEFAULT_CURRENCY) => toMinor(value, currency) === 0;
+
+/**
+ * True when the amount fits the currency's precision without rounding
+ */
+export const isExact = (value, currency = DEFAULT_CURRENCY) => {
+  try {
+    toMinor(value, currency, { strict: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Lenient parse for form inputs: partially typed or invalid values count as zero
+ */
+export const parseAmount = (value, currency = DEFAULT_CURRENCY) => {
+  try {
+    return round(value, currency);
+  } catch (error) {
+    return 0;
+  }
+};
+
+/**
+ * Fixed-point text with exactly the currency's decimals, e.g. "1234.50"
+ */
+export const toFixed = (value, currency = DEFAULT_CURRENCY) => {
+  const { decimals } = getCurrencyConfig(currency);
+  const minor = toMinor(value, currency);
+  const magnitude = Math.abs(minor);
+  const unit = 10 ** decimals;
+  const integerPart = Math.floor(magnitude / unit);
+  const fractionPart = String(magnitude % unit).padStart(decimals, '0');
+  return `${minor < 0 ? '-' : ''}${integerPart}${decimals > 0 ? `.${fractionPart}` : ''}`;
+};
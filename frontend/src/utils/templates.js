@@ -0,0 +1,47 @@
+// frontend/src/utils/templates.js
+
+/**
+ * Amounts of transaction template lines (templates are kept by backend/models/templateModel.js)
+ * Fixed lines keep their amount, open lines are typed in each time and percentage lines are
+ * a share of the amount entered when the template is applied
+ */
+
+import { multiply, subtract, sum, toFixed } from './money';
+import { percentToFactor } from './documentLines';
+
+// "17.5" -> 175000 ten-thousandths of a percent, so percentages add up exactly
+const percentUnits = (percent) => {
+  const [integerPart, fractionPart = ''] = String(percent).split('.');
+  return parseInt(integerPart, 10) * 10000 + parseInt(fractionPart.padEnd(4, '0'), 10);
+};
+
+const unitsToPercent = (units) => `${Math.floor(units / 10000)}.${String(units % 10000).padStart(4, '0')}`;
+
+/**
+ * Amount of each template line as fixed-point text ('' for open lines)
+ * Each side's percentage lines are rounded once as a group and the last of them takes the
+ * rounding remainder, so a template whose debit and credit percentages match always balances
+ */
+export const templateLineAmounts = (lines, baseAmount) => {
+  const amounts = lines.map(line => (line.amount_type === 'fixed' ? toFixed(line.amount) : ''));
+
+  ['Debit', 'Credit'].forEach(entryType => {
+    const indexes = lines
+      .map((line, index) => index)
+      .filter(index => lines[index].entry_type === entryType && lines[index].amount_type === 'percent');
+    if (indexes.length === 0) {
+      return;
+    }
+
+    const totalUnits = indexes.reduce((units, index) => units + percentUnits(lines[index].amount), 0);
+    const sideTotal = multiply(baseAmount, percentToFactor(unitsToPercent(totalUnits)));
+    const shares = indexes.slice(0, -1).map(index => multiply(baseAmount, percentToFactor(lines[index].amount)));
+
+    shares.forEach((share, position) => {
+      amounts[indexes[position]] = toFixed(share);
+    });
+    amounts[indexes[indexes.length - 1]] = toFixed(subtract(sideTotal, sum(shares)));
+  });
+
+  return amounts;
+};
@@ -0,0 +1,39 @@
+import { templateLineAmounts } from './templates';
+import { sum } from './money';
+
+const line = (entry_type, amount_type, amount = null) => ({ account_id: 1, entry_type, amount_type, amount });
+
+const sideTotal = (lines, amounts, entryType) =>
+  sum(amounts.filter((amount, index) => lines[index].entry_type === entryType));
+
+describe('templateLineAmounts', () => {
+  test('gives the rounding remainder to the last percentage line of a side', () => {
+    const lines = [line('Debit', 'percent', '100'), line('Credit', 'percent', '50'), line('Credit', 'percent', '50')];
+    const amounts = templateLineAmounts(lines, '100.01');
+
+    expect(amounts).toEqual(['100.01', '50.01', '50.00']);
+    expect(sideTotal(lines, amounts, 'Credit')).toBe(sideTotal(lines, amounts, 'Debit'));
+  });
+
+  test('balances a gross-up template', () => {
+    const lines = [line('Debit', 'percent', '117'), line('Credit', 'percent', '100'), line('Credit', 'percent', '17')];
+    const amounts = templateLineAmounts(lines, '333.33');
+
+    expect(amounts).toEqual(['390.00', '333.33', '56.67']);
+    expect(sideTotal(lines, amounts, 'Credit')).toBe(sideTotal(lines, amounts, 'Debit'));
+  });
+
+  test('shifts small percentages exactly instead of dividing floats', () => {
+    const lines = [line('Debit', 'percent', '0.07'), line('Credit', 'percent', '0.07')];
+
+    expect(templateLineAmounts(lines, '10000')).toEqual(['7.00', '7.00']);
+    expect(templateLineAmounts([line('Debit', 'percent', '12.3456'), line('Credit', 'percent', '12.3456')], '1000'))
+      .toEqual(['123.46', '123.46']);
+  });
+
+  test('keeps fixed amounts and leaves open lines blank', () => {
+    const lines = [line('Debit', 'fixed', '500'), line('Debit', 'percent', '10'), line('Credit', 'open')];
+
+    expect(templateLineAmounts(lines, '250')).toEqual(['500.00', '25.00', '']);
+  });
+});